@@ -24,8 +24,8 @@ export default {
     '/build/',
   ],
   
-  // Coverage configuration
-  collectCoverage: true,
+  // Coverage configuration (npm run test:coverage); thresholds berlaku untuk seluruh src
+  collectCoverage: false,
   coverageDirectory: 'coverage',
   coverageReporters: [
     'text',
@@ -10,10 +10,22 @@
 
 import AuthService from '../../services/auth.service.js';
 import StorageService from '../../services/storage.service.js';
+import OrganizationService from '../../services/organization.service.js';
+import AgentService from '../../services/agent.service.js';
+import { Organization } from '../../models/organization.js';
+import { ApiKey } from '../../models/api-key.js';
 
 // Initialize services
 const storageService = new StorageService();
 const authService = new AuthService(storageService);
+const organizationService = new OrganizationService(storageService);
+const agentService = new AgentService(storageService);
+
+const AGENT_ERROR_TITLES = {
+  400: 'Invalid agent ID',
+  403: 'Access denied',
+  409: 'Conflict'
+};
 
 /**
  * Main authentication middleware
@@ -43,7 +55,7 @@ export const authenticate = async (req, res, next) => {
     const token = tokenMatch[1];
 
     // Validate token
-    const validation = await authService.validateToken(token);
+    const validation = await authService.validateToken(token, { ip: req.ip });
     
     if (!validation.valid) {
       let errorMessage = 'Invalid or expired token';
@@ -103,7 +115,7 @@ export const optionalAuth = async (req, res, next) => {
     }
 
     const token = tokenMatch[1];
-    const validation = await authService.validateToken(token);
+    const validation = await authService.validateToken(token, { ip: req.ip });
     
     if (validation.valid) {
       req.user = validation.user;
@@ -185,8 +197,81 @@ export const requireFeature = (featureName) => {
   };
 };
 
+/**
+ * Authorization middleware untuk scopes scoped API key
+ * Token dari primary API key tidak membawa scopes dan selalu lolos
+ */
+export const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Unauthorized access',
+        details: ['Authentication required']
+      });
+    }
+
+    if (!ApiKey.userHasScope(req.user, scope)) {
+      return res.status(403).json({
+        error: 'Insufficient scope',
+        details: [`API key scope '${scope}' is required for this operation`],
+        required_scope: scope,
+        granted_scopes: req.user.scopes
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Tolak token dari scoped API key untuk operasi level account
+ * (manage API keys, organizations) agar key tidak bisa menaikkan privilege-nya sendiri
+ */
+export const requireAccountAccess = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Unauthorized access',
+      details: ['Authentication required']
+    });
+  }
+
+  if (req.user.scopes) {
+    return res.status(403).json({
+      error: 'Insufficient scope',
+      details: ['This operation requires the primary API key; scoped API keys are not allowed']
+    });
+  }
+
+  next();
+};
+
+/**
+ * Agent binding scoped API key: agent_id di params, body atau query harus termasuk agent_ids key
+ * Resource yang sudah tersimpan dicek lewat req.access (lihat loadAccessContext)
+ */
+export const enforceAgentBinding = (req, res, next) => {
+  if (!req.user?.agentIds || req.user.agentIds.length === 0) {
+    return next();
+  }
+
+  const agentIds = [req.params.agentId, req.body?.agent_id, req.query?.agent_id]
+    .flat()
+    .filter(agentId => typeof agentId === 'string');
+
+  const deniedAgent = agentIds.find(agentId => !ApiKey.userCanUseAgent(req.user, agentId));
+  if (deniedAgent) {
+    return res.status(403).json({
+      error: 'Access denied',
+      details: [`API key is not bound to agent ${deniedAgent}`]
+    });
+  }
+
+  next();
+};
+
 /**
  * Agent access validation middleware
+ * Agent harus terdaftar di registry (atau di-auto-register) dan aktif; hasil di req.agent
  */
 export const validateAgentAccess = async (req, res, next) => {
   try {
@@ -206,20 +291,33 @@ export const validateAgentAccess = async (req, res, next) => {
       });
     }
 
-    // Validate agent access (simplified - in production would check ownership/permissions)
-    const hasAccess = await validateUserAgentAccess(req.user.id, agentId);
-    
-    if (!hasAccess) {
+    if (!ApiKey.userCanUseAgent(req.user, agentId)) {
       return res.status(403).json({
         error: 'Access denied',
-        details: ['You do not have access to this agent']
+        details: [`API key is not bound to agent ${agentId}`]
       });
     }
 
+    req.agent = await agentService.ensureAgent(req.user, agentId);
     req.agentId = agentId;
     next();
 
   } catch (error) {
+    // Error dari AgentService membawa status (disabled/not registered/limit 403, invalid 400, lock 409)
+    if (error.code === 'AGENT_LIMIT_REACHED') {
+      return res.status(403).json({
+        error: 'Agent limit reached',
+        details: [error.message, 'Disable unused agents or upgrade your subscription']
+      });
+    }
+
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        error: AGENT_ERROR_TITLES[error.status] || 'Access denied',
+        details: [error.message]
+      });
+    }
+
     console.error('❌ Agent access validation error:', error);
     
     return res.status(500).json({
@@ -273,6 +371,107 @@ export const validateSessionAccess = async (req, res, next) => {
   }
 };
 
+/**
+ * Load access context organization/team user ke req.access
+ * Dipakai routes untuk permission checks pada memory yang di-scope ke organization/team
+ */
+export const loadAccessContext = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Unauthorized access',
+        details: ['Authentication required']
+      });
+    }
+
+    req.access = {
+      ...await organizationService.getAccessContext(req.user.id),
+      // Agent binding scoped API key ikut dicek oleh canAccess()
+      agent_ids: req.user.agentIds || []
+    };
+    next();
+
+  } catch (error) {
+    console.error('❌ Access context loading error:', error);
+
+    return res.status(500).json({
+      error: 'Access validation error',
+      details: ['Unable to load organization access']
+    });
+  }
+};
+
+/**
+ * Resolve role user di organization (:orgId) ke req.user.roles dan req.user.permissions
+ * sehingga authorize() dan requirePermission() (lib/auth-lib/middleware.js) bisa dipakai
+ */
+export const resolveOrganizationRole = async (req, res, next) => {
+  try {
+    const access = req.access || await organizationService.getAccessContext(req.user.id);
+    const role = access.organizations[req.params.orgId];
+
+    // Non-member tidak boleh tahu organization ada
+    if (!role) {
+      return res.status(404).json({
+        error: 'Organization not found',
+        details: ['The specified organization does not exist']
+      });
+    }
+
+    req.access = access;
+    req.organizationRole = role;
+    req.user.roles = [role];
+    req.user.permissions = Organization.getPermissions(role);
+    next();
+
+  } catch (error) {
+    console.error('❌ Organization role resolution error:', error);
+
+    return res.status(500).json({
+      error: 'Access validation error',
+      details: ['Unable to validate organization access']
+    });
+  }
+};
+
+/**
+ * Validasi scope organization/team (org_id, team_id di body) untuk memory baru ke req.scope
+ * Membutuhkan loadAccessContext
+ */
+export const resolveMemoryScope = async (req, res, next) => {
+  try {
+    req.scope = await organizationService.resolveWriteScope(req.access, {
+      org_id: req.body.org_id,
+      team_id: req.body.team_id
+    });
+    delete req.body.org_id;
+    delete req.body.team_id;
+    next();
+
+  } catch (error) {
+    if (error.message.includes('Permission denied')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        details: [error.message]
+      });
+    }
+
+    if (error.message.includes('Team not found') || error.message.includes('Invalid scope')) {
+      return res.status(400).json({
+        error: 'Invalid scope',
+        details: [error.message]
+      });
+    }
+
+    console.error('❌ Memory scope resolution error:', error);
+
+    return res.status(500).json({
+      error: 'Access validation error',
+      details: ['Unable to validate organization scope']
+    });
+  }
+};
+
 /**
  * Rate limit bypass untuk admin users
  */
@@ -342,8 +541,8 @@ export const authenticateApiKey = async (req, res, next) => {
       });
     }
 
-    // Generate token dari API key
-    const tokenResponse = await authService.generateToken(apiKey);
+    // Generate token dari API key (hanya dipakai di request ini, tanpa refresh token family)
+    const tokenResponse = await authService.generateToken(apiKey, { ip: req.ip, refreshable: false });
     
     if (!tokenResponse) {
       return res.status(401).json({
@@ -353,7 +552,7 @@ export const authenticateApiKey = async (req, res, next) => {
     }
 
     // Validate generated token untuk get user info
-    const validation = await authService.validateToken(tokenResponse.access_token);
+    const validation = await authService.validateToken(tokenResponse.access_token, { ip: req.ip });
     
     if (!validation.valid) {
       return res.status(401).json({
@@ -383,20 +582,6 @@ export const authenticateApiKey = async (req, res, next) => {
 
 // Helper functions
 
-/**
- * Validate if user has access to specific agent
- */
-async function validateUserAgentAccess(userId, agentId) {
-  try {
-    // Simplified implementation - in production would check database
-    // For now, assume user has access to their own agents
-    return true;
-  } catch (error) {
-    console.error('❌ Agent access validation error:', error);
-    return false;
-  }
-}
-
 /**
  * Validate if user has access to specific session
  */
@@ -416,8 +601,14 @@ export default {
   optionalAuth,
   requireTier,
   requireFeature,
+  requireScope,
+  requireAccountAccess,
+  enforceAgentBinding,
   validateAgentAccess,
   validateSessionAccess,
+  loadAccessContext,
+  resolveOrganizationRole,
+  resolveMemoryScope,
   bypassRateLimitForAdmin,
   logAuthenticatedRequest,
   checkSubscriptionExpiry,
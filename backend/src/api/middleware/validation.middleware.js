@@ -191,6 +191,21 @@ export const customValidators = {
     'content.insufficient': 'Content must contain at least 3 words'
   }),
 
+  /**
+   * Validate snippet/highlight options untuk search routes
+   */
+  highlight: () => Joi.object({
+    enabled: Joi.boolean().default(true),
+    fragment_size: Joi.number().integer().min(20).max(1000),
+    number_of_fragments: Joi.number().integer().min(1).max(10),
+    pre_tag: Joi.string().max(50).allow(''),
+    post_tag: Joi.string().max(50).allow('')
+  }).default({})
+    .messages({
+      'number.min': 'Highlight {#label} must be at least {#limit}',
+      'number.max': 'Highlight {#label} must not exceed {#limit}'
+    }),
+
   /**
    * Validate file upload
    */
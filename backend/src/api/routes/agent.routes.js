@@ -0,0 +1,252 @@
+/**
+ * Agent Routes
+ *
+ * Routes untuk agent registry: register, describe, disable/enable dan list agents
+ * milik user atau organization, plus statistics notes per agent
+ * Endpoints: /agents, /agents/:agentId, /agents/:agentId/disable, /agents/:agentId/enable,
+ * /agents/:agentId/stats
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { Router } from 'express';
+import Joi from 'joi';
+import StorageService from '../../services/storage.service.js';
+import AgentService from '../../services/agent.service.js';
+import { Agent, AGENT_STATUSES } from '../../models/agent.js';
+import { validateRequest } from '../middleware/validation.middleware.js';
+import { authenticate, requireAccountAccess } from '../middleware/auth.middleware.js';
+import { rateLimitApi } from '../middleware/rate-limit.middleware.js';
+import { asyncHandler } from '../middleware/async-handler.middleware.js';
+
+const router = Router();
+
+// Initialize services
+const storageService = new StorageService();
+const agentService = new AgentService(storageService);
+
+// Judul response per status; 404 memakai prefix message (Agent not found / Organization not found)
+const AGENT_ERROR_TITLES = {
+  400: 'Invalid request',
+  403: 'Access denied',
+  409: 'Conflict'
+};
+
+// Apply authentication to all agent routes
+router.use(authenticate);
+// Registry dikelola lewat primary API key, bukan scoped key milik agent
+router.use(requireAccountAccess);
+
+// Validation schemas
+const listAgentsSchema = Joi.object({
+  status: Joi.string().valid(...AGENT_STATUSES).optional()
+    .messages({
+      'any.only': `Status must be one of: ${AGENT_STATUSES.join(', ')}`
+    }),
+  org_id: Joi.string().uuid().optional()
+});
+
+/**
+ * POST /agents
+ * Register agent (optional di organization)
+ */
+router.post('/',
+  rateLimitApi,
+  validateRequest(Agent.getValidationSchema()),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const agent = await agentService.registerAgent(req.user, req.body);
+
+      res.status(201).json({
+        message: 'Agent registered successfully',
+        data: agent,
+        metadata: {
+          response_time_ms: Date.now() - startTime
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Agent registration failed:', error);
+      router.sendAgentError(res, error, 'Failed to register agent. Please try again later.');
+    }
+  })
+);
+
+/**
+ * GET /agents
+ * List agents milik user, atau agents organization dengan ?org_id=
+ */
+router.get('/',
+  rateLimitApi,
+  validateRequest(listAgentsSchema, 'query'),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const agents = await agentService.listAgents(req.user, req.query);
+
+      res.status(200).json({
+        message: 'Agents retrieved successfully',
+        data: {
+          agents,
+          total: agents.length,
+          active: agents.filter(agent => agent.status === 'active').length,
+          agent_limit: req.user.subscription?.agentLimit ?? null
+        },
+        metadata: {
+          response_time_ms: Date.now() - startTime
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Get agents failed:', error);
+      router.sendAgentError(res, error, 'Failed to retrieve agents. Please try again later.');
+    }
+  })
+);
+
+/**
+ * GET /agents/:agentId
+ * Detail agent (milik user atau organization user)
+ */
+router.get('/:agentId',
+  rateLimitApi,
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const agent = await agentService.getAgent(req.user, req.params.agentId);
+
+      res.status(200).json({
+        message: 'Agent retrieved successfully',
+        data: agent,
+        metadata: {
+          response_time_ms: Date.now() - startTime
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Get agent failed:', error);
+      router.sendAgentError(res, error, 'Failed to retrieve agent. Please try again later.');
+    }
+  })
+);
+
+/**
+ * PATCH /agents/:agentId
+ * Ubah name, description, model, owner, purpose atau metadata
+ */
+router.patch('/:agentId',
+  rateLimitApi,
+  validateRequest(Agent.getUpdateSchema()),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const agent = await agentService.updateAgent(req.user, req.params.agentId, req.body);
+
+      res.status(200).json({
+        message: 'Agent updated successfully',
+        data: agent,
+        metadata: {
+          response_time_ms: Date.now() - startTime
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Agent update failed:', error);
+      router.sendAgentError(res, error, 'Failed to update agent. Please try again later.');
+    }
+  })
+);
+
+/**
+ * POST /agents/:agentId/disable
+ * Agent disabled tidak bisa lagi menulis notes/sessions dan tidak dihitung agent limit
+ */
+router.post('/:agentId/disable',
+  rateLimitApi,
+  asyncHandler(async (req, res) => {
+    await router.sendAgentStatusChange(req, res, 'disabled');
+  })
+);
+
+/**
+ * POST /agents/:agentId/enable
+ * Aktifkan kembali agent (dihitung terhadap agent limit)
+ */
+router.post('/:agentId/enable',
+  rateLimitApi,
+  asyncHandler(async (req, res) => {
+    await router.sendAgentStatusChange(req, res, 'active');
+  })
+);
+
+/**
+ * GET /agents/:agentId/stats
+ * Statistics notes agent (total, per type, token usage, first/last note)
+ */
+router.get('/:agentId/stats',
+  rateLimitApi,
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const result = await agentService.getAgentStats(req.user, req.params.agentId);
+
+      res.status(200).json({
+        message: 'Agent statistics retrieved successfully',
+        data: result,
+        metadata: {
+          response_time_ms: Date.now() - startTime
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Get agent statistics failed:', error);
+      router.sendAgentError(res, error, 'Failed to retrieve agent statistics. Please try again later.');
+    }
+  })
+);
+
+// Helper methods
+
+router.sendAgentStatusChange = async (req, res, status) => {
+  const startTime = Date.now();
+
+  try {
+    const agent = await agentService.setAgentStatus(req.user, req.params.agentId, status);
+
+    res.status(200).json({
+      message: `Agent ${status === 'disabled' ? 'disabled' : 'enabled'} successfully`,
+      data: agent,
+      metadata: {
+        response_time_ms: Date.now() - startTime
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Agent status update failed:', error);
+    router.sendAgentError(res, error, 'Failed to update agent status. Please try again later.');
+  }
+};
+
+router.sendAgentError = (res, error, fallbackMessage) => {
+  // AgentService melempar error dengan status (ValidationError 400, ForbiddenError 403, NotFoundError 404, ConflictError 409)
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({
+      error: AGENT_ERROR_TITLES[error.status] || error.message.split(':')[0],
+      details: [error.message]
+    });
+  }
+
+  return res.status(500).json({
+    error: 'Internal server error',
+    details: [fallbackMessage]
+  });
+};
+
+export default router;
@@ -0,0 +1,154 @@
+/**
+ * Audit Routes
+ *
+ * Routes untuk membaca, export dan verifikasi audit log akun user
+ * (hash-chained, append-only; tidak ada endpoint untuk mengubah entries)
+ * Endpoints: /audit, /audit/export, /audit/verify
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { Router } from 'express';
+import Joi from 'joi';
+import StorageService from '../../services/storage.service.js';
+import AuditService from '../../services/audit.service.js';
+import { AuditEntry } from '../../models/audit-entry.js';
+import { validateRequest } from '../middleware/validation.middleware.js';
+import { authenticate, requireAccountAccess } from '../middleware/auth.middleware.js';
+import { rateLimitApi } from '../middleware/rate-limit.middleware.js';
+import { asyncHandler } from '../middleware/async-handler.middleware.js';
+
+const router = Router();
+
+// Initialize services
+const storageService = new StorageService();
+const auditService = new AuditService(storageService);
+
+// Apply authentication to all audit routes
+router.use(authenticate);
+// Audit log akun hanya bisa dibaca lewat primary API key
+router.use(requireAccountAccess);
+
+// Validation schemas
+const exportSchema = AuditEntry.getQuerySchema()
+  .fork(['before', 'limit'], schema => schema.strip())
+  .keys({
+    format: Joi.string().valid('json', 'csv').default('json')
+      .messages({
+        'any.only': 'Format must be one of: json, csv'
+      })
+  });
+
+/**
+ * GET /audit
+ * Audit entries akun, terbaru dulu
+ * Filters: action (atau prefix 'api_key.*'), actor_id, target_type, target_id, outcome, from, to
+ * Paging: before=<next_before dari response sebelumnya>
+ */
+router.get('/',
+  rateLimitApi,
+  validateRequest(AuditEntry.getQuerySchema(), 'query'),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const result = await auditService.queryEntries(req.user.id.toString(), req.query);
+
+      res.status(200).json({
+        message: 'Audit entries retrieved successfully',
+        data: {
+          entries: result.entries,
+          total: result.entries.length,
+          next_before: result.next_before
+        },
+        metadata: {
+          response_time_ms: Date.now() - startTime,
+          scanned_entries: result.scanned
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Get audit entries failed:', error);
+
+      res.status(500).json({
+        error: 'Internal server error',
+        details: ['Failed to retrieve audit entries. Please try again later.']
+      });
+    }
+  })
+);
+
+/**
+ * GET /audit/export
+ * Export audit log (json atau csv) beserta hasil verifikasi hash chain
+ */
+router.get('/export',
+  rateLimitApi,
+  validateRequest(exportSchema, 'query'),
+  asyncHandler(async (req, res) => {
+    try {
+      const { format, ...filters } = req.query;
+      const exported = await auditService.exportEntries(req.user.id.toString(), filters);
+      const filename = `audit-${exported.chain_id}-${exported.exported_at.replace(/[:.]/g, '-')}`;
+
+      // Hasil verifikasi juga dikirim sebagai header untuk export CSV
+      res.set('X-Audit-Chain-Valid', String(exported.verification.valid));
+      res.set('X-Audit-Last-Hash', exported.verification.last_hash || '');
+
+      if (format === 'csv') {
+        res.attachment(`${filename}.csv`);
+        res.type('text/csv');
+        return res.status(200).send(auditService.toCsv(exported.entries));
+      }
+
+      res.attachment(`${filename}.json`);
+      res.status(200).json(exported);
+
+    } catch (error) {
+      console.error('❌ Audit export failed:', error);
+
+      res.status(500).json({
+        error: 'Internal server error',
+        details: ['Failed to export audit log. Please try again later.']
+      });
+    }
+  })
+);
+
+/**
+ * GET /audit/verify
+ * Verifikasi hash chain audit log akun dari entry pertama
+ */
+router.get('/verify',
+  rateLimitApi,
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const verification = await auditService.verifyChain(req.user.id.toString());
+
+      if (!verification.valid) {
+        console.warn(`⚠️ Audit chain ${verification.chain_id} failed verification at sequence ${verification.broken_at.sequence}: ${verification.broken_at.reason}`);
+      }
+
+      res.status(200).json({
+        message: verification.valid ? 'Audit chain is intact' : 'Audit chain verification failed',
+        data: verification,
+        metadata: {
+          response_time_ms: Date.now() - startTime
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Audit verification failed:', error);
+
+      res.status(500).json({
+        error: 'Internal server error',
+        details: ['Failed to verify audit log. Please try again later.']
+      });
+    }
+  })
+);
+
+export default router;
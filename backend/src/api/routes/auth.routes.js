@@ -2,7 +2,9 @@
  * Authentication Routes
  * 
  * Routes untuk subscriber registration dan token management
- * Endpoints: /auth/subscribe, /auth/token
+ * Token issue/refresh, revoke dan perubahan API keys dicatat di audit log
+ * Refresh token dirotasi setiap dipakai; token bisa di-revoke lewat /auth/tokens/revoke
+ * Endpoints: /auth/subscribe, /auth/token, /auth/refresh, /auth/tokens/revoke, /auth/me, /auth/revoke, /auth/api-keys
  * 
  * @author MCP Server Team
  * @version 1.0.0
@@ -11,8 +13,10 @@
 import { Router } from 'express';
 import Joi from 'joi';
 import sharedServices from '../../services/shared-services.js';
-import { validateRequest } from '../middleware/validation.middleware.js';
-import { rateLimitAuth } from '../middleware/rate-limit.middleware.js';
+import { ApiKey } from '../../models/api-key.js';
+import { validateRequest, validateUUID } from '../middleware/validation.middleware.js';
+import { authenticate, requireAccountAccess } from '../middleware/auth.middleware.js';
+import { rateLimitAuth, rateLimitApi } from '../middleware/rate-limit.middleware.js';
 import { asyncHandler } from '../middleware/async-handler.middleware.js';
 
 const router = Router();
@@ -44,6 +48,24 @@ const tokenSchema = Joi.object({
     })
 });
 
+const revokeTokenSchema = Joi.object({
+  token: Joi.string().optional()
+    .messages({
+      'string.base': 'Token must be a string'
+    }),
+  family: Joi.boolean().default(true)
+});
+
+const rotateApiKeySchema = Joi.object({
+  grace_period: Joi.number().integer().min(0).optional()
+    .messages({
+      'number.min': 'Grace period must be 0 or more seconds'
+    })
+});
+
+// API key management hanya dengan token dari primary API key
+const apiKeyManagement = [authenticate, requireAccountAccess];
+
 /**
  * POST /auth/subscribe
  * Register new subscriber
@@ -61,7 +83,7 @@ router.post('/subscribe',
         email,
         organization,
         tier
-      });
+      }, authService.auditService.getRequestContext(req));
 
       // Log subscription creation
       console.log(`✅ New subscription created: ${subscription.user_id} (${tier})`);
@@ -111,10 +133,11 @@ router.post('/token',
     try {
       // Generate token
       const authService = sharedServices.getAuthService();
-      const tokenResponse = await authService.generateToken(api_key);
+      const tokenResponse = await authService.generateToken(api_key, { ip: req.ip });
 
       // Log token generation
       console.log(`🔑 Token generated for API key: ${api_key.substring(0, 8)}...`);
+      await router.recordTokenAudit(req, 'token.issue', tokenResponse);
 
       res.status(200).json({
         message: 'Token generated successfully',
@@ -153,6 +176,16 @@ router.post('/token',
         });
       }
 
+      // Scoped API key: revoked, expired (termasuk grace period rotation habis) atau IP di luar allowlist
+      if (error.message.includes('API key has been revoked') ||
+          error.message.includes('API key has expired') ||
+          error.message.includes('IP address not allowed')) {
+        return res.status(401).json({
+          error: 'Unauthorized access',
+          details: [error.message.replace('Failed to generate token: ', '')]
+        });
+      }
+
       // Generic error response
       res.status(500).json({
         error: 'Internal server error',
@@ -179,7 +212,10 @@ router.post('/refresh',
 
     try {
       // Refresh token
-      const tokenResponse = await authService.refreshToken(refresh_token);
+      const authService = sharedServices.getAuthService();
+      const tokenResponse = await authService.refreshToken(refresh_token, authService.auditService.getRequestContext(req));
+
+      await router.recordTokenAudit(req, 'token.refresh', tokenResponse);
 
       res.status(200).json({
         message: 'Token refreshed successfully',
@@ -189,13 +225,23 @@ router.post('/refresh',
     } catch (error) {
       console.error('❌ Token refresh failed:', error);
 
+      // Refresh token lama dipakai ulang: seluruh family sudah di-revoke
+      if (error.message.includes('reuse detected')) {
+        return res.status(401).json({
+          error: 'Unauthorized access',
+          details: ['Refresh token has already been used. All tokens of this session have been revoked; request a new token with your API key']
+        });
+      }
+
       // Handle specific errors
       if (error.message.includes('Invalid token type') || 
           error.message.includes('Token has expired') ||
-          error.message.includes('Invalid signature')) {
+          error.message.includes('Token has been revoked') ||
+          error.message.includes('invalid signature') ||
+          error.message.includes('jwt malformed')) {
         return res.status(401).json({
           error: 'Unauthorized access',
-          details: ['Invalid or expired refresh token']
+          details: ['Invalid, expired or revoked refresh token']
         });
       }
 
@@ -208,12 +254,116 @@ router.post('/refresh',
   })
 );
 
+/**
+ * POST /auth/tokens/revoke
+ * Revoke access atau refresh token (default token yang sedang dipakai) lewat jti denylist;
+ * dengan family: true (default) seluruh refresh token family ikut di-revoke
+ */
+router.post('/tokens/revoke',
+  authenticate,
+  rateLimitAuth,
+  validateRequest(revokeTokenSchema),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const authService = sharedServices.getAuthService();
+      const token = req.body.token || (req.get('Authorization') || '').replace(/^Bearer\s+/, '');
+
+      if (!token) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: ['token is required when authenticating with an API key']
+        });
+      }
+
+      const result = await authService.revokeToken(req.user.userId, token, { family: req.body.family });
+
+      console.log(`🚫 Token ${result.jti} revoked for user ${req.user.userId}${result.family_revoked ? ` (family ${result.family_id})` : ''}`);
+      await authService.auditService.recordRequest(req, 'token.revoke', {
+        target_type: result.token_type === 'refresh' ? 'refresh_token' : 'access_token',
+        target_id: result.jti,
+        details: {
+          family_id: result.family_id,
+          family_revoked: result.family_revoked
+        }
+      });
+
+      res.status(200).json({
+        message: 'Token revoked successfully',
+        data: result,
+        metadata: {
+          response_time_ms: Date.now() - startTime
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Token revocation failed:', error);
+
+      if (error.message.includes('Token not found') || error.message.includes('Invalid token')) {
+        return res.status(400).json({
+          error: 'Invalid token',
+          details: [error.message.replace('Failed to revoke token: ', '')]
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        details: ['Failed to revoke token. Please try again later.']
+      });
+    }
+  })
+);
+
+/**
+ * POST /auth/tokens/revoke-all
+ * Revoke semua refresh token families (dan access tokens-nya) milik akun
+ */
+router.post('/tokens/revoke-all',
+  ...apiKeyManagement,
+  rateLimitAuth,
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const authService = sharedServices.getAuthService();
+      const result = await authService.revokeAllTokens(req.user.userId);
+
+      console.log(`🚫 All token families revoked for user ${req.user.userId} (${result.families_revoked})`);
+      await authService.auditService.recordRequest(req, 'token.revoke', {
+        target_type: 'refresh_token_family',
+        target_id: req.user.userId,
+        details: {
+          all: true,
+          families_revoked: result.families_revoked
+        }
+      });
+
+      res.status(200).json({
+        message: 'All tokens revoked successfully',
+        data: result,
+        metadata: {
+          response_time_ms: Date.now() - startTime
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Token revocation failed:', error);
+
+      res.status(500).json({
+        error: 'Internal server error',
+        details: ['Failed to revoke tokens. Please try again later.']
+      });
+    }
+  })
+);
+
 /**
  * GET /auth/me
  * Get current user info from token
  */
 router.get('/me',
-  // Note: This would need authentication middleware
+  authenticate,
   asyncHandler(async (req, res) => {
     try {
       // Extract user from token (added by auth middleware)
@@ -227,6 +377,7 @@ router.get('/me',
       }
 
       // Get subscription details
+      const authService = sharedServices.getAuthService();
       const subscription = await authService.getSubscription(user.userId);
 
       res.status(200).json({
@@ -261,7 +412,7 @@ router.get('/me',
  * Revoke API key (generate new one)
  */
 router.post('/revoke',
-  // Note: This would need authentication middleware
+  ...apiKeyManagement,
   asyncHandler(async (req, res) => {
     try {
       const user = req.user;
@@ -274,16 +425,22 @@ router.post('/revoke',
       }
 
       // Revoke current API key dan generate new one
+      const authService = sharedServices.getAuthService();
       const newApiKey = await authService.revokeApiKey(user.userId);
 
       // Log API key revocation
       console.log(`🔑 API key revoked for user: ${user.userId}`);
+      await authService.auditService.recordRequest(req, 'api_key.revoke', {
+        target_type: 'primary_api_key',
+        target_id: user.userId,
+        details: { replaced: true }
+      });
 
       res.status(200).json({
         message: 'API key revoked successfully',
         data: {
           new_api_key: newApiKey,
-          message: 'Please store the new API key securely. The old key is no longer valid.'
+          message: 'Please store the new API key securely. The old key and tokens issued from it are no longer valid.'
         }
       });
 
@@ -298,6 +455,224 @@ router.post('/revoke',
   })
 );
 
+/**
+ * POST /auth/api-keys
+ * Buat scoped API key (scopes, expiry, agent binding, IP allowlist)
+ */
+router.post('/api-keys',
+  ...apiKeyManagement,
+  rateLimitApi,
+  validateRequest(ApiKey.getValidationSchema()),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const authService = sharedServices.getAuthService();
+      const apiKey = await authService.createApiKey(req.user.userId, req.body);
+
+      console.log(`🔑 Scoped API key created: ${apiKey.id} (${apiKey.scopes.join(', ')}) for user ${req.user.userId}`);
+      await authService.auditService.recordRequest(req, 'api_key.create', {
+        target_type: 'api_key',
+        target_id: apiKey.id,
+        details: {
+          name: apiKey.name,
+          scopes: apiKey.scopes,
+          agent_ids: apiKey.agent_ids,
+          ip_allowlist: apiKey.ip_allowlist,
+          expires_at: apiKey.expires_at
+        }
+      });
+
+      res.status(201).json({
+        message: 'API key created successfully',
+        data: {
+          ...apiKey,
+          message: 'Please store the API key securely. It will not be shown again.'
+        },
+        metadata: {
+          response_time_ms: Date.now() - startTime
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ API key creation failed:', error);
+      router.sendApiKeyError(res, error, 'Failed to create API key');
+    }
+  })
+);
+
+/**
+ * GET /auth/api-keys
+ * List scoped API keys milik user (tanpa raw key)
+ */
+router.get('/api-keys',
+  ...apiKeyManagement,
+  rateLimitApi,
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const authService = sharedServices.getAuthService();
+      const apiKeys = await authService.listApiKeys(req.user.userId);
+
+      res.status(200).json({
+        message: 'API keys retrieved successfully',
+        data: {
+          api_keys: apiKeys,
+          total: apiKeys.length
+        },
+        metadata: {
+          response_time_ms: Date.now() - startTime
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Get API keys failed:', error);
+      router.sendApiKeyError(res, error, 'Failed to retrieve API keys');
+    }
+  })
+);
+
+/**
+ * DELETE /auth/api-keys/:keyId
+ * Revoke scoped API key; token yang sudah diterbitkan ikut tidak berlaku
+ */
+router.delete('/api-keys/:keyId',
+  ...apiKeyManagement,
+  rateLimitApi,
+  validateUUID('keyId'),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const authService = sharedServices.getAuthService();
+      const apiKey = await authService.revokeScopedApiKey(req.user.userId, req.params.keyId);
+
+      console.log(`🔑 Scoped API key revoked: ${apiKey.id} for user ${req.user.userId}`);
+      await authService.auditService.recordRequest(req, 'api_key.revoke', {
+        target_type: 'api_key',
+        target_id: apiKey.id,
+        details: { name: apiKey.name }
+      });
+
+      res.status(200).json({
+        message: 'API key revoked successfully',
+        data: apiKey,
+        metadata: {
+          response_time_ms: Date.now() - startTime
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ API key revocation failed:', error);
+      router.sendApiKeyError(res, error, 'Failed to revoke API key');
+    }
+  })
+);
+
+/**
+ * POST /auth/api-keys/:keyId/rotate
+ * Rotate scoped API key; key lama tetap berlaku selama grace_period (detik)
+ */
+router.post('/api-keys/:keyId/rotate',
+  ...apiKeyManagement,
+  rateLimitApi,
+  validateUUID('keyId'),
+  validateRequest(rotateApiKeySchema),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const authService = sharedServices.getAuthService();
+      const apiKey = await authService.rotateApiKey(req.user.userId, req.params.keyId, req.body);
+
+      console.log(`🔄 Scoped API key rotated: ${req.params.keyId} → ${apiKey.id} for user ${req.user.userId}`);
+      await authService.auditService.recordRequest(req, 'api_key.rotate', {
+        target_type: 'api_key',
+        target_id: req.params.keyId,
+        details: {
+          new_key_id: apiKey.id,
+          grace_expires_at: apiKey.previous_key.grace_expires_at
+        }
+      });
+
+      res.status(201).json({
+        message: 'API key rotated successfully',
+        data: {
+          ...apiKey,
+          message: `Please store the new API key securely. The old key stays valid until ${apiKey.previous_key.grace_expires_at}.`
+        },
+        metadata: {
+          response_time_ms: Date.now() - startTime
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ API key rotation failed:', error);
+      router.sendApiKeyError(res, error, 'Failed to rotate API key');
+    }
+  })
+);
+
+// Helper methods
+
+/**
+ * Catat token issue/refresh di audit chain pemilik token
+ */
+router.recordTokenAudit = async (req, action, tokenResponse) => {
+  const authService = sharedServices.getAuthService();
+  const { userId, keyId } = authService.getTokenSubject(tokenResponse.access_token);
+
+  await authService.auditService.record({
+    chain_id: userId,
+    action,
+    actor_id: userId,
+    api_key_id: keyId,
+    target_type: 'token',
+    target_id: userId,
+    ...authService.auditService.getRequestContext(req),
+    details: {
+      key_type: keyId ? 'scoped' : 'primary',
+      expires_in: tokenResponse.expires_in
+    }
+  });
+};
+
+router.sendApiKeyError = (res, error, fallbackMessage) => {
+  if (error.message.includes('API key not found')) {
+    return res.status(404).json({
+      error: 'API key not found',
+      details: [error.message]
+    });
+  }
+
+  if (error.message.includes('already exists') || error.message.includes('cannot be rotated')) {
+    return res.status(409).json({
+      error: 'Conflict',
+      details: [error.message]
+    });
+  }
+
+  if (error.message.includes('limit reached')) {
+    return res.status(403).json({
+      error: 'API key limit reached',
+      details: [error.message]
+    });
+  }
+
+  if (error.message.includes('Invalid')) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [error.message]
+    });
+  }
+
+  return res.status(500).json({
+    error: 'Internal server error',
+    details: [`${fallbackMessage}. Please try again later.`]
+  });
+};
+
 /**
  * Error handling middleware untuk auth routes
  */
@@ -12,8 +12,9 @@ import { Router } from 'express';
 import Joi from 'joi';
 import StorageService from '../../services/storage.service.js';
 import CacheService from '../../services/cache.service.js';
+import OrganizationService from '../../services/organization.service.js';
 import { validateRequest } from '../middleware/validation.middleware.js';
-import { authenticate } from '../middleware/auth.middleware.js';
+import { authenticate, loadAccessContext, resolveMemoryScope, requireScope, enforceAgentBinding } from '../middleware/auth.middleware.js';
 import { rateLimitApi } from '../middleware/rate-limit.middleware.js';
 import { asyncHandler } from '../middleware/async-handler.middleware.js';
 
@@ -22,9 +23,14 @@ const router = Router();
 // Initialize services
 const storageService = new StorageService();
 const cacheService = new CacheService(storageService);
+const organizationService = new OrganizationService(storageService);
 
 // Apply authentication to all experience routes
 router.use(authenticate);
+// Organization/team access untuk experiences yang di-scope (req.access)
+router.use(loadAccessContext);
+// Agent binding scoped API key (agent_id di body/query)
+router.use(enforceAgentBinding);
 
 // Validation schemas
 const getExperiencesSchema = Joi.object({
@@ -36,11 +42,88 @@ const getExperiencesSchema = Joi.object({
   sort_order: Joi.string().valid('asc', 'desc').default('desc')
 });
 
+const uuidSchema = Joi.string().guid({ version: ['uuidv1', 'uuidv2', 'uuidv3', 'uuidv4', 'uuidv5'] });
+
+const milestoneSchema = Joi.string().min(1).max(500).required()
+  .messages({
+    'string.max': 'Milestone must not exceed 500 characters',
+    'any.required': 'Milestone is required'
+  });
+
+const createExperienceSchema = Joi.object({
+  project_id: Joi.string().min(1).max(100).required()
+    .messages({
+      'any.required': 'Project ID is required'
+    }),
+  title: Joi.string().min(5).max(200).required()
+    .messages({
+      'string.min': 'Title must be at least 5 characters',
+      'string.max': 'Title must not exceed 200 characters',
+      'any.required': 'Title is required'
+    }),
+  description: Joi.string().min(10).required()
+    .messages({
+      'string.min': 'Description must be at least 10 characters',
+      'any.required': 'Description is required'
+    }),
+  journey: Joi.array().items(
+    Joi.object({
+      note_id: uuidSchema.required(),
+      milestone: milestoneSchema,
+      sequence: Joi.number().integer().min(1).optional(),
+      timestamp: Joi.date().iso().optional()
+    })
+  ).min(5).unique('note_id').required()
+    .messages({
+      'array.min': 'Journey must contain at least 5 notes',
+      'array.unique': 'Journey must not contain duplicate note IDs',
+      'string.guid': 'Note IDs must be valid UUIDs',
+      'any.required': 'Journey is required'
+    }),
+  applicable_domains: Joi.array().items(Joi.string().min(1).max(50)).unique().default([]),
+  org_id: uuidSchema.optional(),
+  team_id: uuidSchema.optional()
+});
+
+const addMilestoneSchema = Joi.object({
+  note_id: uuidSchema.required()
+    .messages({
+      'string.guid': 'Note ID must be a valid UUID',
+      'any.required': 'Note ID is required'
+    }),
+  milestone: milestoneSchema
+});
+
+const completeExperienceSchema = Joi.object({
+  success: Joi.boolean().required()
+    .messages({
+      'any.required': 'Success flag is required'
+    }),
+  metrics: Joi.object().default({}),
+  duration_hours: Joi.number().min(0).optional(),
+  iterations: Joi.number().integer().min(1).optional(),
+  lessons_learned: Joi.array().items(Joi.string().min(5)).min(1).required()
+    .messages({
+      'array.min': 'At least 1 lesson learned is required',
+      'string.min': 'Each lesson learned must be at least 5 characters',
+      'any.required': 'Lessons learned are required'
+    })
+});
+
+const abandonExperienceSchema = Joi.object({
+  reason: Joi.string().min(5).max(1000).required()
+    .messages({
+      'string.min': 'Reason must be at least 5 characters',
+      'any.required': 'Reason is required'
+    })
+});
+
 /**
  * GET /experiences
  * Get learning experiences with filtering
  */
 router.get('/',
+  requireScope('experiences:read'),
   rateLimitApi,
   validateRequest(getExperiencesSchema, 'query'),
   asyncHandler(async (req, res) => {
@@ -76,7 +159,7 @@ router.get('/',
         const responseTime = Date.now() - startTime;
         return res.status(200).json({
           message: 'Experiences retrieved successfully',
-          data: cachedResult,
+          data: router.filterReadableExperiences(req, cachedResult),
           metadata: {
             response_time_ms: responseTime,
             cached: true
@@ -159,7 +242,7 @@ router.get('/',
 
       res.status(200).json({
         message: 'Experiences retrieved successfully',
-        data: result,
+        data: router.filterReadableExperiences(req, result),
         metadata: {
           response_time_ms: responseTime,
           cached: false,
@@ -183,6 +266,7 @@ router.get('/',
  * Get specific experience by ID
  */
 router.get('/:experienceId',
+  requireScope('experiences:read'),
   rateLimitApi,
   asyncHandler(async (req, res) => {
     const startTime = Date.now();
@@ -214,6 +298,10 @@ router.get('/:experienceId',
       const cachedExperience = await cacheService.get(cacheKey);
 
       if (cachedExperience) {
+        if (!organizationService.canAccess(req.access, cachedExperience, 'experience', 'read')) {
+          return router.sendExperienceAccessDenied(res);
+        }
+
         const responseTime = Date.now() - startTime;
         return res.status(200).json({
           message: 'Experience retrieved successfully',
@@ -235,6 +323,10 @@ router.get('/:experienceId',
         });
       }
 
+      if (!organizationService.canAccess(req.access, experience, 'experience', 'read')) {
+        return router.sendExperienceAccessDenied(res);
+      }
+
       // Enrich with detailed analytics
       const enrichedExperience = {
         ...experience,
@@ -281,6 +373,7 @@ router.get('/:experienceId',
  * Get list of available domains with experience counts
  */
 router.get('/domains',
+  requireScope('experiences:read'),
   rateLimitApi,
   asyncHandler(async (req, res) => {
     const startTime = Date.now();
@@ -377,6 +470,7 @@ router.get('/domains',
  * Get personalized experience recommendations
  */
 router.post('/recommendations',
+  requireScope('experiences:read'),
   rateLimitApi,
   validateRequest(Joi.object({
     context: Joi.object({
@@ -456,7 +550,333 @@ router.post('/recommendations',
   })
 );
 
+/**
+ * POST /experiences
+ * Start recording a new experience journey
+ */
+router.post('/',
+  requireScope('experiences:write'),
+  rateLimitApi,
+  validateRequest(createExperienceSchema),
+  resolveMemoryScope,
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const user = req.user;
+
+      if (!router.hasExperienceAccess(user)) {
+        return res.status(403).json({
+          error: 'Feature not available',
+          details: ['Experience access requires pro or enterprise subscription']
+        });
+      }
+
+      const experience = await storageService.createExperience(req.body, user.id, req.scope);
+
+      await cacheService.invalidateByTags(['experiences:all']);
+
+      console.log(`✅ Experience created: ${experience.id} (${experience.project_id}) by user ${user.id}`);
+
+      const responseTime = Date.now() - startTime;
+
+      res.status(201).json({
+        message: 'Experience created successfully',
+        data: experience,
+        metadata: {
+          response_time_ms: responseTime,
+          journey_length: experience.journey.length
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Experience creation failed:', error);
+
+      const mapped = router.mapExperienceError(error);
+      if (mapped) {
+        return res.status(mapped.status).json(mapped.body);
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        details: ['Failed to create experience. Please try again later.']
+      });
+    }
+  })
+);
+
+/**
+ * POST /experiences/:experienceId/milestones
+ * Append a note as the next milestone of an active experience
+ */
+router.post('/:experienceId/milestones',
+  requireScope('experiences:write'),
+  rateLimitApi,
+  validateRequest(addMilestoneSchema),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const { experienceId } = req.params;
+      const { note_id: noteId, milestone } = req.body;
+      const user = req.user;
+
+      const denied = await router.checkExperienceWriteAccess(experienceId, user, req.access);
+      if (denied) {
+        return res.status(denied.status).json(denied.body);
+      }
+
+      const experience = await storageService.addExperienceMilestone(experienceId, noteId, milestone);
+
+      await router.invalidateExperienceCache(experience);
+
+      console.log(`📝 Milestone added to experience ${experienceId} by user ${user.id}`);
+
+      const responseTime = Date.now() - startTime;
+
+      res.status(200).json({
+        message: 'Milestone added successfully',
+        data: experience,
+        metadata: {
+          response_time_ms: responseTime,
+          journey_length: experience.journey.length
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Add experience milestone failed:', error);
+
+      const mapped = router.mapExperienceError(error);
+      if (mapped) {
+        return res.status(mapped.status).json(mapped.body);
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        details: ['Failed to add milestone. Please try again later.']
+      });
+    }
+  })
+);
+
+/**
+ * POST /experiences/:experienceId/complete
+ * Close out an active experience with outcomes and lessons learned
+ */
+router.post('/:experienceId/complete',
+  requireScope('experiences:write'),
+  rateLimitApi,
+  validateRequest(completeExperienceSchema),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const { experienceId } = req.params;
+      const user = req.user;
+
+      const denied = await router.checkExperienceWriteAccess(experienceId, user, req.access);
+      if (denied) {
+        return res.status(denied.status).json(denied.body);
+      }
+
+      const experience = await storageService.completeExperience(experienceId, req.body);
+
+      await router.invalidateExperienceCache(experience);
+
+      console.log(`✅ Experience completed: ${experienceId} (success: ${experience.outcomes.success}) by user ${user.id}`);
+
+      const responseTime = Date.now() - startTime;
+
+      res.status(200).json({
+        message: 'Experience completed successfully',
+        data: experience,
+        metadata: {
+          response_time_ms: responseTime,
+          lessons_count: experience.lessons_learned.length,
+          applicable_domains: experience.applicable_domains
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Experience completion failed:', error);
+
+      const mapped = router.mapExperienceError(error);
+      if (mapped) {
+        return res.status(mapped.status).json(mapped.body);
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        details: ['Failed to complete experience. Please try again later.']
+      });
+    }
+  })
+);
+
+/**
+ * POST /experiences/:experienceId/abandon
+ * Abandon an active experience with a reason
+ */
+router.post('/:experienceId/abandon',
+  requireScope('experiences:write'),
+  rateLimitApi,
+  validateRequest(abandonExperienceSchema),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const { experienceId } = req.params;
+      const user = req.user;
+
+      const denied = await router.checkExperienceWriteAccess(experienceId, user, req.access);
+      if (denied) {
+        return res.status(denied.status).json(denied.body);
+      }
+
+      const experience = await storageService.abandonExperience(experienceId, req.body.reason);
+
+      await router.invalidateExperienceCache(experience);
+
+      console.log(`🗑️ Experience abandoned: ${experienceId} by user ${user.id}`);
+
+      const responseTime = Date.now() - startTime;
+
+      res.status(200).json({
+        message: 'Experience abandoned successfully',
+        data: experience,
+        metadata: {
+          response_time_ms: responseTime
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Experience abandon failed:', error);
+
+      res.status(500).json({
+        error: 'Internal server error',
+        details: ['Failed to abandon experience. Please try again later.']
+      });
+    }
+  })
+);
+
 // Helper methods
+router.isValidExperienceId = (experienceId) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(experienceId);
+};
+
+router.hasExperienceAccess = (user) => {
+  return Boolean(user.subscription?.features?.includes('experience_access'));
+};
+
+router.sendExperienceAccessDenied = (res) => {
+  return res.status(403).json({
+    error: 'Access denied',
+    details: ['You do not have access to this experience']
+  });
+};
+
+/**
+ * Buang experiences organization/team yang tidak boleh dibaca user (cache dipakai bersama semua user)
+ */
+router.filterReadableExperiences = (req, result) => {
+  return { ...result, experiences: organizationService.filterReadable(req.access, result.experiences, 'experience') };
+};
+
+/**
+ * Cek apakah user boleh mengubah experience (ID valid, ada, milik user atau writer di team, masih active)
+ * @param {Object} access - Access context organization/team (req.access)
+ * @returns {Promise<Object|null>} { status, body } jika ditolak, null jika boleh
+ */
+router.checkExperienceWriteAccess = async (experienceId, user, access) => {
+  if (!router.isValidExperienceId(experienceId)) {
+    return {
+      status: 400,
+      body: { error: 'Invalid experience ID', details: ['Experience ID must be a valid UUID'] }
+    };
+  }
+
+  if (!router.hasExperienceAccess(user)) {
+    return {
+      status: 403,
+      body: { error: 'Feature not available', details: ['Experience access requires pro or enterprise subscription'] }
+    };
+  }
+
+  const experience = await storageService.getExperienceById(experienceId);
+
+  if (!experience) {
+    return {
+      status: 404,
+      body: { error: 'Experience not found', details: [`Experience with ID ${experienceId} not found`] }
+    };
+  }
+
+  if (!organizationService.canAccess(access, experience, 'experience', 'write')) {
+    return {
+      status: 403,
+      body: { error: 'Access denied', details: ['You do not have write access to this experience'] }
+    };
+  }
+
+  if (experience.status !== 'active') {
+    return {
+      status: 409,
+      body: {
+        error: 'Experience not active',
+        details: [`Only active experiences can be modified (current status: ${experience.status})`],
+        current_status: experience.status
+      }
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Map error dari Experience model (Indonesian messages) ke HTTP response
+ * @returns {Object|null} { status, body }, null jika bukan error yang dikenal
+ */
+router.mapExperienceError = (error) => {
+  if (error.message.includes('Note IDs tidak ditemukan')) {
+    return {
+      status: 400,
+      body: {
+        error: 'Invalid note IDs',
+        details: [error.message.replace(/^.*Note IDs tidak ditemukan: /, 'Notes not found: ')]
+      }
+    };
+  }
+
+  if (error.message.includes('sudah ada dalam journey')) {
+    return {
+      status: 409,
+      body: { error: 'Note already in journey', details: ['The provided note ID is already part of this experience journey'] }
+    };
+  }
+
+  if (error.message.includes('Validasi')) {
+    return {
+      status: 400,
+      body: {
+        error: 'Validation failed',
+        details: [error.message.replace(/^.*Validasi (completion data )?gagal: /, '')]
+      }
+    };
+  }
+
+  return null;
+};
+
+router.invalidateExperienceCache = async (experience) => {
+  await cacheService.delete(`experience:${experience.id}`);
+  await cacheService.invalidateByTags([
+    'experiences:all',
+    ...experience.applicable_domains.map(domain => `experiences:${domain}`)
+  ]);
+};
+
 router.calculateRelevanceScore = (experience, user) => {
   // Simple relevance calculation based on user profile
   return 0.5 + Math.random() * 0.5; // Mock implementation
@@ -524,7 +944,6 @@ router.generateUsageRecommendations = (experience, user) => {
 
 router.incrementAccessCount = async (experienceId) => {
   // Increment access counter
-  const cacheService = new CacheService();
   return await cacheService.increment(`experience:access:${experienceId}`, 1, 86400);
 };
 
@@ -2,7 +2,7 @@
  * Knowledge Routes
  * 
  * Routes untuk knowledge management operations
- * Endpoints: /knowledge
+ * Endpoints: /knowledge, /knowledge/:knowledgeId/notes, /knowledge/:knowledgeId/status
  * 
  * @author MCP Server Team
  * @version 1.0.0
@@ -11,20 +11,34 @@
 import { Router } from 'express';
 import Joi from 'joi';
 import StorageService from '../../services/storage.service.js';
+import { KNOWLEDGE_STATUS_TRANSITIONS } from '../../models/knowledge.js';
 import CacheService from '../../services/cache.service.js';
-import { validateRequest } from '../middleware/validation.middleware.js';
-import { authenticate } from '../middleware/auth.middleware.js';
+import OrganizationService from '../../services/organization.service.js';
+import AuditService from '../../services/audit.service.js';
+import { validateRequest, customValidators } from '../middleware/validation.middleware.js';
+import { authenticate, requireTier, requireScope, loadAccessContext, resolveMemoryScope } from '../middleware/auth.middleware.js';
+import { ApiKey } from '../../models/api-key.js';
 import { rateLimitApi } from '../middleware/rate-limit.middleware.js';
 import { asyncHandler } from '../middleware/async-handler.middleware.js';
+import { KNOWLEDGE_FACETS, FACET_INTERVALS } from '../../lib/search-lib/facets.js';
 
 const router = Router();
 
 // Initialize services
 const storageService = new StorageService();
 const cacheService = new CacheService(storageService);
+const organizationService = new OrganizationService(storageService);
+const auditService = new AuditService(storageService);
 
 // Apply authentication to all knowledge routes
 router.use(authenticate);
+// Organization/team access untuk knowledge yang di-scope (req.access)
+router.use(loadAccessContext);
+
+// Tier policy untuk knowledge authoring
+const TIER_LEVELS = { basic: 1, pro: 2, enterprise: 3 };
+const AUTHORING_TIER = 'pro';
+const PUBLISHING_TIER = 'enterprise';
 
 // Validation schemas
 const getKnowledgeSchema = Joi.object({
@@ -48,11 +62,60 @@ const getKnowledgeSchema = Joi.object({
     })
 });
 
+const uuidSchema = Joi.string().guid({ version: ['uuidv1', 'uuidv2', 'uuidv3', 'uuidv4', 'uuidv5'] });
+
+const createKnowledgeSchema = Joi.object({
+  domain: Joi.string().min(1).max(50).required()
+    .messages({
+      'string.max': 'Domain must not exceed 50 characters',
+      'any.required': 'Domain is required'
+    }),
+  title: Joi.string().min(5).max(200).required()
+    .messages({
+      'string.min': 'Title must be at least 5 characters',
+      'string.max': 'Title must not exceed 200 characters',
+      'any.required': 'Title is required'
+    }),
+  summary: Joi.string().min(10).required()
+    .messages({
+      'string.min': 'Summary must be at least 10 characters',
+      'any.required': 'Summary is required'
+    }),
+  note_ids: Joi.array().items(uuidSchema).min(2).unique().required()
+    .messages({
+      'array.min': 'At least 2 notes are required to create knowledge',
+      'array.unique': 'Note IDs must be unique',
+      'string.guid': 'Note IDs must be valid UUIDs',
+      'any.required': 'Note IDs are required'
+    }),
+  org_id: uuidSchema.optional(),
+  team_id: uuidSchema.optional()
+});
+
+const addNotesSchema = Joi.object({
+  note_ids: Joi.array().items(uuidSchema).min(1).unique().required()
+    .messages({
+      'array.min': 'At least 1 note ID is required',
+      'array.unique': 'Note IDs must be unique',
+      'string.guid': 'Note IDs must be valid UUIDs',
+      'any.required': 'Note IDs are required'
+    })
+});
+
+const updateStatusSchema = Joi.object({
+  status: Joi.string().valid('draft', 'review', 'published', 'archived').required()
+    .messages({
+      'any.only': 'Status must be one of: draft, review, published, archived',
+      'any.required': 'Status is required'
+    })
+});
+
 /**
  * GET /knowledge
  * Get aggregated knowledge by domain
  */
 router.get('/',
+  requireScope('knowledge:read'),
   rateLimitApi,
   validateRequest(getKnowledgeSchema, 'query'),
   asyncHandler(async (req, res) => {
@@ -86,7 +149,7 @@ router.get('/',
         const responseTime = Date.now() - startTime;
         return res.status(200).json({
           message: 'Knowledge retrieved successfully',
-          data: cachedResult,
+          data: router.filterReadableKnowledge(req, cachedResult),
           metadata: {
             response_time_ms: responseTime,
             cached: true,
@@ -140,7 +203,7 @@ router.get('/',
 
       res.status(200).json({
         message: 'Knowledge retrieved successfully',
-        data: finalResult,
+        data: router.filterReadableKnowledge(req, finalResult),
         metadata: {
           response_time_ms: responseTime,
           cached: false,
@@ -185,6 +248,7 @@ router.get('/',
  * Get list of available knowledge domains
  */
 router.get('/domains',
+  requireScope('knowledge:read'),
   rateLimitApi,
   asyncHandler(async (req, res) => {
     const startTime = Date.now();
@@ -274,6 +338,7 @@ router.get('/domains',
  * Get summary of knowledge in specific domain
  */
 router.get('/:domain/summary',
+  requireScope('knowledge:read'),
   rateLimitApi,
   asyncHandler(async (req, res) => {
     const startTime = Date.now();
@@ -378,8 +443,11 @@ router.get('/:domain/summary',
 /**
  * POST /knowledge/search
  * Search across knowledge domains
+ * `facets` mengembalikan counts (domain, status, confidence, created_at), `selected_facets` untuk drill-down
+ * Setiap item menyertakan snippets (fragments dengan offsets), diatur lewat `highlight`
  */
 router.post('/search',
+  requireScope('knowledge:read'),
   rateLimitApi,
   validateRequest(Joi.object({
     query: Joi.string().required()
@@ -388,13 +456,28 @@ router.post('/search',
       }),
     domains: Joi.array().items(Joi.string()).optional(),
     min_confidence: Joi.number().min(0).max(1).default(0.6),
-    limit: Joi.number().integer().min(1).max(50).default(20)
+    limit: Joi.number().integer().min(1).max(50).default(20),
+    facets: Joi.array().items(Joi.string().valid(...Object.keys(KNOWLEDGE_FACETS))).unique().optional()
+      .messages({
+        'any.only': `Facets must be one of: ${Object.keys(KNOWLEDGE_FACETS).join(', ')}`
+      }),
+    facet_interval: Joi.string().valid(...FACET_INTERVALS).optional(),
+    selected_facets: Joi.object({
+      domain: Joi.array().items(Joi.string()),
+      status: Joi.array().items(Joi.string()),
+      confidence: Joi.array().items(Joi.string().valid(...KNOWLEDGE_FACETS.confidence.ranges.map(range => range.key))),
+      created_at: Joi.object({
+        from: Joi.date().iso(),
+        to: Joi.date().iso()
+      })
+    }).default({}),
+    highlight: customValidators.highlight()
   })),
   asyncHandler(async (req, res) => {
     const startTime = Date.now();
 
     try {
-      const { query, domains, min_confidence, limit } = req.body;
+      const { query, domains, min_confidence, limit, facets, facet_interval, selected_facets, highlight } = req.body;
       const user = req.user;
 
       // Check feature access
@@ -411,15 +494,20 @@ router.post('/search',
         query,
         domains: domains || [],
         minConfidence: parseFloat(min_confidence),
-        limit: parseInt(limit)
+        limit: parseInt(limit),
+        facets,
+        facetInterval: facet_interval,
+        selectedFacets: selected_facets,
+        highlight
       });
+      searchResult.items = organizationService.filterReadable(req.access, searchResult.items, 'knowledge');
 
       // Add search analytics
       const analyticsData = {
-        search_terms: this.extractSearchTerms(query),
+        search_terms: router.extractSearchTerms(query),
         domains_searched: domains || ['all'],
-        results_relevance: this.analyzeResultsRelevance(searchResult.items),
-        search_quality_score: this.calculateSearchQuality(query, searchResult.items)
+        results_relevance: router.analyzeResultsRelevance(searchResult.items),
+        search_quality_score: router.calculateSearchQuality(query, searchResult.items)
       };
 
       const responseTime = Date.now() - startTime;
@@ -455,8 +543,291 @@ router.post('/search',
   })
 );
 
+/**
+ * POST /knowledge
+ * Create draft knowledge from existing notes
+ */
+router.post('/',
+  requireScope('knowledge:write'),
+  rateLimitApi,
+  requireTier(AUTHORING_TIER),
+  validateRequest(createKnowledgeSchema),
+  resolveMemoryScope,
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const user = req.user;
+
+      const knowledge = await storageService.createKnowledge(req.body, user.id, req.scope);
+
+      await cacheService.invalidateByTags([`knowledge:${knowledge.domain}`, 'knowledge:domains']);
+
+      console.log(`✅ Knowledge created: ${knowledge.id} (${knowledge.domain}) by user ${user.id}`);
+
+      const responseTime = Date.now() - startTime;
+
+      res.status(201).json({
+        message: 'Knowledge created successfully',
+        data: knowledge,
+        metadata: {
+          response_time_ms: responseTime,
+          allowed_transitions: KNOWLEDGE_STATUS_TRANSITIONS[knowledge.status]
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Knowledge creation failed:', error);
+
+      if (error.message.includes('Note IDs tidak ditemukan')) {
+        return res.status(400).json({
+          error: 'Invalid note IDs',
+          details: [error.message.replace(/^.*Note IDs tidak ditemukan: /, 'Notes not found: ')]
+        });
+      }
+
+      if (error.message.includes('Validasi gagal')) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: [error.message.replace(/^.*Validasi gagal: /, '')]
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        details: ['Failed to create knowledge. Please try again later.']
+      });
+    }
+  })
+);
+
+/**
+ * POST /knowledge/:knowledgeId/notes
+ * Attach more notes to draft or in-review knowledge
+ */
+router.post('/:knowledgeId/notes',
+  requireScope('knowledge:write'),
+  rateLimitApi,
+  requireTier(AUTHORING_TIER),
+  validateRequest(addNotesSchema),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const { knowledgeId } = req.params;
+      const { note_ids: noteIds } = req.body;
+      const user = req.user;
+
+      if (!router.isValidKnowledgeId(knowledgeId)) {
+        return res.status(400).json({
+          error: 'Invalid knowledge ID',
+          details: ['Knowledge ID must be a valid UUID']
+        });
+      }
+
+      const current = await storageService.getKnowledgeById(knowledgeId);
+
+      if (!current) {
+        return res.status(404).json({
+          error: 'Knowledge not found',
+          details: [`Knowledge with ID ${knowledgeId} not found`]
+        });
+      }
+
+      if (!organizationService.canAccess(req.access, current, 'knowledge', 'write')) {
+        return router.sendKnowledgeAccessDenied(res);
+      }
+
+      // Published/archived knowledge harus dikembalikan ke draft dulu
+      if (!['draft', 'review'].includes(current.status)) {
+        return res.status(409).json({
+          error: 'Knowledge not editable',
+          details: [`Notes can only be attached to draft or review knowledge (current status: ${current.status})`]
+        });
+      }
+
+      const knowledge = await storageService.addNotesToKnowledge(knowledgeId, noteIds);
+
+      await cacheService.invalidateByTags([`knowledge:${knowledge.domain}`]);
+
+      console.log(`📝 Knowledge ${knowledgeId} updated with ${noteIds.length} notes by user ${user.id}`);
+
+      const responseTime = Date.now() - startTime;
+
+      res.status(200).json({
+        message: 'Notes attached successfully',
+        data: knowledge,
+        metadata: {
+          response_time_ms: responseTime,
+          notes_added: knowledge.note_ids.length - current.note_ids.length,
+          previous_version: current.version
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Attach notes to knowledge failed:', error);
+
+      if (error.message.includes('Note IDs tidak ditemukan')) {
+        return res.status(400).json({
+          error: 'Invalid note IDs',
+          details: [error.message.replace(/^.*Note IDs tidak ditemukan: /, 'Notes not found: ')]
+        });
+      }
+
+      if (error.message.includes('sudah ada dalam knowledge')) {
+        return res.status(409).json({
+          error: 'Notes already attached',
+          details: ['All provided note IDs are already part of this knowledge']
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        details: ['Failed to attach notes. Please try again later.']
+      });
+    }
+  })
+);
+
+/**
+ * PATCH /knowledge/:knowledgeId/status
+ * Move knowledge through draft → review → published → archived
+ */
+router.patch('/:knowledgeId/status',
+  requireScope('knowledge:write'),
+  rateLimitApi,
+  requireTier(AUTHORING_TIER),
+  validateRequest(updateStatusSchema),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const { knowledgeId } = req.params;
+      const { status } = req.body;
+      const user = req.user;
+
+      if (!router.isValidKnowledgeId(knowledgeId)) {
+        return res.status(400).json({
+          error: 'Invalid knowledge ID',
+          details: ['Knowledge ID must be a valid UUID']
+        });
+      }
+
+      const current = await storageService.getKnowledgeById(knowledgeId);
+
+      if (!current) {
+        return res.status(404).json({
+          error: 'Knowledge not found',
+          details: [`Knowledge with ID ${knowledgeId} not found`]
+        });
+      }
+
+      if (!organizationService.canAccess(req.access, current, 'knowledge', 'write')) {
+        return router.sendKnowledgeAccessDenied(res);
+      }
+
+      const allowedTransitions = KNOWLEDGE_STATUS_TRANSITIONS[current.status] || [];
+
+      if (!allowedTransitions.includes(status)) {
+        return res.status(409).json({
+          error: 'Invalid status transition',
+          details: [`Cannot move knowledge from ${current.status} to ${status}`],
+          current_status: current.status,
+          allowed_transitions: allowedTransitions
+        });
+      }
+
+      // Publish dan unpublish hanya untuk tier tertentu
+      const requiredTier = router.getRequiredTierForTransition(current.status, status);
+      const userTier = user.subscription?.tier || 'basic';
+
+      if ((TIER_LEVELS[userTier] || 0) < TIER_LEVELS[requiredTier]) {
+        return res.status(403).json({
+          error: 'Insufficient subscription tier',
+          details: [`Moving knowledge from ${current.status} to ${status} requires ${requiredTier} subscription or higher`],
+          current_tier: userTier,
+          required_tier: requiredTier
+        });
+      }
+
+      // Scoped API key butuh knowledge:publish untuk publish dan unpublish
+      if ((current.status === 'published' || status === 'published') && !ApiKey.userHasScope(user, 'knowledge:publish')) {
+        return res.status(403).json({
+          error: 'Insufficient scope',
+          details: [`Moving knowledge from ${current.status} to ${status} requires API key scope 'knowledge:publish'`],
+          required_scope: 'knowledge:publish',
+          granted_scopes: user.scopes
+        });
+      }
+
+      const knowledge = await storageService.updateKnowledgeStatus(knowledgeId, status, user.id);
+
+      await cacheService.invalidateByTags([`knowledge:${knowledge.domain}`, 'knowledge:domains', 'knowledge:summaries']);
+
+      console.log(`🔄 Knowledge ${knowledgeId} status: ${current.status} → ${status} by user ${user.id}`);
+      await auditService.recordRequest(req, 'knowledge.status_change', {
+        target_type: 'knowledge',
+        target_id: knowledgeId,
+        details: {
+          domain: knowledge.domain,
+          from_status: current.status,
+          to_status: status
+        }
+      });
+
+      const responseTime = Date.now() - startTime;
+
+      res.status(200).json({
+        message: 'Knowledge status updated successfully',
+        data: knowledge,
+        metadata: {
+          response_time_ms: responseTime,
+          previous_status: current.status,
+          allowed_transitions: KNOWLEDGE_STATUS_TRANSITIONS[knowledge.status]
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Knowledge status update failed:', error);
+
+      res.status(500).json({
+        error: 'Internal server error',
+        details: ['Failed to update knowledge status. Please try again later.']
+      });
+    }
+  })
+);
+
 // Helper methods (these would be implemented as class methods in real implementation)
 
+router.isValidKnowledgeId = (knowledgeId) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(knowledgeId);
+};
+
+router.sendKnowledgeAccessDenied = (res) => {
+  return res.status(403).json({
+    error: 'Access denied',
+    details: ['You do not have write access to this knowledge']
+  });
+};
+
+/**
+ * Buang knowledge organization/team yang tidak boleh dibaca user (cache dipakai bersama semua user)
+ */
+router.filterReadableKnowledge = (req, result) => {
+  const knowledgeItems = organizationService.filterReadable(req.access, result.knowledge_items, 'knowledge');
+  return { ...result, knowledge_items: knowledgeItems, total_items: knowledgeItems.length };
+};
+
+router.getRequiredTierForTransition = (fromStatus, toStatus) => {
+  // Publish atau menarik knowledge yang sudah published mempengaruhi semua consumer
+  if (toStatus === 'published' || fromStatus === 'published') {
+    return PUBLISHING_TIER;
+  }
+  return AUTHORING_TIER;
+};
+
 router.calculateDomainCoverage = (knowledgeItems, domain) => {
   // Calculate how well the domain is covered
   return {
@@ -0,0 +1,215 @@
+/**
+ * MCP Routes
+ *
+ * Streamable HTTP transport untuk Model Context Protocol
+ * Endpoints: POST /mcp (JSON-RPC), DELETE /mcp (terminate session)
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { Router } from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import sharedServices from '../../services/shared-services.js';
+import { McpServer, JSONRPC_ERRORS } from '../../mcp/server.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { rateLimitApi } from '../middleware/rate-limit.middleware.js';
+import { asyncHandler } from '../middleware/async-handler.middleware.js';
+
+const router = Router();
+
+// MCP session TTL (detik)
+const MCP_SESSION_TTL = parseInt(process.env.MCP_SESSION_TTL) || 86400;
+
+// Lazy MCP server instance, dibuat setelah shared services siap
+let mcpServer = null;
+
+const getMcpServer = () => {
+  if (!mcpServer) {
+    mcpServer = new McpServer({
+      storageService: sharedServices.getStorageService(),
+      searchService: sharedServices.getSearchService(),
+      authService: sharedServices.getAuthService()
+    });
+  }
+  return mcpServer;
+};
+
+const getSessionKey = (sessionId) => `mcp:session:${sessionId}`;
+
+const isInitializeRequest = (message) => {
+  const messages = Array.isArray(message) ? message : [message];
+  return messages.some(item => item && item.method === 'initialize');
+};
+
+const hasRequests = (message) => {
+  const messages = Array.isArray(message) ? message : [message];
+  return messages.some(item => item && typeof item.method === 'string' && item.id !== undefined);
+};
+
+// user.id adalah cassandra Uuid, session.user_id string hasil round-trip JSON
+const isSessionOwner = (session, user) => String(session.user_id) === user.id.toString();
+
+// Apply authentication to all MCP routes
+router.use(authenticate);
+
+/**
+ * POST /mcp
+ * Terima JSON-RPC message (single atau batch) dari MCP client
+ */
+router.post('/',
+  rateLimitApi,
+  asyncHandler(async (req, res) => {
+    const message = req.body;
+    const user = req.user;
+    const server = getMcpServer();
+
+    try {
+      if (!message || typeof message !== 'object') {
+        return res.status(400).json(
+          server.createError(null, JSONRPC_ERRORS.PARSE_ERROR, 'Parse error: body must be a JSON-RPC message')
+        );
+      }
+
+      const storageService = sharedServices.getStorageService();
+      let sessionId = req.get('Mcp-Session-Id');
+
+      if (isInitializeRequest(message)) {
+        if (Array.isArray(message)) {
+          return res.status(400).json(
+            server.createError(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request: initialize must not be batched')
+          );
+        }
+
+        sessionId = uuidv4();
+        const response = await server.handleMessage(message, { user, sessionId });
+
+        if (response.result) {
+          await storageService.cacheSet(getSessionKey(sessionId), {
+            user_id: user.id.toString(),
+            protocol_version: response.result.protocolVersion,
+            created_at: new Date().toISOString()
+          }, MCP_SESSION_TTL);
+
+          res.set('Mcp-Session-Id', sessionId);
+        }
+
+        return res.json(response);
+      }
+
+      if (!sessionId) {
+        return res.status(400).json(
+          server.createError(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Bad Request: Mcp-Session-Id header is required')
+        );
+      }
+
+      const session = await storageService.cacheGet(getSessionKey(sessionId));
+
+      if (!session || !isSessionOwner(session, user)) {
+        return res.status(404).json(
+          server.createError(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Session not found')
+        );
+      }
+
+      const protocolVersion = req.get('MCP-Protocol-Version');
+      if (protocolVersion && !server.isSupportedProtocolVersion(protocolVersion)) {
+        return res.status(400).json(
+          server.createError(null, JSONRPC_ERRORS.INVALID_REQUEST, `Unsupported protocol version: ${protocolVersion}`)
+        );
+      }
+
+      const response = await server.handleMessage(message, { user, sessionId });
+
+      // Notifications dan responses saja tidak membutuhkan body
+      if (!hasRequests(message) || response === null) {
+        return res.status(202).end();
+      }
+
+      res.json(response);
+
+    } catch (error) {
+      console.error('❌ MCP request failed:', error);
+      res.status(500).json(
+        server.createError(null, JSONRPC_ERRORS.INTERNAL_ERROR, 'Internal error', {
+          details: ['Failed to process MCP request']
+        })
+      );
+    }
+  })
+);
+
+/**
+ * GET /mcp
+ * Server-initiated SSE stream tidak didukung
+ */
+router.get('/', (req, res) => {
+  res.set('Allow', 'POST, DELETE');
+  res.status(405).json({
+    error: 'Method not allowed',
+    details: ['This server does not offer a server-initiated SSE stream']
+  });
+});
+
+/**
+ * DELETE /mcp
+ * Terminate MCP session
+ */
+router.delete('/',
+  asyncHandler(async (req, res) => {
+    const sessionId = req.get('Mcp-Session-Id');
+
+    if (!sessionId) {
+      return res.status(400).json({
+        error: 'Missing session',
+        details: ['Mcp-Session-Id header is required']
+      });
+    }
+
+    try {
+      const storageService = sharedServices.getStorageService();
+      const session = await storageService.cacheGet(getSessionKey(sessionId));
+
+      if (!session || !isSessionOwner(session, req.user)) {
+        return res.status(404).json({
+          error: 'Session not found',
+          details: [`MCP session with ID ${sessionId} not found`]
+        });
+      }
+
+      await storageService.cacheDelete(getSessionKey(sessionId));
+
+      console.log(`🗑️ MCP session terminated: ${sessionId}`);
+
+      res.status(204).end();
+
+    } catch (error) {
+      console.error('❌ MCP session termination failed:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        details: ['Failed to terminate MCP session']
+      });
+    }
+  })
+);
+
+/**
+ * Error handling middleware untuk MCP routes
+ */
+router.use((error, req, res, _next) => {
+  console.error('❌ MCP route error:', error);
+
+  if (error.status === 429) {
+    return res.status(429).json({
+      error: 'Rate limit exceeded',
+      details: ['Too many requests. Please try again later.'],
+      retry_after: error.retryAfter
+    });
+  }
+
+  res.status(500).json({
+    error: 'Internal server error',
+    details: ['An unexpected error occurred']
+  });
+});
+
+export default router;
@@ -1,8 +1,9 @@
 /**
  * Notes Routes
  * 
- * Routes untuk notes operations (create, retrieve, search)
- * Endpoints: /notes, /notes/search, /notes/relevant
+ * Routes untuk notes operations (create, retrieve, update, search)
+ * Endpoints: /notes, /notes/search, /notes/relevant, /notes/graph, /notes/:noteId/versions,
+ * /notes/:noteId/similar
  * 
  * @author MCP Server Team
  * @version 1.0.0
@@ -13,10 +14,14 @@ import Joi from 'joi';
 import StorageService from '../../services/storage.service.js';
 import SearchService from '../../services/search.service.js';
 import CacheService from '../../services/cache.service.js';
-import { validateRequest } from '../middleware/validation.middleware.js';
-import { authenticate } from '../middleware/auth.middleware.js';
+import OrganizationService from '../../services/organization.service.js';
+import AuditService from '../../services/audit.service.js';
+import { Note } from '../../models/note.js';
+import { validateRequest, customValidators } from '../middleware/validation.middleware.js';
+import { authenticate, loadAccessContext, resolveMemoryScope, requireScope, enforceAgentBinding, validateAgentAccess } from '../middleware/auth.middleware.js';
 import { rateLimitNotes } from '../middleware/rate-limit.middleware.js';
 import { asyncHandler } from '../middleware/async-handler.middleware.js';
+import { NOTE_FACETS, FACET_INTERVALS } from '../../lib/search-lib/facets.js';
 
 const router = Router();
 
@@ -24,9 +29,15 @@ const router = Router();
 const storageService = new StorageService();
 const searchService = new SearchService(storageService);
 const cacheService = new CacheService(storageService);
+const organizationService = new OrganizationService(storageService);
+const auditService = new AuditService(storageService);
 
 // Apply authentication to all notes routes
 router.use(authenticate);
+// Organization/team access untuk notes yang di-scope (req.access)
+router.use(loadAccessContext);
+// Agent binding scoped API key (agent_id di body/query)
+router.use(enforceAgentBinding);
 
 // Validation schemas
 const createNoteSchema = Joi.object({
@@ -38,6 +49,8 @@ const createNoteSchema = Joi.object({
     .messages({
       'string.uuid': 'Session ID must be a valid UUID'
     }),
+  org_id: Joi.string().uuid().optional(),
+  team_id: Joi.string().uuid().optional(),
   type: Joi.string().valid('build', 'development', 'bugfix', 'improvement').required()
     .messages({
       'any.only': 'Type must be one of: build, development, bugfix, improvement',
@@ -85,7 +98,60 @@ const searchSchema = Joi.object({
     .messages({
       'number.min': 'Min relevance must be at least 0',
       'number.max': 'Min relevance must not exceed 1'
+    }),
+  search_type: Joi.string().valid('auto', 'semantic', 'fulltext', 'hybrid', 'pattern').default('auto')
+    .messages({
+      'any.only': 'Search type must be one of: auto, semantic, fulltext, hybrid, pattern'
+    }),
+  // search_type pattern: query dijalankan sebagai regex, wildcard, literal atau fuzzy pattern
+  pattern: Joi.object({
+    type: Joi.string().valid('regex', 'wildcard', 'literal', 'fuzzy').default('literal'),
+    flags: Joi.string().pattern(/^[imsu]*$/).max(4).optional(),
+    threshold: Joi.number().min(0).max(1).optional()
+  })
+    .messages({
+      'any.only': 'Pattern type must be one of: regex, wildcard, literal, fuzzy',
+      'string.pattern.base': 'Pattern flags may only contain: i, m, s, u'
+    }),
+  fusion: Joi.object({
+    method: Joi.string().valid('rrf', 'linear'),
+    rrf_k: Joi.number().integer().min(1).max(1000),
+    weights: Joi.object({
+      semantic: Joi.number().min(0).max(10),
+      bm25: Joi.number().min(0).max(10),
+      pattern: Joi.number().min(0).max(10),
+      recency: Joi.number().min(0).max(10)
     })
+  })
+    .messages({
+      'any.only': 'Fusion method must be one of: rrf, linear'
+    }),
+  facets: Joi.array().items(Joi.string().valid(...Object.keys(NOTE_FACETS))).unique().optional()
+    .messages({
+      'any.only': `Facets must be one of: ${Object.keys(NOTE_FACETS).join(', ')}`
+    }),
+  facet_interval: Joi.string().valid(...FACET_INTERVALS).optional()
+    .messages({
+      'any.only': `Facet interval must be one of: ${FACET_INTERVALS.join(', ')}`
+    }),
+  selected_facets: Joi.object({
+    type: Joi.array().items(Joi.string()),
+    project: Joi.array().items(Joi.string()),
+    tags: Joi.array().items(Joi.string()),
+    success: Joi.array().items(Joi.boolean()),
+    agent_id: Joi.array().items(Joi.string()),
+    created_at: Joi.object({
+      from: Joi.date().iso(),
+      to: Joi.date().iso()
+    }),
+    error_codes: Joi.array().items(Joi.string()),
+    packages: Joi.array().items(Joi.string()),
+    http_status: Joi.array().items(Joi.number().integer()),
+    exit_codes: Joi.array().items(Joi.number().integer()),
+    sql_errors: Joi.array().items(Joi.string()),
+    languages: Joi.array().items(Joi.string())
+  }).default({}),
+  highlight: customValidators.highlight()
 });
 
 const relevantNotesSchema = Joi.object({
@@ -101,7 +167,8 @@ const relevantNotesSchema = Joi.object({
     .messages({
       'number.min': 'Max results must be at least 1',
       'number.max': 'Max results must not exceed 100'
-    })
+    }),
+  highlight: customValidators.highlight()
 });
 
 const getNotesSchema = Joi.object({
@@ -122,13 +189,141 @@ const getNotesSchema = Joi.object({
   to_date: Joi.date().iso().optional()
 });
 
+const updateNoteSchema = Joi.object({
+  type: Joi.string().valid('build', 'development', 'bugfix', 'improvement').required()
+    .messages({
+      'any.only': 'Type must be one of: build, development, bugfix, improvement',
+      'any.required': 'Type is required'
+    }),
+  context: Joi.object({
+    task: Joi.string().required(),
+    project: Joi.string().optional(),
+    tags: Joi.array().items(Joi.string()).optional()
+  }).required()
+    .messages({
+      'any.required': 'Context is required'
+    }),
+  content: Joi.object({
+    action: Joi.string().min(10).required()
+      .messages({
+        'string.min': 'Action must be at least 10 characters',
+        'any.required': 'Action is required'
+      }),
+    result: Joi.string().optional(),
+    learning: Joi.string().optional(),
+    errors: Joi.array().items(Joi.string()).optional(),
+    solution: Joi.string().optional()
+  }).required()
+    .messages({
+      'any.required': 'Content is required'
+    }),
+  change_summary: Joi.string().max(500).optional()
+    .messages({
+      'string.max': 'Change summary must not exceed 500 characters'
+    }),
+  expected_version: Joi.number().integer().min(1).optional()
+    .messages({
+      'number.min': 'Expected version must be at least 1'
+    })
+});
+
+const patchNoteSchema = Joi.object({
+  type: Joi.string().valid('build', 'development', 'bugfix', 'improvement').optional()
+    .messages({
+      'any.only': 'Type must be one of: build, development, bugfix, improvement'
+    }),
+  context: Joi.object({
+    task: Joi.string().optional(),
+    project: Joi.string().optional(),
+    tags: Joi.array().items(Joi.string()).optional()
+  }).optional(),
+  content: Joi.object({
+    action: Joi.string().min(10).optional()
+      .messages({
+        'string.min': 'Action must be at least 10 characters'
+      }),
+    result: Joi.string().optional(),
+    learning: Joi.string().optional(),
+    errors: Joi.array().items(Joi.string()).optional(),
+    solution: Joi.string().optional()
+  }).optional(),
+  change_summary: Joi.string().max(500).optional()
+    .messages({
+      'string.max': 'Change summary must not exceed 500 characters'
+    }),
+  expected_version: Joi.number().integer().min(1).optional()
+    .messages({
+      'number.min': 'Expected version must be at least 1'
+    })
+}).or('type', 'context', 'content')
+  .messages({
+    'object.missing': 'At least one of type, context or content must be provided'
+  });
+
+const diffSchema = Joi.object({
+  from: Joi.number().integer().min(1).required()
+    .messages({
+      'any.required': 'From version is required',
+      'number.min': 'From version must be at least 1'
+    }),
+  to: Joi.number().integer().min(1).optional()
+    .messages({
+      'number.min': 'To version must be at least 1'
+    })
+});
+
+const similarNotesSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(10)
+    .messages({
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    }),
+  min_similarity: Joi.number().min(-1).max(1).optional()
+    .messages({
+      'number.min': 'Min similarity must be at least -1',
+      'number.max': 'Min similarity must not exceed 1'
+    }),
+  scope: Joi.string().valid('agent', 'all').default('agent')
+    .messages({
+      'any.only': 'Scope must be one of: agent, all'
+    })
+});
+
+const similarityGraphSchema = Joi.object({
+  project: Joi.string().optional(),
+  agent_id: Joi.string().optional(),
+  type: Joi.string().valid('build', 'development', 'bugfix', 'improvement').optional()
+    .messages({
+      'any.only': 'Type must be one of: build, development, bugfix, improvement'
+    }),
+  success: Joi.boolean().optional(),
+  since: Joi.date().iso().optional(),
+  threshold: Joi.number().min(0).max(1).optional()
+    .messages({
+      'number.min': 'Threshold must be at least 0',
+      'number.max': 'Threshold must not exceed 1'
+    }),
+  max_nodes: Joi.number().integer().min(2).max(500).optional()
+    .messages({
+      'number.min': 'Max nodes must be at least 2',
+      'number.max': 'Max nodes must not exceed 500'
+    }),
+  max_edges_per_node: Joi.number().integer().min(1).max(50).optional()
+}).or('project', 'agent_id')
+  .messages({
+    'object.missing': 'At least one of project or agent_id must be provided'
+  });
+
 /**
  * POST /notes
  * Store new note
  */
 router.post('/',
+  requireScope('notes:write'),
   rateLimitNotes,
   validateRequest(createNoteSchema),
+  validateAgentAccess,
+  resolveMemoryScope,
   asyncHandler(async (req, res) => {
     const startTime = Date.now();
 
@@ -140,17 +335,22 @@ router.post('/',
       const enrichedNoteData = {
         ...noteData,
         metadata: {
-          user_id: user.userId,
           created_by: 'api',
           ip_address: req.ip,
           user_agent: req.get('User-Agent'),
-          ...noteData.metadata
+          ...noteData.metadata,
+          user_id: user.userId,
+          org_id: req.scope.org_id,
+          team_id: req.scope.team_id
         }
       };
 
       // Save note
       const savedNote = await storageService.saveNote(enrichedNoteData);
 
+      // Chunk + embed content di background untuk chunk-level retrieval
+      searchService.indexNoteChunks(savedNote);
+
       // Invalidate relevant caches
       await cacheService.invalidateByTags([
         `agent:${noteData.agent_id}`,
@@ -202,6 +402,7 @@ router.post('/',
  * Get notes by agent with pagination and filtering
  */
 router.get('/',
+  requireScope('notes:read'),
   rateLimitNotes,
   validateRequest(getNotesSchema, 'query'),
   asyncHandler(async (req, res) => {
@@ -229,7 +430,7 @@ router.get('/',
       if (cachedResult) {
         const responseTime = Date.now() - startTime;
         return res.status(200).json({
-          ...cachedResult,
+          ...router.filterReadableNotes(req, cachedResult),
           metadata: {
             response_time_ms: responseTime,
             cached: true
@@ -255,7 +456,7 @@ router.get('/',
 
       res.status(200).json({
         message: 'Notes retrieved successfully',
-        data: result,
+        data: router.filterReadableNotes(req, result),
         metadata: {
           response_time_ms: responseTime,
           cached: false
@@ -276,8 +477,14 @@ router.get('/',
 /**
  * POST /notes/search
  * Semantic search for notes
+ * Query mendukung field filters, boolean operators dan ranges, contoh:
+ * type:bugfix project:api tag:redis success:false after:2026-01-01 "connection reset" -timeout
+ * Entities yang di-extract dari notes juga bisa di-filter, mis. code:ECONNRESET package:ioredis status:503
+ * search_type pattern menjalankan query sebagai regex/wildcard/literal/fuzzy pattern atas notes agent
+ * `facets` mengembalikan counts per facet, `selected_facets` untuk drill-down
  */
 router.post('/search',
+  requireScope('notes:read'),
   rateLimitNotes,
   validateRequest(searchSchema),
   asyncHandler(async (req, res) => {
@@ -288,7 +495,8 @@ router.post('/search',
       const user = req.user;
 
       // Execute search
-      const searchResult = await searchService.searchNotes(searchParams);
+      // Results dan facet counts di-filter sesuai access context user
+      const searchResult = await searchService.searchNotes({ ...searchParams, user_id: user.userId, access: req.access });
 
       // Add response time header
       res.set('X-Response-Time', `${searchResult.query_time_ms}ms`);
@@ -300,7 +508,7 @@ router.post('/search',
         data: searchResult,
         metadata: {
           response_time_ms: responseTime,
-          search_method: 'semantic',
+          search_method: searchResult.search_type,
           user_id: user.userId
         }
       });
@@ -308,7 +516,15 @@ router.post('/search',
     } catch (error) {
       console.error('❌ Notes search failed:', error);
 
-      // Handle specific search errors
+      // Handle specific search errors (query language syntax → ValidationError)
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'Invalid search query',
+          details: error.details.map(detail => detail.message),
+          fields: error.details
+        });
+      }
+
       if (error.message.includes('Invalid query')) {
         return res.status(400).json({
           error: 'Invalid search query',
@@ -337,6 +553,7 @@ router.post('/search',
  * Get relevant notes for task
  */
 router.post('/relevant',
+  requireScope('notes:read'),
   rateLimitNotes,
   validateRequest(relevantNotesSchema),
   asyncHandler(async (req, res) => {
@@ -347,7 +564,8 @@ router.post('/relevant',
       const user = req.user;
 
       // Get relevant notes
-      const result = await searchService.getRelevantNotes(params);
+      const relevant = await searchService.getRelevantNotes({ ...params, user_id: user.userId });
+      const result = { ...relevant, notes: organizationService.filterReadable(req.access, relevant.notes, 'note') };
 
       // Add response headers
       res.set('X-Response-Time', `${Date.now() - startTime}ms`);
@@ -386,11 +604,51 @@ router.post('/relevant',
   })
 );
 
+/**
+ * GET /notes/graph?project=...
+ * Note-to-note similarity graph (nodes, weighted edges di atas threshold, clusters)
+ * Didaftarkan sebelum /:noteId agar "graph" tidak dianggap note ID
+ */
+router.get('/graph',
+  requireScope('notes:read'),
+  rateLimitNotes,
+  validateRequest(similarityGraphSchema, 'query'),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const { since, ...options } = req.query;
+      const graph = await searchService.getSimilarityGraph({
+        ...options,
+        access: req.access,
+        since: since ? new Date(since).toISOString() : undefined
+      });
+
+      res.status(200).json({
+        message: 'Similarity graph generated successfully',
+        data: graph,
+        metadata: {
+          response_time_ms: Date.now() - startTime
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Similarity graph failed:', error);
+
+      res.status(500).json({
+        error: 'Internal server error',
+        details: ['Failed to generate similarity graph. Please try again later.']
+      });
+    }
+  })
+);
+
 /**
  * GET /notes/:noteId
  * Get specific note by ID
  */
 router.get('/:noteId',
+  requireScope('notes:read'),
   rateLimitNotes,
   asyncHandler(async (req, res) => {
     const startTime = Date.now();
@@ -413,6 +671,10 @@ router.get('/:noteId',
       const cachedNote = await cacheService.get(cacheKey);
 
       if (cachedNote) {
+        if (!organizationService.canAccess(req.access, cachedNote, 'note', 'read')) {
+          return router.sendNoteAccessDenied(res);
+        }
+
         const responseTime = Date.now() - startTime;
         return res.status(200).json({
           message: 'Note retrieved successfully',
@@ -437,6 +699,10 @@ router.get('/:noteId',
       // Cache note for 10 minutes
       await cacheService.set(cacheKey, note, 600);
 
+      if (!organizationService.canAccess(req.access, note, 'note', 'read')) {
+        return router.sendNoteAccessDenied(res);
+      }
+
       const responseTime = Date.now() - startTime;
 
       res.status(200).json({
@@ -459,11 +725,233 @@ router.get('/:noteId',
   })
 );
 
+/**
+ * PUT /notes/:noteId
+ * Replace note type, context and content. Previous revision is kept in note_versions
+ */
+router.put('/:noteId',
+  requireScope('notes:write'),
+  rateLimitNotes,
+  validateRequest(updateNoteSchema),
+  asyncHandler(async (req, res) => {
+    return router.handleNoteUpdate(req, res, { replace: true });
+  })
+);
+
+/**
+ * PATCH /notes/:noteId
+ * Partially update note fields. Previous revision is kept in note_versions
+ */
+router.patch('/:noteId',
+  requireScope('notes:write'),
+  rateLimitNotes,
+  validateRequest(patchNoteSchema),
+  asyncHandler(async (req, res) => {
+    return router.handleNoteUpdate(req, res, { replace: false });
+  })
+);
+
+/**
+ * GET /notes/:noteId/versions
+ * Get version history of a note (newest first)
+ */
+router.get('/:noteId/versions',
+  requireScope('notes:read'),
+  rateLimitNotes,
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const { noteId } = req.params;
+
+      if (!router.isValidNoteId(noteId)) {
+        return res.status(400).json({
+          error: 'Invalid note ID',
+          details: ['Note ID must be a valid UUID']
+        });
+      }
+
+      const versions = await storageService.getNoteVersions(noteId);
+
+      if (!versions) {
+        return res.status(404).json({
+          error: 'Note not found',
+          details: ['The specified note does not exist']
+        });
+      }
+
+      if (!organizationService.canAccess(req.access, versions[0], 'note', 'read')) {
+        return router.sendNoteAccessDenied(res);
+      }
+
+      const responseTime = Date.now() - startTime;
+
+      res.status(200).json({
+        message: 'Note versions retrieved successfully',
+        data: {
+          note_id: noteId,
+          current_version: versions[0].version,
+          versions
+        },
+        metadata: {
+          response_time_ms: responseTime,
+          total_versions: versions.length
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Get note versions failed:', error);
+
+      res.status(500).json({
+        error: 'Internal server error',
+        details: ['Failed to retrieve note versions. Please try again later.']
+      });
+    }
+  })
+);
+
+/**
+ * GET /notes/:noteId/diff?from=1&to=3
+ * Field-level diff between two versions of a note (to defaults to current version)
+ */
+router.get('/:noteId/diff',
+  requireScope('notes:read'),
+  rateLimitNotes,
+  validateRequest(diffSchema, 'query'),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const { noteId } = req.params;
+      const { from, to } = req.query;
+
+      if (!router.isValidNoteId(noteId)) {
+        return res.status(400).json({
+          error: 'Invalid note ID',
+          details: ['Note ID must be a valid UUID']
+        });
+      }
+
+      const versions = await storageService.getNoteVersions(noteId);
+
+      if (!versions) {
+        return res.status(404).json({
+          error: 'Note not found',
+          details: ['The specified note does not exist']
+        });
+      }
+
+      if (!organizationService.canAccess(req.access, versions[0], 'note', 'read')) {
+        return router.sendNoteAccessDenied(res);
+      }
+
+      const toVersion = to || versions[0].version;
+      const fromNote = versions.find(version => version.version === from);
+      const toNote = versions.find(version => version.version === toVersion);
+
+      if (!fromNote || !toNote) {
+        return res.status(404).json({
+          error: 'Version not found',
+          details: [`Available versions: ${versions.map(version => version.version).join(', ')}`]
+        });
+      }
+
+      const changes = router.diffNoteVersions(fromNote, toNote);
+      const responseTime = Date.now() - startTime;
+
+      res.status(200).json({
+        message: 'Note diff generated successfully',
+        data: {
+          note_id: noteId,
+          from_version: from,
+          to_version: toVersion,
+          changes
+        },
+        metadata: {
+          response_time_ms: responseTime,
+          total_changes: changes.length
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Note diff failed:', error);
+
+      res.status(500).json({
+        error: 'Internal server error',
+        details: ['Failed to generate note diff. Please try again later.']
+      });
+    }
+  })
+);
+
+/**
+ * GET /notes/:noteId/similar
+ * More like this: notes yang mirip memakai stored embedding note (scope agent atau all)
+ */
+router.get('/:noteId/similar',
+  requireScope('notes:read'),
+  rateLimitNotes,
+  validateRequest(similarNotesSchema, 'query'),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const { noteId } = req.params;
+
+      if (!router.isValidNoteId(noteId)) {
+        return res.status(400).json({
+          error: 'Invalid note ID',
+          details: ['Note ID must be a valid UUID']
+        });
+      }
+
+      const note = await storageService.getNoteById(noteId);
+      if (note && !organizationService.canAccess(req.access, note, 'note', 'read')) {
+        return router.sendNoteAccessDenied(res);
+      }
+
+      const result = await searchService.findSimilarNotes(noteId, { ...req.query, access: req.access });
+
+      res.status(200).json({
+        message: 'Similar notes retrieved successfully',
+        data: result,
+        metadata: {
+          response_time_ms: Date.now() - startTime,
+          total_results: result.results.length
+        }
+      });
+
+    } catch (error) {
+      if (error.message.includes('Note not found')) {
+        return res.status(404).json({
+          error: 'Note not found',
+          details: ['The specified note does not exist']
+        });
+      }
+
+      if (error.message.includes('Note has no stored embedding')) {
+        return res.status(409).json({
+          error: 'Embedding not available',
+          details: ['The specified note has not been embedded yet']
+        });
+      }
+
+      console.error('❌ Get similar notes failed:', error);
+
+      res.status(500).json({
+        error: 'Internal server error',
+        details: ['Failed to retrieve similar notes. Please try again later.']
+      });
+    }
+  })
+);
+
 /**
  * DELETE /notes/:noteId
  * Delete specific note by ID
  */
 router.delete('/:noteId',
+  requireScope('notes:write'),
   rateLimitNotes,
   asyncHandler(async (req, res) => {
     const startTime = Date.now();
@@ -491,9 +979,10 @@ router.delete('/:noteId',
         });
       }
 
-      // Check if user can delete this note (access control)
-      // This would depend on your business logic
-      // For now, we'll allow deletion
+      // Owner note, atau writer di organization/team note
+      if (!organizationService.canAccess(req.access, note, 'note', 'write')) {
+        return router.sendNoteAccessDenied(res);
+      }
 
       // Delete note
       const deleteResult = await storageService.deleteNote(noteId);
@@ -505,6 +994,8 @@ router.delete('/:noteId',
         });
       }
 
+      await searchService.removeNoteChunks(noteId);
+
       // Invalidate caches
       await cacheService.delete(`note:${noteId}`);
       await cacheService.invalidateByTags([
@@ -516,6 +1007,15 @@ router.delete('/:noteId',
 
       // Log note deletion
       console.log(`🗑️ Note deleted: ${noteId} by user ${user.userId}`);
+      await auditService.recordRequest(req, 'note.delete', {
+        target_type: 'note',
+        target_id: noteId,
+        details: {
+          agent_id: note.agent_id,
+          type: note.type,
+          ...organizationService.getScope(note, 'note')
+        }
+      });
 
       res.status(200).json({
         message: 'Note deleted successfully',
@@ -539,6 +1039,157 @@ router.delete('/:noteId',
   })
 );
 
+// Helper methods
+
+router.isValidNoteId = (noteId) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(noteId);
+};
+
+router.sendNoteAccessDenied = (res) => {
+  return res.status(403).json({
+    error: 'Access denied',
+    details: ['You do not have access to this note']
+  });
+};
+
+/**
+ * Buang notes organization/team yang tidak boleh dibaca user dari hasil getNotesByAgent
+ */
+router.filterReadableNotes = (req, result) => {
+  const notes = organizationService.filterReadable(req.access, result.notes, 'note');
+  return { ...result, notes, total: result.total - (result.notes.length - notes.length) };
+};
+
+/**
+ * Shared handler untuk PUT dan PATCH /notes/:noteId
+ */
+router.handleNoteUpdate = async (req, res, { replace }) => {
+  const startTime = Date.now();
+
+  try {
+    const { noteId } = req.params;
+    const { change_summary: changeSummary, expected_version: expectedVersion, ...updates } = req.body;
+    const user = req.user;
+
+    if (!router.isValidNoteId(noteId)) {
+      return res.status(400).json({
+        error: 'Invalid note ID',
+        details: ['Note ID must be a valid UUID']
+      });
+    }
+
+    const note = await storageService.getNoteById(noteId);
+
+    if (!note) {
+      return res.status(404).json({
+        error: 'Note not found',
+        details: ['The specified note does not exist']
+      });
+    }
+
+    // Pemilik note, atau writer di organization/team note
+    if (!organizationService.canAccess(req.access, note, 'note', 'write')) {
+      return router.sendNoteAccessDenied(res);
+    }
+
+    // Tanpa expected_version, update hanya berlaku untuk versi yang baru saja dibaca
+    const updatedNote = await storageService.updateNote(noteId, updates, {
+      replace,
+      editedBy: user.id,
+      changeSummary: changeSummary || null,
+      expectedVersion: expectedVersion || note.version
+    });
+
+    // Content berubah, chunks dan note embedding di-index ulang di background
+    searchService.indexNoteChunks(updatedNote);
+    if (Note.getEmbeddingText(note) !== Note.getEmbeddingText(updatedNote)) {
+      searchService.reembedNote(updatedNote);
+    }
+
+    // Invalidate caches
+    await cacheService.delete(`note:${noteId}`);
+    await cacheService.invalidateByTags([
+      `agent:${note.agent_id}`,
+      'notes:recent'
+    ]);
+
+    console.log(`📝 Note updated: ${noteId} (v${note.version} → v${updatedNote.version}) by user ${user.id}`);
+
+    const responseTime = Date.now() - startTime;
+
+    res.status(200).json({
+      message: 'Note updated successfully',
+      data: updatedNote,
+      metadata: {
+        response_time_ms: responseTime,
+        previous_version: note.version,
+        changes: router.diffNoteVersions(note, updatedNote)
+      }
+    });
+
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        error: 'Version conflict',
+        details: ['The note was modified by another request. Reload it and retry the update.'],
+        current_version: error.currentVersion
+      });
+    }
+
+    console.error('❌ Note update failed:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      details: ['Failed to update note. Please try again later.']
+    });
+  }
+};
+
+/**
+ * Flatten object menjadi path -> value (array diperlakukan sebagai satu value)
+ */
+router.flattenNoteFields = (value, prefix = '', result = {}) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.keys(value).forEach(key => {
+      router.flattenNoteFields(value[key], prefix ? `${prefix}.${key}` : key, result);
+    });
+  } else if (prefix) {
+    result[prefix] = value;
+  }
+  return result;
+};
+
+/**
+ * Field-level diff antara dua versi note (type, context.*, content.*)
+ */
+router.diffNoteVersions = (fromNote, toNote) => {
+  const pick = (note) => router.flattenNoteFields({
+    type: note.type,
+    context: note.context,
+    content: note.content
+  });
+
+  const fromFields = pick(fromNote);
+  const toFields = pick(toNote);
+  const fields = [...new Set([...Object.keys(fromFields), ...Object.keys(toFields)])].sort();
+
+  return fields.reduce((changes, field) => {
+    const before = fromFields[field];
+    const after = toFields[field];
+
+    if (before === undefined && after !== undefined) {
+      changes.push({ field, change: 'added', to: after });
+    } else if (before !== undefined && after === undefined) {
+      changes.push({ field, change: 'removed', from: before });
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ field, change: 'modified', from: before, to: after });
+    }
+
+    return changes;
+  }, []);
+};
+
 /**
  * Error handling middleware untuk notes routes
  */
@@ -0,0 +1,480 @@
+/**
+ * Organization Routes
+ *
+ * Routes untuk organizations, members (role), teams dan team sharing
+ * Endpoints: /organizations, /organizations/:orgId, /organizations/:orgId/members/:userId,
+ * /organizations/:orgId/teams, /organizations/:orgId/teams/:teamId/members/:userId,
+ * /organizations/:orgId/teams/:teamId/shares/:granteeTeamId
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { Router } from 'express';
+import Joi from 'joi';
+import StorageService from '../../services/storage.service.js';
+import OrganizationService from '../../services/organization.service.js';
+import { ORG_ROLES } from '../../models/organization.js';
+import { validateRequest, validateUUID } from '../middleware/validation.middleware.js';
+import { authenticate, requireAccountAccess, resolveOrganizationRole } from '../middleware/auth.middleware.js';
+import { requirePermission } from '../../lib/auth-lib/middleware.js';
+import { rateLimitApi } from '../middleware/rate-limit.middleware.js';
+import { asyncHandler } from '../middleware/async-handler.middleware.js';
+
+const router = Router();
+
+// Initialize services
+const storageService = new StorageService();
+const organizationService = new OrganizationService(storageService);
+
+// Apply authentication to all organization routes
+router.use(authenticate);
+// Membership dan sharing hanya lewat primary API key, bukan scoped key
+router.use(requireAccountAccess);
+
+// Validation schemas
+const createOrganizationSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required()
+    .messages({
+      'any.required': 'Name is required',
+      'string.min': 'Name must be at least 2 characters',
+      'string.max': 'Name must not exceed 100 characters'
+    }),
+  description: Joi.string().max(500).allow('').optional()
+});
+
+const memberRoleSchema = Joi.object({
+  role: Joi.string().valid(...ORG_ROLES).required()
+    .messages({
+      'any.only': `Role must be one of: ${ORG_ROLES.join(', ')}`,
+      'any.required': 'Role is required'
+    })
+});
+
+const createTeamSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required()
+    .messages({
+      'any.required': 'Name is required',
+      'string.max': 'Name must not exceed 100 characters'
+    }),
+  description: Joi.string().max(500).allow('').optional()
+});
+
+// Role user di :orgId ke req.user.roles/permissions untuk requirePermission()
+const organizationMember = [validateUUID('orgId'), resolveOrganizationRole];
+
+/**
+ * POST /organizations
+ * Buat organization, creator menjadi owner
+ */
+router.post('/',
+  rateLimitApi,
+  validateRequest(createOrganizationSchema),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const organization = await organizationService.createOrganization(req.user.id, req.body);
+
+      console.log(`🏢 Organization created: ${organization.id} (${organization.name}) by user ${req.user.id}`);
+
+      res.status(201).json({
+        message: 'Organization created successfully',
+        data: organization,
+        metadata: {
+          response_time_ms: Date.now() - startTime
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Organization creation failed:', error);
+      router.sendOrganizationError(res, error, 'Failed to create organization. Please try again later.');
+    }
+  })
+);
+
+/**
+ * GET /organizations
+ * List organizations milik user beserta role
+ */
+router.get('/',
+  rateLimitApi,
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const organizations = await organizationService.listOrganizations(req.user.id);
+
+      res.status(200).json({
+        message: 'Organizations retrieved successfully',
+        data: {
+          organizations,
+          total: organizations.length
+        },
+        metadata: {
+          response_time_ms: Date.now() - startTime
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Get organizations failed:', error);
+      router.sendOrganizationError(res, error, 'Failed to retrieve organizations. Please try again later.');
+    }
+  })
+);
+
+/**
+ * GET /organizations/:orgId
+ * Detail organization (member)
+ */
+router.get('/:orgId',
+  rateLimitApi,
+  ...organizationMember,
+  asyncHandler(async (req, res) => {
+    try {
+      const organization = await organizationService.getOrganization(req.params.orgId);
+
+      res.status(200).json({
+        message: 'Organization retrieved successfully',
+        data: {
+          ...organization,
+          role: req.organizationRole,
+          permissions: req.user.permissions
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Get organization failed:', error);
+      router.sendOrganizationError(res, error, 'Failed to retrieve organization. Please try again later.');
+    }
+  })
+);
+
+/**
+ * GET /organizations/:orgId/members
+ * List members organization
+ */
+router.get('/:orgId/members',
+  rateLimitApi,
+  ...organizationMember,
+  requirePermission('memory:read'),
+  asyncHandler(async (req, res) => {
+    try {
+      const members = await organizationService.listMembers(req.params.orgId);
+
+      res.status(200).json({
+        message: 'Members retrieved successfully',
+        data: {
+          members,
+          total: members.length
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Get organization members failed:', error);
+      router.sendOrganizationError(res, error, 'Failed to retrieve members. Please try again later.');
+    }
+  })
+);
+
+/**
+ * PUT /organizations/:orgId/members/:userId
+ * Tambah member atau ubah role (owner role hanya oleh owner)
+ */
+router.put('/:orgId/members/:userId',
+  rateLimitApi,
+  ...organizationMember,
+  validateUUID('userId'),
+  requirePermission('members:manage'),
+  validateRequest(memberRoleSchema),
+  asyncHandler(async (req, res) => {
+    const { orgId, userId } = req.params;
+
+    try {
+      const member = await organizationService.setMemberRole(
+        orgId,
+        { userId: req.user.id, role: req.organizationRole },
+        userId,
+        req.body.role
+      );
+
+      console.log(`👥 Organization ${orgId}: user ${userId} → ${member.role} by user ${req.user.id}`);
+
+      res.status(200).json({
+        message: 'Member saved successfully',
+        data: member
+      });
+
+    } catch (error) {
+      console.error('❌ Save organization member failed:', error);
+      router.sendOrganizationError(res, error, 'Failed to save member. Please try again later.');
+    }
+  })
+);
+
+/**
+ * DELETE /organizations/:orgId/members/:userId
+ * Hapus member (members:manage) atau keluar dari organization (userId sendiri)
+ */
+router.delete('/:orgId/members/:userId',
+  rateLimitApi,
+  ...organizationMember,
+  validateUUID('userId'),
+  asyncHandler(async (req, res) => {
+    const { orgId, userId } = req.params;
+
+    try {
+      await organizationService.removeMember(orgId, { userId: req.user.id, role: req.organizationRole }, userId);
+
+      console.log(`🗑️ Organization ${orgId}: user ${userId} removed by user ${req.user.id}`);
+
+      res.status(200).json({
+        message: 'Member removed successfully',
+        data: { org_id: orgId, user_id: userId }
+      });
+
+    } catch (error) {
+      console.error('❌ Remove organization member failed:', error);
+      router.sendOrganizationError(res, error, 'Failed to remove member. Please try again later.');
+    }
+  })
+);
+
+/**
+ * POST /organizations/:orgId/teams
+ * Buat team
+ */
+router.post('/:orgId/teams',
+  rateLimitApi,
+  ...organizationMember,
+  requirePermission('teams:manage'),
+  validateRequest(createTeamSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const team = await organizationService.createTeam(req.params.orgId, req.user.id, req.body);
+
+      console.log(`👥 Team created: ${team.id} (${team.name}) in organization ${team.org_id} by user ${req.user.id}`);
+
+      res.status(201).json({
+        message: 'Team created successfully',
+        data: team
+      });
+
+    } catch (error) {
+      console.error('❌ Team creation failed:', error);
+      router.sendOrganizationError(res, error, 'Failed to create team. Please try again later.');
+    }
+  })
+);
+
+/**
+ * GET /organizations/:orgId/teams
+ * List teams organization
+ */
+router.get('/:orgId/teams',
+  rateLimitApi,
+  ...organizationMember,
+  requirePermission('memory:read'),
+  asyncHandler(async (req, res) => {
+    try {
+      const teams = await organizationService.listTeams(req.params.orgId);
+
+      res.status(200).json({
+        message: 'Teams retrieved successfully',
+        data: {
+          teams: teams.map(team => ({ ...team, is_member: Boolean(req.access.teams[team.id]) })),
+          total: teams.length
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Get teams failed:', error);
+      router.sendOrganizationError(res, error, 'Failed to retrieve teams. Please try again later.');
+    }
+  })
+);
+
+/**
+ * GET /organizations/:orgId/teams/:teamId
+ * Detail team beserta members dan shares
+ */
+router.get('/:orgId/teams/:teamId',
+  rateLimitApi,
+  ...organizationMember,
+  validateUUID('teamId'),
+  requirePermission('memory:read'),
+  asyncHandler(async (req, res) => {
+    try {
+      const team = await organizationService.getTeam(req.params.orgId, req.params.teamId);
+
+      res.status(200).json({
+        message: 'Team retrieved successfully',
+        data: team
+      });
+
+    } catch (error) {
+      console.error('❌ Get team failed:', error);
+      router.sendOrganizationError(res, error, 'Failed to retrieve team. Please try again later.');
+    }
+  })
+);
+
+/**
+ * PUT /organizations/:orgId/teams/:teamId/members/:userId
+ * Tambah member organization ke team
+ */
+router.put('/:orgId/teams/:teamId/members/:userId',
+  rateLimitApi,
+  ...organizationMember,
+  validateUUID('teamId'),
+  validateUUID('userId'),
+  requirePermission('teams:manage'),
+  asyncHandler(async (req, res) => {
+    const { orgId, teamId, userId } = req.params;
+
+    try {
+      const member = await organizationService.addTeamMember(orgId, teamId, req.user.id, userId);
+
+      console.log(`👥 Team ${teamId}: user ${userId} added by user ${req.user.id}`);
+
+      res.status(200).json({
+        message: 'Team member added successfully',
+        data: member
+      });
+
+    } catch (error) {
+      console.error('❌ Add team member failed:', error);
+      router.sendOrganizationError(res, error, 'Failed to add team member. Please try again later.');
+    }
+  })
+);
+
+/**
+ * DELETE /organizations/:orgId/teams/:teamId/members/:userId
+ * Hapus member dari team
+ */
+router.delete('/:orgId/teams/:teamId/members/:userId',
+  rateLimitApi,
+  ...organizationMember,
+  validateUUID('teamId'),
+  validateUUID('userId'),
+  requirePermission('teams:manage'),
+  asyncHandler(async (req, res) => {
+    const { orgId, teamId, userId } = req.params;
+
+    try {
+      await organizationService.removeTeamMember(orgId, teamId, userId);
+
+      console.log(`🗑️ Team ${teamId}: user ${userId} removed by user ${req.user.id}`);
+
+      res.status(200).json({
+        message: 'Team member removed successfully',
+        data: { team_id: teamId, user_id: userId }
+      });
+
+    } catch (error) {
+      console.error('❌ Remove team member failed:', error);
+      router.sendOrganizationError(res, error, 'Failed to remove team member. Please try again later.');
+    }
+  })
+);
+
+/**
+ * PUT /organizations/:orgId/teams/:teamId/shares/:granteeTeamId
+ * Share memory team (read) ke team lain dalam organization
+ */
+router.put('/:orgId/teams/:teamId/shares/:granteeTeamId',
+  rateLimitApi,
+  ...organizationMember,
+  validateUUID('teamId'),
+  validateUUID('granteeTeamId'),
+  requirePermission('memory:share'),
+  asyncHandler(async (req, res) => {
+    const { orgId, teamId, granteeTeamId } = req.params;
+
+    try {
+      const share = await organizationService.shareTeam(orgId, teamId, granteeTeamId, req.user.id);
+
+      console.log(`🔗 Team ${teamId} memory shared with team ${granteeTeamId} by user ${req.user.id}`);
+
+      res.status(200).json({
+        message: 'Team memory shared successfully',
+        data: share
+      });
+
+    } catch (error) {
+      console.error('❌ Team share failed:', error);
+      router.sendOrganizationError(res, error, 'Failed to share team memory. Please try again later.');
+    }
+  })
+);
+
+/**
+ * DELETE /organizations/:orgId/teams/:teamId/shares/:granteeTeamId
+ * Cabut share memory team
+ */
+router.delete('/:orgId/teams/:teamId/shares/:granteeTeamId',
+  rateLimitApi,
+  ...organizationMember,
+  validateUUID('teamId'),
+  validateUUID('granteeTeamId'),
+  requirePermission('memory:share'),
+  asyncHandler(async (req, res) => {
+    const { orgId, teamId, granteeTeamId } = req.params;
+
+    try {
+      await organizationService.unshareTeam(orgId, teamId, granteeTeamId);
+
+      console.log(`🔗 Team ${teamId} memory share with team ${granteeTeamId} revoked by user ${req.user.id}`);
+
+      res.status(200).json({
+        message: 'Team memory share revoked successfully',
+        data: { team_id: teamId, grantee_team_id: granteeTeamId }
+      });
+
+    } catch (error) {
+      console.error('❌ Team unshare failed:', error);
+      router.sendOrganizationError(res, error, 'Failed to revoke team share. Please try again later.');
+    }
+  })
+);
+
+/**
+ * Map service errors ke HTTP response
+ */
+router.sendOrganizationError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      error: error.message.split(':')[0],
+      details: [error.message]
+    });
+  }
+
+  if (error.message.includes('already exists') || error.message.includes('at least one owner')) {
+    return res.status(409).json({
+      error: 'Conflict',
+      details: [error.message]
+    });
+  }
+
+  if (error.message.includes('Permission denied') || error.message.includes('limit reached')) {
+    return res.status(403).json({
+      error: 'Access denied',
+      details: [error.message]
+    });
+  }
+
+  if (error.message.includes('Invalid') || error.message.includes('not a member')) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      details: [error.message]
+    });
+  }
+
+  return res.status(500).json({
+    error: 'Internal server error',
+    details: [fallbackMessage]
+  });
+};
+
+export default router;
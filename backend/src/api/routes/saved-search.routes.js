@@ -0,0 +1,345 @@
+/**
+ * Saved Search Routes
+ *
+ * Routes untuk saved searches dan standing queries
+ * Endpoints: /saved-searches, /saved-searches/:savedSearchId, /saved-searches/:savedSearchId/run,
+ * /saved-searches/:savedSearchId/matches
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { Router } from 'express';
+import Joi from 'joi';
+import StorageService from '../../services/storage.service.js';
+import SavedSearchService from '../../services/saved-search.service.js';
+import OrganizationService from '../../services/organization.service.js';
+import { validateRequest } from '../middleware/validation.middleware.js';
+import { authenticate, loadAccessContext, requireScope, enforceAgentBinding } from '../middleware/auth.middleware.js';
+import { rateLimitApi, rateLimitSearch } from '../middleware/rate-limit.middleware.js';
+import { asyncHandler } from '../middleware/async-handler.middleware.js';
+
+const router = Router();
+
+// Initialize services
+const storageService = new StorageService();
+const savedSearchService = new SavedSearchService(storageService);
+const organizationService = new OrganizationService(storageService);
+
+// Apply authentication to all saved search routes
+router.use(authenticate);
+// Scoped API key butuh notes:read dan agent binding yang cocok
+router.use(requireScope('notes:read'));
+router.use(enforceAgentBinding);
+
+// Validation schemas
+const filtersSchema = Joi.object({
+  project: Joi.string().optional(),
+  type: Joi.string().optional(),
+  tags: Joi.array().items(Joi.string()).max(20).optional()
+});
+
+const createSavedSearchSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required()
+    .messages({
+      'any.required': 'Name is required',
+      'string.max': 'Name must not exceed 100 characters'
+    }),
+  query: Joi.string().min(1).max(1000).required()
+    .messages({
+      'any.required': 'Query is required'
+    }),
+  agent_id: Joi.string().required()
+    .messages({
+      'any.required': 'Agent ID is required'
+    }),
+  filters: filtersSchema.default({}),
+  max_results: Joi.number().integer().min(1).max(100).default(20)
+    .messages({
+      'number.min': 'Max results must be at least 1',
+      'number.max': 'Max results must not exceed 100'
+    }),
+  standing: Joi.boolean().default(false)
+});
+
+const updateSavedSearchSchema = Joi.object({
+  name: Joi.string().min(1).max(100).optional(),
+  query: Joi.string().min(1).max(1000).optional(),
+  filters: filtersSchema.optional(),
+  max_results: Joi.number().integer().min(1).max(100).optional(),
+  standing: Joi.boolean().optional()
+}).min(1)
+  .messages({
+    'object.min': 'At least one field must be updated'
+  });
+
+const getMatchesSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(500).default(50),
+  since: Joi.date().iso().optional()
+});
+
+/**
+ * POST /saved-searches
+ * Simpan named query (standing = notify saat note baru cocok)
+ */
+router.post('/',
+  rateLimitApi,
+  validateRequest(createSavedSearchSchema),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const savedSearch = await savedSearchService.createSavedSearch(req.user.userId, req.body);
+
+      console.log(`🔖 Saved search created: ${savedSearch.id} (${savedSearch.name}) by user ${req.user.userId}`);
+
+      res.status(201).json({
+        message: 'Saved search created successfully',
+        data: savedSearch,
+        metadata: {
+          response_time_ms: Date.now() - startTime,
+          match_channel: savedSearch.standing ? savedSearchService.getMatchChannel(req.user.userId) : null
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Saved search creation failed:', error);
+      router.sendSavedSearchError(res, error, 'Failed to create saved search. Please try again later.');
+    }
+  })
+);
+
+/**
+ * GET /saved-searches
+ * List saved searches milik user
+ */
+router.get('/',
+  rateLimitApi,
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const savedSearches = await savedSearchService.listSavedSearches(req.user.userId);
+
+      res.status(200).json({
+        message: 'Saved searches retrieved successfully',
+        data: {
+          saved_searches: savedSearches,
+          total: savedSearches.length
+        },
+        metadata: {
+          response_time_ms: Date.now() - startTime
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Get saved searches failed:', error);
+      router.sendSavedSearchError(res, error, 'Failed to retrieve saved searches. Please try again later.');
+    }
+  })
+);
+
+/**
+ * GET /saved-searches/:savedSearchId
+ * Detail saved search
+ */
+router.get('/:savedSearchId',
+  rateLimitApi,
+  asyncHandler(async (req, res) => {
+    if (!router.isValidSavedSearchId(req.params.savedSearchId)) {
+      return router.sendInvalidId(res);
+    }
+
+    try {
+      const savedSearch = await savedSearchService.getSavedSearch(req.user.userId, req.params.savedSearchId);
+
+      res.status(200).json({
+        message: 'Saved search retrieved successfully',
+        data: savedSearch
+      });
+
+    } catch (error) {
+      console.error('❌ Get saved search failed:', error);
+      router.sendSavedSearchError(res, error, 'Failed to retrieve saved search. Please try again later.');
+    }
+  })
+);
+
+/**
+ * PATCH /saved-searches/:savedSearchId
+ * Update name, query, filters, max_results atau standing flag
+ */
+router.patch('/:savedSearchId',
+  rateLimitApi,
+  validateRequest(updateSavedSearchSchema),
+  asyncHandler(async (req, res) => {
+    if (!router.isValidSavedSearchId(req.params.savedSearchId)) {
+      return router.sendInvalidId(res);
+    }
+
+    try {
+      const savedSearch = await savedSearchService.updateSavedSearch(req.user.userId, req.params.savedSearchId, req.body);
+
+      res.status(200).json({
+        message: 'Saved search updated successfully',
+        data: savedSearch
+      });
+
+    } catch (error) {
+      console.error('❌ Saved search update failed:', error);
+      router.sendSavedSearchError(res, error, 'Failed to update saved search. Please try again later.');
+    }
+  })
+);
+
+/**
+ * DELETE /saved-searches/:savedSearchId
+ * Hapus saved search beserta matches
+ */
+router.delete('/:savedSearchId',
+  rateLimitApi,
+  asyncHandler(async (req, res) => {
+    if (!router.isValidSavedSearchId(req.params.savedSearchId)) {
+      return router.sendInvalidId(res);
+    }
+
+    try {
+      await savedSearchService.deleteSavedSearch(req.user.userId, req.params.savedSearchId);
+
+      console.log(`🗑️ Saved search deleted: ${req.params.savedSearchId} by user ${req.user.userId}`);
+
+      res.status(200).json({
+        message: 'Saved search deleted successfully',
+        data: { id: req.params.savedSearchId }
+      });
+
+    } catch (error) {
+      console.error('❌ Saved search deletion failed:', error);
+      router.sendSavedSearchError(res, error, 'Failed to delete saved search. Please try again later.');
+    }
+  })
+);
+
+/**
+ * POST /saved-searches/:savedSearchId/run
+ * Jalankan saved search
+ */
+router.post('/:savedSearchId/run',
+  rateLimitSearch,
+  loadAccessContext,
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    if (!router.isValidSavedSearchId(req.params.savedSearchId)) {
+      return router.sendInvalidId(res);
+    }
+
+    try {
+      const result = await savedSearchService.runSavedSearch(req.user.userId, req.params.savedSearchId);
+      result.notes = organizationService.filterReadable(req.access, result.notes, 'note');
+
+      res.set('X-Response-Time', `${Date.now() - startTime}ms`);
+
+      res.status(200).json({
+        message: 'Saved search executed successfully',
+        data: result,
+        metadata: {
+          response_time_ms: Date.now() - startTime,
+          notes_found: result.notes.length
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Saved search run failed:', error);
+      router.sendSavedSearchError(res, error, 'Failed to run saved search. Please try again later.');
+    }
+  })
+);
+
+/**
+ * GET /saved-searches/:savedSearchId/matches
+ * Notes baru yang cocok dengan standing search
+ */
+router.get('/:savedSearchId/matches',
+  rateLimitApi,
+  validateRequest(getMatchesSchema, 'query'),
+  asyncHandler(async (req, res) => {
+    if (!router.isValidSavedSearchId(req.params.savedSearchId)) {
+      return router.sendInvalidId(res);
+    }
+
+    try {
+      const { limit, since } = req.query;
+      const matches = await savedSearchService.getMatches(req.user.userId, req.params.savedSearchId, {
+        limit,
+        since: since ? new Date(since).toISOString() : null
+      });
+
+      res.status(200).json({
+        message: 'Saved search matches retrieved successfully',
+        data: {
+          matches,
+          total: matches.length
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Get saved search matches failed:', error);
+      router.sendSavedSearchError(res, error, 'Failed to retrieve saved search matches. Please try again later.');
+    }
+  })
+);
+
+// Helper methods
+router.isValidSavedSearchId = (savedSearchId) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(savedSearchId);
+};
+
+router.sendInvalidId = (res) => {
+  return res.status(400).json({
+    error: 'Invalid saved search ID',
+    details: ['Saved search ID must be a valid UUID']
+  });
+};
+
+/**
+ * Map service errors ke HTTP response
+ */
+router.sendSavedSearchError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Invalid search query',
+      details: error.details.map(detail => detail.message),
+      fields: error.details
+    });
+  }
+
+  if (error.message.includes('Saved search not found')) {
+    return res.status(404).json({
+      error: 'Saved search not found',
+      details: ['The specified saved search does not exist']
+    });
+  }
+
+  if (error.message.includes('Saved search already exists')) {
+    return res.status(409).json({
+      error: 'Saved search already exists',
+      details: ['A saved search with this name already exists']
+    });
+  }
+
+  if (error.message.includes('Saved search limit reached')) {
+    return res.status(403).json({
+      error: 'Saved search limit reached',
+      details: [error.message]
+    });
+  }
+
+  return res.status(500).json({
+    error: 'Internal server error',
+    details: [fallbackMessage]
+  });
+};
+
+export default router;
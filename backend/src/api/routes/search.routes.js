@@ -0,0 +1,79 @@
+/**
+ * Search Routes
+ *
+ * Routes untuk query suggestions (autocomplete dan "did you mean")
+ * Endpoints: /search/suggest
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { Router } from 'express';
+import Joi from 'joi';
+import StorageService from '../../services/storage.service.js';
+import SuggestService from '../../services/suggest.service.js';
+import { SUGGEST_TYPES } from '../../lib/search-lib/suggester.js';
+import { validateRequest } from '../middleware/validation.middleware.js';
+import { authenticate, requireScope } from '../middleware/auth.middleware.js';
+import { rateLimitSearch } from '../middleware/rate-limit.middleware.js';
+import { asyncHandler } from '../middleware/async-handler.middleware.js';
+
+const router = Router();
+
+// Initialize services
+const storageService = new StorageService();
+const suggestService = new SuggestService(storageService);
+
+// Apply authentication to all search routes
+router.use(authenticate);
+// Suggestions berasal dari notes dan knowledge user
+router.use(requireScope('notes:read'));
+
+// Validation schemas
+const suggestSchema = Joi.object({
+  q: Joi.string().trim().min(1).max(200).required()
+    .messages({
+      'any.required': 'Query (q) is required',
+      'string.empty': 'Query (q) must not be empty',
+      'string.max': 'Query (q) must not exceed 200 characters'
+    }),
+  limit: Joi.number().integer().min(1).max(50).default(10),
+  // ?types=tags&types=phrases, default semua types
+  types: Joi.array().items(Joi.string().valid(...SUGGEST_TYPES)).single().unique().default(SUGGEST_TYPES)
+});
+
+/**
+ * GET /search/suggest?q=
+ * Prefix completions (tags, projects, knowledge domains, task phrases) dengan toleransi typo,
+ * plus "did you mean" corrections dari term dictionary tenant
+ */
+router.get('/suggest',
+  rateLimitSearch,
+  validateRequest(suggestSchema, 'query'),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const { q, limit, types } = req.query;
+      const result = await suggestService.suggest(req.user.userId, q, { types, limit });
+
+      res.status(200).json({
+        message: 'Suggestions retrieved successfully',
+        data: result,
+        metadata: {
+          response_time_ms: Date.now() - startTime,
+          total_suggestions: result.suggestions.length
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Search suggestions failed:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        details: ['Failed to retrieve suggestions. Please try again later.']
+      });
+    }
+  })
+);
+
+export default router;
@@ -2,7 +2,7 @@
  * Session Routes
  * 
  * Routes untuk session management operations
- * Endpoints: /sessions, /sessions/:sessionId
+ * Endpoints: /sessions, /sessions/:sessionId, /sessions/:sessionId/feedback
  * 
  * @author MCP Server Team
  * @version 1.0.0
@@ -12,8 +12,10 @@ import { Router } from 'express';
 import Joi from 'joi';
 import StorageService from '../../services/storage.service.js';
 import CacheService from '../../services/cache.service.js';
+import RankingService from '../../services/ranking.service.js';
+import OrganizationService from '../../services/organization.service.js';
 import { validateRequest } from '../middleware/validation.middleware.js';
-import { authenticate } from '../middleware/auth.middleware.js';
+import { authenticate, loadAccessContext, resolveMemoryScope, requireScope, enforceAgentBinding, validateAgentAccess } from '../middleware/auth.middleware.js';
 import { rateLimitApi } from '../middleware/rate-limit.middleware.js';
 import { asyncHandler } from '../middleware/async-handler.middleware.js';
 
@@ -22,9 +24,15 @@ const router = Router();
 // Initialize services
 const storageService = new StorageService();
 const cacheService = new CacheService(storageService);
+const rankingService = new RankingService(storageService);
+const organizationService = new OrganizationService(storageService);
 
 // Apply authentication to all session routes
 router.use(authenticate);
+// Organization/team access untuk sessions yang di-scope (req.access)
+router.use(loadAccessContext);
+// Agent binding scoped API key (agent_id di body/query)
+router.use(enforceAgentBinding);
 
 // Validation schemas
 const createSessionSchema = Joi.object({
@@ -32,6 +40,8 @@ const createSessionSchema = Joi.object({
     .messages({
       'any.required': 'Agent ID is required'
     }),
+  org_id: Joi.string().uuid().optional(),
+  team_id: Joi.string().uuid().optional(),
   context: Joi.object({
     project: Joi.string().optional(),
     environment: Joi.string().optional(),
@@ -53,13 +63,37 @@ const updateSessionSchema = Joi.object({
   metadata: Joi.object().optional()
 });
 
+const feedbackSchema = Joi.object({
+  query: Joi.string().min(1).max(2000).required()
+    .messages({
+      'any.required': 'Query is required'
+    }),
+  feedback: Joi.array().items(
+    Joi.object({
+      note_id: Joi.string().uuid().required()
+        .messages({
+          'string.guid': 'Note ID must be a valid UUID'
+        }),
+      helpful: Joi.boolean().required(),
+      relevance_score: Joi.number().min(0).max(1).optional()
+    })
+  ).min(1).max(100).required()
+    .messages({
+      'array.min': 'At least one feedback item is required',
+      'array.max': 'Feedback must not exceed 100 items'
+    })
+});
+
 /**
  * POST /sessions
  * Start new session
  */
 router.post('/',
+  requireScope('sessions:write'),
   rateLimitApi,
   validateRequest(createSessionSchema),
+  validateAgentAccess,
+  resolveMemoryScope,
   asyncHandler(async (req, res) => {
     const startTime = Date.now();
 
@@ -67,18 +101,9 @@ router.post('/',
       const { agent_id, context = {} } = req.body;
       const user = req.user;
 
-      // Validate agent access
-      const hasAgentAccess = await this.validateAgentAccess(user, agent_id);
-      if (!hasAgentAccess) {
-        return res.status(403).json({
-          error: 'Access denied',
-          details: ['You do not have access to this agent']
-        });
-      }
-
       // Check concurrent session limits
-      const activeSessions = await this.getActiveSessionsCount(user.userId);
-      const maxConcurrentSessions = this.getMaxConcurrentSessions(user.subscription?.tier);
+      const activeSessions = await router.getActiveSessionsCount(user.userId);
+      const maxConcurrentSessions = router.getMaxConcurrentSessions(user.subscription?.tier);
       
       if (activeSessions >= maxConcurrentSessions) {
         return res.status(429).json({
@@ -91,6 +116,8 @@ router.post('/',
       const sessionData = {
         agent_id,
         user_id: user.userId,
+        org_id: req.scope.org_id,
+        team_id: req.scope.team_id,
         context: {
           ...context,
           created_by: 'api',
@@ -111,7 +138,7 @@ router.post('/',
       }, 24 * 60 * 60); // 24 hours
 
       // Track session creation
-      await this.trackSessionMetrics('created', user.userId);
+      await router.trackSessionMetrics('created', user.userId);
 
       // Log session creation
       console.log(`📝 New session created: ${session.id} for agent ${agent_id}`);
@@ -123,9 +150,9 @@ router.post('/',
         data: {
           ...session,
           session_info: {
-            max_duration_hours: this.getMaxSessionDuration(user.subscription?.tier),
-            auto_timeout_minutes: this.getAutoTimeoutMinutes(user.subscription?.tier),
-            features_available: this.getSessionFeatures(user.subscription?.tier)
+            max_duration_hours: router.getMaxSessionDuration(user.subscription?.tier),
+            auto_timeout_minutes: router.getAutoTimeoutMinutes(user.subscription?.tier),
+            features_available: router.getSessionFeatures(user.subscription?.tier)
           }
         },
         metadata: {
@@ -160,6 +187,7 @@ router.post('/',
  * Update session status and statistics
  */
 router.patch('/:sessionId',
+  requireScope('sessions:write'),
   rateLimitApi,
   validateRequest(updateSessionSchema),
   asyncHandler(async (req, res) => {
@@ -188,8 +216,8 @@ router.patch('/:sessionId',
         });
       }
 
-      // Validate session ownership
-      if (currentSession.user_id !== user.userId) {
+      // Owner session, atau admin organization session
+      if (!organizationService.canAccess(req.access, currentSession, 'session', 'manage')) {
         return res.status(403).json({
           error: 'Access denied',
           details: ['You can only update your own sessions']
@@ -209,9 +237,9 @@ router.patch('/:sessionId',
         
         // Auto-calculate duration for completed sessions
         if (updates.status === 'completed' || updates.status === 'timeout') {
-          const startTime = new Date(currentSession.started_at);
+          const startedAt = new Date(currentSession.started_at);
           const endTime = new Date();
-          updateData.duration_minutes = Math.floor((endTime - startTime) / 60000);
+          updateData.duration_minutes = Math.floor((endTime - startedAt) / 60000);
           
           // Update session statistics
           if (!updateData.statistics) updateData.statistics = {};
@@ -236,7 +264,7 @@ router.patch('/:sessionId',
 
       // Track session metrics
       if (updates.status) {
-        await this.trackSessionMetrics(updates.status, user.userId);
+        await router.trackSessionMetrics(updates.status, user.userId);
       }
 
       // Generate insights for completed sessions
@@ -271,18 +299,82 @@ router.patch('/:sessionId',
   })
 );
 
+/**
+ * POST /sessions/:sessionId/feedback
+ * Mark notes retrieved in this session as helpful or unhelpful for a query
+ * Feedback is used to train the tenant's learning-to-rank model
+ */
+router.post('/:sessionId/feedback',
+  requireScope('sessions:write'),
+  rateLimitApi,
+  validateRequest(feedbackSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const { query, feedback } = req.body;
+      const user = req.user;
+
+      // Validate UUID format
+      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+      if (!uuidRegex.test(sessionId)) {
+        return res.status(400).json({
+          error: 'Invalid session ID',
+          details: ['Session ID must be a valid UUID']
+        });
+      }
+
+      const session = await cacheService.getSession(sessionId) || await storageService.getSessionById(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          error: 'Session not found',
+          details: ['The specified session does not exist or has expired']
+        });
+      }
+
+      if (!organizationService.canAccess(req.access, session, 'session', 'manage')) {
+        return res.status(403).json({
+          error: 'Access denied',
+          details: ['You can only give feedback on your own sessions']
+        });
+      }
+
+      const result = await rankingService.recordFeedback(user.userId, { ...session, id: sessionId }, {
+        query,
+        items: feedback
+      }, req.access);
+
+      res.status(201).json({
+        message: 'Feedback recorded successfully',
+        data: {
+          session_id: sessionId,
+          recorded: result.recorded,
+          skipped_note_ids: result.skipped
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Session feedback failed:', error);
+
+      res.status(500).json({
+        error: 'Internal server error',
+        details: ['Failed to record feedback. Please try again later.']
+      });
+    }
+  })
+);
+
 /**
  * GET /sessions/:sessionId
  * Get session details
  */
 router.get('/:sessionId',
+  requireScope('sessions:read'),
   rateLimitApi,
   asyncHandler(async (req, res) => {
     const startTime = Date.now();
 
     try {
       const { sessionId } = req.params;
-      const user = req.user;
 
       // Validate UUID format
       const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
@@ -308,11 +400,11 @@ router.get('/:sessionId',
         });
       }
 
-      // Validate session access
-      if (session.user_id !== user.userId) {
+      // Owner session, atau member organization/team session
+      if (!organizationService.canAccess(req.access, session, 'session', 'read')) {
         return res.status(403).json({
           error: 'Access denied',
-          details: ['You can only access your own sessions']
+          details: ['You do not have access to this session']
         });
       }
 
@@ -356,6 +448,7 @@ router.get('/:sessionId',
  * Get user's sessions with filtering and pagination
  */
 router.get('/',
+  requireScope('sessions:read'),
   rateLimitApi,
   validateRequest(Joi.object({
     status: Joi.string().valid('active', 'completed', 'timeout', 'paused').optional(),
@@ -497,6 +590,7 @@ router.get('/',
  * End/delete session
  */
 router.delete('/:sessionId',
+  requireScope('sessions:write'),
   rateLimitApi,
   asyncHandler(async (req, res) => {
     const startTime = Date.now();
@@ -523,8 +617,8 @@ router.delete('/:sessionId',
         });
       }
 
-      // Validate session ownership
-      if (session.user_id !== user.userId) {
+      // Owner session, atau admin organization session
+      if (!organizationService.canAccess(req.access, session, 'session', 'manage')) {
         return res.status(403).json({
           error: 'Access denied',
           details: ['You can only delete your own sessions']
@@ -553,7 +647,7 @@ router.delete('/:sessionId',
       ]);
 
       // Track session metrics
-      await this.trackSessionMetrics('ended', user.userId);
+      await router.trackSessionMetrics('ended', user.userId);
 
       // Log session deletion
       console.log(`🗑️ Session ended: ${sessionId} by user ${user.userId}`);
@@ -583,12 +677,7 @@ router.delete('/:sessionId',
   })
 );
 
-// Helper methods
-router.validateAgentAccess = async (user, agentId) => {
-  // Implement agent access validation logic
-  return true; // Simplified for now
-};
-
+// Helper methods (handler berupa arrow function, jadi dipanggil lewat router, bukan this)
 router.getActiveSessionsCount = async (userId) => {
   // Count active sessions for user
   const cacheKey = `active_sessions:${userId}`;
@@ -603,6 +692,11 @@ router.getActiveSessionsCount = async (userId) => {
   return count;
 };
 
+router.trackSessionMetrics = async (event, userId) => {
+  // Session dibuat/diakhiri: count di cache tidak lagi valid untuk concurrent session limit
+  await cacheService.delete(`active_sessions:${userId}`);
+};
+
 router.getMaxConcurrentSessions = (tier) => {
   const limits = {
     basic: 3,
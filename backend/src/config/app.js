@@ -37,6 +37,28 @@ export const appInfo = {
   }
 };
 
+/**
+ * Parse TRUST_PROXY ke nilai Express 'trust proxy'
+ * Angka = jumlah hop proxy di depan server, selain itu daftar subnet/preset (loopback, uniquelocal)
+ * dipisah koma; kosong/false = X-Forwarded-For diabaikan. 'true' mempercayai semua hop
+ * sehingga client bisa memalsukan IP, hanya untuk proxy yang menimpa X-Forwarded-For
+ */
+export const parseTrustProxy = (value) => {
+  const trimmed = (value || '').trim();
+
+  if (trimmed === '' || trimmed === 'false') {
+    return false;
+  }
+  if (trimmed === 'true') {
+    return true;
+  }
+  if (/^\d+$/.test(trimmed)) {
+    return parseInt(trimmed);
+  }
+
+  return trimmed.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+
 /**
  * Server Configuration
  */
@@ -82,7 +104,7 @@ export const serverConfig = {
         includeSubDomains: process.env.HSTS_INCLUDE_SUBDOMAINS !== 'false'
       }
     },
-    trustProxy: process.env.TRUST_PROXY === 'true',
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
     rateLimiting: {
       windowMs: parseInt(process.env.RATE_LIMIT_WINDOW) || 15 * 60 * 1000, // 15 minutes
       maxRequests: parseInt(process.env.RATE_LIMIT_MAX) || 1000,
@@ -118,7 +140,19 @@ export const authConfig = {
   apiKey: {
     header: process.env.API_KEY_HEADER || 'X-API-Key',
     prefix: process.env.API_KEY_PREFIX || 'mcp_',
-    length: parseInt(process.env.API_KEY_LENGTH) || 32
+    length: parseInt(process.env.API_KEY_LENGTH) || 32,
+    // Scoped API keys (per-key scopes, expiry, agent binding, IP allowlist)
+    maxPerUser: parseInt(process.env.API_KEY_MAX_PER_USER) || 5,
+    rotationGracePeriod: parseInt(process.env.API_KEY_ROTATION_GRACE) || 3600, // seconds
+    maxRotationGracePeriod: parseInt(process.env.API_KEY_ROTATION_MAX_GRACE) || 7 * 24 * 3600, // seconds
+    cacheTTL: parseInt(process.env.API_KEY_CACHE_TTL) || 60 // seconds
+  },
+
+  // Token revocation (jti denylist) dan refresh token families di Redis
+  tokens: {
+    // true: token tetap diterima jika Redis tidak bisa dicek; default ditolak
+    revocationFailOpen: process.env.TOKEN_REVOCATION_FAIL_OPEN === 'true',
+    maxFamiliesPerUser: parseInt(process.env.TOKEN_MAX_FAMILIES_PER_USER) || 100
   },
   
   // Session settings
@@ -190,6 +224,52 @@ export const searchConfig = {
     modelPath: process.env.SEMANTIC_MODEL_PATH || null,
     vectorDimensions: parseInt(process.env.SEMANTIC_VECTOR_DIMENSIONS) || 384,
     similarityThreshold: parseFloat(process.env.SEMANTIC_SIMILARITY_THRESHOLD) || 0.7
+  },
+
+  // Hybrid result fusion (bisa di-override per request)
+  fusion: {
+    method: process.env.SEARCH_FUSION_METHOD || 'rrf', // rrf atau linear
+    rrfK: parseInt(process.env.SEARCH_RRF_K) || 60,
+    recencyHalfLifeDays: parseFloat(process.env.SEARCH_RECENCY_HALF_LIFE_DAYS) || 30,
+    weights: {
+      semantic: parseFloat(process.env.SEARCH_WEIGHT_SEMANTIC ?? 0.5),
+      bm25: parseFloat(process.env.SEARCH_WEIGHT_BM25 ?? 0.3),
+      pattern: parseFloat(process.env.SEARCH_WEIGHT_PATTERN ?? 0.1),
+      recency: parseFloat(process.env.SEARCH_WEIGHT_RECENCY ?? 0.1)
+    }
+  },
+
+  // Facets (jumlah buckets terms facet dan default interval date histogram)
+  facets: {
+    size: parseInt(process.env.SEARCH_FACET_SIZE) || 10,
+    interval: process.env.SEARCH_FACET_INTERVAL || 'month' // day, week, month, year
+  },
+
+  // Snippets dan highlighting (fragment windows dengan offsets) untuk semua search modes
+  snippets: {
+    fragmentSize: parseInt(process.env.SEARCH_SNIPPET_FRAGMENT_SIZE) || 150,
+    maxFragments: parseInt(process.env.SEARCH_SNIPPET_MAX_FRAGMENTS) || 3,
+    preTag: process.env.SEARCH_SNIPPET_PRE_TAG || '<em>',
+    postTag: process.env.SEARCH_SNIPPET_POST_TAG || '</em>'
+  },
+
+  // More like this dan note similarity graph (cosine similarity atas stored embeddings)
+  similarity: {
+    minSimilarity: parseFloat(process.env.SIMILAR_NOTES_MIN_SIMILARITY ?? 0.75),
+    graphThreshold: parseFloat(process.env.SIMILARITY_GRAPH_THRESHOLD ?? 0.85),
+    graphMaxNodes: parseInt(process.env.SIMILARITY_GRAPH_MAX_NODES) || 200,
+    graphMaxEdgesPerNode: parseInt(process.env.SIMILARITY_GRAPH_MAX_EDGES_PER_NODE) || 10
+  },
+
+  // Pattern search atas stored notes (candidates dari Elasticsearch/ScyllaDB, regex dengan ReDoS guard)
+  pattern: {
+    maxCandidates: parseInt(process.env.PATTERN_SEARCH_MAX_CANDIDATES) || 2000,
+    pageSize: parseInt(process.env.PATTERN_SEARCH_PAGE_SIZE) || 200,
+    regexGuard: {
+      maxPatternLength: parseInt(process.env.PATTERN_SEARCH_MAX_PATTERN_LENGTH) || 500,
+      timeBudgetMs: parseInt(process.env.PATTERN_SEARCH_TIME_BUDGET_MS) || 2000,
+      documentTimeoutMs: parseInt(process.env.PATTERN_SEARCH_DOCUMENT_TIMEOUT_MS) || 100
+    }
   }
 };
 
@@ -234,6 +314,123 @@ export const backupConfig = {
   }
 };
 
+/**
+ * Embedding Configuration
+ * Model aktif untuk note embeddings; semua komponen (Note schema, semantic index,
+ * Elasticsearch mapping) mengikuti dimensi yang sama
+ */
+export const embeddingConfig = {
+  provider: process.env.EMBEDDING_PROVIDER || 'mock',
+  model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+  dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS) || 768,
+  modelPath: process.env.EMBEDDING_MODEL_PATH || null,
+
+  // Chunking untuk content panjang (characters)
+  chunkSize: parseInt(process.env.NOTE_CHUNK_SIZE) || 1000,
+  chunkOverlap: parseInt(process.env.NOTE_CHUNK_OVERLAP) || 200,
+  chunksAlias: process.env.ELASTICSEARCH_NOTE_CHUNKS_ALIAS || 'note_chunks',
+
+  // Re-embedding pipeline
+  notesAlias: process.env.ELASTICSEARCH_NOTES_ALIAS || 'notes',
+  reembedBatchSize: parseInt(process.env.REEMBED_BATCH_SIZE) || 50,
+  reembedResumeOnStart: process.env.REEMBED_RESUME_ON_START !== 'false'
+};
+
+/**
+ * Learning-to-Rank Configuration
+ * Model di-train per tenant dari relevance feedback
+ */
+export const rankingConfig = {
+  enabled: process.env.LTR_ENABLED !== 'false',
+  minPairs: parseInt(process.env.LTR_MIN_PAIRS) || 20,
+  maxSamples: parseInt(process.env.LTR_MAX_SAMPLES) || 20000,
+  epochs: parseInt(process.env.LTR_EPOCHS) || 300,
+  learningRate: parseFloat(process.env.LTR_LEARNING_RATE) || 0.1,
+  l2: parseFloat(process.env.LTR_L2 ?? 0.01),
+  modelCacheTTL: parseInt(process.env.LTR_MODEL_CACHE_TTL) || 3600 // 1 hour
+};
+
+/**
+ * Saved Searches Configuration
+ * Standing searches di-evaluate terhadap note baru via Redis pub/sub
+ */
+export const savedSearchConfig = {
+  maxPerUser: parseInt(process.env.SAVED_SEARCH_MAX_PER_USER) || 50,
+  standingEnabled: process.env.SAVED_SEARCH_STANDING_ENABLED !== 'false',
+  noteEventsChannel: process.env.NOTE_EVENTS_CHANNEL || 'notes:created',
+  matchChannelPrefix: process.env.SAVED_SEARCH_MATCH_CHANNEL_PREFIX || 'saved-searches',
+  minMatchScore: parseFloat(process.env.SAVED_SEARCH_MIN_MATCH_SCORE) || 0.5,
+  dedupeTTL: parseInt(process.env.SAVED_SEARCH_DEDUPE_TTL) || 3600 // 1 hour
+};
+
+/**
+ * Query Suggestions Configuration
+ * Term dictionary per tenant di-maintain incremental saat note/knowledge ditulis
+ */
+export const suggestConfig = {
+  enabled: process.env.SUGGEST_ENABLED !== 'false',
+  maxEditDistance: parseInt(process.env.SUGGEST_MAX_EDIT_DISTANCE) || 2,
+  minSimilarity: parseFloat(process.env.SUGGEST_MIN_SIMILARITY) || 0.8,
+  maxTermsPerNote: parseInt(process.env.SUGGEST_MAX_TERMS_PER_NOTE) || 50,
+  defaultLimit: parseInt(process.env.SUGGEST_DEFAULT_LIMIT) || 10,
+  dictionaryCacheTTL: parseInt(process.env.SUGGEST_DICTIONARY_CACHE_TTL) || 300, // 5 minutes
+  dictionaryCacheSize: parseInt(process.env.SUGGEST_DICTIONARY_CACHE_SIZE) || 500, // Users (LRU)
+  maxPhrases: parseInt(process.env.SUGGEST_MAX_PHRASES) || 5000,
+  globalTenant: '_global' // Knowledge domains tanpa scope
+};
+
+/**
+ * Organizations Configuration
+ * Members dengan role (owner, admin, writer, reader) dan teams untuk shared memory
+ */
+export const organizationConfig = {
+  maxPerUser: parseInt(process.env.ORG_MAX_PER_USER) || 20,
+  maxTeamsPerOrganization: parseInt(process.env.ORG_MAX_TEAMS) || 100,
+  accessCacheTTL: parseInt(process.env.ORG_ACCESS_CACHE_TTL) || 60 // seconds, access context per user
+};
+
+/**
+ * Agent Registry Configuration
+ */
+export const agentConfig = {
+  // Agent yang belum terdaftar otomatis didaftarkan saat pertama menulis notes/sessions (tetap dibatasi agent limit)
+  autoRegister: process.env.AGENT_AUTO_REGISTER !== 'false',
+  cacheTTL: parseInt(process.env.AGENT_CACHE_TTL) || 60 // seconds
+};
+
+/**
+ * Audit Log Configuration
+ */
+export const auditConfig = {
+  // AUDIT_ENABLED=false mematikan pencatatan (query/export tetap bisa)
+  enabled: process.env.AUDIT_ENABLED !== 'false',
+  systemChain: 'system', // Chain untuk event tanpa user (backup, scheduled jobs)
+  // Jika diset, hash chain memakai HMAC-SHA256 sehingga chain tidak bisa ditulis ulang tanpa secret
+  // (mengganti secret membuat entries lama gagal diverifikasi)
+  hashSecret: process.env.AUDIT_HASH_SECRET || null,
+  maxQueryScan: parseInt(process.env.AUDIT_MAX_QUERY_SCAN) || 5000, // entries yang dibaca per query /audit
+  maxExportEntries: parseInt(process.env.AUDIT_MAX_EXPORT) || 50000,
+  appendRetries: parseInt(process.env.AUDIT_APPEND_RETRIES) || 5 // retry saat sequence dipakai process lain
+};
+
+/**
+ * Knowledge Consolidation Configuration
+ */
+export const consolidationConfig = {
+  // Scheduling
+  enabled: process.env.CONSOLIDATION_ENABLED !== 'false',
+  schedule: process.env.CONSOLIDATION_SCHEDULE || '0 * * * *', // Every hour
+
+  // Note selection
+  lookbackHours: parseInt(process.env.CONSOLIDATION_LOOKBACK_HOURS) || 24,
+  maxNotesPerRun: parseInt(process.env.CONSOLIDATION_MAX_NOTES) || 500,
+
+  // Clustering
+  similarityThreshold: parseFloat(process.env.CONSOLIDATION_SIMILARITY_THRESHOLD) || 0.8,
+  minClusterSize: parseInt(process.env.CONSOLIDATION_MIN_CLUSTER_SIZE) || 2,
+  embeddingProvider: embeddingConfig.provider
+};
+
 /**
  * Logging Configuration
  */
@@ -394,6 +591,10 @@ export const validateConfig = () => {
   }
   
   // Validate security settings
+  if (serverConfig.security.trustProxy === true) {
+    warnings.push('TRUST_PROXY=true lets clients spoof their IP via X-Forwarded-For; set the proxy hop count or subnets instead');
+  }
+
   if (serverConfig.security.rateLimiting.maxRequests < 1) {
     errors.push('Rate limit max requests must be at least 1');
   }
@@ -415,6 +616,14 @@ export const config = {
   cache: cacheConfig,
   search: searchConfig,
   backup: backupConfig,
+  embedding: embeddingConfig,
+  ranking: rankingConfig,
+  savedSearch: savedSearchConfig,
+  suggest: suggestConfig,
+  organization: organizationConfig,
+  agent: agentConfig,
+  audit: auditConfig,
+  consolidation: consolidationConfig,
   logging: loggingConfig,
   monitoring: monitoringConfig,
   features: featureFlags,
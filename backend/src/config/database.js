@@ -22,6 +22,9 @@ export const scyllaConfig = {
   keyspace: process.env.SCYLLA_KEYSPACE || 'mcp_server',
   username: process.env.SCYLLA_USERNAME || null,
   password: process.env.SCYLLA_PASSWORD || null,
+
+  // Terapkan scyllaSchemas (tables, kolom baru, indexes) saat startup
+  autoMigrate: process.env.SCYLLA_AUTO_MIGRATE !== 'false',
   
   // Connection options
   pooling: {
@@ -215,11 +218,83 @@ export const elasticsearchIndices = {
           analyzer: 'standard',
           search_analyzer: 'standard'
         },
-        created_at: { type: 'date' }
+        embeddings: {
+          type: 'dense_vector',
+          dims: parseInt(process.env.EMBEDDING_DIMENSIONS) || 768
+        },
+        embedding_model: { type: 'keyword' },
+        embedding_dimensions: { type: 'integer' },
+        metadata: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            user_id: { type: 'keyword' },
+            // Scope organization/team untuk shared memory
+            org_id: { type: 'keyword' },
+            team_id: { type: 'keyword' },
+            // Domain entities dari EntityExtractor (lib/search-lib/entities.js)
+            entities: {
+              type: 'object',
+              properties: {
+                stack_frames: {
+                  type: 'object',
+                  properties: {
+                    language: { type: 'keyword' },
+                    function: { type: 'keyword' },
+                    file: { type: 'keyword' },
+                    line: { type: 'integer' },
+                    column: { type: 'integer' }
+                  }
+                },
+                error_codes: { type: 'keyword' },
+                http_status: { type: 'integer' },
+                exit_codes: { type: 'integer' },
+                files: { type: 'keyword' },
+                file_refs: { type: 'keyword' },
+                packages: { type: 'keyword' },
+                package_versions: { type: 'keyword' },
+                sql_errors: { type: 'keyword' },
+                uuids: { type: 'keyword' }
+              }
+            }
+          }
+        },
+        version: { type: 'integer' },
+        created_at: { type: 'date' },
+        updated_at: { type: 'date' }
       }
     }
   },
   
+  note_chunks: {
+    index: process.env.ELASTICSEARCH_NOTE_CHUNKS_ALIAS || 'note_chunks',
+    settings: {
+      number_of_shards: parseInt(process.env.ELASTICSEARCH_NOTES_SHARDS) || 1,
+      number_of_replicas: parseInt(process.env.ELASTICSEARCH_NOTES_REPLICAS) || 1,
+      refresh_interval: process.env.ELASTICSEARCH_NOTES_REFRESH || '1s'
+    },
+    mappings: {
+      properties: {
+        note_id: { type: 'keyword' },
+        chunk_index: { type: 'integer' },
+        field: { type: 'keyword' },
+        start_offset: { type: 'integer' },
+        end_offset: { type: 'integer' },
+        text: { type: 'text', analyzer: 'standard' },
+        agent_id: { type: 'keyword' },
+        session_id: { type: 'keyword' },
+        project: { type: 'keyword' },
+        type: { type: 'keyword' },
+        embeddings: {
+          type: 'dense_vector',
+          dims: parseInt(process.env.EMBEDDING_DIMENSIONS) || 768
+        },
+        embedding_model: { type: 'keyword' },
+        created_at: { type: 'date' }
+      }
+    }
+  },
+
   knowledge: {
     index: process.env.ELASTICSEARCH_KNOWLEDGE_INDEX || 'mcp_knowledge',
     settings: {
@@ -235,7 +310,13 @@ export const elasticsearchIndices = {
         content: { type: 'text', analyzer: 'standard' },
         confidence_score: { type: 'float' },
         version: { type: 'integer' },
+        status: { type: 'keyword' },
         tags: { type: 'keyword' },
+        searchable_text: { type: 'text', analyzer: 'standard' },
+        created_by: { type: 'keyword' },
+        owner_id: { type: 'keyword' },
+        org_id: { type: 'keyword' },
+        team_id: { type: 'keyword' },
         created_at: { type: 'date' },
         updated_at: { type: 'date' }
       }
@@ -257,6 +338,9 @@ export const elasticsearchIndices = {
         project_id: { type: 'keyword' },
         outcomes: { type: 'object' },
         lessons_learned: { type: 'text' },
+        created_by: { type: 'keyword' },
+        org_id: { type: 'keyword' },
+        team_id: { type: 'keyword' },
         created_at: { type: 'date' }
       }
     }
@@ -287,6 +371,27 @@ export const scyllaSchemas = {
       is_active BOOLEAN
     )
   `,
+
+  // Scoped API keys; hanya sha256 hash yang disimpan, raw key hanya ditampilkan sekali
+  api_keys: `
+    CREATE TABLE IF NOT EXISTS ${scyllaConfig.keyspace}.api_keys (
+      key_hash TEXT PRIMARY KEY,
+      id UUID,
+      user_id UUID,
+      name TEXT,
+      key_prefix TEXT,
+      scopes SET<TEXT>,
+      agent_ids SET<TEXT>,
+      ip_allowlist SET<TEXT>,
+      expires_at TIMESTAMP,
+      rotated_from UUID,
+      rotated_to UUID,
+      grace_expires_at TIMESTAMP,
+      revoked_at TIMESTAMP,
+      last_used_at TIMESTAMP,
+      created_at TIMESTAMP
+    )
+  `,
   
   notes: `
     CREATE TABLE IF NOT EXISTS ${scyllaConfig.keyspace}.notes (
@@ -298,10 +403,31 @@ export const scyllaSchemas = {
       context TEXT,
       content TEXT,
       metadata TEXT,
-      created_at TIMESTAMP
+      version INT,
+      embeddings LIST<FLOAT>,
+      embedding_model TEXT,
+      embedding_dimensions INT,
+      created_at TIMESTAMP,
+      updated_at TIMESTAMP
     )
   `,
   
+  note_versions: `
+    CREATE TABLE IF NOT EXISTS ${scyllaConfig.keyspace}.note_versions (
+      note_id UUID,
+      version INT,
+      agent_id TEXT,
+      type TEXT,
+      context TEXT,
+      content TEXT,
+      metadata TEXT,
+      edited_by TEXT,
+      change_summary TEXT,
+      created_at TIMESTAMP,
+      PRIMARY KEY (note_id, version)
+    ) WITH CLUSTERING ORDER BY (version DESC)
+  `,
+  
   sessions: `
     CREATE TABLE IF NOT EXISTS ${scyllaConfig.keyspace}.sessions (
       id UUID PRIMARY KEY,
@@ -311,7 +437,9 @@ export const scyllaSchemas = {
       ended_at TIMESTAMP,
       status TEXT,
       statistics TEXT,
-      duration_minutes INT
+      duration_minutes INT,
+      org_id UUID,
+      team_id UUID
     )
   `,
   
@@ -322,8 +450,17 @@ export const scyllaSchemas = {
       title TEXT,
       summary TEXT,
       content TEXT,
+      note_ids LIST<UUID>,
+      patterns TEXT,
       confidence_score FLOAT,
       version INT,
+      status TEXT,
+      created_by TEXT,
+      status_changed_by TEXT,
+      owner_id TEXT,
+      org_id UUID,
+      team_id UUID,
+      last_updated TIMESTAMP,
       created_at TIMESTAMP,
       updated_at TIMESTAMP
     )
@@ -335,24 +472,254 @@ export const scyllaSchemas = {
       title TEXT,
       description TEXT,
       applicable_domain TEXT,
+      applicable_domains TEXT,
       project_id TEXT,
+      journey TEXT,
       outcomes TEXT,
       lessons_learned TEXT,
-      created_at TIMESTAMP
+      status TEXT,
+      created_by TEXT,
+      org_id UUID,
+      team_id UUID,
+      created_at TIMESTAMP,
+      completed_at TIMESTAMP,
+      updated_at TIMESTAMP
     )
   `,
   
+  search_feedback: `
+    CREATE TABLE IF NOT EXISTS ${scyllaConfig.keyspace}.search_feedback (
+      user_id UUID,
+      created_at TIMESTAMP,
+      id UUID,
+      session_id UUID,
+      agent_id TEXT,
+      query TEXT,
+      note_id UUID,
+      helpful BOOLEAN,
+      relevance_score FLOAT,
+      features TEXT,
+      PRIMARY KEY (user_id, created_at, id)
+    ) WITH CLUSTERING ORDER BY (created_at DESC, id ASC)
+  `,
+  
+  ranking_models: `
+    CREATE TABLE IF NOT EXISTS ${scyllaConfig.keyspace}.ranking_models (
+      user_id UUID,
+      version INT,
+      feature_names TEXT,
+      weights TEXT,
+      normalization TEXT,
+      metrics TEXT,
+      sample_count INT,
+      pair_count INT,
+      status TEXT,
+      trained_at TIMESTAMP,
+      activated_at TIMESTAMP,
+      PRIMARY KEY (user_id, version)
+    ) WITH CLUSTERING ORDER BY (version DESC)
+  `,
+  
+  saved_searches: `
+    CREATE TABLE IF NOT EXISTS ${scyllaConfig.keyspace}.saved_searches (
+      user_id UUID,
+      id UUID,
+      name TEXT,
+      query TEXT,
+      agent_id TEXT,
+      filters TEXT,
+      max_results INT,
+      standing BOOLEAN,
+      last_run_at TIMESTAMP,
+      last_match_at TIMESTAMP,
+      created_at TIMESTAMP,
+      updated_at TIMESTAMP,
+      PRIMARY KEY (user_id, id)
+    )
+  `,
+  
+  saved_search_matches: `
+    CREATE TABLE IF NOT EXISTS ${scyllaConfig.keyspace}.saved_search_matches (
+      saved_search_id UUID,
+      matched_at TIMESTAMP,
+      note_id UUID,
+      user_id UUID,
+      agent_id TEXT,
+      score FLOAT,
+      PRIMARY KEY (saved_search_id, matched_at, note_id)
+    ) WITH CLUSTERING ORDER BY (matched_at DESC, note_id ASC)
+  `,
+  
+  // Term dictionary untuk query suggestions (counter per tenant/category/term)
+  search_terms: `
+    CREATE TABLE IF NOT EXISTS ${scyllaConfig.keyspace}.search_terms (
+      tenant_id TEXT,
+      category TEXT,
+      term TEXT,
+      count COUNTER,
+      PRIMARY KEY (tenant_id, category, term)
+    )
+  `,
+  
+  // Organizations, members (role) dan teams untuk shared memory
+  organizations: `
+    CREATE TABLE IF NOT EXISTS ${scyllaConfig.keyspace}.organizations (
+      id UUID PRIMARY KEY,
+      name TEXT,
+      description TEXT,
+      created_by UUID,
+      created_at TIMESTAMP,
+      updated_at TIMESTAMP
+    )
+  `,
+
+  organization_members: `
+    CREATE TABLE IF NOT EXISTS ${scyllaConfig.keyspace}.organization_members (
+      org_id UUID,
+      user_id UUID,
+      role TEXT,
+      added_by UUID,
+      joined_at TIMESTAMP,
+      PRIMARY KEY (org_id, user_id)
+    )
+  `,
+
+  // Lookup organizations per user (denormalized dari organization_members)
+  user_organizations: `
+    CREATE TABLE IF NOT EXISTS ${scyllaConfig.keyspace}.user_organizations (
+      user_id UUID,
+      org_id UUID,
+      role TEXT,
+      PRIMARY KEY (user_id, org_id)
+    )
+  `,
+
+  teams: `
+    CREATE TABLE IF NOT EXISTS ${scyllaConfig.keyspace}.teams (
+      org_id UUID,
+      id UUID,
+      name TEXT,
+      description TEXT,
+      created_by UUID,
+      created_at TIMESTAMP,
+      PRIMARY KEY (org_id, id)
+    )
+  `,
+
+  team_members: `
+    CREATE TABLE IF NOT EXISTS ${scyllaConfig.keyspace}.team_members (
+      team_id UUID,
+      user_id UUID,
+      org_id UUID,
+      added_by UUID,
+      added_at TIMESTAMP,
+      PRIMARY KEY (team_id, user_id)
+    )
+  `,
+
+  user_teams: `
+    CREATE TABLE IF NOT EXISTS ${scyllaConfig.keyspace}.user_teams (
+      user_id UUID,
+      team_id UUID,
+      org_id UUID,
+      PRIMARY KEY (user_id, team_id)
+    )
+  `,
+
+  // Team (team_id) mengizinkan grantee team membaca memory-nya
+  team_shares: `
+    CREATE TABLE IF NOT EXISTS ${scyllaConfig.keyspace}.team_shares (
+      team_id UUID,
+      grantee_team_id UUID,
+      org_id UUID,
+      permission TEXT,
+      created_by UUID,
+      created_at TIMESTAMP,
+      PRIMARY KEY (team_id, grantee_team_id)
+    )
+  `,
+
+  // Lookup shares per grantee team (denormalized dari team_shares)
+  team_grants: `
+    CREATE TABLE IF NOT EXISTS ${scyllaConfig.keyspace}.team_grants (
+      grantee_team_id UUID,
+      team_id UUID,
+      org_id UUID,
+      permission TEXT,
+      PRIMARY KEY (grantee_team_id, team_id)
+    )
+  `,
+
+  // Agent registry; id adalah agent_id yang dipakai notes dan sessions (unik per user)
+  agents: `
+    CREATE TABLE IF NOT EXISTS ${scyllaConfig.keyspace}.agents (
+      user_id UUID,
+      id TEXT,
+      org_id UUID,
+      name TEXT,
+      description TEXT,
+      model TEXT,
+      owner TEXT,
+      purpose TEXT,
+      status TEXT,
+      metadata TEXT,
+      registered_via TEXT,
+      created_at TIMESTAMP,
+      updated_at TIMESTAMP,
+      disabled_at TIMESTAMP,
+      PRIMARY KEY (user_id, id)
+    )
+  `,
+
+  // Lookup agents per organization (denormalized dari agents)
+  organization_agents: `
+    CREATE TABLE IF NOT EXISTS ${scyllaConfig.keyspace}.organization_agents (
+      org_id UUID,
+      agent_id TEXT,
+      user_id UUID,
+      PRIMARY KEY (org_id, agent_id)
+    )
+  `,
+
+  // Audit log append-only per chain (user ID atau 'system'); hash tiap entry mencakup prev_hash
+  audit_log: `
+    CREATE TABLE IF NOT EXISTS ${scyllaConfig.keyspace}.audit_log (
+      chain_id TEXT,
+      sequence BIGINT,
+      id UUID,
+      action TEXT,
+      actor_id TEXT,
+      actor_type TEXT,
+      api_key_id TEXT,
+      target_type TEXT,
+      target_id TEXT,
+      outcome TEXT,
+      ip TEXT,
+      user_agent TEXT,
+      details TEXT,
+      created_at TIMESTAMP,
+      prev_hash TEXT,
+      hash TEXT,
+      PRIMARY KEY (chain_id, sequence)
+    ) WITH CLUSTERING ORDER BY (sequence DESC)
+  `,
+
   // Indexes untuk better query performance
   indexes: [
     `CREATE INDEX IF NOT EXISTS ON ${scyllaConfig.keyspace}.users (email)`,
     `CREATE INDEX IF NOT EXISTS ON ${scyllaConfig.keyspace}.users (api_key)`,
+    `CREATE INDEX IF NOT EXISTS ON ${scyllaConfig.keyspace}.api_keys (user_id)`,
+    `CREATE INDEX IF NOT EXISTS ON ${scyllaConfig.keyspace}.api_keys (id)`,
     `CREATE INDEX IF NOT EXISTS ON ${scyllaConfig.keyspace}.notes (agent_id)`,
     `CREATE INDEX IF NOT EXISTS ON ${scyllaConfig.keyspace}.notes (session_id)`,
     `CREATE INDEX IF NOT EXISTS ON ${scyllaConfig.keyspace}.sessions (user_id)`,
     `CREATE INDEX IF NOT EXISTS ON ${scyllaConfig.keyspace}.sessions (agent_id)`,
     `CREATE INDEX IF NOT EXISTS ON ${scyllaConfig.keyspace}.knowledge (domain)`,
+    `CREATE INDEX IF NOT EXISTS ON ${scyllaConfig.keyspace}.knowledge (status)`,
     `CREATE INDEX IF NOT EXISTS ON ${scyllaConfig.keyspace}.experiences (applicable_domain)`,
-    `CREATE INDEX IF NOT EXISTS ON ${scyllaConfig.keyspace}.experiences (project_id)`
+    `CREATE INDEX IF NOT EXISTS ON ${scyllaConfig.keyspace}.experiences (project_id)`,
+    `CREATE INDEX IF NOT EXISTS ON ${scyllaConfig.keyspace}.experiences (status)`,
+    `CREATE INDEX IF NOT EXISTS ON ${scyllaConfig.keyspace}.saved_searches (agent_id)`
   ]
 };
 
@@ -106,8 +106,7 @@ export const securityConfig = {
   ipFilter: {
     mode: process.env.IP_FILTER_MODE || 'none', // 'whitelist', 'blacklist', 'none'
     whitelist: process.env.IP_WHITELIST?.split(',') || [],
-    blacklist: process.env.IP_BLACKLIST?.split(',') || [],
-    trustProxy: true // Trust X-Forwarded-For headers
+    blacklist: process.env.IP_BLACKLIST?.split(',') || []
   },
 
   // API Key Configuration
@@ -132,9 +131,9 @@ export const securityConfig = {
 };
 
 // Helper function to get client IP
+// req.ip sudah memperhitungkan 'trust proxy' (TRUST_PROXY); X-Forwarded-For tidak dibaca langsung
 export function getClientIp(req) {
-  const forwarded = req.headers['x-forwarded-for'];
-  const ip = forwarded ? forwarded.split(',')[0].trim() : req.connection.remoteAddress;
+  const ip = req.ip || req.socket?.remoteAddress;
 
   // Handle IPv6 localhost
   if (ip === '::1' || ip === '::ffff:127.0.0.1') {
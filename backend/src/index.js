@@ -2,7 +2,8 @@
  * MCP Server Learning-AI + Memory - Main Application
  * 
  * Express.js application dengan comprehensive middleware stack
- * Routes untuk authentication, notes, knowledge, experiences, sessions, dan monitoring
+ * Routes untuk authentication, notes, knowledge, experiences, sessions, saved searches, search suggestions,
+ * organizations/teams, agent registry, audit log, dan monitoring
  * 
  * @author MCP Server Team
  * @version 1.0.0
@@ -27,7 +28,13 @@ import notesRoutes from './api/routes/notes.routes.js';
 import knowledgeRoutes from './api/routes/knowledge.routes.js';
 import experienceRoutes from './api/routes/experience.routes.js';
 import sessionRoutes from './api/routes/session.routes.js';
+import savedSearchRoutes from './api/routes/saved-search.routes.js';
+import organizationRoutes from './api/routes/organization.routes.js';
+import agentRoutes from './api/routes/agent.routes.js';
+import auditRoutes from './api/routes/audit.routes.js';
+import searchRoutes from './api/routes/search.routes.js';
 import monitoringRoutes from './api/routes/monitoring.routes.js';
+import mcpRoutes from './api/routes/mcp.routes.js';
 
 // Import shared services
 import sharedServices from './services/shared-services.js';
@@ -88,8 +95,9 @@ async function initializeServices() {
  * Security middleware setup
  */
 function setupSecurity() {
-  // Trust proxy - important for getting real IP behind reverse proxy
-  app.set('trust proxy', true);
+  // Trust proxy (TRUST_PROXY) - hanya hop/subnet proxy sendiri, agar X-Forwarded-For dari client
+  // tidak bisa memalsukan req.ip untuk IP allowlist dan rate limiting
+  app.set('trust proxy', config.server.security.trustProxy);
 
   // IP filtering middleware
   app.use(ipFilterMiddleware);
@@ -233,6 +241,12 @@ function setupRoutes() {
   app.use(`${apiPrefix}/knowledge`, knowledgeRoutes);
   app.use(`${apiPrefix}/experiences`, experienceRoutes);
   app.use(`${apiPrefix}/sessions`, sessionRoutes);
+  app.use(`${apiPrefix}/saved-searches`, savedSearchRoutes);
+  app.use(`${apiPrefix}/organizations`, organizationRoutes);
+  app.use(`${apiPrefix}/agents`, agentRoutes);
+  app.use(`${apiPrefix}/audit`, auditRoutes);
+  app.use(`${apiPrefix}/search`, searchRoutes);
+  app.use(`${apiPrefix}/mcp`, mcpRoutes); // Model Context Protocol (streamable HTTP)
   app.use(`${apiPrefix}`, monitoringRoutes); // /metrics, /health di level root
 
   // API documentation route (jika enabled)
@@ -248,6 +262,12 @@ function setupRoutes() {
           knowledge: `${apiPrefix}/knowledge`,
           experiences: `${apiPrefix}/experiences`,
           sessions: `${apiPrefix}/sessions`,
+          saved_searches: `${apiPrefix}/saved-searches`,
+          organizations: `${apiPrefix}/organizations`,
+          agents: `${apiPrefix}/agents`,
+          audit: `${apiPrefix}/audit`,
+          search: `${apiPrefix}/search`,
+          mcp: `${apiPrefix}/mcp`,
           monitoring: `${apiPrefix}/metrics`
         }
       });
@@ -316,6 +336,15 @@ async function startServer() {
     
     // Initialize services
     await initializeServices();
+
+    // Start background knowledge consolidation
+    sharedServices.getConsolidationService().start();
+
+    // Lanjutkan re-embedding job yang terputus
+    await sharedServices.getReembeddingService().resumeInterrupted();
+
+    // Standing saved searches mendengarkan note baru via Redis pub/sub
+    await sharedServices.getSavedSearchService().start();
     
     // Setup middleware dan routes
     setupSecurity();
@@ -73,6 +73,10 @@ export class AuthLib {
       const tokenPayload = {
         sub: payload.userId || payload.sub,
         type: 'refresh',
+        // Scoped API key harus tetap terikat setelah refresh
+        ...(payload.keyId && { keyId: payload.keyId }),
+        // Refresh token family untuk rotation dan reuse detection
+        ...(payload.fid && { fid: payload.fid }),
         iat: Math.floor(Date.now() / 1000),
         jti: uuidv4()
       };
@@ -141,6 +145,26 @@ export class AuthLib {
     }
   }
 
+  /**
+   * Validate refresh token
+   * @param {string} refreshToken - Refresh token
+   * @returns {Object} Decoded refresh token payload
+   */
+  verifyRefreshToken(refreshToken) {
+    const validation = this.validateToken(refreshToken);
+
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    // Validasi bahwa ini adalah refresh token
+    if (validation.payload.type !== 'refresh') {
+      throw new Error('Invalid token type. Expected refresh token.');
+    }
+
+    return validation.payload;
+  }
+
   /**
    * Refresh access token menggunakan refresh token
    * @param {string} refreshToken - Refresh token
@@ -148,18 +172,7 @@ export class AuthLib {
    */
   refreshTokens(refreshToken) {
     try {
-      const validation = this.validateToken(refreshToken);
-      
-      if (!validation.valid) {
-        throw new Error(validation.error);
-      }
-
-      const { payload } = validation;
-      
-      // Validasi bahwa ini adalah refresh token
-      if (payload.type !== 'refresh') {
-        throw new Error('Invalid token type. Expected refresh token.');
-      }
+      const payload = this.verifyRefreshToken(refreshToken);
 
       // Generate token baru
       return this.generateTokenPair({
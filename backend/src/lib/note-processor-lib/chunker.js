@@ -0,0 +1,104 @@
+/**
+ * Text Chunker - Overlapping Chunks for Long Content
+ *
+ * Memecah text panjang (build logs, error traces) menjadi chunks yang saling overlap
+ * sehingga setiap bagian, termasuk tail, bisa di-embed tanpa terpotong token limit.
+ * Setiap chunk menyimpan character offsets terhadap text asli
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+/**
+ * Text Chunker Class
+ */
+export class TextChunker {
+  constructor(config = {}) {
+    this.config = {
+      chunkSize: config.chunkSize || 1000, // characters
+      overlap: config.overlap !== undefined ? config.overlap : 200,
+      ...config
+    };
+
+    if (this.config.overlap >= this.config.chunkSize) {
+      throw new Error('Chunk overlap must be smaller than chunk size');
+    }
+  }
+
+  /**
+   * Split text menjadi overlapping chunks
+   * @param {string} text - Input text
+   * @returns {Array} [{ index, text, start, end }] dengan end exclusive
+   */
+  chunk(text) {
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      return [];
+    }
+
+    const { chunkSize, overlap } = this.config;
+    const chunks = [];
+    let start = 0;
+
+    while (start < text.length) {
+      let end = Math.min(start + chunkSize, text.length);
+
+      if (end < text.length) {
+        end = this.findBreakPoint(text, start + Math.floor(chunkSize / 2), end);
+      }
+
+      chunks.push({
+        index: chunks.length,
+        text: text.slice(start, end),
+        start,
+        end
+      });
+
+      if (end >= text.length) {
+        break;
+      }
+
+      start = this.findChunkStart(text, Math.max(end - overlap, start + 1), end);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Cari batas chunk terbaik: newline, akhir kalimat, lalu whitespace
+   * @returns {number} Exclusive end offset
+   */
+  findBreakPoint(text, min, max) {
+    const window = text.slice(min, max);
+
+    const newline = window.lastIndexOf('\n');
+    if (newline !== -1) {
+      return min + newline + 1;
+    }
+
+    const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('! '), window.lastIndexOf('? '));
+    if (sentenceEnd !== -1) {
+      return min + sentenceEnd + 2;
+    }
+
+    const whitespace = window.search(/\s\S*$/);
+    if (whitespace !== -1) {
+      return min + whitespace + 1;
+    }
+
+    return max;
+  }
+
+  /**
+   * Mulai chunk berikutnya di awal kata agar overlap tidak memotong kata
+   */
+  findChunkStart(text, start, end) {
+    if (start === 0 || /\s/.test(text[start - 1])) {
+      return start;
+    }
+
+    const nextWord = text.slice(start, end).search(/\s\S/);
+    return nextWord === -1 ? start : start + nextWord + 1;
+  }
+}
+
+export default TextChunker;
@@ -189,6 +189,7 @@ program
   .option('-t, --text <text>', 'Text to embed')
   .option('-f, --file <file>', 'File containing text to embed')
   .option('-p, --provider <provider>', 'Embedding provider', 'mock')
+  .option('-m, --model <path>', 'Local model directory (model.onnx + vocab.txt) for local provider')
   .option('-o, --output <file>', 'Output file for embedding')
   .action(async (options) => {
     try {
@@ -205,7 +206,8 @@ program
 
       // Configure embeddings dengan provider
       const embeddingGenerator = new embeddings.constructor({
-        provider: options.provider
+        provider: options.provider,
+        modelPath: options.model
       });
 
       console.log(chalk.blue(`🔄 Generating embedding using ${options.provider} provider...\n`));
@@ -239,12 +241,14 @@ program
   .requiredOption('-1, --text1 <text1>', 'First text')
   .requiredOption('-2, --text2 <text2>', 'Second text')
   .option('-p, --provider <provider>', 'Embedding provider', 'mock')
+  .option('-m, --model <path>', 'Local model directory (model.onnx + vocab.txt) for local provider')
   .action(async (options) => {
     try {
       console.log(chalk.blue(`🔄 Generating embeddings and calculating similarity...\n`));
 
       const embeddingGenerator = new embeddings.constructor({
-        provider: options.provider
+        provider: options.provider,
+        modelPath: options.model
       });
 
       const [embedding1, embedding2] = await Promise.all([
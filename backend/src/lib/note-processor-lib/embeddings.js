@@ -3,11 +3,14 @@
  * 
  * Menyediakan functionality untuk generate vector embeddings
  * Mendukung berbagai embedding providers dan local models
+ * Provider "local" menjalankan model on-disk (ONNX) untuk deployment offline
  * 
  * @author MCP Server Team
  * @version 1.0.0
  */
 
+import { OnnxEmbedder } from './onnx-embedder.js';
+
 /**
  * Embeddings Class untuk generate vector embeddings
  */
@@ -15,9 +18,11 @@ export class EmbeddingsGenerator {
   constructor(config = {}) {
     this.config = {
       provider: config.provider || process.env.EMBEDDING_PROVIDER || 'openai',
-      model: config.model || process.env.EMBEDDING_MODEL || 'text-embedding-ada-002',
+      model: config.model || process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
       apiKey: config.apiKey || process.env.OPENAI_API_KEY,
-      dimensions: config.dimensions || 1536,
+      // Default mengikuti dimensi embedding di Note schema (EMBEDDING_DIMENSIONS)
+      dimensions: config.dimensions || parseInt(process.env.EMBEDDING_DIMENSIONS) || 768,
+      modelPath: config.modelPath || process.env.EMBEDDING_MODEL_PATH,
       maxTokens: config.maxTokens || 8191,
       batchSize: config.batchSize || 10,
       retryAttempts: config.retryAttempts || 3,
@@ -27,6 +32,8 @@ export class EmbeddingsGenerator {
     };
 
     this.embeddingCache = new Map();
+    this.localModel = null;
+    this.localFallbackWarned = false;
     this.statistics = {
       totalEmbeddings: 0,
       cacheHits: 0,
@@ -49,6 +56,7 @@ export class EmbeddingsGenerator {
         this.generateEmbedding = this.generateOpenAIEmbedding.bind(this);
         break;
       case 'local':
+        this.localModel = this.createLocalModel();
         this.generateEmbedding = this.generateLocalEmbedding.bind(this);
         break;
       case 'mock':
@@ -59,6 +67,29 @@ export class EmbeddingsGenerator {
     }
   }
 
+  /**
+   * Create local model untuk provider "local"
+   * config.localModel bisa diisi object apapun dengan method embed(texts)
+   * @returns {Object|null} Local model, null jika tidak dikonfigurasi
+   */
+  createLocalModel() {
+    if (this.config.localModel) {
+      if (typeof this.config.localModel.embed !== 'function') {
+        throw new Error('Local model must implement embed(texts)');
+      }
+      return this.config.localModel;
+    }
+
+    if (this.config.modelPath) {
+      return new OnnxEmbedder({
+        modelPath: this.config.modelPath,
+        ...this.config.onnx
+      });
+    }
+
+    return null;
+  }
+
   /**
    * Generate embedding untuk single text
    * @param {string} text - Text untuk di-embed
@@ -85,6 +116,12 @@ export class EmbeddingsGenerator {
 
     for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
       const chunk = chunks[chunkIndex];
+
+      // Local model: satu inference untuk seluruh chunk
+      if (this.localModel) {
+        results.push(...await this.generateLocalBatch(chunk, chunkIndex * this.config.batchSize));
+        continue;
+      }
       
       try {
         const chunkResults = await Promise.all(
@@ -188,15 +225,20 @@ export class EmbeddingsGenerator {
   }
 
   /**
-   * Local embedding implementation (placeholder untuk future local models)
+   * Local embedding implementation
+   * Menggunakan local model jika dikonfigurasi, fallback ke pseudo-embedding
    */
   async generateLocalEmbedding(text, options = {}) {
+    if (this.localModel) {
+      const [embedding] = await this.embedLocalTexts([text]);
+      return embedding;
+    }
+
     try {
-      // Placeholder implementation
-      // Dalam implementasi nyata, ini akan menggunakan local model seperti:
-      // - sentence-transformers
-      // - Universal Sentence Encoder
-      // - atau model lainnya
+      if (!this.localFallbackWarned) {
+        console.warn('⚠️ No local embedding model configured (EMBEDDING_MODEL_PATH), using non-semantic pseudo-embeddings');
+        this.localFallbackWarned = true;
+      }
 
       const processedText = this.preprocessText(text);
       
@@ -226,6 +268,95 @@ export class EmbeddingsGenerator {
     }
   }
 
+  /**
+   * Embed texts dengan local model dalam satu inference
+   * Texts yang sudah ada di cache tidak dikirim ke model
+   * @param {Array<string>} texts - Texts untuk di-embed
+   * @returns {Array} Embeddings, urutan sama dengan input
+   */
+  async embedLocalTexts(texts) {
+    try {
+      const modelTexts = texts.map(text => this.preprocessModelText(text));
+      const embeddings = new Array(texts.length).fill(null);
+      const pending = [];
+
+      modelTexts.forEach((text, index) => {
+        const cached = this.config.cache ? this.getCachedEmbedding(text) : null;
+        if (cached) {
+          this.statistics.cacheHits++;
+          embeddings[index] = cached;
+          return;
+        }
+        if (this.config.cache) this.statistics.cacheMisses++;
+        pending.push(index);
+      });
+
+      if (pending.length > 0) {
+        const generated = await this.localModel.embed(pending.map(index => modelTexts[index]));
+
+        if (!Array.isArray(generated) || generated.length !== pending.length) {
+          throw new Error(`Local model returned ${generated?.length ?? 0} embeddings for ${pending.length} texts`);
+        }
+
+        generated.forEach((vector, position) => {
+          const embedding = Array.from(vector);
+
+          // Validate embedding
+          if (embedding.length !== this.config.dimensions) {
+            throw new Error(`Invalid embedding dimensions: expected ${this.config.dimensions}, got ${embedding.length}`);
+          }
+
+          const index = pending[position];
+          embeddings[index] = embedding;
+
+          if (this.config.cache) {
+            this.setCachedEmbedding(modelTexts[index], embedding);
+          }
+        });
+
+        this.statistics.totalEmbeddings += pending.length;
+      }
+
+      return embeddings;
+    } catch (error) {
+      this.statistics.errors++;
+      throw new Error(`Local embedding failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Batch embedding dengan local model untuk satu chunk
+   * Text yang invalid gagal sendiri tanpa menggagalkan chunk
+   */
+  async generateLocalBatch(chunk, offset) {
+    const results = chunk.map((text, index) => ({ index: offset + index, text }));
+    const valid = results.filter(result => {
+      try {
+        this.preprocessModelText(result.text);
+        return true;
+      } catch (error) {
+        this.statistics.errors++;
+        Object.assign(result, { embedding: null, success: false, error: error.message });
+        return false;
+      }
+    });
+
+    if (valid.length > 0) {
+      try {
+        const embeddings = await this.embedLocalTexts(valid.map(result => result.text));
+        valid.forEach((result, index) => {
+          Object.assign(result, { embedding: embeddings[index], success: true });
+        });
+      } catch (error) {
+        valid.forEach(result => {
+          Object.assign(result, { embedding: null, success: false, error: error.message });
+        });
+      }
+    }
+
+    return results;
+  }
+
   /**
    * Mock embedding untuk testing
    */
@@ -265,6 +396,8 @@ export class EmbeddingsGenerator {
         body: JSON.stringify({
           input: text,
           model: this.config.model,
+          // ada-002 selalu 1536 dimensi, text-embedding-3 mendukung dimensi custom
+          ...(this.config.model.startsWith('text-embedding-ada') ? {} : { dimensions: this.config.dimensions }),
           ...options
         })
       });
@@ -300,6 +433,18 @@ export class EmbeddingsGenerator {
       .substring(0, 10000); // Limit length
   }
 
+  /**
+   * Preprocess text untuk local model
+   * Tokenizer model menangani punctuation dan unicode sendiri, jadi hanya whitespace yang dinormalisasi
+   */
+  preprocessModelText(text) {
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      throw new Error('Invalid text input for embedding');
+    }
+
+    return text.trim().replace(/\s+/g, ' ').substring(0, 10000);
+  }
+
   /**
    * Estimate token count (rough approximation)
    */
@@ -484,6 +629,15 @@ export class EmbeddingsGenerator {
     };
   }
 
+  /**
+   * Release local model resources
+   */
+  async close() {
+    if (this.localModel?.close) {
+      await this.localModel.close();
+    }
+  }
+
   /**
    * Clear cache
    */
@@ -11,6 +11,8 @@
 import { v4 as uuidv4 } from 'uuid';
 import validator from './validator.js';
 import embeddings from './embeddings.js';
+import { TextChunker } from './chunker.js';
+import { EntityExtractor } from '../search-lib/entities.js';
 
 /**
  * Note Processor Class
@@ -26,12 +28,19 @@ export class NoteProcessor {
       autoTags: config.autoTags !== false,
       autoEmbeddings: config.autoEmbeddings !== false,
       summaryMaxLength: config.summaryMaxLength || 500,
+      chunkSize: config.chunkSize || parseInt(process.env.NOTE_CHUNK_SIZE) || 1000,
+      chunkOverlap: config.chunkOverlap || parseInt(process.env.NOTE_CHUNK_OVERLAP) || 200,
       enableProfanityFilter: config.enableProfanityFilter || false,
       ...config
     };
 
     this.validator = validator;
     this.embeddings = embeddings;
+    this.chunker = new TextChunker({
+      chunkSize: this.config.chunkSize,
+      overlap: this.config.chunkOverlap
+    });
+    this.entityExtractor = new EntityExtractor(this.config.entities);
     this.processingStats = {
       processed: 0,
       errors: 0,
@@ -80,10 +89,13 @@ export class NoteProcessor {
       }
 
       // Step 7: Generate embeddings jika enabled
+      // Content panjang juga di-embed per chunk agar tail tidak hilang karena truncation
       let embedding = sanitizedNote.embedding;
+      let chunks = [];
       if (this.config.autoEmbeddings && sanitizedNote.content) {
         const textForEmbedding = this.prepareTextForEmbedding(sanitizedNote);
         embedding = await this.embeddings.generateEmbedding(textForEmbedding);
+        chunks = await this.generateChunkEmbeddings(sanitizedNote.content);
       }
 
       // Step 8: Determine category jika belum ada
@@ -105,6 +117,7 @@ export class NoteProcessor {
         category,
         priority,
         embedding,
+        chunks,
         metadata: {
           ...sanitizedNote.metadata,
           ...metadata,
@@ -287,7 +300,8 @@ export class NoteProcessor {
       estimatedReadingTime: 0,
       language: 'en',
       complexity: 'medium',
-      topics: []
+      topics: [],
+      entities: {}
     };
 
     if (note.content) {
@@ -305,6 +319,9 @@ export class NoteProcessor {
       metadata.topics = await this.extractTopics(note.content);
     }
 
+    // Domain entities (stack frames, error codes, packages, ...) untuk structured search
+    metadata.entities = this.entityExtractor.extractFromNote(note);
+
     return metadata;
   }
 
@@ -459,6 +476,33 @@ export class NoteProcessor {
     return parts.join(' ').trim();
   }
 
+  /**
+   * Split content menjadi overlapping chunks dan generate embedding per chunk
+   * Content yang muat dalam satu chunk tidak di-chunk
+   * @returns {Array} [{ index, text, start_offset, end_offset, embedding }]
+   */
+  async generateChunkEmbeddings(content) {
+    const chunks = this.chunker.chunk(content);
+    if (chunks.length <= 1) {
+      return [];
+    }
+
+    const { results } = await this.embeddings.generateBatchEmbeddings(chunks.map(chunk => chunk.text));
+
+    return results
+      .filter(result => result.success)
+      .map(result => {
+        const chunk = chunks[result.index];
+        return {
+          index: chunk.index,
+          text: chunk.text,
+          start_offset: chunk.start,
+          end_offset: chunk.end,
+          embedding: result.embedding
+        };
+      });
+  }
+
   /**
    * Helper methods
    */
@@ -0,0 +1,197 @@
+/**
+ * ONNX Embedder - Offline Sentence Embeddings
+ *
+ * Menjalankan sentence embedding model (ONNX export BERT/MiniLM/BGE) di CPU
+ * tanpa akses network. Model directory berisi model.onnx dan vocab.txt
+ * Membutuhkan optional dependency onnxruntime-node
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { WordPieceTokenizer } from './tokenizer.js';
+
+/**
+ * ONNX Embedder Class
+ */
+export class OnnxEmbedder {
+  constructor(config = {}) {
+    this.config = {
+      modelPath: config.modelPath || process.env.EMBEDDING_MODEL_PATH,
+      modelFile: config.modelFile || 'model.onnx',
+      vocabFile: config.vocabFile || 'vocab.txt',
+      maxSequenceLength: config.maxSequenceLength || 256,
+      pooling: config.pooling || 'mean', // mean atau cls
+      normalize: config.normalize !== false,
+      lowercase: config.lowercase !== false,
+      intraOpNumThreads: config.intraOpNumThreads || 1,
+      ...config
+    };
+
+    this.session = null;
+    this.tokenizer = null;
+    this.dimensions = null;
+    this.loading = null;
+  }
+
+  /**
+   * Load tokenizer dan ONNX session (sekali, lazy)
+   */
+  async load() {
+    if (this.session) return;
+
+    if (!this.loading) {
+      this.loading = this.initializeSession().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+
+    await this.loading;
+  }
+
+  async initializeSession() {
+    const { modelPath, modelFile, vocabFile } = this.config;
+
+    if (!modelPath) {
+      throw new Error('Local embedding model path is not configured (EMBEDDING_MODEL_PATH)');
+    }
+
+    const modelFilePath = join(modelPath, modelFile);
+    const vocabFilePath = join(modelPath, vocabFile);
+
+    if (!existsSync(modelFilePath)) {
+      throw new Error(`Model file not found: ${modelFilePath}`);
+    }
+    if (!existsSync(vocabFilePath)) {
+      throw new Error(`Vocabulary file not found: ${vocabFilePath}`);
+    }
+
+    let ort;
+    try {
+      ort = await import('onnxruntime-node');
+    } catch (error) {
+      throw new Error('onnxruntime-node is not installed. Run "npm install onnxruntime-node" to use local embeddings');
+    }
+
+    this.ort = ort.default || ort;
+    this.tokenizer = await WordPieceTokenizer.fromFile(vocabFilePath, { lowercase: this.config.lowercase });
+    this.session = await this.ort.InferenceSession.create(modelFilePath, {
+      executionProviders: ['cpu'],
+      intraOpNumThreads: this.config.intraOpNumThreads
+    });
+
+    console.log(`✅ Local embedding model loaded: ${modelFilePath}`);
+  }
+
+  /**
+   * Generate embeddings untuk batch texts dalam satu inference
+   * @param {Array<string>} texts - Input texts
+   * @returns {Promise<Array<Array<number>>>} Embeddings, urutan sama dengan input
+   */
+  async embed(texts) {
+    await this.load();
+
+    if (texts.length === 0) {
+      return [];
+    }
+
+    const encoded = texts.map(text => this.tokenizer.encode(text, this.config.maxSequenceLength));
+    const sequenceLength = Math.max(...encoded.map(item => item.inputIds.length));
+    const batchSize = texts.length;
+
+    const toTensor = (key, padValue) => {
+      const data = new BigInt64Array(batchSize * sequenceLength).fill(BigInt(padValue));
+      encoded.forEach((item, row) => {
+        item[key].forEach((value, column) => {
+          data[row * sequenceLength + column] = BigInt(value);
+        });
+      });
+      return new this.ort.Tensor('int64', data, [batchSize, sequenceLength]);
+    };
+
+    const inputs = {
+      input_ids: toTensor('inputIds', this.tokenizer.padId),
+      attention_mask: toTensor('attentionMask', 0),
+      token_type_ids: toTensor('tokenTypeIds', 0)
+    };
+
+    // Hanya kirim inputs yang dikenal model (beberapa export tidak punya token_type_ids)
+    const feeds = {};
+    this.session.inputNames.forEach(name => {
+      if (!inputs[name]) {
+        throw new Error(`Unsupported model input: ${name}`);
+      }
+      feeds[name] = inputs[name];
+    });
+
+    const outputs = await this.session.run(feeds);
+    const output = outputs[this.session.outputNames[0]];
+
+    const embeddings = output.dims.length === 2
+      ? this.splitPooled(output) // Model sudah melakukan pooling (sentence_embedding)
+      : this.pool(output, encoded, sequenceLength);
+
+    this.dimensions = embeddings[0].length;
+
+    return this.config.normalize ? embeddings.map(this.normalizeVector) : embeddings;
+  }
+
+  /**
+   * Pooling token embeddings [batch, sequence, hidden] menjadi sentence embeddings
+   */
+  pool(output, encoded, sequenceLength) {
+    const hiddenSize = output.dims[2];
+    const data = output.data;
+
+    return encoded.map((item, row) => {
+      const embedding = new Array(hiddenSize).fill(0);
+      const rowOffset = row * sequenceLength * hiddenSize;
+
+      if (this.config.pooling === 'cls') {
+        for (let h = 0; h < hiddenSize; h++) {
+          embedding[h] = data[rowOffset + h];
+        }
+        return embedding;
+      }
+
+      // Mean pooling dengan attention mask (padding tidak dihitung)
+      const tokenCount = item.attentionMask.length;
+      for (let t = 0; t < tokenCount; t++) {
+        const tokenOffset = rowOffset + t * hiddenSize;
+        for (let h = 0; h < hiddenSize; h++) {
+          embedding[h] += data[tokenOffset + h];
+        }
+      }
+
+      return embedding.map(value => value / tokenCount);
+    });
+  }
+
+  splitPooled(output) {
+    const [batchSize, hiddenSize] = output.dims;
+    return Array.from({ length: batchSize }, (_, row) =>
+      Array.from(output.data.subarray(row * hiddenSize, (row + 1) * hiddenSize))
+    );
+  }
+
+  normalizeVector(vector) {
+    const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return magnitude > 0 ? vector.map(value => value / magnitude) : vector;
+  }
+
+  /**
+   * Release ONNX session
+   */
+  async close() {
+    if (this.session?.release) {
+      await this.session.release();
+    }
+    this.session = null;
+    this.loading = null;
+  }
+}
+
+export default OnnxEmbedder;
@@ -0,0 +1,162 @@
+/**
+ * WordPiece Tokenizer - BERT-compatible Tokenization
+ *
+ * Tokenizer untuk local embedding models (BERT/MiniLM/BGE family)
+ * Membaca vocab.txt standar dan menghasilkan input_ids, attention_mask, token_type_ids
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { readFile } from 'fs/promises';
+
+// Control characters (Unicode Cc) kecuali tab, newline dan carriage return yang dianggap whitespace
+const CONTROL_CHARS = /(?![\t\n\r])\p{Cc}/gu;
+const COMBINING_MARKS = /\p{Mn}/gu;
+const PUNCTUATION = /[\p{P}\p{S}]/u;
+const CJK = /[一-鿿㐀-䶿豈-﫿\u{20000}-\u{2A6DF}\u{2A700}-\u{2CEAF}\u{2F800}-\u{2FA1F}]/u;
+
+/**
+ * WordPiece Tokenizer Class
+ */
+export class WordPieceTokenizer {
+  constructor(vocab, config = {}) {
+    this.config = {
+      lowercase: config.lowercase !== false,
+      maxCharsPerWord: config.maxCharsPerWord || 100,
+      unkToken: config.unkToken || '[UNK]',
+      clsToken: config.clsToken || '[CLS]',
+      sepToken: config.sepToken || '[SEP]',
+      padToken: config.padToken || '[PAD]',
+      ...config
+    };
+
+    this.vocab = vocab instanceof Map ? vocab : new Map(vocab.map((token, index) => [token, index]));
+
+    ['unkToken', 'clsToken', 'sepToken', 'padToken'].forEach(key => {
+      if (!this.vocab.has(this.config[key])) {
+        throw new Error(`Vocabulary is missing special token ${this.config[key]}`);
+      }
+    });
+
+    this.unkId = this.vocab.get(this.config.unkToken);
+    this.clsId = this.vocab.get(this.config.clsToken);
+    this.sepId = this.vocab.get(this.config.sepToken);
+    this.padId = this.vocab.get(this.config.padToken);
+  }
+
+  /**
+   * Load tokenizer dari vocab.txt (satu token per baris)
+   */
+  static async fromFile(vocabPath, config = {}) {
+    const content = await readFile(vocabPath, 'utf8');
+    const tokens = content.split(/\r?\n/);
+
+    // Buang baris kosong di akhir file
+    while (tokens.length > 0 && tokens[tokens.length - 1] === '') {
+      tokens.pop();
+    }
+
+    return new WordPieceTokenizer(tokens, config);
+  }
+
+  /**
+   * Encode text menjadi model inputs
+   * @param {string} text - Input text
+   * @param {number} maxLength - Panjang maksimal termasuk [CLS] dan [SEP]
+   * @returns {Object} { inputIds, attentionMask, tokenTypeIds }
+   */
+  encode(text, maxLength = 256) {
+    const tokenIds = this.tokenize(text).slice(0, maxLength - 2);
+    const inputIds = [this.clsId, ...tokenIds, this.sepId];
+
+    return {
+      inputIds,
+      attentionMask: inputIds.map(() => 1),
+      tokenTypeIds: inputIds.map(() => 0)
+    };
+  }
+
+  /**
+   * Tokenize text menjadi WordPiece token IDs (tanpa special tokens)
+   */
+  tokenize(text) {
+    const ids = [];
+
+    this.basicTokenize(text).forEach(word => {
+      ids.push(...this.wordPiece(word));
+    });
+
+    return ids;
+  }
+
+  /**
+   * Basic tokenization: clean, lowercase, strip accents, split whitespace/punctuation
+   */
+  basicTokenize(text) {
+    let cleaned = text.replace(CONTROL_CHARS, '');
+
+    if (this.config.lowercase) {
+      cleaned = cleaned.toLowerCase().normalize('NFD').replace(COMBINING_MARKS, '');
+    }
+
+    const words = [];
+    let current = '';
+
+    for (const char of cleaned) {
+      if (/\s/.test(char)) {
+        if (current) words.push(current);
+        current = '';
+      } else if (PUNCTUATION.test(char) || CJK.test(char)) {
+        if (current) words.push(current);
+        words.push(char);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    if (current) words.push(current);
+
+    return words;
+  }
+
+  /**
+   * Greedy longest-match-first WordPiece untuk satu word
+   */
+  wordPiece(word) {
+    const chars = Array.from(word);
+
+    if (chars.length > this.config.maxCharsPerWord) {
+      return [this.unkId];
+    }
+
+    const ids = [];
+    let start = 0;
+
+    while (start < chars.length) {
+      let end = chars.length;
+      let matchId = null;
+
+      while (start < end) {
+        const piece = (start > 0 ? '##' : '') + chars.slice(start, end).join('');
+        if (this.vocab.has(piece)) {
+          matchId = this.vocab.get(piece);
+          break;
+        }
+        end--;
+      }
+
+      if (matchId === null) {
+        return [this.unkId];
+      }
+
+      ids.push(matchId);
+      start = end;
+    }
+
+    return ids;
+  }
+}
+
+export default WordPieceTokenizer;
@@ -264,8 +264,9 @@ export class NoteValidator {
 
     // Validate embedding dimensions jika ada
     if (data.embedding && Array.isArray(data.embedding)) {
-      if (data.embedding.length !== 1536) { // OpenAI embedding size
-        errors.push('Embedding must be exactly 1536 dimensions');
+      const dimensions = parseInt(process.env.EMBEDDING_DIMENSIONS) || 768;
+      if (data.embedding.length !== dimensions) {
+        errors.push(`Embedding must be exactly ${dimensions} dimensions`);
       }
       
       if (!data.embedding.every(val => typeof val === 'number' && !isNaN(val))) {
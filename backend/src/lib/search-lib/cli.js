@@ -32,6 +32,9 @@ function printResult(title, data, success = true) {
   console.log('');
 }
 
+// Dimensi embedding mengikuti konfigurasi SemanticSearch
+const EMBEDDING_DIMENSIONS = parseInt(process.env.EMBEDDING_DIMENSIONS) || 768;
+
 // Sample documents untuk testing
 const sampleDocuments = [
   {
@@ -42,7 +45,7 @@ const sampleDocuments = [
     tags: ['ai', 'machine-learning', 'algorithms'],
     category: 'technology',
     userId: 'user1',
-    embedding: Array.from({ length: 1536 }, () => Math.random() - 0.5),
+    embedding: Array.from({ length: EMBEDDING_DIMENSIONS }, () => Math.random() - 0.5),
     createdAt: '2024-01-15T10:00:00Z'
   },
   {
@@ -53,7 +56,7 @@ const sampleDocuments = [
     tags: ['javascript', 'programming', 'async'],
     category: 'programming',
     userId: 'user1',
-    embedding: Array.from({ length: 1536 }, () => Math.random() - 0.5),
+    embedding: Array.from({ length: EMBEDDING_DIMENSIONS }, () => Math.random() - 0.5),
     createdAt: '2024-01-20T14:30:00Z'
   },
   {
@@ -64,11 +67,31 @@ const sampleDocuments = [
     tags: ['data-science', 'best-practices', 'methodology'],
     category: 'data-science',
     userId: 'user2',
-    embedding: Array.from({ length: 1536 }, () => Math.random() - 0.5),
+    embedding: Array.from({ length: EMBEDDING_DIMENSIONS }, () => Math.random() - 0.5),
     createdAt: '2024-01-25T09:15:00Z'
   }
 ];
 
+// Generate synthetic documents dengan clustered embeddings (mirip distribusi embedding asli)
+function generateSyntheticDocuments(count, users = 1, dimensions = EMBEDDING_DIMENSIONS) {
+  const clusterCount = Math.max(1, Math.ceil(Math.sqrt(count)));
+  const centers = Array.from({ length: clusterCount }, () =>
+    Array.from({ length: dimensions }, () => Math.random() - 0.5)
+  );
+
+  return Array.from({ length: count }, (_, i) => {
+    const center = centers[Math.floor(Math.random() * clusterCount)];
+    return {
+      id: `synthetic-${i}`,
+      title: `Synthetic document ${i}`,
+      content: `Synthetic content for recall testing ${i}`,
+      userId: `user${(i % users) + 1}`,
+      createdAt: new Date().toISOString(),
+      embedding: center.map(value => value + (Math.random() - 0.5) * 0.5)
+    };
+  });
+}
+
 // Setup sample data
 async function setupSampleData() {
   const semanticSearch = new SemanticSearch();
@@ -130,7 +153,7 @@ program
           title: r.title,
           score: r.score,
           summary: r.summary,
-          highlight: r.highlight
+          snippets: r.snippets?.map(snippet => snippet.highlighted)
         }))
       });
 
@@ -216,7 +239,8 @@ program
       }
 
       const results = await patternMatcher.search(query, {
-        limit: parseInt(options.limit)
+        limit: parseInt(options.limit),
+        documents: sampleDocuments
       });
 
       printResult('Pattern Search Results', {
@@ -289,10 +313,44 @@ program
   .option('-f, --file <file>', 'JSON file containing document data')
   .option('-t, --title <title>', 'Document title')
   .option('-c, --content <content>', 'Document content')
+  .option('-n, --count <count>', 'Index N synthetic documents and report recall against exact scan')
+  .option('-u, --users <users>', 'Number of user partitions for synthetic documents', '1')
+  .option('-q, --queries <queries>', 'Number of recall queries', '50')
+  .option('-o, --output <dir>', 'Persist index to directory')
   .action(async (options) => {
     try {
       let document;
 
+      if (options.count) {
+        const count = parseInt(options.count);
+        const documents = generateSyntheticDocuments(count, parseInt(options.users));
+        const semanticSearch = new SemanticSearch();
+
+        console.log(chalk.blue(`📥 Indexing ${count} synthetic documents...\n`));
+
+        const indexStart = Date.now();
+        for (const doc of documents) {
+          await semanticSearch.indexDocument(doc);
+        }
+        const indexTime = Date.now() - indexStart;
+
+        const recall = await semanticSearch.measureRecall({ queries: parseInt(options.queries), k: 10 });
+        const persisted = options.output ? await semanticSearch.saveIndex(options.output) : null;
+
+        printResult('Documents Indexed', {
+          indexed: count,
+          indexSize: semanticSearch.getIndexSize(),
+          partitions: semanticSearch.vectorIndex.size,
+          indexTime: `${indexTime}ms`,
+          averageInsertTime: `${(indexTime / count).toFixed(2)}ms`,
+          recallAt10: recall.recall,
+          averageAnnTime: `${recall.averageAnnTimeMs.toFixed(2)}ms`,
+          averageExactTime: `${recall.averageExactTimeMs.toFixed(2)}ms`,
+          persisted
+        });
+        return;
+      }
+
       if (options.file) {
         const fileContent = readFileSync(options.file, 'utf8');
         document = JSON.parse(fileContent);
@@ -303,20 +361,23 @@ program
           content: options.content,
           userId: 'cli-user',
           createdAt: new Date().toISOString(),
-          embedding: Array.from({ length: 1536 }, () => Math.random() - 0.5) // Mock embedding
+          embedding: Array.from({ length: EMBEDDING_DIMENSIONS }, () => Math.random() - 0.5) // Mock embedding
         };
       } else {
         throw new Error('Either provide --file or both --title and --content');
       }
 
-      const semanticSearch = new SemanticSearch();
+      const semanticSearch = new SemanticSearch(options.output ? { indexPath: options.output } : {});
       await semanticSearch.indexDocument(document);
 
+      const persisted = options.output ? await semanticSearch.saveIndex(options.output) : null;
+
       printResult('Document Indexed', {
         documentId: document.id,
         title: document.title,
         indexed: true,
-        indexSize: semanticSearch.getIndexSize()
+        indexSize: semanticSearch.getIndexSize(),
+        persisted
       });
 
     } catch (error) {
@@ -337,8 +398,8 @@ program
       const semanticSearch = new SemanticSearch();
       
       // Generate mock embeddings untuk demonstration
-      const embedding1 = Array.from({ length: 1536 }, () => Math.random() - 0.5);
-      const embedding2 = Array.from({ length: 1536 }, () => Math.random() - 0.5);
+      const embedding1 = Array.from({ length: EMBEDDING_DIMENSIONS }, () => Math.random() - 0.5);
+      const embedding2 = Array.from({ length: EMBEDDING_DIMENSIONS }, () => Math.random() - 0.5);
 
       const cosineSimilarity = semanticSearch.calculateCosineSimilarity(embedding1, embedding2);
 
@@ -374,6 +435,7 @@ program
   .description('Run performance test on search operations')
   .option('-c, --count <count>', 'Number of search operations', '20')
   .option('-t, --type <type>', 'Search type to test', 'semantic')
+  .option('-d, --docs <docs>', 'Number of synthetic documents for semantic recall test', '1000')
   .action(async (options) => {
     const count = parseInt(options.count);
     console.log(chalk.blue(`🚀 Running performance test with ${count} ${options.type} searches...\n`));
@@ -381,6 +443,24 @@ program
     try {
       await setupSampleData();
 
+      // Semantic: ANN index vs exact scan pada synthetic documents
+      let annRecall = null;
+      if (options.type === 'semantic') {
+        const semanticSearch = new SemanticSearch();
+        for (const doc of generateSyntheticDocuments(parseInt(options.docs))) {
+          await semanticSearch.indexDocument(doc);
+        }
+
+        const recall = await semanticSearch.measureRecall({ queries: count, k: 10 });
+        annRecall = {
+          documents: semanticSearch.getIndexSize(),
+          recallAt10: recall.recall,
+          averageAnnTime: `${recall.averageAnnTimeMs.toFixed(2)}ms`,
+          averageExactTime: `${recall.averageExactTimeMs.toFixed(2)}ms`,
+          speedup: `${(recall.averageExactTimeMs / Math.max(recall.averageAnnTimeMs, 0.001)).toFixed(1)}x`
+        };
+      }
+
       const queries = [
         'machine learning algorithms',
         'javascript programming',
@@ -430,6 +510,7 @@ program
         totalTime: `${totalTime}ms`,
         averageResponseTime: `${Math.round(averageResponseTime)}ms`,
         searchesPerSecond: Math.round((count / totalTime) * 1000),
+        ...(annRecall && { annRecall }),
         breakdown: results.slice(0, 5) // Show first 5 results
       });
 
@@ -514,7 +595,7 @@ program
               }
               const pattern = args.slice(1).join(' ');
               const patternMatcher = new PatternMatcher();
-              const patResult = await patternMatcher.search({ regex: pattern }, { limit: 3 });
+              const patResult = await patternMatcher.search({ regex: pattern }, { limit: 3, documents: sampleDocuments });
               console.log(chalk.green(`Found ${patResult.total} pattern matches:`));
               patResult.results.forEach((r, i) => {
                 console.log(chalk.cyan(`${i + 1}. ${r.title} (score: ${r.score?.toFixed(3)})`));
@@ -0,0 +1,213 @@
+/**
+ * Entities - Domain Extractors untuk Software Failures
+ *
+ * Pattern dan extractor untuk entities yang sering muncul di notes build/bugfix: stack frames
+ * (JavaScript, Python, Java, Go), error codes (ECONNRESET, ERR_*), HTTP status codes, exit codes,
+ * file:line references, package@version, SQL errors dan UUIDs.
+ * Patterns juga dipakai PatternMatcher sebagai predefined patterns sehingga harus lolos RegexGuard
+ * (tanpa nested quantifiers)
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+const SOURCE_EXTENSIONS = 'mjs|cjs|jsx|js|tsx|ts|py|java|kt|scala|go|rb|rs|cpp|cc|c|hpp|h|cs|php|swift|json|ya?ml|sql|sh|scss|css|html|vue|svelte|toml';
+
+const HTTP_REASONS = [
+  'Continue', 'OK', 'Created', 'Accepted', 'No Content', 'Moved Permanently', 'Found', 'Not Modified',
+  'Bad Request', 'Unauthorized', 'Payment Required', 'Forbidden', 'Not Found', 'Method Not Allowed',
+  'Request Timeout', 'Conflict', 'Gone', 'Payload Too Large', 'Unprocessable Entity', 'Too Many Requests',
+  'Internal Server Error', 'Not Implemented', 'Bad Gateway', 'Service Unavailable', 'Gateway Timeout'
+];
+
+/**
+ * Patterns per entity, regex dan parse(match) ke value
+ * Stack frames menghasilkan object { language, function, file, line, column }
+ */
+export const ENTITY_PATTERNS = {
+  js_stack_frame: {
+    regex: /\bat (?:async |new )?(?:(\S+(?: \[as \S+\])?) \()?((?:file:\/\/)?[^\s()]+):(\d+):(\d+)\)?/g,
+    parse: match => ({
+      language: 'javascript',
+      function: match[1] || null,
+      file: match[2].replace(/^file:\/\//, ''),
+      line: parseInt(match[3]),
+      column: parseInt(match[4])
+    })
+  },
+  python_stack_frame: {
+    regex: /File "([^"]+)", line (\d+)(?:, in (\S+))?/g,
+    parse: match => ({
+      language: 'python',
+      function: match[3] || null,
+      file: match[1],
+      line: parseInt(match[2])
+    })
+  },
+  java_stack_frame: {
+    regex: /\bat ([\w$.<>/]+)\(([\w$-]+\.(?:java|kt|scala|groovy)):(\d+)\)/g,
+    parse: match => ({
+      language: 'java',
+      function: match[1],
+      file: match[2],
+      line: parseInt(match[3])
+    })
+  },
+  go_stack_frame: {
+    // Function di satu baris, file:line (+offset) di baris berikutnya
+    regex: /^([\w./*()-]+)\([^\n]*\)\n\s+(\S+\.go):(\d+)/gm,
+    parse: match => ({
+      language: 'go',
+      function: match[1],
+      file: match[2],
+      line: parseInt(match[3])
+    })
+  },
+  error_code: {
+    // System/library error codes (ECONNRESET, ENOENT, ERR_INVALID_ARG_TYPE), bukan kata biasa seperti ERROR
+    regex: /\bE(?!RRORS?\b|R_|XIT\b|XCEPTION|XPECTED\b|VENTS?\b|MPTY\b|NABLED?\b|NTRY\b|XAMPLE\b|XPORT\b)[A-Z][A-Z0-9_]{2,}\b/g,
+    parse: match => match[0]
+  },
+  http_status: {
+    regex: new RegExp(
+      `\\b(?:HTTP\\/\\d(?:\\.\\d)?|status(?:[ _-]?code)?)["']?\\s*[:=]?\\s*([1-5]\\d{2})\\b|\\b([1-5]\\d{2}) (?:${HTTP_REASONS.join('|')})\\b`,
+      'gi'
+    ),
+    parse: match => parseInt(match[1] || match[2])
+  },
+  exit_code: {
+    regex: /\b(?:exit(?:ed)?(?: with)?(?: status| code)?|exit_?code|return code)\s*[:=(]?\s*(-?\d{1,3})\b/gi,
+    parse: match => parseInt(match[1])
+  },
+  file_line: {
+    regex: new RegExp(`([\\w@.\\/~-]+\\.(?:${SOURCE_EXTENSIONS})):(\\d+)(?::(\\d+))?\\b`, 'g'),
+    parse: match => ({
+      // file:///app/x.js → /app/x.js
+      file: match[1].replace(/^\/{2,}/, '/'),
+      line: parseInt(match[2]),
+      ...(match[3] && { column: parseInt(match[3]) })
+    })
+  },
+  package_version: {
+    // npm (ioredis@5.3.2, @scope/pkg@^1.0.0), pip (requests==2.31.0), Go modules (github.com/x/y@v1.2.3)
+    regex: /(@[\w.-]+\/[\w.-]+|\b[A-Za-z][\w./-]*)(?:@[\^~]?v?|==)(\d+\.\d+(?:\.\d+)?(?:-[\w.]+)?)\b/g,
+    parse: match => ({ name: match[1].replace(/^.*pkg\/mod\//, '').toLowerCase(), version: match[2] })
+  },
+  sql_error: {
+    // PostgreSQL SQLSTATE, Oracle, MySQL (ER_* dan ERROR 1062 (23000)), SQLite, SQL Server
+    regex: /\bSQLSTATE\s*\[?\s*([0-9A-Z]{5})\]?|\b(ORA-\d{5})\b|\b(ER_[A-Z_]+)\b|\b(SQLITE_[A-Z_]+)\b|\bERROR (\d{4}) \([0-9A-Z]{5}\)|\bMsg (\d{3,5}), Level \d+/g,
+    parse: match => {
+      if (match[1]) return `SQLSTATE ${match[1]}`;
+      if (match[5]) return `MySQL ${match[5]}`;
+      if (match[6]) return `MSSQL ${match[6]}`;
+      return match[2] || match[3] || match[4];
+    }
+  },
+  uuid: {
+    regex: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,
+    parse: match => match[0].toLowerCase()
+  }
+};
+
+const STACK_FRAME_PATTERNS = ['js_stack_frame', 'python_stack_frame', 'java_stack_frame', 'go_stack_frame'];
+
+/**
+ * Entity Extractor Class
+ */
+export class EntityExtractor {
+  constructor(config = {}) {
+    this.config = {
+      maxPerField: 20,
+      maxStackFrames: 50,
+      maxTextLength: 100000,
+      ...config
+    };
+  }
+
+  /**
+   * Extract entities dari note: agent note (context + content object) atau note dengan title/content string
+   * @returns {Object} { [field]: values }, hanya fields yang punya value
+   */
+  extractFromNote(note = {}) {
+    const parts = typeof note.content === 'string'
+      ? [note.title, note.content, note.summary]
+      : [note.context?.task, ...Object.values(note.content || {})];
+
+    return this.extract(parts.flat().filter(part => typeof part === 'string').join('\n'));
+  }
+
+  /**
+   * Extract entities dari text
+   * @param {string} text
+   * @returns {Object} { stack_frames, error_codes, http_status, ... }
+   */
+  extract(text) {
+    if (!text) {
+      return {};
+    }
+
+    const input = text.length > this.config.maxTextLength ? text.slice(0, this.config.maxTextLength) : text;
+    const stackFrames = STACK_FRAME_PATTERNS.flatMap(name => this.matchAll(name, input));
+    const fileRefs = this.matchAll('file_line', input);
+    const packageVersions = this.matchAll('package_version', input);
+    const locations = [...stackFrames, ...fileRefs];
+
+    const entities = {
+      stack_frames: this.uniqueBy(stackFrames, frame => `${frame.file}:${frame.line}:${frame.function}`)
+        .slice(0, this.config.maxStackFrames),
+      error_codes: this.matchAll('error_code', input),
+      http_status: this.matchAll('http_status', input),
+      exit_codes: this.matchAll('exit_code', input),
+      files: locations.map(location => location.file),
+      file_refs: locations.map(location => `${location.file}:${location.line}`),
+      packages: [
+        ...packageVersions.map(pkg => pkg.name),
+        ...locations.map(location => this.getPackageName(location.file)).filter(Boolean)
+      ],
+      package_versions: packageVersions.map(pkg => `${pkg.name}@${pkg.version}`),
+      sql_errors: this.matchAll('sql_error', input),
+      uuids: this.matchAll('uuid', input)
+    };
+
+    return Object.entries(entities).reduce((result, [field, values]) => {
+      const limited = field === 'stack_frames'
+        ? values
+        : [...new Set(values)].slice(0, this.config.maxPerField);
+
+      if (limited.length > 0) {
+        result[field] = limited;
+      }
+      return result;
+    }, {});
+  }
+
+  matchAll(name, text) {
+    const { regex, parse } = ENTITY_PATTERNS[name];
+    return Array.from(text.matchAll(regex), parse);
+  }
+
+  /**
+   * Package dari path dependency: node_modules, Python site-packages, Go module cache
+   */
+  getPackageName(file) {
+    const match = /node_modules\/((?:@[\w.-]+\/)?[\w.-]+)/.exec(file)
+      || /(?:site|dist)-packages\/([A-Za-z_][\w.-]*?)(?:\.py)?(?:\/|$)/.exec(file)
+      || /pkg\/mod\/([^@\s]+)@/.exec(file);
+
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  uniqueBy(items, getKey) {
+    const seen = new Set();
+    return items.filter(item => {
+      const key = getKey(item);
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+export default EntityExtractor;
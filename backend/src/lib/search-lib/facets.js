@@ -0,0 +1,341 @@
+/**
+ * Facets - Faceted Search dan Aggregations
+ *
+ * Membangun Elasticsearch aggregations untuk facets (terms, date histogram, range) dengan
+ * multi-select drill-down: facet yang dipilih mem-filter hits, tapi counts tiap facet dihitung
+ * dengan filter facet lain saja sehingga alternatif value tetap terlihat.
+ * Mendukung counting in-memory untuk results yang tidak berasal dari Elasticsearch
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+export const FACET_INTERVALS = ['day', 'week', 'month', 'year'];
+
+/**
+ * Facets untuk notes index
+ */
+export const NOTE_FACETS = {
+  type: { type: 'terms', field: 'type' },
+  project: { type: 'terms', field: 'context.project' },
+  tags: { type: 'terms', field: 'context.tags' },
+  success: { type: 'terms', field: 'metadata.success', valueType: 'boolean' },
+  agent_id: { type: 'terms', field: 'agent_id' },
+  created_at: { type: 'date_histogram', field: 'created_at' },
+  // Domain entities (lib/search-lib/entities.js)
+  error_codes: { type: 'terms', field: 'metadata.entities.error_codes' },
+  packages: { type: 'terms', field: 'metadata.entities.packages' },
+  http_status: { type: 'terms', field: 'metadata.entities.http_status' },
+  exit_codes: { type: 'terms', field: 'metadata.entities.exit_codes' },
+  sql_errors: { type: 'terms', field: 'metadata.entities.sql_errors' },
+  languages: { type: 'terms', field: 'metadata.entities.stack_frames.language' }
+};
+
+/**
+ * Facets untuk knowledge index
+ */
+export const KNOWLEDGE_FACETS = {
+  domain: { type: 'terms', field: 'domain' },
+  status: { type: 'terms', field: 'status' },
+  confidence: {
+    type: 'range',
+    field: 'confidence_score',
+    ranges: [
+      { key: 'low', to: 0.7 },
+      { key: 'medium', from: 0.7, to: 0.85 },
+      { key: 'high', from: 0.85 }
+    ]
+  },
+  created_at: { type: 'date_histogram', field: 'created_at' }
+};
+
+const AGGREGATION_PREFIX = 'facet_';
+
+/**
+ * Facet Builder Class
+ */
+export class FacetBuilder {
+  constructor(definitions, config = {}) {
+    this.definitions = definitions;
+    this.config = {
+      size: 10,
+      interval: 'month',
+      ...config
+    };
+  }
+
+  /**
+   * Nama facets yang diminta (kosong/undefined = semua)
+   */
+  resolve(requested) {
+    const names = Array.isArray(requested) && requested.length > 0 ? requested : Object.keys(this.definitions);
+    return names.filter(name => this.definitions[name]);
+  }
+
+  /**
+   * Cek apakah ada facet value yang dipilih
+   */
+  hasSelection(selected = {}) {
+    return Object.keys(selected).some(name => this.definitions[name] && this.isSelected(name, selected[name]));
+  }
+
+  isSelected(name, value) {
+    if (value === undefined || value === null) {
+      return false;
+    }
+    return this.definitions[name].type === 'date_histogram'
+      ? Boolean(value.from || value.to)
+      : Array.isArray(value) && value.length > 0;
+  }
+
+  /**
+   * Filter clauses untuk facets yang dipilih
+   * @param {Object} selected - { type: ['bugfix'], created_at: { from, to }, ... }
+   * @param {string} excludeName - Facet yang tidak ikut di-filter (multi-select counts)
+   */
+  buildFilterClauses(selected = {}, excludeName = null) {
+    return Object.keys(selected)
+      .filter(name => name !== excludeName && this.definitions[name] && this.isSelected(name, selected[name]))
+      .map(name => {
+        const { type, field, ranges } = this.definitions[name];
+        const value = selected[name];
+
+        if (type === 'date_histogram') {
+          return {
+            range: {
+              [field]: {
+                ...(value.from && { gte: value.from }),
+                ...(value.to && { lt: value.to })
+              }
+            }
+          };
+        }
+
+        if (type === 'range') {
+          return {
+            bool: {
+              should: ranges
+                .filter(range => value.includes(range.key))
+                .map(range => ({
+                  range: {
+                    [field]: {
+                      ...(range.from !== undefined && { gte: range.from }),
+                      ...(range.to !== undefined && { lt: range.to })
+                    }
+                  }
+                })),
+              minimum_should_match: 1
+            }
+          };
+        }
+
+        return { terms: { [field]: value } };
+      });
+  }
+
+  /**
+   * Elasticsearch aggregations untuk facets yang diminta
+   * Setiap facet dibungkus filter aggregation berisi selection facet lain
+   * @param {Array} requested - Nama facets
+   * @param {Object} selected - Facet values yang dipilih
+   * @param {Object} options - { interval, size }
+   */
+  buildAggregations(requested, selected = {}, options = {}) {
+    const interval = options.interval || this.config.interval;
+    const size = options.size || this.config.size;
+
+    return this.resolve(requested).reduce((aggregations, name) => {
+      const { type, field, ranges } = this.definitions[name];
+      let values;
+
+      if (type === 'date_histogram') {
+        values = { date_histogram: { field, calendar_interval: interval, min_doc_count: 1 } };
+      } else if (type === 'range') {
+        values = { range: { field, ranges } };
+      } else {
+        values = { terms: { field, size } };
+      }
+
+      aggregations[`${AGGREGATION_PREFIX}${name}`] = {
+        filter: { bool: { filter: this.buildFilterClauses(selected, name) } },
+        aggs: { values }
+      };
+
+      return aggregations;
+    }, {});
+  }
+
+  /**
+   * Parse Elasticsearch aggregations ke facets response
+   * @returns {Object} { [name]: { field, type, buckets: [{ value, count, selected }] } }
+   */
+  parseAggregations(aggregations = {}, requested, selected = {}, options = {}) {
+    return this.resolve(requested).reduce((facets, name) => {
+      const buckets = aggregations[`${AGGREGATION_PREFIX}${name}`]?.values?.buckets || [];
+
+      facets[name] = this.formatFacet(name, buckets.map(bucket => ({
+        value: this.parseBucketKey(name, bucket),
+        count: bucket.doc_count
+      })), selected, options);
+
+      return facets;
+    }, {});
+  }
+
+  parseBucketKey(name, bucket) {
+    const { type, valueType } = this.definitions[name];
+
+    if (type === 'date_histogram') {
+      return new Date(bucket.key).toISOString();
+    }
+    if (valueType === 'boolean') {
+      return bucket.key_as_string !== undefined ? bucket.key_as_string === 'true' : Boolean(bucket.key);
+    }
+    return bucket.key;
+  }
+
+  formatFacet(name, buckets, selected, options = {}) {
+    const { type, field } = this.definitions[name];
+    const selection = selected[name];
+
+    return {
+      field,
+      type,
+      ...(type === 'date_histogram' && { interval: options.interval || this.config.interval }),
+      buckets: buckets.map(bucket => ({
+        ...bucket,
+        selected: this.isBucketSelected(name, bucket.value, selection)
+      }))
+    };
+  }
+
+  isBucketSelected(name, value, selection) {
+    if (!this.isSelected(name, selection)) {
+      return false;
+    }
+
+    if (this.definitions[name].type === 'date_histogram') {
+      return (!selection.from || value >= new Date(selection.from).toISOString())
+        && (!selection.to || value < new Date(selection.to).toISOString());
+    }
+
+    return selection.includes(value);
+  }
+
+  /**
+   * Cek document terhadap facet selection (in-memory drill-down)
+   */
+  matches(document, selected = {}, excludeName = null) {
+    return Object.keys(selected)
+      .filter(name => name !== excludeName && this.definitions[name] && this.isSelected(name, selected[name]))
+      .every(name => {
+        const { type, field, ranges } = this.definitions[name];
+        const values = this.getValues(document, field);
+        const selection = selected[name];
+
+        if (type === 'date_histogram') {
+          return values.some(value => {
+            const time = new Date(value).getTime();
+            return (!selection.from || time >= new Date(selection.from).getTime())
+              && (!selection.to || time < new Date(selection.to).getTime());
+          });
+        }
+
+        if (type === 'range') {
+          return values.some(value => ranges.some(range => selection.includes(range.key) && this.inRange(value, range)));
+        }
+
+        return values.some(value => selection.includes(value));
+      });
+  }
+
+  /**
+   * Hitung facets in-memory dengan semantics yang sama seperti buildAggregations
+   */
+  count(documents, requested, selected = {}, options = {}) {
+    const interval = options.interval || this.config.interval;
+    const size = options.size || this.config.size;
+
+    return this.resolve(requested).reduce((facets, name) => {
+      const { type, field, ranges } = this.definitions[name];
+      const counts = new Map();
+
+      documents
+        .filter(document => this.matches(document, selected, name))
+        .forEach(document => {
+          // Value yang sama dihitung sekali per document
+          new Set(this.getValues(document, field)).forEach(value => {
+            let key = value;
+            if (type === 'date_histogram') {
+              key = this.truncateDate(value, interval);
+            } else if (type === 'range') {
+              key = ranges.find(range => this.inRange(value, range))?.key;
+            }
+
+            if (key !== undefined && key !== null) {
+              counts.set(key, (counts.get(key) || 0) + 1);
+            }
+          });
+        });
+
+      let buckets = Array.from(counts, ([value, count]) => ({ value, count }));
+
+      if (type === 'date_histogram') {
+        buckets.sort((a, b) => a.value.localeCompare(b.value));
+      } else if (type === 'range') {
+        buckets = ranges.map(range => ({ value: range.key, count: counts.get(range.key) || 0 }));
+      } else {
+        buckets = buckets.sort((a, b) => b.count - a.count).slice(0, size);
+      }
+
+      facets[name] = this.formatFacet(name, buckets, selected, { interval });
+      return facets;
+    }, {});
+  }
+
+  /**
+   * Awal interval (UTC) sebagai ISO string, sama dengan key date_histogram
+   */
+  truncateDate(value, interval) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return null;
+    }
+
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+
+    switch (interval) {
+      case 'year':
+        return new Date(Date.UTC(year, 0, 1)).toISOString();
+      case 'month':
+        return new Date(Date.UTC(year, month, 1)).toISOString();
+      case 'week': // Minggu dimulai Senin (ISO week)
+        return new Date(Date.UTC(year, month, day - ((date.getUTCDay() + 6) % 7))).toISOString();
+      case 'day':
+      default:
+        return new Date(Date.UTC(year, month, day)).toISOString();
+    }
+  }
+
+  inRange(value, range) {
+    const number = Number(value);
+    return (range.from === undefined || number >= range.from) && (range.to === undefined || number < range.to);
+  }
+
+  /**
+   * Values pada path, arrays of objects di-flatten (mis. metadata.entities.stack_frames.language)
+   */
+  getValues(document, path) {
+    return path.split('.').reduce((values, key) => values.flatMap(current => {
+      const value = current == null ? undefined : current[key];
+      if (value === undefined || value === null) {
+        return [];
+      }
+      return Array.isArray(value) ? value : [value];
+    }), [document]);
+  }
+}
+
+export default FacetBuilder;
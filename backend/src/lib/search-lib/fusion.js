@@ -0,0 +1,197 @@
+/**
+ * Result Fusion - Hybrid Search Score Fusion
+ *
+ * Menggabungkan ranked lists dari beberapa search signals (semantic, BM25, pattern)
+ * ditambah recency menggunakan Reciprocal Rank Fusion (RRF) atau normalized linear blending.
+ * Setiap hasil membawa score breakdown per signal untuk debugging ranking
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+export const FUSION_METHODS = ['rrf', 'linear'];
+export const FUSION_SIGNALS = ['semantic', 'bm25', 'pattern', 'recency'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Result Fusion Class
+ */
+export class ResultFusion {
+  constructor(config = {}) {
+    this.config = {
+      method: config.method || 'rrf',
+      rrfK: config.rrfK || 60,
+      recencyHalfLifeDays: config.recencyHalfLifeDays || 30,
+      ...config,
+      weights: {
+        semantic: 0.5,
+        bm25: 0.3,
+        pattern: 0.1,
+        recency: 0.1,
+        ...config.weights
+      }
+    };
+  }
+
+  /**
+   * Gabungkan default config dengan per-query overrides
+   * @param {Object} overrides - { method, rrf_k, weights }
+   * @returns {Object} { method, rrfK, weights }
+   */
+  resolveOptions(overrides = {}) {
+    const method = overrides.method || this.config.method;
+
+    if (!FUSION_METHODS.includes(method)) {
+      throw new Error(`Unknown fusion method: ${method}`);
+    }
+
+    return {
+      method,
+      rrfK: overrides.rrf_k || overrides.rrfK || this.config.rrfK,
+      weights: {
+        ...this.config.weights,
+        ...overrides.weights
+      }
+    };
+  }
+
+  /**
+   * Fuse ranked lists menjadi satu ranking
+   * @param {Array} sources - [{ signal, results, weight? }], results sudah terurut per source
+   * @param {Object} overrides - Per-query { method, rrf_k, weights }
+   * @param {Object} accessors - { getId, getScore, getDate } untuk shape result yang berbeda
+   * @returns {Array} [{ id, result, score, score_breakdown }] terurut berdasarkan fused score
+   */
+  fuse(sources, overrides = {}, accessors = {}) {
+    const { method, rrfK, weights } = this.resolveOptions(overrides);
+    const {
+      getId = result => (result.note || result).id,
+      getScore = result => result.relevance_score ?? result.score ?? 0,
+      getDate = result => {
+        const item = result.note || result;
+        return item.updated_at || item.created_at || item.updatedAt || item.timestamp;
+      }
+    } = accessors;
+
+    const candidates = new Map();
+
+    sources.forEach(({ signal, results = [], weight }) => {
+      const signalWeight = weight ?? weights[signal] ?? 0;
+      const normalize = this.createNormalizer(results.map(getScore));
+      let rank = 0;
+
+      results.forEach(result => {
+        const id = getId(result);
+        if (id === undefined || id === null) {
+          return;
+        }
+
+        const key = id.toString();
+        if (!candidates.has(key)) {
+          candidates.set(key, { id: key, result, signals: {} });
+        }
+
+        const candidate = candidates.get(key);
+        if (candidate.signals[signal]) {
+          return; // Duplicate dalam source yang sama, rank terbaik dipakai
+        }
+
+        rank++;
+        const score = getScore(result);
+        candidate.signals[signal] = {
+          score,
+          rank,
+          contribution: method === 'rrf'
+            ? signalWeight / (rrfK + rank)
+            : signalWeight * normalize(score)
+        };
+      });
+    });
+
+    this.applyRecency(Array.from(candidates.values()), getDate, { method, rrfK, weight: weights.recency });
+
+    return Array.from(candidates.values())
+      .map(candidate => {
+        const score = Object.values(candidate.signals)
+          .reduce((sum, signal) => sum + signal.contribution, 0);
+
+        return {
+          id: candidate.id,
+          result: candidate.result,
+          score,
+          score_breakdown: this.buildBreakdown(candidate.signals, score, method)
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Recency sebagai signal tambahan yang di-rank di antara semua candidates
+   */
+  applyRecency(candidates, getDate, { method, rrfK, weight }) {
+    if (!weight) {
+      return;
+    }
+
+    const now = Date.now();
+    const dated = candidates
+      .map(candidate => {
+        const time = new Date(getDate(candidate.result)).getTime();
+        return { candidate, time };
+      })
+      .filter(({ time }) => !Number.isNaN(time))
+      .sort((a, b) => b.time - a.time);
+
+    dated.forEach(({ candidate, time }, index) => {
+      const decay = this.calculateRecency(now - time);
+      candidate.signals.recency = {
+        score: decay,
+        rank: index + 1,
+        contribution: method === 'rrf'
+          ? weight / (rrfK + index + 1)
+          : weight * decay
+      };
+    });
+  }
+
+  /**
+   * Exponential decay berdasarkan umur note (1.0 = baru, 0.5 = umur half-life)
+   */
+  calculateRecency(ageMs) {
+    const ageDays = Math.max(0, ageMs) / DAY_MS;
+    return Math.pow(0.5, ageDays / this.config.recencyHalfLifeDays);
+  }
+
+  /**
+   * Min-max normalizer untuk scores satu source
+   * Skala raw score berbeda per signal (BM25 tidak dibatasi, cosine 0..1)
+   */
+  createNormalizer(scores) {
+    if (scores.length === 0) {
+      return () => 0;
+    }
+
+    const min = Math.min(...scores);
+    const max = Math.max(...scores);
+
+    if (max === min) {
+      return score => (score > 0 ? 1 : 0);
+    }
+
+    return score => (score - min) / (max - min);
+  }
+
+  buildBreakdown(signals, total, method) {
+    const breakdown = { method };
+
+    FUSION_SIGNALS.forEach(signal => {
+      breakdown[signal] = signals[signal] || null;
+    });
+    breakdown.total = total;
+
+    return breakdown;
+  }
+}
+
+export default ResultFusion;
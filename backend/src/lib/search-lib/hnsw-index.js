@@ -0,0 +1,574 @@
+/**
+ * HNSW Index - Approximate Nearest Neighbour Search
+ *
+ * Hierarchical Navigable Small World graph untuk vector similarity search
+ * Vectors dinormalisasi saat insert sehingga cosine similarity = dot product
+ * Delete memakai tombstone; compaction tidak pernah jalan di add/remove, caller menjadwalkan
+ * compactAsync() (bertahap, di luar request path) saat needsCompaction()
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { readFile, writeFile, rename, unlink, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+const FILE_MAGIC = 'HNSW';
+const FILE_VERSION = 1;
+
+/**
+ * Tulis file lewat temp file + rename agar crash di tengah write tidak merusak file lama
+ */
+export async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+
+  try {
+    await writeFile(tempPath, data);
+    await rename(tempPath, filePath);
+  } catch (error) {
+    await unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Binary heap untuk candidate dan result queues
+ */
+class BinaryHeap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compare(items[index], items[parent]) >= 0) break;
+      [items[index], items[parent]] = [items[parent], items[index]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === index) break;
+
+        [items[index], items[smallest]] = [items[smallest], items[index]];
+        index = smallest;
+      }
+    }
+
+    return top;
+  }
+}
+
+const byDistanceAsc = (a, b) => a.distance - b.distance;
+const byDistanceDesc = (a, b) => b.distance - a.distance;
+
+/**
+ * HNSW Index Class
+ */
+export default class HnswIndex {
+  constructor(config = {}) {
+    this.config = {
+      dimensions: config.dimensions || 768,
+      M: config.M || 16,
+      efConstruction: config.efConstruction || 100,
+      efSearch: config.efSearch || 64,
+      compactThreshold: config.compactThreshold || 0.2, // Rasio tombstone sebelum compact
+      compactBatchSize: config.compactBatchSize || 200, // Inserts per tick saat compactAsync
+      ...config
+    };
+
+    this.maxConnections = this.config.M;
+    this.maxConnectionsLayer0 = this.config.M * 2;
+    this.levelMultiplier = 1 / Math.log(this.config.M);
+
+    // Compaction yang sedang berjalan: { promise, changed } (IDs yang berubah selama rebuild)
+    this.compaction = null;
+
+    this.reset();
+  }
+
+  /**
+   * Kosongkan graph
+   */
+  reset() {
+    this.vectors = [];   // slot → Float32Array (normalized)
+    this.ids = [];       // slot → document ID
+    this.levels = [];    // slot → level tertinggi node
+    this.links = [];     // slot → [level] → neighbor slots
+    this.idToSlot = new Map();
+    this.deleted = new Set();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+  }
+
+  /**
+   * Jumlah vectors yang aktif (tanpa tombstone)
+   */
+  get size() {
+    return this.idToSlot.size;
+  }
+
+  has(id) {
+    return this.idToSlot.has(id);
+  }
+
+  /**
+   * Get normalized vector untuk document ID
+   */
+  getVector(id) {
+    const slot = this.idToSlot.get(id);
+    return slot === undefined ? null : this.vectors[slot];
+  }
+
+  /**
+   * Tambah atau replace vector
+   * @param {string} id - Document ID
+   * @param {Array<number>} vector - Embedding
+   */
+  add(id, vector) {
+    if (vector.length !== this.config.dimensions) {
+      throw new Error(`Vector must have ${this.config.dimensions} dimensions`);
+    }
+
+    if (this.idToSlot.has(id)) {
+      this.remove(id);
+    }
+
+    this.insertNormalized(id, this.normalize(vector));
+    this.compaction?.changed.add(id);
+  }
+
+  /**
+   * Remove vector (tombstone)
+   * @returns {boolean} true jika ID ada di index
+   */
+  remove(id) {
+    const slot = this.idToSlot.get(id);
+    if (slot === undefined) {
+      return false;
+    }
+
+    this.idToSlot.delete(id);
+    this.deleted.add(slot);
+    this.compaction?.changed.add(id);
+
+    return true;
+  }
+
+  /**
+   * Tombstone sudah melewati compactThreshold
+   */
+  needsCompaction() {
+    return this.deleted.size > 0 && this.deleted.size > this.vectors.length * this.config.compactThreshold;
+  }
+
+  /**
+   * Cari k nearest neighbours
+   * @param {Array<number>} vector - Query embedding
+   * @param {number} k - Jumlah hasil
+   * @param {Object} options - { ef, filter(id) }
+   * @returns {Array} [{ id, similarity }] terurut dari yang paling mirip
+   */
+  search(vector, k = 10, options = {}) {
+    if (this.size === 0) {
+      return [];
+    }
+
+    if (vector.length !== this.config.dimensions) {
+      throw new Error(`Query vector must have ${this.config.dimensions} dimensions`);
+    }
+
+    const query = this.normalize(vector);
+    const ef = Math.max(options.ef || this.config.efSearch, k);
+
+    let entry = { slot: this.entryPoint, distance: this.distance(query, this.vectors[this.entryPoint]) };
+    for (let level = this.maxLevel; level > 0; level--) {
+      entry = this.greedyClosest(query, entry, level);
+    }
+
+    const candidates = this.searchLayer(query, [entry], ef, 0);
+    const results = [];
+
+    for (const candidate of candidates) {
+      if (this.deleted.has(candidate.slot)) continue;
+
+      const id = this.ids[candidate.slot];
+      if (options.filter && !options.filter(id)) continue;
+
+      results.push({ id, similarity: 1 - candidate.distance });
+      if (results.length >= k) break;
+    }
+
+    return results;
+  }
+
+  /**
+   * Rebuild graph tanpa tombstones secara synchronous (CLI / offline)
+   */
+  compact() {
+    const live = Array.from(this.idToSlot.entries()).map(([id, slot]) => ({ id, vector: this.vectors[slot] }));
+
+    this.reset();
+    live.forEach(({ id, vector }) => this.insertNormalized(id, vector));
+  }
+
+  /**
+   * Rebuild graph tanpa tombstones di graph terpisah, compactBatchSize inserts per tick,
+   * lalu swap. Search tetap memakai graph lama selama rebuild; add/remove selama rebuild
+   * diterapkan ulang ke graph baru sebelum swap
+   * @returns {Promise} Selesai saat graph baru aktif (compaction paralel memakai promise yang sama)
+   */
+  compactAsync() {
+    if (this.compaction) {
+      return this.compaction.promise;
+    }
+
+    const changed = new Set();
+    const live = Array.from(this.idToSlot.entries()).map(([id, slot]) => ({ id, vector: this.vectors[slot] }));
+
+    const rebuild = async () => {
+      const fresh = new HnswIndex(this.config);
+
+      for (let i = 0; i < live.length; i += this.config.compactBatchSize) {
+        live.slice(i, i + this.config.compactBatchSize).forEach(({ id, vector }) => fresh.insertNormalized(id, vector));
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      changed.forEach(id => {
+        fresh.remove(id);
+        if (this.has(id)) {
+          fresh.insertNormalized(id, this.getVector(id));
+        }
+      });
+
+      ['vectors', 'ids', 'levels', 'links', 'idToSlot', 'deleted', 'entryPoint', 'maxLevel'].forEach(field => {
+        this[field] = fresh[field];
+      });
+    };
+
+    this.compaction = { changed, promise: null };
+    this.compaction.promise = rebuild().finally(() => {
+      this.compaction = null;
+    });
+
+    return this.compaction.promise;
+  }
+
+  /**
+   * Insert vector yang sudah dinormalisasi ke graph
+   */
+  insertNormalized(id, vector) {
+    const slot = this.vectors.length;
+    const level = this.randomLevel();
+
+    this.vectors.push(vector);
+    this.ids.push(id);
+    this.levels.push(level);
+    this.links.push(Array.from({ length: level + 1 }, () => []));
+    this.idToSlot.set(id, slot);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = slot;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entry = { slot: this.entryPoint, distance: this.distance(vector, this.vectors[this.entryPoint]) };
+    for (let l = this.maxLevel; l > level; l--) {
+      entry = this.greedyClosest(vector, entry, l);
+    }
+
+    let entries = [entry];
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const candidates = this.searchLayer(vector, entries, this.config.efConstruction, l);
+      const selected = this.selectNeighbors(candidates, this.maxConnections);
+
+      this.links[slot][l] = selected.map(neighbor => neighbor.slot);
+
+      // Bidirectional links, shrink neighbor list jika melebihi batas
+      const maxLinks = l === 0 ? this.maxConnectionsLayer0 : this.maxConnections;
+      selected.forEach(neighbor => {
+        const neighborLinks = this.links[neighbor.slot][l];
+        neighborLinks.push(slot);
+
+        if (neighborLinks.length > maxLinks) {
+          this.links[neighbor.slot][l] = this.shrinkLinks(neighbor.slot, neighborLinks, maxLinks);
+        }
+      });
+
+      entries = candidates;
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = slot;
+    }
+  }
+
+  /**
+   * Greedy walk ke node terdekat dalam satu layer
+   */
+  greedyClosest(query, entry, level) {
+    let current = entry;
+    let changed = true;
+
+    while (changed) {
+      changed = false;
+      for (const neighbor of this.links[current.slot][level]) {
+        const distance = this.distance(query, this.vectors[neighbor]);
+        if (distance < current.distance) {
+          current = { slot: neighbor, distance };
+          changed = true;
+        }
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Beam search dalam satu layer
+   * @returns {Array} Candidates terurut dari yang terdekat
+   */
+  searchLayer(query, entries, ef, level) {
+    const visited = new Set(entries.map(entry => entry.slot));
+    const candidates = new BinaryHeap(byDistanceAsc);
+    const results = new BinaryHeap(byDistanceDesc);
+
+    entries.forEach(entry => {
+      candidates.push(entry);
+      results.push(entry);
+    });
+
+    while (results.size > ef) {
+      results.pop();
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.distance > results.peek().distance) break;
+
+      for (const neighbor of this.links[current.slot][level]) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+
+        const distance = this.distance(query, this.vectors[neighbor]);
+        if (results.size < ef || distance < results.peek().distance) {
+          const item = { slot: neighbor, distance };
+          candidates.push(item);
+          results.push(item);
+
+          if (results.size > ef) {
+            results.pop();
+          }
+        }
+      }
+    }
+
+    return results.items.sort(byDistanceAsc);
+  }
+
+  /**
+   * Neighbor selection heuristic (diverse neighbors), sisa slot diisi candidate terdekat
+   */
+  selectNeighbors(candidates, count) {
+    const selected = [];
+    const skipped = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= count) break;
+
+      const isDiverse = selected.every(existing =>
+        this.distance(this.vectors[candidate.slot], this.vectors[existing.slot]) > candidate.distance
+      );
+
+      if (isDiverse) {
+        selected.push(candidate);
+      } else {
+        skipped.push(candidate);
+      }
+    }
+
+    for (const candidate of skipped) {
+      if (selected.length >= count) break;
+      selected.push(candidate);
+    }
+
+    return selected;
+  }
+
+  shrinkLinks(slot, linkSlots, count) {
+    const candidates = linkSlots
+      .map(neighbor => ({ slot: neighbor, distance: this.distance(this.vectors[slot], this.vectors[neighbor]) }))
+      .sort(byDistanceAsc);
+
+    return this.selectNeighbors(candidates, count).map(candidate => candidate.slot);
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+  }
+
+  normalize(vector) {
+    const normalized = Float32Array.from(vector);
+    let norm = 0;
+
+    for (let i = 0; i < normalized.length; i++) {
+      norm += normalized[i] * normalized[i];
+    }
+
+    norm = Math.sqrt(norm);
+    if (norm === 0) {
+      throw new Error('Cannot index a zero vector');
+    }
+
+    for (let i = 0; i < normalized.length; i++) {
+      normalized[i] /= norm;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Cosine distance untuk normalized vectors
+   */
+  distance(vector1, vector2) {
+    let dotProduct = 0;
+    for (let i = 0; i < vector1.length; i++) {
+      dotProduct += vector1[i] * vector2[i];
+    }
+    return 1 - dotProduct;
+  }
+
+  /**
+   * Serialize index ke Buffer: magic + header length + JSON header + Float32 vectors
+   */
+  serialize() {
+    const header = Buffer.from(JSON.stringify({
+      version: FILE_VERSION,
+      config: {
+        dimensions: this.config.dimensions,
+        M: this.config.M,
+        efConstruction: this.config.efConstruction,
+        efSearch: this.config.efSearch,
+        compactThreshold: this.config.compactThreshold
+      },
+      ids: this.ids,
+      levels: this.levels,
+      links: this.links,
+      deleted: Array.from(this.deleted),
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel
+    }), 'utf8');
+
+    const headerLength = Buffer.alloc(4);
+    headerLength.writeUInt32LE(header.length, 0);
+
+    const vectors = new Float32Array(this.vectors.length * this.config.dimensions);
+    this.vectors.forEach((vector, slot) => vectors.set(vector, slot * this.config.dimensions));
+
+    return Buffer.concat([
+      Buffer.from(FILE_MAGIC, 'utf8'),
+      headerLength,
+      header,
+      Buffer.from(vectors.buffer, vectors.byteOffset, vectors.byteLength)
+    ]);
+  }
+
+  /**
+   * Restore index dari Buffer hasil serialize()
+   */
+  static deserialize(buffer) {
+    if (buffer.subarray(0, 4).toString('utf8') !== FILE_MAGIC) {
+      throw new Error('Invalid HNSW index file');
+    }
+
+    const headerLength = buffer.readUInt32LE(4);
+    const header = JSON.parse(buffer.subarray(8, 8 + headerLength).toString('utf8'));
+
+    if (header.version !== FILE_VERSION) {
+      throw new Error(`Unsupported HNSW index version: ${header.version}`);
+    }
+
+    const index = new HnswIndex(header.config);
+    const dimensions = index.config.dimensions;
+    const data = buffer.subarray(8 + headerLength);
+    const vectors = new Float32Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+
+    index.ids = header.ids;
+    index.levels = header.levels;
+    index.links = header.links;
+    index.deleted = new Set(header.deleted);
+    index.entryPoint = header.entryPoint;
+    index.maxLevel = header.maxLevel;
+    index.vectors = header.ids.map((id, slot) => vectors.subarray(slot * dimensions, (slot + 1) * dimensions));
+
+    header.ids.forEach((id, slot) => {
+      if (!index.deleted.has(slot)) {
+        index.idToSlot.set(id, slot);
+      }
+    });
+
+    return index;
+  }
+
+  /**
+   * Persist index ke file (atomic, lihat writeFileAtomic)
+   */
+  async save(filePath) {
+    await mkdir(dirname(filePath), { recursive: true });
+    await writeFileAtomic(filePath, this.serialize());
+  }
+
+  /**
+   * Load index dari file
+   */
+  static async load(filePath) {
+    return HnswIndex.deserialize(await readFile(filePath));
+  }
+
+  /**
+   * Get statistics
+   */
+  getStatistics() {
+    return {
+      size: this.size,
+      tombstones: this.deleted.size,
+      compacting: Boolean(this.compaction),
+      maxLevel: this.maxLevel,
+      dimensions: this.config.dimensions,
+      M: this.config.M,
+      efConstruction: this.config.efConstruction,
+      efSearch: this.config.efSearch
+    };
+  }
+}
@@ -10,6 +10,20 @@
 
 import SemanticSearch from './semantic.js';
 import PatternMatcher from './pattern-matcher.js';
+import { ResultFusion } from './fusion.js';
+import { PairwiseRanker } from './ltr.js';
+import { QueryParser, QueryParseError } from './query-parser.js';
+import { FacetBuilder } from './facets.js';
+import { SnippetExtractor } from './snippets.js';
+import { Suggester } from './suggester.js';
+import { EntityExtractor } from './entities.js';
+
+// Sub-query type → fusion signal
+const FUSION_SIGNAL_BY_TYPE = {
+  semantic: 'semantic',
+  fulltext: 'bm25',
+  pattern: 'pattern'
+};
 
 /**
  * Search Manager Class
@@ -28,8 +42,11 @@ export class SearchManager {
     };
 
     // Initialize search components
-    this.semanticSearch = new SemanticSearch(config.semantic || {});
-    this.patternMatcher = new PatternMatcher(config.pattern || {});
+    this.semanticSearch = new SemanticSearch({ snippets: config.snippets, ...config.semantic });
+    this.patternMatcher = new PatternMatcher({ snippets: config.snippets, ...config.pattern });
+    this.fusion = new ResultFusion(config.fusion || {});
+    this.queryParser = new QueryParser(config.queryLanguage || {});
+    this.snippets = new SnippetExtractor(config.snippets || {});
 
     // Search cache
     this.searchCache = new Map();
@@ -119,7 +136,12 @@ export class SearchManager {
     } catch (error) {
       const responseTime = Date.now() - startTime;
       this.updateAnalytics('error', query, responseTime);
-      
+
+      // Query syntax errors tetap ValidationError agar jadi 400
+      if (error.name === 'ValidationError') {
+        throw error;
+      }
+
       throw new Error(`Search failed: ${error.message}`);
     }
   }
@@ -193,14 +215,9 @@ export class SearchManager {
    * Normalize search query
    */
   normalizeQuery(query) {
-    if (typeof query === 'string') {
-      return {
-        type: 'fulltext',
-        text: query
-      };
-    }
-
-    const normalized = { ...query };
+    const normalized = typeof query === 'string'
+      ? { type: 'fulltext', text: query }
+      : { ...query };
 
     // Normalize text field
     if (normalized.text) {
@@ -212,6 +229,11 @@ export class SearchManager {
       normalized.type = 'fulltext';
     }
 
+    // Query language (field filters, boolean operators, ranges) di-parse ke AST
+    if (normalized.type === 'fulltext' && !normalized.ast && this.queryParser.isStructured(normalized.text)) {
+      normalized.ast = this.queryParser.parse(normalized.text);
+    }
+
     return normalized;
   }
 
@@ -309,7 +331,7 @@ export class SearchManager {
         return {
           type: subQuery.type || 'fulltext',
           results: subResults.results || [],
-          weight: weights[index] || 1.0
+          weight: weights[index] // undefined → fusion weight untuk signal tersebut
         };
       } catch (error) {
         console.warn(`⚠️ Hybrid search sub-query failed:`, error.message);
@@ -336,64 +358,57 @@ export class SearchManager {
 
   /**
    * Basic text search implementation
+   * Evaluate query AST terhadap documents in-memory (fallback tanpa Elasticsearch)
    */
   async basicTextSearch(query, options) {
-    // Placeholder implementation
-    // Dalam implementasi nyata, ini akan terhubung ke Elasticsearch
-    
-    const searchTerms = query.text.toLowerCase().split(/\s+/);
-    const mockResults = [];
-
-    // Generate mock results for demonstration
-    for (let i = 0; i < Math.min(options.limit, 5); i++) {
-      mockResults.push({
-        id: `result-${i}`,
-        title: `Search Result ${i + 1} for "${query.text}"`,
-        content: `This is a mock search result that matches your query: ${query.text}`,
-        score: 1.0 - (i * 0.1),
-        source: 'mock',
-        highlight: {
-          title: [`Search Result ${i + 1} for "<em>${query.text}</em>"`],
-          content: [`This is a mock search result that matches your query: <em>${query.text}</em>`]
-        }
-      });
-    }
-
-    return mockResults;
+    const ast = query.ast || this.queryParser.parseText(query.text);
+    const documents = options.documents || this.semanticSearch.getAllDocuments();
+
+    return documents
+      .filter(document => !options.userId || (document.userId || document.user_id) === options.userId)
+      .filter(document => this.queryParser.evaluate(ast, document))
+      .map(document => ({
+        id: document.id,
+        title: document.title || document.context?.task,
+        content: document.content,
+        score: this.queryParser.score(ast, document),
+        source: 'memory',
+        ...(options.includeHighlight && {
+          snippets: this.snippets.fromTerms(document, this.queryParser.collectTextTerms(ast), {
+            fields: this.snippets.fieldsFor(document),
+            ...options.highlight
+          })
+        })
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(options.offset, options.offset + options.limit);
   }
 
   /**
    * Merge dan rerank results dari multiple searches
+   * Menggunakan RRF / linear fusion, weight per sub-query tetap dihormati
    */
   mergeAndRerankResults(searchResults, options) {
-    const resultMap = new Map();
+    const sources = searchResults
+      .filter(({ type }) => FUSION_SIGNAL_BY_TYPE[type])
+      .map(({ type, results, weight }) => ({
+        signal: FUSION_SIGNAL_BY_TYPE[type],
+        results,
+        weight
+      }));
 
-    // Merge results dengan weighted scoring
-    searchResults.forEach(({ results, weight, type }) => {
-      results.forEach(result => {
-        const id = result.id;
-        
-        if (resultMap.has(id)) {
-          // Update existing result dengan combined score
-          const existing = resultMap.get(id);
-          existing.score = Math.max(existing.score, result.score * weight);
-          existing.sources.push(type);
-        } else {
-          // Add new result
-          resultMap.set(id, {
-            ...result,
-            score: result.score * weight,
-            sources: [type]
-          });
-        }
-      });
+    const fused = this.fusion.fuse(sources, options.fusion, {
+      getId: result => result.id
     });
 
-    // Convert ke array dan sort berdasarkan score
-    const mergedResults = Array.from(resultMap.values())
-      .sort((a, b) => b.score - a.score);
-
-    return mergedResults;
+    return fused.map(({ result, score, score_breakdown: breakdown }) => ({
+      ...result,
+      score,
+      sources: searchResults
+        .filter(({ type }) => breakdown[FUSION_SIGNAL_BY_TYPE[type]])
+        .map(({ type }) => type),
+      score_breakdown: breakdown
+    }));
   }
 
   /**
@@ -492,7 +507,9 @@ export class SearchManager {
         limit: options.limit,
         offset: options.offset,
         filters: options.filters,
-        sort: options.sort
+        sort: options.sort,
+        fusion: options.fusion,
+        userId: options.userId
       }
     });
     
@@ -610,6 +627,13 @@ export class SearchManager {
     this.cacheStats = { hits: 0, misses: 0, total: 0 };
   }
 
+  /**
+   * Close search components (persist semantic index)
+   */
+  async close() {
+    await this.semanticSearch.close();
+  }
+
   /**
    * Reset analytics
    */
@@ -634,4 +658,4 @@ export default searchManager;
 /**
  * Named exports
  */
-export { SemanticSearch, PatternMatcher };
\ No newline at end of file
+export { SemanticSearch, PatternMatcher, ResultFusion, PairwiseRanker, QueryParser, QueryParseError, FacetBuilder, SnippetExtractor, Suggester, EntityExtractor };
\ No newline at end of file
@@ -0,0 +1,253 @@
+/**
+ * Learning-to-Rank - Pairwise Ranker
+ *
+ * Feature extraction untuk (query, note) pairs dan pairwise logistic regression
+ * yang di-train dari relevance feedback (helpful vs unhelpful notes dalam query yang sama).
+ * Model bisa di-serialize untuk disimpan per tenant dengan version
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+// Urutan features = urutan weights di model
+export const RANKING_FEATURES = [
+  'relevance', // Retrieval score (session relevance_score / similarity)
+  'task_match', // Query terms di context.task / title
+  'content_match', // Query terms di content
+  'tag_match', // Query terms di tags
+  'recency', // Decay berdasarkan umur note
+  'has_solution',
+  'has_errors',
+  'content_length' // log-scaled
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENCY_HALF_LIFE_DAYS = 30;
+
+/**
+ * Extract ranking features untuk satu result
+ * Mendukung shape note ({ note, relevance_score }) dan semantic document ({ similarity, title, content })
+ * @param {Object} result - Search result
+ * @param {string} queryText - Query atau task description
+ * @returns {Object} Feature name → value
+ */
+export function extractFeatures(result, queryText = '') {
+  const note = result.note || result;
+  const content = typeof note.content === 'object' && note.content !== null
+    ? [note.content.action, note.content.result, note.content.learning, note.content.solution].filter(Boolean).join(' ')
+    : note.content || '';
+  const title = note.context?.task || note.title || '';
+  const tags = note.context?.tags || note.tags || [];
+  const date = note.updated_at || note.created_at || note.updatedAt || note.timestamp;
+  const ageDays = date ? Math.max(0, Date.now() - new Date(date).getTime()) / DAY_MS : NaN;
+  const relevance = result.relevance_score ?? result.similarity ?? result.score ?? 0;
+
+  return {
+    relevance: Math.max(0, Math.min(1, relevance)),
+    task_match: termOverlap(queryText, title),
+    content_match: termOverlap(queryText, content),
+    tag_match: termOverlap(queryText, tags.join(' ')),
+    recency: Number.isNaN(ageDays) ? 0 : 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS),
+    has_solution: note.content?.solution ? 1 : 0,
+    has_errors: (note.content?.errors || []).length > 0 ? 1 : 0,
+    content_length: Math.log1p(content.length) / 10
+  };
+}
+
+/**
+ * Fraksi query terms yang muncul di text
+ */
+function termOverlap(queryText, text) {
+  const terms = [...new Set((queryText || '').toLowerCase().split(/\W+/).filter(term => term.length > 2))];
+  if (terms.length === 0 || !text) {
+    return 0;
+  }
+
+  const haystack = text.toLowerCase();
+  return terms.filter(term => haystack.includes(term)).length / terms.length;
+}
+
+/**
+ * Pairwise Ranker Class
+ * Linear scoring function w·z dengan z = standardized features
+ */
+export class PairwiseRanker {
+  constructor(model = {}) {
+    this.featureNames = model.feature_names || RANKING_FEATURES;
+    this.weights = model.weights || this.featureNames.map(() => 0);
+    this.normalization = model.normalization || {
+      mean: this.featureNames.map(() => 0),
+      std: this.featureNames.map(() => 1)
+    };
+    this.version = model.version || null;
+    this.metrics = model.metrics || {};
+  }
+
+  /**
+   * Build training pairs dari feedback samples
+   * Pair hanya dibentuk di dalam group yang sama (session + query)
+   * @param {Array} samples - [{ session_id, query, helpful, features }]
+   * @returns {Array} [{ group, positive, negative }] dengan feature vectors
+   */
+  static buildPairs(samples, featureNames = RANKING_FEATURES) {
+    const groups = new Map();
+
+    samples.forEach(sample => {
+      const group = `${sample.session_id || ''}|${(sample.query || '').toLowerCase()}`;
+      if (!groups.has(group)) {
+        groups.set(group, { positives: [], negatives: [] });
+      }
+
+      const vector = featureNames.map(name => sample.features?.[name] ?? 0);
+      groups.get(group)[sample.helpful ? 'positives' : 'negatives'].push(vector);
+    });
+
+    const pairs = [];
+    groups.forEach(({ positives, negatives }, group) => {
+      positives.forEach(positive => {
+        negatives.forEach(negative => pairs.push({ group, positive, negative }));
+      });
+    });
+
+    return pairs;
+  }
+
+  /**
+   * Train weights dengan full-batch gradient descent pada pairwise logistic loss
+   * loss = mean(log(1 + exp(-w·(z_pos - z_neg)))) + l2 * |w|²
+   * @param {Array} pairs - Hasil buildPairs
+   * @param {Object} options - { epochs, learningRate, l2, validationRatio }
+   * @returns {PairwiseRanker} this
+   */
+  train(pairs, options = {}) {
+    const {
+      epochs = 300,
+      learningRate = 0.1,
+      l2 = 0.01,
+      validationRatio = 0.2
+    } = options;
+
+    if (pairs.length === 0) {
+      throw new Error('No training pairs');
+    }
+
+    // Split per group agar validation tidak bocor dari query yang sama
+    const groups = [...new Set(pairs.map(pair => pair.group))];
+    const validationGroups = groups.length >= 5
+      ? new Set(groups.filter((group, index) => index % Math.round(1 / validationRatio) === 0))
+      : new Set();
+    const trainPairs = pairs.filter(pair => !validationGroups.has(pair.group));
+    const validationPairs = pairs.filter(pair => validationGroups.has(pair.group));
+
+    this.fitNormalization(trainPairs);
+
+    const diffs = trainPairs.map(pair => {
+      const positive = this.standardize(pair.positive);
+      const negative = this.standardize(pair.negative);
+      return positive.map((value, i) => value - negative[i]);
+    });
+
+    const dimensions = this.featureNames.length;
+    let weights = new Array(dimensions).fill(0);
+    let loss = 0;
+
+    for (let epoch = 0; epoch < epochs; epoch++) {
+      const gradient = weights.map(weight => 2 * l2 * weight);
+      loss = 0;
+
+      for (const diff of diffs) {
+        const margin = dot(weights, diff);
+        loss += Math.log1p(Math.exp(-margin));
+        const coefficient = -1 / (1 + Math.exp(margin));
+        for (let i = 0; i < dimensions; i++) {
+          gradient[i] += (coefficient * diff[i]) / diffs.length;
+        }
+      }
+
+      loss = loss / diffs.length + l2 * dot(weights, weights);
+      weights = weights.map((weight, i) => weight - learningRate * gradient[i]);
+    }
+
+    this.weights = weights;
+    this.metrics = {
+      loss,
+      train_pairs: trainPairs.length,
+      train_accuracy: this.pairwiseAccuracy(trainPairs),
+      validation_pairs: validationPairs.length,
+      validation_accuracy: validationPairs.length > 0 ? this.pairwiseAccuracy(validationPairs) : null
+    };
+
+    return this;
+  }
+
+  /**
+   * Mean/std per feature dari semua vectors di training pairs
+   */
+  fitNormalization(pairs) {
+    const vectors = pairs.flatMap(pair => [pair.positive, pair.negative]);
+    const mean = this.featureNames.map((_, i) =>
+      vectors.reduce((sum, vector) => sum + vector[i], 0) / vectors.length);
+    const std = this.featureNames.map((_, i) => {
+      const variance = vectors.reduce((sum, vector) => sum + (vector[i] - mean[i]) ** 2, 0) / vectors.length;
+      return Math.sqrt(variance) || 1; // Feature konstan tidak di-scale
+    });
+
+    this.normalization = { mean, std };
+  }
+
+  standardize(vector) {
+    return vector.map((value, i) => (value - this.normalization.mean[i]) / this.normalization.std[i]);
+  }
+
+  /**
+   * Fraksi pairs dengan positive note di-rank di atas negative
+   */
+  pairwiseAccuracy(pairs) {
+    if (pairs.length === 0) {
+      return null;
+    }
+
+    const correct = pairs.filter(pair =>
+      this.scoreVector(pair.positive) > this.scoreVector(pair.negative)).length;
+    return correct / pairs.length;
+  }
+
+  scoreVector(vector) {
+    return dot(this.weights, this.standardize(vector));
+  }
+
+  /**
+   * Score features (object dari extractFeatures) ke 0..1
+   */
+  score(features) {
+    const vector = this.featureNames.map(name => features[name] ?? 0);
+    return 1 / (1 + Math.exp(-this.scoreVector(vector)));
+  }
+
+  /**
+   * Serialize model untuk disimpan
+   */
+  toJSON() {
+    return {
+      version: this.version,
+      feature_names: this.featureNames,
+      weights: this.weights,
+      normalization: this.normalization,
+      metrics: this.metrics
+    };
+  }
+
+  static fromJSON(model) {
+    return new PairwiseRanker(model);
+  }
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+export default PairwiseRanker;
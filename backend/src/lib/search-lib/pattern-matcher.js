@@ -3,11 +3,23 @@
  * 
  * Menyediakan pattern-based search menggunakan regex, fuzzy matching,
  * structural queries, dan advanced text processing
+ * Candidate documents di-stream dari candidateSource (mis. notes dari Elasticsearch/ScyllaDB)
+ * dengan prefilter dari PatternPrefilter, lalu diverifikasi in-process lewat RegexGuard
  * 
  * @author MCP Server Team
  * @version 1.0.0
  */
 
+import { SnippetExtractor, DOCUMENT_SNIPPET_FIELDS, NOTE_SNIPPET_FIELDS } from './snippets.js';
+import { RegexGuard } from './regex-guard.js';
+import { PatternPrefilter } from './pattern-prefilter.js';
+import { ENTITY_PATTERNS } from './entities.js';
+
+/**
+ * Fields note yang diverifikasi pattern search (dan dipakai untuk prefilter)
+ */
+export const NOTE_PATTERN_FIELDS = [...NOTE_SNIPPET_FIELDS, 'context.project', 'context.tags'];
+
 /**
  * Pattern Matcher Class
  */
@@ -21,10 +33,16 @@ export default class PatternMatcher {
       caseSensitive: config.caseSensitive || false,
       enableRegexCache: config.enableRegexCache !== false,
       regexCacheSize: config.regexCacheSize || 100,
+      // async (request) => AsyncIterable|Array of documents, request = { prefilter, filters, limit }
+      candidateSource: config.candidateSource || null,
+      maxCandidates: config.maxCandidates || 2000,
       ...config
     };
 
     this.regexCache = new Map();
+    this.snippets = new SnippetExtractor({ fields: DOCUMENT_SNIPPET_FIELDS, ...this.config.snippets });
+    this.guard = new RegexGuard(this.config.regexGuard);
+    this.prefilter = new PatternPrefilter();
     this.statistics = {
       totalSearches: 0,
       patternTypes: {},
@@ -34,16 +52,18 @@ export default class PatternMatcher {
     };
 
     // Pattern definitions untuk structured queries
+    // Domain patterns (stack frames, error codes, ...) membawa flags sendiri, mis. error_code case-sensitive
     this.predefinedPatterns = {
-      email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g,
-      url: /https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)/g,
-      phone: /(\+\d{1,3}[- ]?)?\d{10}/g,
-      date: /\b\d{1,2}[-/]\d{1,2}[-/]\d{2,4}\b|\b\d{4}[-/]\d{1,2}[-/]\d{1,2}\b/g,
-      time: /\b\d{1,2}:\d{2}(\s?(AM|PM|am|pm))?\b/g,
-      hashtag: /#[\w\d_]+/g,
-      mention: /@[\w\d_]+/g,
-      number: /\b\d+(\.\d+)?\b/g,
-      word: /\b\w+\b/g
+      email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/gi,
+      url: /https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)/gi,
+      phone: /(\+\d{1,3}[- ]?)?\d{10}/gi,
+      date: /\b\d{1,2}[-/]\d{1,2}[-/]\d{2,4}\b|\b\d{4}[-/]\d{1,2}[-/]\d{1,2}\b/gi,
+      time: /\b\d{1,2}:\d{2}(\s?(AM|PM|am|pm))?\b/gi,
+      hashtag: /#[\w\d_]+/gi,
+      mention: /@[\w\d_]+/gi,
+      number: /\b\d+(\.\d+)?\b/gi,
+      word: /\b\w+\b/gi,
+      ...Object.fromEntries(Object.entries(ENTITY_PATTERNS).map(([name, { regex }]) => [name, regex]))
     };
   }
 
@@ -58,7 +78,8 @@ export default class PatternMatcher {
     
     try {
       const patternType = this.determinePatternType(query);
-      const searchResults = await this.executePatternSearch(query, options, patternType);
+      const budget = this.guard.createBudget(options.timeBudgetMs);
+      const searchResults = await this.executePatternSearch(query, { ...options, budget }, patternType);
       
       // Post-process results
       const processedResults = this.postProcessPatternResults(searchResults, query, options);
@@ -72,15 +93,23 @@ export default class PatternMatcher {
         total: processedResults.length,
         searchType: 'pattern',
         patternType,
+        truncated: budget.exhausted,
         metadata: {
           searchTime,
           patternMatched: query.pattern || query.regex,
           caseSensitive: this.config.caseSensitive,
-          fuzzyEnabled: this.config.enableFuzzyMatching
+          fuzzyEnabled: this.config.enableFuzzyMatching,
+          candidatesScanned: budget.scanned,
+          // Time budget habis sebelum semua candidates diverifikasi
+          truncated: budget.exhausted
         }
       };
 
     } catch (error) {
+      // Pattern yang invalid/unsafe diteruskan sebagai ValidationError (400)
+      if (error.name === 'ValidationError') {
+        throw error;
+      }
       throw new Error(`Pattern search failed: ${error.message}`);
     }
   }
@@ -89,6 +118,8 @@ export default class PatternMatcher {
    * Determine pattern type dari query
    */
   determinePatternType(query) {
+    // Type eksplisit dari caller (mis. user-supplied pattern di API)
+    if (query.patternType) return query.patternType;
     if (query.regex) return 'regex';
     if (query.pattern && typeof query.pattern === 'string') {
       if (this.predefinedPatterns[query.pattern]) return 'predefined';
@@ -128,13 +159,16 @@ export default class PatternMatcher {
   async regexSearch(query, options) {
     const { regex, flags = 'gi' } = query;
     const regexObj = this.getCompiledRegex(regex, flags);
+    const budget = options.budget || this.guard.createBudget();
     const results = [];
 
-    // Mock implementation - dalam implementasi nyata, ini akan search database
-    const mockDocuments = this.getMockDocuments(options);
-    
-    mockDocuments.forEach(doc => {
-      const matches = this.findRegexMatches(doc, regexObj);
+    for await (const doc of this.getCandidates(this.prefilter.fromRegex(regexObj.source), options)) {
+      if (!this.guard.hasTime(budget)) break;
+      budget.scanned++;
+
+      const matches = this.findRegexMatches(doc, regexObj, budget);
+      if (matches === null) break;
+
       if (matches.length > 0) {
         results.push({
           ...doc,
@@ -142,7 +176,7 @@ export default class PatternMatcher {
           score: this.calculateRegexScore(matches, doc)
         });
       }
-    });
+    }
 
     return results;
   }
@@ -158,7 +192,7 @@ export default class PatternMatcher {
       throw new Error(`Unknown predefined pattern: ${pattern}`);
     }
 
-    return await this.regexSearch({ regex: regexPattern.source, flags: 'gi' }, options);
+    return await this.regexSearch({ regex: regexPattern.source, flags: regexPattern.flags }, options);
   }
 
   /**
@@ -176,11 +210,14 @@ export default class PatternMatcher {
    */
   async fuzzySearch(query, options) {
     const { text, threshold = this.config.fuzzyThreshold } = query;
+    const budget = options.budget || this.guard.createBudget();
     const results = [];
-    
-    const mockDocuments = this.getMockDocuments(options);
-    
-    mockDocuments.forEach(doc => {
+
+    // Similarity per kata tidak bisa di-prefilter, semua candidates diverifikasi
+    for await (const doc of this.getCandidates(null, options)) {
+      if (!this.guard.hasTime(budget)) break;
+      budget.scanned++;
+
       const fuzzyMatches = this.findFuzzyMatches(doc, text, threshold);
       if (fuzzyMatches.length > 0) {
         results.push({
@@ -189,7 +226,7 @@ export default class PatternMatcher {
           score: this.calculateFuzzyScore(fuzzyMatches, doc)
         });
       }
-    });
+    }
 
     return results;
   }
@@ -199,18 +236,20 @@ export default class PatternMatcher {
    */
   async structuralSearch(query, options) {
     const { structure } = query;
+    const budget = options.budget || this.guard.createBudget();
     const results = [];
-    
-    const mockDocuments = this.getMockDocuments(options);
-    
-    mockDocuments.forEach(doc => {
+
+    for await (const doc of this.getCandidates(null, options)) {
+      if (!this.guard.hasTime(budget)) break;
+      budget.scanned++;
+
       if (this.matchesStructure(doc, structure)) {
         results.push({
           ...doc,
           score: this.calculateStructuralScore(doc, structure)
         });
       }
-    });
+    }
 
     return results;
   }
@@ -221,12 +260,17 @@ export default class PatternMatcher {
   async literalSearch(query, options) {
     const { pattern, text } = query;
     const searchText = pattern || text;
+    const budget = options.budget || this.guard.createBudget();
     const results = [];
-    
-    const mockDocuments = this.getMockDocuments(options);
+
     const flags = this.config.caseSensitive ? 'g' : 'gi';
-    
-    mockDocuments.forEach(doc => {
+    const prefilter = this.prefilter.fromRegex(this.escapeRegex(searchText));
+
+    // Escaped literal berjalan linear, cukup cek budget per document
+    for await (const doc of this.getCandidates(prefilter, options)) {
+      if (!this.guard.hasTime(budget)) break;
+      budget.scanned++;
+
       const matches = this.findLiteralMatches(doc, searchText, flags);
       if (matches.length > 0) {
         results.push({
@@ -235,7 +279,7 @@ export default class PatternMatcher {
           score: this.calculateLiteralScore(matches, doc, searchText)
         });
       }
-    });
+    }
 
     return results;
   }
@@ -251,47 +295,36 @@ export default class PatternMatcher {
       return this.regexCache.get(cacheKey);
     }
 
-    try {
-      const regex = new RegExp(pattern, flags);
-      
-      if (this.config.enableRegexCache) {
-        // Limit cache size
-        if (this.regexCache.size >= this.config.regexCacheSize) {
-          const firstKey = this.regexCache.keys().next().value;
-          this.regexCache.delete(firstKey);
-        }
-        this.regexCache.set(cacheKey, regex);
+    // Validasi syntax dan ReDoS (UnsafePatternError)
+    const regex = this.guard.compile(pattern, flags);
+
+    if (this.config.enableRegexCache) {
+      // Limit cache size
+      if (this.regexCache.size >= this.config.regexCacheSize) {
+        const firstKey = this.regexCache.keys().next().value;
+        this.regexCache.delete(firstKey);
       }
-      
-      return regex;
-    } catch (error) {
-      throw new Error(`Invalid regex pattern: ${pattern} - ${error.message}`);
+      this.regexCache.set(cacheKey, regex);
     }
+
+    return regex;
   }
 
   /**
-   * Find regex matches dalam document
+   * Find regex matches dalam document, dijalankan lewat RegexGuard dengan timeout
+   * @returns {Array|null} Matches, atau null jika time budget habis
    */
-  findRegexMatches(doc, regex) {
-    const matches = [];
-    const searchableText = this.getSearchableText(doc);
-    
-    let match;
-    const globalRegex = new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : regex.flags + 'g');
-    
-    while ((match = globalRegex.exec(searchableText)) !== null) {
-      matches.push({
-        text: match[0],
-        index: match.index,
-        groups: match.groups || [],
-        field: this.determineMatchField(doc, match.index)
-      });
-      
-      // Prevent infinite loops
-      if (!regex.flags.includes('g')) break;
+  findRegexMatches(doc, regex, budget = this.guard.createBudget()) {
+    const matches = this.guard.exec(regex, this.getSearchableText(doc), budget);
+    if (matches === null) {
+      return null;
     }
 
-    return matches;
+    // Tanpa flag g hanya match pertama
+    return (regex.flags.includes('g') ? matches : matches.slice(0, 1)).map(match => ({
+      ...match,
+      field: this.determineMatchField(doc, match.index)
+    }));
   }
 
   /**
@@ -299,19 +332,25 @@ export default class PatternMatcher {
    */
   findFuzzyMatches(doc, searchText, threshold) {
     const matches = [];
-    const words = this.getSearchableText(doc).split(/\s+/);
-    
-    words.forEach((word, index) => {
+    const wordRegex = /\S+/g;
+    const searchableText = this.getSearchableText(doc);
+
+    let match;
+    let wordIndex = 0;
+    while ((match = wordRegex.exec(searchableText)) !== null) {
+      const word = match[0];
       const similarity = this.calculateStringSimilarity(word, searchText);
       if (similarity >= threshold) {
         matches.push({
           text: word,
+          index: match.index,
           similarity,
           editDistance: this.levenshteinDistance(word, searchText),
-          wordIndex: index
+          wordIndex
         });
       }
-    });
+      wordIndex++;
+    }
 
     return matches;
   }
@@ -482,39 +521,80 @@ export default class PatternMatcher {
    * Get searchable text dari document
    */
   getSearchableText(doc) {
-    const textParts = [];
-    
-    if (doc.title) textParts.push(doc.title);
-    if (doc.content) textParts.push(doc.content);
-    if (doc.summary) textParts.push(doc.summary);
+    return this.getFieldSegments(doc).map(segment => segment.text).join(' ');
+  }
+
+  /**
+   * Field segments penyusun searchable text beserta posisi awalnya
+   * @returns {Array} [{ field, text, start }]
+   */
+  getFieldSegments(doc) {
+    const segments = [];
+    let offset = 0;
+
+    const addSegment = (field, text) => {
+      segments.push({ field, text, start: offset });
+      offset += text.length + 1;
+    };
+
+    // Notes: context/content fields (array values sebagai `field[index]`)
+    if (this.isNote(doc)) {
+      NOTE_PATTERN_FIELDS.forEach(field => {
+        this.snippets.getFieldValues(doc, field).forEach(({ name, value }) => addSegment(name, value));
+      });
+      return segments;
+    }
+
+    if (doc.title) addSegment('title', doc.title);
+    if (doc.content) addSegment('content', doc.content);
+    if (doc.summary) addSegment('summary', doc.summary);
     if (doc.tags && Array.isArray(doc.tags)) {
-      textParts.push(doc.tags.join(' '));
+      doc.tags.forEach((tag, index) => addSegment(`tags[${index}]`, tag));
     }
 
-    return textParts.join(' ');
+    return segments;
   }
 
   /**
-   * Determine which field contains the match
+   * Map match di searchable text ke range relatif terhadap field-nya
+   * @returns {Object|null} { field, start, end }
    */
-  determineMatchField(doc, matchIndex) {
-    let currentIndex = 0;
-    
-    if (doc.title) {
-      if (matchIndex < currentIndex + doc.title.length) {
-        return 'title';
-      }
-      currentIndex += doc.title.length + 1;
-    }
+  locateMatch(doc, matchIndex, length) {
+    const segment = this.getFieldSegments(doc)
+      .find(candidate => matchIndex >= candidate.start && matchIndex < candidate.start + candidate.text.length);
 
-    if (doc.content) {
-      if (matchIndex < currentIndex + doc.content.length) {
-        return 'content';
-      }
-      currentIndex += doc.content.length + 1;
+    if (!segment) {
+      return null;
     }
 
-    return 'other';
+    const start = matchIndex - segment.start;
+    return { field: segment.field, start, end: Math.min(start + length, segment.text.length) };
+  }
+
+  /**
+   * Snippets untuk regex, fuzzy dan literal matches
+   */
+  buildMatchSnippets(doc, options = {}) {
+    const ranges = (doc.matches || [])
+      .filter(match => match.index !== undefined && match.text)
+      .map(match => this.locateMatch(doc, match.index, match.text.length))
+      .filter(Boolean);
+
+    return this.snippets.fromMatches(doc, ranges, options.highlight);
+  }
+
+  /**
+   * Determine which field contains the match
+   */
+  determineMatchField(doc, matchIndex) {
+    return this.locateMatch(doc, matchIndex, 0)?.field || 'other';
+  }
+
+  /**
+   * Note documents punya content object (action, result, learning, ...)
+   */
+  isNote(doc) {
+    return typeof doc.content === 'object' && doc.content !== null;
   }
 
   /**
@@ -522,7 +602,7 @@ export default class PatternMatcher {
    */
   calculateRegexScore(matches, doc) {
     const baseScore = matches.length / 10; // Normalize by match count
-    const fieldBoost = matches.some(m => m.field === 'title') ? 0.2 : 0;
+    const fieldBoost = matches.some(m => m.field === 'title' || m.field === 'context.task') ? 0.2 : 0;
     return Math.min(baseScore + fieldBoost, 1.0);
   }
 
@@ -554,10 +634,13 @@ export default class PatternMatcher {
       .slice(0, options.limit || 10)
       .map(result => ({
         id: result.id,
-        title: result.title,
-        content: result.content,
+        // Notes dikembalikan utuh (tanpa matches/score) agar bisa diformat seperti search lain
+        ...(this.isNote(result)
+          ? { agent_id: result.agent_id, note: this.stripMatchData(result) }
+          : { title: result.title, content: result.content }),
         score: result.score,
         matches: result.matches,
+        ...(options.includeHighlight !== false && { snippets: this.buildMatchSnippets(result, options) }),
         patternInfo: {
           matchCount: result.matches ? result.matches.length : 0,
           matchedFields: result.matches ? 
@@ -566,31 +649,33 @@ export default class PatternMatcher {
       }));
   }
 
+  stripMatchData(result) {
+    const document = { ...result };
+    delete document.matches;
+    delete document.score;
+    return document;
+  }
+
   /**
-   * Get mock documents untuk testing
-   */
-  getMockDocuments(options) {
-    // Mock implementation - dalam production akan dari database
-    return [
-      {
-        id: 'doc1',
-        title: 'Sample Document 1',
-        content: 'This is a sample document for testing pattern matching.',
-        tags: ['sample', 'test']
-      },
-      {
-        id: 'doc2',
-        title: 'Email Example',
-        content: 'Contact us at support@example.com for help.',
-        tags: ['email', 'contact']
-      },
-      {
-        id: 'doc3',
-        title: 'Phone Numbers',
-        content: 'Call us at +1-555-123-4567 or visit our website.',
-        tags: ['phone', 'contact']
+   * Stream candidate documents: options.documents (in-memory) atau config.candidateSource
+   * @param {Object|null} prefilter - Dari PatternPrefilter, untuk mempersempit candidates di source
+   */
+  async *getCandidates(prefilter, options = {}) {
+    const source = options.documents || (this.config.candidateSource
+      ? await this.config.candidateSource({
+        prefilter,
+        filters: options.filters || {},
+        limit: this.config.maxCandidates
+      })
+      : []);
+
+    let count = 0;
+    for await (const doc of source) {
+      if (count++ >= this.config.maxCandidates) {
+        return;
       }
-    ];
+      yield doc;
+    }
   }
 
   /**
@@ -0,0 +1,211 @@
+/**
+ * Pattern Prefilter - Candidate Selection untuk Pattern Search
+ *
+ * Menurunkan prefilter dari regex (termasuk wildcard, literal dan predefined patterns yang sudah
+ * dikonversi ke regex) agar candidate documents bisa dipersempit oleh Elasticsearch sebelum
+ * diverifikasi in-process oleh PatternMatcher. Prefilter selalu superset dari hasil regex:
+ * - regexp: regex yang hanya bisa match karakter alfanumerik (selalu di dalam satu token),
+ *   dijalankan sebagai Lucene regexp `.*(...).*`
+ * - terms: literal alfanumerik wajib per alternative (OR of ANDs), dijalankan sebagai wildcard `*literal*`
+ * Pattern tanpa literal yang bisa dipakai (mis. `\d+@`) tidak punya prefilter (full scan)
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { parseRegex } from './regex-guard.js';
+
+const ALPHANUMERIC = /^[A-Za-z0-9]$/;
+
+/**
+ * Pattern Prefilter Class
+ */
+export class PatternPrefilter {
+  constructor(config = {}) {
+    this.config = {
+      minLiteralLength: 3,
+      maxClauses: 10,
+      ...config
+    };
+  }
+
+  /**
+   * Prefilter untuk regex
+   * @returns {Object|null} { type: 'regexp', value } | { type: 'terms', clauses: [[literal]] } | null
+   */
+  fromRegex(source) {
+    let alt;
+    try {
+      alt = parseRegex(source);
+    } catch (error) {
+      return null;
+    }
+
+    if (this.isTokenRegex(alt)) {
+      return { type: 'regexp', value: `.*(${this.toLucene(alt)}).*` };
+    }
+
+    const clauses = this.getRequiredLiterals(alt);
+    return clauses ? { type: 'terms', clauses } : null;
+  }
+
+  /**
+   * Elasticsearch query clause untuk prefilter
+   * @param {Object|null} prefilter - Hasil fromRegex
+   * @param {Array} fields - Fields yang diverifikasi PatternMatcher
+   * @returns {Object|null} Bool query atau null (tanpa prefilter)
+   */
+  toElasticsearch(prefilter, fields) {
+    if (!prefilter) {
+      return null;
+    }
+
+    const anyField = buildClause => ({
+      bool: {
+        should: fields.map(field => buildClause(field)),
+        minimum_should_match: 1
+      }
+    });
+
+    if (prefilter.type === 'regexp') {
+      return anyField(field => ({
+        regexp: { [field]: { value: prefilter.value, case_insensitive: true } }
+      }));
+    }
+
+    return {
+      bool: {
+        should: prefilter.clauses.map(literals => ({
+          bool: {
+            must: literals.map(literal => anyField(field => ({
+              wildcard: { [field]: { value: `*${literal}*`, case_insensitive: true } }
+            })))
+          }
+        })),
+        minimum_should_match: 1
+      }
+    };
+  }
+
+  /**
+   * Regex yang hanya bisa match karakter alfanumerik ASCII dan tidak punya assertions
+   */
+  isTokenRegex(alt) {
+    return alt.branches.every(branch => branch.length > 0 && branch.every(({ atom }) => {
+      switch (atom.type) {
+        case 'char':
+          return ALPHANUMERIC.test(atom.value);
+        case 'shorthand':
+          return atom.value === '\\d';
+        case 'class':
+          return !atom.negated && atom.members.every(member =>
+            member.shorthand === 'd' ||
+            (member.from !== undefined && ALPHANUMERIC.test(member.from) && ALPHANUMERIC.test(member.to) && this.isSameKind(member.from, member.to))
+          );
+        case 'group':
+          return !atom.lookaround && this.isTokenRegex(atom.alt);
+        default:
+          return false;
+      }
+    }));
+  }
+
+  /**
+   * Range class hanya dalam satu jenis (a-z, A-Z, 0-9) agar tidak mencakup tanda baca
+   */
+  isSameKind(from, to) {
+    return [/[a-z]/, /[A-Z]/, /[0-9]/].some(kind => kind.test(from) && kind.test(to));
+  }
+
+  /**
+   * Translasi AST token regex ke Lucene regexp syntax (lowercase, case_insensitive di query)
+   */
+  toLucene(alt) {
+    return alt.branches.map(branch => branch.map(({ atom, min, max }) => {
+      let expression;
+      if (atom.type === 'char') {
+        expression = atom.value.toLowerCase();
+      } else if (atom.type === 'shorthand') {
+        expression = '[0-9]';
+      } else if (atom.type === 'class') {
+        expression = `[${atom.members.map(member => (member.shorthand
+          ? '0-9'
+          : (member.from === member.to ? member.from : `${member.from}-${member.to}`).toLowerCase())).join('')}]`;
+      } else {
+        expression = `(${this.toLucene(atom.alt)})`;
+      }
+
+      return expression + this.toLuceneQuantifier(min, max);
+    }).join('')).join('|');
+  }
+
+  toLuceneQuantifier(min, max) {
+    if (min === 1 && max === 1) return '';
+    if (min === 0 && max === 1) return '?';
+    if (min === 0 && max === Infinity) return '*';
+    if (min === 1 && max === Infinity) return '+';
+    if (max === Infinity) return `{${min},}`;
+    return min === max ? `{${min}}` : `{${min},${max}}`;
+  }
+
+  /**
+   * Literal alfanumerik yang wajib ada, per alternative top-level (OR of ANDs)
+   * @returns {Array|null} null jika ada alternative tanpa literal wajib
+   */
+  getRequiredLiterals(alt) {
+    const clauses = [];
+
+    for (const branch of alt.branches) {
+      const branchClauses = this.getBranchLiterals(branch);
+      if (!branchClauses) {
+        return null;
+      }
+      clauses.push(...branchClauses);
+    }
+
+    return clauses.length > 0 && clauses.length <= this.config.maxClauses ? clauses : null;
+  }
+
+  /**
+   * Literals untuk satu branch; group wajib dengan alternation ikut memecah clauses
+   * @returns {Array|null} [[literal]] atau null jika branch tidak punya literal wajib
+   */
+  getBranchLiterals(branch) {
+    let clauses = [[]];
+    let run = '';
+
+    const flush = () => {
+      if (run.length >= this.config.minLiteralLength) {
+        clauses.forEach(clause => clause.push(run.toLowerCase()));
+      }
+      run = '';
+    };
+
+    for (const { atom, min, max } of branch) {
+      if (atom.type === 'char' && ALPHANUMERIC.test(atom.value) && min >= 1) {
+        // Repetisi panjang dipotong; literal sesudahnya tidak lagi bersambung
+        const repeated = Math.min(min, this.config.minLiteralLength);
+        run += atom.value.repeat(repeated);
+        if (max !== min || repeated < min) {
+          flush();
+        }
+        continue;
+      }
+
+      flush();
+
+      if (atom.type === 'group' && !atom.lookaround && min >= 1) {
+        const groupClauses = this.getRequiredLiterals(atom.alt);
+        if (groupClauses && clauses.length * groupClauses.length <= this.config.maxClauses) {
+          clauses = clauses.flatMap(clause => groupClauses.map(literals => [...clause, ...literals]));
+        }
+      }
+    }
+
+    flush();
+
+    return clauses.every(clause => clause.length > 0) ? clauses : null;
+  }
+}
+
+export default PatternPrefilter;
@@ -0,0 +1,658 @@
+/**
+ * Query Parser - Search Query Language
+ *
+ * Parse query seperti `type:bugfix project:api tag:redis success:false after:2026-01-01 "connection reset" -timeout`
+ * menjadi AST, lalu compile ke Elasticsearch DSL atau evaluate in-memory.
+ *
+ * Grammar:
+ *   query   := or
+ *   or      := and ('OR' and)*
+ *   and     := unary (['AND'] unary)*        (implicit AND)
+ *   unary   := ('-' | 'NOT') unary | primary
+ *   primary := '(' or ')' | field ':' value | "phrase" | word
+ *   value   := "phrase" | word | [from TO to] | {from TO to} | (>|>=|<|<=)word
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+/**
+ * Field yang didukung dan mapping ke note document
+ * kind: keyword (exact), text (match), boolean, date, number
+ */
+export const QUERY_FIELDS = {
+  type: { kind: 'keyword', path: 'type' },
+  project: { kind: 'keyword', path: 'context.project' },
+  tag: { kind: 'keyword', path: 'context.tags' },
+  tags: { kind: 'keyword', path: 'context.tags' },
+  agent: { kind: 'keyword', path: 'agent_id' },
+  session: { kind: 'keyword', path: 'session_id' },
+  success: { kind: 'boolean', path: 'metadata.success' },
+  task: { kind: 'text', path: 'context.task' },
+  action: { kind: 'text', path: 'content.action' },
+  result: { kind: 'text', path: 'content.result' },
+  learning: { kind: 'text', path: 'content.learning' },
+  solution: { kind: 'text', path: 'content.solution' },
+  error: { kind: 'text', path: 'content.errors' },
+  created: { kind: 'date', path: 'created_at' },
+  updated: { kind: 'date', path: 'updated_at' },
+  after: { kind: 'date', path: 'created_at', operator: 'gte' },
+  before: { kind: 'date', path: 'created_at', operator: 'lt' },
+  version: { kind: 'number', path: 'version' },
+  // Domain entities, mis. `code:ECONNRESET package:ioredis`
+  code: { kind: 'keyword', path: 'metadata.entities.error_codes' },
+  package: { kind: 'keyword', path: 'metadata.entities.packages' },
+  status: { kind: 'number', path: 'metadata.entities.http_status' },
+  exit: { kind: 'number', path: 'metadata.entities.exit_codes' },
+  sql: { kind: 'keyword', path: 'metadata.entities.sql_errors' },
+  file: { kind: 'keyword', path: 'metadata.entities.files' },
+  uuid: { kind: 'keyword', path: 'metadata.entities.uuids' }
+};
+
+// Field untuk free-text terms (sama dengan full-text search notes)
+export const DEFAULT_TEXT_FIELDS = [
+  'content.action^3',
+  'content.result^2',
+  'content.learning^2',
+  'context.task^1.5',
+  'searchable_content'
+];
+
+const COMPARATORS = { '>=': 'gte', '<=': 'lte', '>': 'gt', '<': 'lt' };
+const KEYWORDS = ['AND', 'OR', 'NOT', 'TO'];
+const FIELD_TERM = /(^|[\s(])-?([a-zA-Z_]+):(?!\/\/)\S/g;
+const NEGATED_OPERAND = /^[\p{L}\p{N}_"(]/u;
+const NEGATION = /(^|[\s(])-[\p{L}\p{N}_"(]/u;
+
+/**
+ * Parse error dengan shape ValidationError (name, status, details)
+ * sehingga ditangani sama seperti Joi validation errors
+ */
+export class QueryParseError extends Error {
+  constructor(message, query, position) {
+    super(`Invalid query: ${message}`);
+    this.name = 'ValidationError';
+    this.status = 400;
+    this.position = position;
+    this.details = [{
+      field: 'query',
+      message: position !== undefined ? `${message} at position ${position}` : message,
+      value: query
+    }];
+  }
+}
+
+/**
+ * Query Parser Class
+ */
+export class QueryParser {
+  constructor(config = {}) {
+    this.config = {
+      fields: QUERY_FIELDS,
+      defaultFields: DEFAULT_TEXT_FIELDS,
+      maxLength: 1000,
+      maxDepth: 10,
+      ...config
+    };
+  }
+
+  /**
+   * Cek apakah text memakai syntax query language (field, phrase, operator, grouping)
+   * Plain text tetap diproses oleh search mode biasa
+   */
+  isStructured(text) {
+    if (!text || typeof text !== 'string') {
+      return false;
+    }
+
+    // Hanya field yang dikenal, phrase, negation dan operator eksplisit; tanda kurung, path Windows
+    // (`C:\apps`) atau `->` di plain text tetap diproses sebagai free text
+    return this.hasKnownField(text)
+      || /"[^"]*"/.test(text)
+      || NEGATION.test(text)
+      || /\s(AND|OR)\s|(^|\s)NOT\s/.test(text);
+  }
+
+  hasKnownField(text) {
+    return Array.from(text.matchAll(FIELD_TERM), match => match[2].toLowerCase())
+      .some(field => Boolean(this.config.fields[field]));
+  }
+
+  /**
+   * Parse query string menjadi AST
+   * @param {string} input - Query string
+   * @returns {Object} AST node
+   * @throws {QueryParseError}
+   */
+  parse(input) {
+    if (typeof input !== 'string' || !input.trim()) {
+      throw new QueryParseError('Query must not be empty', input);
+    }
+
+    if (input.length > this.config.maxLength) {
+      throw new QueryParseError(`Query must not exceed ${this.config.maxLength} characters`, input);
+    }
+
+    const state = { input, tokens: this.tokenize(input), position: 0, depth: 0 };
+    const ast = this.parseOr(state);
+
+    if (state.position < state.tokens.length) {
+      const token = state.tokens[state.position];
+      throw new QueryParseError(`Unexpected ${token.type === 'rparen' ? "')'" : `'${token.value}'`}`, input, token.start);
+    }
+
+    return ast;
+  }
+
+  /**
+   * Parse query language jika structured, plain text menjadi OR dari terms
+   * @param {string} text - Query atau task description
+   * @returns {Object} AST node
+   */
+  parseText(text) {
+    if (this.isStructured(text)) {
+      return this.parse(text);
+    }
+
+    return {
+      type: 'or',
+      children: (text || '').toLowerCase().split(/\s+/).filter(Boolean).map(value => ({ type: 'term', value }))
+    };
+  }
+
+  /**
+   * Tokenize query string
+   * @returns {Array} [{ type, value, start, ... }]
+   */
+  tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+      const char = input[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      if (char === '(' || char === ')') {
+        tokens.push({ type: char === '(' ? 'lparen' : 'rparen', value: char, start: i });
+        i++;
+        continue;
+      }
+
+      // '-' di awal term berarti NOT (bukan '->' atau '--')
+      if (char === '-' && NEGATED_OPERAND.test(input[i + 1] || '')) {
+        tokens.push({ type: 'not', value: '-', start: i });
+        i++;
+        continue;
+      }
+
+      if (char === '"') {
+        const { value, end } = this.readPhrase(input, i);
+        tokens.push({ type: 'phrase', value, start: i });
+        i = end;
+        continue;
+      }
+
+      // Field term: name:value, field yang tidak dikenal dibaca sebagai word (free text)
+      const fieldMatch = /^([a-zA-Z_]+):(?!\/\/)/.exec(input.slice(i));
+      const field = fieldMatch?.[1].toLowerCase();
+      if (fieldMatch && this.config.fields[field]) {
+        const valueStart = i + fieldMatch[0].length;
+        const { token, end } = this.readFieldValue(input, valueStart, field);
+        tokens.push({ type: 'field', field, start: i, ...token });
+        i = end;
+        continue;
+      }
+
+      const end = this.readWordEnd(input, i);
+      const value = input.slice(i, end);
+      tokens.push(KEYWORDS.includes(value) && value !== 'TO'
+        ? { type: value.toLowerCase(), value, start: i }
+        : { type: 'word', value, start: i });
+      i = end;
+    }
+
+    return tokens;
+  }
+
+  readWordEnd(input, start) {
+    let end = start;
+    while (end < input.length && !/[\s()"]/.test(input[end])) {
+      end++;
+    }
+    return end;
+  }
+
+  readPhrase(input, start) {
+    let value = '';
+    let i = start + 1;
+
+    while (i < input.length) {
+      if (input[i] === '\\' && i + 1 < input.length) {
+        value += input[i + 1];
+        i += 2;
+        continue;
+      }
+      if (input[i] === '"') {
+        if (!value.trim()) {
+          throw new QueryParseError('Empty phrase', input, start);
+        }
+        return { value, end: i + 1 };
+      }
+      value += input[i];
+      i++;
+    }
+
+    throw new QueryParseError('Unterminated phrase', input, start);
+  }
+
+  /**
+   * Baca value setelah field: phrase, range, comparator atau word
+   */
+  readFieldValue(input, start, field) {
+    const definition = this.config.fields[field];
+    const char = input[start];
+
+    if (start >= input.length || /[\s()]/.test(char)) {
+      throw new QueryParseError(`Missing value for field '${field}'`, input, start);
+    }
+
+    if (char === '"') {
+      const { value, end } = this.readPhrase(input, start);
+      return { token: this.buildFieldValue(input, start, field, value, true), end };
+    }
+
+    if (char === '[' || char === '{') {
+      const close = input.indexOf(char === '[' ? ']' : '}', start);
+      if (close === -1) {
+        throw new QueryParseError(`Unterminated range for field '${field}'`, input, start);
+      }
+
+      const parts = input.slice(start + 1, close).trim().split(/\s+TO\s+/);
+      if (parts.length !== 2) {
+        throw new QueryParseError(`Range for field '${field}' must be [from TO to]`, input, start);
+      }
+
+      this.assertRangeField(input, start, field);
+      const inclusive = char === '[';
+      const range = {};
+      if (parts[0] !== '*') {
+        range[inclusive ? 'gte' : 'gt'] = this.parseRangeValue(input, start, field, parts[0]);
+      }
+      if (parts[1] !== '*') {
+        range[inclusive ? 'lte' : 'lt'] = this.parseRangeValue(input, start, field, parts[1]);
+      }
+
+      return { token: { kind: 'range', range }, end: close + 1 };
+    }
+
+    const end = this.readWordEnd(input, start);
+    const raw = input.slice(start, end);
+    const comparator = /^(>=|<=|>|<)(.+)$/.exec(raw);
+
+    if (comparator) {
+      this.assertRangeField(input, start, field);
+      return {
+        token: { kind: 'range', range: { [COMPARATORS[comparator[1]]]: this.parseRangeValue(input, start, field, comparator[2]) } },
+        end
+      };
+    }
+
+    // after:/before: adalah shorthand range
+    if (definition.operator) {
+      return {
+        token: { kind: 'range', range: { [definition.operator]: this.parseRangeValue(input, start, field, raw) } },
+        end
+      };
+    }
+
+    return { token: this.buildFieldValue(input, start, field, raw, false), end };
+  }
+
+  buildFieldValue(input, position, field, value, phrase) {
+    const { kind, operator } = this.config.fields[field];
+
+    if (kind === 'boolean') {
+      if (!['true', 'false'].includes(value.toLowerCase())) {
+        throw new QueryParseError(`Field '${field}' expects true or false`, input, position);
+      }
+      return { kind: 'match', value: value.toLowerCase() === 'true' };
+    }
+
+    if (kind === 'date' || kind === 'number') {
+      const parsed = this.parseRangeValue(input, position, field, value);
+      return operator
+        ? { kind: 'range', range: { [operator]: parsed } }
+        : { kind: 'match', value: parsed };
+    }
+
+    return { kind: 'match', value, phrase };
+  }
+
+  assertRangeField(input, position, field) {
+    const { kind } = this.config.fields[field];
+    if (kind !== 'date' && kind !== 'number') {
+      throw new QueryParseError(`Field '${field}' does not support ranges`, input, position);
+    }
+  }
+
+  parseRangeValue(input, position, field, value) {
+    const { kind } = this.config.fields[field];
+
+    if (kind === 'number') {
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        throw new QueryParseError(`Field '${field}' expects a number, got '${value}'`, input, position);
+      }
+      return number;
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value) || Number.isNaN(Date.parse(value))) {
+      throw new QueryParseError(`Field '${field}' expects a date (YYYY-MM-DD), got '${value}'`, input, position);
+    }
+    return value;
+  }
+
+  parseOr(state) {
+    const children = [this.parseAnd(state)];
+
+    while (this.peek(state)?.type === 'or') {
+      const operator = state.tokens[state.position++];
+      if (!this.startsOperand(this.peek(state))) {
+        throw new QueryParseError("Missing term after 'OR'", state.input, operator.start);
+      }
+      children.push(this.parseAnd(state));
+    }
+
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  parseAnd(state) {
+    const children = [this.parseUnary(state)];
+
+    for (;;) {
+      const token = this.peek(state);
+
+      if (token?.type === 'and') {
+        state.position++;
+        if (!this.startsOperand(this.peek(state))) {
+          throw new QueryParseError("Missing term after 'AND'", state.input, token.start);
+        }
+        children.push(this.parseUnary(state));
+      } else if (this.startsOperand(token)) {
+        children.push(this.parseUnary(state)); // Implicit AND
+      } else {
+        break;
+      }
+    }
+
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  parseUnary(state) {
+    const token = this.peek(state);
+
+    if (token?.type === 'not') {
+      state.position++;
+      if (!this.startsOperand(this.peek(state))) {
+        throw new QueryParseError('Missing term after negation', state.input, token.start);
+      }
+      return { type: 'not', child: this.parseUnary(state) };
+    }
+
+    return this.parsePrimary(state);
+  }
+
+  parsePrimary(state) {
+    const token = this.peek(state);
+
+    if (!token) {
+      throw new QueryParseError('Unexpected end of query', state.input, state.input.length);
+    }
+
+    state.position++;
+
+    switch (token.type) {
+      case 'lparen': {
+        if (++state.depth > this.config.maxDepth) {
+          throw new QueryParseError(`Query nesting must not exceed ${this.config.maxDepth} levels`, state.input, token.start);
+        }
+        if (this.peek(state)?.type === 'rparen') {
+          throw new QueryParseError('Empty group', state.input, token.start);
+        }
+
+        const node = this.parseOr(state);
+
+        if (this.peek(state)?.type !== 'rparen') {
+          throw new QueryParseError("Missing closing ')'", state.input, token.start);
+        }
+        state.position++;
+        state.depth--;
+        return node;
+      }
+      case 'phrase':
+        return { type: 'phrase', value: token.value };
+      case 'word':
+        return { type: 'term', value: token.value };
+      case 'field':
+        return token.kind === 'range'
+          ? { type: 'range', field: token.field, range: token.range }
+          : { type: 'field', field: token.field, value: token.value, phrase: token.phrase || false };
+      default:
+        throw new QueryParseError(`Unexpected ${token.type === 'rparen' ? "')'" : `'${token.value}'`}`, state.input, token.start);
+    }
+  }
+
+  peek(state) {
+    return state.tokens[state.position];
+  }
+
+  startsOperand(token) {
+    return Boolean(token) && ['lparen', 'phrase', 'word', 'field', 'not'].includes(token.type);
+  }
+
+  /**
+   * Compile AST ke Elasticsearch query DSL
+   * Filter (keyword, boolean, range) masuk filter context, free text ke must (scoring)
+   */
+  toElasticsearch(node) {
+    switch (node.type) {
+      case 'and': {
+        const bool = { must: [], filter: [], must_not: [] };
+
+        node.children.forEach(child => {
+          if (child.type === 'not') {
+            bool.must_not.push(this.toElasticsearch(child.child));
+          } else if (this.isFilterNode(child)) {
+            bool.filter.push(this.toElasticsearch(child));
+          } else {
+            bool.must.push(this.toElasticsearch(child));
+          }
+        });
+
+        Object.keys(bool).forEach(key => bool[key].length === 0 && delete bool[key]);
+        return { bool };
+      }
+      case 'or':
+        return {
+          bool: {
+            should: node.children.map(child => this.toElasticsearch(child)),
+            minimum_should_match: 1
+          }
+        };
+      case 'not':
+        return { bool: { must_not: [this.toElasticsearch(node.child)] } };
+      case 'term':
+        return {
+          multi_match: {
+            query: node.value,
+            fields: this.config.defaultFields,
+            type: 'best_fields'
+          }
+        };
+      case 'phrase':
+        return {
+          multi_match: {
+            query: node.value,
+            fields: this.config.defaultFields,
+            type: 'phrase'
+          }
+        };
+      case 'range':
+        return { range: { [this.config.fields[node.field].path]: node.range } };
+      case 'field': {
+        const { kind, path } = this.config.fields[node.field];
+
+        if (kind === 'text') {
+          return node.phrase
+            ? { match_phrase: { [path]: node.value } }
+            : { match: { [path]: { query: node.value, operator: 'and' } } };
+        }
+        return { term: { [path]: node.value } };
+      }
+      default:
+        throw new Error(`Unknown query node: ${node.type}`);
+    }
+  }
+
+  isFilterNode(node) {
+    if (node.type === 'range') {
+      return true;
+    }
+    return node.type === 'field' && this.config.fields[node.field].kind !== 'text';
+  }
+
+  /**
+   * Evaluate AST terhadap document in-memory
+   * @param {Object} node - AST
+   * @param {Object} document - Note atau search document
+   * @returns {boolean}
+   */
+  evaluate(node, document) {
+    switch (node.type) {
+      case 'and':
+        return node.children.every(child => this.evaluate(child, document));
+      case 'or':
+        return node.children.some(child => this.evaluate(child, document));
+      case 'not':
+        return !this.evaluate(node.child, document);
+      case 'term':
+      case 'phrase':
+        return this.getSearchText(document).includes(node.value.toLowerCase());
+      case 'range':
+        return this.getValues(document, this.config.fields[node.field].path)
+          .some(value => this.inRange(value, node.range, this.config.fields[node.field].kind));
+      case 'field': {
+        const { kind, path } = this.config.fields[node.field];
+        const values = this.getValues(document, path);
+
+        if (kind === 'text') {
+          return values.some(value => String(value).toLowerCase().includes(String(node.value).toLowerCase()));
+        }
+        if (kind === 'boolean') {
+          return values.some(value => value === node.value || String(value) === String(node.value));
+        }
+        if (kind === 'date') {
+          return values.some(value => String(value).slice(0, node.value.length) === node.value);
+        }
+        return values.some(value => String(value).toLowerCase() === String(node.value).toLowerCase());
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Fraksi free-text terms/phrases (non-negated) yang cocok, untuk ranking in-memory
+   */
+  score(node, document) {
+    const terms = this.collectTextTerms(node);
+    if (terms.length === 0) {
+      return 1;
+    }
+
+    const text = this.getSearchText(document);
+    return terms.filter(term => text.includes(term.toLowerCase())).length / terms.length;
+  }
+
+  collectTextTerms(node) {
+    switch (node.type) {
+      case 'and':
+      case 'or':
+        return node.children.flatMap(child => this.collectTextTerms(child));
+      case 'term':
+      case 'phrase':
+        return [node.value];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Terms yang di-highlight: free-text terms/phrases dan values text fields (non-negated)
+   */
+  collectHighlightTerms(node) {
+    switch (node.type) {
+      case 'and':
+      case 'or':
+        return node.children.flatMap(child => this.collectHighlightTerms(child));
+      case 'term':
+      case 'phrase':
+        return [node.value];
+      case 'field':
+        return this.config.fields[node.field]?.kind === 'text' ? [node.value] : [];
+      default:
+        return [];
+    }
+  }
+
+  getSearchText(document) {
+    const content = document.content;
+    const parts = [
+      document.title,
+      document.searchable_content,
+      document.context?.task,
+      ...(typeof content === 'object' && content !== null
+        ? [content.action, content.result, content.learning, content.solution, ...(content.errors || [])]
+        : [content])
+    ];
+
+    return parts.filter(part => typeof part === 'string').join(' ').toLowerCase();
+  }
+
+  /**
+   * Ambil values di path (dot notation), array di-flatten
+   */
+  getValues(document, path) {
+    const value = path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), document);
+
+    if (value === undefined || value === null) {
+      return [];
+    }
+    return Array.isArray(value) ? value : [value];
+  }
+
+  inRange(value, range, kind) {
+    const toComparable = input => (kind === 'date' ? new Date(input).getTime() : Number(input));
+    const actual = toComparable(value instanceof Date ? value.toISOString() : value);
+
+    if (Number.isNaN(actual)) {
+      return false;
+    }
+
+    return (range.gt === undefined || actual > toComparable(range.gt))
+      && (range.gte === undefined || actual >= toComparable(range.gte))
+      && (range.lt === undefined || actual < toComparable(range.lt))
+      && (range.lte === undefined || actual <= toComparable(range.lte));
+  }
+}
+
+/**
+ * Default parser instance
+ */
+const queryParser = new QueryParser();
+
+export default queryParser;
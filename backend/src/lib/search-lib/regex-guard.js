@@ -0,0 +1,436 @@
+/**
+ * Regex Guard - ReDoS Protection untuk User-Supplied Patterns
+ *
+ * Menolak patterns yang rawan catastrophic backtracking sebelum dijalankan (nested quantifiers,
+ * alternation yang overlap di dalam quantifier, backreferences) dan menjalankan setiap regex
+ * di vm context dengan timeout, sehingga pattern yang lolos analisis statis tetap tidak bisa
+ * menahan worker melebihi time budget search
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import vm from 'vm';
+
+const ALLOWED_FLAGS = /^[dgimsuy]*$/;
+const ASCII_SAMPLE = Array.from({ length: 128 }, (_, code) => String.fromCharCode(code));
+
+// Dijalankan di dalam vm context; input di-set sebelum setiap run
+const MATCH_SCRIPT = new vm.Script(`
+  (() => {
+    const { source, flags, text, maxMatches } = input;
+    const regex = new RegExp(source, flags.includes('g') ? flags : flags + 'g');
+    const matches = [];
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      matches.push([match.index, match[0], match.groups ? Object.assign({}, match.groups) : null]);
+      if (match[0].length === 0) regex.lastIndex++;
+      if (matches.length >= maxMatches) break;
+    }
+    return matches;
+  })()
+`);
+
+/**
+ * Error untuk pattern yang ditolak (invalid, unsafe atau terlalu mahal)
+ * Memakai name ValidationError agar routes mengembalikan 400
+ */
+export class UnsafePatternError extends Error {
+  constructor(message, pattern) {
+    super(`Unsafe pattern: ${message}`);
+    this.name = 'ValidationError';
+    this.status = 400;
+    this.details = [{
+      field: 'pattern',
+      message,
+      value: pattern
+    }];
+  }
+}
+
+/**
+ * Parse regex source ke AST sederhana
+ * Source harus sudah valid (di-compile dengan RegExp terlebih dahulu)
+ *
+ * Nodes: { type: 'alt', branches: [[item]] }, item = { atom, min, max }
+ * Atoms: char, class, shorthand, any, assert, backref, group ({ alt, lookaround })
+ */
+export function parseRegex(source) {
+  let position = 0;
+
+  const peek = () => source[position];
+
+  const parseAlternation = () => {
+    const branches = [parseSequence()];
+    while (peek() === '|') {
+      position++;
+      branches.push(parseSequence());
+    }
+    return { type: 'alt', branches };
+  };
+
+  const parseSequence = () => {
+    const items = [];
+    while (position < source.length && peek() !== '|' && peek() !== ')') {
+      const atom = parseAtom();
+      items.push({ atom, ...parseQuantifier() });
+    }
+    return items;
+  };
+
+  const parseAtom = () => {
+    const char = source[position++];
+
+    if (char === '(') {
+      let lookaround = false;
+      if (source.startsWith('?:', position)) {
+        position += 2;
+      } else if (source.startsWith('?=', position) || source.startsWith('?!', position)) {
+        position += 2;
+        lookaround = true;
+      } else if (source.startsWith('?<=', position) || source.startsWith('?<!', position)) {
+        position += 3;
+        lookaround = true;
+      } else if (source.startsWith('?<', position)) {
+        position = source.indexOf('>', position) + 1;
+      }
+      const alt = parseAlternation();
+      position++; // ')'
+      return { type: 'group', alt, lookaround };
+    }
+
+    if (char === '[') {
+      return parseClass();
+    }
+
+    if (char === '\\') {
+      return parseEscape();
+    }
+
+    if (char === '.') {
+      return { type: 'any' };
+    }
+
+    if (char === '^' || char === '$') {
+      return { type: 'assert' };
+    }
+
+    return { type: 'char', value: char };
+  };
+
+  const parseEscape = () => {
+    const char = source[position++];
+
+    if (/[1-9]/.test(char)) {
+      while (/\d/.test(peek())) position++;
+      return { type: 'backref' };
+    }
+    if (char === 'k' && peek() === '<') {
+      position = source.indexOf('>', position) + 1;
+      return { type: 'backref' };
+    }
+    if ('dDwWsS'.includes(char)) {
+      return { type: 'shorthand', value: `\\${char}` };
+    }
+    if (char === 'b' || char === 'B') {
+      return { type: 'assert' };
+    }
+    if ((char === 'p' || char === 'P') && peek() === '{') {
+      const end = source.indexOf('}', position) + 1;
+      const value = `\\${char}${source.slice(position, end)}`;
+      position = end;
+      return { type: 'shorthand', value };
+    }
+    if (char === 'x') {
+      position += 2;
+      return { type: 'char', value: String.fromCharCode(parseInt(source.slice(position - 2, position), 16)) };
+    }
+    if (char === 'u') {
+      const end = peek() === '{' ? source.indexOf('}', position) + 1 : position + 4;
+      const hex = source.slice(position, end).replace(/[{}]/g, '');
+      position = end;
+      return { type: 'char', value: String.fromCodePoint(parseInt(hex, 16)) };
+    }
+    if (char === 'c') {
+      position++;
+      return { type: 'char', value: '\u0000' };
+    }
+
+    const controls = { n: '\n', r: '\r', t: '\t', f: '\f', v: '\v', 0: '\u0000' };
+    return { type: 'char', value: controls[char] ?? char };
+  };
+
+  const parseClass = () => {
+    const start = position - 1;
+    const negated = peek() === '^';
+    if (negated) position++;
+
+    const members = [];
+    while (position < source.length && peek() !== ']') {
+      let from = source[position++];
+      if (from === '\\') {
+        const escaped = source[position++];
+        if ('dDwWsSpP'.includes(escaped)) {
+          if ('pP'.includes(escaped) && peek() === '{') {
+            position = source.indexOf('}', position) + 1;
+          }
+          members.push({ shorthand: escaped });
+          continue;
+        }
+        from = escaped;
+      }
+
+      if (peek() === '-' && source[position + 1] !== ']' && source[position + 1] !== undefined) {
+        position++;
+        let to = source[position++];
+        if (to === '\\') {
+          to = source[position++];
+        }
+        members.push({ from, to });
+      } else {
+        members.push({ from, to: from });
+      }
+    }
+    position++; // ']'
+
+    return { type: 'class', raw: source.slice(start, position), negated, members };
+  };
+
+  const parseQuantifier = () => {
+    let min = 1;
+    let max = 1;
+    const char = peek();
+
+    if (char === '*' || char === '+' || char === '?') {
+      position++;
+      min = char === '+' ? 1 : 0;
+      max = char === '?' ? 1 : Infinity;
+    } else if (char === '{') {
+      const match = source.slice(position).match(/^\{(\d+)(,(\d*))?\}/);
+      if (!match) {
+        return { min, max };
+      }
+      position += match[0].length;
+      min = parseInt(match[1]);
+      max = match[2] === undefined ? min : (match[3] === '' ? Infinity : parseInt(match[3]));
+    } else {
+      return { min, max };
+    }
+
+    // Lazy modifier tidak mengubah bahasa yang di-match
+    if (peek() === '?') {
+      position++;
+    }
+
+    return { min, max };
+  };
+
+  return parseAlternation();
+}
+
+/**
+ * Regex Guard Class
+ */
+export class RegexGuard {
+  constructor(config = {}) {
+    this.config = {
+      maxPatternLength: 500,
+      timeBudgetMs: 2000,
+      documentTimeoutMs: 100,
+      maxMatchesPerDocument: 100,
+      // Quantifier dengan batas atas >= nilai ini diperlakukan seperti unbounded
+      largeRepetition: 100,
+      ...config
+    };
+
+    this.context = vm.createContext({ input: null });
+  }
+
+  /**
+   * Validasi pattern dan kembalikan RegExp yang sudah di-compile
+   * @throws {UnsafePatternError} Pattern invalid atau rawan ReDoS
+   */
+  compile(source, flags = 'gi') {
+    if (typeof source !== 'string' || source.length === 0) {
+      throw new UnsafePatternError('Pattern must be a non-empty string', source);
+    }
+    if (source.length > this.config.maxPatternLength) {
+      throw new UnsafePatternError(`Pattern must not exceed ${this.config.maxPatternLength} characters`, source);
+    }
+    if (!ALLOWED_FLAGS.test(flags)) {
+      throw new UnsafePatternError(`Invalid regex flags: ${flags}`, source);
+    }
+
+    let regex;
+    try {
+      regex = new RegExp(source, flags);
+    } catch (error) {
+      throw new UnsafePatternError(`Invalid regex pattern - ${error.message}`, source);
+    }
+
+    const problem = this.findUnsafeConstruct(parseRegex(source), flags);
+    if (problem) {
+      throw new UnsafePatternError(problem, source);
+    }
+
+    return regex;
+  }
+
+  /**
+   * Time budget untuk satu search
+   * @returns {Object} { deadline, exhausted, scanned }
+   */
+  createBudget(timeBudgetMs = this.config.timeBudgetMs) {
+    return {
+      deadline: Date.now() + timeBudgetMs,
+      exhausted: false,
+      scanned: 0
+    };
+  }
+
+  /**
+   * Cek sisa budget, tandai exhausted jika habis
+   */
+  hasTime(budget) {
+    if (!budget.exhausted && Date.now() >= budget.deadline) {
+      budget.exhausted = true;
+    }
+    return !budget.exhausted;
+  }
+
+  /**
+   * Jalankan regex terhadap text dengan timeout
+   * Timeout per document berarti pattern terlalu mahal (error); habisnya budget search
+   * hanya menandai budget exhausted agar search mengembalikan partial results
+   * @returns {Array|null} [{ index, text, groups }] atau null jika budget habis
+   */
+  exec(regex, text, budget) {
+    const remaining = budget.deadline - Date.now();
+    if (remaining <= 0) {
+      budget.exhausted = true;
+      return null;
+    }
+
+    const timeout = Math.max(1, Math.min(this.config.documentTimeoutMs, remaining));
+    this.context.input = {
+      source: regex.source,
+      flags: regex.flags,
+      text,
+      maxMatches: this.config.maxMatchesPerDocument
+    };
+
+    try {
+      const matches = MATCH_SCRIPT.runInContext(this.context, { timeout });
+      return matches.map(([index, matchText, groups]) => ({ index, text: matchText, groups: groups || [] }));
+    } catch (error) {
+      if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        throw error;
+      }
+      if (timeout < this.config.documentTimeoutMs) {
+        budget.exhausted = true;
+        return null;
+      }
+      throw new UnsafePatternError(`Pattern exceeded the ${this.config.documentTimeoutMs}ms matching time limit`, regex.source);
+    } finally {
+      this.context.input = null;
+    }
+  }
+
+  /**
+   * Analisis statis: nested unbounded quantifiers, alternation overlap di dalam
+   * unbounded quantifier dan backreferences
+   * @returns {string|null} Alasan penolakan
+   */
+  findUnsafeConstruct(alt, flags) {
+    for (const branch of alt.branches) {
+      for (const item of branch) {
+        const { atom } = item;
+
+        if (atom.type === 'backref') {
+          return 'Backreferences are not supported';
+        }
+
+        if (atom.type !== 'group') {
+          continue;
+        }
+
+        if (this.isRepeated(item)) {
+          if (this.containsRepetition(atom.alt)) {
+            return 'Nested quantifiers (e.g. (a+)+) can cause catastrophic backtracking';
+          }
+          if (this.hasOverlappingBranches(atom.alt, flags)) {
+            return 'Repeated alternation with overlapping branches (e.g. (a|ab)*) can cause catastrophic backtracking';
+          }
+        }
+
+        const nested = this.findUnsafeConstruct(atom.alt, flags);
+        if (nested) {
+          return nested;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  isRepeated(item) {
+    return item.max === Infinity || item.max >= this.config.largeRepetition;
+  }
+
+  containsRepetition(alt) {
+    return alt.branches.some(branch => branch.some(item =>
+      this.isRepeated(item) || (item.atom.type === 'group' && this.containsRepetition(item.atom.alt))
+    ));
+  }
+
+  /**
+   * Branches overlap jika karakter pertama yang mungkin sama (diuji pada ASCII)
+   */
+  hasOverlappingBranches(alt, flags) {
+    if (alt.branches.length < 2) {
+      return false;
+    }
+
+    const firstSets = alt.branches.map(branch => this.getFirstCharacters(branch, flags));
+    for (let i = 0; i < firstSets.length; i++) {
+      for (let j = i + 1; j < firstSets.length; j++) {
+        if (firstSets[i].some(char => firstSets[j].includes(char))) {
+          return true;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Karakter ASCII yang bisa mengawali branch
+   */
+  getFirstCharacters(branch, flags) {
+    const testerFlags = flags.replace(/[^iu]/g, '');
+
+    for (const { atom, min } of branch) {
+      if (atom.type === 'assert' || (atom.type === 'group' && atom.lookaround)) {
+        continue;
+      }
+
+      let tester;
+      if (atom.type === 'char') {
+        tester = new RegExp(`^${atom.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, testerFlags);
+      } else if (atom.type === 'class' || atom.type === 'shorthand') {
+        tester = new RegExp(`^${atom.raw || atom.value}$`, testerFlags);
+      } else {
+        // Any, group: anggap bisa diawali karakter apa saja
+        return ASCII_SAMPLE;
+      }
+
+      const characters = ASCII_SAMPLE.filter(char => tester.test(char));
+      // Atom optional: branch juga bisa diawali atom berikutnya
+      return min === 0 ? ASCII_SAMPLE : characters;
+    }
+
+    return ASCII_SAMPLE;
+  }
+}
+
+export default RegexGuard;
@@ -3,27 +3,50 @@
  * 
  * Menyediakan semantic search menggunakan vector embeddings
  * Mendukung cosine similarity, vector databases, dan semantic ranking
+ * Vectors disimpan di HNSW index per user partition (lihat hnsw-index.js)
  * 
  * @author MCP Server Team
  * @version 1.0.0
  */
 
+import { readFile, readdir, mkdir, unlink } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import HnswIndex, { writeFileAtomic } from './hnsw-index.js';
+import { extractFeatures } from './ltr.js';
+import { SnippetExtractor, DOCUMENT_SNIPPET_FIELDS } from './snippets.js';
+
+// Partition untuk documents tanpa userId
+const GLOBAL_PARTITION = '_global';
+const INDEX_FILE_EXTENSION = '.hnsw';
+const DOCUMENTS_FILE = 'documents.json';
+
 /**
  * Semantic Search Class
  */
 export default class SemanticSearch {
   constructor(config = {}) {
     this.config = {
-      embeddingDimensions: config.embeddingDimensions || 1536,
+      embeddingDimensions: config.embeddingDimensions || parseInt(process.env.EMBEDDING_DIMENSIONS) || 768,
       similarityThreshold: config.similarityThreshold || 0.7,
       maxResults: config.maxResults || 50,
       enableReranking: config.enableReranking !== false,
       rerankingModel: config.rerankingModel || 'cosine',
       enableHybridSearch: config.enableHybridSearch !== false,
       hybridWeight: config.hybridWeight || 0.7, // Weight untuk semantic vs text search
+      enableAnnIndex: config.enableAnnIndex !== false,
+      indexPath: config.indexPath || process.env.SEMANTIC_INDEX_PATH || null,
+      hnsw: {
+        M: 16,
+        efConstruction: 100,
+        efSearch: 64,
+        ...config.hnsw
+      },
       ...config
     };
 
+    this.snippets = new SnippetExtractor({ fields: DOCUMENT_SNIPPET_FIELDS, ...this.config.snippets });
+
     this.statistics = {
       totalSearches: 0,
       averageSearchTime: 0,
@@ -32,13 +55,23 @@ export default class SemanticSearch {
       startTime: Date.now()
     };
 
-    // Vector index untuk efficient similarity search
+    // Vector index untuk efficient similarity search (partition → HnswIndex)
     this.vectorIndex = new Map();
     this.documentVectors = new Map();
+    this.indexDirty = false;
+    // Compaction partitions yang terjadwal/berjalan (partition → Promise)
+    this.compactions = new Map();
     
     // Initialize embedding generator jika tersedia
     this.embeddingGenerator = null;
     this.initializeEmbeddingGenerator();
+
+    // Reload persisted index jika ada
+    this.indexReady = this.config.indexPath && existsSync(this.config.indexPath)
+      ? this.loadIndex(this.config.indexPath).catch(error => {
+        console.warn('⚠️ Failed to load semantic index:', error.message);
+      })
+      : Promise.resolve();
   }
 
   /**
@@ -125,9 +158,60 @@ export default class SemanticSearch {
   }
 
   /**
-   * Vector similarity search
+   * Vector similarity search menggunakan HNSW index per partition
    */
   async vectorSimilaritySearch(queryEmbedding, options = {}) {
+    await this.indexReady;
+
+    if (!this.config.enableAnnIndex) {
+      return this.exactSimilaritySearch(queryEmbedding, options);
+    }
+
+    const {
+      limit = this.config.maxResults,
+      threshold = this.config.similarityThreshold,
+      userId = null,
+      filters = {},
+      ef = null
+    } = options;
+
+    const partitions = userId
+      ? [this.vectorIndex.get(userId)].filter(Boolean)
+      : Array.from(this.vectorIndex.values());
+
+    // Over-fetch jika ada filters karena filter diterapkan setelah ANN search
+    const hasFilters = Object.keys(filters).length > 0;
+    const candidateCount = hasFilters ? limit * 4 : limit;
+    const results = [];
+
+    partitions.forEach(index => {
+      const neighbours = index.search(queryEmbedding, candidateCount, {
+        ef: ef || Math.max(this.config.hnsw.efSearch, candidateCount),
+        filter: hasFilters ? id => this.passesFilters(this.documentVectors.get(id), filters) : null
+      });
+
+      this.statistics.totalSimilarityCalculations += neighbours.length;
+
+      neighbours.forEach(({ id, similarity }) => {
+        if (similarity >= threshold) {
+          results.push({
+            ...this.documentVectors.get(id),
+            similarity,
+            score: similarity
+          });
+        }
+      });
+    });
+
+    return results
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+
+  /**
+   * Exact similarity search (linear scan), dipakai sebagai baseline recall
+   */
+  async exactSimilaritySearch(queryEmbedding, options = {}) {
     const {
       limit = this.config.maxResults,
       threshold = this.config.similarityThreshold,
@@ -177,7 +261,9 @@ export default class SemanticSearch {
    * Rerank results menggunakan advanced scoring
    */
   async rerankResults(results, query, options) {
-    const rerankingModel = options.rerankingModel || this.config.rerankingModel;
+    // Trained ranking model (per tenant) otomatis memakai learning_to_rank
+    const rerankingModel = options.rerankingModel
+      || (options.rankingModel ? 'learning_to_rank' : this.config.rerankingModel);
 
     switch (rerankingModel) {
       case 'cosine':
@@ -207,6 +293,7 @@ export default class SemanticSearch {
    */
   async hybridReranking(results, query, options) {
     const textQuery = query.text || '';
+    const hybridWeight = this.resolveHybridWeight(options);
     
     return results.map(result => {
       const semanticScore = result.similarity;
@@ -214,8 +301,8 @@ export default class SemanticSearch {
       
       // Weighted combination
       const hybridScore = (
-        this.config.hybridWeight * semanticScore +
-        (1 - this.config.hybridWeight) * textScore
+        hybridWeight * semanticScore +
+        (1 - hybridWeight) * textScore
       );
 
       return {
@@ -231,9 +318,44 @@ export default class SemanticSearch {
   }
 
   /**
-   * Learning-to-rank reranking (simplified version)
+   * Hybrid weight per query: options.hybridWeight, atau rasio semantic/bm25
+   * dari fusion weights, fallback ke config global
+   */
+  resolveHybridWeight(options = {}) {
+    if (typeof options.hybridWeight === 'number') {
+      return options.hybridWeight;
+    }
+
+    const weights = options.fusion?.weights;
+    if (weights && typeof weights.semantic === 'number' && typeof weights.bm25 === 'number') {
+      const total = weights.semantic + weights.bm25;
+      return total > 0 ? weights.semantic / total : this.config.hybridWeight;
+    }
+
+    return this.config.hybridWeight;
+  }
+
+  /**
+   * Learning-to-rank reranking
+   * Memakai trained PairwiseRanker dari options.rankingModel jika ada,
+   * fallback ke fixed weights
    */
   async learningToRankReranking(results, query, options) {
+    const { rankingModel } = options;
+
+    if (rankingModel) {
+      return results.map(result => {
+        const rankingFeatures = extractFeatures(result, query.text);
+
+        return {
+          ...result,
+          score: rankingModel.score(rankingFeatures),
+          rankingFeatures,
+          rankingModelVersion: rankingModel.version
+        };
+      }).sort((a, b) => b.score - a.score);
+    }
+
     return results.map(result => {
       const features = this.extractRankingFeatures(result, query);
       const score = this.calculateLearningToRankScore(features);
@@ -445,9 +567,9 @@ export default class SemanticSearch {
       userId: result.userId,
       createdAt: result.createdAt,
       updatedAt: result.updatedAt,
-      // Add highlight jika diminta
+      // Snippets (fragment windows dengan offsets) jika diminta
       ...(options.includeHighlight && {
-        highlight: this.generateSemanticHighlight(result, query)
+        snippets: this.generateSemanticSnippets(result, query, options)
       }),
       // Add ranking info
       rankingInfo: {
@@ -459,48 +581,20 @@ export default class SemanticSearch {
   }
 
   /**
-   * Generate highlight untuk semantic results
+   * Generate snippets untuk semantic results berdasarkan query terms
    */
-  generateSemanticHighlight(result, query) {
-    // Simple highlighting based on query terms
-    if (!query.text) return null;
+  generateSemanticSnippets(result, query, options = {}) {
+    if (!query.text) return [];
 
-    const queryWords = query.text.toLowerCase().split(/\s+/);
-    const highlight = {};
-
-    // Highlight title
-    if (result.title) {
-      highlight.title = this.highlightText(result.title, queryWords);
-    }
-
-    // Highlight content (first few sentences)
-    if (result.content) {
-      const sentences = result.content.split(/[.!?]+/).slice(0, 3);
-      const highlightedSentences = sentences.map(sentence => 
-        this.highlightText(sentence.trim(), queryWords)
-      );
-      highlight.content = highlightedSentences.filter(s => s.includes('<em>'));
-    }
-
-    return highlight;
-  }
-
-  /**
-   * Highlight text dengan query terms
-   */
-  highlightText(text, queryWords) {
-    let highlighted = text;
-    queryWords.forEach(word => {
-      const regex = new RegExp(`\\b${word}\\b`, 'gi');
-      highlighted = highlighted.replace(regex, `<em>$&</em>`);
-    });
-    return highlighted;
+    return this.snippets.fromTerms(result, query.text.split(/\s+/), options.highlight);
   }
 
   /**
    * Index document untuk semantic search
    */
   async indexDocument(document) {
+    await this.indexReady;
+
     const { id, embedding, ...metadata } = document;
     
     if (!embedding || !Array.isArray(embedding)) {
@@ -511,11 +605,22 @@ export default class SemanticSearch {
       throw new Error(`Embedding must have ${this.config.embeddingDimensions} dimensions`);
     }
 
+    // Document yang pindah user harus keluar dari partition lama
+    const existing = this.documentVectors.get(id);
+    if (existing && this.getPartitionKey(existing) !== this.getPartitionKey(metadata)) {
+      this.vectorIndex.get(this.getPartitionKey(existing))?.remove(id);
+      this.scheduleCompaction(this.getPartitionKey(existing));
+    }
+
+    this.getPartition(this.getPartitionKey(metadata)).add(id, embedding);
+    this.scheduleCompaction(this.getPartitionKey(metadata));
+
     this.documentVectors.set(id, {
       id,
       embedding,
       ...metadata
     });
+    this.indexDirty = true;
 
     return true;
   }
@@ -524,6 +629,15 @@ export default class SemanticSearch {
    * Remove document dari index
    */
   removeDocument(documentId) {
+    const existing = this.documentVectors.get(documentId);
+    if (!existing) {
+      return false;
+    }
+
+    this.vectorIndex.get(this.getPartitionKey(existing))?.remove(documentId);
+    this.scheduleCompaction(this.getPartitionKey(existing));
+    this.indexDirty = true;
+
     return this.documentVectors.delete(documentId);
   }
 
@@ -537,11 +651,191 @@ export default class SemanticSearch {
     }
 
     const updated = { ...existing, ...updates };
+
+    // Re-index vector jika embedding atau partition berubah
+    if (updates.embedding || this.getPartitionKey(existing) !== this.getPartitionKey(updated)) {
+      return await this.indexDocument(updated);
+    }
+
     this.documentVectors.set(documentId, updated);
+    this.indexDirty = true;
     
     return true;
   }
 
+  /**
+   * Partition key untuk document (per user)
+   */
+  getPartitionKey(document) {
+    return document.userId || GLOBAL_PARTITION;
+  }
+
+  /**
+   * Get atau buat HNSW index untuk partition
+   */
+  getPartition(partitionKey) {
+    if (!this.vectorIndex.has(partitionKey)) {
+      this.vectorIndex.set(partitionKey, new HnswIndex({
+        dimensions: this.config.embeddingDimensions,
+        ...this.config.hnsw
+      }));
+    }
+    return this.vectorIndex.get(partitionKey);
+  }
+
+  /**
+   * Jadwalkan compaction partition yang tombstone-nya melewati threshold
+   * Berjalan setelah request saat ini (setImmediate) dan bertahap (HnswIndex.compactAsync)
+   */
+  scheduleCompaction(partitionKey) {
+    const index = this.vectorIndex.get(partitionKey);
+    if (!index || !index.needsCompaction() || this.compactions.has(partitionKey)) {
+      return;
+    }
+
+    const compaction = new Promise(resolve => setImmediate(resolve))
+      .then(() => (this.vectorIndex.get(partitionKey) === index ? index.compactAsync() : null))
+      .catch(error => {
+        console.warn(`⚠️ Failed to compact semantic index partition ${partitionKey}:`, error.message);
+      })
+      .finally(() => {
+        this.compactions.delete(partitionKey);
+      });
+
+    this.compactions.set(partitionKey, compaction);
+  }
+
+  /**
+   * Persist semua partitions dan document metadata ke disk
+   * @param {string} indexPath - Directory tujuan
+   */
+  async saveIndex(indexPath = this.config.indexPath) {
+    if (!indexPath) {
+      throw new Error('No index path configured');
+    }
+
+    await mkdir(indexPath, { recursive: true });
+
+    // Hapus partition files yang sudah tidak ada
+    const existingFiles = (await readdir(indexPath)).filter(file => file.endsWith(INDEX_FILE_EXTENSION));
+    const partitionFiles = new Set();
+
+    for (const [partitionKey, index] of this.vectorIndex.entries()) {
+      const fileName = `${encodeURIComponent(partitionKey)}${INDEX_FILE_EXTENSION}`;
+      partitionFiles.add(fileName);
+      await index.save(join(indexPath, fileName));
+    }
+
+    for (const file of existingFiles) {
+      if (!partitionFiles.has(file)) {
+        await unlink(join(indexPath, file));
+      }
+    }
+
+    // Embedding disimpan di partition files, metadata di documents.json
+    const documents = Array.from(this.documentVectors.values()).map(document => {
+      const metadata = { ...document };
+      delete metadata.embedding;
+      return metadata;
+    });
+    await writeFileAtomic(join(indexPath, DOCUMENTS_FILE), JSON.stringify(documents));
+
+    this.indexDirty = false;
+
+    return {
+      path: indexPath,
+      partitions: this.vectorIndex.size,
+      documents: documents.length
+    };
+  }
+
+  /**
+   * Load partitions dan document metadata dari disk
+   * @param {string} indexPath - Directory sumber
+   */
+  async loadIndex(indexPath = this.config.indexPath) {
+    const files = (await readdir(indexPath)).filter(file => file.endsWith(INDEX_FILE_EXTENSION));
+    const vectorIndex = new Map();
+
+    for (const file of files) {
+      const partitionKey = decodeURIComponent(file.slice(0, -INDEX_FILE_EXTENSION.length));
+      const index = await HnswIndex.load(join(indexPath, file));
+
+      if (index.config.dimensions !== this.config.embeddingDimensions) {
+        throw new Error(`Index partition ${partitionKey} has ${index.config.dimensions} dimensions, expected ${this.config.embeddingDimensions}`);
+      }
+
+      vectorIndex.set(partitionKey, index);
+    }
+
+    const documentsFile = join(indexPath, DOCUMENTS_FILE);
+    const documents = existsSync(documentsFile) ? JSON.parse(await readFile(documentsFile, 'utf8')) : [];
+    const documentVectors = new Map();
+
+    documents.forEach(document => {
+      const vector = vectorIndex.get(this.getPartitionKey(document))?.getVector(document.id);
+      if (vector) {
+        documentVectors.set(document.id, { ...document, embedding: Array.from(vector) });
+      }
+    });
+
+    this.vectorIndex = vectorIndex;
+    this.documentVectors = documentVectors;
+    this.indexDirty = false;
+
+    return {
+      path: indexPath,
+      partitions: vectorIndex.size,
+      documents: documentVectors.size
+    };
+  }
+
+  /**
+   * Bandingkan hasil ANN index dengan exact scan
+   * @param {Object} options - { queries, k, noise, ef }
+   * @returns {Object} Recall@k dan rata-rata waktu search
+   */
+  async measureRecall(options = {}) {
+    const { queries = 20, k = 10, noise = 0.05, ef = null } = options;
+    const documents = this.getAllDocuments();
+
+    if (documents.length === 0) {
+      return { recall: null, queries: 0, k };
+    }
+
+    let matched = 0;
+    let expected = 0;
+    let annTime = 0;
+    let exactTime = 0;
+
+    for (let i = 0; i < queries; i++) {
+      // Query = document acak + noise, dicari di partition milik document tersebut
+      const document = documents[Math.floor(Math.random() * documents.length)];
+      const queryEmbedding = document.embedding.map(value => value + (Math.random() - 0.5) * noise);
+      const searchOptions = { limit: k, threshold: -1, userId: document.userId || null, ef };
+
+      let start = process.hrtime.bigint();
+      const annResults = await this.vectorSimilaritySearch(queryEmbedding, searchOptions);
+      annTime += Number(process.hrtime.bigint() - start) / 1e6;
+
+      start = process.hrtime.bigint();
+      const exactResults = await this.exactSimilaritySearch(queryEmbedding, searchOptions);
+      exactTime += Number(process.hrtime.bigint() - start) / 1e6;
+
+      const annIds = new Set(annResults.map(result => result.id));
+      matched += exactResults.filter(result => annIds.has(result.id)).length;
+      expected += exactResults.length;
+    }
+
+    return {
+      recall: expected > 0 ? matched / expected : null,
+      queries,
+      k,
+      averageAnnTimeMs: annTime / queries,
+      averageExactTimeMs: exactTime / queries
+    };
+  }
+
   /**
    * Get document dari index
    */
@@ -591,6 +885,10 @@ export default class SemanticSearch {
       ...this.statistics,
       uptime,
       documentsIndexed: this.documentVectors.size,
+      partitions: Array.from(this.vectorIndex.entries()).map(([partition, index]) => ({
+        partition,
+        ...index.getStatistics()
+      })),
       searchesPerMinute: this.statistics.totalSearches / (uptime / 1000 / 60),
       similarityCalculationsPerSearch: this.statistics.totalSimilarityCalculations / Math.max(this.statistics.totalSearches, 1),
       config: this.config
@@ -603,6 +901,18 @@ export default class SemanticSearch {
   clearIndex() {
     this.documentVectors.clear();
     this.vectorIndex.clear();
+    this.indexDirty = true;
+  }
+
+  /**
+   * Persist index jika ada perubahan dan indexPath dikonfigurasi
+   */
+  async close() {
+    await Promise.all(this.compactions.values());
+
+    if (this.config.indexPath && this.indexDirty) {
+      await this.saveIndex(this.config.indexPath);
+    }
   }
 
   /**
@@ -0,0 +1,145 @@
+/**
+ * Similarity Graph
+ *
+ * Membangun graph note-to-note dari embeddings: edges berbobot cosine similarity di atas
+ * threshold, dibatasi top-k per node, lalu connected components sebagai clusters.
+ * Vectors dari embedding model berbeda tidak dibandingkan
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+/**
+ * Cosine similarity dua vectors
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Similarity Graph Class
+ */
+export class SimilarityGraph {
+  constructor(config = {}) {
+    this.config = {
+      threshold: 0.8,
+      maxEdgesPerNode: 10,
+      ...config
+    };
+  }
+
+  /**
+   * Build edges dan clusters
+   * @param {Array} items - [{ id, vector, model }]
+   * @param {Object} options - { threshold, maxEdgesPerNode }
+   * @returns {Object} { edges: [{ source, target, weight }], clusters: [[id, ...]] }
+   */
+  build(items, options = {}) {
+    const threshold = options.threshold ?? this.config.threshold;
+    const maxEdgesPerNode = options.maxEdgesPerNode ?? this.config.maxEdgesPerNode;
+
+    const candidates = [];
+    for (let i = 0; i < items.length; i++) {
+      for (let j = i + 1; j < items.length; j++) {
+        const a = items[i];
+        const b = items[j];
+
+        if (a.model !== b.model || a.vector.length !== b.vector.length) {
+          continue;
+        }
+
+        const weight = cosineSimilarity(a.vector, b.vector);
+        if (weight >= threshold) {
+          candidates.push({ source: a.id, target: b.id, weight });
+        }
+      }
+    }
+
+    // Edge dipertahankan jika termasuk top-k salah satu endpoint
+    const kept = new Set();
+    const byNode = new Map();
+    candidates.forEach((edge, index) => {
+      [edge.source, edge.target].forEach(id => {
+        if (!byNode.has(id)) {
+          byNode.set(id, []);
+        }
+        byNode.get(id).push(index);
+      });
+    });
+
+    byNode.forEach(indices => {
+      indices
+        .sort((x, y) => candidates[y].weight - candidates[x].weight)
+        .slice(0, maxEdgesPerNode)
+        .forEach(index => kept.add(index));
+    });
+
+    const edges = candidates
+      .filter((edge, index) => kept.has(index))
+      .sort((x, y) => y.weight - x.weight);
+
+    return {
+      edges,
+      clusters: this.connectedComponents(items.map(item => item.id), edges)
+    };
+  }
+
+  /**
+   * Connected components (union-find), hanya components dengan minimal 2 nodes
+   * @returns {Array} Clusters terbesar dulu
+   */
+  connectedComponents(ids, edges) {
+    const parent = new Map(ids.map(id => [id, id]));
+
+    const find = id => {
+      let root = id;
+      while (parent.get(root) !== root) {
+        root = parent.get(root);
+      }
+      // Path compression
+      let current = id;
+      while (parent.get(current) !== root) {
+        const next = parent.get(current);
+        parent.set(current, root);
+        current = next;
+      }
+      return root;
+    };
+
+    edges.forEach(({ source, target }) => {
+      const rootA = find(source);
+      const rootB = find(target);
+      if (rootA !== rootB) {
+        parent.set(rootB, rootA);
+      }
+    });
+
+    const components = new Map();
+    ids.forEach(id => {
+      const root = find(id);
+      if (!components.has(root)) {
+        components.set(root, []);
+      }
+      components.get(root).push(id);
+    });
+
+    return Array.from(components.values())
+      .filter(component => component.length > 1)
+      .sort((a, b) => b.length - a.length);
+  }
+}
+
+export default SimilarityGraph;
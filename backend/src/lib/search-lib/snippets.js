@@ -0,0 +1,422 @@
+/**
+ * Snippets - Highlighting dan Snippet Extraction
+ *
+ * Menghasilkan fragment windows dengan character offsets dan highlighted text untuk semua
+ * search modes: query terms (semantic, fallback), Elasticsearch highlight (full-text) dan
+ * match ranges (regex, fuzzy, literal). Semua results memakai shape yang sama:
+ * [{ field, text, highlighted, start, end, matches: [{ start, end }] }] dengan offsets
+ * relatif terhadap value field (array value memakai field `name[index]`). `text` adalah plain text,
+ * `highlighted` di-escape sebagai HTML dan hanya tags yang berupa markup
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+/**
+ * Fields untuk note documents
+ */
+export const NOTE_SNIPPET_FIELDS = [
+  'context.task',
+  'content.action',
+  'content.result',
+  'content.learning',
+  'content.solution',
+  'content.errors'
+];
+
+/**
+ * Fields untuk knowledge documents
+ */
+export const KNOWLEDGE_SNIPPET_FIELDS = ['title', 'summary', 'searchable_text'];
+
+/**
+ * Fields untuk generic search-lib documents (title/content/summary)
+ */
+export const DOCUMENT_SNIPPET_FIELDS = ['title', 'content', 'summary'];
+
+const WORD_CHARACTER = '[\\p{L}\\p{N}_]';
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#x27;',
+  '/': '&#x2F;'
+};
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+};
+
+/**
+ * Escape text sebagai HTML, karakter yang sama dengan encoder `html` Elasticsearch
+ */
+const escapeHtml = (text) => text.replace(/[&<>"'/]/g, character => HTML_ESCAPES[character]);
+
+/**
+ * Kebalikan escapeHtml, termasuk numeric entities yang dihasilkan encoder `html` untuk non-ASCII
+ */
+const unescapeHtml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const codePoint = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+  }
+  return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+/**
+ * Snippet Extractor Class
+ */
+export class SnippetExtractor {
+  constructor(config = {}) {
+    this.config = {
+      fragmentSize: 150,
+      maxFragments: 3,
+      preTag: '<em>',
+      postTag: '</em>',
+      fields: DOCUMENT_SNIPPET_FIELDS,
+      ...config
+    };
+  }
+
+  /**
+   * Gabungkan config dengan request options (snake_case dari API)
+   * @param {Object} options - { fragment_size, number_of_fragments, pre_tag, post_tag, fields }
+   */
+  resolveOptions(options = {}) {
+    return {
+      fragmentSize: options.fragment_size || options.fragmentSize || this.config.fragmentSize,
+      maxFragments: options.number_of_fragments || options.maxFragments || this.config.maxFragments,
+      preTag: options.pre_tag ?? options.preTag ?? this.config.preTag,
+      postTag: options.post_tag ?? options.postTag ?? this.config.postTag,
+      fields: options.fields || this.config.fields
+    };
+  }
+
+  /**
+   * Fields berdasarkan shape document: note (content object) atau generic document
+   */
+  fieldsFor(document) {
+    return typeof document?.content === 'object' && document.content !== null
+      ? NOTE_SNIPPET_FIELDS
+      : this.config.fields;
+  }
+
+  /**
+   * Snippets dari query terms (semantic results dan fallback)
+   * @param {Object} document - Document/note
+   * @param {Array} terms - Terms atau phrases
+   * @returns {Array} Snippets, fragment dengan matches terbanyak dulu
+   */
+  fromTerms(document, terms, options = {}) {
+    const settings = this.resolveOptions(options);
+    const cleanTerms = [...new Set((terms || []).map(term => String(term).trim()).filter(Boolean))];
+
+    if (cleanTerms.length === 0) {
+      return [];
+    }
+
+    return this.collect(document, settings, text => this.findTermRanges(text, cleanTerms));
+  }
+
+  /**
+   * Snippets dari match ranges yang sudah diketahui (regex, fuzzy, literal)
+   * @param {Object} document - Document/note
+   * @param {Array} matches - [{ field, start, end }] dengan offsets relatif terhadap field
+   */
+  fromMatches(document, matches, options = {}) {
+    const settings = this.resolveOptions(options);
+    const byField = new Map();
+
+    (matches || []).forEach(({ field, start, end }) => {
+      if (!field || !(end > start)) {
+        return;
+      }
+      if (!byField.has(field)) {
+        byField.set(field, []);
+      }
+      byField.get(field).push({ start, end });
+    });
+
+    return this.collect(document, { ...settings, fields: [...byField.keys()] }, (text, field) => byField.get(field) || []);
+  }
+
+  /**
+   * Snippets dari Elasticsearch highlight response
+   * Tags ES harus sama dengan preTag/postTag; fragment yang tidak ditemukan di document dilewati
+   * Fragment di-escape oleh encoder `html`, jadi di-unescape dulu sebelum dicocokkan ke document
+   * @param {Object} highlight - hit.highlight ({ field: [fragment, ...] })
+   * @param {Object} document - hit._source
+   */
+  fromElasticsearch(highlight, document, options = {}) {
+    const settings = this.resolveOptions(options);
+    const snippets = [];
+
+    Object.entries(highlight || {}).forEach(([field, fragments]) => {
+      const values = this.getFieldValues(document, field);
+
+      fragments.forEach(fragment => {
+        const { text, ranges } = this.parseTaggedFragment(fragment, settings);
+
+        for (const { name, value } of values) {
+          const start = value.indexOf(text);
+          if (start === -1) {
+            continue;
+          }
+
+          const matches = ranges.map(range => ({ start: start + range.start, end: start + range.end }));
+          snippets.push({
+            field: name,
+            text,
+            highlighted: this.highlight(value, start, start + text.length, matches, settings),
+            start,
+            end: start + text.length,
+            matches
+          });
+          break;
+        }
+      });
+    });
+
+    return this.rank(snippets, settings.maxFragments);
+  }
+
+  /**
+   * Highlight parameter untuk Elasticsearch query, konsisten dengan snippet settings
+   */
+  buildElasticsearchHighlight(fields, options = {}) {
+    const settings = this.resolveOptions(options);
+
+    return {
+      pre_tags: [settings.preTag],
+      post_tags: [settings.postTag],
+      // Text fragment di-escape seperti highlight(), tags tetap apa adanya
+      encoder: 'html',
+      fragment_size: settings.fragmentSize,
+      number_of_fragments: settings.maxFragments,
+      fields: fields.reduce((highlightFields, field) => ({ ...highlightFields, [field]: {} }), {})
+    };
+  }
+
+  /**
+   * Jalankan findRanges untuk setiap field value lalu bangun fragments
+   */
+  collect(document, settings, findRanges) {
+    const snippets = [];
+
+    settings.fields.forEach(field => {
+      this.getFieldValues(document, field).forEach(({ name, value }) => {
+        const ranges = findRanges(value, name);
+        this.buildFragments(value, ranges, settings).forEach(fragment => {
+          snippets.push({ field: name, ...fragment });
+        });
+      });
+    });
+
+    return this.rank(snippets, settings.maxFragments);
+  }
+
+  /**
+   * Fragments dengan matches terbanyak dulu, dibatasi maxFragments
+   */
+  rank(snippets, maxFragments) {
+    return snippets
+      .map((snippet, index) => ({ snippet, index }))
+      .sort((a, b) => b.snippet.matches.length - a.snippet.matches.length || a.index - b.index)
+      .slice(0, maxFragments)
+      .map(({ snippet }) => snippet);
+  }
+
+  /**
+   * Bangun fragment windows di sekitar ranges
+   * Ranges yang berdekatan (muat dalam satu fragment) digabung ke window yang sama
+   * @returns {Array} [{ text, highlighted, start, end, matches }]
+   */
+  buildFragments(text, ranges, options = {}) {
+    const settings = this.resolveOptions(options);
+    const merged = this.mergeRanges(ranges.filter(range => range.start >= 0 && range.end <= text.length));
+
+    if (!text || merged.length === 0) {
+      return [];
+    }
+
+    const groups = [];
+    merged.forEach(range => {
+      const current = groups[groups.length - 1];
+      if (current && range.end - current.start <= settings.fragmentSize) {
+        current.end = range.end;
+      } else {
+        groups.push({ start: range.start, end: range.end });
+      }
+    });
+
+    const fragments = [];
+    groups.forEach(group => {
+      const window = this.getWindow(text, group, settings.fragmentSize);
+
+      // Window dimulai setelah fragment sebelumnya agar text tidak diulang
+      const previous = fragments[fragments.length - 1];
+      const start = previous ? Math.max(window.start, previous.end) : window.start;
+      const end = window.end;
+      if (start >= end) {
+        return;
+      }
+
+      const matches = merged.filter(range => range.start >= start && range.end <= end);
+      fragments.push({
+        text: text.slice(start, end),
+        highlighted: this.highlight(text, start, end, matches, settings),
+        start,
+        end,
+        matches
+      });
+    });
+
+    return this.rank(fragments, settings.maxFragments).sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Window sepanjang fragmentSize yang berpusat pada group, di-snap ke batas kata
+   */
+  getWindow(text, group, fragmentSize) {
+    const length = Math.max(fragmentSize, group.end - group.start);
+    let start = group.start - Math.floor((length - (group.end - group.start)) / 2);
+    start = Math.max(0, Math.min(start, text.length - length));
+    let end = Math.min(text.length, start + length);
+
+    if (start > 0 && /\S/.test(text[start - 1])) {
+      const boundary = text.slice(start, group.start).search(/\s/);
+      if (boundary !== -1) {
+        start += boundary + 1;
+      }
+    }
+
+    if (end < text.length && /\S/.test(text[end])) {
+      const boundary = text.slice(group.end, end).search(/\s\S*$/);
+      if (boundary !== -1) {
+        end = group.end + boundary;
+      }
+    }
+
+    // Trim whitespace di tepi window tanpa memotong matches
+    while (start < group.start && /\s/.test(text[start])) start++;
+    while (end > group.end && /\s/.test(text[end - 1])) end--;
+
+    return { start, end };
+  }
+
+  /**
+   * Sisipkan highlight tags untuk matches dalam window [start, end)
+   * Text di antara tags di-escape agar content note tidak dirender sebagai HTML
+   */
+  highlight(text, start, end, matches, options = {}) {
+    const { preTag, postTag } = this.resolveOptions(options);
+    let highlighted = '';
+    let position = start;
+
+    matches
+      .filter(match => match.start >= start && match.end <= end)
+      .forEach(match => {
+        highlighted += escapeHtml(text.slice(position, match.start)) + preTag
+          + escapeHtml(text.slice(match.start, match.end)) + postTag;
+        position = match.end;
+      });
+
+    return highlighted + escapeHtml(text.slice(position, end));
+  }
+
+  /**
+   * Ranges term/phrase (case-insensitive, batas kata)
+   */
+  findTermRanges(text, terms) {
+    const ranges = [];
+
+    terms.forEach(term => {
+      const regex = new RegExp(`(?<!${WORD_CHARACTER})${this.escapeRegex(term)}(?!${WORD_CHARACTER})`, 'giu');
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        ranges.push({ start: match.index, end: match.index + match[0].length });
+        if (match[0].length === 0) {
+          regex.lastIndex++;
+        }
+      }
+    });
+
+    return ranges;
+  }
+
+  /**
+   * Sort dan gabungkan ranges yang overlap
+   */
+  mergeRanges(ranges) {
+    return [...ranges]
+      .sort((a, b) => a.start - b.start || b.end - a.end)
+      .reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range.start < last.end) {
+          last.end = Math.max(last.end, range.end);
+        } else {
+          merged.push({ start: range.start, end: range.end });
+        }
+        return merged;
+      }, []);
+  }
+
+  /**
+   * Pisahkan tags dari fragment ES menjadi plain text + ranges (offsets terhadap text yang sudah di-unescape)
+   */
+  parseTaggedFragment(fragment, { preTag, postTag }) {
+    const ranges = [];
+    let text = '';
+    let position = 0;
+
+    while (position < fragment.length) {
+      const open = fragment.indexOf(preTag, position);
+      if (open === -1) {
+        break;
+      }
+
+      const close = fragment.indexOf(postTag, open + preTag.length);
+      if (close === -1) {
+        break;
+      }
+
+      text += unescapeHtml(fragment.slice(position, open));
+      const start = text.length;
+      text += unescapeHtml(fragment.slice(open + preTag.length, close));
+      ranges.push({ start, end: text.length });
+      position = close + postTag.length;
+    }
+
+    return { text: text + unescapeHtml(fragment.slice(position)), ranges };
+  }
+
+  /**
+   * String values di field path (dot notation), array memakai nama `field[index]`
+   * @returns {Array} [{ name, value }]
+   */
+  getFieldValues(document, field) {
+    const indexed = field.match(/^(.*)\[(\d+)\]$/);
+    const path = indexed ? indexed[1] : field;
+    const value = path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), document);
+
+    if (Array.isArray(value)) {
+      return value
+        .map((item, index) => ({ name: `${path}[${index}]`, value: item }))
+        .filter(item => typeof item.value === 'string' && (!indexed || item.name === field));
+    }
+
+    return typeof value === 'string' ? [{ name: field, value }] : [];
+  }
+
+  escapeRegex(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+export default SnippetExtractor;
@@ -0,0 +1,370 @@
+/**
+ * Suggester - Autocomplete dan Query Suggestions
+ *
+ * Prefix completions (typo-tolerant) untuk tags, projects, knowledge domains dan task phrases,
+ * serta "did you mean" corrections untuk query yang salah ketik. Bekerja di atas term dictionary
+ * per tenant ({ category: Map(term → count) }) yang di-maintain incremental dari notes dan knowledge.
+ * Dictionary di-compile sekali (buildIndex) agar tiap keystroke hanya memeriksa kandidat dengan
+ * prefix/huruf awal atau panjang yang cocok, bukan seluruh dictionary.
+ * Edit distance dan Jaro-Winkler memakai implementasi PatternMatcher
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import PatternMatcher from './pattern-matcher.js';
+
+// Categories yang bisa di-complete lewat API
+export const SUGGEST_TYPES = ['tags', 'projects', 'domains', 'phrases'];
+
+// Semua categories di term dictionary (words hanya untuk corrections)
+export const TERM_CATEGORIES = [...SUGGEST_TYPES, 'words'];
+
+const STOP_WORDS = new Set([
+  'the', 'is', 'at', 'which', 'on', 'a', 'an', 'and', 'or', 'but',
+  'in', 'with', 'to', 'for', 'of', 'as', 'by', 'that', 'this', 'from',
+  'into', 'be', 'it', 'its', 'was', 'were', 'are'
+]);
+
+const WORD_REGEX = /[\p{L}\p{N}][\p{L}\p{N}_-]*/gu;
+
+/**
+ * Tenant term dictionary untuk resource ber-scope: team, organization atau owner
+ * @param {Object} scope - { org_id, team_id, owner_id }
+ * @returns {string|null} null jika resource tidak ber-scope (dictionary global)
+ */
+export const getTermsTenant = ({ org_id: orgId, team_id: teamId, owner_id: ownerId } = {}) => {
+  if (teamId) {
+    return `team:${teamId}`;
+  }
+  if (orgId) {
+    return `org:${orgId}`;
+  }
+  return ownerId || null;
+};
+
+/**
+ * Suggester Class
+ */
+export class Suggester {
+  constructor(config = {}) {
+    this.config = {
+      maxEditDistance: 2,
+      minSimilarity: 0.8,
+      maxPhraseWords: 3,
+      maxTermsPerNote: 50,
+      maxPhrases: 5000,
+      limit: 10,
+      ...config
+    };
+
+    this.matcher = new PatternMatcher({ enableRegexCache: false });
+  }
+
+  /**
+   * Terms dari note untuk term dictionary
+   * @returns {Array} [{ category, term }] unik
+   */
+  extractNoteTerms(note) {
+    const terms = [];
+    const add = (category, term) => {
+      if (typeof term === 'string' && term.trim()) {
+        terms.push({ category, term: term.trim() });
+      }
+    };
+
+    (note?.context?.tags || []).forEach(tag => add('tags', tag));
+    add('projects', note?.context?.project);
+
+    const taskWords = this.tokenize(note?.context?.task || '');
+    this.buildPhrases(taskWords).forEach(phrase => add('phrases', phrase));
+
+    const content = note?.content || {};
+    const texts = [note?.context?.task, content.action, content.result, content.learning, content.solution];
+    const words = [...new Set(texts.flatMap(text => this.tokenize(text || '')))]
+      .filter(word => word.length >= 3 && !STOP_WORDS.has(word) && !/^\d+$/.test(word))
+      .slice(0, this.config.maxTermsPerNote);
+    words.forEach(word => add('words', word));
+
+    return this.unique(terms);
+  }
+
+  /**
+   * Selisih terms antara versi note lama dan baru
+   * @returns {Array} [{ category, term, delta }] dengan delta +1 (baru) atau -1 (hilang)
+   */
+  diffTerms(previous, current) {
+    const key = ({ category, term }) => `${category}\u0000${term}`;
+    const before = new Map((previous ? this.extractNoteTerms(previous) : []).map(entry => [key(entry), entry]));
+    const after = new Map((current ? this.extractNoteTerms(current) : []).map(entry => [key(entry), entry]));
+
+    return [
+      ...[...after].filter(([id]) => !before.has(id)).map(([, entry]) => ({ ...entry, delta: 1 })),
+      ...[...before].filter(([id]) => !after.has(id)).map(([, entry]) => ({ ...entry, delta: -1 }))
+    ];
+  }
+
+  /**
+   * Prefix completions, termasuk prefix dengan typo (edit distance)
+   * Phrases di-complete dengan seluruh query, categories lain dengan token terakhir.
+   * Exact prefix dicari dengan binary search; typo hanya dicek pada terms dengan huruf awal yang sama
+   * dan hanya jika exact matches belum memenuhi limit
+   * @param {Object} dictionary - { category: Map(term → count) } atau hasil buildIndex()
+   * @param {Object} options - { types, limit }
+   * @returns {Array} [{ text, type, query, count, distance, typo }]
+   */
+  complete(dictionary, query, options = {}) {
+    const index = this.toIndex(dictionary);
+    const types = options.types || SUGGEST_TYPES;
+    const limit = options.limit || this.config.limit;
+    const text = query.trim().toLowerCase();
+    const tokens = query.trim().split(/\s+/);
+    const lastToken = (tokens[tokens.length - 1] || '').toLowerCase();
+
+    const prefixes = types
+      .map(type => ({ type, prefix: type === 'phrases' ? text : lastToken, category: index.categories[type] }))
+      .filter(({ prefix, category }) => prefix && category);
+
+    const completions = [];
+    const add = (type, entry, distance) => completions.push({
+      text: entry.term,
+      type,
+      query: type === 'phrases' ? entry.term : [...tokens.slice(0, -1), entry.term].join(' '),
+      count: entry.count,
+      distance,
+      typo: distance > 0
+    });
+
+    prefixes.forEach(({ type, prefix, category }) => {
+      for (let i = this.lowerBound(category.sorted, prefix); i < category.sorted.length; i++) {
+        const entry = category.sorted[i];
+        if (!entry.lower.startsWith(prefix)) {
+          break;
+        }
+        if (entry.lower !== prefix) {
+          add(type, entry, 0);
+        }
+      }
+    });
+
+    if (completions.length < limit) {
+      prefixes
+        .filter(({ prefix }) => prefix.length >= 3)
+        .forEach(({ type, prefix, category }) => {
+          const allowed = this.getAllowedDistance(prefix);
+
+          (category.byInitial.get(prefix[0]) || []).forEach(entry => {
+            if (entry.lower.startsWith(prefix)) {
+              return;
+            }
+
+            const distance = this.matcher.levenshteinDistance(prefix, entry.lower.slice(0, prefix.length));
+            if (distance <= allowed) {
+              add(type, entry, distance);
+            }
+          });
+        });
+    }
+
+    return completions
+      .sort((a, b) => a.distance - b.distance || b.count - a.count || a.text.length - b.text.length)
+      .slice(0, limit);
+  }
+
+  /**
+   * "Did you mean": koreksi token yang tidak ada di dictionary
+   * Token query language (field:value, operators, quoted) tidak dikoreksi
+   * @returns {Object|null} { query, corrections: [{ original, suggestion, distance }] }
+   */
+  correct(dictionary, query) {
+    const index = this.toIndex(dictionary);
+    const { vocabulary } = index;
+    if (vocabulary.size === 0) {
+      return null;
+    }
+
+    const corrections = [];
+    const corrected = query.trim().split(/\s+/).map(token => {
+      const lower = token.toLowerCase();
+      if (!/^[\p{L}\p{N}_-]+$/u.test(token) || ['and', 'or', 'not'].includes(lower) || vocabulary.has(lower)) {
+        return token;
+      }
+
+      const suggestion = this.findClosestTerm(lower, index);
+      if (!suggestion) {
+        return token;
+      }
+
+      corrections.push({ original: token, suggestion: suggestion.term, distance: suggestion.distance });
+      return suggestion.term;
+    });
+
+    return corrections.length > 0
+      ? { query: corrected.join(' '), corrections }
+      : null;
+  }
+
+  /**
+   * Term terdekat berdasarkan edit distance, Jaro-Winkler dan frekuensi
+   * Hanya terms dengan selisih panjang <= allowed distance yang dibandingkan
+   */
+  findClosestTerm(token, index) {
+    const allowed = this.getAllowedDistance(token);
+    const candidates = [];
+    for (let length = Math.max(1, token.length - allowed); length <= token.length + allowed; length++) {
+      candidates.push(...(index.vocabularyByLength.get(length) || []));
+    }
+
+    let best = null;
+
+    candidates.forEach(([term, count]) => {
+      const distance = this.matcher.levenshteinDistance(token, term);
+      if (distance === 0 || distance > allowed) {
+        return;
+      }
+
+      if (this.matcher.calculateStringSimilarity(token, term) < this.config.minSimilarity) {
+        return;
+      }
+
+      if (!best || distance < best.distance || (distance === best.distance && count > best.count)) {
+        best = { term, distance, count };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Compile dictionary untuk complete/correct (di-cache oleh SuggestService per tenant)
+   * Phrases dibatasi maxPhrases terms dengan count tertinggi
+   * @returns {Object} { indexed, categories: { type: { sorted, byInitial } }, vocabulary, vocabularyByLength }
+   */
+  buildIndex(dictionary) {
+    const categories = {};
+
+    Object.entries(dictionary).forEach(([category, terms]) => {
+      let entries = [...terms]
+        .filter(([, count]) => count > 0)
+        .map(([term, count]) => ({ term, lower: term.toLowerCase(), count }));
+
+      if (category === 'phrases' && entries.length > this.config.maxPhrases) {
+        entries = entries.sort((a, b) => b.count - a.count).slice(0, this.config.maxPhrases);
+      }
+
+      entries.sort((a, b) => {
+        if (a.lower === b.lower) {
+          return 0;
+        }
+        return a.lower < b.lower ? -1 : 1;
+      });
+
+      const byInitial = new Map();
+      entries.forEach(entry => {
+        const initial = entry.lower[0];
+        if (!byInitial.has(initial)) {
+          byInitial.set(initial, []);
+        }
+        byInitial.get(initial).push(entry);
+      });
+
+      categories[category] = { sorted: entries, byInitial };
+    });
+
+    const vocabulary = this.buildVocabulary(dictionary);
+    const vocabularyByLength = new Map();
+    vocabulary.forEach((count, term) => {
+      if (!vocabularyByLength.has(term.length)) {
+        vocabularyByLength.set(term.length, []);
+      }
+      vocabularyByLength.get(term.length).push([term, count]);
+    });
+
+    return { indexed: true, categories, vocabulary, vocabularyByLength };
+  }
+
+  toIndex(dictionary) {
+    return dictionary?.indexed ? dictionary : this.buildIndex(dictionary || {});
+  }
+
+  /**
+   * Posisi pertama di entries (urut lower) yang >= prefix
+   */
+  lowerBound(entries, prefix) {
+    let low = 0;
+    let high = entries.length;
+
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (entries[middle].lower < prefix) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Vocabulary lowercase (words, tags, projects, domains) → count
+   */
+  buildVocabulary(dictionary) {
+    const vocabulary = new Map();
+
+    ['words', 'tags', 'projects', 'domains'].forEach(category => {
+      (dictionary[category] || new Map()).forEach((count, term) => {
+        if (count <= 0 || /\s/.test(term)) {
+          return;
+        }
+        const lower = term.toLowerCase();
+        vocabulary.set(lower, (vocabulary.get(lower) || 0) + count);
+      });
+    });
+
+    return vocabulary;
+  }
+
+  /**
+   * Edit distance yang diizinkan: 1 untuk token pendek, maxEditDistance untuk lainnya
+   */
+  getAllowedDistance(token) {
+    return token.length <= 4 ? 1 : this.config.maxEditDistance;
+  }
+
+  /**
+   * Phrases 2..maxPhraseWords kata yang tidak diawali/diakhiri stop word
+   */
+  buildPhrases(words) {
+    const phrases = [];
+
+    for (let size = 2; size <= this.config.maxPhraseWords; size++) {
+      for (let i = 0; i + size <= words.length; i++) {
+        const phrase = words.slice(i, i + size);
+        if (!STOP_WORDS.has(phrase[0]) && !STOP_WORDS.has(phrase[phrase.length - 1])) {
+          phrases.push(phrase.join(' '));
+        }
+      }
+    }
+
+    return phrases;
+  }
+
+  tokenize(text) {
+    return (text.toLowerCase().match(WORD_REGEX) || []);
+  }
+
+  unique(terms) {
+    const seen = new Set();
+    return terms.filter(({ category, term }) => {
+      const key = `${category}\u0000${term}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+export default Suggester;
@@ -12,7 +12,12 @@
 
 import { program } from 'commander';
 import chalk from 'chalk';
+import { readFileSync } from 'fs';
 import storageManager from './index.js';
+import StorageService from '../../services/storage.service.js';
+import ReembeddingService from '../../services/reembedding.service.js';
+import RankingService from '../../services/ranking.service.js';
+import AuditService from '../../services/audit.service.js';
 
 // Helper function untuk format output
 function formatOutput(data, format = 'json') {
@@ -41,6 +46,33 @@ async function initializeStorage() {
   }
 }
 
+// Helper function untuk menjalankan operasi lewat StorageService
+async function withStorageService(title, operation) {
+  const storageService = new StorageService();
+
+  try {
+    console.log(chalk.blue('🔌 Initializing storage connections...\n'));
+    await storageService.initialize();
+
+    const result = await operation(storageService);
+
+    if (result === null) {
+      printResult(`${title} Failed`, { error: 'Experience not found' }, false);
+    } else {
+      printResult(title, result);
+    }
+  } catch (error) {
+    printResult(`${title} Failed`, { error: error.message }, false);
+  } finally {
+    await storageService.close();
+  }
+}
+
+// Helper function untuk parse comma-separated list
+function parseList(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
 // Command: Health Check
 program
   .command('health')
@@ -437,6 +469,178 @@ program
     }
   });
 
+// Command: Experience Create
+program
+  .command('experience-create')
+  .description('Create a new active experience from a journey of at least 5 notes')
+  .requiredOption('-p, --project <projectId>', 'Project ID')
+  .requiredOption('-t, --title <title>', 'Experience title')
+  .requiredOption('-d, --description <description>', 'Experience description')
+  .requiredOption('-j, --journey <file>', 'JSON file with journey array ([{ note_id, milestone }])')
+  .option('--domains <domains>', 'Comma-separated applicable domains')
+  .option('-u, --user <userId>', 'User ID recorded as creator')
+  .action(async (options) => {
+    const journey = JSON.parse(readFileSync(options.journey, 'utf8'));
+
+    await withStorageService('Experience Created', storageService => storageService.createExperience({
+      project_id: options.project,
+      title: options.title,
+      description: options.description,
+      journey,
+      applicable_domains: parseList(options.domains)
+    }, options.user || null));
+  });
+
+// Command: Experience Milestone
+program
+  .command('experience-milestone')
+  .description('Add a note as the next milestone of an experience')
+  .requiredOption('-e, --experience <experienceId>', 'Experience ID')
+  .requiredOption('-n, --note <noteId>', 'Note ID')
+  .requiredOption('-m, --milestone <milestone>', 'Milestone description')
+  .action(async (options) => {
+    await withStorageService('Experience Milestone Added', storageService =>
+      storageService.addExperienceMilestone(options.experience, options.note, options.milestone));
+  });
+
+// Command: Experience Complete
+program
+  .command('experience-complete')
+  .description('Complete an experience with outcomes and lessons learned')
+  .requiredOption('-e, --experience <experienceId>', 'Experience ID')
+  .requiredOption('-l, --lessons <lessons>', 'Lessons learned, separated by "|"')
+  .option('--failed', 'Mark the experience outcome as unsuccessful')
+  .option('--duration <hours>', 'Duration in hours')
+  .option('--iterations <count>', 'Number of iterations')
+  .option('--metrics <json>', 'Outcome metrics as JSON object')
+  .action(async (options) => {
+    const completionData = {
+      success: !options.failed,
+      metrics: options.metrics ? JSON.parse(options.metrics) : {},
+      lessons_learned: options.lessons.split('|').map(lesson => lesson.trim()).filter(Boolean)
+    };
+
+    if (options.duration) completionData.duration_hours = parseFloat(options.duration);
+    if (options.iterations) completionData.iterations = parseInt(options.iterations);
+
+    await withStorageService('Experience Completed', storageService =>
+      storageService.completeExperience(options.experience, completionData));
+  });
+
+// Command: Experience Abandon
+program
+  .command('experience-abandon')
+  .description('Abandon an active experience')
+  .requiredOption('-e, --experience <experienceId>', 'Experience ID')
+  .requiredOption('-r, --reason <reason>', 'Reason for abandoning')
+  .action(async (options) => {
+    await withStorageService('Experience Abandoned', storageService =>
+      storageService.abandonExperience(options.experience, options.reason));
+  });
+
+// Command: Re-embed Notes
+program
+  .command('reembed')
+  .description('Re-embed all notes with a new model into a new index, then switch the notes alias')
+  .option('-p, --provider <provider>', 'Embedding provider (openai, local, mock)')
+  .option('-m, --model <model>', 'Embedding model name')
+  .option('-d, --dimensions <dimensions>', 'Embedding dimensions')
+  .option('--model-path <path>', 'Local model directory (model.onnx + vocab.txt) for local provider')
+  .option('-b, --batch-size <size>', 'Notes per batch')
+  .option('--restart', 'Discard unfinished job progress and start a new job')
+  .action(async (options) => {
+    await withStorageService('Re-embedding Completed', storageService => {
+      const reembeddingService = new ReembeddingService(storageService);
+
+      // Ctrl+C menyimpan progress agar job bisa dilanjutkan
+      process.once('SIGINT', () => reembeddingService.stop());
+
+      return reembeddingService.runReembedding({
+        provider: options.provider,
+        model: options.model,
+        dimensions: options.dimensions,
+        modelPath: options.modelPath
+      }, {
+        restart: options.restart,
+        batchSize: options.batchSize
+      });
+    });
+  });
+
+// Command: Re-embed Status
+program
+  .command('reembed-status')
+  .description('Show re-embedding job progress')
+  .action(async () => {
+    await withStorageService('Re-embedding Status', storageService =>
+      new ReembeddingService(storageService).getStatus());
+  });
+
+// Command: Train Ranking Model
+program
+  .command('ltr-train')
+  .description('Train a learning-to-rank model from relevance feedback for a tenant')
+  .requiredOption('-u, --user <userId>', 'Tenant user ID')
+  .option('-e, --epochs <epochs>', 'Training epochs')
+  .option('--learning-rate <rate>', 'Gradient descent learning rate')
+  .option('--l2 <lambda>', 'L2 regularization')
+  .option('--no-activate', 'Save the new model version without activating it')
+  .action(async (options) => {
+    await withStorageService('Ranking Model Trained', storageService =>
+      new RankingService(storageService).trainModel(options.user, {
+        epochs: options.epochs,
+        learningRate: options.learningRate,
+        l2: options.l2,
+        activate: options.activate
+      }));
+  });
+
+// Command: List Ranking Models
+program
+  .command('ltr-models')
+  .description('List learning-to-rank model versions for a tenant')
+  .requiredOption('-u, --user <userId>', 'Tenant user ID')
+  .action(async (options) => {
+    await withStorageService('Ranking Models', storageService =>
+      new RankingService(storageService).listModels(options.user));
+  });
+
+// Command: Activate Ranking Model
+program
+  .command('ltr-activate')
+  .description('Activate (or roll back to) a learning-to-rank model version')
+  .requiredOption('-u, --user <userId>', 'Tenant user ID')
+  .requiredOption('-m, --model-version <version>', 'Model version')
+  .action(async (options) => {
+    await withStorageService('Ranking Model Activated', storageService =>
+      new RankingService(storageService).activateModel(options.user, options.modelVersion));
+  });
+
+// Command: Audit Log
+program
+  .command('audit-log')
+  .description('Show audit log entries of a chain (user ID or system), newest first')
+  .option('-c, --chain <chainId>', 'Audit chain (user ID or system)', 'system')
+  .option('-a, --action <action>', 'Filter by action (prefix with *, e.g. backup.*)')
+  .option('-l, --limit <limit>', 'Number of entries', '50')
+  .action(async (options) => {
+    await withStorageService('Audit Log', storageService =>
+      new AuditService(storageService).queryEntries(options.chain, {
+        action: options.action,
+        limit: parseInt(options.limit)
+      }));
+  });
+
+// Command: Verify Audit Chain
+program
+  .command('audit-verify')
+  .description('Verify the hash chain of an audit log chain from its first entry')
+  .option('-c, --chain <chainId>', 'Audit chain (user ID or system)', 'system')
+  .action(async (options) => {
+    await withStorageService('Audit Chain Verification', storageService =>
+      new AuditService(storageService).verifyChain(options.chain));
+  });
+
 // Command: Interactive Mode
 program
   .command('interactive')
@@ -20,6 +20,7 @@ export default class ElasticClient {
       maxRetries: config.maxRetries || 3,
       requestTimeout: config.requestTimeout || 30000,
       pingTimeout: config.pingTimeout || 3000,
+      embeddingDimensions: config.embeddingDimensions || parseInt(process.env.EMBEDDING_DIMENSIONS) || 768,
       ...config
     };
 
@@ -121,8 +122,9 @@ export default class ElasticClient {
               priority: { type: 'integer' },
               embedding: { 
                 type: 'dense_vector',
-                dims: 1536
+                dims: this.config.embeddingDimensions
               },
+              embedding_model: { type: 'keyword' },
               created_at: { type: 'date' },
               updated_at: { type: 'date' },
               archived_at: { type: 'date' },
@@ -490,6 +492,7 @@ export default class ElasticClient {
       category: note.category || 'general',
       priority: note.priority || 0,
       embedding: note.embedding || null,
+      embedding_model: note.embeddingModel || null,
       created_at: note.createdAt,
       updated_at: note.updatedAt,
       metadata: note.metadata || {}
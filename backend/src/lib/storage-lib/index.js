@@ -11,6 +11,7 @@
 import RedisClient from './redis-client.js';
 import ScyllaClient from './scylla-client.js';
 import ElasticClient from './elastic-client.js';
+import SchemaMigrator from './schema-migrator.js';
 
 /**
  * Storage Manager Class
@@ -365,7 +366,7 @@ export default storageManager;
 /**
  * Named exports untuk convenience
  */
-export { RedisClient, ScyllaClient, ElasticClient };
+export { RedisClient, ScyllaClient, ElasticClient, SchemaMigrator };
 
 /**
  * Helper functions
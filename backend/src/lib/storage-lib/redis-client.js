@@ -8,7 +8,7 @@
  * @version 1.0.0
  */
 
-import { createClient } from 'redis';
+import { createClient, WatchError } from 'redis';
 import { promisify } from 'util';
 
 export default class RedisClient {
@@ -173,16 +173,17 @@ export default class RedisClient {
   async set(key, value, options = {}) {
     try {
       const { ttl, nx, xx } = options;
-      const args = [];
+      // node-redis v4 menerima SET options sebagai object, bukan argumen 'EX'/'NX'
+      const setOptions = {};
 
-      if (ttl) args.push('EX', ttl);
-      if (nx) args.push('NX');
-      if (xx) args.push('XX');
+      if (ttl) setOptions.EX = ttl;
+      if (nx) setOptions.NX = true;
+      if (xx) setOptions.XX = true;
 
       const serializedValue = typeof value === 'object' ? JSON.stringify(value) : value;
       
-      if (args.length > 0) {
-        return await this.client.set(key, serializedValue, ...args);
+      if (Object.keys(setOptions).length > 0) {
+        return await this.client.set(key, serializedValue, setOptions);
       }
       
       return await this.client.set(key, serializedValue);
@@ -471,6 +472,41 @@ export default class RedisClient {
     }
   }
 
+  /**
+   * Read-modify-write atomik pada satu key JSON dengan WATCH/MULTI/EXEC
+   * update(current) mengembalikan { value, ttl } untuk ditulis, atau null untuk tidak menulis;
+   * jika key berubah sebelum EXEC, transaksi diulang dengan value terbaru
+   * @returns {Object} { committed, current, value }
+   */
+  async transaction(key, update, retries = 5) {
+    for (let attempt = 0; attempt < retries; attempt++) {
+      try {
+        return await this.client.executeIsolated(async (isolated) => {
+          await isolated.watch(key);
+          const raw = await isolated.get(key);
+          const current = raw === null ? null : JSON.parse(raw);
+
+          const next = update(current);
+          if (!next) {
+            await isolated.unwatch();
+            return { committed: false, current, value: current };
+          }
+
+          await isolated.multi()
+            .set(key, JSON.stringify(next.value), next.ttl ? { EX: next.ttl } : {})
+            .exec();
+          return { committed: true, current, value: next.value };
+        });
+      } catch (error) {
+        if (!(error instanceof WatchError)) {
+          throw new Error(`Redis TRANSACTION failed: ${error.message}`);
+        }
+      }
+    }
+
+    throw new Error(`Redis TRANSACTION failed: ${key} kept changing after ${retries} attempts`);
+  }
+
   async lock(key, ttl = 30, retries = 3) {
     const lockKey = `lock:${key}`;
     const lockValue = Date.now().toString();
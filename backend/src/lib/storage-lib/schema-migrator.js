@@ -0,0 +1,168 @@
+/**
+ * Schema Migrator - ScyllaDB Schema Migration
+ *
+ * Menerapkan table definitions (CREATE TABLE IF NOT EXISTS) saat startup dan
+ * menambahkan kolom yang belum ada di table lama lewat ALTER TABLE ... ADD.
+ * Perubahan tipe kolom atau primary key tidak di-migrate, hanya dilaporkan
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+/**
+ * Schema Migrator Class
+ */
+export default class SchemaMigrator {
+  /**
+   * @param {ScyllaClient} client - Connected ScyllaDB client
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Terapkan schema: keyspace, tables (beserta kolom yang hilang), lalu indexes
+   * Kegagalan satu statement tidak menghentikan statement lainnya
+   * @param {Object} schemas - { keyspace, indexes, [table]: CREATE TABLE statement }
+   * @returns {Object} { tables, columns, indexes, errors }
+   */
+  async migrate(schemas) {
+    const { keyspace, indexes = [], ...tables } = schemas;
+    const result = { tables: 0, columns: [], indexes: 0, errors: [] };
+
+    if (keyspace && !await this.run(keyspace, result)) {
+      return result;
+    }
+
+    for (const statement of Object.values(tables)) {
+      if (!await this.run(statement, result)) {
+        continue;
+      }
+      result.tables++;
+
+      try {
+        await this.addMissingColumns(statement, result);
+      } catch (error) {
+        this.recordError(result, statement, error);
+      }
+    }
+
+    for (const statement of indexes) {
+      if (await this.run(statement, result)) {
+        result.indexes++;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Tambahkan kolom dari table definition yang belum ada di table
+   */
+  async addMissingColumns(statement, result) {
+    const { keyspace, table, columns } = this.parseTableStatement(statement);
+    if (!keyspace) {
+      return;
+    }
+
+    const existing = await this.client.execute(
+      'SELECT column_name FROM system_schema.columns WHERE keyspace_name = ? AND table_name = ?',
+      [keyspace, table],
+      { prepare: true }
+    );
+    const existingColumns = new Set(existing.rows.map(row => row.column_name));
+
+    for (const column of columns) {
+      if (existingColumns.has(column.name)) {
+        continue;
+      }
+
+      if (await this.run(`ALTER TABLE ${keyspace}.${table} ADD ${column.name} ${column.type}`, result)) {
+        result.columns.push(`${table}.${column.name}`);
+      }
+    }
+  }
+
+  /**
+   * Parse CREATE TABLE statement menjadi nama table dan kolom
+   * @returns {Object} { keyspace, table, columns: [{ name, type }] }
+   */
+  parseTableStatement(statement) {
+    const match = statement.match(/CREATE TABLE IF NOT EXISTS\s+(?:(\w+)\.)?(\w+)\s*\(/i);
+    if (!match) {
+      throw new Error('Not a CREATE TABLE IF NOT EXISTS statement');
+    }
+
+    const body = this.extractParenthesized(statement, match.index + match[0].length - 1);
+    const columns = this.splitTopLevel(body)
+      .map(definition => definition.trim())
+      .filter(definition => definition && !/^PRIMARY\s+KEY/i.test(definition))
+      .map(definition => {
+        const [name, ...type] = definition.replace(/\s+PRIMARY\s+KEY\s*$/i, '').split(/\s+/);
+        return { name: name.toLowerCase(), type: type.join(' ') };
+      });
+
+    return { keyspace: match[1] || null, table: match[2].toLowerCase(), columns };
+  }
+
+  /**
+   * Isi di antara kurung buka pada posisi start dan kurung tutup pasangannya
+   */
+  extractParenthesized(text, start) {
+    let depth = 0;
+
+    for (let i = start; i < text.length; i++) {
+      if (text[i] === '(') depth++;
+      if (text[i] === ')') depth--;
+      if (depth === 0) {
+        return text.slice(start + 1, i);
+      }
+    }
+
+    throw new Error('Unbalanced parentheses in table definition');
+  }
+
+  /**
+   * Split column definitions per koma, kecuali koma di dalam () atau <>
+   */
+  splitTopLevel(body) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of body) {
+      if (char === '(' || char === '<') depth++;
+      if (char === ')' || char === '>') depth--;
+
+      if (char === ',' && depth === 0) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current);
+
+    return parts;
+  }
+
+  /**
+   * Execute satu DDL statement
+   * @returns {boolean} true jika berhasil
+   */
+  async run(statement, result) {
+    try {
+      await this.client.execute(statement);
+      return true;
+    } catch (error) {
+      this.recordError(result, statement, error);
+      return false;
+    }
+  }
+
+  recordError(result, statement, error) {
+    const summary = statement.trim().split('\n')[0];
+    console.warn(`⚠️ Schema migration failed for "${summary}":`, error.message);
+    result.errors.push({ statement: summary, error: error.message });
+  }
+}
@@ -19,6 +19,7 @@ export default class ScyllaClient {
       username: config.username || process.env.SCYLLA_USERNAME || null,
       password: config.password || process.env.SCYLLA_PASSWORD || null,
       port: config.port || parseInt(process.env.SCYLLA_PORT) || 9042,
+      embeddingDimensions: config.embeddingDimensions || parseInt(process.env.EMBEDDING_DIMENSIONS) || 768,
       protocolOptions: {
         port: config.port || parseInt(process.env.SCYLLA_PORT) || 9042
       },
@@ -201,7 +202,8 @@ export default class ScyllaClient {
         tags SET<TEXT>,
         category TEXT,
         priority INT,
-        embedding VECTOR<FLOAT, 1536>,
+        embedding VECTOR<FLOAT, ${this.config.embeddingDimensions}>,
+        embedding_model TEXT,
         created_at TIMESTAMP,
         updated_at TIMESTAMP,
         archived_at TIMESTAMP,
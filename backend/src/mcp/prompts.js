@@ -0,0 +1,101 @@
+/**
+ * MCP Prompts
+ *
+ * Prompt templates untuk `prompts/list` dan `prompts/get`
+ * Prompt di-prefill dengan hasil dari SearchService sehingga agent
+ * langsung mendapat memory yang relevan di context
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import Joi from 'joi';
+
+const recallContextSchema = Joi.object({
+  task_description: Joi.string().required()
+    .messages({
+      'any.required': 'Task description is required'
+    }),
+  agent_id: Joi.string().required()
+    .messages({
+      'any.required': 'Agent ID is required'
+    }),
+  max_results: Joi.number().integer().min(1).max(50).default(10)
+    .messages({
+      'number.min': 'Max results must be at least 1',
+      'number.max': 'Max results must not exceed 50'
+    })
+});
+
+/**
+ * Format satu note menjadi ringkasan text untuk prompt
+ * @param {Object} note - Note object
+ * @param {number} index - Urutan note
+ * @returns {string}
+ */
+const formatNote = (note, index) => {
+  const lines = [`${index + 1}. [${note.type}] ${note.context?.task || 'Untitled task'}`];
+
+  if (note.content?.action) lines.push(`   Action: ${note.content.action}`);
+  if (note.content?.result) lines.push(`   Result: ${note.content.result}`);
+  if (note.content?.learning) lines.push(`   Learning: ${note.content.learning}`);
+  if (note.content?.errors?.length) lines.push(`   Errors: ${note.content.errors.join('; ')}`);
+  if (note.content?.solution) lines.push(`   Solution: ${note.content.solution}`);
+
+  return lines.join('\n');
+};
+
+/**
+ * Build daftar prompts dengan services yang sudah diinisialisasi
+ * @param {Object} services - { searchService, organizationService }
+ * @returns {Array} Prompt definitions
+ */
+export function createPrompts({ searchService, organizationService }) {
+  return [
+    {
+      name: 'recall_context_for_task',
+      title: 'Recall Context for Task',
+      description: 'Recall relevant notes and detected patterns from memory before starting a task.',
+      arguments: [
+        { name: 'task_description', description: 'Description of the task about to be worked on', required: true },
+        { name: 'agent_id', description: 'ID of the agent whose memory should be recalled', required: true },
+        { name: 'max_results', description: 'Maximum number of notes to include (default 10)', required: false }
+      ],
+      schema: recallContextSchema,
+      requiredScope: 'notes:read',
+      handler: async (args, context) => {
+        const relevant = await searchService.getRelevantNotes({ ...args, user_id: context.user.id });
+        const notes = organizationService.filterReadable(context.access, relevant.notes, 'note');
+        const patterns = relevant.patterns_detected;
+
+        const sections = [
+          `I am about to work on the following task:\n${args.task_description}`
+        ];
+
+        if (notes.length > 0) {
+          sections.push(`Relevant notes from previous work:\n${notes.map(formatNote).join('\n')}`);
+        } else {
+          sections.push('No relevant notes were found in memory for this task.');
+        }
+
+        if (patterns?.length > 0) {
+          sections.push(`Patterns detected across these notes:\n${patterns.map(pattern => `- ${typeof pattern === 'string' ? pattern : JSON.stringify(pattern)}`).join('\n')}`);
+        }
+
+        sections.push('Use these learnings to avoid repeating past errors, and save a note when the task is done.');
+
+        return {
+          description: `Recalled ${notes.length} relevant notes for agent ${args.agent_id}`,
+          messages: [
+            {
+              role: 'user',
+              content: { type: 'text', text: sections.join('\n\n') }
+            }
+          ]
+        };
+      }
+    }
+  ];
+}
+
+export default createPrompts;
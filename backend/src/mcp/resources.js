@@ -0,0 +1,144 @@
+/**
+ * MCP Resources
+ *
+ * Publish knowledge domain summaries dan active sessions sebagai
+ * addressable resources untuk `resources/list` dan `resources/read`
+ *
+ * URI scheme:
+ * - memory://knowledge/{domain}
+ * - memory://sessions/{sessionId}
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { Session } from '../models/session.js';
+import { ApiKey } from '../models/api-key.js';
+
+const URI_SCHEME = 'memory://';
+const KNOWLEDGE_URI_PATTERN = /^memory:\/\/knowledge\/(.+)$/;
+const SESSION_URI_PATTERN = /^memory:\/\/sessions\/([0-9a-f-]{36})$/i;
+
+/**
+ * Resource templates untuk `resources/templates/list`
+ */
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${URI_SCHEME}knowledge/{domain}`,
+    name: 'knowledge-domain',
+    title: 'Knowledge Domain Summary',
+    description: 'Aggregated knowledge summary for a domain: item count, confidence and top knowledge items',
+    mimeType: 'application/json',
+    requiredFeature: 'knowledge_access',
+    requiredScope: 'knowledge:read'
+  },
+  {
+    uriTemplate: `${URI_SCHEME}sessions/{sessionId}`,
+    name: 'session',
+    title: 'Agent Session Summary',
+    description: 'Summary of an agent work session: duration, notes created/accessed and query statistics',
+    mimeType: 'application/json',
+    requiredScope: 'sessions:read'
+  }
+];
+
+/**
+ * Build resource provider dengan services yang sudah diinisialisasi
+ * @param {Object} services - { storageService, organizationService }
+ * @returns {Object} Resource provider dengan list() dan read()
+ */
+export function createResources({ storageService, organizationService }) {
+  const toSessionSummary = (session) => new Session({
+    ...session,
+    started_at: new Date(session.started_at)
+  }).getSummary();
+
+  const canAccessKnowledge = (user) => Boolean(user?.subscription?.features?.includes('knowledge_access')) &&
+    ApiKey.userHasScope(user, 'knowledge:read');
+
+  // Domain summaries hanya dihitung dari knowledge yang boleh dibaca user
+  const isReadableKnowledge = (context) => knowledge => organizationService.canAccess(context.access, knowledge, 'knowledge', 'read');
+
+  // Scoped API key: butuh sessions:read dan agent binding yang cocok
+  const canAccessSession = (user, session) => ApiKey.userHasScope(user, 'sessions:read') &&
+    ApiKey.userCanUseAgent(user, session.agent_id);
+
+  return {
+    templates: RESOURCE_TEMPLATES,
+
+    /**
+     * List semua resources yang bisa diakses user
+     * @param {Object} context - { user, access }
+     * @returns {Promise<Array>} Resource descriptors
+     */
+    async list(context) {
+      const resources = [];
+
+      if (canAccessKnowledge(context.user)) {
+        const domains = await storageService.getKnowledgeDomains(isReadableKnowledge(context));
+
+        domains.forEach(domain => {
+          resources.push({
+            uri: `${URI_SCHEME}knowledge/${encodeURIComponent(domain.name)}`,
+            name: `knowledge-${domain.name}`,
+            title: `Knowledge: ${domain.name}`,
+            description: `${domain.knowledge_count} knowledge items, average confidence ${domain.average_confidence.toFixed(2)}`,
+            mimeType: 'application/json'
+          });
+        });
+      }
+
+      const sessions = await storageService.getActiveSessionsByUser(context.user.id);
+
+      sessions.filter(session => canAccessSession(context.user, session)).forEach(session => {
+        resources.push({
+          uri: `${URI_SCHEME}sessions/${session.id}`,
+          name: `session-${session.id}`,
+          title: `Active session: ${session.agent_id}`,
+          description: `Active session for agent ${session.agent_id} started at ${session.started_at}`,
+          mimeType: 'application/json'
+        });
+      });
+
+      return resources;
+    },
+
+    /**
+     * Read satu resource berdasarkan URI
+     * @param {string} uri - Resource URI
+     * @param {Object} context - { user, access }
+     * @returns {Promise<Object|null>} Resource contents, null jika tidak ditemukan
+     */
+    async read(uri, context) {
+      const knowledgeMatch = uri.match(KNOWLEDGE_URI_PATTERN);
+
+      if (knowledgeMatch) {
+        if (!canAccessKnowledge(context.user)) {
+          return null;
+        }
+
+        const domain = decodeURIComponent(knowledgeMatch[1]);
+        const summary = await storageService.getKnowledgeSummary(domain, isReadableKnowledge(context));
+
+        return summary && summary.total_items > 0 ? summary : null;
+      }
+
+      const sessionMatch = uri.match(SESSION_URI_PATTERN);
+
+      if (sessionMatch) {
+        const session = await storageService.getSessionById(sessionMatch[1]);
+
+        // Session milik user lain diperlakukan sebagai not found
+        if (!session || session.user_id !== context.user.id || !canAccessSession(context.user, session)) {
+          return null;
+        }
+
+        return toSessionSummary(session);
+      }
+
+      return null;
+    }
+  };
+}
+
+export default createResources;
@@ -0,0 +1,421 @@
+/**
+ * MCP Server
+ *
+ * Implementasi Model Context Protocol (JSON-RPC 2.0) di atas services yang sudah ada
+ * Transport-agnostic: dipakai oleh stdio transport dan streamable HTTP route
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { createTools } from './tools.js';
+import { createResources } from './resources.js';
+import { createPrompts } from './prompts.js';
+import { ApiKey } from '../models/api-key.js';
+import { OrganizationService } from '../services/organization.service.js';
+
+/**
+ * Methods yang membaca memory dan membutuhkan access context organization/team
+ */
+const MEMORY_READ_METHODS = ['tools/call', 'resources/list', 'resources/read', 'prompts/get'];
+
+/**
+ * Protocol versions yang didukung, urutan dari yang terbaru
+ */
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+/**
+ * JSON-RPC 2.0 error codes
+ */
+export const JSONRPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  UNAUTHORIZED: -32001,
+  RESOURCE_NOT_FOUND: -32002
+};
+
+/**
+ * MCP Server Class
+ * Menerima JSON-RPC message dan meneruskannya ke tool, resource dan prompt handlers
+ */
+export class McpServer {
+  constructor(services, config = {}) {
+    this.services = {
+      organizationService: new OrganizationService(services.storageService),
+      ...services
+    };
+    this.config = {
+      name: config.name || 'mcp-learning-memory',
+      version: config.version || '1.0.0',
+      instructions: config.instructions ||
+        'Use get_relevant_notes before starting a task and save_note after finishing it to build up agent memory.',
+      ...config
+    };
+
+    this.tools = new Map();
+    createTools(this.services).forEach(tool => this.tools.set(tool.name, tool));
+
+    this.resources = createResources(this.services);
+
+    this.prompts = new Map();
+    createPrompts(this.services).forEach(prompt => this.prompts.set(prompt.name, prompt));
+
+    this.handlers = {
+      'initialize': this.handleInitialize.bind(this),
+      'ping': async () => ({}),
+      'tools/list': this.handleToolsList.bind(this),
+      'tools/call': this.handleToolsCall.bind(this),
+      'resources/list': this.handleResourcesList.bind(this),
+      'resources/templates/list': this.handleResourceTemplatesList.bind(this),
+      'resources/read': this.handleResourcesRead.bind(this),
+      'prompts/list': this.handlePromptsList.bind(this),
+      'prompts/get': this.handlePromptsGet.bind(this)
+    };
+  }
+
+  /**
+   * Handle satu message atau batch messages
+   * @param {Object|Array} message - JSON-RPC message
+   * @param {Object} context - { user, sessionId }
+   * @returns {Promise<Object|Array|null>} Response, atau null untuk notification
+   */
+  async handleMessage(message, context = {}) {
+    if (Array.isArray(message)) {
+      if (message.length === 0) {
+        return this.createError(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request: empty batch');
+      }
+
+      const responses = await Promise.all(message.map(item => this.handleSingle(item, context)));
+      const filtered = responses.filter(response => response !== null);
+
+      return filtered.length > 0 ? filtered : null;
+    }
+
+    return await this.handleSingle(message, context);
+  }
+
+  /**
+   * Handle single JSON-RPC message
+   * @param {Object} message - JSON-RPC message
+   * @param {Object} context - Request context
+   * @returns {Promise<Object|null>} Response
+   */
+  async handleSingle(message, context) {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      return this.createError(message?.id ?? null, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+    }
+
+    // Response dari client (tidak ada server-initiated requests), abaikan
+    if (message.method === undefined && (message.result !== undefined || message.error !== undefined)) {
+      return null;
+    }
+
+    if (typeof message.method !== 'string') {
+      return this.createError(message.id ?? null, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request: method must be a string');
+    }
+
+    const isNotification = message.id === undefined;
+
+    if (isNotification) {
+      // notifications/initialized, notifications/cancelled, dll tidak membutuhkan response
+      return null;
+    }
+
+    const handler = this.handlers[message.method];
+
+    if (!handler) {
+      return this.createError(message.id, JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+    }
+
+    if (message.method !== 'initialize' && message.method !== 'ping' && !context.user) {
+      return this.createError(message.id, JSONRPC_ERRORS.UNAUTHORIZED, 'Authentication required');
+    }
+
+    try {
+      const requestContext = MEMORY_READ_METHODS.includes(message.method) ? await this.withAccessContext(context) : context;
+      const result = await handler(message.params || {}, requestContext);
+      return {
+        jsonrpc: '2.0',
+        id: message.id,
+        result
+      };
+    } catch (error) {
+      if (error.code && Number.isInteger(error.code)) {
+        return this.createError(message.id, error.code, error.message, error.data);
+      }
+
+      console.error(`❌ MCP ${message.method} error:`, error);
+      return this.createError(message.id, JSONRPC_ERRORS.INTERNAL_ERROR, 'Internal error', {
+        details: [error.message]
+      });
+    }
+  }
+
+  /**
+   * Tambah access context organization/team user (sama dengan loadAccessContext di REST routes)
+   * Di-resolve per request karena stdio context hidup selama process
+   * @returns {Object} Context dengan access
+   */
+  async withAccessContext(context) {
+    const access = await this.services.organizationService.getAccessContext(context.user.id);
+
+    return {
+      ...context,
+      // Agent binding scoped API key ikut dicek oleh canAccess()
+      access: { ...access, agent_ids: context.user.agentIds || [] }
+    };
+  }
+
+  /**
+   * Handle initialize request
+   * @param {Object} params - { protocolVersion, capabilities, clientInfo }
+   * @returns {Object} Server capabilities
+   */
+  async handleInitialize(params) {
+    const requested = params.protocolVersion;
+    const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+      ? requested
+      : SUPPORTED_PROTOCOL_VERSIONS[0];
+
+    return {
+      protocolVersion,
+      capabilities: {
+        tools: { listChanged: false },
+        resources: { subscribe: false, listChanged: false },
+        prompts: { listChanged: false }
+      },
+      serverInfo: {
+        name: this.config.name,
+        version: this.config.version
+      },
+      instructions: this.config.instructions
+    };
+  }
+
+  /**
+   * Handle tools/list request
+   * @param {Object} params - Request params
+   * @param {Object} context - Request context
+   * @returns {Object} Daftar tools yang bisa dipakai user
+   */
+  async handleToolsList(params, context) {
+    const tools = Array.from(this.tools.values())
+      .filter(tool => this.hasFeature(context.user, tool.requiredFeature) && ApiKey.userHasScope(context.user, tool.requiredScope))
+      .map(tool => ({
+        name: tool.name,
+        title: tool.title,
+        description: tool.description,
+        inputSchema: tool.inputSchema
+      }));
+
+    return { tools };
+  }
+
+  /**
+   * Handle tools/call request
+   * @param {Object} params - { name, arguments }
+   * @param {Object} context - Request context
+   * @returns {Object} Tool result
+   */
+  async handleToolsCall(params, context) {
+    const tool = this.tools.get(params.name);
+
+    if (!tool) {
+      throw this.createRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${params.name}`);
+    }
+
+    if (!this.hasFeature(context.user, tool.requiredFeature)) {
+      return this.createToolError(`Feature not available: your subscription does not include ${tool.requiredFeature}`);
+    }
+
+    if (!ApiKey.userHasScope(context.user, tool.requiredScope)) {
+      return this.createToolError(`Insufficient scope: API key scope '${tool.requiredScope}' is required`);
+    }
+
+    const { error: validationError, value } = tool.schema.validate(params.arguments || {}, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (validationError) {
+      throw this.createRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'Invalid tool arguments', {
+        details: validationError.details.map(detail => detail.message)
+      });
+    }
+
+    if (value.agent_id && !ApiKey.userCanUseAgent(context.user, value.agent_id)) {
+      return this.createToolError(`Access denied: API key is not bound to agent ${value.agent_id}`);
+    }
+
+    try {
+      const result = await tool.handler(value, context);
+
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: result,
+        isError: false
+      };
+    } catch (error) {
+      console.error(`❌ MCP tool ${tool.name} error:`, error);
+      return this.createToolError(error.message);
+    }
+  }
+
+  /**
+   * Handle resources/list request
+   * @param {Object} params - Request params
+   * @param {Object} context - Request context
+   * @returns {Object} Daftar resources milik user
+   */
+  async handleResourcesList(params, context) {
+    const resources = await this.resources.list(context);
+    return { resources };
+  }
+
+  /**
+   * Handle resources/templates/list request
+   * @param {Object} params - Request params
+   * @param {Object} context - Request context
+   * @returns {Object} Daftar resource templates
+   */
+  async handleResourceTemplatesList(params, context) {
+    const resourceTemplates = this.resources.templates
+      .filter(template => this.hasFeature(context.user, template.requiredFeature) && ApiKey.userHasScope(context.user, template.requiredScope))
+      .map(template => ({
+        uriTemplate: template.uriTemplate,
+        name: template.name,
+        title: template.title,
+        description: template.description,
+        mimeType: template.mimeType
+      }));
+
+    return { resourceTemplates };
+  }
+
+  /**
+   * Handle resources/read request
+   * @param {Object} params - { uri }
+   * @param {Object} context - Request context
+   * @returns {Object} Resource contents
+   */
+  async handleResourcesRead(params, context) {
+    if (typeof params.uri !== 'string' || params.uri.length === 0) {
+      throw this.createRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'Resource URI is required');
+    }
+
+    const data = await this.resources.read(params.uri, context);
+
+    if (!data) {
+      throw this.createRpcError(JSONRPC_ERRORS.RESOURCE_NOT_FOUND, 'Resource not found', { uri: params.uri });
+    }
+
+    return {
+      contents: [{
+        uri: params.uri,
+        mimeType: 'application/json',
+        text: JSON.stringify(data, null, 2)
+      }]
+    };
+  }
+
+  /**
+   * Handle prompts/list request
+   * @param {Object} params - Request params
+   * @param {Object} context - Request context
+   * @returns {Object} Daftar prompt templates
+   */
+  async handlePromptsList(params, context) {
+    const prompts = Array.from(this.prompts.values())
+      .filter(prompt => ApiKey.userHasScope(context.user, prompt.requiredScope))
+      .map(prompt => ({
+        name: prompt.name,
+        title: prompt.title,
+        description: prompt.description,
+        arguments: prompt.arguments
+      }));
+
+    return { prompts };
+  }
+
+  /**
+   * Handle prompts/get request
+   * @param {Object} params - { name, arguments }
+   * @param {Object} context - Request context
+   * @returns {Object} Prompt messages
+   */
+  async handlePromptsGet(params, context) {
+    const prompt = this.prompts.get(params.name);
+
+    if (!prompt) {
+      throw this.createRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Unknown prompt: ${params.name}`);
+    }
+
+    const { error: validationError, value } = prompt.schema.validate(params.arguments || {}, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (validationError) {
+      throw this.createRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'Invalid prompt arguments', {
+        details: validationError.details.map(detail => detail.message)
+      });
+    }
+
+    if (!ApiKey.userHasScope(context.user, prompt.requiredScope) ||
+        (value.agent_id && !ApiKey.userCanUseAgent(context.user, value.agent_id))) {
+      throw this.createRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Access denied: API key cannot use prompt ${prompt.name}`);
+    }
+
+    return await prompt.handler(value, context);
+  }
+
+  /**
+   * Check apakah user memiliki feature yang dibutuhkan tool
+   * @param {Object} user - Authenticated user
+   * @param {string} feature - Required feature
+   * @returns {boolean}
+   */
+  hasFeature(user, feature) {
+    if (!feature) return true;
+    return Boolean(user?.subscription?.features?.includes(feature));
+  }
+
+  /**
+   * Negotiate protocol version dari header / initialize params
+   * @param {string} version - Requested version
+   * @returns {boolean}
+   */
+  isSupportedProtocolVersion(version) {
+    return SUPPORTED_PROTOCOL_VERSIONS.includes(version);
+  }
+
+  createToolError(message) {
+    return {
+      content: [{ type: 'text', text: message }],
+      isError: true
+    };
+  }
+
+  createRpcError(code, message, data) {
+    const error = new Error(message);
+    error.code = code;
+    error.data = data;
+    return error;
+  }
+
+  createError(id, code, message, data) {
+    const error = { code, message };
+    if (data !== undefined) error.data = data;
+
+    return {
+      jsonrpc: '2.0',
+      id,
+      error
+    };
+  }
+}
+
+export default McpServer;
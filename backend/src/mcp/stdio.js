@@ -0,0 +1,129 @@
+/**
+ * MCP Stdio Transport
+ *
+ * Menjalankan MCP server lewat stdin/stdout (newline-delimited JSON-RPC)
+ * Dipakai oleh MCP client lokal seperti IDE atau desktop agent
+ *
+ * Usage: MCP_ACCESS_TOKEN=<jwt> node src/mcp/stdio.js
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import readline from 'readline';
+import sharedServices from '../services/shared-services.js';
+import { McpServer, JSONRPC_ERRORS } from './server.js';
+
+/**
+ * Stdio Transport Class
+ */
+export class StdioTransport {
+  constructor(server, context, options = {}) {
+    this.server = server;
+    this.context = context;
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.pending = new Set();
+  }
+
+  /**
+   * Mulai membaca message dari stdin
+   * @returns {Promise<void>} Resolve ketika stdin ditutup
+   */
+  start() {
+    const rl = readline.createInterface({ input: this.input, terminal: false });
+
+    rl.on('line', (line) => {
+      if (!line.trim()) return;
+
+      const task = this.handleLine(line).finally(() => this.pending.delete(task));
+      this.pending.add(task);
+    });
+
+    return new Promise((resolve) => {
+      rl.on('close', async () => {
+        await Promise.allSettled(Array.from(this.pending));
+        resolve();
+      });
+    });
+  }
+
+  async handleLine(line) {
+    let message;
+
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      this.send(this.server.createError(null, JSONRPC_ERRORS.PARSE_ERROR, 'Parse error'));
+      return;
+    }
+
+    try {
+      const response = await this.server.handleMessage(message, this.context);
+      if (response !== null) {
+        this.send(response);
+      }
+    } catch (error) {
+      console.error('❌ MCP stdio error:', error);
+      this.send(this.server.createError(message?.id ?? null, JSONRPC_ERRORS.INTERNAL_ERROR, 'Internal error'));
+    }
+  }
+
+  send(message) {
+    this.output.write(`${JSON.stringify(message)}\n`);
+  }
+}
+
+/**
+ * Start stdio MCP server
+ */
+async function main() {
+  // stdout khusus untuk JSON-RPC, semua log dialihkan ke stderr
+  console.log = console.error;
+  console.info = console.error;
+  console.warn = console.error;
+
+  const token = process.env.MCP_ACCESS_TOKEN;
+
+  if (!token) {
+    console.error('❌ MCP_ACCESS_TOKEN is required');
+    process.exit(1);
+  }
+
+  try {
+    await sharedServices.initialize();
+
+    const authService = sharedServices.getAuthService();
+    const validation = await authService.validateToken(token);
+
+    if (!validation.valid) {
+      console.error(`❌ Invalid MCP_ACCESS_TOKEN: ${validation.expired ? 'token expired' : validation.error}`);
+      await sharedServices.close();
+      process.exit(1);
+    }
+
+    const server = new McpServer({
+      storageService: sharedServices.getStorageService(),
+      searchService: sharedServices.getSearchService(),
+      authService
+    });
+
+    const transport = new StdioTransport(server, { user: validation.user, sessionId: null });
+
+    console.error(`✅ MCP stdio server ready for ${validation.user.email}`);
+
+    await transport.start();
+    await sharedServices.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Failed to start MCP stdio server:', error);
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default StdioTransport;
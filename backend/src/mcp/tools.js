@@ -0,0 +1,402 @@
+/**
+ * MCP Tools
+ *
+ * Definisi tools yang di-expose lewat MCP `tools/list` dan `tools/call`
+ * Setiap tool memetakan ke method StorageService/SearchService yang sudah ada
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import Joi from 'joi';
+import { NOTE_FACETS, FACET_INTERVALS } from '../lib/search-lib/facets.js';
+import AgentService from '../services/agent.service.js';
+import { customValidators } from '../api/middleware/validation.middleware.js';
+
+/**
+ * JSON Schema snippet options (inputSchema), sama untuk semua search tools
+ */
+const HIGHLIGHT_INPUT_SCHEMA = {
+  type: 'object',
+  description: 'Snippet options: fragment_size, number_of_fragments, pre_tag/post_tag around matches, enabled=false to omit snippets.',
+  properties: {
+    enabled: { type: 'boolean', default: true },
+    fragment_size: { type: 'integer', minimum: 20, maximum: 1000 },
+    number_of_fragments: { type: 'integer', minimum: 1, maximum: 10 },
+    pre_tag: { type: 'string' },
+    post_tag: { type: 'string' }
+  }
+};
+
+/**
+ * Joi schemas untuk validasi arguments tools/call
+ * Mengikuti schema yang dipakai di REST routes supaya behavior konsisten
+ */
+const highlightSchema = customValidators.highlight();
+
+const saveNoteSchema = Joi.object({
+  agent_id: Joi.string().required()
+    .messages({
+      'any.required': 'Agent ID is required'
+    }),
+  session_id: Joi.string().uuid().optional()
+    .messages({
+      'string.uuid': 'Session ID must be a valid UUID'
+    }),
+  type: Joi.string().valid('build', 'development', 'bugfix', 'improvement').required()
+    .messages({
+      'any.only': 'Type must be one of: build, development, bugfix, improvement',
+      'any.required': 'Type is required'
+    }),
+  context: Joi.object({
+    task: Joi.string().required(),
+    project: Joi.string().optional(),
+    tags: Joi.array().items(Joi.string()).optional()
+  }).required()
+    .messages({
+      'any.required': 'Context is required'
+    }),
+  content: Joi.object({
+    action: Joi.string().min(10).required()
+      .messages({
+        'string.min': 'Action must be at least 10 characters',
+        'any.required': 'Action is required'
+      }),
+    result: Joi.string().optional(),
+    learning: Joi.string().optional(),
+    errors: Joi.array().items(Joi.string()).optional(),
+    solution: Joi.string().optional()
+  }).required()
+    .messages({
+      'any.required': 'Content is required'
+    })
+});
+
+const relevantNotesSchema = Joi.object({
+  task_description: Joi.string().required()
+    .messages({
+      'any.required': 'Task description is required'
+    }),
+  agent_id: Joi.string().required()
+    .messages({
+      'any.required': 'Agent ID is required'
+    }),
+  max_results: Joi.number().integer().min(1).max(100).default(20)
+    .messages({
+      'number.min': 'Max results must be at least 1',
+      'number.max': 'Max results must not exceed 100'
+    }),
+  highlight: highlightSchema
+});
+
+const searchNotesSchema = Joi.object({
+  query: Joi.string().required()
+    .messages({
+      'any.required': 'Query is required'
+    }),
+  agent_id: Joi.string().required()
+    .messages({
+      'any.required': 'Agent ID is required'
+    }),
+  limit: Joi.number().integer().min(1).max(100).default(10)
+    .messages({
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    }),
+  min_relevance: Joi.number().min(0).max(1).default(0.5)
+    .messages({
+      'number.min': 'Min relevance must be at least 0',
+      'number.max': 'Min relevance must not exceed 1'
+    }),
+  search_type: Joi.string().valid('auto', 'semantic', 'fulltext', 'hybrid', 'pattern').default('auto')
+    .messages({
+      'any.only': 'Search type must be one of: auto, semantic, fulltext, hybrid, pattern'
+    }),
+  pattern: Joi.object({
+    type: Joi.string().valid('regex', 'wildcard', 'literal', 'fuzzy').default('literal'),
+    flags: Joi.string().pattern(/^[imsu]*$/).max(4).optional(),
+    threshold: Joi.number().min(0).max(1).optional()
+  })
+    .messages({
+      'any.only': 'Pattern type must be one of: regex, wildcard, literal, fuzzy',
+      'string.pattern.base': 'Pattern flags may only contain: i, m, s, u'
+    }),
+  fusion: Joi.object({
+    method: Joi.string().valid('rrf', 'linear'),
+    rrf_k: Joi.number().integer().min(1).max(1000),
+    weights: Joi.object({
+      semantic: Joi.number().min(0).max(10),
+      bm25: Joi.number().min(0).max(10),
+      pattern: Joi.number().min(0).max(10),
+      recency: Joi.number().min(0).max(10)
+    })
+  })
+    .messages({
+      'any.only': 'Fusion method must be one of: rrf, linear'
+    }),
+  facets: Joi.array().items(Joi.string().valid(...Object.keys(NOTE_FACETS))).unique().optional()
+    .messages({
+      'any.only': `Facets must be one of: ${Object.keys(NOTE_FACETS).join(', ')}`
+    }),
+  facet_interval: Joi.string().valid(...FACET_INTERVALS).optional()
+    .messages({
+      'any.only': `Facet interval must be one of: ${FACET_INTERVALS.join(', ')}`
+    }),
+  selected_facets: Joi.object({
+    type: Joi.array().items(Joi.string()),
+    project: Joi.array().items(Joi.string()),
+    tags: Joi.array().items(Joi.string()),
+    success: Joi.array().items(Joi.boolean()),
+    agent_id: Joi.array().items(Joi.string()),
+    created_at: Joi.object({
+      from: Joi.date().iso(),
+      to: Joi.date().iso()
+    }),
+    error_codes: Joi.array().items(Joi.string()),
+    packages: Joi.array().items(Joi.string()),
+    http_status: Joi.array().items(Joi.number().integer()),
+    exit_codes: Joi.array().items(Joi.number().integer()),
+    sql_errors: Joi.array().items(Joi.string()),
+    languages: Joi.array().items(Joi.string())
+  }).default({}),
+  highlight: highlightSchema
+});
+
+const getKnowledgeSchema = Joi.object({
+  domain: Joi.string().required()
+    .messages({
+      'any.required': 'Domain is required'
+    }),
+  min_confidence: Joi.number().min(0).max(1).default(0.7)
+    .messages({
+      'number.min': 'Min confidence must be at least 0',
+      'number.max': 'Min confidence must not exceed 1'
+    })
+});
+
+const getExperiencesSchema = Joi.object({
+  project_id: Joi.string().optional(),
+  applicable_domain: Joi.string().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+    .messages({
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    })
+});
+
+/**
+ * Build daftar tools dengan services yang sudah diinisialisasi
+ * Read tools hanya mengembalikan memory yang boleh dibaca user (context.access)
+ * @param {Object} services - { storageService, searchService, organizationService }
+ * @returns {Array} Tool definitions
+ */
+export function createTools({ storageService, searchService, organizationService }) {
+  const agentService = new AgentService(storageService);
+
+  return [
+    {
+      name: 'save_note',
+      title: 'Save Note',
+      description: 'Store a learning note (action, result, learning, errors, solution) for an agent so it can be recalled in later tasks.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          agent_id: { type: 'string', description: 'ID of the agent writing the note' },
+          session_id: { type: 'string', format: 'uuid', description: 'Optional session ID the note belongs to' },
+          type: { type: 'string', enum: ['build', 'development', 'bugfix', 'improvement'] },
+          context: {
+            type: 'object',
+            properties: {
+              task: { type: 'string' },
+              project: { type: 'string' },
+              tags: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['task']
+          },
+          content: {
+            type: 'object',
+            properties: {
+              action: { type: 'string', minLength: 10 },
+              result: { type: 'string' },
+              learning: { type: 'string' },
+              errors: { type: 'array', items: { type: 'string' } },
+              solution: { type: 'string' }
+            },
+            required: ['action']
+          }
+        },
+        required: ['agent_id', 'type', 'context', 'content']
+      },
+      schema: saveNoteSchema,
+      requiredScope: 'notes:write',
+      handler: async (args, context) => {
+        // Agent harus terdaftar (atau di-auto-register) dan aktif
+        await agentService.ensureAgent(context.user, args.agent_id);
+
+        const note = await storageService.saveNote({
+          ...args,
+          metadata: {
+            user_id: context.user.id,
+            created_by: 'mcp',
+            mcp_session_id: context.sessionId || null
+          }
+        });
+
+        // Chunk-level retrieval untuk get_relevant_notes
+        searchService.indexNoteChunks(note);
+
+        return note;
+      }
+    },
+    {
+      name: 'get_relevant_notes',
+      title: 'Get Relevant Notes',
+      description: 'Find previous notes relevant to a task description, combining chunk-level semantic, keyword and pattern search. Notes matched by content chunk include matched_chunk with field and character offsets, and every note includes highlighted snippets. Also returns detected patterns.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          task_description: { type: 'string', description: 'Description of the task the agent is about to work on' },
+          agent_id: { type: 'string' },
+          max_results: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          highlight: HIGHLIGHT_INPUT_SCHEMA
+        },
+        required: ['task_description', 'agent_id']
+      },
+      schema: relevantNotesSchema,
+      requiredScope: 'notes:read',
+      handler: async (args, context) => {
+        const relevant = await searchService.getRelevantNotes({ ...args, user_id: context.user.id });
+        return { ...relevant, notes: organizationService.filterReadable(context.access, relevant.notes, 'note') };
+      }
+    },
+    {
+      name: 'search_notes',
+      title: 'Search Notes',
+      description: 'Search an agent\'s notes by query using auto, semantic, fulltext, hybrid or pattern search. Hybrid results include a per-signal score_breakdown. Pattern search runs the query as a regex, wildcard, literal or fuzzy pattern over the agent\'s stored notes; unsafe regexes are rejected. The query supports field filters (type:, project:, tag:, success:, after:, before:, plus extracted failure entities code:, package:, status:, exit:, sql:, file:, uuid:), quoted phrases, -exclusions, AND/OR/NOT, parentheses and ranges such as version:[1 TO 3]. Request facets to get counts and pass selected_facets to drill down. Every result includes snippets: highlighted fragments with field and character offsets.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string' },
+          agent_id: { type: 'string' },
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+          min_relevance: { type: 'number', minimum: 0, maximum: 1, default: 0.5 },
+          search_type: { type: 'string', enum: ['auto', 'semantic', 'fulltext', 'hybrid', 'pattern'], default: 'auto' },
+          pattern: {
+            type: 'object',
+            description: 'Pattern search options (search_type pattern): type (regex, wildcard, literal or fuzzy), regex flags and fuzzy similarity threshold.',
+            properties: {
+              type: { type: 'string', enum: ['regex', 'wildcard', 'literal', 'fuzzy'], default: 'literal' },
+              flags: { type: 'string', pattern: '^[imsu]*$' },
+              threshold: { type: 'number', minimum: 0, maximum: 1 }
+            }
+          },
+          fusion: {
+            type: 'object',
+            description: 'Hybrid ranking overrides: method (rrf or linear), rrf_k and per-signal weights (semantic, bm25, pattern, recency).',
+            properties: {
+              method: { type: 'string', enum: ['rrf', 'linear'] },
+              rrf_k: { type: 'integer', minimum: 1, maximum: 1000 },
+              weights: {
+                type: 'object',
+                properties: {
+                  semantic: { type: 'number', minimum: 0 },
+                  bm25: { type: 'number', minimum: 0 },
+                  pattern: { type: 'number', minimum: 0 },
+                  recency: { type: 'number', minimum: 0 }
+                }
+              }
+            }
+          },
+          facets: {
+            type: 'array',
+            description: 'Facets to count in the response (empty array for all).',
+            items: { type: 'string', enum: Object.keys(NOTE_FACETS) }
+          },
+          facet_interval: { type: 'string', enum: FACET_INTERVALS },
+          selected_facets: {
+            type: 'object',
+            description: 'Drill-down: facet values to narrow results to, e.g. { "type": ["bugfix"], "created_at": { "from": "2026-01-01" } } or { "error_codes": ["ECONNRESET"], "packages": ["ioredis"] }.',
+            properties: {
+              type: { type: 'array', items: { type: 'string' } },
+              project: { type: 'array', items: { type: 'string' } },
+              tags: { type: 'array', items: { type: 'string' } },
+              success: { type: 'array', items: { type: 'boolean' } },
+              agent_id: { type: 'array', items: { type: 'string' } },
+              created_at: {
+                type: 'object',
+                properties: {
+                  from: { type: 'string', format: 'date-time' },
+                  to: { type: 'string', format: 'date-time' }
+                }
+              },
+              error_codes: { type: 'array', items: { type: 'string' } },
+              packages: { type: 'array', items: { type: 'string' } },
+              http_status: { type: 'array', items: { type: 'integer' } },
+              exit_codes: { type: 'array', items: { type: 'integer' } },
+              sql_errors: { type: 'array', items: { type: 'string' } },
+              languages: { type: 'array', items: { type: 'string' } }
+            }
+          },
+          highlight: HIGHLIGHT_INPUT_SCHEMA
+        },
+        required: ['query', 'agent_id']
+      },
+      schema: searchNotesSchema,
+      requiredScope: 'notes:read',
+      handler: async (args, context) => {
+        return await searchService.searchNotes({ ...args, user_id: context.user.id, access: context.access });
+      }
+    },
+    {
+      name: 'get_knowledge',
+      title: 'Get Knowledge',
+      description: 'Get aggregated knowledge items for a domain, filtered by minimum confidence score.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          domain: { type: 'string' },
+          min_confidence: { type: 'number', minimum: 0, maximum: 1, default: 0.7 }
+        },
+        required: ['domain']
+      },
+      schema: getKnowledgeSchema,
+      requiredFeature: 'knowledge_access',
+      requiredScope: 'knowledge:read',
+      handler: async (args, context) => {
+        const result = await storageService.getKnowledge(args.domain, args.min_confidence);
+        return { ...result, knowledge_items: organizationService.filterReadable(context.access, result.knowledge_items, 'knowledge') };
+      }
+    },
+    {
+      name: 'get_experiences',
+      title: 'Get Experiences',
+      description: 'Get recorded learning experiences (project journeys with outcomes and lessons learned).',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          project_id: { type: 'string' },
+          applicable_domain: { type: 'string' },
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+        }
+      },
+      schema: getExperiencesSchema,
+      requiredFeature: 'experience_access',
+      requiredScope: 'experiences:read',
+      handler: async (args, context) => {
+        const filters = {};
+        if (args.project_id) filters.projectId = args.project_id;
+        if (args.applicable_domain) filters.applicableDomain = args.applicable_domain;
+
+        const result = await storageService.getExperiences(filters);
+        const experiences = organizationService.filterReadable(context.access, result.experiences, 'experience');
+
+        return {
+          experiences: experiences.slice(0, args.limit),
+          total: experiences.length
+        };
+      }
+    }
+  ];
+}
+
+export default createTools;
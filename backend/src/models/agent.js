@@ -0,0 +1,102 @@
+import Joi from 'joi';
+
+/**
+ * Status agent; agent disabled tidak boleh menulis notes/sessions
+ */
+export const AGENT_STATUSES = ['active', 'disabled'];
+
+/**
+ * Agent Model
+ * Identitas agent (bot) yang menulis ke memory, terdaftar di bawah user atau organization
+ */
+export class Agent {
+  constructor(data = {}) {
+    this.id = data.id || data.agent_id;
+    this.user_id = data.user_id;
+    this.org_id = data.org_id || null;
+    this.name = data.name || this.id;
+    this.description = data.description || null;
+    this.model = data.model || null;
+    this.owner = data.owner || null;
+    this.purpose = data.purpose || null;
+    this.status = data.status || 'active';
+    this.metadata = data.metadata || {};
+    this.registered_via = data.registered_via || 'api';
+    this.created_at = data.created_at || new Date();
+    this.updated_at = data.updated_at || null;
+    this.disabled_at = data.disabled_at || null;
+  }
+
+  /**
+   * Field yang bisa diubah setelah register (id dan org_id tetap)
+   */
+  static getDescriptionSchema() {
+    return {
+      name: Joi.string().trim().min(1).max(100),
+      description: Joi.string().max(1000).allow('', null),
+      model: Joi.string().max(100).allow('', null),
+      owner: Joi.string().max(200).allow('', null),
+      purpose: Joi.string().max(500).allow('', null),
+      metadata: Joi.object().max(50)
+    };
+  }
+
+  /**
+   * Validation schema untuk register Agent
+   */
+  static getValidationSchema() {
+    return Joi.object({
+      agent_id: Joi.string().trim().required().min(1).max(100).pattern(/^[^\s/]+$/)
+        .messages({
+          'any.required': 'agent_id wajib diisi',
+          'string.max': 'agent_id maksimal 100 karakter',
+          'string.pattern.base': 'agent_id tidak boleh berisi spasi atau /'
+        }),
+      org_id: Joi.string().uuid().allow(null).optional(),
+      ...this.getDescriptionSchema()
+    });
+  }
+
+  static getUpdateSchema() {
+    return Joi.object(this.getDescriptionSchema()).min(1)
+      .messages({
+        'object.min': 'Minimal satu field harus diubah'
+      });
+  }
+
+  /**
+   * Validasi data Agent
+   */
+  static validate(data) {
+    const schema = this.getValidationSchema();
+    return schema.validate(data, {
+      abortEarly: false,
+      allowUnknown: false,
+      stripUnknown: true
+    });
+  }
+
+  /**
+   * Convert to JSON
+   */
+  toJSON() {
+    return {
+      agent_id: this.id,
+      user_id: this.user_id,
+      org_id: this.org_id,
+      name: this.name,
+      description: this.description,
+      model: this.model,
+      owner: this.owner,
+      purpose: this.purpose,
+      status: this.status,
+      metadata: this.metadata,
+      registered_via: this.registered_via,
+      created_at: this.created_at,
+      updated_at: this.updated_at,
+      disabled_at: this.disabled_at
+    };
+  }
+}
+
+export default Agent;
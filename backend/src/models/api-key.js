@@ -0,0 +1,223 @@
+import Joi from 'joi';
+import crypto from 'crypto';
+import { isIP } from 'net';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Scopes yang bisa diberikan ke scoped API key
+ * Primary API key (users.api_key) dan token tanpa key tetap full access
+ */
+export const API_KEY_SCOPES = [
+  'notes:read',
+  'notes:write',
+  'knowledge:read',
+  'knowledge:write',
+  'knowledge:publish',
+  'experiences:read',
+  'experiences:write',
+  'sessions:read',
+  'sessions:write',
+  'backup:admin'
+];
+
+/**
+ * ApiKey Model
+ * Scoped API key dengan expiry, agent binding, IP allowlist dan rotation
+ */
+export class ApiKey {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.user_id = data.user_id;
+    this.name = data.name;
+    this.key_hash = data.key_hash || null;
+    this.key_prefix = data.key_prefix || null;
+    this.scopes = data.scopes || [];
+    this.agent_ids = data.agent_ids || [];
+    this.ip_allowlist = data.ip_allowlist || [];
+    this.expires_at = data.expires_at || null;
+    this.rotated_from = data.rotated_from || null;
+    this.rotated_to = data.rotated_to || null;
+    this.grace_expires_at = data.grace_expires_at || null;
+    this.revoked_at = data.revoked_at || null;
+    this.last_used_at = data.last_used_at || null;
+    this.created_at = data.created_at || new Date();
+  }
+
+  /**
+   * Generate raw key baru; hanya hash yang disimpan
+   * @returns {Object} { key, key_hash, key_prefix }
+   */
+  static generate(prefix = 'mcp_') {
+    const key = `${prefix}${crypto.randomBytes(32).toString('hex')}`;
+    return {
+      key,
+      key_hash: this.hash(key),
+      key_prefix: key.substring(0, prefix.length + 8)
+    };
+  }
+
+  static hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Status key pada waktu `now`: active, grace (sudah di-rotate, masih berlaku), expired atau revoked
+   */
+  static getStatus(key, now = new Date()) {
+    if (key.revoked_at) return 'revoked';
+    if (key.expires_at && new Date(key.expires_at) <= now) return 'expired';
+    if (key.rotated_to) {
+      return key.grace_expires_at && new Date(key.grace_expires_at) > now ? 'grace' : 'expired';
+    }
+    return 'active';
+  }
+
+  static isUsable(key, now = new Date()) {
+    return ['active', 'grace'].includes(this.getStatus(key, now));
+  }
+
+  /**
+   * Cek scope untuk req.user; user tanpa scopes (primary API key) selalu lolos
+   */
+  static userHasScope(user, scope) {
+    return !user?.scopes || user.scopes.includes(scope);
+  }
+
+  /**
+   * Cek agent binding untuk req.user; key tanpa agent_ids boleh untuk semua agent
+   */
+  static userCanUseAgent(user, agentId) {
+    return !user?.agentIds || user.agentIds.length === 0 || user.agentIds.includes(agentId);
+  }
+
+  /**
+   * Cek IP terhadap allowlist (IPv4/IPv6 exact atau CIDR); allowlist kosong = semua IP
+   * IPv4-mapped IPv6 (::ffff:10.0.0.1) diperlakukan sama dengan IPv4-nya, baik di request maupun di allowlist
+   */
+  static allowsIp(key, ip) {
+    if (!key.ip_allowlist || key.ip_allowlist.length === 0) return true;
+
+    const address = ip ? parseIp(ip) : null;
+    if (!address) return false;
+
+    return key.ip_allowlist.some(entry => {
+      const [range, bits] = entry.split('/');
+      const network = parseIp(range);
+      if (!network || network.family !== address.family) return false;
+
+      const width = network.family === 4 ? 32 : 128;
+      // Prefix CIDR IPv4-mapped (::ffff:10.0.0.0/104) dihitung dari 128 bit
+      const prefix = bits === undefined ? width : Number(bits) - (network.mapped ? 96 : 0);
+      if (!Number.isInteger(prefix) || prefix < 0 || prefix > width) return false;
+
+      const shift = BigInt(width - prefix);
+      return network.value >> shift === address.value >> shift;
+    });
+  }
+
+  /**
+   * Validation schema untuk create/rotate scoped API key
+   */
+  static getValidationSchema() {
+    return Joi.object({
+      name: Joi.string().trim().required().min(1).max(100)
+        .messages({
+          'any.required': 'name is required',
+          'string.max': 'name must not exceed 100 characters'
+        }),
+      scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique().required()
+        .messages({
+          'any.required': 'scopes is required',
+          'array.min': 'scopes must contain at least 1 scope',
+          'any.only': `scope must be one of: ${API_KEY_SCOPES.join(', ')}`
+        }),
+      agent_ids: Joi.array().items(Joi.string().max(255)).max(50).unique().default([]),
+      ip_allowlist: Joi.array().items(Joi.string().ip({ cidr: 'optional' })).max(50).unique().default([])
+        .messages({
+          'string.ip': 'ip_allowlist must contain IP addresses or CIDR ranges'
+        }),
+      expires_at: Joi.date().iso().greater('now').allow(null).optional()
+        .messages({
+          'date.greater': 'expires_at must be in the future'
+        })
+    });
+  }
+
+  /**
+   * Validasi data ApiKey
+   */
+  static validate(data) {
+    const schema = this.getValidationSchema();
+    return schema.validate(data, {
+      abortEarly: false,
+      allowUnknown: false,
+      stripUnknown: true
+    });
+  }
+
+  /**
+   * Convert to JSON (tanpa key_hash)
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      key_prefix: this.key_prefix,
+      scopes: this.scopes,
+      agent_ids: this.agent_ids,
+      ip_allowlist: this.ip_allowlist,
+      expires_at: this.expires_at,
+      rotated_from: this.rotated_from,
+      rotated_to: this.rotated_to,
+      grace_expires_at: this.grace_expires_at,
+      revoked_at: this.revoked_at,
+      last_used_at: this.last_used_at,
+      created_at: this.created_at,
+      status: ApiKey.getStatus(this)
+    };
+  }
+}
+
+/**
+ * Parse IP ke { family, value } dengan value BigInt; IPv4-mapped IPv6 dinormalisasi ke IPv4
+ * @returns {Object|null} null jika bukan IP valid
+ */
+function parseIp(ip) {
+  // Buang zone id (fe80::1%eth0) dan bracket ([::1])
+  const address = String(ip).trim().toLowerCase().replace(/^\[(.*)\]$/, '$1').split('%')[0];
+  const family = isIP(address);
+
+  if (family === 4) return { family: 4, value: ipv4ToBigInt(address), mapped: false };
+  if (family !== 6) return null;
+
+  const value = expandIpv6(address).reduce((acc, group) => (acc << 16n) | BigInt(group), 0n);
+  if (value >> 32n === 0xffffn) {
+    return { family: 4, value: value & 0xffffffffn, mapped: true };
+  }
+  return { family: 6, value, mapped: false };
+}
+
+function ipv4ToBigInt(address) {
+  return address.split('.').reduce((acc, octet) => (acc << 8n) | BigInt(octet), 0n);
+}
+
+/**
+ * Expand IPv6 (sudah divalidasi isIP) ke 8 group 16-bit, termasuk `::` dan IPv4 di 32 bit terakhir
+ */
+function expandIpv6(address) {
+  let text = address;
+  const dotted = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (dotted) {
+    const ipv4 = ipv4ToBigInt(dotted[1]);
+    text = `${text.substring(0, dotted.index)}${(ipv4 >> 16n).toString(16)}:${(ipv4 & 0xffffn).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+
+  return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16));
+}
+
+export default ApiKey;
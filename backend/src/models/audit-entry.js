@@ -0,0 +1,216 @@
+import Joi from 'joi';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Actions yang dicatat di audit log
+ */
+export const AUDIT_ACTIONS = [
+  'subscription.create',
+  'subscription.update',
+  'token.issue',
+  'token.refresh',
+  'token.revoke',
+  'token.reuse_detected',
+  'api_key.create',
+  'api_key.rotate',
+  'api_key.revoke',
+  'note.delete',
+  'knowledge.status_change',
+  'backup.create',
+  'backup.restore',
+  'backup.delete'
+];
+
+export const AUDIT_OUTCOMES = ['success', 'failure'];
+
+/**
+ * prev_hash untuk entry pertama di setiap chain
+ */
+export const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Field yang ikut di-hash, urutannya tetap agar hash bisa diverifikasi ulang
+ */
+const HASHED_FIELDS = [
+  'chain_id',
+  'sequence',
+  'id',
+  'action',
+  'actor_id',
+  'actor_type',
+  'api_key_id',
+  'target_type',
+  'target_id',
+  'outcome',
+  'ip',
+  'user_agent',
+  'details',
+  'created_at',
+  'prev_hash'
+];
+
+/**
+ * AuditEntry Model
+ * Satu entry append-only di audit chain; hash mencakup prev_hash sehingga perubahan
+ * atau penghapusan entry lama membuat chain tidak valid
+ */
+export class AuditEntry {
+  constructor(data = {}) {
+    this.chain_id = data.chain_id;
+    this.sequence = data.sequence ?? null;
+    this.id = data.id || uuidv4();
+    this.action = data.action;
+    this.actor_id = data.actor_id ?? null;
+    this.actor_type = data.actor_type || 'user';
+    this.api_key_id = data.api_key_id ?? null;
+    this.target_type = data.target_type ?? null;
+    this.target_id = data.target_id ?? null;
+    this.outcome = data.outcome || 'success';
+    this.ip = data.ip ?? null;
+    this.user_agent = data.user_agent ?? null;
+    this.details = data.details || {};
+    this.created_at = data.created_at ? new Date(data.created_at) : new Date();
+    this.prev_hash = data.prev_hash ?? null;
+    this.hash = data.hash ?? null;
+  }
+
+  /**
+   * Hash entry (SHA-256, atau HMAC-SHA256 jika secret diset)
+   * @param {Object} entry - AuditEntry atau record dari storage
+   * @param {string|null} secret - AUDIT_HASH_SECRET
+   */
+  static computeHash(entry, secret = null) {
+    const payload = JSON.stringify(HASHED_FIELDS.map(field => {
+      const value = entry[field];
+      if (field === 'created_at') {
+        return new Date(value).toISOString();
+      }
+      if (field === 'details') {
+        return JSON.stringify(value || {});
+      }
+      return value ?? null;
+    }));
+
+    return secret
+      ? crypto.createHmac('sha256', secret).update(payload).digest('hex')
+      : crypto.createHash('sha256').update(payload).digest('hex');
+  }
+
+  /**
+   * Verifikasi urutan entries (ascending by sequence)
+   * @param {Array} entries - Entries berurutan
+   * @param {Object} options - { secret, prevHash: hash entry sebelum entries[0] }
+   * @returns {Object} { valid, checked, first_sequence, last_sequence, last_hash, broken_at }
+   */
+  static verifyChain(entries, options = {}) {
+    const result = {
+      valid: true,
+      checked: 0,
+      first_sequence: entries.length > 0 ? entries[0].sequence : null,
+      last_sequence: null,
+      last_hash: options.prevHash || null,
+      broken_at: null
+    };
+
+    let expectedPrevHash = options.prevHash || (entries[0]?.sequence === 1 ? AUDIT_GENESIS_HASH : null);
+    let expectedSequence = entries[0]?.sequence ?? null;
+
+    for (const entry of entries) {
+      let reason = null;
+
+      if (entry.sequence !== expectedSequence) {
+        reason = `Missing entries: expected sequence ${expectedSequence}, found ${entry.sequence}`;
+      } else if (expectedPrevHash && entry.prev_hash !== expectedPrevHash) {
+        reason = 'prev_hash does not match the hash of the previous entry';
+      } else if (entry.hash !== this.computeHash(entry, options.secret)) {
+        reason = 'Entry hash does not match its content';
+      }
+
+      if (reason) {
+        result.valid = false;
+        result.broken_at = { sequence: entry.sequence, id: entry.id, reason };
+        return result;
+      }
+
+      result.checked += 1;
+      result.last_sequence = entry.sequence;
+      result.last_hash = entry.hash;
+      expectedPrevHash = entry.hash;
+      expectedSequence = entry.sequence + 1;
+    }
+
+    return result;
+  }
+
+  /**
+   * Cek apakah entry cocok dengan filters query /audit
+   * action bisa berupa prefix dengan wildcard, mis. 'api_key.*'
+   */
+  static matchesFilters(entry, filters = {}) {
+    if (filters.action) {
+      const matchesAction = filters.action.endsWith('*')
+        ? entry.action.startsWith(filters.action.slice(0, -1))
+        : entry.action === filters.action;
+      if (!matchesAction) return false;
+    }
+
+    if (filters.actor_id && entry.actor_id !== filters.actor_id) return false;
+    if (filters.target_type && entry.target_type !== filters.target_type) return false;
+    if (filters.target_id && entry.target_id !== filters.target_id) return false;
+    if (filters.outcome && entry.outcome !== filters.outcome) return false;
+    if (filters.from && new Date(entry.created_at) < new Date(filters.from)) return false;
+    if (filters.to && new Date(entry.created_at) > new Date(filters.to)) return false;
+
+    return true;
+  }
+
+  /**
+   * Validation schema untuk filters query dan export audit log
+   */
+  static getQuerySchema() {
+    return Joi.object({
+      action: Joi.string().max(100).pattern(/^[a-z_.]+\*?$/)
+        .messages({
+          'string.pattern.base': 'action harus berupa nama action atau prefix dengan *, mis. api_key.*'
+        }),
+      actor_id: Joi.string().max(100),
+      target_type: Joi.string().max(50),
+      target_id: Joi.string().max(200),
+      outcome: Joi.string().valid(...AUDIT_OUTCOMES),
+      from: Joi.date().iso(),
+      to: Joi.date().iso().min(Joi.ref('from')),
+      before: Joi.number().integer().min(1)
+        .messages({
+          'number.base': 'before harus berupa sequence number'
+        }),
+      limit: Joi.number().integer().min(1).max(500).default(100)
+    });
+  }
+
+  /**
+   * Convert to JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      chain_id: this.chain_id,
+      sequence: this.sequence,
+      action: this.action,
+      actor_id: this.actor_id,
+      actor_type: this.actor_type,
+      api_key_id: this.api_key_id,
+      target_type: this.target_type,
+      target_id: this.target_id,
+      outcome: this.outcome,
+      ip: this.ip,
+      user_agent: this.user_agent,
+      details: this.details,
+      created_at: this.created_at,
+      prev_hash: this.prev_hash,
+      hash: this.hash
+    };
+  }
+}
+
+export default AuditEntry;
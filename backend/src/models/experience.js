@@ -370,37 +370,46 @@ export class Experience {
     }
   }
 
+  /**
+   * Tambah milestone ke journey (state only, tanpa persistence)
+   */
+  _applyMilestone(noteId, milestone) {
+    if (this.status === 'completed') {
+      throw new Error('Tidak dapat menambah milestone ke experience yang sudah selesai');
+    }
+
+    // Cek apakah note_id sudah ada dalam journey
+    if (this.journey.some(j => j.note_id === noteId)) {
+      throw new Error('Note ID sudah ada dalam journey');
+    }
+
+    // Tentukan sequence number berikutnya
+    const maxSequence = this.journey.length > 0 
+      ? Math.max(...this.journey.map(j => j.sequence))
+      : 0;
+
+    const newJourney = {
+      sequence: maxSequence + 1,
+      note_id: noteId,
+      timestamp: new Date(),
+      milestone: milestone
+    };
+
+    this.journey.push(newJourney);
+    this.updated_at = new Date();
+
+    return newJourney;
+  }
+
   /**
    * Tambah milestone baru ke journey
    */
   async addMilestone(noteId, milestone, { redis, scylla, elasticsearch }) {
     try {
-      if (this.status === 'completed') {
-        throw new Error('Tidak dapat menambah milestone ke experience yang sudah selesai');
-      }
-
       // Verifikasi note_id exists
       await Experience._verifyJourneyNotes([{ note_id: noteId }], { scylla });
 
-      // Cek apakah note_id sudah ada dalam journey
-      if (this.journey.some(j => j.note_id === noteId)) {
-        throw new Error('Note ID sudah ada dalam journey');
-      }
-
-      // Tentukan sequence number berikutnya
-      const maxSequence = this.journey.length > 0 
-        ? Math.max(...this.journey.map(j => j.sequence))
-        : 0;
-
-      const newJourney = {
-        sequence: maxSequence + 1,
-        note_id: noteId,
-        timestamp: new Date(),
-        milestone: milestone
-      };
-
-      this.journey.push(newJourney);
-      this.updated_at = new Date();
+      this._applyMilestone(noteId, milestone);
 
       // Update di database
       const updateQuery = `
@@ -439,54 +448,63 @@ export class Experience {
   }
 
   /**
-   * Complete experience dengan outcomes dan lessons learned
+   * Apply completion data (state only, tanpa persistence)
    */
-  async complete(completionData, { redis, scylla, elasticsearch }) {
-    try {
-      if (this.status === 'completed') {
-        throw new Error('Experience sudah dalam status completed');
-      }
+  _applyCompletion(completionData) {
+    if (this.status === 'completed') {
+      throw new Error('Experience sudah dalam status completed');
+    }
 
-      // Validasi completion data
-      const completionSchema = Joi.object({
-        success: Joi.boolean().required(),
-        metrics: Joi.object().default({}),
-        duration_hours: Joi.number().min(0).optional(),
-        iterations: Joi.number().integer().min(1).optional(),
-        lessons_learned: Joi.array().items(Joi.string().min(5)).min(1).required()
-          .messages({
-            'array.min': 'Minimal 1 lesson learned diperlukan untuk menyelesaikan experience'
-          })
-      });
+    // Validasi completion data
+    const completionSchema = Joi.object({
+      success: Joi.boolean().required(),
+      metrics: Joi.object().default({}),
+      duration_hours: Joi.number().min(0).optional(),
+      iterations: Joi.number().integer().min(1).optional(),
+      lessons_learned: Joi.array().items(Joi.string().min(5)).min(1).required()
+        .messages({
+          'array.min': 'Minimal 1 lesson learned diperlukan untuk menyelesaikan experience'
+        })
+    });
 
-      const { error, value } = completionSchema.validate(completionData);
-      if (error) {
-        throw new Error(`Validasi completion data gagal: ${error.details.map(d => d.message).join(', ')}`);
-      }
+    const { error, value } = completionSchema.validate(completionData);
+    if (error) {
+      throw new Error(`Validasi completion data gagal: ${error.details.map(d => d.message).join(', ')}`);
+    }
 
-      // Calculate duration jika tidak disediakan
-      if (!value.duration_hours && this.journey.length > 0) {
-        const startTime = new Date(this.journey[0].timestamp);
-        const endTime = new Date();
-        value.duration_hours = (endTime - startTime) / (1000 * 60 * 60); // ms to hours
-      }
+    // Calculate duration jika tidak disediakan
+    if (!value.duration_hours && this.journey.length > 0) {
+      const startTime = new Date(this.journey[0].timestamp);
+      const endTime = new Date();
+      value.duration_hours = (endTime - startTime) / (1000 * 60 * 60); // ms to hours
+    }
 
-      // Calculate iterations jika tidak disediakan
-      if (!value.iterations) {
-        value.iterations = this.journey.length;
-      }
+    // Calculate iterations jika tidak disediakan
+    if (!value.iterations) {
+      value.iterations = this.journey.length;
+    }
 
-      // Update properties
-      this.outcomes = {
-        success: value.success,
-        metrics: value.metrics,
-        duration_hours: value.duration_hours,
-        iterations: value.iterations
-      };
-      this.lessons_learned = value.lessons_learned;
-      this.status = 'completed';
-      this.completed_at = new Date();
-      this.updated_at = new Date();
+    // Update properties
+    this.outcomes = {
+      success: value.success,
+      metrics: value.metrics,
+      duration_hours: value.duration_hours,
+      iterations: value.iterations
+    };
+    this.lessons_learned = value.lessons_learned;
+    this.status = 'completed';
+    this.completed_at = new Date();
+    this.updated_at = new Date();
+
+    return this;
+  }
+
+  /**
+   * Complete experience dengan outcomes dan lessons learned
+   */
+  async complete(completionData, { redis, scylla, elasticsearch }) {
+    try {
+      this._applyCompletion(completionData);
 
       // Extract applicable domains dari journey notes
       if (this.applicable_domains.length === 0) {
@@ -582,19 +600,28 @@ export class Experience {
     }
   }
 
+  /**
+   * Apply abandon (state only, tanpa persistence)
+   */
+  _applyAbandon(reason) {
+    if (this.status === 'completed') {
+      throw new Error('Tidak dapat abandon experience yang sudah completed');
+    }
+
+    this.status = 'abandoned';
+    this.outcomes.success = false;
+    this.outcomes.abandon_reason = reason;
+    this.updated_at = new Date();
+
+    return this;
+  }
+
   /**
    * Abandon experience
    */
   async abandon(reason, { redis, scylla, elasticsearch }) {
     try {
-      if (this.status === 'completed') {
-        throw new Error('Tidak dapat abandon experience yang sudah completed');
-      }
-
-      this.status = 'abandoned';
-      this.outcomes.success = false;
-      this.outcomes.abandon_reason = reason;
-      this.updated_at = new Date();
+      this._applyAbandon(reason);
 
       // Update di database
       const updateQuery = `
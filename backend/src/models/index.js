@@ -333,14 +333,14 @@ export class ModelStats {
    * @returns {Promise<Object>} - Statistics object
    */
   async getAllStats() {
-    const { scylla } = this.db.getConnections();
+    const { scylla, elasticsearch } = this.db.getConnections();
     
     const stats = {};
     
     // Get stats dari setiap model
     const statPromises = [
       User.getStats({ scylla }).then(s => ({ model: 'User', stats: s })),
-      Note.getAgentStats('all', { scylla }).then(s => ({ model: 'Note', stats: s })),
+      Note.getAgentStats('all', { elasticsearch }).then(s => ({ model: 'Note', stats: s })),
       Knowledge.getStats({ scylla }).then(s => ({ model: 'Knowledge', stats: s })),
       Experience.getStats({ scylla }).then(s => ({ model: 'Experience', stats: s })),
       Session.getAnalytics({}, { scylla }).then(s => ({ model: 'Session', stats: s }))
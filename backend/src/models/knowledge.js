@@ -1,6 +1,16 @@
 import Joi from 'joi';
 import { v4 as uuidv4 } from 'uuid';
 
+/**
+ * Transisi status yang diperbolehkan (draft → review → published → archived)
+ */
+export const KNOWLEDGE_STATUS_TRANSITIONS = {
+  draft: ['review', 'archived'],
+  review: ['published', 'draft', 'archived'],
+  published: ['archived'],
+  archived: ['draft'] // allow unarchive
+};
+
 /**
  * Knowledge Model
  * Aggregated understanding dari multiple notes
@@ -20,6 +30,13 @@ export class Knowledge {
     this.created_at = data.created_at || new Date();
   }
 
+  /**
+   * Cek apakah transisi status diperbolehkan
+   */
+  static canTransition(fromStatus, toStatus) {
+    return (KNOWLEDGE_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
   /**
    * Validation schema untuk Knowledge entity
    */
@@ -503,14 +520,7 @@ export class Knowledge {
    * Update status knowledge (state transition)
    */
   async updateStatus(newStatus, { redis, scylla, elasticsearch }) {
-    const validTransitions = {
-      draft: ['review', 'archived'],
-      review: ['published', 'draft', 'archived'],
-      published: ['archived'],
-      archived: ['draft'] // allow unarchive
-    };
-
-    if (!validTransitions[this.status].includes(newStatus)) {
+    if (!Knowledge.canTransition(this.status, newStatus)) {
       throw new Error(`Transisi status dari ${this.status} ke ${newStatus} tidak diperbolehkan`);
     }
 
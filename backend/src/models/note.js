@@ -1,5 +1,6 @@
 import Joi from 'joi';
 import { v4 as uuidv4 } from 'uuid';
+import { embeddingConfig } from '../config/app.js';
 
 /**
  * Note Model
@@ -15,6 +16,8 @@ export class Note {
     this.context = data.context || {};
     this.content = data.content || {};
     this.embeddings = data.embeddings || [];
+    this.embedding_model = data.embedding_model || null;
+    this.embedding_dimensions = data.embedding_dimensions || (this.embeddings.length || null);
     this.metadata = data.metadata || {};
     this.created_at = data.created_at || new Date();
     this.updated_at = data.updated_at || new Date();
@@ -69,10 +72,15 @@ export class Note {
         errors: Joi.array().items(Joi.string()).default([]),
         solution: Joi.string().allow('').default('')
       }).required(),
-      embeddings: Joi.array().items(Joi.number()).length(768)
+      embeddings: Joi.array().items(Joi.number()).length(embeddingConfig.dimensions)
         .messages({
-          'array.length': 'embeddings harus memiliki 768 dimensi (BERT-based model)'
+          'array.length': 'embeddings harus memiliki {#limit} dimensi (sesuai EMBEDDING_DIMENSIONS)'
         }),
+      embedding_model: Joi.string().max(200).when('embeddings', {
+        is: Joi.exist(),
+        then: Joi.optional().default(embeddingConfig.model)
+      }),
+      embedding_dimensions: Joi.number().integer().valid(embeddingConfig.dimensions).optional(),
       metadata: Joi.object({
         tokens_used: Joi.number().integer().min(0).default(0),
         duration_ms: Joi.number().integer().min(0).default(0),
@@ -98,6 +106,21 @@ export class Note {
     });
   }
 
+  /**
+   * Text representasi note untuk embedding
+   * Dipakai oleh semua pipeline embedding agar vector antar model bisa dibandingkan
+   */
+  static getEmbeddingText(note) {
+    return [
+      note.context?.task,
+      note.content?.action,
+      note.content?.result,
+      note.content?.learning,
+      note.content?.solution,
+      ...(note.context?.tags || [])
+    ].filter(Boolean).join(' ');
+  }
+
   /**
    * Membuat Note baru dengan validasi
    */
@@ -115,9 +138,9 @@ export class Note {
       const insertQuery = `
         INSERT INTO notes (
           id, agent_id, session_id, timestamp, type, 
-          context, content, embeddings, metadata, 
-          created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          context, content, embeddings, embedding_model, embedding_dimensions,
+          metadata, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
       
       await scylla.execute(insertQuery, [
@@ -129,6 +152,8 @@ export class Note {
         JSON.stringify(note.context),
         JSON.stringify(note.content),
         note.embeddings,
+        note.embedding_model,
+        note.embedding_dimensions,
         JSON.stringify(note.metadata),
         note.created_at,
         note.updated_at
@@ -185,6 +210,8 @@ export class Note {
         context: JSON.parse(row.context),
         content: JSON.parse(row.content),
         embeddings: row.embeddings,
+        embedding_model: row.embedding_model,
+        embedding_dimensions: row.embedding_dimensions,
         metadata: JSON.parse(row.metadata),
         created_at: row.created_at,
         updated_at: row.updated_at
@@ -236,6 +263,8 @@ export class Note {
         context: JSON.parse(row.context),
         content: JSON.parse(row.content),
         embeddings: row.embeddings,
+        embedding_model: row.embedding_model,
+        embedding_dimensions: row.embedding_dimensions,
         metadata: JSON.parse(row.metadata),
         created_at: row.created_at,
         updated_at: row.updated_at
@@ -472,36 +501,46 @@ export class Note {
 
   /**
    * Mengambil statistics Note untuk agent
+   * Notes di ScyllaDB tidak dipartisi per agent/user, jadi agregasi dilakukan di Elasticsearch
+   * @param {Object} options - { userIds } untuk membatasi notes dari user tertentu (agent registry)
    */
-  static async getAgentStats(agentId, { scylla }) {
+  static async getAgentStats(agentId, { elasticsearch }, options = {}) {
     try {
-      const statsQuery = `
-        SELECT type, COUNT(*) as count, AVG(metadata.tokens_used) as avg_tokens
-        FROM notes 
-        WHERE agent_id = ? AND metadata.archived IS NULL
-        GROUP BY type
-      `;
-      
-      const result = await scylla.execute(statsQuery, [agentId]);
-      
-      const stats = {
-        total_notes: 0,
-        by_type: {},
-        avg_tokens: 0
-      };
+      const filter = [{ term: { agent_id: agentId } }];
+      if (options.userIds) {
+        filter.push({ terms: { 'metadata.user_id': options.userIds } });
+      }
 
-      let totalTokens = 0;
-      
-      result.rows.forEach(row => {
-        const count = parseInt(row.count);
-        stats.total_notes += count;
-        stats.by_type[row.type] = count;
-        totalTokens += row.avg_tokens * count;
+      const response = await elasticsearch.search({
+        index: 'notes',
+        body: {
+          size: 0,
+          track_total_hits: true,
+          query: {
+            bool: {
+              filter,
+              must_not: [{ term: { 'metadata.archived': true } }]
+            }
+          },
+          aggs: {
+            by_type: { terms: { field: 'type', size: 50 } },
+            avg_tokens: { avg: { field: 'metadata.tokens_used' } },
+            first_note_at: { min: { field: 'created_at' } },
+            last_note_at: { max: { field: 'created_at' } }
+          }
+        }
       });
 
-      stats.avg_tokens = stats.total_notes > 0 ? totalTokens / stats.total_notes : 0;
+      const { hits, aggregations } = response.body || response;
+      const totalNotes = typeof hits.total === 'number' ? hits.total : hits.total.value;
 
-      return stats;
+      return {
+        total_notes: totalNotes,
+        by_type: Object.fromEntries(aggregations.by_type.buckets.map(bucket => [bucket.key, bucket.doc_count])),
+        avg_tokens: aggregations.avg_tokens.value || 0,
+        first_note_at: aggregations.first_note_at.value !== null ? new Date(aggregations.first_note_at.value) : null,
+        last_note_at: aggregations.last_note_at.value !== null ? new Date(aggregations.last_note_at.value) : null
+      };
     } catch (err) {
       throw new Error(`Gagal mengambil statistik: ${err.message}`);
     }
@@ -520,6 +559,8 @@ export class Note {
       context: this.context,
       content: this.content,
       embeddings: this.embeddings,
+      embedding_model: this.embedding_model,
+      embedding_dimensions: this.embedding_dimensions,
       metadata: this.metadata,
       created_at: this.created_at,
       updated_at: this.updated_at
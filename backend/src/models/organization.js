@@ -0,0 +1,100 @@
+import Joi from 'joi';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Roles dalam organization, urut dari tertinggi
+ */
+export const ORG_ROLES = ['owner', 'admin', 'writer', 'reader'];
+
+/**
+ * Permissions per role, dipakai requirePermission() (lib/auth-lib/middleware.js)
+ * - memory:read/write: notes, knowledge, experiences dan sessions yang di-scope ke organization/team
+ * - memory:share: share memory team ke team lain
+ */
+export const ORG_PERMISSIONS = {
+  owner: ['memory:read', 'memory:write', 'memory:share', 'members:manage', 'teams:manage', 'org:manage'],
+  admin: ['memory:read', 'memory:write', 'memory:share', 'members:manage', 'teams:manage'],
+  writer: ['memory:read', 'memory:write'],
+  reader: ['memory:read']
+};
+
+/**
+ * Organization Model
+ * Organization dengan members (role) dan teams untuk shared memory
+ */
+export class Organization {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.name = data.name;
+    this.description = data.description || null;
+    this.created_by = data.created_by || null;
+    this.created_at = data.created_at || new Date();
+    this.updated_at = data.updated_at || null;
+  }
+
+  /**
+   * Permissions untuk role (role tidak dikenal = tanpa permission)
+   */
+  static getPermissions(role) {
+    return ORG_PERMISSIONS[role] || [];
+  }
+
+  static hasPermission(role, permission) {
+    return this.getPermissions(role).includes(permission);
+  }
+
+  /**
+   * Cek apakah role minimal setara minimumRole (owner > admin > writer > reader)
+   */
+  static isAtLeast(role, minimumRole) {
+    const rank = ORG_ROLES.indexOf(role);
+    return rank !== -1 && rank <= ORG_ROLES.indexOf(minimumRole);
+  }
+
+  /**
+   * Validation schema untuk Organization entity
+   */
+  static getValidationSchema() {
+    return Joi.object({
+      id: Joi.string().uuid().optional(),
+      name: Joi.string().trim().required().min(2).max(100)
+        .messages({
+          'any.required': 'name wajib diisi',
+          'string.min': 'name minimal 2 karakter',
+          'string.max': 'name maksimal 100 karakter'
+        }),
+      description: Joi.string().max(500).allow('', null).optional(),
+      created_by: Joi.string().optional(),
+      created_at: Joi.date().optional(),
+      updated_at: Joi.date().allow(null).optional()
+    });
+  }
+
+  /**
+   * Validasi data Organization
+   */
+  static validate(data) {
+    const schema = this.getValidationSchema();
+    return schema.validate(data, {
+      abortEarly: false,
+      allowUnknown: false,
+      stripUnknown: true
+    });
+  }
+
+  /**
+   * Convert to JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      created_by: this.created_by,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+export default Organization;
@@ -593,8 +593,9 @@ export class User {
 
   /**
    * Check subscription limits
+   * @param {Object} counts - Pemakaian saat ini yang tidak ada di usage (mis. { active_agents })
    */
-  checkLimits(operation) {
+  checkLimits(operation, counts = {}) {
     const limits = {
       basic: {
         max_queries_per_month: 10000,
@@ -652,14 +653,18 @@ export class User {
         }
         break;
       
-      case 'agent':
-        // This would need additional check for current active agents
-        // For now, just check the configured limit
-        if (this.subscription.agent_limit <= 0) {
+      case 'agent': {
+        // agent_limit subscription (-1 = unlimited) dibandingkan dengan agents aktif di registry
+        const agentLimit = this.subscription.agent_limit ?? this.subscription.agentLimit ?? tierLimits.max_agents;
+        const activeAgents = counts.active_agents || 0;
+        result.usage = { ...this.usage, active_agents: activeAgents };
+
+        if (agentLimit !== -1 && activeAgents >= agentLimit) {
           result.valid = false;
-          result.reason = 'Agent limit reached';
+          result.reason = `Agent limit reached: ${activeAgents} of ${agentLimit} active agents`;
         }
         break;
+      }
     }
 
     return result;
@@ -0,0 +1,378 @@
+/**
+ * Agent Service
+ *
+ * Agent registry: setiap agent_id yang menulis notes/sessions terdaftar di bawah user
+ * (atau organization) dengan metadata model, owner dan purpose. Agent disabled tidak boleh
+ * menulis, dan jumlah agent aktif dibatasi agent_limit subscription (User.checkLimits('agent'))
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { Agent } from '../models/agent.js';
+import { Note } from '../models/note.js';
+import { User } from '../models/user.js';
+import { Organization } from '../models/organization.js';
+import OrganizationService from './organization.service.js';
+import { agentConfig } from '../config/app.js';
+
+// Lock per owner agar cek agent limit dan insert tidak balapan antar request/instance
+const REGISTRATION_LOCK_TTL = 10; // seconds
+const REGISTRATION_LOCK_WAIT_MS = 2000;
+const REGISTRATION_LOCK_RETRY_MS = 50;
+
+/**
+ * Error dengan name/status yang dipetakan validateAgentAccess dan route /agents ke HTTP status
+ */
+function agentError(message, name, status, code = null) {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+}
+
+/**
+ * AgentService Class
+ */
+export class AgentService {
+  constructor(storageService, config = {}) {
+    this.storage = storageService;
+    this.config = {
+      ...agentConfig,
+      ...config
+    };
+
+    this.organizationService = new OrganizationService(storageService);
+  }
+
+  // Registry
+
+  /**
+   * Daftarkan agent baru untuk user, optional di organization (butuh memory:write)
+   * @param {Object} user - req.user
+   * @param {Object} data - { agent_id, org_id, name, description, model, owner, purpose, metadata }
+   * @param {Object} options - { registeredVia: 'api' | 'auto' }
+   */
+  async registerAgent(user, data, options = {}) {
+    const userId = user.id.toString();
+    const { error, value } = Agent.validate(data);
+    if (error) {
+      throw agentError(`Invalid agent: ${error.details.map(detail => detail.message).join(', ')}`, 'ValidationError', 400);
+    }
+
+    if (value.org_id) {
+      const role = await this.getOrganizationRole(userId, value.org_id);
+      if (!Organization.hasPermission(role, 'memory:write')) {
+        throw agentError(`Permission denied: 'memory:write' required in organization ${value.org_id}`, 'ForbiddenError', 403);
+      }
+      if (await this.storage.getOrganizationAgent(value.org_id, value.agent_id)) {
+        throw agentError(`Agent already exists: ${value.agent_id}`, 'ConflictError', 409);
+      }
+    }
+
+    const agent = new Agent({
+      ...value,
+      user_id: userId,
+      registered_via: options.registeredVia || 'api',
+      created_at: new Date().toISOString()
+    });
+
+    await this.withRegistrationLock(userId, async () => {
+      // Dicek di dalam lock agar request paralel untuk agent yang sama mendapat conflict, bukan limit
+      if (await this.storage.getAgent(userId, agent.id)) {
+        throw agentError(`Agent already exists: ${agent.id}`, 'ConflictError', 409);
+      }
+
+      await this.checkAgentLimit(user);
+
+      if (!await this.storage.createAgent(agent)) {
+        throw agentError(`Agent already exists: ${value.agent_id}`, 'ConflictError', 409);
+      }
+    });
+    await this.invalidateAgent(userId, agent.id);
+
+    console.log(`🤖 Agent registered: ${agent.id} by user ${userId}${agent.org_id ? ` in organization ${agent.org_id}` : ''} (${agent.registered_via})`);
+
+    return agent.toJSON();
+  }
+
+  /**
+   * List agents milik user, atau agents organization (member)
+   * @param {Object} filters - { status, org_id }
+   */
+  async listAgents(user, filters = {}) {
+    const userId = user.id.toString();
+    let agents;
+
+    if (filters.org_id) {
+      await this.getOrganizationRole(userId, filters.org_id);
+      const entries = await this.storage.getOrganizationAgents(filters.org_id);
+      agents = (await Promise.all(entries.map(entry => this.storage.getAgent(entry.user_id, entry.agent_id)))).filter(Boolean);
+    } else {
+      agents = await this.storage.getAgentsByUser(userId);
+    }
+
+    return agents
+      .filter(agent => !filters.status || agent.status === filters.status)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .map(agent => new Agent(agent).toJSON());
+  }
+
+  async getAgent(user, agentId) {
+    const agent = await this.resolveAgent(user, agentId);
+    if (!agent) {
+      throw agentError(`Agent not found: ${agentId}`, 'NotFoundError', 404);
+    }
+
+    return new Agent(agent).toJSON();
+  }
+
+  /**
+   * Ubah deskripsi agent (owner agent atau admin organization)
+   */
+  async updateAgent(user, agentId, updates) {
+    const { error, value } = Agent.getUpdateSchema().validate(updates, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      throw agentError(`Invalid agent: ${error.details.map(detail => detail.message).join(', ')}`, 'ValidationError', 400);
+    }
+
+    const agent = await this.getManageableAgent(user, agentId);
+    const updated = new Agent({ ...agent, ...value, updated_at: new Date().toISOString() });
+
+    await this.storage.saveAgent(updated);
+    await this.invalidateAgent(agent.user_id, agent.id);
+
+    return updated.toJSON();
+  }
+
+  /**
+   * Enable/disable agent; enable kembali dihitung terhadap agent limit owner
+   * @param {string} status - active | disabled
+   */
+  async setAgentStatus(user, agentId, status) {
+    const agent = await this.getManageableAgent(user, agentId);
+
+    if (agent.status === status) {
+      return new Agent(agent).toJSON();
+    }
+
+    const now = new Date().toISOString();
+    const updated = new Agent({
+      ...agent,
+      status,
+      updated_at: now,
+      disabled_at: status === 'disabled' ? now : null
+    });
+
+    if (status === 'active') {
+      const owner = agent.user_id === user.id.toString()
+        ? user
+        : await this.organizationService.authService.findUserById(agent.user_id);
+
+      await this.withRegistrationLock(agent.user_id, async () => {
+        await this.checkAgentLimit(owner);
+        await this.storage.saveAgent(updated);
+      });
+    } else {
+      await this.storage.saveAgent(updated);
+    }
+    await this.invalidateAgent(agent.user_id, agent.id);
+
+    console.log(`🤖 Agent ${agent.id} ${status === 'disabled' ? 'disabled' : 'enabled'} by user ${user.id}`);
+
+    return updated.toJSON();
+  }
+
+  /**
+   * Statistics notes agent (Note.getAgentStats), hanya notes dari owner atau members organization
+   */
+  async getAgentStats(user, agentId) {
+    const agent = await this.resolveAgent(user, agentId);
+    if (!agent) {
+      throw agentError(`Agent not found: ${agentId}`, 'NotFoundError', 404);
+    }
+
+    const userIds = agent.org_id
+      ? (await this.storage.getOrganizationMembers(agent.org_id)).map(member => member.user_id)
+      : [agent.user_id];
+
+    const stats = await Note.getAgentStats(agent.id, { elasticsearch: await this.storage.search() }, { userIds });
+
+    return {
+      agent: new Agent(agent).toJSON(),
+      stats
+    };
+  }
+
+  // Enforcement
+
+  /**
+   * Pastikan agent boleh menulis: terdaftar (atau auto-register jika diaktifkan) dan tidak disabled
+   * @throws {Error} Agent not registered / Agent is disabled (403) / Agent limit reached (403, code AGENT_LIMIT_REACHED)
+   */
+  async ensureAgent(user, agentId) {
+    let agent = await this.resolveAgent(user, agentId);
+
+    if (!agent) {
+      if (!this.config.autoRegister) {
+        throw agentError(`Agent not registered: ${agentId}`, 'ForbiddenError', 403);
+      }
+
+      try {
+        return await this.registerAgent(user, { agent_id: agentId }, { registeredVia: 'auto' });
+      } catch (error) {
+        // Request paralel dengan agent yang sama sudah mendaftarkannya lebih dulu
+        if (error.name !== 'ConflictError') {
+          throw error;
+        }
+        agent = await this.resolveAgent(user, agentId);
+        if (!agent) {
+          throw error;
+        }
+      }
+    }
+
+    if (agent.status === 'disabled') {
+      throw agentError(`Agent is disabled: ${agentId}`, 'ForbiddenError', 403);
+    }
+
+    return new Agent(agent).toJSON();
+  }
+
+  /**
+   * Cari agent milik user, lalu agent organization tempat user menjadi member
+   * @returns {Object|null} Agent record
+   */
+  async resolveAgent(user, agentId) {
+    const userId = user.id.toString();
+
+    const own = await this.getCachedAgent(userId, agentId);
+    if (own) {
+      return own;
+    }
+
+    const access = await this.organizationService.getAccessContext(userId);
+    for (const orgId of Object.keys(access.organizations)) {
+      const entry = await this.storage.getOrganizationAgent(orgId, agentId);
+      if (entry) {
+        return await this.getCachedAgent(entry.user_id, agentId);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Cek jumlah agent aktif terhadap agent limit subscription
+   */
+  async checkAgentLimit(user) {
+    const userId = user.id.toString();
+    const agents = await this.storage.getAgentsByUser(userId);
+    const activeAgents = agents.filter(agent => agent.status === 'active').length;
+
+    const limits = new User({ id: userId, email: user.email, subscription: user.subscription })
+      .checkLimits('agent', { active_agents: activeAgents });
+
+    if (!limits.valid) {
+      const message = limits.reason.startsWith('Agent limit reached') ? limits.reason : `Agent limit reached: ${limits.reason}`;
+      throw agentError(message, 'ForbiddenError', 403, 'AGENT_LIMIT_REACHED');
+    }
+
+    return limits;
+  }
+
+  /**
+   * Jalankan cek agent limit + write di bawah lock owner (Redis SET NX)
+   * Request lain menunggu sampai REGISTRATION_LOCK_WAIT_MS sebelum ditolak dengan 409
+   */
+  async withRegistrationLock(ownerId, fn) {
+    const lockKey = `agent:registration-lock:${ownerId}`;
+    const deadline = Date.now() + REGISTRATION_LOCK_WAIT_MS;
+
+    while (!await this.storage.cacheSetIfAbsent(lockKey, { acquired_at: new Date().toISOString() }, REGISTRATION_LOCK_TTL)) {
+      if (Date.now() >= deadline) {
+        throw agentError('Agent registration in progress, please retry', 'ConflictError', 409);
+      }
+      await new Promise(resolve => setTimeout(resolve, REGISTRATION_LOCK_RETRY_MS));
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await this.storage.cacheDelete(lockKey);
+    }
+  }
+
+  // Helpers
+
+  async getManageableAgent(user, agentId) {
+    const agent = await this.resolveAgent(user, agentId);
+    if (!agent) {
+      throw agentError(`Agent not found: ${agentId}`, 'NotFoundError', 404);
+    }
+
+    const userId = user.id.toString();
+    if (agent.user_id === userId) {
+      return agent;
+    }
+
+    const access = await this.organizationService.getAccessContext(userId);
+    if (agent.org_id && Organization.isAtLeast(access.organizations[agent.org_id], 'admin')) {
+      return agent;
+    }
+
+    throw agentError(`Permission denied: only the agent owner or organization admins can manage agent ${agentId}`, 'ForbiddenError', 403);
+  }
+
+  /**
+   * Role user di organization
+   * @throws {Error} Organization not found jika bukan member
+   */
+  async getOrganizationRole(userId, orgId) {
+    const access = await this.organizationService.getAccessContext(userId);
+    const role = access.organizations[orgId];
+    if (!role) {
+      throw agentError(`Organization not found: ${orgId}`, 'NotFoundError', 404);
+    }
+
+    return role;
+  }
+
+  async getCachedAgent(ownerId, agentId) {
+    const cacheKey = `agent:${ownerId}:${agentId}`;
+
+    try {
+      const cached = await this.storage.cacheGet(cacheKey);
+      if (cached) {
+        return cached;
+      }
+    } catch (cacheError) {
+      console.warn(`⚠️ Agent cache read failed for ${agentId}:`, cacheError.message);
+    }
+
+    const agent = await this.storage.getAgent(ownerId, agentId);
+
+    if (agent) {
+      try {
+        await this.storage.cacheSet(cacheKey, agent, this.config.cacheTTL);
+      } catch (cacheError) {
+        console.warn(`⚠️ Agent cache write failed for ${agentId}:`, cacheError.message);
+      }
+    }
+
+    return agent;
+  }
+
+  async invalidateAgent(ownerId, agentId) {
+    try {
+      await this.storage.cacheDelete(`agent:${ownerId}:${agentId}`);
+    } catch (cacheError) {
+      console.warn(`⚠️ Agent cache invalidation failed for ${agentId}:`, cacheError.message);
+    }
+  }
+}
+
+export default AgentService;
@@ -0,0 +1,232 @@
+/**
+ * API Key Service
+ *
+ * Scoped API keys per user: setiap key punya scopes (notes:read, knowledge:publish, ...),
+ * optional expiry, agent binding dan IP allowlist. Rotation membuat key baru dengan
+ * konfigurasi yang sama; key lama tetap berlaku selama grace period agar CI agents bisa
+ * berganti credential tanpa downtime. Primary API key (users.api_key) tetap full access
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { ApiKey } from '../models/api-key.js';
+import { authConfig } from '../config/app.js';
+
+/**
+ * ApiKeyService Class
+ */
+export class ApiKeyService {
+  constructor(storageService, config = {}) {
+    this.storage = storageService;
+    this.config = {
+      ...authConfig.apiKey,
+      ...config
+    };
+  }
+
+  /**
+   * Buat scoped API key; raw key hanya dikembalikan sekali
+   * @param {string} userId - Owner key
+   * @param {Object} data - { name, scopes, agent_ids, ip_allowlist, expires_at }
+   */
+  async createKey(userId, data) {
+    const { error, value } = ApiKey.validate(data);
+    if (error) {
+      throw new Error(`Invalid API key: ${error.details.map(detail => detail.message).join(', ')}`);
+    }
+
+    const keys = await this.storage.getApiKeysByUser(userId);
+    const activeKeys = keys.filter(key => ApiKey.getStatus(key) === 'active');
+
+    if (activeKeys.length >= this.config.maxPerUser) {
+      throw new Error(`API key limit reached: maximum ${this.config.maxPerUser} active keys per user`);
+    }
+
+    if (activeKeys.some(key => key.name === value.name)) {
+      throw new Error(`API key already exists: ${value.name}`);
+    }
+
+    const generated = ApiKey.generate(this.config.prefix);
+    const apiKey = new ApiKey({
+      ...value,
+      user_id: userId,
+      key_hash: generated.key_hash,
+      key_prefix: generated.key_prefix,
+      expires_at: value.expires_at ? new Date(value.expires_at).toISOString() : null,
+      created_at: new Date().toISOString()
+    });
+
+    await this.storage.saveApiKey(apiKey);
+
+    return { ...apiKey.toJSON(), api_key: generated.key };
+  }
+
+  async listKeys(userId) {
+    const keys = await this.storage.getApiKeysByUser(userId);
+    return keys.map(key => new ApiKey(key).toJSON());
+  }
+
+  /**
+   * Get key milik user (key user lain dianggap tidak ada)
+   */
+  async getKey(userId, keyId) {
+    const key = await this.storage.getApiKeyById(keyId);
+    if (!key || key.user_id !== userId.toString()) {
+      throw new Error(`API key not found: ${keyId}`);
+    }
+
+    return key;
+  }
+
+  async revokeKey(userId, keyId) {
+    const key = await this.getKey(userId, keyId);
+
+    if (!key.revoked_at) {
+      key.revoked_at = new Date().toISOString();
+      await this.storage.updateApiKey(key.key_hash, { revoked_at: key.revoked_at });
+      await this.invalidateKey(key.id);
+    }
+
+    return new ApiKey(key).toJSON();
+  }
+
+  /**
+   * Rotate key: key baru mewarisi name, scopes, agent binding, IP allowlist dan expiry;
+   * key lama tetap berlaku sampai grace period habis
+   * @param {Object} options - { grace_period } dalam detik (0 = key lama langsung tidak berlaku)
+   */
+  async rotateKey(userId, keyId, options = {}) {
+    const key = await this.getKey(userId, keyId);
+
+    const status = ApiKey.getStatus(key);
+    if (status !== 'active') {
+      throw new Error(`API key cannot be rotated: key is ${status}`);
+    }
+
+    const gracePeriod = options.grace_period ?? this.config.rotationGracePeriod;
+    if (gracePeriod < 0 || gracePeriod > this.config.maxRotationGracePeriod) {
+      throw new Error(`Invalid grace_period: must be between 0 and ${this.config.maxRotationGracePeriod} seconds`);
+    }
+
+    const now = new Date();
+    const generated = ApiKey.generate(this.config.prefix);
+    const rotated = new ApiKey({
+      user_id: key.user_id,
+      name: key.name,
+      key_hash: generated.key_hash,
+      key_prefix: generated.key_prefix,
+      scopes: key.scopes,
+      agent_ids: key.agent_ids,
+      ip_allowlist: key.ip_allowlist,
+      expires_at: key.expires_at,
+      rotated_from: key.id,
+      created_at: now.toISOString()
+    });
+
+    const graceExpiresAt = new Date(now.getTime() + gracePeriod * 1000).toISOString();
+
+    await this.storage.saveApiKey(rotated);
+    await this.storage.updateApiKey(key.key_hash, {
+      rotated_to: rotated.id,
+      grace_expires_at: graceExpiresAt
+    });
+    await this.invalidateKey(key.id);
+
+    return {
+      ...rotated.toJSON(),
+      api_key: generated.key,
+      previous_key: {
+        id: key.id,
+        grace_expires_at: graceExpiresAt
+      }
+    };
+  }
+
+  /**
+   * Autentikasi raw scoped key untuk token exchange
+   * @returns {Object|null} Key record, null jika bukan scoped key
+   */
+  async authenticateKey(rawKey, { ip } = {}) {
+    if (!rawKey || !rawKey.startsWith(this.config.prefix)) {
+      return null;
+    }
+
+    const key = await this.storage.getApiKeyByHash(ApiKey.hash(rawKey));
+    if (!key) {
+      return null;
+    }
+
+    this.assertUsable(key, ip);
+
+    try {
+      await this.storage.updateApiKey(key.key_hash, { last_used_at: new Date().toISOString() });
+    } catch (error) {
+      console.warn(`⚠️ Failed to update last_used_at for API key ${key.id}:`, error.message);
+    }
+
+    return key;
+  }
+
+  /**
+   * Get key yang masih berlaku untuk validasi token per request (cached)
+   * @returns {Object|null}
+   */
+  async getUsableKey(keyId, { ip } = {}) {
+    const cacheKey = `api_key:${keyId}`;
+    let key = null;
+
+    try {
+      key = await this.storage.cacheGet(cacheKey);
+    } catch (cacheError) {
+      console.warn(`⚠️ API key cache read failed for ${keyId}:`, cacheError.message);
+    }
+
+    if (!key) {
+      key = await this.storage.getApiKeyById(keyId);
+      if (!key) {
+        return null;
+      }
+
+      try {
+        await this.storage.cacheSet(cacheKey, key, this.config.cacheTTL);
+      } catch (cacheError) {
+        console.warn(`⚠️ API key cache write failed for ${keyId}:`, cacheError.message);
+      }
+    }
+
+    try {
+      this.assertUsable(key, ip);
+    } catch {
+      return null;
+    }
+
+    return key;
+  }
+
+  /**
+   * Throw jika key revoked, expired (termasuk grace period habis) atau IP tidak diizinkan
+   */
+  assertUsable(key, ip) {
+    const status = ApiKey.getStatus(key);
+    if (status === 'revoked') {
+      throw new Error('API key has been revoked');
+    }
+    if (status === 'expired') {
+      throw new Error('API key has expired');
+    }
+    if (!ApiKey.allowsIp(key, ip)) {
+      throw new Error('IP address not allowed for this API key');
+    }
+  }
+
+  async invalidateKey(keyId) {
+    try {
+      await this.storage.cacheDelete(`api_key:${keyId}`);
+    } catch (cacheError) {
+      console.warn(`⚠️ API key cache invalidation failed for ${keyId}:`, cacheError.message);
+    }
+  }
+}
+
+export default ApiKeyService;
@@ -0,0 +1,253 @@
+/**
+ * Audit Service
+ *
+ * Audit log append-only untuk aksi security-relevant dan perubahan data (token, API keys,
+ * subscription, note delete, knowledge status, backup). Entries disimpan per chain (user ID
+ * atau 'system') dan di-hash berantai sehingga perubahan entry lama terdeteksi saat verify
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { AuditEntry, AUDIT_GENESIS_HASH } from '../models/audit-entry.js';
+import { auditConfig } from '../config/app.js';
+
+// Append per chain diserialisasi di process ini (dibagi semua instance AuditService);
+// antar process sequence dijaga oleh INSERT ... IF NOT EXISTS
+const chainQueues = new Map();
+
+const CSV_COLUMNS = [
+  'sequence', 'id', 'created_at', 'action', 'outcome', 'actor_type', 'actor_id', 'api_key_id',
+  'target_type', 'target_id', 'ip', 'user_agent', 'details', 'prev_hash', 'hash'
+];
+
+/**
+ * AuditService Class
+ */
+export class AuditService {
+  constructor(storageService, config = {}) {
+    this.storage = storageService;
+    this.config = {
+      ...auditConfig,
+      ...config
+    };
+  }
+
+  // Recording
+
+  /**
+   * Catat entry di audit chain. Kegagalan audit tidak menggagalkan operasi asal,
+   * hanya di-log sebagai error
+   * @param {Object} data - { chain_id, action, actor_id, actor_type, api_key_id, target_type, target_id, outcome, ip, user_agent, details }
+   * @returns {Object|null} Entry yang tersimpan
+   */
+  async record(data) {
+    if (!this.config.enabled) {
+      return null;
+    }
+
+    const chainId = data.chain_id || this.config.systemChain;
+
+    try {
+      return await this.enqueue(chainId, () => this.append(chainId, data));
+    } catch (error) {
+      console.error(`❌ Audit log write failed (${data.action} on chain ${chainId}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Catat aksi dari HTTP request terautentikasi; chain = akun user
+   * @param {Object} req - Express request (req.user dari authenticate)
+   * @param {string} action - Salah satu AUDIT_ACTIONS
+   * @param {Object} data - { target_type, target_id, outcome, details }
+   */
+  async recordRequest(req, action, data = {}) {
+    const userId = req.user.id.toString();
+
+    return await this.record({
+      chain_id: userId,
+      actor_id: userId,
+      actor_type: 'user',
+      api_key_id: req.user.apiKeyId || null,
+      ...this.getRequestContext(req),
+      ...data,
+      action
+    });
+  }
+
+  /**
+   * IP dan user agent dari request
+   */
+  getRequestContext(req) {
+    return {
+      ip: req.ip || null,
+      user_agent: req.get?.('user-agent') || null
+    };
+  }
+
+  async append(chainId, data) {
+    for (let attempt = 0; attempt < this.config.appendRetries; attempt++) {
+      const head = await this.storage.getAuditHead(chainId);
+
+      const entry = new AuditEntry({
+        ...data,
+        chain_id: chainId,
+        sequence: head ? head.sequence + 1 : 1,
+        prev_hash: head ? head.hash : AUDIT_GENESIS_HASH
+      });
+      entry.hash = AuditEntry.computeHash(entry, this.config.hashSecret);
+
+      if (await this.storage.appendAuditEntry(entry)) {
+        return entry.toJSON();
+      }
+    }
+
+    throw new Error(`Audit chain ${chainId} is busy: could not append after ${this.config.appendRetries} attempts`);
+  }
+
+  enqueue(chainId, operation) {
+    const previous = chainQueues.get(chainId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(operation);
+    const tail = current.catch(() => {});
+
+    chainQueues.set(chainId, tail);
+    tail.then(() => {
+      if (chainQueues.get(chainId) === tail) {
+        chainQueues.delete(chainId);
+      }
+    });
+
+    return current;
+  }
+
+  // Query dan export
+
+  /**
+   * Query entries terbaru dulu dengan filters; paging lewat before (sequence)
+   * @param {string} chainId - Chain (user ID)
+   * @param {Object} filters - AuditEntry.getQuerySchema()
+   * @returns {Object} { entries, next_before, scanned }
+   */
+  async queryEntries(chainId, filters = {}) {
+    const limit = filters.limit || 100;
+    const entries = [];
+    let before = filters.before ?? null;
+    let scanned = 0;
+    let exhausted = false;
+
+    while (entries.length < limit && scanned < this.config.maxQueryScan) {
+      const page = await this.storage.getAuditEntries(chainId, {
+        before,
+        limit: Math.min(500, this.config.maxQueryScan - scanned)
+      });
+
+      if (page.length === 0) {
+        exhausted = true;
+        break;
+      }
+
+      for (const entry of page) {
+        scanned += 1;
+        before = entry.sequence;
+
+        if (filters.from && new Date(entry.created_at) < new Date(filters.from)) {
+          // Entries lebih lama dari 'from' tidak perlu di-scan
+          exhausted = true;
+          break;
+        }
+
+        if (AuditEntry.matchesFilters(entry, filters)) {
+          entries.push(entry);
+          if (entries.length === limit) break;
+        }
+      }
+
+      if (exhausted) break;
+    }
+
+    return {
+      entries,
+      next_before: !exhausted && before > 1 ? before : null,
+      scanned
+    };
+  }
+
+  /**
+   * Export entries (urut sequence) beserta hasil verifikasi chain
+   * @param {string} chainId - Chain (user ID)
+   * @param {Object} filters - AuditEntry.getQuerySchema() (tanpa paging)
+   * @returns {Object} { chain_id, exported_at, verification, entries }
+   */
+  async exportEntries(chainId, filters = {}) {
+    const { entries: chain, truncated } = await this.loadChain(chainId);
+    const verification = {
+      ...AuditEntry.verifyChain(chain, { secret: this.config.hashSecret }),
+      truncated
+    };
+
+    return {
+      chain_id: chainId,
+      exported_at: new Date().toISOString(),
+      verification,
+      entries: chain.filter(entry => AuditEntry.matchesFilters(entry, filters))
+    };
+  }
+
+  /**
+   * Verifikasi seluruh chain dari genesis
+   * @returns {Object} { chain_id, valid, checked, last_sequence, last_hash, broken_at, truncated }
+   */
+  async verifyChain(chainId) {
+    const { entries, truncated } = await this.loadChain(chainId);
+
+    return {
+      chain_id: chainId,
+      ...AuditEntry.verifyChain(entries, { secret: this.config.hashSecret }),
+      truncated,
+      verified_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Baca chain ascending dari sequence 1, maksimal maxExportEntries
+   */
+  async loadChain(chainId) {
+    const entries = [];
+    let after = 0;
+
+    while (entries.length < this.config.maxExportEntries) {
+      const page = await this.storage.getAuditEntries(chainId, {
+        after,
+        limit: Math.min(1000, this.config.maxExportEntries - entries.length),
+        order: 'asc'
+      });
+
+      if (page.length === 0) {
+        return { entries, truncated: false };
+      }
+
+      entries.push(...page);
+      after = page[page.length - 1].sequence;
+    }
+
+    const next = await this.storage.getAuditEntries(chainId, { after, limit: 1, order: 'asc' });
+    return { entries, truncated: next.length > 0 };
+  }
+
+  /**
+   * Format entries sebagai CSV (details sebagai JSON)
+   */
+  toCsv(entries) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = value instanceof Date ? value.toISOString() : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = entries.map(entry => CSV_COLUMNS.map(column => escape(entry[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+}
+
+export default AuditService;
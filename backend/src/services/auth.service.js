@@ -10,6 +10,9 @@
 
 import { AuthLib } from '../lib/auth-lib/index.js';
 import { v4 as uuidv4 } from 'uuid';
+import ApiKeyService from './api-key.service.js';
+import AuditService from './audit.service.js';
+import TokenRevocationService from './token-revocation.service.js';
 
 /**
  * AuthService Class
@@ -19,6 +22,9 @@ export class AuthService {
   constructor(storageService) {
     this.storage = storageService;
     this.authLib = new AuthLib();
+    this.apiKeyService = new ApiKeyService(storageService);
+    this.auditService = new AuditService(storageService);
+    this.tokenRevocationService = new TokenRevocationService(storageService);
     
     // Konfigurasi subscription tiers
     this.subscriptionTiers = {
@@ -43,9 +49,10 @@ export class AuthService {
   /**
    * Register subscriber baru
    * @param {Object} subscriberData - Data subscriber
+   * @param {Object} context - { ip, user_agent } untuk audit log
    * @returns {Object} Subscription response dengan user_id dan api_key
    */
-  async subscribe(subscriberData) {
+  async subscribe(subscriberData, context = {}) {
     try {
       const { email, organization, tier } = subscriberData;
 
@@ -89,6 +96,17 @@ export class AuthService {
       // Simpan ke database
       await this.saveUser(userData);
 
+      await this.auditService.record({
+        chain_id: userId,
+        action: 'subscription.create',
+        actor_id: userId,
+        target_type: 'subscription',
+        target_id: userId,
+        ip: context.ip,
+        user_agent: context.user_agent,
+        details: { tier, organization, expires_at: subscription.expiresAt }
+      });
+
       // Return response sesuai OpenAPI schema
       return {
         user_id: userId,
@@ -107,42 +125,35 @@ export class AuthService {
 
   /**
    * Generate access token dari API key
+   * Primary API key memberi full access; scoped API key membawa keyId di token
+   * sehingga scopes, agent binding dan IP allowlist dicek di setiap request.
+   * Setiap token pair memulai refresh token family baru (kecuali refreshable: false)
    * @param {string} apiKey - API key dari subscriber
+   * @param {Object} options - { ip } untuk IP allowlist scoped key, { refreshable } untuk family
    * @returns {Object} Token response dengan access_token dan refresh_token
    */
-  async generateToken(apiKey) {
+  async generateToken(apiKey, options = {}) {
     try {
       // Validasi API key
-      const user = await this.findUserByApiKey(apiKey);
+      let scopedKey = null;
+      let user = await this.findUserByApiKey(apiKey);
       if (!user) {
-        throw new Error('Invalid API key');
+        scopedKey = await this.apiKeyService.authenticateKey(apiKey, { ip: options.ip });
+        user = scopedKey ? await this.findUserById(scopedKey.user_id) : null;
       }
-
-      // Check apakah user masih aktif
-      if (!user.isActive) {
-        throw new Error('User account is deactivated');
-      }
-
-      // Check apakah subscription masih aktif
-      if (user.subscription.status !== 'active') {
-        throw new Error('Subscription is not active');
+      if (!user) {
+        throw new Error('Invalid API key');
       }
 
-      // Check apakah subscription belum expired
-      if (new Date(user.subscription.expiresAt) < new Date()) {
-        throw new Error('Subscription has expired');
-      }
+      this.assertUserCanAuthenticate(user);
 
       // Generate token pair
-      const tokenPayload = {
-        userId: user.id,
-        email: user.email,
-        organization: user.organization,
-        tier: user.subscription.tier,
-        features: user.subscription.features
-      };
+      const familyId = options.refreshable === false ? null : uuidv4();
+      const tokens = this.authLib.generateTokenPair(this.buildTokenPayload(user, scopedKey?.id, familyId));
 
-      const tokens = this.authLib.generateTokenPair(tokenPayload);
+      if (familyId) {
+        await this.tokenRevocationService.startFamily(this.authLib.decodeToken(tokens.refreshToken).payload);
+      }
 
       // Update last login
       await this.updateLastLogin(user.id);
@@ -161,19 +172,60 @@ export class AuthService {
   }
 
   /**
-   * Refresh access token
+   * Refresh access token dengan rotation: refresh token lama langsung tidak berlaku,
+   * dan refresh token yang dipakai ulang me-revoke seluruh family
    * @param {string} refreshToken - Refresh token
+   * @param {Object} context - { ip, user_agent } untuk audit log
    * @returns {Object} New token pair
    */
-  async refreshToken(refreshToken) {
+  async refreshToken(refreshToken, context = {}) {
     try {
-      const tokens = this.authLib.refreshTokens(refreshToken);
-      
-      // Update cache
-      const validation = this.authLib.validateToken(tokens.accessToken);
-      if (validation.valid && validation.payload.userId) {
-        await this.cacheUserToken(validation.payload.userId, tokens.accessToken);
+      const payload = this.authLib.verifyRefreshToken(refreshToken);
+
+      // Rotation hanya untuk user aktif dan scoped key yang masih berlaku (sama dengan /auth/token)
+      const user = await this.findUserById(payload.sub);
+      if (!user) {
+        throw new Error('User not found');
       }
+      this.assertUserCanAuthenticate(user);
+
+      if (payload.keyId) {
+        const scopedKey = await this.apiKeyService.getUsableKey(payload.keyId, { ip: context.ip });
+        if (!scopedKey || scopedKey.user_id !== user.id.toString()) {
+          throw new Error('API key revoked, expired or not allowed from this IP address');
+        }
+      }
+
+      const { family, reused } = await this.tokenRevocationService.consumeRefreshToken(payload);
+
+      if (reused) {
+        await this.auditService.record({
+          chain_id: payload.sub,
+          action: 'token.reuse_detected',
+          actor_id: payload.sub,
+          api_key_id: payload.keyId || null,
+          target_type: 'refresh_token_family',
+          target_id: family?.id || null,
+          outcome: 'failure',
+          ip: context.ip,
+          user_agent: context.user_agent,
+          details: { jti: payload.jti, family_revoked: Boolean(family) }
+        });
+        throw new Error('Refresh token reuse detected; all tokens of this refresh token family have been revoked');
+      }
+
+      // Token tanpa family (diterbitkan sebelum rotation) memulai family baru
+      const tokens = this.authLib.generateTokenPair(this.buildTokenPayload(user, payload.keyId, family?.id || uuidv4()));
+      const nextPayload = this.authLib.decodeToken(tokens.refreshToken).payload;
+
+      if (family) {
+        await this.tokenRevocationService.advanceFamily(family, nextPayload, payload.jti);
+      } else {
+        await this.tokenRevocationService.startFamily(nextPayload);
+      }
+
+      // Update cache
+      await this.cacheUserToken(payload.sub, tokens.accessToken);
 
       return {
         access_token: tokens.accessToken,
@@ -185,12 +237,46 @@ export class AuthService {
     }
   }
 
+  /**
+   * User harus aktif dengan subscription aktif yang belum expired
+   * @throws {Error} User account is deactivated / Subscription is not active / Subscription has expired
+   */
+  assertUserCanAuthenticate(user) {
+    if (!user.isActive) {
+      throw new Error('User account is deactivated');
+    }
+
+    if (user.subscription.status !== 'active') {
+      throw new Error('Subscription is not active');
+    }
+
+    if (new Date(user.subscription.expiresAt) < new Date()) {
+      throw new Error('Subscription has expired');
+    }
+  }
+
+  /**
+   * Claims token pair; sama untuk /auth/token dan /auth/refresh
+   */
+  buildTokenPayload(user, keyId = null, familyId = null) {
+    return {
+      userId: user.id,
+      email: user.email,
+      organization: user.organization,
+      tier: user.subscription.tier,
+      features: user.subscription.features,
+      ...(keyId && { keyId }),
+      ...(familyId && { fid: familyId })
+    };
+  }
+
   /**
    * Validate JWT token
    * @param {string} token - JWT token
+   * @param {Object} options - { ip } untuk IP allowlist scoped key
    * @returns {Object} Validation result
    */
-  async validateToken(token) {
+  async validateToken(token, options = {}) {
     try {
       const validation = this.authLib.validateToken(token);
       
@@ -198,6 +284,27 @@ export class AuthService {
         return validation;
       }
 
+      // Refresh token hanya untuk /auth/refresh
+      if (validation.payload.type === 'refresh') {
+        return {
+          valid: false,
+          payload: null,
+          expired: false,
+          error: 'Invalid token type. Expected access token.'
+        };
+      }
+
+      // jti denylist dan refresh token family yang di-revoke
+      const revocationReason = await this.tokenRevocationService.getRevocationReason(validation.payload);
+      if (revocationReason) {
+        return {
+          valid: false,
+          payload: null,
+          expired: false,
+          error: revocationReason
+        };
+      }
+
       // Additional checks untuk user status
       const user = await this.findUserById(validation.payload.userId);
       if (!user || !user.isActive) {
@@ -220,13 +327,34 @@ export class AuthService {
         };
       }
 
+      // Token dari scoped API key hanya berlaku selama key masih berlaku
+      let scopedKey = null;
+      if (validation.payload.keyId) {
+        scopedKey = await this.apiKeyService.getUsableKey(validation.payload.keyId, { ip: options.ip });
+        if (!scopedKey || scopedKey.user_id !== user.id.toString()) {
+          return {
+            valid: false,
+            payload: null,
+            expired: false,
+            error: 'API key revoked, expired or not allowed from this IP address'
+          };
+        }
+      }
+
       return {
         ...validation,
         user: {
           id: user.id,
+          // Alias (string) untuk routes yang memakai req.user.userId, sama dengan JWT payload
+          userId: user.id.toString(),
           email: user.email,
           organization: user.organization,
-          subscription: user.subscription
+          subscription: user.subscription,
+          ...(scopedKey && {
+            apiKeyId: scopedKey.id,
+            scopes: scopedKey.scopes,
+            agentIds: scopedKey.agent_ids
+          })
         }
       };
     } catch (error) {
@@ -234,6 +362,19 @@ export class AuthService {
     }
   }
 
+  /**
+   * User dan scoped key pemilik token yang baru diterbitkan (untuk audit log)
+   * @param {string} token - Access token
+   * @returns {Object} { userId, keyId }
+   */
+  getTokenSubject(token) {
+    const payload = this.authLib.decodeToken(token)?.payload || {};
+    return {
+      userId: payload.userId ? payload.userId.toString() : null,
+      keyId: payload.keyId || null
+    };
+  }
+
   /**
    * Get user subscription info
    * @param {string} userId - User ID
@@ -256,9 +397,10 @@ export class AuthService {
    * Update subscription tier
    * @param {string} userId - User ID
    * @param {string} newTier - New subscription tier
+   * @param {Object} context - { actor_id, actor_type, ip, user_agent } untuk audit log
    * @returns {Object} Updated subscription
    */
-  async updateSubscription(userId, newTier) {
+  async updateSubscription(userId, newTier, context = {}) {
     try {
       if (!this.subscriptionTiers[newTier]) {
         throw new Error(`Invalid subscription tier: ${newTier}`);
@@ -280,6 +422,18 @@ export class AuthService {
 
       await this.updateUser(userId, { subscription: updatedSubscription });
 
+      await this.auditService.record({
+        chain_id: userId.toString(),
+        action: 'subscription.update',
+        actor_id: context.actor_id || userId.toString(),
+        actor_type: context.actor_type || 'user',
+        target_type: 'subscription',
+        target_id: userId.toString(),
+        ip: context.ip,
+        user_agent: context.user_agent,
+        details: { from_tier: user.subscription.tier, to_tier: newTier }
+      });
+
       return updatedSubscription;
     } catch (error) {
       throw new Error(`Failed to update subscription: ${error.message}`);
@@ -288,16 +442,16 @@ export class AuthService {
 
   /**
    * Revoke API key (generate new one)
+   * Token families dari primary API key lama ikut di-revoke
    * @param {string} userId - User ID
    * @returns {string} New API key
    */
   async revokeApiKey(userId) {
     try {
       const newApiKey = this.generateApiKey();
-      await this.updateUser(userId, { 
-        apiKey: newApiKey,
-        updatedAt: new Date().toISOString()
-      });
+      await this.updateUser(userId, { api_key: newApiKey });
+
+      await this.tokenRevocationService.revokeUserFamilies(userId.toString(), { keyId: null, reason: 'api_key_revoked' });
 
       return newApiKey;
     } catch (error) {
@@ -305,6 +459,76 @@ export class AuthService {
     }
   }
 
+  /**
+   * Revoke access atau refresh token milik user lewat jti denylist
+   * @param {string} userId - User ID pemilik token
+   * @param {string} token - Access atau refresh token
+   * @param {Object} options - { family: false untuk tidak me-revoke refresh token family }
+   * @returns {Object} { jti, token_type, family_id, family_revoked, expires_at }
+   */
+  async revokeToken(userId, token, options = {}) {
+    try {
+      const validation = this.authLib.validateToken(token);
+      if (!validation.valid) {
+        throw new Error(validation.expired ? 'Invalid token: token has already expired' : `Invalid token: ${validation.error}`);
+      }
+
+      const { payload } = validation;
+      if ((payload.sub || payload.userId)?.toString() !== userId.toString()) {
+        throw new Error('Token not found');
+      }
+
+      await this.tokenRevocationService.denyToken(payload);
+
+      const family = payload.fid && options.family !== false
+        ? await this.tokenRevocationService.revokeFamily(payload.fid, 'revoked')
+        : null;
+
+      return {
+        jti: payload.jti,
+        token_type: payload.type === 'refresh' ? 'refresh' : 'access',
+        family_id: payload.fid || null,
+        family_revoked: Boolean(family),
+        expires_at: new Date(payload.exp * 1000).toISOString()
+      };
+    } catch (error) {
+      throw new Error(`Failed to revoke token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke semua refresh token families milik user (primary dan scoped API keys)
+   * @returns {Object} { families_revoked }
+   */
+  async revokeAllTokens(userId) {
+    try {
+      const familiesRevoked = await this.tokenRevocationService.revokeUserFamilies(userId.toString());
+      return { families_revoked: familiesRevoked };
+    } catch (error) {
+      throw new Error(`Failed to revoke tokens: ${error.message}`);
+    }
+  }
+
+  // Scoped API keys (lihat ApiKeyService)
+
+  async createApiKey(userId, data) {
+    return await this.apiKeyService.createKey(userId, data);
+  }
+
+  async listApiKeys(userId) {
+    return await this.apiKeyService.listKeys(userId);
+  }
+
+  async revokeScopedApiKey(userId, keyId) {
+    const apiKey = await this.apiKeyService.revokeKey(userId, keyId);
+    await this.tokenRevocationService.revokeUserFamilies(userId.toString(), { keyId, reason: 'api_key_revoked' });
+    return apiKey;
+  }
+
+  async rotateApiKey(userId, keyId, options = {}) {
+    return await this.apiKeyService.rotateKey(userId, keyId, options);
+  }
+
   // Private helper methods
 
   /**
@@ -419,7 +643,7 @@ export class AuthService {
   async cacheUserToken(userId, token) {
     const cache = await this.storage.cache();
     const key = `user_token:${userId}`;
-    await cache.setex(key, 900, token); // 15 minutes
+    await cache.set(key, token, { ttl: 900 }); // 15 minutes
   }
 
   /**
@@ -9,6 +9,7 @@
  */
 
 import { BackupManager } from '../lib/backup-lib/index.js';
+import AuditService from './audit.service.js';
 import path from 'path';
 import { existsSync } from 'fs';
 
@@ -19,6 +20,7 @@ import { existsSync } from 'fs';
 export class BackupService {
   constructor(storageService, config = {}) {
     this.storage = storageService;
+    this.auditService = new AuditService(storageService);
     
     // Configure backup manager
     this.backupManager = new BackupManager({
@@ -69,17 +71,18 @@ export class BackupService {
 
   /**
    * Create backup dengan berbagai options
-   * @param {Object} backupOptions - Backup configuration options
+   * @param {Object} backupOptions - Backup configuration options (actor: { id, type } untuk audit log)
    * @returns {Object} Backup result
    */
   async createBackup(backupOptions = {}) {
     const startTime = Date.now();
+    const { actor = null, ...requestedOptions } = backupOptions;
     
     try {
       console.log('🔄 Starting backup operation...');
       
       // Validate dan prepare backup options
-      const options = await this.prepareBackupOptions(backupOptions);
+      const options = await this.prepareBackupOptions(requestedOptions);
       
       // Collect data yang akan di-backup
       const dataToBackup = await this.collectBackupData(options);
@@ -96,6 +99,12 @@ export class BackupService {
       // Update statistics
       this.updateServiceStats(true, Date.now() - startTime);
 
+      await this.recordAudit('backup.create', backupResult.backupId, actor, 'success', {
+        type: backupResult.type,
+        size: backupResult.size,
+        sources: Object.keys(dataToBackup)
+      });
+
       return {
         success: true,
         backup_id: backupResult.backupId,
@@ -111,6 +120,10 @@ export class BackupService {
     } catch (error) {
       // Update statistics untuk failure
       this.updateServiceStats(false, Date.now() - startTime);
+      await this.recordAudit('backup.create', null, actor, 'failure', {
+        type: requestedOptions.type || 'incremental',
+        error: error.message
+      });
       
       console.error('❌ Backup operation failed:', error);
       throw new Error(`Backup creation failed: ${error.message}`);
@@ -170,17 +183,18 @@ export class BackupService {
   /**
    * Restore backup berdasarkan backup ID
    * @param {string} backupId - Backup ID untuk restore
-   * @param {Object} restoreOptions - Restore options
+   * @param {Object} restoreOptions - Restore options (actor: { id, type } untuk audit log)
    * @returns {Object} Restore result
    */
   async restoreBackup(backupId, restoreOptions = {}) {
     const startTime = Date.now();
+    const { actor = null, ...requestedOptions } = restoreOptions;
     
     try {
       console.log(`🔄 Starting restore operation: ${backupId}`);
 
       // Validate restore options
-      const options = this.prepareRestoreOptions(restoreOptions);
+      const options = this.prepareRestoreOptions(requestedOptions);
 
       // Pre-restore validation
       await this.validateRestoreOperation(backupId, options);
@@ -194,6 +208,10 @@ export class BackupService {
       // Update statistics
       this.updateServiceStats(true, Date.now() - startTime);
 
+      await this.recordAudit('backup.restore', backupId, actor, 'success', {
+        restored_data: restoreResult.restoredData || []
+      });
+
       return {
         success: true,
         backup_id: backupId,
@@ -205,6 +223,7 @@ export class BackupService {
 
     } catch (error) {
       this.updateServiceStats(false, Date.now() - startTime);
+      await this.recordAudit('backup.restore', backupId, actor, 'failure', { error: error.message });
       console.error(`❌ Restore operation failed: ${backupId}`, error);
       throw new Error(`Restore failed: ${error.message}`);
     }
@@ -296,14 +315,18 @@ export class BackupService {
   /**
    * Delete backup
    * @param {string} backupId - Backup ID to delete
+   * @param {Object} options - { actor: { id, type } } untuk audit log
    * @returns {Object} Delete result
    */
-  async deleteBackup(backupId) {
+  async deleteBackup(backupId, options = {}) {
     try {
       const deleteResult = await this.backupManager.deleteBackup(backupId);
       
       // Update statistics
       this.updateServiceStats(true, 0);
+      await this.recordAudit('backup.delete', backupId, options.actor, 'success', {
+        deleted_path: deleteResult.path
+      });
 
       return {
         success: deleteResult.success,
@@ -314,6 +337,7 @@ export class BackupService {
 
     } catch (error) {
       this.updateServiceStats(false, 0);
+      await this.recordAudit('backup.delete', backupId, options.actor, 'failure', { error: error.message });
       throw new Error(`Failed to delete backup: ${error.message}`);
     }
   }
@@ -718,6 +742,22 @@ export class BackupService {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   }
 
+  /**
+   * Catat operasi backup di audit chain system
+   * @param {Object|null} actor - { id, type }; default scheduler backup service
+   */
+  async recordAudit(action, backupId, actor, outcome, details) {
+    await this.auditService.record({
+      action,
+      actor_id: actor?.id || 'backup_service',
+      actor_type: actor?.type || 'system',
+      target_type: 'backup',
+      target_id: backupId,
+      outcome,
+      details
+    });
+  }
+
   /**
    * Update service statistics
    */
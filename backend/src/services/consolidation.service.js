@@ -0,0 +1,473 @@
+/**
+ * Consolidation Service
+ *
+ * Background job untuk mengkonsolidasi notes terbaru menjadi Knowledge entries
+ * Notes dipisah per scope (owner atau organization/team), dikelompokkan per
+ * context.project (atau tag pertama), lalu di-cluster
+ * berdasarkan embedding similarity. Setiap cluster membuat draft knowledge baru
+ * atau menambah notes ke draft knowledge yang paling mirip
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import cron from 'node-cron';
+import noteProcessor from '../lib/note-processor-lib/index.js';
+import { EmbeddingsGenerator } from '../lib/note-processor-lib/embeddings.js';
+import { Note } from '../models/note.js';
+import { consolidationConfig, embeddingConfig } from '../config/app.js';
+
+// Identitas pembuat knowledge hasil konsolidasi otomatis
+export const CONSOLIDATION_AUTHOR = 'system:consolidation';
+
+const LOCK_KEY = 'consolidation:lock';
+const LOCK_TTL = 900; // 15 menit
+const LAST_RUN_KEY = 'consolidation:last_run';
+
+/**
+ * ConsolidationService Class
+ * Menjalankan clustering notes → draft knowledge secara terjadwal
+ */
+export class ConsolidationService {
+  constructor(storageService, config = {}) {
+    this.storage = storageService;
+    this.config = {
+      ...consolidationConfig,
+      ...config
+    };
+
+    this.embeddings = new EmbeddingsGenerator({
+      provider: this.config.embeddingProvider,
+      model: embeddingConfig.model,
+      dimensions: embeddingConfig.dimensions,
+      modelPath: embeddingConfig.modelPath
+    });
+
+    this.task = null;
+    this.running = false;
+    this.lastRun = null;
+
+    // Service statistics
+    this.serviceStats = {
+      totalRuns: 0,
+      failedRuns: 0,
+      knowledgeCreated: 0,
+      knowledgeUpdated: 0,
+      notesConsolidated: 0
+    };
+  }
+
+  /**
+   * Start scheduled consolidation
+   */
+  start() {
+    if (!this.config.enabled) {
+      console.log('⏸️ Knowledge consolidation disabled');
+      return;
+    }
+
+    if (this.task) {
+      this.task.stop();
+    }
+
+    this.task = cron.schedule(this.config.schedule, async () => {
+      try {
+        console.log('⏰ Starting scheduled knowledge consolidation...');
+        const result = await this.runConsolidation();
+
+        if (!result.skipped) {
+          console.log(`✅ Knowledge consolidation completed: ${result.knowledge_created} created, ${result.knowledge_updated} updated`);
+        }
+      } catch (error) {
+        console.error('❌ Scheduled knowledge consolidation failed:', error);
+      }
+    }, {
+      scheduled: false
+    });
+
+    this.task.start();
+    console.log(`⏰ Knowledge consolidation enabled: ${this.config.schedule}`);
+  }
+
+  /**
+   * Jalankan satu putaran konsolidasi
+   * @param {Object} options - { since } untuk override lookback window
+   * @returns {Object} Ringkasan hasil konsolidasi
+   */
+  async runConsolidation(options = {}) {
+    // Cegah run paralel di instance ini maupun instance lain
+    if (this.running) {
+      return { skipped: true, reason: 'Consolidation already running' };
+    }
+
+    this.running = true;
+    let locked = false;
+
+    const startTime = Date.now();
+    const result = {
+      skipped: false,
+      notes_scanned: 0,
+      clusters: 0,
+      knowledge_created: 0,
+      knowledge_updated: 0,
+      notes_consolidated: 0,
+      errors: []
+    };
+
+    try {
+      locked = await this.storage.cacheSetIfAbsent(LOCK_KEY, { started_at: new Date().toISOString() }, LOCK_TTL);
+      if (!locked) {
+        return { skipped: true, reason: 'Consolidation already running' };
+      }
+
+      const since = options.since || new Date(Date.now() - this.config.lookbackHours * 3600 * 1000);
+      const notes = await this.storage.getNotesSince(since, this.config.maxNotesPerRun);
+      result.notes_scanned = notes.length;
+
+      // Notes hanya dikonsolidasi dengan notes dari scope yang sama (user atau organization/team)
+      for (const { scope, notes: scopeNotes } of this.partitionByScope(notes).values()) {
+        for (const [groupKey, groupNotes] of this.groupNotes(scopeNotes)) {
+          try {
+            await this.consolidateGroup(groupKey, groupNotes, result, scope);
+          } catch (error) {
+            console.error(`❌ Consolidation failed for ${groupKey}:`, error.message);
+            result.errors.push({ group: groupKey, error: error.message });
+          }
+        }
+      }
+
+      this.serviceStats.totalRuns++;
+      this.serviceStats.knowledgeCreated += result.knowledge_created;
+      this.serviceStats.knowledgeUpdated += result.knowledge_updated;
+      this.serviceStats.notesConsolidated += result.notes_consolidated;
+
+      result.duration_ms = Date.now() - startTime;
+      result.completed_at = new Date().toISOString();
+
+      this.lastRun = result;
+      await this.storage.cacheSet(LAST_RUN_KEY, result, 7 * 86400);
+
+      return result;
+
+    } catch (error) {
+      this.serviceStats.failedRuns++;
+      throw new Error(`Knowledge consolidation failed: ${error.message}`);
+    } finally {
+      this.running = false;
+      if (locked) {
+        await this.storage.cacheDelete(LOCK_KEY);
+      }
+    }
+  }
+
+  /**
+   * Konsolidasi satu group (project/tag) ke knowledge domain yang sama
+   * @param {Object} scope - { org_id, team_id, owner_id } disalin ke knowledge yang dibuat
+   */
+  async consolidateGroup(groupKey, groupNotes, result, scope = {}) {
+    const domain = this.toDomain(groupKey);
+    const existingKnowledge = (await this.storage.getKnowledgeByDomain(domain))
+      .filter(item => this.isInScope(item, scope));
+
+    // Notes yang sudah masuk knowledge manapun tidak dikonsolidasi ulang
+    const consolidatedIds = new Set(
+      existingKnowledge.flatMap(item => (item.note_ids || []).map(id => id.toString()))
+    );
+    const candidates = groupNotes.filter(note => !consolidatedIds.has(note.id.toString()));
+
+    if (candidates.length === 0) {
+      return;
+    }
+
+    const clusters = this.clusterNotes(await this.embedNotes(candidates));
+    result.clusters += clusters.length;
+
+    const drafts = await this.loadDraftCentroids(
+      existingKnowledge.filter(item => item.status === 'draft')
+    );
+
+    for (const cluster of clusters) {
+      const noteIds = cluster.notes.map(note => note.id.toString());
+      const match = this.findBestMatch(cluster.centroid, drafts);
+
+      if (match) {
+        const summary = await this.buildSummary([...match.notes, ...cluster.notes]);
+        const knowledge = await this.storage.addNotesToKnowledge(match.knowledge.id, noteIds, { summary });
+
+        match.knowledge = knowledge;
+        match.notes = [...match.notes, ...cluster.notes];
+        match.centroid = this.mergeCentroids(match.centroid, match.size, cluster.centroid, cluster.notes.length);
+        match.size += cluster.notes.length;
+
+        result.knowledge_updated++;
+        result.notes_consolidated += noteIds.length;
+        console.log(`🔄 Knowledge ${knowledge.id} consolidated with ${noteIds.length} notes (v${knowledge.version})`);
+        continue;
+      }
+
+      if (cluster.notes.length < this.config.minClusterSize) {
+        continue;
+      }
+
+      const knowledge = await this.storage.createKnowledge({
+        domain,
+        title: this.buildTitle(groupKey, cluster.notes),
+        summary: await this.buildSummary(cluster.notes),
+        note_ids: noteIds
+      }, CONSOLIDATION_AUTHOR, scope);
+
+      drafts.push({
+        knowledge,
+        notes: cluster.notes,
+        centroid: cluster.centroid,
+        size: cluster.notes.length
+      });
+
+      result.knowledge_created++;
+      result.notes_consolidated += noteIds.length;
+      console.log(`✅ Draft knowledge created from ${noteIds.length} notes: ${knowledge.id} (${domain})`);
+    }
+  }
+
+  /**
+   * Pisahkan notes per scope: organization/team untuk notes yang di-scope,
+   * selain itu per owner (user_id, fallback agent) agar notes pribadi tidak tercampur
+   * @returns {Map} scopeKey → { scope, notes }
+   */
+  partitionByScope(notes) {
+    const partitions = new Map();
+
+    notes.forEach(note => {
+      const scope = this.getNoteScope(note);
+      const scopeKey = scope.org_id
+        ? `org:${scope.org_id}:${scope.team_id || ''}`
+        : `owner:${scope.owner_id}`;
+
+      if (!partitions.has(scopeKey)) {
+        partitions.set(scopeKey, { scope, notes: [] });
+      }
+      partitions.get(scopeKey).notes.push(note);
+    });
+
+    return partitions;
+  }
+
+  /**
+   * Scope knowledge yang dihasilkan dari note
+   * @returns {Object} { org_id, team_id, owner_id }
+   */
+  getNoteScope(note) {
+    const orgId = note.metadata?.org_id || null;
+
+    if (orgId) {
+      return { org_id: orgId, team_id: note.metadata?.team_id || null, owner_id: null };
+    }
+
+    return {
+      org_id: null,
+      team_id: null,
+      owner_id: note.metadata?.user_id?.toString() || `agent:${note.agent_id}`
+    };
+  }
+
+  /**
+   * Cek apakah knowledge berada di scope yang sama
+   */
+  isInScope(knowledge, scope) {
+    return (knowledge.org_id || null) === (scope.org_id || null) &&
+      (knowledge.team_id || null) === (scope.team_id || null) &&
+      (knowledge.owner_id || null) === (scope.owner_id || null);
+  }
+
+  /**
+   * Kelompokkan notes berdasarkan context.project, fallback ke tag pertama
+   * @returns {Map} groupKey → notes
+   */
+  groupNotes(notes) {
+    const groups = new Map();
+
+    notes.forEach(note => {
+      const groupKey = note.context?.project || note.context?.tags?.[0];
+      if (!groupKey) return;
+
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, []);
+      }
+      groups.get(groupKey).push(note);
+    });
+
+    return groups;
+  }
+
+  /**
+   * Embedding untuk setiap note: stored embedding dari model aktif dipakai ulang,
+   * notes yang belum di-embed (atau dengan model lain) di-generate
+   * @returns {Array} [{ note, embedding }]
+   */
+  async embedNotes(notes) {
+    const stored = await this.storage.getNoteEmbeddings(notes.map(note => note.id));
+    const embedded = [];
+
+    for (const note of notes) {
+      const existing = stored.get(note.id.toString());
+      const embedding = existing && existing.model === embeddingConfig.model
+        ? existing.embeddings
+        : await this.embeddings.generateEmbedding(this.buildNoteText(note));
+
+      embedded.push({ note, embedding });
+    }
+
+    return embedded;
+  }
+
+  /**
+   * Greedy clustering: note masuk ke cluster dengan centroid paling mirip
+   * di atas similarity threshold, kalau tidak ada membuat cluster baru
+   * @returns {Array} [{ notes, centroid }]
+   */
+  clusterNotes(embeddedNotes) {
+    const clusters = [];
+
+    embeddedNotes.forEach(({ note, embedding }) => {
+      let bestCluster = null;
+      let bestSimilarity = this.config.similarityThreshold;
+
+      clusters.forEach(cluster => {
+        const similarity = this.embeddings.cosineSimilarity(cluster.centroid, embedding);
+        if (similarity >= bestSimilarity) {
+          bestCluster = cluster;
+          bestSimilarity = similarity;
+        }
+      });
+
+      if (bestCluster) {
+        bestCluster.centroid = this.mergeCentroids(bestCluster.centroid, bestCluster.notes.length, embedding, 1);
+        bestCluster.notes.push(note);
+      } else {
+        clusters.push({ notes: [note], centroid: embedding });
+      }
+    });
+
+    return clusters;
+  }
+
+  /**
+   * Hitung centroid untuk draft knowledge dari notes yang sudah ada
+   */
+  async loadDraftCentroids(drafts) {
+    const loaded = [];
+
+    for (const knowledge of drafts) {
+      const notes = await this.storage.getNotesByIds((knowledge.note_ids || []).map(id => id.toString()));
+      if (notes.length === 0) continue;
+
+      const embedded = await this.embedNotes(notes);
+      const centroid = embedded.reduce(
+        (acc, { embedding }, index) => (index === 0 ? embedding : this.mergeCentroids(acc, index, embedding, 1)),
+        null
+      );
+
+      loaded.push({ knowledge, notes, centroid, size: notes.length });
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Cari draft dengan centroid paling mirip di atas similarity threshold
+   */
+  findBestMatch(centroid, drafts) {
+    let best = null;
+    let bestSimilarity = this.config.similarityThreshold;
+
+    drafts.forEach(draft => {
+      const similarity = this.embeddings.cosineSimilarity(draft.centroid, centroid);
+      if (similarity >= bestSimilarity) {
+        best = draft;
+        bestSimilarity = similarity;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Weighted mean dari dua centroid
+   */
+  mergeCentroids(centroidA, weightA, centroidB, weightB) {
+    const total = weightA + weightB;
+    return centroidA.map((value, index) => (value * weightA + centroidB[index] * weightB) / total);
+  }
+
+  /**
+   * Text representasi note untuk embedding
+   */
+  buildNoteText(note) {
+    return Note.getEmbeddingText(note);
+  }
+
+  /**
+   * Generate summary knowledge dari learnings di cluster
+   */
+  async buildSummary(notes) {
+    const learnings = notes
+      .map(note => [note.content?.learning, note.content?.solution].filter(Boolean).join('. '))
+      .filter(Boolean)
+      .join('. ');
+
+    const summary = learnings ? await noteProcessor.generateSummary(learnings) : '';
+
+    return summary.trim().length >= 10
+      ? summary.trim()
+      : `Consolidated knowledge from ${notes.length} notes`;
+  }
+
+  /**
+   * Title knowledge: group key + task yang paling sering muncul
+   */
+  buildTitle(groupKey, notes) {
+    const taskCounts = {};
+    notes.forEach(note => {
+      const task = note.context?.task;
+      if (task) taskCounts[task] = (taskCounts[task] || 0) + 1;
+    });
+
+    const topTask = Object.entries(taskCounts).sort((a, b) => b[1] - a[1])[0]?.[0];
+    const title = topTask ? `${groupKey}: ${topTask}` : `${groupKey}: consolidated learnings`;
+
+    return title.length < 5 ? `Knowledge ${title}` : title.substring(0, 200);
+  }
+
+  /**
+   * Knowledge domain dari group key (maksimal 50 karakter)
+   */
+  toDomain(groupKey) {
+    return groupKey.toString().trim().substring(0, 50);
+  }
+
+  /**
+   * Get status consolidation job
+   */
+  async getStatus() {
+    return {
+      enabled: this.config.enabled,
+      schedule: this.config.schedule,
+      running: this.running,
+      last_run: this.lastRun || await this.storage.cacheGet(LAST_RUN_KEY),
+      statistics: this.serviceStats
+    };
+  }
+
+  /**
+   * Stop consolidation service
+   */
+  async stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+    console.log('🛑 ConsolidationService stopped');
+  }
+}
+
+export default ConsolidationService;
@@ -0,0 +1,299 @@
+/**
+ * Note Chunk Service
+ *
+ * Memecah content note yang panjang menjadi overlapping chunks, meng-embed
+ * setiap chunk dan meng-index-nya ke Elasticsearch dengan back-reference ke note.
+ * Dipakai untuk chunk-level retrieval di getRelevantNotes
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { TextChunker } from '../lib/note-processor-lib/chunker.js';
+import { EmbeddingsGenerator } from '../lib/note-processor-lib/embeddings.js';
+import { embeddingConfig } from '../config/app.js';
+import { elasticsearchIndices } from '../config/database.js';
+import { Note } from '../models/note.js';
+
+/**
+ * NoteChunkService Class
+ */
+export class NoteChunkService {
+  constructor(storageService, config = {}) {
+    this.storage = storageService;
+    this.config = {
+      ...embeddingConfig,
+      ...config
+    };
+
+    this.chunker = new TextChunker({
+      chunkSize: this.config.chunkSize,
+      overlap: this.config.chunkOverlap
+    });
+
+    this.embeddings = new EmbeddingsGenerator({
+      provider: this.config.provider,
+      model: this.config.model,
+      dimensions: this.config.dimensions,
+      modelPath: this.config.modelPath
+    });
+
+    this.indexReady = false;
+  }
+
+  /**
+   * Content fields yang di-chunk, offsets relatif terhadap field masing-masing
+   * @returns {Array} [{ field, text }]
+   */
+  getChunkFields(note) {
+    const content = note.content || {};
+
+    return [
+      { field: 'content.action', text: content.action },
+      { field: 'content.result', text: content.result },
+      { field: 'content.learning', text: content.learning },
+      { field: 'content.solution', text: content.solution },
+      ...(content.errors || []).map((error, index) => ({ field: `content.errors.${index}`, text: error }))
+    ].filter(({ text }) => typeof text === 'string' && text.trim());
+  }
+
+  /**
+   * Split note menjadi chunks
+   * @returns {Array} [{ chunk_index, field, start_offset, end_offset, text }]
+   */
+  chunkNote(note) {
+    const chunks = [];
+
+    this.getChunkFields(note).forEach(({ field, text }) => {
+      this.chunker.chunk(text).forEach(chunk => {
+        chunks.push({
+          chunk_index: chunks.length,
+          field,
+          start_offset: chunk.start,
+          end_offset: chunk.end,
+          text: chunk.text
+        });
+      });
+    });
+
+    return chunks;
+  }
+
+  /**
+   * Build chunk documents beserta embeddings
+   * Task note ditambahkan di depan chunk text agar chunk tetap punya konteks
+   * @param {Object} note - Note
+   * @param {EmbeddingsGenerator} embeddings - Generator (default: model aktif)
+   * @param {string} model - Nama model yang dicatat di document
+   */
+  async buildChunkDocuments(note, embeddings = this.embeddings, model = this.config.model) {
+    const chunks = this.chunkNote(note);
+    if (chunks.length === 0) {
+      return [];
+    }
+
+    const task = note.context?.task ? `${note.context.task}\n` : '';
+    const { results } = await embeddings.generateBatchEmbeddings(chunks.map(chunk => `${task}${chunk.text}`));
+
+    return results
+      .filter(result => result.success)
+      .map(result => ({
+        ...chunks[result.index],
+        note_id: note.id.toString(),
+        agent_id: note.agent_id,
+        session_id: note.session_id || null,
+        project: note.context?.project || null,
+        type: note.type,
+        embeddings: result.embedding,
+        embedding_model: model,
+        created_at: note.created_at
+      }));
+  }
+
+  /**
+   * Chunk, embed dan index note (chunks lama dihapus dulu)
+   * @returns {number} Jumlah chunks yang di-index
+   */
+  async indexNote(note) {
+    await this.ensureIndex();
+
+    const documents = await this.buildChunkDocuments(note);
+
+    await this.deleteNoteChunks(note.id);
+    await this.bulkIndexChunks(this.config.chunksAlias, documents);
+
+    return documents.length;
+  }
+
+  /**
+   * Embed ulang note-level vector (dipakai similarity dan consolidation)
+   * lalu simpan ke ScyllaDB dan notes index
+   * @returns {number} Dimensi embedding
+   */
+  async embedNote(note) {
+    const embedding = await this.embeddings.generateEmbedding(Note.getEmbeddingText(note));
+
+    await this.storage.saveNoteEmbeddings([{
+      noteId: note.id,
+      embeddings: embedding,
+      model: this.config.model
+    }]);
+
+    await this.storage.updateDocument('notes', note.id.toString(), {
+      embeddings: embedding,
+      embedding_model: this.config.model,
+      embedding_dimensions: embedding.length
+    });
+
+    return embedding.length;
+  }
+
+  /**
+   * Hapus semua chunks milik note
+   */
+  async deleteNoteChunks(noteId, index = this.config.chunksAlias) {
+    const search = await this.storage.search();
+
+    await search.deleteByQuery({
+      index,
+      body: {
+        query: { term: { note_id: noteId.toString() } }
+      },
+      ignore_unavailable: true
+    });
+  }
+
+  /**
+   * Bulk index chunk documents ke index tertentu
+   */
+  async bulkIndexChunks(index, documents) {
+    if (documents.length === 0) {
+      return;
+    }
+
+    const search = await this.storage.search();
+    const body = documents.flatMap(document => [
+      { index: { _index: index, _id: `${document.note_id}:${document.chunk_index}` } },
+      document
+    ]);
+
+    const response = await search.bulk({ body });
+    const result = response.body || response;
+
+    if (result.errors) {
+      const failedItem = result.items.find(item => item.index?.error);
+      throw new Error(`Chunk indexing failed: ${failedItem?.index.error.reason || 'unknown error'}`);
+    }
+  }
+
+  /**
+   * Cari chunks paling mirip dengan query, satu chunk terbaik per note
+   * @returns {Array} [{ note_id, score, chunk }] dengan score = cosine similarity
+   */
+  async searchChunks(text, agentId, options = {}) {
+    const { limit = 10, min_relevance: minRelevance = 0 } = options;
+
+    const search = await this.storage.search();
+    const queryVector = await this.embeddings.generateEmbedding(text);
+
+    const response = await search.search({
+      index: this.config.chunksAlias,
+      body: {
+        query: {
+          script_score: {
+            query: { bool: { filter: [{ term: { agent_id: agentId } }] } },
+            script: {
+              source: "cosineSimilarity(params.query_vector, 'embeddings') + 1.0",
+              params: { query_vector: queryVector }
+            }
+          }
+        },
+        // Over-fetch karena satu note bisa punya banyak chunks yang cocok
+        size: limit * 4,
+        _source: { excludes: ['embeddings'] }
+      }
+    });
+
+    const hits = (response.body || response).hits.hits;
+    const bestByNote = new Map();
+
+    hits.forEach(hit => {
+      const score = hit._score - 1.0;
+      const chunk = hit._source;
+
+      if (score < minRelevance || bestByNote.has(chunk.note_id)) {
+        return;
+      }
+
+      bestByNote.set(chunk.note_id, {
+        note_id: chunk.note_id,
+        score,
+        chunk: {
+          chunk_index: chunk.chunk_index,
+          field: chunk.field,
+          start_offset: chunk.start_offset,
+          end_offset: chunk.end_offset,
+          text: chunk.text,
+          score
+        }
+      });
+    });
+
+    return Array.from(bestByNote.values()).slice(0, limit);
+  }
+
+  /**
+   * Pastikan chunks index (atau alias) ada dengan dense_vector mapping
+   */
+  async ensureIndex() {
+    if (this.indexReady) {
+      return;
+    }
+
+    const search = await this.storage.search();
+    const exists = await search.indices.exists({ index: this.config.chunksAlias });
+
+    if (!(exists.body !== undefined ? exists.body : exists)) {
+      await this.createIndex(this.config.chunksAlias, this.config.dimensions, this.config.model);
+    }
+
+    this.indexReady = true;
+  }
+
+  /**
+   * Create chunks index untuk model dan dimensi tertentu
+   */
+  async createIndex(index, dimensions, model) {
+    const search = await this.storage.search();
+    const { settings, mappings } = elasticsearchIndices.note_chunks;
+
+    await search.indices.create({
+      index,
+      body: {
+        settings,
+        mappings: {
+          ...mappings,
+          _meta: {
+            embedding_model: model,
+            embedding_dimensions: dimensions
+          },
+          properties: {
+            ...mappings.properties,
+            embeddings: { type: 'dense_vector', dims: dimensions }
+          }
+        }
+      }
+    });
+
+    console.log(`✅ Created Elasticsearch index: ${index}`);
+  }
+
+  /**
+   * Release embedding model resources
+   */
+  async close() {
+    await this.embeddings.close();
+  }
+}
+
+export default NoteChunkService;
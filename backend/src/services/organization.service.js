@@ -0,0 +1,520 @@
+/**
+ * Organization Service
+ *
+ * Organizations dengan members (owner, admin, writer, reader) dan teams untuk shared memory.
+ * Notes, knowledge, experiences dan sessions bisa di-scope ke organization/team (org_id, team_id);
+ * team bisa men-share memory-nya (read) ke team lain dalam organization yang sama sehingga
+ * agents satu team bisa belajar dari memory team lain tanpa berbagi API key
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import AuthService from './auth.service.js';
+import { Organization, ORG_ROLES } from '../models/organization.js';
+import { organizationConfig } from '../config/app.js';
+
+// Path scope note di Elasticsearch index notes
+const NOTE_SCOPE_FIELDS = { owner: 'metadata.user_id', org: 'metadata.org_id', team: 'metadata.team_id', agent: 'agent_id' };
+
+/**
+ * OrganizationService Class
+ */
+export class OrganizationService {
+  constructor(storageService, config = {}) {
+    this.storage = storageService;
+    this.config = {
+      ...organizationConfig,
+      ...config
+    };
+
+    this.authService = new AuthService(storageService);
+  }
+
+  // Organizations
+
+  /**
+   * Buat organization baru, creator menjadi owner
+   * @param {string} userId - Creator
+   * @param {Object} data - { name, description }
+   */
+  async createOrganization(userId, data) {
+    const memberships = await this.storage.getUserOrganizations(userId);
+    if (memberships.length >= this.config.maxPerUser) {
+      throw new Error(`Organization limit reached: maximum ${this.config.maxPerUser} per user`);
+    }
+
+    const now = new Date().toISOString();
+    const organization = new Organization({
+      name: data.name,
+      description: data.description,
+      created_by: userId,
+      created_at: now,
+      updated_at: now
+    });
+
+    await this.storage.createOrganization(organization.toJSON(), userId);
+    await this.invalidateAccess([userId]);
+
+    return { ...organization.toJSON(), role: 'owner' };
+  }
+
+  /**
+   * Organizations milik user beserta role
+   */
+  async listOrganizations(userId) {
+    const memberships = await this.storage.getUserOrganizations(userId);
+    const organizations = await Promise.all(memberships.map(async membership => {
+      const organization = await this.storage.getOrganizationById(membership.org_id);
+      return organization ? { ...organization, role: membership.role } : null;
+    }));
+
+    return organizations.filter(Boolean);
+  }
+
+  /**
+   * @throws {Error} Organization not found
+   */
+  async getOrganization(orgId) {
+    const organization = await this.storage.getOrganizationById(orgId);
+    if (!organization) {
+      throw new Error(`Organization not found: ${orgId}`);
+    }
+    return organization;
+  }
+
+  // Members
+
+  async listMembers(orgId) {
+    return await this.storage.getOrganizationMembers(orgId);
+  }
+
+  /**
+   * Tambah member atau ubah role member
+   * Hanya owner yang boleh memberi atau mencabut role owner, owner terakhir tidak bisa di-demote
+   * @param {Object} actor - { userId, role } user yang melakukan perubahan
+   */
+  async setMemberRole(orgId, actor, targetUserId, role) {
+    if (!ORG_ROLES.includes(role)) {
+      throw new Error(`Invalid role: ${role}`);
+    }
+
+    const user = await this.authService.findUserById(targetUserId);
+    if (!user) {
+      throw new Error(`User not found: ${targetUserId}`);
+    }
+
+    const members = await this.storage.getOrganizationMembers(orgId);
+    const existing = members.find(member => member.user_id === targetUserId);
+
+    if ((role === 'owner' || existing?.role === 'owner') && actor.role !== 'owner') {
+      throw new Error('Permission denied: only owners can grant or revoke the owner role');
+    }
+
+    if (existing?.role === 'owner' && role !== 'owner' && this.countOwners(members) === 1) {
+      throw new Error('Organization must have at least one owner');
+    }
+
+    const member = await this.storage.saveOrganizationMember({
+      org_id: orgId,
+      user_id: targetUserId,
+      role,
+      added_by: existing?.added_by || actor.userId,
+      joined_at: existing?.joined_at || new Date().toISOString()
+    });
+
+    await this.invalidateAccess([targetUserId]);
+
+    return member;
+  }
+
+  /**
+   * Hapus member (atau user keluar sendiri) beserta team memberships di organization
+   */
+  async removeMember(orgId, actor, targetUserId) {
+    const isSelf = actor.userId.toString() === targetUserId;
+    if (!isSelf && !Organization.hasPermission(actor.role, 'members:manage')) {
+      throw new Error("Permission denied: 'members:manage' required");
+    }
+
+    const members = await this.storage.getOrganizationMembers(orgId);
+    const existing = members.find(member => member.user_id === targetUserId);
+    if (!existing) {
+      throw new Error(`Member not found: ${targetUserId}`);
+    }
+
+    if (existing.role === 'owner') {
+      if (!isSelf && actor.role !== 'owner') {
+        throw new Error('Permission denied: only owners can grant or revoke the owner role');
+      }
+      if (this.countOwners(members) === 1) {
+        throw new Error('Organization must have at least one owner');
+      }
+    }
+
+    const teamIds = (await this.storage.getUserTeams(targetUserId))
+      .filter(team => team.org_id === orgId)
+      .map(team => team.team_id);
+
+    await this.storage.deleteOrganizationMember(orgId, targetUserId, teamIds);
+    await this.invalidateAccess([targetUserId]);
+
+    return true;
+  }
+
+  countOwners(members) {
+    return members.filter(member => member.role === 'owner').length;
+  }
+
+  // Teams
+
+  /**
+   * Buat team dalam organization
+   * @param {Object} data - { name, description }
+   */
+  async createTeam(orgId, userId, data) {
+    const teams = await this.storage.getTeams(orgId);
+    if (teams.length >= this.config.maxTeamsPerOrganization) {
+      throw new Error(`Team limit reached: maximum ${this.config.maxTeamsPerOrganization} per organization`);
+    }
+
+    if (teams.some(team => team.name === data.name)) {
+      throw new Error(`Team already exists: ${data.name}`);
+    }
+
+    return await this.storage.saveTeam({
+      id: uuidv4(),
+      org_id: orgId,
+      name: data.name,
+      description: data.description || null,
+      created_by: userId,
+      created_at: new Date().toISOString()
+    });
+  }
+
+  async listTeams(orgId) {
+    return await this.storage.getTeams(orgId);
+  }
+
+  /**
+   * Detail team beserta members dan shares
+   * @throws {Error} Team not found
+   */
+  async getTeam(orgId, teamId) {
+    const team = await this.storage.getTeamById(orgId, teamId);
+    if (!team) {
+      throw new Error(`Team not found: ${teamId}`);
+    }
+
+    const [members, shares] = await Promise.all([
+      this.storage.getTeamMembers(teamId),
+      this.storage.getTeamShares(teamId)
+    ]);
+
+    return { ...team, members, shares };
+  }
+
+  /**
+   * Tambah member organization ke team
+   */
+  async addTeamMember(orgId, teamId, actorId, targetUserId) {
+    await this.getTeam(orgId, teamId);
+
+    const members = await this.storage.getOrganizationMembers(orgId);
+    if (!members.some(member => member.user_id === targetUserId)) {
+      throw new Error(`User is not a member of this organization: ${targetUserId}`);
+    }
+
+    const member = await this.storage.saveTeamMember({
+      team_id: teamId,
+      org_id: orgId,
+      user_id: targetUserId,
+      added_by: actorId,
+      added_at: new Date().toISOString()
+    });
+
+    await this.invalidateAccess([targetUserId]);
+
+    return member;
+  }
+
+  async removeTeamMember(orgId, teamId, targetUserId) {
+    const team = await this.getTeam(orgId, teamId);
+    if (!team.members.some(member => member.user_id === targetUserId)) {
+      throw new Error(`Member not found: ${targetUserId}`);
+    }
+
+    await this.storage.deleteTeamMember(teamId, targetUserId);
+    await this.invalidateAccess([targetUserId]);
+
+    return true;
+  }
+
+  // Sharing
+
+  /**
+   * Share memory team (read) ke grantee team dalam organization yang sama
+   */
+  async shareTeam(orgId, teamId, granteeTeamId, actorId) {
+    if (teamId === granteeTeamId) {
+      throw new Error('Invalid share: a team cannot share with itself');
+    }
+
+    await this.getTeam(orgId, teamId);
+    const grantee = await this.getTeam(orgId, granteeTeamId);
+
+    const share = await this.storage.saveTeamShare({
+      team_id: teamId,
+      grantee_team_id: granteeTeamId,
+      org_id: orgId,
+      permission: 'read',
+      created_by: actorId,
+      created_at: new Date().toISOString()
+    });
+
+    await this.invalidateAccess(grantee.members.map(member => member.user_id));
+
+    return share;
+  }
+
+  async unshareTeam(orgId, teamId, granteeTeamId) {
+    const team = await this.getTeam(orgId, teamId);
+    if (!team.shares.some(share => share.grantee_team_id === granteeTeamId)) {
+      throw new Error(`Share not found: ${granteeTeamId}`);
+    }
+
+    const granteeMembers = await this.storage.getTeamMembers(granteeTeamId);
+
+    await this.storage.deleteTeamShare(teamId, granteeTeamId);
+    await this.invalidateAccess(granteeMembers.map(member => member.user_id));
+
+    return true;
+  }
+
+  // Access control
+
+  /**
+   * Access context user: role per organization, teams dan teams yang di-share ke user
+   * Di-cache di Redis (accessCacheTTL), di-invalidate saat membership atau share berubah
+   * @returns {Object} { user_id, organizations: { [orgId]: role }, teams: { [teamId]: orgId }, shared_teams: [teamId] }
+   */
+  async getAccessContext(user) {
+    // users.id adalah UUID (cassandra-driver Uuid), context selalu memakai string
+    const userId = user.toString();
+    const cacheKey = `access:${userId}`;
+
+    try {
+      const cached = await this.storage.cacheGet(cacheKey);
+      if (cached) {
+        return cached;
+      }
+    } catch (cacheError) {
+      console.warn(`⚠️ Access context cache read failed for user ${userId}:`, cacheError.message);
+    }
+
+    const [memberships, userTeams] = await Promise.all([
+      this.storage.getUserOrganizations(userId),
+      this.storage.getUserTeams(userId)
+    ]);
+
+    const organizations = Object.fromEntries(memberships.map(membership => [membership.org_id, membership.role]));
+    // Team dari organization yang sudah ditinggalkan tidak dihitung
+    const teams = Object.fromEntries(userTeams
+      .filter(team => organizations[team.org_id])
+      .map(team => [team.team_id, team.org_id]));
+
+    const grants = await Promise.all(Object.keys(teams).map(teamId => this.storage.getTeamGrants(teamId)));
+    const sharedTeams = [...new Set(grants.flat().map(grant => grant.team_id))];
+
+    const context = { user_id: userId, organizations, teams, shared_teams: sharedTeams };
+
+    try {
+      await this.storage.cacheSet(cacheKey, context, this.config.accessCacheTTL);
+    } catch (cacheError) {
+      console.warn(`⚠️ Access context cache write failed for user ${userId}:`, cacheError.message);
+    }
+
+    return context;
+  }
+
+  async invalidateAccess(userIds) {
+    await Promise.all(userIds.map(async userId => {
+      try {
+        await this.storage.cacheDelete(`access:${userId}`);
+      } catch (cacheError) {
+        console.warn(`⚠️ Access context cache invalidation failed for user ${userId}:`, cacheError.message);
+      }
+    }));
+  }
+
+  /**
+   * Scope dan owner resource
+   * Knowledge adalah curated memory (status di-review user lain), sehingga tidak punya owner,
+   * kecuali knowledge hasil konsolidasi notes pribadi (owner_id)
+   * @param {string} type - note | knowledge | experience | session
+   */
+  getScope(resource, type) {
+    switch (type) {
+      case 'note':
+        return {
+          org_id: resource.metadata?.org_id || null,
+          team_id: resource.metadata?.team_id || null,
+          owner_id: resource.metadata?.user_id || null
+        };
+      case 'session':
+        return { org_id: resource.org_id || null, team_id: resource.team_id || null, owner_id: resource.user_id?.toString() || null };
+      case 'experience':
+        return { org_id: resource.org_id || null, team_id: resource.team_id || null, owner_id: resource.created_by || null };
+      case 'knowledge':
+        return { org_id: resource.org_id || null, team_id: resource.team_id || null, owner_id: resource.owner_id || null };
+      default:
+        return { org_id: resource.org_id || null, team_id: resource.team_id || null, owner_id: null };
+    }
+  }
+
+  /**
+   * Cek akses user ke resource
+   * - Tanpa organization: hanya owner (metadata.user_id / created_by / owner_id); resource tanpa owner
+   *   (mis. curated knowledge) untuk semua user
+   * - Admin/owner organization: semua action
+   * - read: member organization, dan member team (atau team di-share ke team user)
+   * - write: writer ke atas dan member team
+   * - manage (update/end session, dsb): owner resource yang masih member team
+   * - Scoped API key dengan agent binding (context.agent_ids): hanya resource milik agent tersebut
+   * @param {string} action - read | write | manage
+   */
+  canAccess(context, resource, type, action = 'read') {
+    if (context.agent_ids?.length && resource.agent_id && !context.agent_ids.includes(resource.agent_id)) {
+      return false;
+    }
+
+    const scope = this.getScope(resource, type);
+    const isOwner = Boolean(scope.owner_id) && scope.owner_id === context.user_id;
+
+    if (!scope.org_id) {
+      // Resource pribadi tidak boleh terbaca tenant lain, termasuk lewat agent_id yang sama
+      return !scope.owner_id || isOwner;
+    }
+
+    const role = context.organizations[scope.org_id];
+    if (!role) {
+      return false;
+    }
+
+    if (Organization.isAtLeast(role, 'admin')) {
+      return true;
+    }
+
+    const inTeam = !scope.team_id || Boolean(context.teams[scope.team_id]);
+
+    switch (action) {
+      case 'read':
+        return inTeam || context.shared_teams.includes(scope.team_id);
+      case 'write':
+        return inTeam && Organization.hasPermission(role, 'memory:write');
+      case 'manage':
+        return inTeam && isOwner;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Filter list resource yang boleh dibaca user
+   * @param {Function} getResource - Ambil resource dari item (mis. search result { note })
+   */
+  filterReadable(context, items, type, getResource = item => item) {
+    return items.filter(item => this.canAccess(context, getResource(item), type, 'read'));
+  }
+
+  /**
+   * Elasticsearch filter yang sama dengan canAccess(..., 'read') untuk notes,
+   * agar aggregations (facets) dan limit tidak menghitung notes yang tidak boleh dibaca
+   * @param {Object} fields - Path di index: { owner, org, team, agent }
+   * @returns {Array} Filter clauses
+   */
+  buildReadableFilter(context, fields = NOTE_SCOPE_FIELDS) {
+    const orgIds = Object.keys(context.organizations || {});
+    const adminOrgIds = orgIds.filter(orgId => Organization.isAtLeast(context.organizations[orgId], 'admin'));
+    const teamIds = [...Object.keys(context.teams || {}), ...(context.shared_teams || [])];
+    const unscoped = field => ({ bool: { must_not: [{ exists: { field } }] } });
+
+    // Tanpa organization: milik user atau tanpa owner (sama dengan canAccess)
+    const should = [{
+      bool: {
+        must_not: [{ exists: { field: fields.org } }],
+        should: [{ term: { [fields.owner]: context.user_id } }, unscoped(fields.owner)],
+        minimum_should_match: 1
+      }
+    }];
+    if (adminOrgIds.length > 0) {
+      should.push({ terms: { [fields.org]: adminOrgIds } });
+    }
+    if (orgIds.length > 0) {
+      should.push({
+        bool: {
+          filter: [{ terms: { [fields.org]: orgIds } }],
+          should: [unscoped(fields.team), ...(teamIds.length > 0 ? [{ terms: { [fields.team]: teamIds } }] : [])],
+          minimum_should_match: 1
+        }
+      });
+    }
+
+    return [
+      { bool: { should, minimum_should_match: 1 } },
+      ...(context.agent_ids?.length ? [{ terms: { [fields.agent]: context.agent_ids } }] : [])
+    ];
+  }
+
+  /**
+   * Elasticsearch filter untuk query lintas agent: hanya resource milik user atau di organization user
+   * (notes tanpa scope milik tenant lain tidak ikut), dipakai bersama buildReadableFilter
+   * @param {Object} fields - Path di index: { owner, org }
+   * @returns {Array} Filter clauses
+   */
+  buildTenantFilter(context, fields = NOTE_SCOPE_FIELDS) {
+    const orgIds = Object.keys(context.organizations || {});
+    const should = [{ term: { [fields.owner]: context.user_id } }];
+
+    if (orgIds.length > 0) {
+      should.push({ terms: { [fields.org]: orgIds } });
+    }
+
+    return [{ bool: { should, minimum_should_match: 1 } }];
+  }
+
+  /**
+   * Validasi scope untuk resource baru
+   * @param {Object} scope - { org_id, team_id }
+   * @returns {Object} { org_id, team_id } (null jika tidak di-scope)
+   * @throws {Error} Permission denied / Team not found
+   */
+  async resolveWriteScope(context, scope = {}) {
+    if (!scope.org_id) {
+      if (scope.team_id) {
+        throw new Error('Invalid scope: team_id requires org_id');
+      }
+      return { org_id: null, team_id: null };
+    }
+
+    const role = context.organizations[scope.org_id];
+    if (!Organization.hasPermission(role, 'memory:write')) {
+      throw new Error(`Permission denied: 'memory:write' required in organization ${scope.org_id}`);
+    }
+
+    if (scope.team_id) {
+      const team = await this.storage.getTeamById(scope.org_id, scope.team_id);
+      if (!team) {
+        throw new Error(`Team not found: ${scope.team_id}`);
+      }
+      if (!context.teams[scope.team_id] && !Organization.isAtLeast(role, 'admin')) {
+        throw new Error(`Permission denied: not a member of team ${scope.team_id}`);
+      }
+    }
+
+    return { org_id: scope.org_id, team_id: scope.team_id || null };
+  }
+}
+
+export default OrganizationService;
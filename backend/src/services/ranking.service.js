@@ -0,0 +1,203 @@
+/**
+ * Ranking Service
+ *
+ * Learning-to-rank dari relevance feedback agent: menyimpan feedback helpful/unhelpful,
+ * men-train pairwise ranker per tenant secara offline, dan menerapkan model versi aktif
+ * untuk rerank hasil search
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { PairwiseRanker, extractFeatures } from '../lib/search-lib/ltr.js';
+import { rankingConfig } from '../config/app.js';
+import OrganizationService from './organization.service.js';
+
+/**
+ * RankingService Class
+ */
+export class RankingService {
+  constructor(storageService, config = {}) {
+    this.storage = storageService;
+    this.config = {
+      ...rankingConfig,
+      ...config
+    };
+    this.organizationService = new OrganizationService(storageService);
+  }
+
+  /**
+   * Simpan feedback untuk notes yang di-retrieve dalam satu session
+   * Features dihitung saat feedback masuk agar training tidak bergantung pada state note terbaru
+   * Hanya notes yang boleh dibaca user yang disimpan, agar feedback tidak membocorkan
+   * features note tenant lain
+   * @param {string} userId - Tenant
+   * @param {Object} session - Session (dengan accessed_notes jika ada)
+   * @param {Object} feedback - { query, items: [{ note_id, helpful, relevance_score }] }
+   * @param {Object} access - Access context dari OrganizationService.getAccessContext
+   * @returns {Object} { recorded, skipped }
+   */
+  async recordFeedback(userId, session, { query, items }, access) {
+    const notes = await this.storage.getNotesByIds(items.map(item => item.note_id));
+    const notesById = new Map(notes.map(note => [note.id.toString(), note]));
+    const accessed = new Map((session.accessed_notes || []).map(entry => [entry.note_id, entry.relevance_score]));
+
+    const entries = [];
+    const skipped = [];
+
+    items.forEach(item => {
+      const note = notesById.get(item.note_id);
+      // Note tanpa akses diperlakukan sama dengan note yang tidak ada
+      if (!note || !this.organizationService.canAccess(access, note, 'note', 'read')) {
+        skipped.push(item.note_id);
+        return;
+      }
+
+      // Relevance score dari request, atau yang dicatat Session.recordNoteAccess
+      const relevanceScore = item.relevance_score ?? accessed.get(item.note_id) ?? 0;
+
+      entries.push({
+        user_id: userId,
+        session_id: session.id,
+        agent_id: session.agent_id,
+        query,
+        note_id: item.note_id,
+        helpful: item.helpful,
+        relevance_score: relevanceScore,
+        features: extractFeatures({ note, relevance_score: relevanceScore }, query)
+      });
+    });
+
+    await this.storage.saveSearchFeedback(entries);
+
+    return {
+      recorded: entries.length,
+      skipped
+    };
+  }
+
+  /**
+   * Train model baru dari feedback tenant dan simpan sebagai versi berikutnya
+   * @param {string} userId - Tenant
+   * @param {Object} options - { activate, epochs, learningRate, l2 }
+   * @returns {Object} Model yang tersimpan
+   */
+  async trainModel(userId, options = {}) {
+    const samples = await this.storage.getSearchFeedback(userId, this.config.maxSamples);
+    const pairs = PairwiseRanker.buildPairs(samples);
+
+    if (pairs.length < this.config.minPairs) {
+      throw new Error(`Not enough feedback to train: ${pairs.length} pairs (minimum ${this.config.minPairs})`);
+    }
+
+    const ranker = new PairwiseRanker().train(pairs, {
+      epochs: parseInt(options.epochs) || this.config.epochs,
+      learningRate: parseFloat(options.learningRate) || this.config.learningRate,
+      l2: options.l2 !== undefined ? parseFloat(options.l2) : this.config.l2
+    });
+
+    const existing = await this.storage.getRankingModels(userId);
+    const version = existing.length > 0 ? Math.max(...existing.map(model => model.version)) + 1 : 1;
+
+    let model = await this.storage.saveRankingModel(userId, {
+      ...ranker.toJSON(),
+      version,
+      sample_count: samples.length,
+      pair_count: pairs.length,
+      trained_at: new Date().toISOString()
+    });
+
+    console.log(`🧠 Ranking model v${version} trained for ${userId}: ${pairs.length} pairs, train accuracy ${ranker.metrics.train_accuracy?.toFixed(3)}`);
+
+    if (options.activate !== false) {
+      model = await this.activateModel(userId, version);
+    }
+
+    return model;
+  }
+
+  /**
+   * Aktifkan versi model (juga untuk rollback)
+   */
+  async activateModel(userId, version) {
+    const model = await this.storage.activateRankingModel(userId, parseInt(version));
+    if (!model) {
+      throw new Error(`Ranking model version ${version} not found`);
+    }
+
+    await this.storage.cacheDelete(this.getCacheKey(userId));
+    return model;
+  }
+
+  async listModels(userId) {
+    return await this.storage.getRankingModels(userId);
+  }
+
+  /**
+   * Load model aktif tenant (cached)
+   * Cache hanya optimisasi: kegagalan Redis jatuh ke ScyllaDB, kegagalan ScyllaDB diteruskan
+   * @returns {PairwiseRanker|null}
+   */
+  async getActiveModel(userId) {
+    if (!this.config.enabled || !userId) {
+      return null;
+    }
+
+    const cacheKey = this.getCacheKey(userId);
+    let model = null;
+
+    try {
+      model = await this.storage.cacheGet(cacheKey);
+    } catch (error) {
+      console.warn(`⚠️ Ranking model cache read failed for ${userId}:`, error.message);
+    }
+
+    if (model === null) {
+      const models = await this.storage.getRankingModels(userId);
+      // false di-cache supaya tenant tanpa model tidak query ScyllaDB setiap search
+      model = models.find(candidate => candidate.status === 'active') || false;
+
+      try {
+        await this.storage.cacheSet(cacheKey, model, this.config.modelCacheTTL);
+      } catch (error) {
+        console.warn(`⚠️ Ranking model cache write failed for ${userId}:`, error.message);
+      }
+    }
+
+    return model ? PairwiseRanker.fromJSON(model) : null;
+  }
+
+  /**
+   * Rerank results dengan model aktif tenant, results tidak berubah jika belum ada model
+   * @param {string} userId - Tenant
+   * @param {string} queryText - Query atau task description
+   * @param {Array} results - [{ note, relevance_score, ... }]
+   */
+  async rerank(userId, queryText, results) {
+    const model = await this.getActiveModel(userId);
+    return model ? this.applyModel(model, queryText, results) : results;
+  }
+
+  applyModel(model, queryText, results) {
+    return results
+      .map(result => {
+        const ltrScore = model.score(extractFeatures(result, queryText));
+
+        return {
+          ...result,
+          ltr_score: ltrScore,
+          ranking_model_version: model.version,
+          ...(result.score_breakdown && {
+            score_breakdown: { ...result.score_breakdown, ltr: { score: ltrScore, model_version: model.version } }
+          })
+        };
+      })
+      .sort((a, b) => b.ltr_score - a.ltr_score);
+  }
+
+  getCacheKey(userId) {
+    return `ltr:model:${userId}`;
+  }
+}
+
+export default RankingService;
@@ -0,0 +1,551 @@
+/**
+ * Re-embedding Service
+ *
+ * Background job untuk migrasi embedding model/dimensi tanpa downtime
+ * Semua notes (dan chunks-nya) di-embed ulang dengan target model ke Elasticsearch
+ * index baru, lalu alias notes dan note_chunks dipindahkan secara atomic.
+ * Progress disimpan di Redis sehingga job bisa dilanjutkan setelah restart
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { basename } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { EmbeddingsGenerator } from '../lib/note-processor-lib/embeddings.js';
+import { Note } from '../models/note.js';
+import { NoteChunkService } from './note-chunk.service.js';
+import { embeddingConfig } from '../config/app.js';
+import { elasticsearchIndices } from '../config/database.js';
+
+const JOB_KEY = 'reembed:job';
+const JOB_TTL = 30 * 86400; // 30 hari
+const LOCK_KEY = 'reembed:lock';
+const LOCK_TTL = 300; // Di-refresh setiap batch
+const MAX_FAILED_IDS = 100;
+
+// Urutan phase job: backfill → catch_up → switch → finalize
+const RESUMABLE_STATUSES = ['running', 'interrupted'];
+
+/**
+ * ReembeddingService Class
+ * Menjalankan re-embedding pipeline dan alias switch
+ */
+export class ReembeddingService {
+  constructor(storageService, config = {}) {
+    this.storage = storageService;
+    this.config = {
+      ...embeddingConfig,
+      ...config
+    };
+
+    this.noteChunks = new NoteChunkService(storageService, config);
+
+    this.running = false;
+    this.stopRequested = false;
+    this.currentRun = null;
+  }
+
+  /**
+   * Jalankan re-embedding di background
+   * @param {Object} target - { provider, model, dimensions, modelPath }
+   * @param {Object} options - { restart, batchSize }
+   */
+  start(target = {}, options = {}) {
+    if (this.running) {
+      throw new Error('Re-embedding job already running');
+    }
+
+    this.currentRun = this.runReembedding(target, options)
+      .then(job => {
+        if (job.status === 'completed') {
+          console.log(`✅ Re-embedding completed: ${job.embedded} notes → ${job.target_index}`);
+        }
+        return job;
+      })
+      .catch(error => {
+        console.error('❌ Re-embedding job failed:', error.message);
+        return null;
+      });
+  }
+
+  /**
+   * Lanjutkan job yang terputus (server restart di tengah migrasi)
+   */
+  async resumeInterrupted() {
+    if (!this.config.reembedResumeOnStart) {
+      return;
+    }
+
+    try {
+      const job = await this.storage.cacheGet(JOB_KEY);
+
+      if (job && RESUMABLE_STATUSES.includes(job.status)) {
+        console.log(`🔄 Resuming re-embedding job ${job.id} (${job.phase}, ${job.processed} notes processed)`);
+        this.start(job.target, { batchSize: job.batch_size });
+      }
+    } catch (error) {
+      console.error('❌ Failed to resume re-embedding job:', error.message);
+    }
+  }
+
+  /**
+   * Re-embed semua notes ke index baru lalu switch alias
+   * @returns {Object} Job state
+   */
+  async runReembedding(target = {}, options = {}) {
+    if (this.running) {
+      throw new Error('Re-embedding job already running');
+    }
+
+    this.running = true;
+    this.stopRequested = false;
+
+    let locked = false;
+    let job = null;
+    let embeddings = null;
+
+    try {
+      // Lock lintas instance, diambil secara atomic (SET NX)
+      locked = await this.storage.cacheSetIfAbsent(LOCK_KEY, { started_at: new Date().toISOString() }, LOCK_TTL);
+      if (!locked) {
+        throw new Error('Re-embedding job already running');
+      }
+
+      job = await this.loadOrCreateJob(this.resolveTarget(target), options);
+
+      embeddings = new EmbeddingsGenerator({
+        provider: job.target.provider,
+        model: job.target.model,
+        dimensions: job.target.dimensions,
+        modelPath: job.target.modelPath,
+        batchSize: job.batch_size,
+        cache: false
+      });
+
+      await this.ensureTargetIndex(job);
+
+      if (job.phase === 'backfill') {
+        await this.backfill(job, embeddings);
+      }
+
+      if (this.stopRequested) {
+        job.status = 'interrupted';
+        await this.saveJob(job);
+        console.log(`⏸️ Re-embedding job ${job.id} interrupted at ${job.processed} notes`);
+        return job;
+      }
+
+      if (job.phase === 'catch_up') {
+        // Notes yang dibuat/diubah selama backfill
+        const since = job.started_at;
+        job.catch_up_at = new Date().toISOString();
+        await this.catchUp(job, embeddings, since);
+        job.phase = 'switch';
+        await this.saveJob(job);
+      }
+
+      if (job.phase === 'switch') {
+        await this.switchAlias(job);
+        job.switched_at = new Date().toISOString();
+        job.phase = 'finalize';
+        await this.saveJob(job);
+      }
+
+      if (job.phase === 'finalize') {
+        // Notes yang masuk ke index lama di antara catch-up dan alias switch
+        await this.catchUp(job, embeddings, job.catch_up_at);
+      }
+
+      job.status = 'completed';
+      job.completed_at = new Date().toISOString();
+      await this.saveJob(job);
+
+      console.log(`🔄 Alias ${job.alias} now points to ${job.target_index}; set EMBEDDING_PROVIDER/EMBEDDING_MODEL/EMBEDDING_DIMENSIONS to ${job.target.provider}/${job.target.model}/${job.target.dimensions}`);
+
+      return job;
+
+    } catch (error) {
+      if (!locked) {
+        throw error;
+      }
+      if (job) {
+        job.status = 'failed';
+        job.error = error.message;
+        await this.saveJob(job);
+      }
+      throw new Error(`Re-embedding failed: ${error.message}`);
+    } finally {
+      this.running = false;
+      if (locked) {
+        await this.storage.cacheDelete(LOCK_KEY);
+      }
+      if (embeddings) {
+        await embeddings.close();
+      }
+    }
+  }
+
+  /**
+   * Lengkapi target model dengan default dari konfigurasi aktif
+   */
+  resolveTarget(target = {}) {
+    const provider = target.provider || this.config.provider;
+    const modelPath = target.modelPath || (provider === 'local' ? this.config.modelPath : null);
+    const model = target.model
+      || (provider === 'local' && modelPath ? basename(modelPath) : this.config.model);
+
+    return {
+      provider,
+      model,
+      dimensions: parseInt(target.dimensions) || this.config.dimensions,
+      modelPath
+    };
+  }
+
+  /**
+   * Resume job yang belum selesai untuk target yang sama, atau buat job baru
+   */
+  async loadOrCreateJob(target, options = {}) {
+    const existing = await this.storage.cacheGet(JOB_KEY);
+    const unfinished = existing && existing.status !== 'completed';
+
+    if (unfinished && !options.restart) {
+      if (!this.isSameTarget(existing.target, target)) {
+        throw new Error(`Unfinished re-embedding job to ${existing.target.model} (${existing.target.dimensions}d) exists, use restart to discard it`);
+      }
+
+      existing.status = 'running';
+      existing.error = null;
+      existing.resumed_at = new Date().toISOString();
+      await this.saveJob(existing);
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      target,
+      alias: this.config.notesAlias,
+      target_index: this.buildIndexName(this.config.notesAlias, target),
+      chunks_alias: this.config.chunksAlias,
+      chunks_target_index: this.buildIndexName(this.config.chunksAlias, target),
+      batch_size: parseInt(options.batchSize) || this.config.reembedBatchSize,
+      phase: 'backfill',
+      status: 'running',
+      cursor: null,
+      processed: 0,
+      embedded: 0,
+      failed: 0,
+      failed_note_ids: [],
+      previous_indices: [],
+      removed_indices: [],
+      started_at: now,
+      catch_up_at: null,
+      switched_at: null,
+      completed_at: null,
+      error: null
+    };
+
+    await this.saveJob(job);
+    console.log(`📝 Re-embedding job ${job.id} started: ${target.provider}/${target.model} (${target.dimensions}d) → ${job.target_index}`);
+
+    return job;
+  }
+
+  /**
+   * Embed semua notes halaman demi halaman, cursor disimpan setiap batch
+   */
+  async backfill(job, embeddings) {
+    let done = false;
+
+    while (!done && !this.stopRequested) {
+      const notes = await this.storage.getNotesPage(job.cursor, job.batch_size);
+
+      if (notes.length > 0) {
+        await this.embedAndIndex(job, notes, embeddings);
+        job.cursor = notes[notes.length - 1].id.toString();
+        job.processed += notes.length;
+      }
+
+      done = notes.length < job.batch_size;
+      if (done) {
+        job.phase = 'catch_up';
+      }
+
+      await this.saveJob(job);
+    }
+  }
+
+  /**
+   * Re-embed notes yang dibuat atau diubah sejak waktu tertentu
+   * Semua halaman di-scan (created_at lalu updated_at); note yang muncul di kedua scan diproses sekali
+   */
+  async catchUp(job, embeddings, since) {
+    const seen = new Set();
+
+    for (const column of ['created_at', 'updated_at']) {
+      let pageState = null;
+
+      do {
+        const page = await this.storage.getNotesChangedSince(new Date(since), {
+          column,
+          pageState,
+          fetchSize: job.batch_size
+        });
+        const notes = page.notes.filter(note => !seen.has(note.id.toString()));
+        notes.forEach(note => seen.add(note.id.toString()));
+
+        if (notes.length > 0) {
+          await this.embedAndIndex(job, notes, embeddings, { replaceChunks: true });
+          job.processed += notes.length;
+        }
+
+        pageState = page.pageState;
+      } while (pageState);
+    }
+  }
+
+  /**
+   * Generate embeddings untuk satu batch, index ke target index dan simpan ke ScyllaDB
+   * @param {Object} options - { replaceChunks } hapus chunks lama note di target index (catch-up)
+   */
+  async embedAndIndex(job, notes, embeddings, options = {}) {
+    const { results } = await embeddings.generateBatchEmbeddings(notes.map(note => Note.getEmbeddingText(note)));
+    const entries = [];
+
+    results.forEach(result => {
+      const note = notes[result.index];
+
+      if (!result.success) {
+        job.failed++;
+        if (job.failed_note_ids.length < MAX_FAILED_IDS) {
+          job.failed_note_ids.push(note.id.toString());
+        }
+        return;
+      }
+
+      entries.push({ note, embeddings: result.embedding });
+    });
+
+    if (entries.length === 0) {
+      return;
+    }
+
+    await this.bulkIndex(job, entries);
+    await this.storage.saveNoteEmbeddings(entries.map(entry => ({
+      noteId: entry.note.id,
+      embeddings: entry.embeddings,
+      model: job.target.model
+    })));
+
+    const chunkDocuments = [];
+    for (const { note } of entries) {
+      if (options.replaceChunks) {
+        await this.noteChunks.deleteNoteChunks(note.id, job.chunks_target_index);
+      }
+      chunkDocuments.push(...await this.noteChunks.buildChunkDocuments(note, embeddings, job.target.model));
+    }
+    await this.noteChunks.bulkIndexChunks(job.chunks_target_index, chunkDocuments);
+
+    job.embedded += entries.length;
+  }
+
+  /**
+   * Bulk index notes beserta embeddings ke target index
+   */
+  async bulkIndex(job, entries) {
+    const search = await this.storage.search();
+
+    const body = entries.flatMap(({ note, embeddings }) => [
+      { index: { _index: job.target_index, _id: note.id.toString() } },
+      {
+        ...note,
+        searchable_content: `${note.content.action || ''} ${note.content.result || ''} ${note.content.learning || ''}`,
+        embeddings,
+        embedding_model: job.target.model,
+        embedding_dimensions: embeddings.length
+      }
+    ]);
+
+    const result = this.unwrap(await search.bulk({ body }));
+
+    if (result.errors) {
+      const failedItem = result.items.find(item => item.index?.error);
+      throw new Error(`Bulk indexing failed: ${failedItem?.index.error.reason || 'unknown error'}`);
+    }
+  }
+
+  /**
+   * Buat target index dengan mapping notes dan dense_vector sesuai target dimensi
+   */
+  async ensureTargetIndex(job) {
+    const search = await this.storage.search();
+
+    if (!this.unwrap(await search.indices.exists({ index: job.chunks_target_index }))) {
+      await this.noteChunks.createIndex(job.chunks_target_index, job.target.dimensions, job.target.model);
+    }
+
+    if (this.unwrap(await search.indices.exists({ index: job.target_index }))) {
+      return;
+    }
+
+    const { settings, mappings } = elasticsearchIndices.notes;
+
+    await search.indices.create({
+      index: job.target_index,
+      body: {
+        settings,
+        mappings: {
+          ...mappings,
+          _meta: {
+            embedding_model: job.target.model,
+            embedding_dimensions: job.target.dimensions
+          },
+          properties: {
+            ...mappings.properties,
+            embeddings: { type: 'dense_vector', dims: job.target.dimensions }
+          }
+        }
+      }
+    });
+
+    console.log(`✅ Created Elasticsearch index: ${job.target_index}`);
+  }
+
+  /**
+   * Pindahkan alias notes dan note_chunks ke target index dalam satu atomic _aliases request
+   * Index lama tetap disimpan untuk rollback (job.previous_indices); concrete index dengan nama
+   * alias (deployment lama) di-copy dulu ke <alias>_legacy_<job> sebelum dihapus
+   */
+  async switchAlias(job) {
+    const search = await this.storage.search();
+    const actions = [];
+
+    const targets = [
+      [job.alias, job.target_index],
+      [job.chunks_alias, job.chunks_target_index]
+    ];
+
+    for (const [alias, targetIndex] of targets) {
+      if (this.unwrap(await search.indices.existsAlias({ name: alias }))) {
+        const current = this.unwrap(await search.indices.getAlias({ name: alias }));
+
+        Object.keys(current)
+          .filter(index => index !== targetIndex)
+          .forEach(index => {
+            job.previous_indices.push(index);
+            actions.push({ remove: { index, alias } });
+          });
+      } else if (this.unwrap(await search.indices.exists({ index: alias }))) {
+        // Nama alias masih dipakai concrete index lama, harus dihapus di request yang sama
+        const legacyIndex = await this.copyConcreteIndex(search, alias, `${alias}_legacy_${job.id.slice(0, 8)}`);
+        console.warn(`⚠️ ${alias} is a concrete index and will be replaced by alias to ${targetIndex} (copy kept as ${legacyIndex})`);
+        job.previous_indices.push(legacyIndex);
+        job.removed_indices.push(alias);
+        actions.push({ remove_index: { index: alias } });
+      }
+
+      actions.push({ add: { index: targetIndex, alias, is_write_index: true } });
+    }
+
+    await search.indices.updateAliases({ body: { actions } });
+    console.log(`🔄 Aliases ${job.alias}, ${job.chunks_alias} switched to ${job.target_index}, ${job.chunks_target_index}`);
+  }
+
+  /**
+   * Copy concrete index (mappings, analysis settings dan documents) ke index baru untuk rollback
+   * Idempotent saat job di-resume: documents dengan _id yang sama ditimpa
+   * @returns {string} Nama index copy
+   */
+  async copyConcreteIndex(search, index, copyIndex) {
+    if (!this.unwrap(await search.indices.exists({ index: copyIndex }))) {
+      const settings = this.unwrap(await search.indices.getSettings({ index }))[index].settings.index;
+      const { mappings } = this.unwrap(await search.indices.getMapping({ index }))[index];
+
+      await search.indices.create({
+        index: copyIndex,
+        body: {
+          settings: {
+            number_of_shards: settings.number_of_shards,
+            ...(settings.analysis && { analysis: settings.analysis })
+          },
+          mappings
+        }
+      });
+    }
+
+    const result = this.unwrap(await search.reindex({
+      body: { source: { index }, dest: { index: copyIndex } },
+      wait_for_completion: true,
+      refresh: true
+    }));
+
+    if (result.failures?.length > 0) {
+      throw new Error(`Copying ${index} to ${copyIndex} failed: ${result.failures[0].cause?.reason || 'unknown error'}`);
+    }
+
+    return copyIndex;
+  }
+
+  /**
+   * Simpan job state dan perpanjang lock
+   */
+  async saveJob(job) {
+    job.updated_at = new Date().toISOString();
+    await this.storage.cacheSet(JOB_KEY, job, JOB_TTL);
+
+    if (this.running) {
+      await this.storage.cacheSet(LOCK_KEY, { job_id: job.id, updated_at: job.updated_at }, LOCK_TTL);
+    }
+  }
+
+  isSameTarget(a, b) {
+    return a.provider === b.provider && a.model === b.model && a.dimensions === b.dimensions;
+  }
+
+  /**
+   * Nama index baru: <alias>_<model>_<dimensions>d_<timestamp>
+   */
+  buildIndexName(alias, target) {
+    const modelSlug = target.model.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `${alias}_${modelSlug}_${target.dimensions}d_${Date.now()}`;
+  }
+
+  /**
+   * Elasticsearch client v7 membungkus response di body, v8 tidak
+   */
+  unwrap(response) {
+    return response && response.body !== undefined ? response.body : response;
+  }
+
+  /**
+   * Get status re-embedding job
+   */
+  async getStatus() {
+    return {
+      running: this.running,
+      active_model: {
+        provider: this.config.provider,
+        model: this.config.model,
+        dimensions: this.config.dimensions
+      },
+      job: await this.storage.cacheGet(JOB_KEY)
+    };
+  }
+
+  /**
+   * Stop job setelah batch yang sedang berjalan, progress tetap tersimpan
+   */
+  async stop() {
+    this.stopRequested = true;
+
+    if (this.currentRun) {
+      await this.currentRun;
+      this.currentRun = null;
+    }
+    console.log('🛑 ReembeddingService stopped');
+  }
+}
+
+export default ReembeddingService;
@@ -0,0 +1,307 @@
+/**
+ * Saved Search Service
+ *
+ * Named queries (text + filters) yang bisa disimpan, di-list dan dijalankan ulang oleh user.
+ * Saved search yang "standing" di-evaluate terhadap setiap note baru: StorageService.saveNote
+ * mem-publish note ke Redis pub/sub, service ini mencatat match dan mem-publish event ke
+ * channel milik user
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { SearchService } from './search.service.js';
+import { QueryParser } from '../lib/search-lib/query-parser.js';
+import { savedSearchConfig } from '../config/app.js';
+
+/**
+ * SavedSearchService Class
+ */
+export class SavedSearchService {
+  constructor(storageService, config = {}) {
+    this.storage = storageService;
+    this.config = {
+      ...savedSearchConfig,
+      ...config
+    };
+
+    this.searchService = new SearchService(storageService);
+    this.queryParser = new QueryParser();
+    this.subscribed = false;
+  }
+
+  /**
+   * Buat saved search baru
+   * @param {string} userId - Pemilik
+   * @param {Object} data - { name, query, agent_id, filters, max_results, standing }
+   */
+  async createSavedSearch(userId, data) {
+    // Syntax error di query language langsung ditolak (ValidationError)
+    this.queryParser.parseText(data.query);
+
+    const existing = await this.storage.getSavedSearches(userId);
+    if (existing.length >= this.config.maxPerUser) {
+      throw new Error(`Saved search limit reached: maximum ${this.config.maxPerUser} per user`);
+    }
+
+    if (existing.some(savedSearch => savedSearch.name === data.name)) {
+      throw new Error(`Saved search already exists: ${data.name}`);
+    }
+
+    const now = new Date().toISOString();
+
+    return await this.storage.saveSavedSearch({
+      id: uuidv4(),
+      user_id: userId,
+      name: data.name,
+      query: data.query,
+      agent_id: data.agent_id,
+      filters: data.filters || {},
+      max_results: data.max_results || 20,
+      standing: Boolean(data.standing),
+      last_run_at: null,
+      last_match_at: null,
+      created_at: now,
+      updated_at: now
+    });
+  }
+
+  async listSavedSearches(userId) {
+    return await this.storage.getSavedSearches(userId);
+  }
+
+  /**
+   * Get saved search milik user
+   * @throws {Error} Saved search not found
+   */
+  async getSavedSearch(userId, savedSearchId) {
+    const savedSearch = await this.storage.getSavedSearchById(userId, savedSearchId);
+    if (!savedSearch) {
+      throw new Error(`Saved search not found: ${savedSearchId}`);
+    }
+    return savedSearch;
+  }
+
+  /**
+   * Update name, query, filters, max_results atau standing flag
+   */
+  async updateSavedSearch(userId, savedSearchId, updates) {
+    const savedSearch = await this.getSavedSearch(userId, savedSearchId);
+
+    if (updates.query !== undefined) {
+      this.queryParser.parseText(updates.query);
+    }
+
+    if (updates.name && updates.name !== savedSearch.name) {
+      const existing = await this.storage.getSavedSearches(userId);
+      if (existing.some(candidate => candidate.name === updates.name)) {
+        throw new Error(`Saved search already exists: ${updates.name}`);
+      }
+    }
+
+    return await this.storage.saveSavedSearch({
+      ...savedSearch,
+      ...updates,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  async deleteSavedSearch(userId, savedSearchId) {
+    await this.getSavedSearch(userId, savedSearchId);
+    return await this.storage.deleteSavedSearch(userId, savedSearchId);
+  }
+
+  /**
+   * Jalankan saved search
+   * Query language dijalankan sebagai full-text search, plain text seperti POST /notes/relevant
+   * @returns {Object} { saved_search, notes, patterns_detected }
+   */
+  async runSavedSearch(userId, savedSearchId) {
+    const savedSearch = await this.getSavedSearch(userId, savedSearchId);
+
+    let notes;
+    let patterns = [];
+
+    if (this.queryParser.isStructured(savedSearch.query)) {
+      const result = await this.searchService.searchNotes({
+        query: savedSearch.query,
+        agent_id: savedSearch.agent_id,
+        limit: savedSearch.max_results,
+        search_type: 'fulltext',
+        user_id: userId
+      });
+      notes = result.results.map(({ note, relevance_score: relevanceScore, snippets }) => ({
+        ...note,
+        relevance_score: relevanceScore,
+        snippets
+      }));
+    } else {
+      const result = await this.searchService.getRelevantNotes({
+        task_description: savedSearch.query,
+        agent_id: savedSearch.agent_id,
+        max_results: savedSearch.max_results,
+        user_id: userId
+      });
+      notes = result.notes;
+      patterns = result.patterns_detected;
+    }
+
+    const lastRunAt = new Date().toISOString();
+    await this.storage.saveSavedSearch({ ...savedSearch, last_run_at: lastRunAt });
+
+    return {
+      saved_search: { ...savedSearch, last_run_at: lastRunAt },
+      notes: notes.filter(note => this.matchesFilters(savedSearch.filters, note)),
+      patterns_detected: patterns
+    };
+  }
+
+  /**
+   * Get notes baru yang cocok dengan standing search
+   * @param {Object} options - { limit, since }
+   */
+  async getMatches(userId, savedSearchId, options = {}) {
+    await this.getSavedSearch(userId, savedSearchId);
+    return await this.storage.getSavedSearchMatches(savedSearchId, options);
+  }
+
+  /**
+   * Subscribe ke note events untuk standing searches
+   */
+  async start() {
+    if (!this.config.standingEnabled) {
+      console.log('⏸️ Standing saved searches disabled');
+      return;
+    }
+
+    try {
+      await this.storage.subscribeEvent(this.config.noteEventsChannel, note => {
+        this.handleNoteCreated(note).catch(error => {
+          console.error(`❌ Standing search evaluation failed for note ${note?.id}:`, error.message);
+        });
+      });
+      this.subscribed = true;
+
+      console.log(`🔔 Standing saved searches listening on ${this.config.noteEventsChannel}`);
+    } catch (error) {
+      console.error('❌ Failed to subscribe standing saved searches:', error.message);
+    }
+  }
+
+  async stop() {
+    if (this.subscribed) {
+      await this.storage.unsubscribeEvent(this.config.noteEventsChannel);
+      this.subscribed = false;
+    }
+  }
+
+  /**
+   * Evaluate standing searches agent milik owner note terhadap note baru
+   * Dedupe per note agar beberapa instance server tidak mencatat match dua kali
+   * @returns {Array} Matches yang dicatat
+   */
+  async handleNoteCreated(note) {
+    const userId = note?.metadata?.user_id;
+    if (!note?.id || !note.agent_id || !userId) {
+      return [];
+    }
+
+    const claimed = await this.storage.cacheSetIfAbsent(`saved-search:note:${note.id}`, 1, this.config.dedupeTTL);
+    if (!claimed) {
+      return [];
+    }
+
+    const standingSearches = await this.storage.getStandingSearchesByAgent(userId, note.agent_id);
+    const matches = [];
+
+    for (const savedSearch of standingSearches) {
+      const score = this.matchNote(savedSearch, note);
+      if (score === null) {
+        continue;
+      }
+
+      const match = await this.storage.saveSavedSearchMatch({
+        saved_search_id: savedSearch.id,
+        user_id: savedSearch.user_id,
+        agent_id: note.agent_id,
+        note_id: note.id,
+        score,
+        matched_at: new Date().toISOString()
+      });
+
+      await this.storage.publishEvent(this.getMatchChannel(savedSearch.user_id), {
+        event: 'saved_search.match',
+        saved_search_id: savedSearch.id,
+        saved_search_name: savedSearch.name,
+        note_id: note.id,
+        agent_id: note.agent_id,
+        score,
+        matched_at: match.matched_at
+      });
+
+      matches.push(match);
+    }
+
+    if (matches.length > 0) {
+      console.log(`🔔 Note ${note.id} matched ${matches.length} standing search(es)`);
+    }
+
+    return matches;
+  }
+
+  /**
+   * Cek apakah note cocok dengan saved search
+   * Query language harus terpenuhi seluruhnya, plain text butuh fraksi terms >= minMatchScore
+   * @returns {number|null} Match score, null jika tidak cocok
+   */
+  matchNote(savedSearch, note) {
+    if (!this.matchesFilters(savedSearch.filters, note)) {
+      return null;
+    }
+
+    let ast;
+    try {
+      ast = this.queryParser.parseText(savedSearch.query);
+    } catch (error) {
+      console.warn(`⚠️ Invalid standing search query ${savedSearch.id}:`, error.message);
+      return null;
+    }
+
+    if (!this.queryParser.evaluate(ast, note)) {
+      return null;
+    }
+
+    const score = this.queryParser.score(ast, note);
+    if (!this.queryParser.isStructured(savedSearch.query) && score < this.config.minMatchScore) {
+      return null;
+    }
+
+    return score;
+  }
+
+  /**
+   * Filters: { project, type, tags } (semua tags harus ada di note)
+   */
+  matchesFilters(filters = {}, note) {
+    if (filters.project && note.context?.project !== filters.project) {
+      return false;
+    }
+
+    if (filters.type && note.type !== filters.type) {
+      return false;
+    }
+
+    const tags = note.context?.tags || [];
+    return (filters.tags || []).every(tag => tags.includes(tag));
+  }
+
+  /**
+   * Channel pub/sub untuk match events milik user
+   */
+  getMatchChannel(userId) {
+    return `${this.config.matchChannelPrefix}:${userId}`;
+  }
+}
+
+export default SavedSearchService;
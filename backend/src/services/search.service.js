@@ -9,6 +9,24 @@
  */
 
 import { SearchManager } from '../lib/search-lib/index.js';
+import { ResultFusion } from '../lib/search-lib/fusion.js';
+import { FacetBuilder, NOTE_FACETS } from '../lib/search-lib/facets.js';
+import { SimilarityGraph } from '../lib/search-lib/similarity-graph.js';
+import { SnippetExtractor, NOTE_SNIPPET_FIELDS } from '../lib/search-lib/snippets.js';
+import { NOTE_PATTERN_FIELDS } from '../lib/search-lib/pattern-matcher.js';
+import { PatternPrefilter } from '../lib/search-lib/pattern-prefilter.js';
+import { NoteChunkService } from './note-chunk.service.js';
+import { OrganizationService } from './organization.service.js';
+import { RankingService } from './ranking.service.js';
+import { SuggestService } from './suggest.service.js';
+import { searchConfig } from '../config/app.js';
+
+// Signal untuk setiap strategy getRelevantNotes: chunk, keyword, pattern
+const RELEVANT_STRATEGIES = [
+  { signal: 'semantic', weight: 0.6 },
+  { signal: 'bm25', weight: 0.3 },
+  { signal: 'pattern', weight: 0.1 }
+];
 
 /**
  * SearchService Class
@@ -24,8 +42,28 @@ export class SearchService {
       cacheSize: 1000,
       cacheTTL: 300000, // 5 minutes
       enableAnalytics: true,
+      fusion: searchConfig.fusion,
+      snippets: searchConfig.snippets,
+      // Pattern search memverifikasi stored notes, bukan in-memory documents
+      pattern: {
+        maxCandidates: searchConfig.pattern.maxCandidates,
+        regexGuard: searchConfig.pattern.regexGuard,
+        candidateSource: request => this.streamPatternCandidates(request)
+      },
       ...config
     });
+    this.patternPrefilter = new PatternPrefilter();
+    this.fusion = new ResultFusion(config.fusion || searchConfig.fusion);
+    this.noteFacets = new FacetBuilder(NOTE_FACETS, searchConfig.facets);
+    this.snippets = new SnippetExtractor(searchConfig.snippets);
+    this.similarityGraph = new SimilarityGraph({
+      threshold: searchConfig.similarity.graphThreshold,
+      maxEdgesPerNode: searchConfig.similarity.graphMaxEdgesPerNode
+    });
+    this.noteChunks = new NoteChunkService(storageService);
+    this.ranking = new RankingService(storageService);
+    this.suggestions = new SuggestService(storageService);
+    this.organizations = new OrganizationService(storageService);
 
     // Search performance metrics
     this.metrics = {
@@ -50,7 +88,15 @@ export class SearchService {
         agent_id,
         limit = 10,
         min_relevance = 0.5,
-        search_type = 'auto'
+        search_type = 'auto',
+        fusion = {},
+        user_id,
+        access,
+        facets,
+        selected_facets = {},
+        facet_interval,
+        highlight = {},
+        pattern = {}
       } = searchParams;
 
       // Validasi parameters
@@ -60,31 +106,84 @@ export class SearchService {
 
       let searchResults;
 
+      // Selected facets di-filter oleh Elasticsearch pada full-text search
+      const facetFilters = selected_facets;
+
       // Determine search method berdasarkan search_type
       switch (search_type) {
         case 'semantic':
           searchResults = await this.executeSemanticSearch(query, agent_id, { limit, min_relevance });
           break;
         case 'fulltext':
-          searchResults = await this.executeFullTextSearch(query, agent_id, { limit, min_relevance });
+          searchResults = await this.executeFullTextSearch(query, agent_id, { limit, min_relevance, facetFilters, highlight });
           break;
         case 'hybrid':
-          searchResults = await this.executeHybridSearch(query, agent_id, { limit, min_relevance });
+          searchResults = await this.executeHybridSearch(query, agent_id, { limit, min_relevance, fusion, facetFilters, highlight });
+          break;
+        case 'pattern':
+          searchResults = await this.executePatternSearch(query, agent_id, { limit, pattern, highlight });
           break;
         case 'auto':
         default:
-          searchResults = await this.executeAutoSearch(query, agent_id, { limit, min_relevance });
+          searchResults = await this.executeAutoSearch(query, agent_id, { limit, min_relevance, fusion, facetFilters, highlight });
           break;
       }
 
+      // Notes organization/team yang tidak boleh dibaca user dibuang sebelum facets dan ranking
+      const readableResults = access
+        ? this.organizations.filterReadable(access, searchResults.results, 'note', result => result.note || result)
+        : searchResults.results;
+
+      // Facet counts dihitung sebelum drill-down agar value lain tetap terlihat
+      const facetResult = facets
+        ? await this.getNoteFacets(query, agent_id, {
+          access,
+          facets,
+          selected: selected_facets,
+          interval: facet_interval,
+          min_relevance,
+          results: readableResults
+        })
+        : null;
+
+      // Drill-down untuk results yang tidak berasal dari Elasticsearch (semantic, pattern)
+      const filteredResults = this.noteFacets.hasSelection(selected_facets)
+        ? readableResults.filter(result => this.noteFacets.matches(result.note || result, selected_facets))
+        : readableResults;
+
+      // Learning-to-rank dengan model aktif tenant (jika sudah di-train)
+      const rankedResults = user_id
+        ? await this.ranking.rerank(user_id, query, filteredResults)
+        : filteredResults;
+
       // Format results sesuai OpenAPI schema
-      const formattedResults = searchResults.results.map(result => ({
+      // Hybrid results menyertakan score breakdown per signal, semua mode menyertakan snippets
+      const snippetTerms = this.getSnippetTerms(query);
+      const formattedResults = rankedResults.map(result => ({
         note: result.note || result,
-        relevance_score: result.relevance_score || result.score || 0
+        relevance_score: result.relevance_score || result.score || 0,
+        ...(result.ltr_score !== undefined && { ltr_score: result.ltr_score }),
+        ...(result.score_breakdown && { score_breakdown: result.score_breakdown }),
+        ...(highlight.enabled !== false && { snippets: this.buildSnippets(result, snippetTerms, highlight) })
       }));
 
+      // "Did you mean" hanya untuk search tanpa results
+      const didYouMean = formattedResults.length === 0
+        ? await this.getDidYouMean(user_id, query)
+        : null;
+
       const response = {
         results: formattedResults,
+        search_type: searchResults.searchType || search_type,
+        ...(didYouMean && { did_you_mean: didYouMean }),
+        ...(searchResults.fusion && { fusion: searchResults.fusion }),
+        // Pattern search berhenti karena time budget, results bisa belum lengkap
+        ...(searchResults.truncated && { truncated: true }),
+        ...(facetResult && {
+          facets: facetResult.facets,
+          facets_source: facetResult.source,
+          selected_facets
+        }),
         query_time_ms: Date.now() - startTime
       };
 
@@ -93,6 +192,10 @@ export class SearchService {
 
       return response;
     } catch (error) {
+      // Query language syntax errors diteruskan sebagai ValidationError (400)
+      if (error.name === 'ValidationError') {
+        throw error;
+      }
       throw new Error(`Search notes failed: ${error.message}`);
     }
   }
@@ -109,7 +212,9 @@ export class SearchService {
       const {
         task_description,
         agent_id,
-        max_results = 20
+        max_results = 20,
+        user_id,
+        highlight = {}
       } = params;
 
       // Validasi parameters
@@ -118,7 +223,7 @@ export class SearchService {
       }
 
       // Cek cache terlebih dahulu
-      const cacheKey = this.generateCacheKey('relevant', { task_description, agent_id, max_results });
+      const cacheKey = this.generateCacheKey('relevant', { task_description, agent_id, max_results, user_id, highlight });
       const cachedResult = await this.getCachedResult(cacheKey);
       
       if (cachedResult) {
@@ -130,8 +235,8 @@ export class SearchService {
 
       // Execute multiple search strategies
       const searchStrategies = [
-        // Strategy 1: Semantic search untuk understanding
-        this.executeSemanticSearch(task_description, agent_id, { 
+        // Strategy 1: Chunk-level semantic search untuk understanding (termasuk tail content panjang)
+        this.executeChunkSearch(task_description, agent_id, { 
           limit: Math.floor(max_results * 0.6),
           min_relevance: 0.7 
         }),
@@ -151,14 +256,22 @@ export class SearchService {
 
       const searchResults = await Promise.allSettled(searchStrategies);
       
-      // Merge dan deduplicate results
-      const mergedResults = this.mergeSearchResults(searchResults, max_results);
+      // Merge dan deduplicate results, lalu rerank dengan model aktif tenant
+      const mergedResults = user_id
+        ? await this.ranking.rerank(user_id, task_description, this.mergeSearchResults(searchResults, max_results))
+        : this.mergeSearchResults(searchResults, max_results);
       
       // Detect patterns dalam results
       const patterns = this.detectTaskPatterns(mergedResults, task_description);
       
+      // Best-matching chunk (dengan offsets) dan snippets disertakan bersama note
+      const snippetTerms = this.extractKeywords(task_description);
       const response = {
-        notes: mergedResults.map(r => r.note || r),
+        notes: mergedResults.map(r => ({
+          ...(r.note || r),
+          ...(r.matched_chunk && { matched_chunk: r.matched_chunk }),
+          ...(highlight.enabled !== false && { snippets: this.buildSnippets(r, snippetTerms, highlight) })
+        })),
         patterns_detected: patterns,
         cache_hit: false
       };
@@ -199,56 +312,102 @@ export class SearchService {
     }
   }
 
+  /**
+   * Execute chunk-level semantic search, fallback ke semantic search
+   * jika chunks index belum tersedia atau kosong
+   */
+  async executeChunkSearch(query, agentId, options = {}) {
+    try {
+      const matches = await this.noteChunks.searchChunks(query, agentId, options);
+
+      if (matches.length === 0) {
+        return await this.executeSemanticSearch(query, agentId, options);
+      }
+
+      const notes = await this.storage.getNotesByIds(matches.map(match => match.note_id));
+      const notesById = new Map(notes.map(note => [note.id.toString(), note]));
+
+      const results = matches
+        .filter(match => notesById.has(match.note_id))
+        .map(match => ({
+          note: notesById.get(match.note_id),
+          relevance_score: match.score,
+          matched_chunk: match.chunk
+        }));
+
+      return {
+        results,
+        total: results.length,
+        searchType: 'chunk'
+      };
+    } catch (error) {
+      console.warn('⚠️ Chunk search failed, falling back to semantic search:', error.message);
+      return await this.executeSemanticSearch(query, agentId, options);
+    }
+  }
+
+  /**
+   * Index chunks untuk note baru/yang diubah
+   * Kegagalan tidak menggagalkan penyimpanan note
+   * @returns {number} Jumlah chunks yang di-index
+   */
+  async indexNoteChunks(note) {
+    try {
+      return await this.noteChunks.indexNote(note);
+    } catch (error) {
+      console.warn(`⚠️ Failed to index chunks for note ${note.id}:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Embed ulang note setelah content berubah agar stored embedding tidak basi
+   * Kegagalan tidak menggagalkan update note
+   * @returns {boolean} true jika embedding tersimpan
+   */
+  async reembedNote(note) {
+    try {
+      await this.noteChunks.embedNote(note);
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ Failed to re-embed note ${note.id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Hapus chunks milik note
+   */
+  async removeNoteChunks(noteId) {
+    try {
+      await this.noteChunks.deleteNoteChunks(noteId);
+    } catch (error) {
+      console.warn(`⚠️ Failed to remove chunks for note ${noteId}:`, error.message);
+    }
+  }
+
   /**
    * Execute full-text search menggunakan Elasticsearch
+   * Query language (field filters, boolean operators, ranges) di-compile ke bool query
+   * @param {Object} options - { limit, min_relevance, facetFilters, highlight }
    */
   async executeFullTextSearch(query, agentId, options = {}) {
+    const structured = this.searchManager.queryParser.isStructured(query);
     const searchClient = await this.storage.search();
-    
-    const searchQuery = {
-      bool: {
-        must: [
-          {
-            match: {
-              agent_id: agentId
-            }
-          },
-          {
-            multi_match: {
-              query,
-              fields: [
-                'content.action^3',
-                'content.result^2',
-                'content.learning^2',
-                'context.task^1.5',
-                'searchable_content'
-              ],
-              type: 'best_fields',
-              minimum_should_match: '70%'
-            }
-          }
-        ]
-      }
-    };
+    const searchQuery = this.buildFullTextQuery(query, agentId, options.facetFilters);
 
     const result = await searchClient.search({
       index: 'notes',
       body: {
         query: searchQuery,
         size: options.limit || 10,
-        min_score: options.min_relevance || 0.5,
+        // Query yang hanya berisi filters tidak punya BM25 score yang berarti
+        ...(!structured && { min_score: options.min_relevance || 0.5 }),
         sort: [
           { _score: { order: 'desc' } },
           { timestamp: { order: 'desc' } }
         ],
-        highlight: {
-          fields: {
-            'content.action': {},
-            'content.result': {},
-            'content.learning': {},
-            'searchable_content': {}
-          }
-        }
+        highlight: this.snippets.buildElasticsearchHighlight(NOTE_SNIPPET_FIELDS, options.highlight)
       }
     });
 
@@ -263,27 +422,330 @@ export class SearchService {
     };
   }
 
+  /**
+   * Bool query untuk full-text search notes milik agent
+   * @param {Object} facetFilters - Selected facets (drill-down) sebagai filter context
+   * @param {Object} access - Access context, notes yang tidak boleh dibaca di-filter oleh Elasticsearch
+   */
+  buildFullTextQuery(query, agentId, facetFilters = {}, access = null) {
+    const { queryParser } = this.searchManager;
+    const textQuery = queryParser.isStructured(query)
+      ? queryParser.toElasticsearch(queryParser.parse(query))
+      : {
+        multi_match: {
+          query,
+          fields: [
+            'content.action^3',
+            'content.result^2',
+            'content.learning^2',
+            'context.task^1.5',
+            'searchable_content'
+          ],
+          type: 'best_fields',
+          minimum_should_match: '70%'
+        }
+      };
+
+    const filters = [
+      ...this.noteFacets.buildFilterClauses(facetFilters),
+      ...(access ? this.organizations.buildReadableFilter(access) : [])
+    ];
+
+    return {
+      bool: {
+        must: [
+          {
+            match: {
+              agent_id: agentId
+            }
+          },
+          textQuery
+        ],
+        ...(filters.length > 0 && { filter: filters })
+      }
+    };
+  }
+
+  /**
+   * Facet counts untuk notes yang cocok dengan query
+   * Fallback ke counting in-memory atas results (yang sudah di-filter RBAC) jika aggregation gagal
+   * @param {Object} options - { access, facets, selected, interval, min_relevance, results }
+   * @returns {Object} { facets, source }
+   */
+  async getNoteFacets(query, agentId, options = {}) {
+    const { access, facets, selected = {}, interval, results = [] } = options;
+    this.assertAccessContext(access);
+
+    try {
+      const searchClient = await this.storage.search();
+      const result = await searchClient.search({
+        index: 'notes',
+        body: {
+          query: this.buildFullTextQuery(query, agentId, {}, access),
+          size: 0,
+          ...(!this.searchManager.queryParser.isStructured(query) && { min_score: options.min_relevance || 0.5 }),
+          aggs: this.noteFacets.buildAggregations(facets, selected, { interval })
+        }
+      });
+
+      return {
+        facets: this.noteFacets.parseAggregations((result.body || result).aggregations, facets, selected, { interval }),
+        source: 'elasticsearch'
+      };
+    } catch (error) {
+      console.warn('⚠️ Facet aggregation failed, counting returned results:', error.message);
+
+      return {
+        facets: this.noteFacets.count(results.map(result => result.note || result), facets, selected, { interval }),
+        source: 'results'
+      };
+    }
+  }
+
+  /**
+   * More like this: notes yang mirip dengan note tertentu memakai stored embedding-nya
+   * Hanya dibandingkan dengan notes yang di-embed dengan model yang sama dan bisa dibaca user
+   * @param {Object} options - { access, limit, min_similarity, scope: 'agent' | 'all' }
+   * @throws {Error} Note not found / Note has no stored embedding
+   */
+  async findSimilarNotes(noteId, options = {}) {
+    const { access, limit = 10, scope = 'agent' } = options;
+    const minSimilarity = options.min_similarity ?? searchConfig.similarity.minSimilarity;
+    this.assertAccessContext(access);
+
+    const note = await this.storage.getNoteById(noteId);
+    if (!note) {
+      throw new Error(`Note not found: ${noteId}`);
+    }
+
+    const stored = await this.storage.getNoteEmbedding(noteId);
+    if (!stored) {
+      throw new Error(`Note has no stored embedding: ${noteId}`);
+    }
+
+    const filters = [{ exists: { field: 'embeddings' } }, ...this.getCrossAgentFilter(access)];
+    if (scope === 'agent') {
+      filters.push({ term: { agent_id: note.agent_id } });
+    }
+    if (stored.model) {
+      filters.push({ term: { embedding_model: stored.model } });
+    }
+
+    const searchClient = await this.storage.search();
+    const result = await searchClient.search({
+      index: 'notes',
+      body: {
+        size: limit,
+        // Score = cosine + 1 (script_score tidak boleh negatif)
+        min_score: minSimilarity + 1,
+        query: {
+          script_score: {
+            query: {
+              bool: {
+                filter: filters,
+                must_not: [{ term: { id: noteId } }]
+              }
+            },
+            script: {
+              source: "cosineSimilarity(params.query_vector, 'embeddings') + 1.0",
+              params: { query_vector: stored.embeddings }
+            }
+          }
+        },
+        _source: { excludes: ['embeddings'] }
+      }
+    });
+
+    return {
+      note_id: noteId,
+      embedding_model: stored.model,
+      scope,
+      results: this.organizations.filterReadable(access, (result.body || result).hits.hits.map(hit => ({
+        note: this.mapNoteFromSearch(hit._source),
+        similarity: hit._score - 1
+      })), 'note', similar => similar.note)
+    };
+  }
+
+  /**
+   * Note-to-note similarity graph: nodes, weighted edges di atas threshold dan clusters
+   * Clusters yang berisi failures dari beberapa agents menandakan recurring failure
+   * Hanya notes yang bisa dibaca user (access context) yang menjadi node
+   * @param {Object} options - { access, project, agent_id, type, success, since, threshold, max_nodes, max_edges_per_node }
+   * @returns {Object} { nodes, edges, clusters, stats }
+   */
+  async getSimilarityGraph(options = {}) {
+    const { similarity } = searchConfig;
+    const { access } = options;
+    const threshold = options.threshold ?? similarity.graphThreshold;
+    const maxNodes = options.max_nodes || similarity.graphMaxNodes;
+    this.assertAccessContext(access);
+
+    const filters = [{ exists: { field: 'embeddings' } }, ...this.getCrossAgentFilter(access)];
+    if (options.project) {
+      filters.push({ term: { 'context.project': options.project } });
+    }
+    if (options.agent_id) {
+      filters.push({ term: { agent_id: options.agent_id } });
+    }
+    if (options.type) {
+      filters.push({ term: { type: options.type } });
+    }
+    if (options.success !== undefined) {
+      filters.push({ term: { 'metadata.success': options.success } });
+    }
+    if (options.since) {
+      filters.push({ range: { created_at: { gte: options.since } } });
+    }
+
+    const searchClient = await this.storage.search();
+    const result = await searchClient.search({
+      index: 'notes',
+      body: {
+        size: maxNodes,
+        query: { bool: { filter: filters } },
+        sort: [{ created_at: { order: 'desc' } }]
+      }
+    });
+
+    const documents = this.organizations.filterReadable(access, (result.body || result).hits.hits.map(hit => hit._source), 'note');
+    const { edges, clusters } = this.similarityGraph.build(
+      documents.map(doc => ({ id: doc.id, vector: doc.embeddings, model: doc.embedding_model })),
+      { threshold, maxEdgesPerNode: options.max_edges_per_node || similarity.graphMaxEdgesPerNode }
+    );
+
+    const clusterByNote = new Map();
+    clusters.forEach((noteIds, index) => noteIds.forEach(noteId => clusterByNote.set(noteId, index)));
+
+    const notesById = new Map(documents.map(doc => [doc.id, this.mapNoteFromSearch(doc)]));
+
+    return {
+      nodes: Array.from(notesById.values()).map(note => ({
+        id: note.id,
+        agent_id: note.agent_id,
+        type: note.type,
+        project: note.context?.project || null,
+        tags: note.context?.tags || [],
+        task: note.context?.task || null,
+        success: note.metadata?.success ?? null,
+        created_at: note.created_at,
+        cluster: clusterByNote.has(note.id) ? clusterByNote.get(note.id) : null
+      })),
+      edges: edges.map(edge => ({ ...edge, weight: Math.round(edge.weight * 10000) / 10000 })),
+      clusters: clusters.map((noteIds, index) => this.summarizeCluster(index, noteIds.map(id => notesById.get(id)), edges)),
+      stats: {
+        node_count: notesById.size,
+        edge_count: edges.length,
+        cluster_count: clusters.length,
+        threshold,
+        truncated: (result.body || result).hits.total?.value > notesById.size
+      }
+    };
+  }
+
+  /**
+   * Query wajib membawa access context user (fail closed)
+   */
+  assertAccessContext(access) {
+    if (!access?.user_id) {
+      throw new Error('Access context is required');
+    }
+  }
+
+  /**
+   * Filter query lintas agent: notes tenant user yang boleh dibaca
+   */
+  getCrossAgentFilter(access) {
+    return [...this.organizations.buildTenantFilter(access), ...this.organizations.buildReadableFilter(access)];
+  }
+
+  /**
+   * Ringkasan cluster: agents, failures dan tags terbanyak
+   */
+  summarizeCluster(index, notes, edges) {
+    const noteIds = new Set(notes.map(note => note.id));
+    const agents = [...new Set(notes.map(note => note.agent_id))];
+    const failureCount = notes.filter(note =>
+      note.metadata?.success === false || note.content?.errors?.length > 0
+    ).length;
+
+    const tagCounts = new Map();
+    notes.forEach(note => (note.context?.tags || []).forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1)));
+
+    const clusterEdges = edges.filter(edge => noteIds.has(edge.source) && noteIds.has(edge.target));
+    const averageWeight = clusterEdges.reduce((sum, edge) => sum + edge.weight, 0) / (clusterEdges.length || 1);
+
+    return {
+      id: index,
+      size: notes.length,
+      note_ids: notes.map(note => note.id),
+      agents,
+      agent_count: agents.length,
+      failure_count: failureCount,
+      recurring_failure: failureCount >= 2 && agents.length >= 2,
+      top_tags: Array.from(tagCounts, ([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 5),
+      average_similarity: Math.round(averageWeight * 10000) / 10000
+    };
+  }
+
   /**
    * Execute hybrid search combining multiple methods
+   * Semantic, BM25 dan pattern results di-fuse (RRF atau linear) bersama recency
+   * @param {Object} options - { limit, min_relevance, fusion } dengan fusion = { method, rrf_k, weights }
    */
   async executeHybridSearch(query, agentId, options = {}) {
-    const queries = [
-      { type: 'semantic', text: query },
-      { type: 'fulltext', text: query },
-      { type: 'pattern', pattern: this.extractPatterns(query) }
-    ];
+    const { limit = 10, min_relevance, fusion = {} } = options;
+    const settings = this.fusion.resolveOptions(fusion);
 
-    return await this.searchManager.hybridSearch(queries, {
-      ...options,
-      filters: { agent_id: agentId },
-      weights: [0.5, 0.3, 0.2] // Prioritize semantic search
+    // Over-fetch candidates per signal untuk fusion
+    const candidateOptions = { limit: limit * 2, min_relevance, facetFilters: options.facetFilters, highlight: options.highlight };
+
+    const outcomes = await Promise.allSettled([
+      this.executeSemanticSearch(query, agentId, { ...candidateOptions, fusion }),
+      this.executeFullTextSearch(query, agentId, candidateOptions),
+      this.executePatternSearch(query, agentId, candidateOptions)
+    ]);
+
+    const sources = [];
+    ['semantic', 'bm25', 'pattern'].forEach((signal, index) => {
+      if (outcomes[index].status === 'fulfilled') {
+        sources.push({ signal, results: outcomes[index].value.results || [] });
+      } else {
+        console.warn(`⚠️ Hybrid search ${signal} signal failed:`, outcomes[index].reason?.message);
+      }
     });
+
+    const fused = this.fusion.fuse(sources, fusion);
+
+    return {
+      results: fused.slice(0, limit).map(({ result, score, score_breakdown: scoreBreakdown }) => ({
+        note: result.note || result,
+        relevance_score: score,
+        score_breakdown: scoreBreakdown,
+        ...(result.highlight && { highlight: result.highlight }),
+        ...(result.snippets && { snippets: result.snippets })
+      })),
+      total: fused.length,
+      searchType: 'hybrid',
+      fusion: {
+        method: settings.method,
+        rrf_k: settings.rrfK,
+        weights: settings.weights
+      }
+    };
   }
 
   /**
    * Auto-select best search method berdasarkan query
    */
   async executeAutoSearch(query, agentId, options = {}) {
+    // Query language hanya dipahami full-text search
+    if (this.searchManager.queryParser.isStructured(query)) {
+      return await this.executeFullTextSearch(query, agentId, options);
+    }
+
     // Determine best search method berdasarkan query characteristics
     const queryLength = query.length;
     const hasSpecificTerms = /\b(error|bug|fix|implement|create|update|delete)\b/i.test(query);
@@ -312,53 +774,182 @@ export class SearchService {
   }
 
   /**
-   * Execute pattern search
+   * Execute pattern search atas stored notes milik agent
+   * Dengan options.pattern ({ type, flags, threshold }) text dijalankan sebagai user-supplied pattern,
+   * tanpa itu action/technology patterns di-extract dari text (hybrid dan relevant notes)
    */
   async executePatternSearch(text, agentId, options = {}) {
-    const patterns = this.extractPatterns(text);
-    
-    return await this.searchManager.patternSearch(patterns, {
-      ...options,
+    const query = options.pattern
+      ? this.buildPatternQuery(text, options.pattern)
+      : this.buildExtractedPatternQuery(text);
+
+    if (!query) {
+      return { results: [], total: 0, searchType: 'pattern' };
+    }
+
+    return await this.searchManager.search({ type: 'pattern', ...query }, {
+      limit: options.limit,
+      highlight: options.highlight,
       filters: { agent_id: agentId }
     });
   }
 
   /**
-   * Merge search results dari multiple strategies
+   * PatternMatcher query untuk user-supplied pattern
+   * @param {Object} pattern - { type: regex|wildcard|literal|fuzzy, flags, threshold }
+   */
+  buildPatternQuery(text, pattern) {
+    const { type = 'literal', flags = 'i', threshold } = pattern;
+
+    switch (type) {
+      case 'regex':
+        return { patternType: 'regex', regex: text, flags: `g${flags}` };
+      case 'wildcard':
+        return { patternType: 'wildcard', pattern: text };
+      case 'fuzzy':
+        return { patternType: 'fuzzy', text, ...(threshold !== undefined && { threshold }) };
+      case 'literal':
+      default:
+        return { patternType: 'literal', pattern: text };
+    }
+  }
+
+  /**
+   * PatternMatcher query dari patterns yang di-extract, fallback ke keywords
+   * @returns {Object|null} Regex query, null jika text tidak punya patterns maupun keywords
+   */
+  buildExtractedPatternQuery(text) {
+    const patterns = this.extractPatterns(text);
+    if (patterns.length > 0) {
+      return { patternType: 'regex', regex: patterns.join('|'), flags: 'gi' };
+    }
+
+    const keywords = this.extractKeywords(text).map(keyword => this.searchManager.patternMatcher.escapeRegex(keyword));
+    return keywords.length > 0
+      ? { patternType: 'regex', regex: `\\b(?:${keywords.join('|')})\\b`, flags: 'gi' }
+      : null;
+  }
+
+  /**
+   * Candidate notes untuk PatternMatcher (candidateSource)
+   * Pattern dengan prefilter dipersempit oleh Elasticsearch (regexp/wildcard), pattern lain
+   * di-scan dari ScyllaDB; keduanya tetap diverifikasi in-process oleh PatternMatcher
+   * @param {Object} request - { prefilter, filters, limit }
+   */
+  async *streamPatternCandidates({ prefilter, filters = {}, limit }) {
+    const clause = this.patternPrefilter.toElasticsearch(prefilter, NOTE_PATTERN_FIELDS);
+
+    if (clause) {
+      let yielded = false;
+      try {
+        for await (const note of this.streamElasticsearchCandidates(clause, filters, limit)) {
+          yielded = true;
+          yield note;
+        }
+        return;
+      } catch (error) {
+        // Fallback hanya jika belum ada candidates yang dikirim (hindari duplikat)
+        if (yielded) {
+          throw error;
+        }
+        console.warn('⚠️ Pattern prefilter query failed, scanning ScyllaDB:', error.message);
+      }
+    }
+
+    yield* this.streamScyllaCandidates(filters, limit);
+  }
+
+  /**
+   * Candidate notes dari Elasticsearch per halaman (search_after)
+   */
+  async *streamElasticsearchCandidates(clause, filters, limit) {
+    const searchClient = await this.storage.search();
+    let searchAfter = null;
+    let fetched = 0;
+
+    while (fetched < limit) {
+      const size = Math.min(searchConfig.pattern.pageSize, limit - fetched);
+      const result = await searchClient.search({
+        index: 'notes',
+        body: {
+          query: {
+            bool: {
+              must: [clause],
+              filter: filters.agent_id ? [{ term: { agent_id: filters.agent_id } }] : []
+            }
+          },
+          size,
+          sort: [
+            { timestamp: { order: 'desc' } },
+            { id: { order: 'asc' } }
+          ],
+          _source: { excludes: ['embeddings', 'searchable_content'] },
+          ...(searchAfter && { search_after: searchAfter })
+        }
+      });
+
+      const hits = (result.body || result).hits.hits;
+      for (const hit of hits) {
+        yield this.mapNoteFromSearch(hit._source);
+      }
+
+      fetched += hits.length;
+      if (hits.length < size) {
+        return;
+      }
+      searchAfter = hits[hits.length - 1].sort;
+    }
+  }
+
+  /**
+   * Candidate notes dari ScyllaDB per halaman (tanpa prefilter)
+   */
+  async *streamScyllaCandidates(filters, limit) {
+    const fetchSize = searchConfig.pattern.pageSize;
+    let fetched = 0;
+    let pageState = null;
+
+    do {
+      const page = await this.storage.getNotesPageByAgent(filters.agent_id, { pageState, fetchSize });
+      for (const note of page.notes) {
+        if (fetched++ >= limit) {
+          return;
+        }
+        yield note;
+      }
+      pageState = page.pageState;
+    } while (pageState);
+  }
+
+  /**
+   * Merge search results dari multiple strategies dengan rank fusion
    */
   mergeSearchResults(searchResults, maxResults) {
-    const resultMap = new Map();
+    const sources = [];
 
     searchResults.forEach((result, index) => {
       if (result.status === 'fulfilled' && result.value.results) {
-        const weight = [0.6, 0.3, 0.1][index] || 0.1; // Weights for different strategies
-        
-        result.value.results.forEach(item => {
-          const note = item.note || item;
-          const id = note.id;
-          
-          if (resultMap.has(id)) {
-            // Update existing dengan higher score
-            const existing = resultMap.get(id);
-            const newScore = (item.relevance_score || item.score || 0) * weight;
-            if (newScore > existing.relevance_score) {
-              existing.relevance_score = newScore;
-            }
-          } else {
-            // Add new result
-            resultMap.set(id, {
-              note,
-              relevance_score: (item.relevance_score || item.score || 0) * weight
-            });
-          }
-        });
+        sources.push({ ...RELEVANT_STRATEGIES[index], results: result.value.results });
       }
     });
 
-    // Convert ke array, sort, dan limit
-    return Array.from(resultMap.values())
-      .sort((a, b) => b.relevance_score - a.relevance_score)
-      .slice(0, maxResults);
+    // matched_chunk bisa datang dari strategy mana saja untuk note yang sama
+    const matchedChunks = new Map();
+    sources.forEach(({ results }) => results.forEach(item => {
+      const id = (item.note || item).id;
+      if (item.matched_chunk && id !== undefined && !matchedChunks.has(id.toString())) {
+        matchedChunks.set(id.toString(), item.matched_chunk);
+      }
+    }));
+
+    return this.fusion.fuse(sources)
+      .slice(0, maxResults)
+      .map(({ id, result, score, score_breakdown: scoreBreakdown }) => ({
+        note: result.note || result,
+        relevance_score: score,
+        matched_chunk: matchedChunks.get(id),
+        score_breakdown: scoreBreakdown
+      }));
   }
 
   /**
@@ -425,6 +1016,7 @@ export class SearchService {
 
   /**
    * Extract patterns dari text untuk pattern search
+   * @returns {Array} Regex sources (unik), mis. `fix\s+login` dan `\breact\b`
    */
   extractPatterns(text) {
     // Extract common patterns like "create X", "fix Y", "implement Z"
@@ -434,17 +1026,17 @@ export class SearchService {
     const actionRegex = /(create|build|implement|fix|update|delete|add|remove)\s+(\w+)/gi;
     let match;
     while ((match = actionRegex.exec(text)) !== null) {
-      patterns.push(`${match[1]}_${match[2]}`);
+      patterns.push(`${match[1].toLowerCase()}\\s+${match[2].toLowerCase()}`);
     }
 
     // Technology patterns
     const techRegex = /\b(react|node|express|database|api|service|component|function)\b/gi;
     const techMatches = text.match(techRegex);
     if (techMatches) {
-      patterns.push(...techMatches.map(tech => `tech_${tech.toLowerCase()}`));
+      patterns.push(...techMatches.map(tech => `\\b${tech.toLowerCase()}\\b`));
     }
 
-    return patterns;
+    return [...new Set(patterns)];
   }
 
   /**
@@ -463,6 +1055,55 @@ export class SearchService {
     return await this.storage.cacheSet(`search:${cacheKey}`, result, ttlSeconds);
   }
 
+  /**
+   * Terms untuk snippets dari query (termasuk query language text fields)
+   */
+  getSnippetTerms(query) {
+    const { queryParser } = this.searchManager;
+
+    try {
+      return queryParser.collectHighlightTerms(queryParser.parseText(query));
+    } catch (error) {
+      return this.extractKeywords(query);
+    }
+  }
+
+  /**
+   * Snippets untuk satu result dengan shape yang sama di semua search modes:
+   * Elasticsearch highlight (full-text), match ranges (pattern) atau query terms
+   * @param {Object} result - Search result ({ note, highlight, snippets } atau document)
+   * @param {Array} terms - Query terms untuk fallback
+   * @param {Object} options - { fragment_size, number_of_fragments, pre_tag, post_tag }
+   */
+  buildSnippets(result, terms, options = {}) {
+    const note = result.note || result;
+
+    if (result.highlight) {
+      const snippets = this.snippets.fromElasticsearch(result.highlight, note, options);
+      if (snippets.length > 0) {
+        return snippets;
+      }
+    }
+
+    if (result.snippets?.length > 0) {
+      return result.snippets;
+    }
+
+    return this.snippets.fromTerms(note, terms, { ...options, fields: this.snippets.fieldsFor(note) });
+  }
+
+  /**
+   * Query corrections dari term dictionary tenant, kegagalan tidak menggagalkan search
+   */
+  async getDidYouMean(userId, query) {
+    try {
+      return await this.suggestions.didYouMean(userId, query);
+    } catch (error) {
+      console.warn('⚠️ Did you mean lookup failed:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Map note dari search result
    */
@@ -528,6 +1169,14 @@ export class SearchService {
       await cache.del(keys);
     }
   }
+
+  /**
+   * Close search service
+   */
+  async close() {
+    await this.searchManager.close();
+    await this.noteChunks.close();
+  }
 }
 
 export default SearchService;
\ No newline at end of file
@@ -13,6 +13,9 @@ import CacheService from './cache.service.js';
 import SearchService from './search.service.js';
 import BackupService from './backup.service.js';
 import AuthService from './auth.service.js';
+import ConsolidationService from './consolidation.service.js';
+import ReembeddingService from './reembedding.service.js';
+import SavedSearchService from './saved-search.service.js';
 
 class SharedServices {
   constructor() {
@@ -21,6 +24,9 @@ class SharedServices {
     this.searchService = null;
     this.backupService = null;
     this.authService = null;
+    this.consolidationService = null;
+    this.reembeddingService = null;
+    this.savedSearchService = null;
     this.initialized = false;
   }
 
@@ -56,6 +62,18 @@ class SharedServices {
       this.authService = new AuthService(this.storageService);
       console.log('✅ AuthService initialized');
 
+      // Initialize consolidation service (schedule dimulai oleh server)
+      this.consolidationService = new ConsolidationService(this.storageService);
+      console.log('✅ ConsolidationService initialized');
+
+      // Initialize re-embedding service (resume job dimulai oleh server)
+      this.reembeddingService = new ReembeddingService(this.storageService);
+      console.log('✅ ReembeddingService initialized');
+
+      // Initialize saved search service (subscription standing searches dimulai oleh server)
+      this.savedSearchService = new SavedSearchService(this.storageService);
+      console.log('✅ SavedSearchService initialized');
+
       this.initialized = true;
       console.log('✅ All shared services initialized successfully');
 
@@ -115,10 +133,52 @@ class SharedServices {
     return this.authService;
   }
 
+  /**
+   * Get consolidation service instance
+   */
+  getConsolidationService() {
+    if (!this.initialized) {
+      throw new Error('Shared services not initialized. Call initialize() first.');
+    }
+    return this.consolidationService;
+  }
+
+  /**
+   * Get re-embedding service instance
+   */
+  getReembeddingService() {
+    if (!this.initialized) {
+      throw new Error('Shared services not initialized. Call initialize() first.');
+    }
+    return this.reembeddingService;
+  }
+
+  /**
+   * Get saved search service instance
+   */
+  getSavedSearchService() {
+    if (!this.initialized) {
+      throw new Error('Shared services not initialized. Call initialize() first.');
+    }
+    return this.savedSearchService;
+  }
+
   /**
    * Close all services
    */
   async close() {
+    if (this.consolidationService) {
+      await this.consolidationService.stop();
+    }
+    if (this.reembeddingService) {
+      await this.reembeddingService.stop();
+    }
+    if (this.savedSearchService) {
+      await this.savedSearchService.stop();
+    }
+    if (this.searchService) {
+      await this.searchService.close();
+    }
     if (this.storageService) {
       await this.storageService.close();
     }
@@ -8,8 +8,22 @@
  * @version 1.0.0
  */
 
-import { StorageManager } from '../lib/storage-lib/index.js';
+import { StorageManager, SchemaMigrator } from '../lib/storage-lib/index.js';
 import { v4 as uuidv4 } from 'uuid';
+import { Knowledge } from '../models/knowledge.js';
+import { Experience } from '../models/experience.js';
+import { savedSearchConfig, searchConfig, suggestConfig } from '../config/app.js';
+import { scyllaConfig, scyllaSchemas } from '../config/database.js';
+import { FacetBuilder, KNOWLEDGE_FACETS } from '../lib/search-lib/facets.js';
+import { SnippetExtractor, KNOWLEDGE_SNIPPET_FIELDS } from '../lib/search-lib/snippets.js';
+import { Suggester, getTermsTenant } from '../lib/search-lib/suggester.js';
+import { EntityExtractor } from '../lib/search-lib/entities.js';
+
+const AGENT_INSERT_QUERY = `
+  INSERT INTO agents (
+    user_id, id, org_id, name, description, model, owner, purpose, status,
+    metadata, registered_via, created_at, updated_at, disabled_at
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
 
 /**
  * StorageService Class
@@ -18,6 +32,10 @@ import { v4 as uuidv4 } from 'uuid';
 export class StorageService {
   constructor(config = {}) {
     this.storageManager = new StorageManager(config);
+    this.knowledgeFacets = new FacetBuilder(KNOWLEDGE_FACETS, searchConfig.facets);
+    this.knowledgeSnippets = new SnippetExtractor({ ...searchConfig.snippets, fields: KNOWLEDGE_SNIPPET_FIELDS });
+    this.suggester = new Suggester(suggestConfig);
+    this.entityExtractor = new EntityExtractor();
     this.isInitialized = false;
   }
 
@@ -27,11 +45,38 @@ export class StorageService {
   async initialize() {
     if (!this.isInitialized) {
       await this.storageManager.initialize();
+
+      if (this.storageManager.healthStatus.scylla && scyllaConfig.autoMigrate) {
+        await this.migrateSchema();
+      }
+
       this.isInitialized = true;
     }
     return this.storageManager.healthStatus;
   }
 
+  /**
+   * Terapkan scyllaSchemas ke keyspace: table baru dan kolom yang ditambahkan
+   * setelah deploy pertama (mis. notes.version, note_versions)
+   * Kegagalan migration tidak menggagalkan startup
+   */
+  async migrateSchema() {
+    try {
+      const migrator = new SchemaMigrator(await this.persistence());
+      const result = await migrator.migrate(scyllaSchemas);
+
+      if (result.columns.length > 0) {
+        console.log(`🧱 ScyllaDB columns added: ${result.columns.join(', ')}`);
+      }
+      console.log(`✅ ScyllaDB schema migrated: ${result.tables} tables, ${result.indexes} indexes, ${result.errors.length} errors`);
+
+      return result;
+    } catch (error) {
+      console.warn('⚠️ ScyllaDB schema migration failed:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Get health status dari semua database
    */
@@ -68,16 +113,17 @@ export class StorageService {
    */
   async cacheSet(key, value, ttlSeconds = 3600) {
     const cache = await this.cache();
-    return await cache.setex(key, ttlSeconds, JSON.stringify(value));
+    // Selalu di-serialize agar string dan angka kembali dengan tipe yang sama dari cacheGet
+    return await cache.set(key, JSON.stringify(value), { ttl: ttlSeconds });
   }
 
   /**
-   * Get dari cache
+   * Get dari cache (RedisClient.get sudah mem-parse JSON)
    */
   async cacheGet(key) {
     const cache = await this.cache();
     const result = await cache.get(key);
-    return result ? JSON.parse(result) : null;
+    return result ?? null;
   }
 
   /**
@@ -96,6 +142,38 @@ export class StorageService {
     return await cache.exists(key);
   }
 
+  /**
+   * Set cache hanya jika key belum ada (SET NX)
+   * @returns {boolean} true jika key baru di-set
+   */
+  async cacheSetIfAbsent(key, value, ttlSeconds = 3600) {
+    const cache = await this.cache();
+    // Serialisasi sama dengan cacheSet agar value bisa dibaca lewat cacheGet
+    const result = await cache.set(key, JSON.stringify(value), { ttl: ttlSeconds, nx: true });
+    return result === 'OK';
+  }
+
+  /**
+   * Publish event ke Redis pub/sub channel
+   */
+  async publishEvent(channel, message) {
+    const cache = await this.cache();
+    return await cache.publish(channel, message);
+  }
+
+  /**
+   * Subscribe ke Redis pub/sub channel
+   */
+  async subscribeEvent(channel, callback) {
+    const cache = await this.cache();
+    return await cache.subscribe(channel, callback);
+  }
+
+  async unsubscribeEvent(channel) {
+    const cache = await this.cache();
+    return await cache.unsubscribe(channel);
+  }
+
   // Persistent storage operations (ScyllaDB)
 
   /**
@@ -199,10 +277,13 @@ export class StorageService {
         type: noteData.type,
         context: noteData.context,
         content: noteData.content,
-        metadata: noteData.metadata || {},
+        metadata: { ...noteData.metadata },
         created_at: timestamp
       };
 
+      // Structured entities (stack frames, error codes, packages, ...) untuk facets dan query fields
+      note.metadata.entities = this.entityExtractor.extractFromNote(note);
+
       // Simpan ke ScyllaDB
       const query = `
         INSERT INTO notes (id, agent_id, session_id, timestamp, type, context, content, metadata, created_at)
@@ -231,12 +312,191 @@ export class StorageService {
       // Invalidate cache untuk agent
       await this.cacheDelete(`notes:agent:${note.agent_id}`);
 
+      await this.indexNoteTerms(null, note);
+
+      // Notify subscribers (standing saved searches), kegagalan publish tidak menggagalkan save
+      try {
+        await this.publishEvent(savedSearchConfig.noteEventsChannel, note);
+      } catch (error) {
+        console.warn(`⚠️ Failed to publish note event for ${noteId}:`, error.message);
+      }
+
       return note;
     } catch (error) {
       throw new Error(`Failed to save note: ${error.message}`);
     }
   }
 
+  /**
+   * Get note berdasarkan ID
+   */
+  async getNoteById(noteId) {
+    try {
+      const query = 'SELECT * FROM notes WHERE id = ? LIMIT 1';
+      const result = await this.executeQuery(query, [noteId]);
+
+      return result.rows.length > 0 ? this.mapNoteFromDb(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to get note: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update note dan simpan revisi sebelumnya ke note_versions
+   * Update memakai LWT (IF version = ?) sehingga edit yang bersamaan tidak saling menimpa
+   * @param {string} noteId - Note ID
+   * @param {Object} updates - Field baru (type, context, content, metadata)
+   * @param {Object} options - { replace, editedBy, changeSummary, expectedVersion }
+   * @throws {Error} ConflictError (status 409) jika note sudah diubah oleh request lain
+   */
+  async updateNote(noteId, updates, options = {}) {
+    try {
+      const { replace = false, editedBy = null, changeSummary = null, expectedVersion = null } = options;
+      const persistence = await this.persistence();
+
+      const { rows } = await persistence.execute('SELECT * FROM notes WHERE id = ? LIMIT 1', [noteId], { prepare: true });
+      if (rows.length === 0) {
+        return null;
+      }
+
+      const current = this.mapNoteFromDb(rows[0]);
+      // Note yang dibuat sebelum versioning belum punya kolom version (null)
+      const storedVersion = rows[0].version ?? null;
+      const currentVersion = storedVersion || 1;
+
+      if (expectedVersion !== null && expectedVersion !== currentVersion) {
+        throw this.createVersionConflictError(noteId, expectedVersion, currentVersion);
+      }
+
+      const timestamp = new Date().toISOString();
+
+      // PUT mengganti context/content seluruhnya, PATCH merge per field
+      const merge = (base, patch) => (replace ? patch : { ...base, ...patch });
+
+      const note = {
+        ...current,
+        type: updates.type || current.type,
+        context: updates.context ? merge(current.context, updates.context) : current.context,
+        content: updates.content ? merge(current.content, updates.content) : current.content,
+        metadata: {
+          ...current.metadata,
+          ...(updates.metadata || {}),
+          updated_by: editedBy
+        },
+        version: currentVersion + 1,
+        updated_at: timestamp
+      };
+      note.metadata.entities = this.entityExtractor.extractFromNote(note);
+
+      // LWT tidak bisa digabung dalam batch lintas table, jadi revisi lama disimpan dulu
+      // (IF NOT EXISTS, sama untuk semua request yang membaca versi ini) sebelum note di-update
+      await persistence.execute(`
+        INSERT INTO note_versions (note_id, version, agent_id, type, context, content, metadata, edited_by, change_summary, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?) IF NOT EXISTS
+      `, [
+        noteId,
+        currentVersion,
+        current.agent_id,
+        current.type,
+        JSON.stringify(current.context),
+        JSON.stringify(current.content),
+        JSON.stringify(current.metadata),
+        current.metadata?.updated_by || current.metadata?.user_id || null,
+        current.metadata?.change_summary || null,
+        current.updated_at || current.created_at
+      ], { prepare: true });
+
+      const update = await persistence.execute(`
+        UPDATE notes SET type = ?, context = ?, content = ?, metadata = ?, version = ?, updated_at = ?
+        WHERE id = ? IF version = ?
+      `, [
+        note.type,
+        JSON.stringify(note.context),
+        JSON.stringify(note.content),
+        JSON.stringify({ ...note.metadata, change_summary: changeSummary }),
+        note.version,
+        note.updated_at,
+        noteId,
+        storedVersion
+      ], { prepare: true });
+
+      if (update.rows[0]?.['[applied]'] === false) {
+        throw this.createVersionConflictError(noteId, currentVersion, update.rows[0].version ?? 1);
+      }
+
+      note.metadata.change_summary = changeSummary;
+
+      // Update search index
+      await this.updateDocument('notes', noteId, {
+        type: note.type,
+        context: note.context,
+        content: note.content,
+        metadata: note.metadata,
+        version: note.version,
+        updated_at: note.updated_at,
+        searchable_content: `${note.content.action || ''} ${note.content.result || ''} ${note.content.learning || ''}`
+      });
+
+      // Invalidate cache
+      await this.cacheDelete(`note:${noteId}`);
+      await this.cacheDelete(`notes:agent:${note.agent_id}`);
+
+      await this.indexNoteTerms(current, note);
+
+      return note;
+    } catch (error) {
+      if (error.status === 409) {
+        throw error;
+      }
+      throw new Error(`Failed to update note: ${error.message}`);
+    }
+  }
+
+  /**
+   * Error untuk update yang kalah dari update lain (optimistic concurrency)
+   */
+  createVersionConflictError(noteId, expectedVersion, currentVersion) {
+    const error = new Error(`Note ${noteId} was modified concurrently (expected version ${expectedVersion}, current version ${currentVersion})`);
+    error.name = 'ConflictError';
+    error.status = 409;
+    error.currentVersion = currentVersion;
+    return error;
+  }
+
+  /**
+   * Get semua revisi note, termasuk versi saat ini
+   */
+  async getNoteVersions(noteId) {
+    try {
+      const current = await this.getNoteById(noteId);
+      if (!current) {
+        return null;
+      }
+
+      const query = 'SELECT * FROM note_versions WHERE note_id = ? ORDER BY version DESC';
+      const result = await this.executeQuery(query, [noteId]);
+
+      return [
+        {
+          note_id: noteId,
+          version: current.version || 1,
+          agent_id: current.agent_id,
+          type: current.type,
+          context: current.context,
+          content: current.content,
+          metadata: current.metadata,
+          edited_by: current.metadata?.updated_by || current.metadata?.user_id || null,
+          change_summary: current.metadata?.change_summary || null,
+          created_at: current.updated_at || current.created_at,
+          is_current: true
+        },
+        ...result.rows.map(this.mapNoteVersionFromDb)
+      ];
+    } catch (error) {
+      throw new Error(`Failed to get note versions: ${error.message}`);
+    }
+  }
+
   /**
    * Get notes berdasarkan agent dengan pagination
    */
@@ -301,6 +561,174 @@ export class StorageService {
     }
   }
 
+  /**
+   * Get notes yang dibuat sejak waktu tertentu (untuk background jobs)
+   */
+  async getNotesSince(since, limit = 500) {
+    try {
+      const query = 'SELECT * FROM notes WHERE created_at >= ? LIMIT ? ALLOW FILTERING';
+      const result = await this.executeQuery(query, [since, limit]);
+
+      return result.rows.map(this.mapNoteFromDb);
+    } catch (error) {
+      throw new Error(`Failed to get recent notes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get beberapa notes sekaligus berdasarkan IDs
+   */
+  async getNotesByIds(noteIds) {
+    try {
+      if (noteIds.length === 0) {
+        return [];
+      }
+
+      const query = 'SELECT * FROM notes WHERE id IN ?';
+      const result = await this.executeQuery(query, [noteIds]);
+
+      return result.rows.map(this.mapNoteFromDb);
+    } catch (error) {
+      throw new Error(`Failed to get notes by IDs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Scan semua notes per halaman berdasarkan token order (resumable)
+   * @param {string|null} afterId - Note ID terakhir dari halaman sebelumnya
+   * @param {number} limit - Ukuran halaman
+   */
+  async getNotesPage(afterId = null, limit = 100) {
+    try {
+      const result = afterId
+        ? await this.executeQuery('SELECT * FROM notes WHERE token(id) > token(?) LIMIT ?', [afterId, limit])
+        : await this.executeQuery('SELECT * FROM notes LIMIT ?', [limit]);
+
+      return result.rows.map(this.mapNoteFromDb);
+    } catch (error) {
+      throw new Error(`Failed to scan notes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Scan notes milik agent per halaman (driver paging, resumable via pageState)
+   * @param {Object} options - { pageState, fetchSize }
+   * @returns {Object} { notes, pageState } dengan pageState null di halaman terakhir
+   */
+  async getNotesPageByAgent(agentId, options = {}) {
+    try {
+      const { pageState = null, fetchSize = 200 } = options;
+      const persistence = await this.persistence();
+      const result = await persistence.execute('SELECT * FROM notes WHERE agent_id = ?', [agentId], {
+        prepare: true,
+        fetchSize,
+        ...(pageState && { pageState })
+      });
+
+      return {
+        notes: result.rows.map(this.mapNoteFromDb),
+        pageState: result.pageState || null
+      };
+    } catch (error) {
+      throw new Error(`Failed to scan agent notes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Scan notes yang dibuat atau diubah sejak waktu tertentu per halaman (driver paging)
+   * Satu kolom per scan karena CQL tidak mendukung OR; caller men-scan created_at lalu updated_at
+   * @param {Object} options - { column: 'created_at' | 'updated_at', pageState, fetchSize }
+   * @returns {Object} { notes, pageState } dengan pageState null di halaman terakhir
+   */
+  async getNotesChangedSince(since, options = {}) {
+    try {
+      const { column = 'created_at', pageState = null, fetchSize = 500 } = options;
+      if (!['created_at', 'updated_at'].includes(column)) {
+        throw new Error(`Unsupported column: ${column}`);
+      }
+
+      const persistence = await this.persistence();
+      const result = await persistence.execute(`SELECT * FROM notes WHERE ${column} >= ? ALLOW FILTERING`, [since], {
+        prepare: true,
+        fetchSize,
+        ...(pageState && { pageState })
+      });
+
+      return {
+        notes: result.rows.map(this.mapNoteFromDb),
+        pageState: result.pageState || null
+      };
+    } catch (error) {
+      throw new Error(`Failed to get changed notes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Simpan embeddings beserta model dan dimensi yang menghasilkannya
+   * @param {Array} entries - [{ noteId, embeddings, model }]
+   */
+  async saveNoteEmbeddings(entries) {
+    try {
+      if (entries.length === 0) {
+        return 0;
+      }
+
+      await this.executeBatch(entries.map(({ noteId, embeddings, model }) => ({
+        query: 'UPDATE notes SET embeddings = ?, embedding_model = ?, embedding_dimensions = ? WHERE id = ?',
+        params: [embeddings, model, embeddings.length, noteId]
+      })));
+
+      return entries.length;
+    } catch (error) {
+      throw new Error(`Failed to save note embeddings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get stored embedding note
+   * @returns {Object|null} { embeddings, model, dimensions }, null jika note belum di-embed
+   */
+  async getNoteEmbedding(noteId) {
+    try {
+      const query = 'SELECT embeddings, embedding_model, embedding_dimensions FROM notes WHERE id = ? LIMIT 1';
+      const result = await this.executeQuery(query, [noteId]);
+      const row = result.rows[0];
+
+      if (!row || !row.embeddings || row.embeddings.length === 0) {
+        return null;
+      }
+
+      return {
+        embeddings: row.embeddings,
+        model: row.embedding_model || null,
+        dimensions: row.embedding_dimensions || row.embeddings.length
+      };
+    } catch (error) {
+      throw new Error(`Failed to get note embedding: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get stored embeddings untuk beberapa notes sekaligus
+   * @returns {Map} noteId → { embeddings, model }, notes yang belum di-embed tidak disertakan
+   */
+  async getNoteEmbeddings(noteIds) {
+    try {
+      if (noteIds.length === 0) {
+        return new Map();
+      }
+
+      const query = 'SELECT id, embeddings, embedding_model FROM notes WHERE id IN ?';
+      const result = await this.executeQuery(query, [noteIds]);
+
+      return new Map(result.rows
+        .filter(row => row.embeddings && row.embeddings.length > 0)
+        .map(row => [row.id.toString(), { embeddings: row.embeddings, model: row.embedding_model || null }]));
+    } catch (error) {
+      throw new Error(`Failed to get note embeddings: ${error.message}`);
+    }
+  }
+
   /**
    * Search notes dengan semantic search
    */
@@ -406,12 +834,14 @@ export class StorageService {
         user_id: sessionData.user_id,
         started_at: timestamp,
         status: 'active',
-        statistics: {}
+        statistics: {},
+        org_id: sessionData.org_id || null,
+        team_id: sessionData.team_id || null
       };
 
       const query = `
-        INSERT INTO sessions (id, agent_id, user_id, started_at, status, statistics)
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO sessions (id, agent_id, user_id, started_at, status, statistics, org_id, team_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `;
       const params = [
         session.id,
@@ -419,7 +849,9 @@ export class StorageService {
         session.user_id,
         session.started_at,
         session.status,
-        JSON.stringify(session.statistics)
+        JSON.stringify(session.statistics),
+        session.org_id,
+        session.team_id
       ];
 
       await this.executeQuery(query, params);
@@ -451,99 +883,1655 @@ export class StorageService {
     }
   }
 
-  // Knowledge operations
-
   /**
-   * Get aggregated knowledge berdasarkan domain
+   * Get session berdasarkan ID
    */
-  async getKnowledge(domain, minConfidence = 0.7) {
+  async getSessionById(sessionId) {
     try {
-      const cacheKey = `knowledge:${domain}:${minConfidence}`;
-      const cachedResult = await this.cacheGet(cacheKey);
-      
-      if (cachedResult) {
-        return cachedResult;
-      }
+      const query = 'SELECT * FROM sessions WHERE id = ? LIMIT 1';
+      const result = await this.executeQuery(query, [sessionId]);
+
+      return result.rows.length > 0 ? this.mapSessionFromDb(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to get session: ${error.message}`);
+    }
+  }
 
+  /**
+   * Get active sessions milik user
+   */
+  async getActiveSessionsByUser(userId, limit = 20) {
+    try {
       const query = `
-        SELECT * FROM knowledge 
-        WHERE domain = ? AND confidence_score >= ?
-        ORDER BY confidence_score DESC
+        SELECT * FROM sessions 
+        WHERE user_id = ? AND status = 'active'
+        LIMIT ?
       `;
-      const result = await this.executeQuery(query, [domain, minConfidence]);
-      const knowledgeItems = result.rows.map(this.mapKnowledgeFromDb);
+      const result = await this.executeQuery(query, [userId, limit]);
 
-      const response = { knowledge_items: knowledgeItems };
+      return result.rows.map(this.mapSessionFromDb);
+    } catch (error) {
+      throw new Error(`Failed to get active sessions: ${error.message}`);
+    }
+  }
 
-      // Cache selama 30 menit
-      await this.cacheSet(cacheKey, response, 1800);
+  /**
+   * Jumlah active sessions milik user (concurrent session limit)
+   */
+  async getActiveSessionsCount(userId) {
+    try {
+      const query = `
+        SELECT COUNT(*) AS count FROM sessions 
+        WHERE user_id = ? AND status = 'active'
+      `;
+      const result = await this.executeQuery(query, [userId]);
 
-      return response;
+      // COUNT(*) dikembalikan driver sebagai Long
+      return Number(result.rows[0]?.count || 0);
     } catch (error) {
-      throw new Error(`Failed to get knowledge: ${error.message}`);
+      throw new Error(`Failed to count active sessions: ${error.message}`);
     }
   }
 
-  // Experience operations
+  // Ranking operations
 
   /**
-   * Get learning experiences
+   * Simpan relevance feedback beserta ranking features
+   * @param {Array} entries - [{ user_id, session_id, agent_id, query, note_id, helpful, relevance_score, features }]
    */
-  async getExperiences(filters = {}) {
+  async saveSearchFeedback(entries) {
     try {
-      const { projectId = null, applicableDomain = null } = filters;
-      
-      let query = 'SELECT * FROM experiences WHERE 1=1';
-      const params = [];
-
-      if (projectId) {
-        query += ' AND project_id = ?';
-        params.push(projectId);
-      }
-
-      if (applicableDomain) {
-        query += ' AND applicable_domain = ?';
-        params.push(applicableDomain);
+      if (entries.length === 0) {
+        return 0;
       }
 
-      query += ' ORDER BY created_at DESC';
-
-      const result = await this.executeQuery(query, params);
-      const experiences = result.rows.map(this.mapExperienceFromDb);
-
-      return { experiences };
+      const createdAt = new Date().toISOString();
+
+      await this.executeBatch(entries.map(entry => ({
+        query: `
+          INSERT INTO search_feedback (user_id, created_at, id, session_id, agent_id, query, note_id, helpful, relevance_score, features)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+        params: [
+          entry.user_id,
+          createdAt,
+          uuidv4(),
+          entry.session_id || null,
+          entry.agent_id || null,
+          entry.query,
+          entry.note_id,
+          entry.helpful,
+          entry.relevance_score ?? null,
+          JSON.stringify(entry.features || {})
+        ]
+      })));
+
+      return entries.length;
     } catch (error) {
-      throw new Error(`Failed to get experiences: ${error.message}`);
+      throw new Error(`Failed to save search feedback: ${error.message}`);
     }
   }
 
-  // Helper methods
-
   /**
-   * Map note dari database row
+   * Get relevance feedback milik tenant, terbaru dulu
    */
-  mapNoteFromDb(row) {
-    return {
-      id: row.id,
-      agent_id: row.agent_id,
-      session_id: row.session_id,
-      timestamp: row.timestamp,
-      type: row.type,
-      context: typeof row.context === 'string' ? JSON.parse(row.context) : row.context,
-      content: typeof row.content === 'string' ? JSON.parse(row.content) : row.content,
-      metadata: typeof row.metadata === 'string' ? JSON.parse(row.metadata) : row.metadata,
-      created_at: row.created_at
-    };
+  async getSearchFeedback(userId, limit = 10000) {
+    try {
+      const query = 'SELECT * FROM search_feedback WHERE user_id = ? LIMIT ?';
+      const result = await this.executeQuery(query, [userId, limit]);
+
+      return result.rows.map(row => ({
+        id: row.id?.toString(),
+        user_id: row.user_id?.toString(),
+        session_id: row.session_id ? row.session_id.toString() : null,
+        agent_id: row.agent_id,
+        query: row.query,
+        note_id: row.note_id?.toString(),
+        helpful: row.helpful,
+        relevance_score: row.relevance_score,
+        features: typeof row.features === 'string' ? JSON.parse(row.features) : (row.features || {}),
+        created_at: row.created_at
+      }));
+    } catch (error) {
+      throw new Error(`Failed to get search feedback: ${error.message}`);
+    }
   }
 
   /**
-   * Map note dari search result
+   * Get semua versi ranking model milik tenant, terbaru dulu
    */
-  mapNoteFromSearch(doc) {
-    return {
-      id: doc.id,
-      agent_id: doc.agent_id,
-      session_id: doc.session_id,
+  async getRankingModels(userId) {
+    try {
+      const query = 'SELECT * FROM ranking_models WHERE user_id = ?';
+      const result = await this.executeQuery(query, [userId]);
+
+      return result.rows.map(this.mapRankingModelFromDb);
+    } catch (error) {
+      throw new Error(`Failed to get ranking models: ${error.message}`);
+    }
+  }
+
+  /**
+   * Simpan versi ranking model baru (status inactive)
+   */
+  async saveRankingModel(userId, model) {
+    try {
+      const query = `
+        INSERT INTO ranking_models (user_id, version, feature_names, weights, normalization, metrics, sample_count, pair_count, status, trained_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+      const params = [
+        userId,
+        model.version,
+        JSON.stringify(model.feature_names),
+        JSON.stringify(model.weights),
+        JSON.stringify(model.normalization),
+        JSON.stringify(model.metrics || {}),
+        model.sample_count || 0,
+        model.pair_count || 0,
+        'inactive',
+        model.trained_at || new Date().toISOString()
+      ];
+
+      await this.executeQuery(query, params);
+
+      return { ...model, status: 'inactive' };
+    } catch (error) {
+      throw new Error(`Failed to save ranking model: ${error.message}`);
+    }
+  }
+
+  /**
+   * Aktifkan satu versi model, versi aktif sebelumnya dinonaktifkan
+   */
+  async activateRankingModel(userId, version) {
+    try {
+      const models = await this.getRankingModels(userId);
+      const target = models.find(model => model.version === version);
+      if (!target) {
+        return null;
+      }
+
+      const activatedAt = new Date().toISOString();
+      const queries = models
+        .filter(model => model.status === 'active' && model.version !== version)
+        .map(model => ({
+          query: 'UPDATE ranking_models SET status = ? WHERE user_id = ? AND version = ?',
+          params: ['inactive', userId, model.version]
+        }));
+
+      queries.push({
+        query: 'UPDATE ranking_models SET status = ?, activated_at = ? WHERE user_id = ? AND version = ?',
+        params: ['active', activatedAt, userId, version]
+      });
+
+      await this.executeBatch(queries);
+
+      return { ...target, status: 'active', activated_at: activatedAt };
+    } catch (error) {
+      throw new Error(`Failed to activate ranking model: ${error.message}`);
+    }
+  }
+
+  // Saved searches operations
+
+  /**
+   * Simpan saved search (insert atau replace)
+   */
+  async saveSavedSearch(savedSearch) {
+    try {
+      const query = `
+        INSERT INTO saved_searches (user_id, id, name, query, agent_id, filters, max_results, standing, last_run_at, last_match_at, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+      const params = [
+        savedSearch.user_id,
+        savedSearch.id,
+        savedSearch.name,
+        savedSearch.query,
+        savedSearch.agent_id,
+        JSON.stringify(savedSearch.filters || {}),
+        savedSearch.max_results,
+        savedSearch.standing,
+        savedSearch.last_run_at || null,
+        savedSearch.last_match_at || null,
+        savedSearch.created_at,
+        savedSearch.updated_at
+      ];
+
+      await this.executeQuery(query, params);
+
+      return savedSearch;
+    } catch (error) {
+      throw new Error(`Failed to save saved search: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get semua saved searches milik user
+   */
+  async getSavedSearches(userId) {
+    try {
+      const query = 'SELECT * FROM saved_searches WHERE user_id = ?';
+      const result = await this.executeQuery(query, [userId]);
+
+      return result.rows.map(this.mapSavedSearchFromDb);
+    } catch (error) {
+      throw new Error(`Failed to get saved searches: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get saved search milik user berdasarkan ID
+   */
+  async getSavedSearchById(userId, savedSearchId) {
+    try {
+      const query = 'SELECT * FROM saved_searches WHERE user_id = ? AND id = ?';
+      const result = await this.executeQuery(query, [userId, savedSearchId]);
+
+      return result.rows.length > 0 ? this.mapSavedSearchFromDb(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to get saved search: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get standing saved searches milik user untuk agent (dipakai saat note baru masuk)
+   * Dibatasi ke partition user agar agent ID yang sama di tenant lain tidak ikut match
+   */
+  async getStandingSearchesByAgent(userId, agentId) {
+    try {
+      const query = 'SELECT * FROM saved_searches WHERE user_id = ? AND agent_id = ?';
+      const result = await this.executeQuery(query, [userId, agentId]);
+
+      return result.rows.map(this.mapSavedSearchFromDb).filter(savedSearch => savedSearch.standing);
+    } catch (error) {
+      throw new Error(`Failed to get standing searches: ${error.message}`);
+    }
+  }
+
+  /**
+   * Hapus saved search beserta matches yang tercatat
+   */
+  async deleteSavedSearch(userId, savedSearchId) {
+    try {
+      await this.executeBatch([
+        {
+          query: 'DELETE FROM saved_searches WHERE user_id = ? AND id = ?',
+          params: [userId, savedSearchId]
+        },
+        {
+          query: 'DELETE FROM saved_search_matches WHERE saved_search_id = ?',
+          params: [savedSearchId]
+        }
+      ]);
+
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete saved search: ${error.message}`);
+    }
+  }
+
+  /**
+   * Catat note baru yang cocok dengan standing search
+   */
+  async saveSavedSearchMatch(match) {
+    try {
+      await this.executeBatch([
+        {
+          query: `
+            INSERT INTO saved_search_matches (saved_search_id, matched_at, note_id, user_id, agent_id, score)
+            VALUES (?, ?, ?, ?, ?, ?)
+          `,
+          params: [match.saved_search_id, match.matched_at, match.note_id, match.user_id, match.agent_id, match.score]
+        },
+        {
+          query: 'UPDATE saved_searches SET last_match_at = ? WHERE user_id = ? AND id = ?',
+          params: [match.matched_at, match.user_id, match.saved_search_id]
+        }
+      ]);
+
+      return match;
+    } catch (error) {
+      throw new Error(`Failed to save saved search match: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get matches untuk saved search, terbaru dulu
+   */
+  async getSavedSearchMatches(savedSearchId, options = {}) {
+    try {
+      const { limit = 50, since = null } = options;
+      const query = since
+        ? 'SELECT * FROM saved_search_matches WHERE saved_search_id = ? AND matched_at > ? LIMIT ?'
+        : 'SELECT * FROM saved_search_matches WHERE saved_search_id = ? LIMIT ?';
+      const params = since ? [savedSearchId, since, limit] : [savedSearchId, limit];
+      const result = await this.executeQuery(query, params);
+
+      return result.rows.map(row => ({
+        saved_search_id: row.saved_search_id?.toString(),
+        note_id: row.note_id?.toString(),
+        agent_id: row.agent_id,
+        score: row.score,
+        matched_at: row.matched_at
+      }));
+    } catch (error) {
+      throw new Error(`Failed to get saved search matches: ${error.message}`);
+    }
+  }
+
+  // Search term dictionary (query suggestions)
+
+  /**
+   * Update counters term dictionary
+   * Counter tables tidak bisa di-batch bersama non-counter writes, jadi tiap term di-update sendiri
+   * @param {string} tenantId - User ID, getTermsTenant(scope) atau suggestConfig.globalTenant
+   * @param {Array} deltas - [{ category, term, delta }]
+   */
+  async updateSearchTerms(tenantId, deltas) {
+    try {
+      const query = 'UPDATE search_terms SET count = count + ? WHERE tenant_id = ? AND category = ? AND term = ?';
+
+      for (const { category, term, delta } of deltas) {
+        if (delta !== 0) {
+          await this.executeQuery(query, [delta, tenantId, category, term]);
+        }
+      }
+
+      return deltas.length;
+    } catch (error) {
+      throw new Error(`Failed to update search terms: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get term dictionary tenant
+   * @returns {Object} { category: Map(term → count) }, term dengan count <= 0 dilewati
+   */
+  async getSearchTerms(tenantId) {
+    try {
+      const result = await this.executeQuery('SELECT category, term, count FROM search_terms WHERE tenant_id = ?', [tenantId]);
+      const dictionary = {};
+
+      result.rows.forEach(row => {
+        const count = typeof row.count?.toNumber === 'function' ? row.count.toNumber() : Number(row.count);
+        if (count > 0) {
+          dictionary[row.category] = dictionary[row.category] || new Map();
+          dictionary[row.category].set(row.term, count);
+        }
+      });
+
+      return dictionary;
+    } catch (error) {
+      throw new Error(`Failed to get search terms: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sinkronkan term dictionary tenant dengan perubahan note (previous null untuk note baru)
+   * Kegagalan indexing terms tidak menggagalkan write note
+   */
+  async indexNoteTerms(previous, note) {
+    const tenantId = note.metadata?.user_id;
+    if (!suggestConfig.enabled || !tenantId) {
+      return;
+    }
+
+    try {
+      await this.updateSearchTerms(tenantId, this.suggester.diffTerms(previous, note));
+    } catch (error) {
+      console.warn(`⚠️ Failed to index search terms for note ${note.id}:`, error.message);
+    }
+  }
+
+  // Organization operations
+
+  /**
+   * Simpan organization beserta owner pertama
+   */
+  async createOrganization(organization, ownerId) {
+    try {
+      await this.executeBatch([
+        {
+          query: `
+            INSERT INTO organizations (id, name, description, created_by, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+          `,
+          params: [
+            organization.id,
+            organization.name,
+            organization.description,
+            ownerId,
+            organization.created_at,
+            organization.updated_at
+          ]
+        },
+        ...this.buildOrganizationMemberQueries({
+          org_id: organization.id,
+          user_id: ownerId,
+          role: 'owner',
+          added_by: ownerId,
+          joined_at: organization.created_at
+        })
+      ]);
+
+      return organization;
+    } catch (error) {
+      throw new Error(`Failed to create organization: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get organization berdasarkan ID
+   */
+  async getOrganizationById(orgId) {
+    try {
+      const result = await this.executeQuery('SELECT * FROM organizations WHERE id = ? LIMIT 1', [orgId]);
+
+      return result.rows.length > 0 ? this.mapOrganizationFromDb(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to get organization: ${error.message}`);
+    }
+  }
+
+  /**
+   * Tambah atau update member (role) organization
+   * @param {Object} member - { org_id, user_id, role, added_by, joined_at }
+   */
+  async saveOrganizationMember(member) {
+    try {
+      await this.executeBatch(this.buildOrganizationMemberQueries(member));
+      return member;
+    } catch (error) {
+      throw new Error(`Failed to save organization member: ${error.message}`);
+    }
+  }
+
+  buildOrganizationMemberQueries(member) {
+    return [
+      {
+        query: `
+          INSERT INTO organization_members (org_id, user_id, role, added_by, joined_at)
+          VALUES (?, ?, ?, ?, ?)
+        `,
+        params: [member.org_id, member.user_id, member.role, member.added_by, member.joined_at]
+      },
+      {
+        query: 'INSERT INTO user_organizations (user_id, org_id, role) VALUES (?, ?, ?)',
+        params: [member.user_id, member.org_id, member.role]
+      }
+    ];
+  }
+
+  async getOrganizationMembers(orgId) {
+    try {
+      const result = await this.executeQuery('SELECT * FROM organization_members WHERE org_id = ?', [orgId]);
+      return result.rows.map(this.mapOrganizationMemberFromDb);
+    } catch (error) {
+      throw new Error(`Failed to get organization members: ${error.message}`);
+    }
+  }
+
+  /**
+   * Organizations milik user beserta role
+   * @returns {Array} [{ org_id, role }]
+   */
+  async getUserOrganizations(userId) {
+    try {
+      const result = await this.executeQuery('SELECT org_id, role FROM user_organizations WHERE user_id = ?', [userId]);
+      return result.rows.map(row => ({ org_id: row.org_id?.toString(), role: row.role }));
+    } catch (error) {
+      throw new Error(`Failed to get user organizations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Hapus member organization beserta team memberships di organization tersebut
+   * @param {Array} teamIds - Teams organization tempat user menjadi member
+   */
+  async deleteOrganizationMember(orgId, userId, teamIds = []) {
+    try {
+      await this.executeBatch([
+        { query: 'DELETE FROM organization_members WHERE org_id = ? AND user_id = ?', params: [orgId, userId] },
+        { query: 'DELETE FROM user_organizations WHERE user_id = ? AND org_id = ?', params: [userId, orgId] },
+        ...teamIds.flatMap(teamId => this.buildTeamMemberDeleteQueries(teamId, userId))
+      ]);
+
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete organization member: ${error.message}`);
+    }
+  }
+
+  /**
+   * Simpan team baru dalam organization
+   */
+  async saveTeam(team) {
+    try {
+      const query = `
+        INSERT INTO teams (org_id, id, name, description, created_by, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+      await this.executeQuery(query, [team.org_id, team.id, team.name, team.description, team.created_by, team.created_at]);
+
+      return team;
+    } catch (error) {
+      throw new Error(`Failed to save team: ${error.message}`);
+    }
+  }
+
+  async getTeams(orgId) {
+    try {
+      const result = await this.executeQuery('SELECT * FROM teams WHERE org_id = ?', [orgId]);
+      return result.rows.map(this.mapTeamFromDb);
+    } catch (error) {
+      throw new Error(`Failed to get teams: ${error.message}`);
+    }
+  }
+
+  async getTeamById(orgId, teamId) {
+    try {
+      const result = await this.executeQuery('SELECT * FROM teams WHERE org_id = ? AND id = ?', [orgId, teamId]);
+      return result.rows.length > 0 ? this.mapTeamFromDb(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to get team: ${error.message}`);
+    }
+  }
+
+  /**
+   * Tambah user ke team
+   * @param {Object} member - { team_id, org_id, user_id, added_by, added_at }
+   */
+  async saveTeamMember(member) {
+    try {
+      await this.executeBatch([
+        {
+          query: `
+            INSERT INTO team_members (team_id, user_id, org_id, added_by, added_at)
+            VALUES (?, ?, ?, ?, ?)
+          `,
+          params: [member.team_id, member.user_id, member.org_id, member.added_by, member.added_at]
+        },
+        {
+          query: 'INSERT INTO user_teams (user_id, team_id, org_id) VALUES (?, ?, ?)',
+          params: [member.user_id, member.team_id, member.org_id]
+        }
+      ]);
+
+      return member;
+    } catch (error) {
+      throw new Error(`Failed to save team member: ${error.message}`);
+    }
+  }
+
+  async deleteTeamMember(teamId, userId) {
+    try {
+      await this.executeBatch(this.buildTeamMemberDeleteQueries(teamId, userId));
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete team member: ${error.message}`);
+    }
+  }
+
+  buildTeamMemberDeleteQueries(teamId, userId) {
+    return [
+      { query: 'DELETE FROM team_members WHERE team_id = ? AND user_id = ?', params: [teamId, userId] },
+      { query: 'DELETE FROM user_teams WHERE user_id = ? AND team_id = ?', params: [userId, teamId] }
+    ];
+  }
+
+  async getTeamMembers(teamId) {
+    try {
+      const result = await this.executeQuery('SELECT * FROM team_members WHERE team_id = ?', [teamId]);
+      return result.rows.map(row => ({
+        team_id: row.team_id?.toString(),
+        user_id: row.user_id?.toString(),
+        org_id: row.org_id?.toString(),
+        added_by: row.added_by?.toString() || null,
+        added_at: row.added_at || null
+      }));
+    } catch (error) {
+      throw new Error(`Failed to get team members: ${error.message}`);
+    }
+  }
+
+  /**
+   * Teams milik user
+   * @returns {Array} [{ team_id, org_id }]
+   */
+  async getUserTeams(userId) {
+    try {
+      const result = await this.executeQuery('SELECT team_id, org_id FROM user_teams WHERE user_id = ?', [userId]);
+      return result.rows.map(row => ({ team_id: row.team_id?.toString(), org_id: row.org_id?.toString() }));
+    } catch (error) {
+      throw new Error(`Failed to get user teams: ${error.message}`);
+    }
+  }
+
+  /**
+   * Share memory team ke grantee team
+   * @param {Object} share - { team_id, grantee_team_id, org_id, permission, created_by, created_at }
+   */
+  async saveTeamShare(share) {
+    try {
+      await this.executeBatch([
+        {
+          query: `
+            INSERT INTO team_shares (team_id, grantee_team_id, org_id, permission, created_by, created_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+          `,
+          params: [share.team_id, share.grantee_team_id, share.org_id, share.permission, share.created_by, share.created_at]
+        },
+        {
+          query: 'INSERT INTO team_grants (grantee_team_id, team_id, org_id, permission) VALUES (?, ?, ?, ?)',
+          params: [share.grantee_team_id, share.team_id, share.org_id, share.permission]
+        }
+      ]);
+
+      return share;
+    } catch (error) {
+      throw new Error(`Failed to save team share: ${error.message}`);
+    }
+  }
+
+  async deleteTeamShare(teamId, granteeTeamId) {
+    try {
+      await this.executeBatch([
+        { query: 'DELETE FROM team_shares WHERE team_id = ? AND grantee_team_id = ?', params: [teamId, granteeTeamId] },
+        { query: 'DELETE FROM team_grants WHERE grantee_team_id = ? AND team_id = ?', params: [granteeTeamId, teamId] }
+      ]);
+
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete team share: ${error.message}`);
+    }
+  }
+
+  /**
+   * Teams yang boleh membaca memory team ini
+   */
+  async getTeamShares(teamId) {
+    try {
+      const result = await this.executeQuery('SELECT * FROM team_shares WHERE team_id = ?', [teamId]);
+      return result.rows.map(row => ({
+        team_id: row.team_id?.toString(),
+        grantee_team_id: row.grantee_team_id?.toString(),
+        org_id: row.org_id?.toString(),
+        permission: row.permission,
+        created_by: row.created_by?.toString() || null,
+        created_at: row.created_at || null
+      }));
+    } catch (error) {
+      throw new Error(`Failed to get team shares: ${error.message}`);
+    }
+  }
+
+  /**
+   * Teams yang memory-nya di-share ke grantee team
+   * @returns {Array} [{ team_id, org_id, permission }]
+   */
+  async getTeamGrants(granteeTeamId) {
+    try {
+      const result = await this.executeQuery('SELECT team_id, org_id, permission FROM team_grants WHERE grantee_team_id = ?', [granteeTeamId]);
+      return result.rows.map(row => ({ team_id: row.team_id?.toString(), org_id: row.org_id?.toString(), permission: row.permission }));
+    } catch (error) {
+      throw new Error(`Failed to get team grants: ${error.message}`);
+    }
+  }
+
+  // API key operations
+
+  /**
+   * Simpan scoped API key (hash sebagai primary key)
+   */
+  async saveApiKey(apiKey) {
+    try {
+      const query = `
+        INSERT INTO api_keys (
+          key_hash, id, user_id, name, key_prefix, scopes, agent_ids, ip_allowlist,
+          expires_at, rotated_from, rotated_to, grace_expires_at, revoked_at, last_used_at, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      await this.executeQuery(query, [
+        apiKey.key_hash,
+        apiKey.id,
+        apiKey.user_id,
+        apiKey.name,
+        apiKey.key_prefix,
+        apiKey.scopes,
+        apiKey.agent_ids,
+        apiKey.ip_allowlist,
+        apiKey.expires_at,
+        apiKey.rotated_from,
+        apiKey.rotated_to,
+        apiKey.grace_expires_at,
+        apiKey.revoked_at,
+        apiKey.last_used_at,
+        apiKey.created_at
+      ]);
+
+      return apiKey;
+    } catch (error) {
+      throw new Error(`Failed to save API key: ${error.message}`);
+    }
+  }
+
+  async getApiKeyByHash(keyHash) {
+    try {
+      const result = await this.executeQuery('SELECT * FROM api_keys WHERE key_hash = ? LIMIT 1', [keyHash]);
+      return result.rows.length > 0 ? this.mapApiKeyFromDb(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to get API key: ${error.message}`);
+    }
+  }
+
+  async getApiKeyById(keyId) {
+    try {
+      const result = await this.executeQuery('SELECT * FROM api_keys WHERE id = ? LIMIT 1', [keyId]);
+      return result.rows.length > 0 ? this.mapApiKeyFromDb(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to get API key: ${error.message}`);
+    }
+  }
+
+  async getApiKeysByUser(userId) {
+    try {
+      const result = await this.executeQuery('SELECT * FROM api_keys WHERE user_id = ?', [userId]);
+      return result.rows
+        .map(row => this.mapApiKeyFromDb(row))
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    } catch (error) {
+      throw new Error(`Failed to get API keys: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update kolom lifecycle API key (revoked_at, rotated_to, grace_expires_at, last_used_at)
+   */
+  async updateApiKey(keyHash, updates) {
+    try {
+      const allowedFields = ['rotated_to', 'grace_expires_at', 'revoked_at', 'last_used_at'];
+      const fields = Object.keys(updates).filter(field => allowedFields.includes(field));
+      if (fields.length === 0) return;
+
+      const query = `UPDATE api_keys SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE key_hash = ?`;
+      await this.executeQuery(query, [...fields.map(field => updates[field]), keyHash]);
+    } catch (error) {
+      throw new Error(`Failed to update API key: ${error.message}`);
+    }
+  }
+
+  // Agent registry operations
+
+  /**
+   * Simpan (insert/update) agent beserta lookup organization
+   */
+  async saveAgent(agent) {
+    try {
+      const queries = [{ query: AGENT_INSERT_QUERY, params: this.getAgentParams(agent) }];
+
+      if (agent.org_id) {
+        queries.push({
+          query: 'INSERT INTO organization_agents (org_id, agent_id, user_id) VALUES (?, ?, ?)',
+          params: [agent.org_id, agent.id, agent.user_id]
+        });
+      }
+
+      await this.executeBatch(queries);
+      return agent;
+    } catch (error) {
+      throw new Error(`Failed to save agent: ${error.message}`);
+    }
+  }
+
+  /**
+   * Insert agent baru dengan LWT (IF NOT EXISTS) agar registrasi paralel tidak saling menimpa
+   * @returns {boolean} false jika agent_id sudah terdaftar untuk user
+   */
+  async createAgent(agent) {
+    try {
+      const persistence = await this.persistence();
+      const result = await persistence.execute(`${AGENT_INSERT_QUERY} IF NOT EXISTS`, this.getAgentParams(agent), { prepare: true });
+
+      if (result.rows[0]?.['[applied]'] === false) {
+        return false;
+      }
+
+      if (agent.org_id) {
+        await this.executeQuery(
+          'INSERT INTO organization_agents (org_id, agent_id, user_id) VALUES (?, ?, ?)',
+          [agent.org_id, agent.id, agent.user_id]
+        );
+      }
+
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to create agent: ${error.message}`);
+    }
+  }
+
+  getAgentParams(agent) {
+    return [
+      agent.user_id,
+      agent.id,
+      agent.org_id,
+      agent.name,
+      agent.description,
+      agent.model,
+      agent.owner,
+      agent.purpose,
+      agent.status,
+      JSON.stringify(agent.metadata || {}),
+      agent.registered_via,
+      agent.created_at,
+      agent.updated_at,
+      agent.disabled_at
+    ];
+  }
+
+  async getAgent(userId, agentId) {
+    try {
+      const result = await this.executeQuery('SELECT * FROM agents WHERE user_id = ? AND id = ? LIMIT 1', [userId, agentId]);
+      return result.rows.length > 0 ? this.mapAgentFromDb(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to get agent: ${error.message}`);
+    }
+  }
+
+  async getAgentsByUser(userId) {
+    try {
+      const result = await this.executeQuery('SELECT * FROM agents WHERE user_id = ?', [userId]);
+      return result.rows.map(row => this.mapAgentFromDb(row));
+    } catch (error) {
+      throw new Error(`Failed to get agents: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lookup agent organization
+   * @returns {Object|null} { org_id, agent_id, user_id }
+   */
+  async getOrganizationAgent(orgId, agentId) {
+    try {
+      const result = await this.executeQuery('SELECT * FROM organization_agents WHERE org_id = ? AND agent_id = ? LIMIT 1', [orgId, agentId]);
+      if (result.rows.length === 0) return null;
+
+      const row = result.rows[0];
+      return { org_id: row.org_id?.toString(), agent_id: row.agent_id, user_id: row.user_id?.toString() };
+    } catch (error) {
+      throw new Error(`Failed to get organization agent: ${error.message}`);
+    }
+  }
+
+  async getOrganizationAgents(orgId) {
+    try {
+      const result = await this.executeQuery('SELECT * FROM organization_agents WHERE org_id = ?', [orgId]);
+      return result.rows.map(row => ({ org_id: row.org_id?.toString(), agent_id: row.agent_id, user_id: row.user_id?.toString() }));
+    } catch (error) {
+      throw new Error(`Failed to get organization agents: ${error.message}`);
+    }
+  }
+
+  // Audit log operations (append-only: tidak ada update/delete)
+
+  /**
+   * Entry terakhir di chain
+   * @returns {Object|null} { sequence, hash }
+   */
+  async getAuditHead(chainId) {
+    try {
+      const result = await this.executeQuery('SELECT sequence, hash FROM audit_log WHERE chain_id = ? LIMIT 1', [chainId]);
+      if (result.rows.length === 0) return null;
+
+      return { sequence: this.mapAuditSequence(result.rows[0].sequence), hash: result.rows[0].hash };
+    } catch (error) {
+      throw new Error(`Failed to get audit head: ${error.message}`);
+    }
+  }
+
+  /**
+   * Append entry dengan lightweight transaction; false jika sequence sudah dipakai
+   */
+  async appendAuditEntry(entry) {
+    try {
+      const query = `
+        INSERT INTO audit_log (
+          chain_id, sequence, id, action, actor_id, actor_type, api_key_id, target_type, target_id,
+          outcome, ip, user_agent, details, created_at, prev_hash, hash
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) IF NOT EXISTS
+      `;
+      const params = [
+        entry.chain_id,
+        entry.sequence,
+        entry.id,
+        entry.action,
+        entry.actor_id,
+        entry.actor_type,
+        entry.api_key_id,
+        entry.target_type,
+        entry.target_id,
+        entry.outcome,
+        entry.ip,
+        entry.user_agent,
+        JSON.stringify(entry.details || {}),
+        entry.created_at,
+        entry.prev_hash,
+        entry.hash
+      ];
+
+      // Prepared agar sequence di-encode sebagai BIGINT dan hasil LWT ([applied]) terbaca
+      const persistence = await this.persistence();
+      const result = await persistence.execute(query, params, { prepare: true });
+      return result.rows[0]?.['[applied]'] !== false;
+    } catch (error) {
+      throw new Error(`Failed to append audit entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Entries di chain
+   * @param {Object} options - { after, before (sequence, exclusive), limit, order: 'asc' | 'desc' }
+   */
+  async getAuditEntries(chainId, options = {}) {
+    try {
+      const { after = null, before = null, limit = 1000, order = 'desc' } = options;
+      const conditions = ['chain_id = ?'];
+      const params = [chainId];
+
+      if (after !== null) {
+        conditions.push('sequence > ?');
+        params.push(after);
+      }
+      if (before !== null) {
+        conditions.push('sequence < ?');
+        params.push(before);
+      }
+      params.push(limit);
+
+      const query = `SELECT * FROM audit_log WHERE ${conditions.join(' AND ')} ORDER BY sequence ${order === 'asc' ? 'ASC' : 'DESC'} LIMIT ?`;
+      const persistence = await this.persistence();
+      const result = await persistence.execute(query, params, { prepare: true });
+
+      return result.rows.map(row => this.mapAuditEntryFromDb(row));
+    } catch (error) {
+      throw new Error(`Failed to get audit entries: ${error.message}`);
+    }
+  }
+
+  // Knowledge operations
+
+  /**
+   * Get aggregated knowledge berdasarkan domain
+   */
+  async getKnowledge(domain, minConfidence = 0.7) {
+    try {
+      const cacheKey = `knowledge:${domain}:${minConfidence}`;
+      const cachedResult = await this.cacheGet(cacheKey);
+      
+      if (cachedResult) {
+        return cachedResult;
+      }
+
+      const query = `
+        SELECT * FROM knowledge 
+        WHERE domain = ? AND confidence_score >= ?
+        ORDER BY confidence_score DESC
+      `;
+      const result = await this.executeQuery(query, [domain, minConfidence]);
+      const knowledgeItems = result.rows.map(this.mapKnowledgeFromDb);
+
+      const response = { knowledge_items: knowledgeItems };
+
+      // Cache selama 30 menit
+      await this.cacheSet(cacheKey, response, 1800);
+
+      return response;
+    } catch (error) {
+      throw new Error(`Failed to get knowledge: ${error.message}`);
+    }
+  }
+
+  /**
+   * Full-text search knowledge dengan facets
+   * Selected facets menjadi post_filter sehingga counts facet lain tetap dihitung dari query dasar
+   * @param {Object} params - { query, domains, minConfidence, limit, facets, selectedFacets, facetInterval }
+   * @returns {Object} { items, total, facets }
+   */
+  async searchKnowledge(params) {
+    try {
+      const {
+        query,
+        domains = [],
+        minConfidence = 0.6,
+        limit = 20,
+        facets,
+        selectedFacets = {},
+        facetInterval,
+        highlight = {}
+      } = params;
+
+      const searchQuery = {
+        bool: {
+          must: [
+            {
+              multi_match: {
+                query,
+                fields: ['title^3', 'summary^2', 'searchable_text'],
+                type: 'best_fields'
+              }
+            }
+          ],
+          filter: [
+            { range: { confidence_score: { gte: minConfidence } } },
+            ...(domains.length > 0 ? [{ terms: { domain: domains } }] : [])
+          ]
+        }
+      };
+
+      const postFilters = this.knowledgeFacets.buildFilterClauses(selectedFacets);
+      const result = await this.searchDocuments('knowledge', searchQuery, {
+        size: limit,
+        ...(highlight.enabled !== false && {
+          highlight: this.knowledgeSnippets.buildElasticsearchHighlight(KNOWLEDGE_SNIPPET_FIELDS, highlight)
+        }),
+        ...(postFilters.length > 0 && { post_filter: { bool: { filter: postFilters } } }),
+        ...(facets && { aggs: this.knowledgeFacets.buildAggregations(facets, selectedFacets, { interval: facetInterval }) })
+      });
+      const body = result.body || result;
+
+      return {
+        items: body.hits.hits.map(hit => ({
+          ...hit._source,
+          relevance_score: hit._score,
+          ...(highlight.enabled !== false && { snippets: this.getKnowledgeSnippets(hit, query, highlight) })
+        })),
+        total: body.hits.total?.value ?? body.hits.hits.length,
+        ...(facets && {
+          facets: this.knowledgeFacets.parseAggregations(body.aggregations, facets, selectedFacets, { interval: facetInterval }),
+          selected_facets: selectedFacets
+        })
+      };
+    } catch (error) {
+      throw new Error(`Failed to search knowledge: ${error.message}`);
+    }
+  }
+
+  /**
+   * Snippets knowledge dari ES highlight, fallback ke query terms
+   */
+  getKnowledgeSnippets(hit, query, highlight) {
+    const snippets = this.knowledgeSnippets.fromElasticsearch(hit.highlight, hit._source, highlight);
+    return snippets.length > 0
+      ? snippets
+      : this.knowledgeSnippets.fromTerms(hit._source, query.split(/\s+/), highlight);
+  }
+
+  /**
+   * Get daftar knowledge domains beserta jumlah item dan rata-rata confidence
+   * @param {Function} filter - Optional filter per knowledge item (mis. RBAC), hasilnya tidak di-cache
+   */
+  async getKnowledgeDomains(filter = null) {
+    try {
+      const cacheKey = 'knowledge:domains';
+      const cachedResult = filter ? null : await this.cacheGet(cacheKey);
+
+      if (cachedResult) {
+        return cachedResult;
+      }
+
+      const query = 'SELECT domain, confidence_score, last_updated, owner_id, org_id, team_id FROM knowledge';
+      const result = await this.executeQuery(query, []);
+      const rows = result.rows.map(this.mapKnowledgeFromDb);
+
+      const domainMap = new Map();
+      rows.filter(row => !filter || filter(row)).forEach(row => {
+        const domain = domainMap.get(row.domain) || {
+          name: row.domain,
+          knowledge_count: 0,
+          total_confidence: 0,
+          last_updated: null
+        };
+
+        domain.knowledge_count++;
+        domain.total_confidence += row.confidence_score || 0;
+
+        if (row.last_updated && (!domain.last_updated || new Date(row.last_updated) > new Date(domain.last_updated))) {
+          domain.last_updated = row.last_updated;
+        }
+
+        domainMap.set(row.domain, domain);
+      });
+
+      const domains = Array.from(domainMap.values()).map(({ total_confidence, ...domain }) => ({
+        ...domain,
+        average_confidence: domain.knowledge_count > 0 ? total_confidence / domain.knowledge_count : 0
+      }));
+
+      // Cache selama 1 jam
+      if (!filter) {
+        await this.cacheSet(cacheKey, domains, 3600);
+      }
+
+      return domains;
+    } catch (error) {
+      throw new Error(`Failed to get knowledge domains: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get summary knowledge untuk satu domain
+   * @param {Function} filter - Optional filter per knowledge item (mis. RBAC)
+   */
+  async getKnowledgeSummary(domain, filter = null) {
+    try {
+      const query = 'SELECT * FROM knowledge WHERE domain = ?';
+      const result = await this.executeQuery(query, [domain]);
+      const knowledgeItems = result.rows
+        .map(this.mapKnowledgeFromDb)
+        .filter(item => !filter || filter(item))
+        .sort((a, b) => (b.confidence_score || 0) - (a.confidence_score || 0));
+
+      const totalConfidence = knowledgeItems.reduce((sum, item) => sum + (item.confidence_score || 0), 0);
+
+      return {
+        domain,
+        total_items: knowledgeItems.length,
+        average_confidence: knowledgeItems.length > 0 ? totalConfidence / knowledgeItems.length : 0,
+        high_confidence_count: knowledgeItems.filter(item => item.confidence_score >= 0.8).length,
+        top_items: knowledgeItems.slice(0, 10)
+      };
+    } catch (error) {
+      throw new Error(`Failed to get knowledge summary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get knowledge item berdasarkan ID
+   */
+  async getKnowledgeById(knowledgeId) {
+    try {
+      const query = 'SELECT * FROM knowledge WHERE id = ? LIMIT 1';
+      const result = await this.executeQuery(query, [knowledgeId]);
+
+      return result.rows.length > 0 ? this.mapKnowledgeFromDb(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to get knowledge item: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get semua knowledge dalam satu domain (semua status, tanpa cache)
+   */
+  async getKnowledgeByDomain(domain) {
+    try {
+      const query = 'SELECT * FROM knowledge WHERE domain = ?';
+      const result = await this.executeQuery(query, [domain]);
+
+      return result.rows.map(this.mapKnowledgeFromDb);
+    } catch (error) {
+      throw new Error(`Failed to get knowledge by domain: ${error.message}`);
+    }
+  }
+
+  /**
+   * Buat knowledge baru (status draft) dari kumpulan note IDs
+   * Patterns dan confidence score di-generate oleh Knowledge model
+   * @param {Object} scope - { org_id, team_id, owner_id } (owner_id: knowledge pribadi tanpa organization)
+   */
+  async createKnowledge(knowledgeData, createdBy = null, scope = {}) {
+    try {
+      const { error, value } = Knowledge.validate({ ...knowledgeData, status: 'draft' });
+      if (error) {
+        throw new Error(`Validasi gagal: ${error.details.map(d => d.message).join(', ')}`);
+      }
+
+      const persistence = await this.persistence();
+      const knowledge = new Knowledge(value);
+
+      await Knowledge._verifyNoteIds(knowledge.note_ids, { scylla: persistence });
+
+      knowledge.patterns = await Knowledge._generatePatterns(knowledge.note_ids, { scylla: persistence });
+      knowledge.confidence_score = Knowledge._calculateConfidenceScore(knowledge.patterns, knowledge.note_ids.length);
+
+      const query = `
+        INSERT INTO knowledge (
+          id, domain, title, summary, note_ids, patterns,
+          confidence_score, last_updated, version, status, created_by, created_at, org_id, team_id, owner_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+      await this.executeQuery(query, [
+        knowledge.id,
+        knowledge.domain,
+        knowledge.title,
+        knowledge.summary,
+        knowledge.note_ids,
+        JSON.stringify(knowledge.patterns),
+        knowledge.confidence_score,
+        knowledge.last_updated,
+        knowledge.version,
+        knowledge.status,
+        createdBy,
+        knowledge.created_at,
+        scope.org_id || null,
+        scope.team_id || null,
+        scope.owner_id || null
+      ]);
+
+      await this.indexDocument('knowledge', knowledge.id, {
+        ...knowledge,
+        created_by: createdBy,
+        owner_id: scope.owner_id || null,
+        org_id: scope.org_id || null,
+        team_id: scope.team_id || null,
+        searchable_text: `${knowledge.title} ${knowledge.summary} ${knowledge.patterns.map(p => p.pattern).join(' ')}`
+      });
+
+      await this.cacheDelete('knowledge:domains');
+
+      // Domain knowledge masuk ke dictionary scope-nya (team, organization atau owner);
+      // hanya knowledge tanpa scope yang masuk dictionary global
+      if (suggestConfig.enabled) {
+        try {
+          const tenantId = getTermsTenant(scope) || suggestConfig.globalTenant;
+          await this.updateSearchTerms(tenantId, [{ category: 'domains', term: knowledge.domain, delta: 1 }]);
+        } catch (indexError) {
+          console.warn(`⚠️ Failed to index knowledge domain ${knowledge.domain}:`, indexError.message);
+        }
+      }
+
+      return {
+        ...knowledge,
+        created_by: createdBy,
+        owner_id: scope.owner_id || null,
+        org_id: scope.org_id || null,
+        team_id: scope.team_id || null
+      };
+    } catch (error) {
+      throw new Error(`Failed to create knowledge: ${error.message}`);
+    }
+  }
+
+  /**
+   * Tambah notes ke knowledge yang sudah ada, regenerate patterns dan naikkan version
+   * @param {Object} options - { summary } untuk sekaligus mengganti summary
+   */
+  async addNotesToKnowledge(knowledgeId, noteIds, options = {}) {
+    try {
+      const current = await this.getKnowledgeById(knowledgeId);
+      if (!current) {
+        return null;
+      }
+
+      const persistence = await this.persistence();
+      await Knowledge._verifyNoteIds(noteIds, { scylla: persistence });
+
+      const existingIds = current.note_ids.map(id => id.toString());
+      const mergedNoteIds = [...new Set([...existingIds, ...noteIds])];
+
+      if (mergedNoteIds.length === existingIds.length) {
+        throw new Error('Semua note IDs sudah ada dalam knowledge ini');
+      }
+
+      const patterns = await Knowledge._generatePatterns(mergedNoteIds, { scylla: persistence });
+      const knowledge = {
+        ...current,
+        summary: options.summary || current.summary,
+        note_ids: mergedNoteIds,
+        patterns,
+        confidence_score: Knowledge._calculateConfidenceScore(patterns, mergedNoteIds.length),
+        last_updated: new Date(),
+        version: current.version + 1
+      };
+
+      const query = `
+        UPDATE knowledge
+        SET summary = ?, note_ids = ?, patterns = ?, confidence_score = ?, last_updated = ?, version = ?
+        WHERE id = ?
+      `;
+      await this.executeQuery(query, [
+        knowledge.summary,
+        knowledge.note_ids,
+        JSON.stringify(knowledge.patterns),
+        knowledge.confidence_score,
+        knowledge.last_updated,
+        knowledge.version,
+        knowledgeId
+      ]);
+
+      await this.updateDocument('knowledge', knowledgeId, {
+        summary: knowledge.summary,
+        note_ids: knowledge.note_ids,
+        patterns: knowledge.patterns,
+        confidence_score: knowledge.confidence_score,
+        last_updated: knowledge.last_updated,
+        version: knowledge.version,
+        searchable_text: `${knowledge.title} ${knowledge.summary} ${knowledge.patterns.map(p => p.pattern).join(' ')}`
+      });
+
+      await this.cacheDelete('knowledge:domains');
+
+      return knowledge;
+    } catch (error) {
+      throw new Error(`Failed to add notes to knowledge: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ubah status knowledge sesuai workflow draft → review → published → archived
+   */
+  async updateKnowledgeStatus(knowledgeId, newStatus, updatedBy = null) {
+    try {
+      const current = await this.getKnowledgeById(knowledgeId);
+      if (!current) {
+        return null;
+      }
+
+      if (!Knowledge.canTransition(current.status, newStatus)) {
+        throw new Error(`Transisi status dari ${current.status} ke ${newStatus} tidak diperbolehkan`);
+      }
+
+      const knowledge = {
+        ...current,
+        status: newStatus,
+        last_updated: new Date(),
+        // Jika dipublish, increment version
+        version: newStatus === 'published' ? current.version + 1 : current.version,
+        status_changed_by: updatedBy
+      };
+
+      const query = `
+        UPDATE knowledge
+        SET status = ?, last_updated = ?, version = ?, status_changed_by = ?
+        WHERE id = ?
+      `;
+      await this.executeQuery(query, [
+        knowledge.status,
+        knowledge.last_updated,
+        knowledge.version,
+        updatedBy,
+        knowledgeId
+      ]);
+
+      await this.updateDocument('knowledge', knowledgeId, {
+        status: knowledge.status,
+        last_updated: knowledge.last_updated,
+        version: knowledge.version
+      });
+
+      await this.cacheDelete('knowledge:domains');
+
+      return knowledge;
+    } catch (error) {
+      throw new Error(`Failed to update knowledge status: ${error.message}`);
+    }
+  }
+
+  // Experience operations
+
+  /**
+   * Get learning experiences
+   */
+  async getExperiences(filters = {}) {
+    try {
+      const { projectId = null, applicableDomain = null } = filters;
+      
+      let query = 'SELECT * FROM experiences WHERE 1=1';
+      const params = [];
+
+      if (projectId) {
+        query += ' AND project_id = ?';
+        params.push(projectId);
+      }
+
+      if (applicableDomain) {
+        query += ' AND applicable_domain = ?';
+        params.push(applicableDomain);
+      }
+
+      query += ' ORDER BY created_at DESC';
+
+      const result = await this.executeQuery(query, params);
+      const experiences = result.rows.map(this.mapExperienceFromDb);
+
+      return { experiences };
+    } catch (error) {
+      throw new Error(`Failed to get experiences: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get experience berdasarkan ID
+   */
+  async getExperienceById(experienceId) {
+    try {
+      const query = 'SELECT * FROM experiences WHERE id = ? LIMIT 1';
+      const result = await this.executeQuery(query, [experienceId]);
+
+      return result.rows.length > 0 ? this.mapExperienceFromDb(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Failed to get experience: ${error.message}`);
+    }
+  }
+
+  /**
+   * Buat experience baru (status active) dengan journey awal
+   * Validasi journey (minimal 5 notes, note harus ada) mengikuti Experience model
+   */
+  async createExperience(experienceData, createdBy = null, scope = {}) {
+    try {
+      const journey = (experienceData.journey || []).map((entry, index) => ({
+        sequence: entry.sequence || index + 1,
+        note_id: entry.note_id,
+        timestamp: entry.timestamp || new Date(),
+        milestone: entry.milestone
+      }));
+
+      const { error, value } = Experience.validate({ ...experienceData, journey, status: 'active' });
+      if (error) {
+        throw new Error(`Validasi gagal: ${error.details.map(d => d.message).join(', ')}`);
+      }
+
+      const experience = new Experience(value);
+
+      await Experience._verifyJourneyNotes(experience.journey, { scylla: await this.persistence() });
+      experience.journey = Experience._sortJourney(experience.journey);
+
+      const query = `
+        INSERT INTO experiences (
+          id, project_id, title, description, journey, outcomes, lessons_learned,
+          applicable_domains, applicable_domain, status, created_by, created_at, completed_at, updated_at,
+          org_id, team_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+      await this.executeQuery(query, [
+        experience.id,
+        experience.project_id,
+        experience.title,
+        experience.description,
+        JSON.stringify(experience.journey),
+        JSON.stringify(experience.outcomes),
+        JSON.stringify(experience.lessons_learned),
+        JSON.stringify(experience.applicable_domains),
+        experience.applicable_domains[0] || null,
+        experience.status,
+        createdBy,
+        experience.created_at,
+        experience.completed_at,
+        experience.updated_at,
+        scope.org_id || null,
+        scope.team_id || null
+      ]);
+
+      await this.indexDocument('experiences', experience.id, {
+        ...experience.toJSON(),
+        created_by: createdBy,
+        org_id: scope.org_id || null,
+        team_id: scope.team_id || null,
+        searchable_text: `${experience.title} ${experience.description}`,
+        journey_count: experience.journey.length,
+        domains_text: experience.applicable_domains.join(' ')
+      });
+
+      return { ...experience.toJSON(), created_by: createdBy, org_id: scope.org_id || null, team_id: scope.team_id || null };
+    } catch (error) {
+      throw new Error(`Failed to create experience: ${error.message}`);
+    }
+  }
+
+  /**
+   * Tambah milestone ke journey experience
+   */
+  async addExperienceMilestone(experienceId, noteId, milestone) {
+    try {
+      const current = await this.getExperienceById(experienceId);
+      if (!current) {
+        return null;
+      }
+
+      const experience = new Experience(current);
+
+      await Experience._verifyJourneyNotes([{ note_id: noteId }], { scylla: await this.persistence() });
+      experience._applyMilestone(noteId, milestone);
+
+      return await this.persistExperience(experience, current.created_by);
+    } catch (error) {
+      throw new Error(`Failed to add milestone: ${error.message}`);
+    }
+  }
+
+  /**
+   * Complete experience dengan outcomes dan lessons learned
+   */
+  async completeExperience(experienceId, completionData) {
+    try {
+      const current = await this.getExperienceById(experienceId);
+      if (!current) {
+        return null;
+      }
+
+      const experience = new Experience(current);
+      experience._applyCompletion(completionData);
+
+      // Extract applicable domains dari journey notes
+      if (experience.applicable_domains.length === 0) {
+        experience.applicable_domains = await experience._extractDomains({ scylla: await this.persistence() });
+      }
+
+      return await this.persistExperience(experience, current.created_by);
+    } catch (error) {
+      throw new Error(`Failed to complete experience: ${error.message}`);
+    }
+  }
+
+  /**
+   * Abandon experience dengan alasan
+   */
+  async abandonExperience(experienceId, reason) {
+    try {
+      const current = await this.getExperienceById(experienceId);
+      if (!current) {
+        return null;
+      }
+
+      const experience = new Experience(current);
+      experience._applyAbandon(reason);
+
+      return await this.persistExperience(experience, current.created_by);
+    } catch (error) {
+      throw new Error(`Failed to abandon experience: ${error.message}`);
+    }
+  }
+
+  /**
+   * Simpan state experience yang berubah ke ScyllaDB dan search index
+   */
+  async persistExperience(experience, createdBy = null) {
+    const query = `
+      UPDATE experiences
+      SET journey = ?, outcomes = ?, lessons_learned = ?, applicable_domains = ?, applicable_domain = ?,
+          status = ?, completed_at = ?, updated_at = ?
+      WHERE id = ?
+    `;
+    await this.executeQuery(query, [
+      JSON.stringify(experience.journey),
+      JSON.stringify(experience.outcomes),
+      JSON.stringify(experience.lessons_learned),
+      JSON.stringify(experience.applicable_domains),
+      experience.applicable_domains[0] || null,
+      experience.status,
+      experience.completed_at,
+      experience.updated_at,
+      experience.id
+    ]);
+
+    await this.updateDocument('experiences', experience.id, {
+      journey: experience.journey,
+      outcomes: experience.outcomes,
+      lessons_learned: experience.lessons_learned,
+      applicable_domains: experience.applicable_domains,
+      status: experience.status,
+      completed_at: experience.completed_at,
+      updated_at: experience.updated_at,
+      searchable_text: `${experience.title} ${experience.description} ${experience.lessons_learned.join(' ')}`,
+      journey_count: experience.journey.length,
+      domains_text: experience.applicable_domains.join(' ')
+    });
+
+    return { ...experience.toJSON(), created_by: createdBy };
+  }
+
+  // Helper methods
+
+  /**
+   * Map note dari database row
+   */
+  mapNoteFromDb(row) {
+    return {
+      id: row.id,
+      agent_id: row.agent_id,
+      session_id: row.session_id,
+      timestamp: row.timestamp,
+      type: row.type,
+      context: typeof row.context === 'string' ? JSON.parse(row.context) : row.context,
+      content: typeof row.content === 'string' ? JSON.parse(row.content) : row.content,
+      metadata: typeof row.metadata === 'string' ? JSON.parse(row.metadata) : row.metadata,
+      version: row.version || 1,
+      embedding_model: row.embedding_model || null,
+      embedding_dimensions: row.embedding_dimensions || null,
+      created_at: row.created_at,
+      updated_at: row.updated_at || null
+    };
+  }
+
+  /**
+   * Map note version dari database row
+   */
+  mapNoteVersionFromDb(row) {
+    return {
+      note_id: row.note_id,
+      version: row.version,
+      agent_id: row.agent_id,
+      type: row.type,
+      context: typeof row.context === 'string' ? JSON.parse(row.context) : row.context,
+      content: typeof row.content === 'string' ? JSON.parse(row.content) : row.content,
+      metadata: typeof row.metadata === 'string' ? JSON.parse(row.metadata) : row.metadata,
+      edited_by: row.edited_by,
+      change_summary: row.change_summary,
+      created_at: row.created_at,
+      is_current: false
+    };
+  }
+
+  /**
+   * Map note dari search result
+   */
+  mapNoteFromSearch(doc) {
+    return {
+      id: doc.id,
+      agent_id: doc.agent_id,
+      session_id: doc.session_id,
       timestamp: doc.timestamp,
       type: doc.type,
       context: doc.context,
@@ -563,10 +2551,160 @@ export class StorageService {
       user_id: row.user_id,
       started_at: row.started_at,
       status: row.status,
-      statistics: typeof row.statistics === 'string' ? JSON.parse(row.statistics) : row.statistics
+      statistics: typeof row.statistics === 'string' ? JSON.parse(row.statistics) : row.statistics,
+      org_id: row.org_id?.toString() || null,
+      team_id: row.team_id?.toString() || null
+    };
+  }
+
+  /**
+   * Map ranking model dari database row
+   */
+  mapRankingModelFromDb(row) {
+    const parse = (value, fallback) => (typeof value === 'string' ? JSON.parse(value) : (value || fallback));
+
+    return {
+      version: row.version,
+      feature_names: parse(row.feature_names, []),
+      weights: parse(row.weights, []),
+      normalization: parse(row.normalization, null),
+      metrics: parse(row.metrics, {}),
+      sample_count: row.sample_count || 0,
+      pair_count: row.pair_count || 0,
+      status: row.status || 'inactive',
+      trained_at: row.trained_at,
+      activated_at: row.activated_at || null
+    };
+  }
+
+  /**
+   * Map saved search dari database row
+   */
+  mapSavedSearchFromDb(row) {
+    return {
+      id: row.id?.toString(),
+      user_id: row.user_id?.toString(),
+      name: row.name,
+      query: row.query,
+      agent_id: row.agent_id,
+      filters: typeof row.filters === 'string' ? JSON.parse(row.filters) : (row.filters || {}),
+      max_results: row.max_results,
+      standing: Boolean(row.standing),
+      last_run_at: row.last_run_at || null,
+      last_match_at: row.last_match_at || null,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  /**
+   * Map organization dari database row
+   */
+  mapOrganizationFromDb(row) {
+    return {
+      id: row.id?.toString(),
+      name: row.name,
+      description: row.description || null,
+      created_by: row.created_by?.toString() || null,
+      created_at: row.created_at,
+      updated_at: row.updated_at || null
+    };
+  }
+
+  mapOrganizationMemberFromDb(row) {
+    return {
+      org_id: row.org_id?.toString(),
+      user_id: row.user_id?.toString(),
+      role: row.role,
+      added_by: row.added_by?.toString() || null,
+      joined_at: row.joined_at || null
+    };
+  }
+
+  mapTeamFromDb(row) {
+    return {
+      id: row.id?.toString(),
+      org_id: row.org_id?.toString(),
+      name: row.name,
+      description: row.description || null,
+      created_by: row.created_by?.toString() || null,
+      created_at: row.created_at
+    };
+  }
+
+  /**
+   * Map scoped API key dari database row
+   */
+  mapApiKeyFromDb(row) {
+    return {
+      id: row.id?.toString(),
+      user_id: row.user_id?.toString(),
+      name: row.name,
+      key_hash: row.key_hash,
+      key_prefix: row.key_prefix,
+      scopes: row.scopes ? Array.from(row.scopes) : [],
+      agent_ids: row.agent_ids ? Array.from(row.agent_ids) : [],
+      ip_allowlist: row.ip_allowlist ? Array.from(row.ip_allowlist) : [],
+      expires_at: row.expires_at || null,
+      rotated_from: row.rotated_from?.toString() || null,
+      rotated_to: row.rotated_to?.toString() || null,
+      grace_expires_at: row.grace_expires_at || null,
+      revoked_at: row.revoked_at || null,
+      last_used_at: row.last_used_at || null,
+      created_at: row.created_at
     };
   }
 
+  /**
+   * Map agent dari database row
+   */
+  mapAgentFromDb(row) {
+    return {
+      id: row.id,
+      user_id: row.user_id?.toString(),
+      org_id: row.org_id?.toString() || null,
+      name: row.name,
+      description: row.description || null,
+      model: row.model || null,
+      owner: row.owner || null,
+      purpose: row.purpose || null,
+      status: row.status || 'active',
+      metadata: row.metadata ? JSON.parse(row.metadata) : {},
+      registered_via: row.registered_via || 'api',
+      created_at: row.created_at,
+      updated_at: row.updated_at || null,
+      disabled_at: row.disabled_at || null
+    };
+  }
+
+  /**
+   * Map audit entry dari database row
+   */
+  mapAuditEntryFromDb(row) {
+    return {
+      chain_id: row.chain_id,
+      sequence: this.mapAuditSequence(row.sequence),
+      id: row.id?.toString(),
+      action: row.action,
+      actor_id: row.actor_id ?? null,
+      actor_type: row.actor_type,
+      api_key_id: row.api_key_id ?? null,
+      target_type: row.target_type ?? null,
+      target_id: row.target_id ?? null,
+      outcome: row.outcome,
+      ip: row.ip ?? null,
+      user_agent: row.user_agent ?? null,
+      details: row.details ? JSON.parse(row.details) : {},
+      created_at: row.created_at,
+      prev_hash: row.prev_hash,
+      hash: row.hash
+    };
+  }
+
+  mapAuditSequence(sequence) {
+    return typeof sequence?.toNumber === 'function' ? sequence.toNumber() : Number(sequence);
+  }
+
   /**
    * Map knowledge dari database row
    */
@@ -576,8 +2714,17 @@ export class StorageService {
       domain: row.domain,
       title: row.title,
       summary: row.summary,
+      note_ids: (row.note_ids || []).map(id => id.toString()),
+      patterns: typeof row.patterns === 'string' ? JSON.parse(row.patterns) : (row.patterns || []),
       confidence_score: row.confidence_score,
-      version: row.version
+      version: row.version || 1,
+      status: row.status || 'draft',
+      last_updated: row.last_updated || null,
+      created_by: row.created_by || null,
+      owner_id: row.owner_id || null,
+      org_id: row.org_id?.toString() || null,
+      team_id: row.team_id?.toString() || null,
+      created_at: row.created_at || null
     };
   }
 
@@ -585,12 +2732,24 @@ export class StorageService {
    * Map experience dari database row
    */
   mapExperienceFromDb(row) {
+    const parse = (value, fallback) => (typeof value === 'string' ? JSON.parse(value) : (value || fallback));
+
     return {
       id: row.id,
+      project_id: row.project_id,
       title: row.title,
       description: row.description,
-      outcomes: typeof row.outcomes === 'string' ? JSON.parse(row.outcomes) : row.outcomes,
-      lessons_learned: typeof row.lessons_learned === 'string' ? JSON.parse(row.lessons_learned) : row.lessons_learned
+      journey: parse(row.journey, []),
+      outcomes: parse(row.outcomes, {}),
+      lessons_learned: parse(row.lessons_learned, []),
+      applicable_domains: parse(row.applicable_domains, row.applicable_domain ? [row.applicable_domain] : []),
+      status: row.status || 'completed',
+      created_by: row.created_by || null,
+      org_id: row.org_id?.toString() || null,
+      team_id: row.team_id?.toString() || null,
+      created_at: row.created_at,
+      completed_at: row.completed_at || null,
+      updated_at: row.updated_at || null
     };
   }
 
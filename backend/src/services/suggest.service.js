@@ -0,0 +1,127 @@
+/**
+ * Suggest Service
+ *
+ * Autocomplete dan "did you mean" untuk search box. Term dictionary per tenant di-maintain
+ * incremental oleh StorageService (saveNote, updateNote, createKnowledge) di tabel search_terms;
+ * service ini membaca dictionary user, organization/team user dan dictionary global (knowledge
+ * domains tanpa scope), lalu menyimpan hasil compile-nya di LRU cache berumur pendek
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { Suggester, SUGGEST_TYPES, getTermsTenant } from '../lib/search-lib/suggester.js';
+import OrganizationService from './organization.service.js';
+import { suggestConfig } from '../config/app.js';
+
+/**
+ * SuggestService Class
+ */
+export class SuggestService {
+  constructor(storageService, config = {}) {
+    this.storage = storageService;
+    this.config = {
+      ...suggestConfig,
+      ...config
+    };
+
+    this.suggester = new Suggester(this.config);
+    this.organizationService = new OrganizationService(storageService);
+    // LRU: Map menjaga urutan insert, entry yang dipakai dipindah ke belakang
+    this.dictionaries = new Map();
+  }
+
+  /**
+   * Completions dan corrections untuk query
+   * @param {string} userId - Tenant
+   * @param {string} query - Text yang sedang diketik
+   * @param {Object} options - { types, limit }
+   * @returns {Object} { query, suggestions, did_you_mean }
+   */
+  async suggest(userId, query, options = {}) {
+    const { types = SUGGEST_TYPES, limit = this.config.defaultLimit } = options;
+
+    if (!this.config.enabled) {
+      return { query, suggestions: [], did_you_mean: null };
+    }
+
+    const dictionary = await this.getDictionary(userId);
+
+    return {
+      query,
+      suggestions: this.suggester.complete(dictionary, query, { types, limit }),
+      did_you_mean: this.suggester.correct(dictionary, query)
+    };
+  }
+
+  /**
+   * "Did you mean" saja, untuk search yang tidak menghasilkan results
+   * @returns {Object|null} { query, corrections }
+   */
+  async didYouMean(userId, query) {
+    if (!this.config.enabled || !userId) {
+      return null;
+    }
+
+    return this.suggester.correct(await this.getDictionary(userId), query);
+  }
+
+  /**
+   * Dictionary user digabung dengan dictionary organization/team user dan dictionary global,
+   * di-compile dengan Suggester.buildIndex()
+   * Perubahan terms terlihat paling lambat setelah dictionaryCacheTTL
+   */
+  async getDictionary(userId) {
+    const cached = this.dictionaries.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+      this.dictionaries.delete(userId);
+      this.dictionaries.set(userId, cached);
+      return cached.dictionary;
+    }
+
+    const tenants = [userId, this.config.globalTenant, ...await this.getScopedTenants(userId)];
+    const dictionaries = await Promise.all(tenants.map(tenantId => this.storage.getSearchTerms(tenantId)));
+
+    const merged = {};
+    dictionaries.forEach(terms => {
+      Object.entries(terms).forEach(([category, counts]) => {
+        merged[category] = merged[category] || new Map();
+        counts.forEach((count, term) => merged[category].set(term, (merged[category].get(term) || 0) + count));
+      });
+    });
+
+    const dictionary = this.suggester.buildIndex(merged);
+
+    this.dictionaries.delete(userId);
+    this.dictionaries.set(userId, {
+      dictionary,
+      expiresAt: Date.now() + this.config.dictionaryCacheTTL * 1000
+    });
+    while (this.dictionaries.size > this.config.dictionaryCacheSize) {
+      this.dictionaries.delete(this.dictionaries.keys().next().value);
+    }
+
+    return dictionary;
+  }
+
+  /**
+   * Tenant dictionary organization dan team (termasuk shared teams) user
+   * Access context yang gagal dimuat hanya menghilangkan suggestions ber-scope
+   */
+  async getScopedTenants(userId) {
+    try {
+      const access = await this.organizationService.getAccessContext(userId);
+      const teamIds = [...new Set([...Object.keys(access.teams), ...access.shared_teams])];
+
+      return [
+        ...Object.keys(access.organizations).map(orgId => getTermsTenant({ org_id: orgId })),
+        ...teamIds.map(teamId => getTermsTenant({ team_id: teamId }))
+      ];
+    } catch (error) {
+      console.warn(`⚠️ Failed to load organization dictionaries for user ${userId}:`, error.message);
+      return [];
+    }
+  }
+}
+
+export default SuggestService;
@@ -0,0 +1,299 @@
+/**
+ * Token Revocation Service
+ *
+ * Refresh token families dan jti denylist di Redis. Setiap token pair dari API key memulai
+ * family baru; refresh merotasi refresh token di family tersebut, dan refresh token yang
+ * dipakai ulang me-revoke seluruh family (termasuk access tokens-nya)
+ *
+ * @author MCP Server Team
+ * @version 1.0.0
+ */
+
+import { authConfig } from '../config/app.js';
+
+/**
+ * TokenRevocationService Class
+ */
+export class TokenRevocationService {
+  constructor(storageService, config = {}) {
+    this.storage = storageService;
+    this.config = {
+      ...authConfig.tokens,
+      ...config
+    };
+  }
+
+  // Refresh token families
+
+  /**
+   * Mulai family baru untuk refresh token yang baru diterbitkan
+   * @param {Object} payload - Decoded refresh token ({ sub, fid, jti, keyId, exp })
+   * @returns {Object} Family record
+   */
+  async startFamily(payload) {
+    const cache = await this.storage.cache();
+    const family = {
+      id: payload.fid,
+      user_id: payload.sub,
+      key_id: payload.keyId || null,
+      current_jti: payload.jti,
+      rotations: 0,
+      created_at: new Date().toISOString(),
+      rotated_at: null,
+      revoked_at: null,
+      revoke_reason: null
+    };
+
+    await cache.set(this.familyKey(family.id), family, { ttl: this.getRemainingTTL(payload) });
+    await cache.sadd(this.userFamiliesKey(family.user_id), family.id);
+    await cache.expire(this.userFamiliesKey(family.user_id), this.getRemainingTTL(payload));
+    await this.pruneUserFamilies(family.user_id);
+
+    return family;
+  }
+
+  /**
+   * Tandai refresh token sebagai terpakai. Refresh token hanya boleh dipakai sekali;
+   * pemakaian ulang (atau token yang bukan refresh token terbaru di family) dianggap
+   * token dicuri dan seluruh family di-revoke
+   * @param {Object} payload - Decoded refresh token
+   * @returns {Object} { family, reused } (family null untuk token tanpa fid)
+   * @throws {Error} Token has been revoked
+   */
+  async consumeRefreshToken(payload) {
+    const cache = await this.storage.cache();
+
+    if (await cache.exists(this.denylistKey(payload.jti))) {
+      throw new Error('Token has been revoked');
+    }
+
+    let family = null;
+    if (payload.fid) {
+      family = await cache.get(this.familyKey(payload.fid));
+      if (!family) {
+        throw new Error('Token has been revoked: refresh token family no longer exists');
+      }
+      if (family.revoked_at) {
+        throw new Error(`Token has been revoked: refresh token family revoked (${family.revoke_reason})`);
+      }
+    }
+
+    const claimed = await this.storage.cacheSetIfAbsent(this.usedKey(payload.jti), family?.id || 'legacy', this.getRemainingTTL(payload));
+
+    if (!claimed || (family && family.current_jti !== payload.jti)) {
+      if (family) {
+        family = await this.revokeFamily(family.id, 'reuse_detected');
+      }
+      return { family, reused: true };
+    }
+
+    return { family, reused: false };
+  }
+
+  /**
+   * Catat refresh token baru sebagai token terbaru di family
+   * Check-and-set atomik (WATCH/MULTI) terhadap record terbaru: family yang sudah di-revoke
+   * (mis. oleh reuse detection paralel) atau sudah dirotasi token lain tidak di-advance
+   * @param {Object} family - Family record
+   * @param {Object} payload - Decoded refresh token baru
+   * @param {string} previousJti - jti refresh token yang baru saja dipakai
+   * @throws {Error} Token has been revoked
+   */
+  async advanceFamily(family, payload, previousJti) {
+    const cache = await this.storage.cache();
+    const ttl = this.getRemainingTTL(payload);
+
+    const result = await cache.transaction(this.familyKey(family.id), (current) => {
+      if (!current || current.revoked_at || current.current_jti !== previousJti) {
+        return null;
+      }
+
+      return {
+        value: {
+          ...current,
+          current_jti: payload.jti,
+          rotations: (current.rotations || 0) + 1,
+          rotated_at: new Date().toISOString()
+        },
+        ttl
+      };
+    });
+
+    if (!result.committed) {
+      if (!result.current) {
+        throw new Error('Token has been revoked: refresh token family no longer exists');
+      }
+      if (result.current.revoked_at) {
+        throw new Error(`Token has been revoked: refresh token family revoked (${result.current.revoke_reason})`);
+      }
+      throw new Error('Token has been revoked: refresh token was already rotated');
+    }
+
+    await cache.expire(this.userFamiliesKey(family.user_id), ttl);
+
+    return result.value;
+  }
+
+  /**
+   * Revoke family; record tetap disimpan (sampai TTL habis) agar access tokens family ditolak
+   * @returns {Object|null} Family record, null jika family sudah tidak ada
+   */
+  async revokeFamily(familyId, reason = 'revoked') {
+    const cache = await this.storage.cache();
+    const key = this.familyKey(familyId);
+    const ttl = await cache.ttl(key);
+
+    // Atomik terhadap advanceFamily agar rotation paralel tidak menimpa revoked_at
+    const result = await cache.transaction(key, (family) => {
+      if (!family || family.revoked_at) {
+        return null;
+      }
+
+      return {
+        value: {
+          ...family,
+          revoked_at: new Date().toISOString(),
+          revoke_reason: reason
+        },
+        ttl: ttl > 0 ? ttl : 1
+      };
+    });
+
+    if (result.committed) {
+      console.log(`🚫 Refresh token family ${familyId} revoked for user ${result.value.user_id} (${reason})`);
+    }
+
+    return result.value;
+  }
+
+  /**
+   * Revoke semua family milik user
+   * @param {Object} options - { keyId: undefined = semua, null = primary API key saja, string = scoped key tertentu }
+   * @returns {number} Jumlah family yang di-revoke
+   */
+  async revokeUserFamilies(userId, options = {}) {
+    const families = await this.getUserFamilies(userId);
+    let revoked = 0;
+
+    for (const family of families) {
+      if (family.revoked_at) continue;
+      if (options.keyId !== undefined && family.key_id !== options.keyId) continue;
+
+      await this.revokeFamily(family.id, options.reason || 'revoked');
+      revoked += 1;
+    }
+
+    return revoked;
+  }
+
+  /**
+   * Family records milik user; family yang sudah expired dihapus dari index
+   */
+  async getUserFamilies(userId) {
+    const cache = await this.storage.cache();
+    const familyIds = await cache.smembers(this.userFamiliesKey(userId));
+    const families = [];
+    const expired = [];
+
+    for (const familyId of familyIds) {
+      const family = await cache.get(this.familyKey(familyId));
+      if (family) {
+        families.push(family);
+      } else {
+        expired.push(familyId);
+      }
+    }
+
+    if (expired.length > 0) {
+      await cache.srem(this.userFamiliesKey(userId), ...expired);
+    }
+
+    return families;
+  }
+
+  /**
+   * Batasi jumlah family aktif per user; family tertua di-revoke
+   */
+  async pruneUserFamilies(userId) {
+    const active = (await this.getUserFamilies(userId))
+      .filter(family => !family.revoked_at)
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    const excess = active.length - this.config.maxFamiliesPerUser;
+    for (let i = 0; i < excess; i++) {
+      await this.revokeFamily(active[i].id, 'family_limit');
+    }
+  }
+
+  // jti denylist
+
+  /**
+   * Masukkan token ke denylist sampai token expired
+   * @param {Object} payload - Decoded token ({ jti, exp })
+   */
+  async denyToken(payload) {
+    const cache = await this.storage.cache();
+    await cache.set(this.denylistKey(payload.jti), payload.type === 'refresh' ? 'refresh' : 'access', {
+      ttl: this.getRemainingTTL(payload)
+    });
+  }
+
+  /**
+   * Cek apakah access token sudah di-revoke (jti denylist atau family revoked)
+   * @param {Object} payload - Decoded token
+   * @returns {string|null} Alasan revoke, null jika token masih berlaku
+   */
+  async getRevocationReason(payload) {
+    try {
+      const cache = await this.storage.cache();
+
+      if (payload.jti && await cache.exists(this.denylistKey(payload.jti))) {
+        return 'Token has been revoked';
+      }
+
+      if (payload.fid) {
+        // Family yang tidak ada lagi (expired) tidak membatalkan access token yang masih berlaku
+        const family = await cache.get(this.familyKey(payload.fid));
+        if (family?.revoked_at) {
+          return family.revoke_reason === 'reuse_detected'
+            ? 'Token has been revoked: refresh token reuse detected'
+            : 'Token has been revoked';
+        }
+      }
+
+      return null;
+    } catch (error) {
+      if (this.config.revocationFailOpen) {
+        console.warn('⚠️ Token revocation check failed, accepting token:', error.message);
+        return null;
+      }
+
+      console.error('❌ Token revocation check failed:', error.message);
+      return 'Unable to verify token revocation status';
+    }
+  }
+
+  // Helpers
+
+  getRemainingTTL(payload) {
+    return Math.max(1, (payload.exp || 0) - Math.floor(Date.now() / 1000));
+  }
+
+  familyKey(familyId) {
+    return `refresh_family:${familyId}`;
+  }
+
+  userFamiliesKey(userId) {
+    return `refresh_families:${userId}`;
+  }
+
+  usedKey(jti) {
+    return `refresh_used:${jti}`;
+  }
+
+  denylistKey(jti) {
+    return `token_denylist:${jti}`;
+  }
+}
+
+export default TokenRevocationService;
@@ -0,0 +1,165 @@
+/**
+ * In-memory Redis untuk tests
+ *
+ * createMemoryRedis() meniru subset command node-redis v4 (SET dengan options object,
+ * GET, DEL, EXISTS, TTL, EXPIRE, sets, WATCH/MULTI lewat executeIsolated); createRedisCache() membungkusnya dengan
+ * RedisClient asli sehingga serialisasi dan SET options ikut ter-test
+ */
+
+import { WatchError } from 'redis';
+import RedisClient from '../../src/lib/storage-lib/redis-client.js';
+
+export const createMemoryRedis = () => {
+  const values = new Map();
+  const sets = new Map();
+  const expiries = new Map();
+  // Versi per key untuk WATCH: setiap write menaikkan versi
+  const versions = new Map();
+  const touch = (key) => versions.set(key, (versions.get(key) || 0) + 1);
+
+  const isExpired = (key) => expiries.has(key) && expiries.get(key) <= Date.now();
+  const purge = (key) => {
+    if (isExpired(key)) {
+      values.delete(key);
+      sets.delete(key);
+      expiries.delete(key);
+    }
+  };
+  const has = (key) => {
+    purge(key);
+    return values.has(key) || sets.has(key);
+  };
+
+  const client = {
+    values,
+    sets,
+
+    async set(key, value, options = {}) {
+      if (typeof options !== 'object' || options === null) {
+        // node-redis v4 tidak menerima 'EX'/'NX' sebagai argumen terpisah
+        throw new TypeError('SET options must be an object');
+      }
+      if (options.NX && has(key)) return null;
+      if (options.XX && !has(key)) return null;
+
+      values.set(key, String(value));
+      touch(key);
+      if (options.EX) {
+        expiries.set(key, Date.now() + options.EX * 1000);
+      } else {
+        expiries.delete(key);
+      }
+      return 'OK';
+    },
+
+    async get(key) {
+      purge(key);
+      return values.has(key) ? values.get(key) : null;
+    },
+
+    async del(key) {
+      const existed = has(key);
+      if (existed) touch(key);
+      values.delete(key);
+      sets.delete(key);
+      expiries.delete(key);
+      return existed ? 1 : 0;
+    },
+
+    async exists(key) {
+      return has(key) ? 1 : 0;
+    },
+
+    async ttl(key) {
+      if (!has(key)) return -2;
+      if (!expiries.has(key)) return -1;
+      return Math.ceil((expiries.get(key) - Date.now()) / 1000);
+    },
+
+    async expire(key, seconds) {
+      if (!has(key)) return 0;
+      touch(key);
+      expiries.set(key, Date.now() + seconds * 1000);
+      return 1;
+    },
+
+    async sAdd(key, members) {
+      purge(key);
+      const set = sets.get(key) || new Set();
+      [].concat(members).forEach(member => set.add(String(member)));
+      sets.set(key, set);
+      return set.size;
+    },
+
+    async sRem(key, members) {
+      const set = sets.get(key);
+      if (!set) return 0;
+      let removed = 0;
+      [].concat(members).forEach(member => {
+        if (set.delete(String(member))) removed += 1;
+      });
+      return removed;
+    },
+
+    async sMembers(key) {
+      purge(key);
+      return Array.from(sets.get(key) || []);
+    },
+
+    async sIsMember(key, member) {
+      purge(key);
+      return sets.get(key)?.has(String(member)) || false;
+    },
+
+    // Koneksi isolated dengan WATCH; EXEC gagal (WatchError) jika key yang di-watch berubah
+    async executeIsolated(fn) {
+      const watched = new Map();
+      const isolated = {
+        async watch(key) {
+          watched.set(key, versions.get(key) || 0);
+          return 'OK';
+        },
+        async unwatch() {
+          watched.clear();
+          return 'OK';
+        },
+        get: key => client.get(key),
+        multi() {
+          const queue = [];
+          const multi = {
+            set(...args) {
+              queue.push(() => client.set(...args));
+              return multi;
+            },
+            async exec() {
+              const changed = [...watched].some(([key, version]) => (versions.get(key) || 0) !== version);
+              watched.clear();
+              if (changed) throw new WatchError();
+
+              const replies = [];
+              for (const command of queue) {
+                replies.push(await command());
+              }
+              return replies;
+            }
+          };
+          return multi;
+        }
+      };
+
+      return await fn(isolated);
+    }
+  };
+
+  return client;
+};
+
+/**
+ * RedisClient yang terhubung ke in-memory Redis
+ */
+export const createRedisCache = (memory = createMemoryRedis()) => {
+  const cache = new RedisClient();
+  cache.client = memory;
+  cache.isConnected = true;
+  return cache;
+};
@@ -0,0 +1,9 @@
+/**
+ * Jest setup
+ *
+ * Environment default untuk unit dan integration tests; tests tidak membutuhkan
+ * Redis, ScyllaDB atau Elasticsearch (storage di-mock lewat tests/helpers)
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
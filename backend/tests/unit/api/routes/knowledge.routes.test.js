@@ -0,0 +1,106 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import knowledgeRouter from '../../../../src/api/routes/knowledge.routes.js';
+import { AuditService } from '../../../../src/services/audit.service.js';
+import { AuthService } from '../../../../src/services/auth.service.js';
+import { CacheService } from '../../../../src/services/cache.service.js';
+import { OrganizationService } from '../../../../src/services/organization.service.js';
+import { StorageService } from '../../../../src/services/storage.service.js';
+import { createMemoryRedis, createRedisCache } from '../../../helpers/memory-redis.js';
+
+const KNOWLEDGE_ID = '3b7c1e9a-2d4f-4a6b-8c1e-5f9a2b7d3c40';
+
+const createUser = (tier, extra = {}) => ({
+  id: 'user-a',
+  userId: 'user-a',
+  email: 'a@example.com',
+  subscription: { tier, features: ['knowledge_access'] },
+  ...extra
+});
+
+describe('PATCH /knowledge/:knowledgeId/status', () => {
+  const app = express().use(express.json()).use('/knowledge', knowledgeRouter);
+  const changeStatus = status => request(app)
+    .patch(`/knowledge/${KNOWLEDGE_ID}/status`)
+    .set('Authorization', 'Bearer token')
+    .send({ status });
+
+  let user;
+  let knowledge;
+
+  beforeEach(() => {
+    const cache = createRedisCache(createMemoryRedis());
+    user = createUser('enterprise');
+    knowledge = { id: KNOWLEDGE_ID, domain: 'payments', status: 'review', version: 1, owner_id: 'user-a' };
+
+    jest.spyOn(StorageService.prototype, 'cache').mockImplementation(async () => cache);
+    jest.spyOn(StorageService.prototype, 'getKnowledgeById').mockImplementation(async () => ({ ...knowledge }));
+    jest.spyOn(StorageService.prototype, 'updateKnowledgeStatus').mockImplementation(async (id, status) => ({
+      ...knowledge,
+      status,
+      version: status === 'published' ? knowledge.version + 1 : knowledge.version
+    }));
+    jest.spyOn(CacheService.prototype, 'invalidateByTags').mockImplementation(async () => 0);
+    jest.spyOn(AuditService.prototype, 'recordRequest').mockImplementation(async () => null);
+    jest.spyOn(AuthService.prototype, 'validateToken').mockImplementation(async () => ({ valid: true, user, payload: {} }));
+    jest.spyOn(OrganizationService.prototype, 'getAccessContext')
+      .mockImplementation(async () => ({ user_id: 'user-a', organizations: {}, teams: {}, shared_teams: [] }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('publishes knowledge in review and returns the next allowed transitions', async () => {
+    const response = await changeStatus('published');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ status: 'published', version: 2 });
+    expect(response.body.metadata).toMatchObject({ previous_status: 'review', allowed_transitions: ['archived'] });
+    expect(StorageService.prototype.updateKnowledgeStatus).toHaveBeenCalledWith(KNOWLEDGE_ID, 'published', 'user-a');
+  });
+
+  it('rejects transitions outside the workflow with 409', async () => {
+    knowledge.status = 'draft';
+
+    const response = await changeStatus('published');
+
+    expect(response.status).toBe(409);
+    expect(response.body).toMatchObject({ current_status: 'draft', allowed_transitions: ['review', 'archived'] });
+    expect(StorageService.prototype.updateKnowledgeStatus).not.toHaveBeenCalled();
+  });
+
+  it('requires the enterprise tier to publish and the pro tier to author', async () => {
+    user = createUser('pro');
+    const publish = await changeStatus('published');
+
+    expect(publish.status).toBe(403);
+    expect(publish.body).toMatchObject({ current_tier: 'pro', required_tier: 'enterprise' });
+
+    expect((await changeStatus('draft')).status).toBe(200);
+
+    user = createUser('basic');
+    expect((await changeStatus('draft')).body).toMatchObject({ required_tier: 'pro' });
+  });
+
+  it('requires the knowledge:publish scope for scoped API keys', async () => {
+    user = createUser('enterprise', { scopes: ['knowledge:read', 'knowledge:write'] });
+
+    const response = await changeStatus('published');
+
+    expect(response.status).toBe(403);
+    expect(response.body.required_scope).toBe('knowledge:publish');
+  });
+
+  it('denies changes to knowledge of other users', async () => {
+    knowledge.owner_id = 'user-b';
+
+    const response = await changeStatus('archived');
+
+    expect(response.status).toBe(403);
+    expect(StorageService.prototype.updateKnowledgeStatus).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,120 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import cassandra from 'cassandra-driver';
+import { StorageService } from '../../../../src/services/storage.service.js';
+import { createRedisCache } from '../../../helpers/memory-redis.js';
+
+const storage = new StorageService();
+const cache = createRedisCache();
+storage.cache = async () => cache;
+
+// user.id dari AuthService.validateToken adalah cassandra Uuid
+const userId = cassandra.types.Uuid.random();
+let currentUser = null;
+
+jest.unstable_mockModule('../../../../src/api/middleware/auth.middleware.js', () => ({
+  authenticate: (req, res, next) => {
+    req.user = currentUser;
+    next();
+  }
+}));
+
+jest.unstable_mockModule('../../../../src/api/middleware/rate-limit.middleware.js', () => ({
+  rateLimitApi: (req, res, next) => next()
+}));
+
+jest.unstable_mockModule('../../../../src/services/shared-services.js', () => ({
+  default: {
+    getStorageService: () => storage,
+    getSearchService: () => ({}),
+    getAuthService: () => ({})
+  }
+}));
+
+const { default: mcpRoutes } = await import('../../../../src/api/routes/mcp.routes.js');
+
+const app = express();
+app.use(express.json());
+app.use('/mcp', mcpRoutes);
+
+const rpc = (method, id = 1, params = {}) => ({ jsonrpc: '2.0', id, method, params });
+
+const initialize = () => request(app)
+  .post('/mcp')
+  .send(rpc('initialize', 1, { protocolVersion: '2025-06-18' }));
+
+describe('MCP streamable HTTP routes', () => {
+  beforeEach(() => {
+    currentUser = {
+      id: userId,
+      userId: userId.toString(),
+      subscription: { tier: 'pro', features: [] }
+    };
+  });
+
+  it('creates a session on initialize', async () => {
+    const response = await initialize();
+
+    expect(response.status).toBe(200);
+    expect(response.body.result.protocolVersion).toBe('2025-06-18');
+    expect(response.headers['mcp-session-id']).toBeDefined();
+  });
+
+  it('resumes the session for the same user', async () => {
+    const { headers } = await initialize();
+
+    const response = await request(app)
+      .post('/mcp')
+      .set('Mcp-Session-Id', headers['mcp-session-id'])
+      .send(rpc('tools/list', 2));
+
+    expect(response.status).toBe(200);
+    expect(response.body.result.tools.map(tool => tool.name)).toContain('save_note');
+  });
+
+  it('accepts notifications without a response body', async () => {
+    const { headers } = await initialize();
+
+    const response = await request(app)
+      .post('/mcp')
+      .set('Mcp-Session-Id', headers['mcp-session-id'])
+      .send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+    expect(response.status).toBe(202);
+  });
+
+  it('rejects requests without a session', async () => {
+    const response = await request(app).post('/mcp').send(rpc('tools/list', 2));
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe(-32600);
+  });
+
+  it('does not expose a session to another user', async () => {
+    const { headers } = await initialize();
+    const otherId = cassandra.types.Uuid.random();
+    currentUser = { ...currentUser, id: otherId, userId: otherId.toString() };
+
+    const response = await request(app)
+      .post('/mcp')
+      .set('Mcp-Session-Id', headers['mcp-session-id'])
+      .send(rpc('tools/list', 2));
+
+    expect(response.status).toBe(404);
+  });
+
+  it('terminates a session', async () => {
+    const { headers } = await initialize();
+    const sessionId = headers['mcp-session-id'];
+
+    const deleted = await request(app).delete('/mcp').set('Mcp-Session-Id', sessionId);
+    expect(deleted.status).toBe(204);
+
+    const response = await request(app)
+      .post('/mcp')
+      .set('Mcp-Session-Id', sessionId)
+      .send(rpc('ping', 3));
+    expect(response.status).toBe(404);
+  });
+});
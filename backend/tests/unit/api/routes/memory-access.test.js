@@ -0,0 +1,181 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import notesRouter from '../../../../src/api/routes/notes.routes.js';
+import { McpServer } from '../../../../src/mcp/server.js';
+import { AuthService } from '../../../../src/services/auth.service.js';
+import { OrganizationService } from '../../../../src/services/organization.service.js';
+import { SearchService } from '../../../../src/services/search.service.js';
+import { StorageService } from '../../../../src/services/storage.service.js';
+import { createMemoryRedis, createRedisCache } from '../../../helpers/memory-redis.js';
+
+const TEAM_NOTE_ID = '6f1c2a4e-8b3d-4c5e-9f7a-1b2c3d4e5f60';
+const OWN_NOTE_ID = '7a2b3c4d-5e6f-4a1b-8c2d-3e4f5a6b7c80';
+
+const createNote = (id, metadata, embeddings) => ({
+  id,
+  agent_id: 'agent-1',
+  session_id: null,
+  type: 'bugfix',
+  context: { task: 'Fix redis timeout', project: 'api', tags: ['redis'] },
+  content: { action: 'Increased the redis timeout', result: 'Connection stable', learning: 'Tune redis timeout' },
+  metadata,
+  embeddings,
+  embedding_model: 'mock-model',
+  created_at: '2026-01-01T00:00:00.000Z'
+});
+
+// Note team milik organization lain dan note pribadi user yang request
+const TEAM_NOTE = createNote(TEAM_NOTE_ID, { user_id: 'user-a', org_id: 'org-1', team_id: 'team-1' }, [1, 0, 0]);
+const OWN_NOTE = createNote(OWN_NOTE_ID, { user_id: 'user-b' }, [0.99, 0.01, 0]);
+
+const OUTSIDER = {
+  id: 'user-b',
+  userId: 'user-b',
+  email: 'outsider@example.com',
+  subscription: { tier: 'enterprise', features: ['knowledge_access', 'experience_access'] }
+};
+
+const OUTSIDER_ACCESS = { user_id: 'user-b', organizations: {}, teams: {}, shared_teams: [] };
+
+// Elasticsearch palsu: selalu mengembalikan kedua notes, filter RBAC harus ikut di query dan di-enforce setelahnya
+const createSearchClient = () => ({
+  search: jest.fn(async ({ body }) => ({
+    body: {
+      hits: {
+        total: { value: 2 },
+        hits: body.size === 0 ? [] : [TEAM_NOTE, OWN_NOTE].map(note => ({ _source: note, _score: 1.99 }))
+      },
+      ...(body.aggs && { aggregations: {} })
+    }
+  }))
+});
+
+describe('Team-scoped notes are not readable by non-members', () => {
+  let searchClient;
+
+  beforeEach(() => {
+    const cache = createRedisCache(createMemoryRedis());
+    searchClient = createSearchClient();
+
+    jest.spyOn(StorageService.prototype, 'cache').mockImplementation(async () => cache);
+    jest.spyOn(StorageService.prototype, 'search').mockImplementation(async () => searchClient);
+    jest.spyOn(StorageService.prototype, 'getNoteById').mockImplementation(async id => [TEAM_NOTE, OWN_NOTE].find(note => note.id === id) || null);
+    jest.spyOn(StorageService.prototype, 'getNoteEmbedding').mockImplementation(async () => ({ embeddings: [1, 0, 0], model: 'mock-model' }));
+    jest.spyOn(StorageService.prototype, 'getRankingModels').mockImplementation(async () => []);
+    jest.spyOn(AuthService.prototype, 'validateToken').mockImplementation(async () => ({ valid: true, user: OUTSIDER, payload: {} }));
+    jest.spyOn(OrganizationService.prototype, 'getAccessContext').mockImplementation(async () => OUTSIDER_ACCESS);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('REST', () => {
+    const app = express().use(express.json()).use('/notes', notesRouter);
+    const get = path => request(app).get(path).set('Authorization', 'Bearer token');
+    const post = (path, body) => request(app).post(path).set('Authorization', 'Bearer token').send(body);
+
+    it('denies GET /notes/:noteId', async () => {
+      const response = await get(`/notes/${TEAM_NOTE_ID}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('drops the note from POST /notes/search results and facet counts', async () => {
+      const response = await post('/notes/search', { query: 'redis timeout', agent_id: 'agent-1', search_type: 'fulltext', facets: ['type'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.results.map(result => result.note.id)).toEqual([OWN_NOTE_ID]);
+
+      const aggregation = searchClient.search.mock.calls.map(([params]) => params.body).find(body => body.aggs);
+      expect(aggregation.query.bool.filter).toContainEqual({
+        bool: {
+          should: [{
+            bool: {
+              must_not: [{ exists: { field: 'metadata.org_id' } }],
+              should: [{ term: { 'metadata.user_id': 'user-b' } }, { bool: { must_not: [{ exists: { field: 'metadata.user_id' } }] } }],
+              minimum_should_match: 1
+            }
+          }],
+          minimum_should_match: 1
+        }
+      });
+    });
+
+    it('excludes the note from GET /notes/graph', async () => {
+      const response = await get('/notes/graph?project=api&threshold=0.5');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.nodes.map(node => node.id)).toEqual([OWN_NOTE_ID]);
+      expect(response.body.data.edges).toEqual([]);
+    });
+
+    it('excludes the note from GET /notes/:noteId/similar?scope=all', async () => {
+      const response = await get(`/notes/${OWN_NOTE_ID}/similar?scope=all`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.results.map(similar => similar.note.id)).toEqual([OWN_NOTE_ID]);
+    });
+  });
+
+  describe('MCP', () => {
+    const createServer = (searchService) => {
+      const storageService = new StorageService();
+      return new McpServer({ storageService, searchService: searchService || new SearchService(storageService) });
+    };
+
+    const callTool = async (server, name, args) => {
+      const response = await server.handleMessage(
+        { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } },
+        { user: OUTSIDER, sessionId: null }
+      );
+      return response.result.structuredContent;
+    };
+
+    it('drops the note from search_notes', async () => {
+      const result = await callTool(createServer(), 'search_notes', { query: 'redis timeout', agent_id: 'agent-1', search_type: 'fulltext' });
+
+      expect(result.results.map(item => item.note.id)).toEqual([OWN_NOTE_ID]);
+    });
+
+    it('drops the note from get_relevant_notes', async () => {
+      const searchService = { getRelevantNotes: jest.fn(async () => ({ notes: [TEAM_NOTE, OWN_NOTE], patterns_detected: [] })) };
+
+      const result = await callTool(createServer(searchService), 'get_relevant_notes', { task_description: 'Fix the redis timeout', agent_id: 'agent-1' });
+
+      expect(result.notes.map(note => note.id)).toEqual([OWN_NOTE_ID]);
+    });
+
+    it('drops the note from the recall_context_for_task prompt', async () => {
+      const searchService = { getRelevantNotes: jest.fn(async () => ({ notes: [TEAM_NOTE], patterns_detected: [] })) };
+
+      const response = await createServer(searchService).handleMessage(
+        { jsonrpc: '2.0', id: 1, method: 'prompts/get', params: { name: 'recall_context_for_task', arguments: { task_description: 'Fix the redis timeout', agent_id: 'agent-1' } } },
+        { user: OUTSIDER, sessionId: null }
+      );
+
+      expect(response.result.description).toBe('Recalled 0 relevant notes for agent agent-1');
+    });
+
+    it('hides team knowledge from get_knowledge and knowledge resources', async () => {
+      const row = { id: 'k-1', domain: 'redis', title: 'Redis timeouts', confidence_score: 0.9, org_id: 'org-1', team_id: 'team-1' };
+      jest.spyOn(StorageService.prototype, 'executeQuery').mockImplementation(async () => ({ rows: [row] }));
+      const server = createServer();
+
+      const knowledge = await callTool(server, 'get_knowledge', { domain: 'redis' });
+      const resources = await server.handleMessage({ jsonrpc: '2.0', id: 2, method: 'resources/list', params: {} }, { user: OUTSIDER });
+      const read = await server.handleMessage(
+        { jsonrpc: '2.0', id: 3, method: 'resources/read', params: { uri: 'memory://knowledge/redis' } },
+        { user: OUTSIDER }
+      );
+
+      expect(knowledge.knowledge_items).toEqual([]);
+      expect(resources.result.resources.filter(resource => resource.uri.startsWith('memory://knowledge/'))).toEqual([]);
+      expect(read.error).toMatchObject({ message: 'Resource not found' });
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import sessionRouter from '../../../../src/api/routes/session.routes.js';
+import { AgentService } from '../../../../src/services/agent.service.js';
+import { AuthService } from '../../../../src/services/auth.service.js';
+import { OrganizationService } from '../../../../src/services/organization.service.js';
+import { StorageService } from '../../../../src/services/storage.service.js';
+import { createMemoryRedis, createRedisCache } from '../../../helpers/memory-redis.js';
+
+const USER = {
+  id: 'user-a',
+  userId: 'user-a',
+  email: 'a@example.com',
+  subscription: { tier: 'basic', features: [] }
+};
+
+describe('POST /sessions', () => {
+  const app = express().use(express.json()).use('/sessions', sessionRouter);
+  const createSession = () => request(app).post('/sessions').set('Authorization', 'Bearer token').send({ agent_id: 'agent-1' });
+  let activeSessions;
+
+  beforeEach(() => {
+    const cache = createRedisCache(createMemoryRedis());
+    activeSessions = 0;
+
+    jest.spyOn(StorageService.prototype, 'cache').mockImplementation(async () => cache);
+    jest.spyOn(StorageService.prototype, 'getActiveSessionsCount').mockImplementation(async () => activeSessions);
+    jest.spyOn(StorageService.prototype, 'createSession').mockImplementation(async (data) => {
+      activeSessions++;
+      return { id: `session-${activeSessions}`, ...data, status: 'active' };
+    });
+    jest.spyOn(AuthService.prototype, 'validateToken').mockImplementation(async () => ({ valid: true, user: USER, payload: {} }));
+    jest.spyOn(OrganizationService.prototype, 'getAccessContext')
+      .mockImplementation(async () => ({ user_id: 'user-a', organizations: {}, teams: {}, shared_teams: [] }));
+    jest.spyOn(AgentService.prototype, 'ensureAgent').mockImplementation(async () => ({ agent_id: 'agent-1', status: 'active' }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates a session with the tier limits of the user', async () => {
+    const response = await createSession();
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.session_info).toEqual({
+      max_duration_hours: 8,
+      auto_timeout_minutes: 60,
+      features_available: ['note_creation', 'search']
+    });
+    expect(response.body.metadata.active_sessions).toBe(1);
+  });
+
+  it('rejects sessions above the concurrent session limit of the tier', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect((await createSession()).status).toBe(201);
+    }
+
+    const response = await createSession();
+
+    expect(response.status).toBe(429);
+    expect(response.body.details).toEqual(['Maximum 3 concurrent sessions allowed for basic tier']);
+  });
+});
@@ -0,0 +1,67 @@
+import express from 'express';
+import request from 'supertest';
+import { parseTrustProxy } from '../../../src/config/app.js';
+import { getClientIp } from '../../../src/config/security.js';
+import { ApiKey } from '../../../src/models/api-key.js';
+
+const SCOPED_KEY = new ApiKey({ user_id: 'user-a', name: 'office', ip_allowlist: ['10.0.0.0/8'] });
+
+// Sama seperti setupSecurity() di index.js: trust proxy dari TRUST_PROXY
+const createApp = (trustProxy) => {
+  const app = express();
+  app.set('trust proxy', parseTrustProxy(trustProxy));
+  app.get('/whoami', (req, res) => {
+    res.json({ ip: getClientIp(req), allowed: ApiKey.allowsIp(SCOPED_KEY, req.ip) });
+  });
+  return app;
+};
+
+describe('TRUST_PROXY', () => {
+  describe('parseTrustProxy', () => {
+    it.each([
+      [undefined, false],
+      ['', false],
+      ['false', false],
+      ['true', true],
+      ['1', 1],
+      ['loopback, 10.0.0.0/8', ['loopback', '10.0.0.0/8']]
+    ])('parses %p as %p', (value, expected) => {
+      expect(parseTrustProxy(value)).toEqual(expected);
+    });
+  });
+
+  describe('client IP behind X-Forwarded-For', () => {
+    it('ignores a spoofed X-Forwarded-For when no proxy is trusted', async () => {
+      const response = await request(createApp(undefined))
+        .get('/whoami')
+        .set('X-Forwarded-For', '10.0.0.1');
+
+      expect(response.body).toEqual({ ip: '127.0.0.1', allowed: false });
+    });
+
+    it('uses the address added by the trusted proxy, not the one sent by the client', async () => {
+      // Client mengirim "10.0.0.1", proxy menambahkan alamat asli client
+      const response = await request(createApp('1'))
+        .get('/whoami')
+        .set('X-Forwarded-For', '10.0.0.1, 203.0.113.9');
+
+      expect(response.body).toEqual({ ip: '203.0.113.9', allowed: false });
+    });
+
+    it('stops at the first untrusted hop when proxies are configured by subnet', async () => {
+      const response = await request(createApp('loopback'))
+        .get('/whoami')
+        .set('X-Forwarded-For', '10.0.0.1, 203.0.113.9');
+
+      expect(response.body).toEqual({ ip: '203.0.113.9', allowed: false });
+    });
+
+    it('allows clients whose address was forwarded by the trusted proxy', async () => {
+      const response = await request(createApp('1'))
+        .get('/whoami')
+        .set('X-Forwarded-For', '10.0.0.1');
+
+      expect(response.body).toEqual({ ip: '10.0.0.1', allowed: true });
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import { EntityExtractor, ENTITY_PATTERNS } from '../../../src/lib/search-lib/entities.js';
+import { RegexGuard } from '../../../src/lib/search-lib/regex-guard.js';
+
+describe('EntityExtractor', () => {
+  const extractor = new EntityExtractor();
+
+  describe('stack frames', () => {
+    it('parses JavaScript frames with and without a function name', () => {
+      const entities = extractor.extract([
+        'Error: read ECONNRESET',
+        '    at TLSSocket.onConnectEnd (node:_tls_wrap:1540:19)',
+        '    at async Promise.all (index 0)',
+        '    at Object.<anonymous> (/app/node_modules/ioredis/built/Redis.js:170:25)',
+        '    at /app/src/server.js:42:7'
+      ].join('\n'));
+
+      expect(entities.stack_frames).toEqual([
+        { language: 'javascript', function: 'TLSSocket.onConnectEnd', file: 'node:_tls_wrap', line: 1540, column: 19 },
+        { language: 'javascript', function: 'Object.<anonymous>', file: '/app/node_modules/ioredis/built/Redis.js', line: 170, column: 25 },
+        { language: 'javascript', function: null, file: '/app/src/server.js', line: 42, column: 7 }
+      ]);
+      expect(entities.error_codes).toEqual(['ECONNRESET']);
+      expect(entities.packages).toEqual(['ioredis']);
+    });
+
+    it('parses Python frames and site-packages packages', () => {
+      const entities = extractor.extract([
+        'Traceback (most recent call last):',
+        '  File "/usr/lib/python3.11/site-packages/requests/api.py", line 59, in request',
+        '  File "app/main.py", line 12',
+        'requests==2.31.0'
+      ].join('\n'));
+
+      expect(entities.stack_frames).toEqual([
+        { language: 'python', function: 'request', file: '/usr/lib/python3.11/site-packages/requests/api.py', line: 59 },
+        { language: 'python', function: null, file: 'app/main.py', line: 12 }
+      ]);
+      expect(entities.packages).toEqual(['requests']);
+      expect(entities.package_versions).toEqual(['requests@2.31.0']);
+    });
+
+    it('parses Java and Kotlin frames', () => {
+      const entities = extractor.extract([
+        'java.lang.NullPointerException',
+        '\tat com.acme.billing.InvoiceService.total(InvoiceService.java:87)',
+        '\tat com.acme.Main.main(Main.kt:12)'
+      ].join('\n'));
+
+      expect(entities.stack_frames).toEqual([
+        { language: 'java', function: 'com.acme.billing.InvoiceService.total', file: 'InvoiceService.java', line: 87 },
+        { language: 'java', function: 'com.acme.Main.main', file: 'Main.kt', line: 12 }
+      ]);
+      expect(entities.file_refs).toEqual(['InvoiceService.java:87', 'Main.kt:12']);
+    });
+
+    it('parses Go frames spanning two lines and module cache packages', () => {
+      const entities = extractor.extract([
+        'goroutine 1 [running]:',
+        'main.handler(0xc000010000)',
+        '\t/home/dev/app/main.go:27 +0x1d',
+        'github.com/acme/lib.(*Client).Do(...)',
+        '\t/root/go/pkg/mod/github.com/acme/lib@v1.2.3/client.go:88 +0x55'
+      ].join('\n'));
+
+      expect(entities.stack_frames).toEqual([
+        { language: 'go', function: 'main.handler', file: '/home/dev/app/main.go', line: 27 },
+        { language: 'go', function: 'github.com/acme/lib.(*Client).Do', file: '/root/go/pkg/mod/github.com/acme/lib@v1.2.3/client.go', line: 88 }
+      ]);
+      expect(entities.packages).toEqual(['github.com/acme/lib']);
+      expect(entities.package_versions).toEqual(['github.com/acme/lib@1.2.3']);
+    });
+
+    it('keeps each frame once and at most maxStackFrames frames', () => {
+      const limited = new EntityExtractor({ maxStackFrames: 1 });
+      const trace = '    at run (/app/a.js:1:1)\n    at run (/app/a.js:1:1)\n    at main (/app/b.js:2:2)';
+
+      expect(extractor.extract(trace).stack_frames).toHaveLength(2);
+      expect(limited.extract(trace).stack_frames).toEqual([expect.objectContaining({ file: '/app/a.js' })]);
+    });
+  });
+
+  describe('other entities', () => {
+    it('extracts error codes, HTTP status, exit codes, SQL errors, file references and UUIDs', () => {
+      const entities = extractor.extract(
+        'HTTP/1.1 503 Service Unavailable, then 404 Not Found; process exited with code 137. '
+        + 'ERR_INVALID_ARG_TYPE but ERROR and EXPECTED are words. SQLSTATE[23505] duplicate, ORA-00942, '
+        + 'ERROR 1062 (23000), SQLITE_BUSY. Request 3F2504E0-4F89-11D3-9A0C-0305E82C3301 failed in src/db.ts:10:5'
+      );
+
+      expect(entities).toEqual({
+        error_codes: ['ERR_INVALID_ARG_TYPE'],
+        http_status: [503, 404],
+        exit_codes: [137],
+        files: ['src/db.ts'],
+        file_refs: ['src/db.ts:10'],
+        sql_errors: ['SQLSTATE 23505', 'ORA-00942', 'MySQL 1062', 'SQLITE_BUSY'],
+        uuids: ['3f2504e0-4f89-11d3-9a0c-0305e82c3301']
+      });
+    });
+
+    it('returns no fields for text without entities', () => {
+      expect(extractor.extract('Refactored the settings page')).toEqual({});
+      expect(extractor.extract('')).toEqual({});
+    });
+  });
+
+  describe('extractFromNote', () => {
+    it('reads the task and every content field of an agent note', () => {
+      const entities = extractor.extractFromNote({
+        context: { task: 'Fix ECONNREFUSED on startup' },
+        content: { action: 'Bumped ioredis@5.3.2', errors: ['at /app/x.js:1:2'] }
+      });
+
+      expect(entities).toMatchObject({
+        error_codes: ['ECONNREFUSED'],
+        package_versions: ['ioredis@5.3.2'],
+        file_refs: ['/app/x.js:1']
+      });
+    });
+  });
+
+  it('only uses patterns the regex guard accepts', () => {
+    const guard = new RegexGuard();
+
+    Object.values(ENTITY_PATTERNS).forEach(({ regex }) => {
+      expect(() => guard.compile(regex.source, regex.flags)).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import { FacetBuilder, NOTE_FACETS, KNOWLEDGE_FACETS } from '../../../src/lib/search-lib/facets.js';
+
+describe('FacetBuilder', () => {
+  const notes = new FacetBuilder(NOTE_FACETS);
+  const knowledge = new FacetBuilder(KNOWLEDGE_FACETS);
+
+  describe('parseAggregations', () => {
+    const AGGREGATIONS = {
+      facet_type: { doc_count: 12, values: { buckets: [{ key: 'bugfix', doc_count: 8 }, { key: 'build', doc_count: 4 }] } },
+      facet_success: { doc_count: 12, values: { buckets: [{ key: 1, key_as_string: 'true', doc_count: 9 }, { key: 0, key_as_string: 'false', doc_count: 3 }] } },
+      facet_created_at: { doc_count: 12, values: { buckets: [{ key: Date.UTC(2026, 0, 1), doc_count: 5 }, { key: Date.UTC(2026, 1, 1), doc_count: 7 }] } }
+    };
+
+    it('turns buckets into values and counts and marks the selected ones', () => {
+      const facets = notes.parseAggregations(AGGREGATIONS, ['type', 'success', 'created_at'], {
+        type: ['bugfix'],
+        created_at: { from: '2026-02-01' }
+      });
+
+      expect(facets).toEqual({
+        type: {
+          field: 'type',
+          type: 'terms',
+          buckets: [{ value: 'bugfix', count: 8, selected: true }, { value: 'build', count: 4, selected: false }]
+        },
+        success: {
+          field: 'metadata.success',
+          type: 'terms',
+          buckets: [{ value: true, count: 9, selected: false }, { value: false, count: 3, selected: false }]
+        },
+        created_at: {
+          field: 'created_at',
+          type: 'date_histogram',
+          interval: 'month',
+          buckets: [
+            { value: '2026-01-01T00:00:00.000Z', count: 5, selected: false },
+            { value: '2026-02-01T00:00:00.000Z', count: 7, selected: true }
+          ]
+        }
+      });
+    });
+
+    it('returns empty buckets for requested facets missing from the response and ignores unknown names', () => {
+      expect(notes.parseAggregations({}, ['project', 'unknown'])).toEqual({
+        project: { field: 'context.project', type: 'terms', buckets: [] }
+      });
+    });
+
+    it('parses range buckets by key', () => {
+      const facets = knowledge.parseAggregations({
+        facet_confidence: { values: { buckets: [{ key: 'low', doc_count: 1 }, { key: 'medium', doc_count: 0 }, { key: 'high', doc_count: 6 }] } }
+      }, ['confidence'], { confidence: ['high'] });
+
+      expect(facets.confidence.buckets).toEqual([
+        { value: 'low', count: 1, selected: false },
+        { value: 'medium', count: 0, selected: false },
+        { value: 'high', count: 6, selected: true }
+      ]);
+    });
+  });
+
+  describe('buildAggregations', () => {
+    it('filters each facet by the selection of the other facets only', () => {
+      const aggregations = notes.buildAggregations(['type', 'project'], { type: ['bugfix'], project: ['api'] }, { size: 5 });
+
+      expect(aggregations).toEqual({
+        facet_type: {
+          filter: { bool: { filter: [{ terms: { 'context.project': ['api'] } }] } },
+          aggs: { values: { terms: { field: 'type', size: 5 } } }
+        },
+        facet_project: {
+          filter: { bool: { filter: [{ terms: { type: ['bugfix'] } }] } },
+          aggs: { values: { terms: { field: 'context.project', size: 5 } } }
+        }
+      });
+    });
+
+    it('builds range filters for selected range buckets', () => {
+      expect(knowledge.buildFilterClauses({ confidence: ['low', 'high'] })).toEqual([{
+        bool: {
+          should: [{ range: { confidence_score: { lt: 0.7 } } }, { range: { confidence_score: { gte: 0.85 } } }],
+          minimum_should_match: 1
+        }
+      }]);
+    });
+  });
+
+  describe('count', () => {
+    const DOCUMENTS = [
+      { type: 'bugfix', context: { project: 'api', tags: ['redis', 'redis'] }, created_at: '2026-01-05T10:00:00Z' },
+      { type: 'bugfix', context: { project: 'web', tags: ['react'] }, created_at: '2026-01-20T10:00:00Z' },
+      { type: 'build', context: { project: 'api', tags: ['redis'] }, created_at: '2026-02-02T10:00:00Z' }
+    ];
+
+    it('counts in memory with the same multi-select semantics as the aggregations', () => {
+      const facets = notes.count(DOCUMENTS, ['type', 'tags', 'created_at'], { type: ['bugfix'] });
+
+      expect(facets.type.buckets).toEqual([
+        { value: 'bugfix', count: 2, selected: true },
+        { value: 'build', count: 1, selected: false }
+      ]);
+      expect(facets.tags.buckets).toEqual([
+        { value: 'redis', count: 1, selected: false },
+        { value: 'react', count: 1, selected: false }
+      ]);
+      expect(facets.created_at.buckets).toEqual([{ value: '2026-01-01T00:00:00.000Z', count: 2, selected: false }]);
+    });
+
+    it('truncates dates to ISO weeks starting on Monday', () => {
+      expect(notes.truncateDate('2026-01-04T23:00:00Z', 'week')).toBe('2025-12-29T00:00:00.000Z');
+    });
+  });
+});
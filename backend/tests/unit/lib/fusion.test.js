@@ -0,0 +1,94 @@
+import { ResultFusion } from '../../../src/lib/search-lib/fusion.js';
+
+const note = (id, score, updatedAt = '2026-01-01T00:00:00.000Z') => ({
+  note: { id, updated_at: updatedAt },
+  relevance_score: score
+});
+
+const SEMANTIC = [note('a', 0.92), note('b', 0.85), note('c', 0.4)];
+const BM25 = [note('b', 14.2), note('d', 9.1), note('a', 3.5)];
+
+describe('ResultFusion', () => {
+  // Tanpa recency agar hasil tidak bergantung pada waktu sekarang
+  const fusion = new ResultFusion({ weights: { semantic: 0.5, bm25: 0.3, pattern: 0.1, recency: 0 } });
+
+  describe('rrf', () => {
+    it('sums weight / (k + rank) over the signals', () => {
+      const fused = fusion.fuse([
+        { signal: 'semantic', results: SEMANTIC },
+        { signal: 'bm25', results: BM25 }
+      ]);
+
+      expect(fused.map(result => result.id)).toEqual(['b', 'a', 'c', 'd']);
+      expect(fused[0].score).toBeCloseTo(0.5 / 62 + 0.3 / 61, 10);
+      expect(fused[0].score_breakdown).toEqual({
+        method: 'rrf',
+        semantic: { score: 0.85, rank: 2, contribution: 0.5 / 62 },
+        bm25: { score: 14.2, rank: 1, contribution: 0.3 / 61 },
+        pattern: null,
+        recency: null,
+        total: fused[0].score
+      });
+    });
+
+    it('uses the per-query k and weights', () => {
+      const fused = fusion.fuse([
+        { signal: 'semantic', results: SEMANTIC },
+        { signal: 'bm25', results: BM25 }
+      ], { rrf_k: 1, weights: { semantic: 0, bm25: 1 } });
+
+      expect(fused.map(result => result.id).slice(0, 3)).toEqual(['b', 'd', 'a']);
+      expect(fused[0].score).toBeCloseTo(1 / 2, 10);
+    });
+
+    it('counts a duplicate within one source only once, at its best rank', () => {
+      const [fused] = fusion.fuse([{ signal: 'semantic', results: [note('a', 0.9), note('a', 0.2)] }]);
+
+      expect(fused.score_breakdown.semantic).toMatchObject({ score: 0.9, rank: 1 });
+      expect(fused.score).toBeCloseTo(0.5 / 61, 10);
+    });
+  });
+
+  describe('linear', () => {
+    it('blends min-max normalized scores so BM25 does not dominate cosine similarity', () => {
+      const fused = fusion.fuse([
+        { signal: 'semantic', results: SEMANTIC },
+        { signal: 'bm25', results: BM25 }
+      ], { method: 'linear' });
+
+      const byId = Object.fromEntries(fused.map(result => [result.id, result]));
+      expect(byId.a.score).toBeCloseTo(0.5 * 1 + 0.3 * 0, 10);
+      expect(byId.b.score).toBeCloseTo(0.5 * (0.45 / 0.52) + 0.3 * 1, 10);
+      expect(byId.c.score).toBeCloseTo(0, 10);
+      expect(byId.d.score).toBeCloseTo(0.3 * (5.6 / 10.7), 10);
+      expect(fused.map(result => result.id)).toEqual(['b', 'a', 'd', 'c']);
+    });
+
+    it('scores a source with equal scores as fully relevant', () => {
+      const [fused] = fusion.fuse([{ signal: 'pattern', results: [note('a', 2), note('b', 2)] }], { method: 'linear' });
+
+      expect(fused.score_breakdown.pattern.contribution).toBe(0.1);
+    });
+
+    it('adds recency with exponential decay by half-life', () => {
+      const recent = new ResultFusion({ recencyHalfLifeDays: 30, weights: { recency: 1 } });
+      const now = Date.now();
+      const fused = recent.fuse([{
+        signal: 'semantic',
+        weight: 0,
+        results: [
+          note('old', 0.9, new Date(now - 30 * 24 * 60 * 60 * 1000).toISOString()),
+          note('new', 0.9, new Date(now).toISOString())
+        ]
+      }], { method: 'linear' });
+
+      expect(fused.map(result => result.id)).toEqual(['new', 'old']);
+      expect(fused[1].score_breakdown.recency).toMatchObject({ rank: 2 });
+      expect(fused[1].score_breakdown.recency.score).toBeCloseTo(0.5, 3);
+    });
+  });
+
+  it('rejects unknown fusion methods', () => {
+    expect(() => fusion.fuse([], { method: 'borda' })).toThrow('Unknown fusion method: borda');
+  });
+});
@@ -0,0 +1,211 @@
+import { jest } from '@jest/globals';
+import { mkdtemp, readdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import HnswIndex from '../../../src/lib/search-lib/hnsw-index.js';
+
+const DIMENSIONS = 16;
+
+/**
+ * Deterministic PRNG (mulberry32) agar vectors dan recall stabil antar run
+ */
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const randomVector = (random) => Array.from({ length: DIMENSIONS }, () => random() * 2 - 1);
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+const bruteForce = (vectors, query, k) => Array.from(vectors.entries())
+  .map(([id, vector]) => ({ id, similarity: cosine(vector, query) }))
+  .sort((a, b) => b.similarity - a.similarity)
+  .slice(0, k)
+  .map(result => result.id);
+
+describe('HnswIndex', () => {
+  let random;
+  let mathRandom;
+
+  beforeEach(() => {
+    random = createRandom(42);
+    // Level assignment memakai Math.random
+    mathRandom = jest.spyOn(Math, 'random').mockImplementation(createRandom(7));
+  });
+
+  afterEach(() => {
+    mathRandom.mockRestore();
+  });
+
+  const buildIndex = (count, config = {}) => {
+    const index = new HnswIndex({ dimensions: DIMENSIONS, M: 8, efConstruction: 64, efSearch: 64, ...config });
+    const vectors = new Map();
+
+    for (let i = 0; i < count; i++) {
+      const vector = randomVector(random);
+      vectors.set(`doc-${i}`, vector);
+      index.add(`doc-${i}`, vector);
+    }
+
+    return { index, vectors };
+  };
+
+  it('finds the exact nearest neighbours with high recall', () => {
+    const { index, vectors } = buildIndex(500);
+    const k = 10;
+    let hits = 0;
+
+    for (let i = 0; i < 20; i++) {
+      const query = randomVector(random);
+      const expected = new Set(bruteForce(vectors, query, k));
+      hits += index.search(query, k).filter(result => expected.has(result.id)).length;
+    }
+
+    expect(hits / (20 * k)).toBeGreaterThanOrEqual(0.9);
+  });
+
+  it('returns results ordered by cosine similarity', () => {
+    const { index, vectors } = buildIndex(50);
+    const query = randomVector(random);
+
+    const results = index.search(query, 5);
+
+    expect(results).toHaveLength(5);
+    results.forEach(result => {
+      expect(result.similarity).toBeCloseTo(cosine(vectors.get(result.id), query), 5);
+    });
+    expect(results.map(result => result.similarity)).toEqual([...results.map(result => result.similarity)].sort((a, b) => b - a));
+  });
+
+  it('excludes removed vectors and only compacts when asked to', () => {
+    const { index, vectors } = buildIndex(20, { compactThreshold: 0.5 });
+    const target = vectors.get('doc-3');
+
+    expect(index.search(target, 1)[0].id).toBe('doc-3');
+
+    index.remove('doc-3');
+    expect(index.has('doc-3')).toBe(false);
+    expect(index.search(target, 20).map(result => result.id)).not.toContain('doc-3');
+
+    for (let i = 4; i < 15; i++) {
+      index.remove(`doc-${i}`);
+    }
+
+    expect(index.getStatistics().tombstones).toBe(12);
+    expect(index.needsCompaction()).toBe(true);
+
+    index.compact();
+
+    expect(index.getStatistics().tombstones).toBe(0);
+    expect(index.needsCompaction()).toBe(false);
+    expect(index.size).toBe(8);
+    expect(index.search(randomVector(random), 20)).toHaveLength(8);
+  });
+
+  it('compacts in batches and keeps changes made while compacting', async () => {
+    const { index, vectors } = buildIndex(50, { compactBatchSize: 10 });
+    for (let i = 0; i < 20; i++) {
+      index.remove(`doc-${i}`);
+    }
+
+    const compaction = index.compactAsync();
+    expect(index.compactAsync()).toBe(compaction);
+
+    // Graph lama tetap dipakai selama rebuild
+    const replacement = randomVector(random);
+    index.add('doc-new', randomVector(random));
+    index.add('doc-30', replacement);
+    index.remove('doc-40');
+    expect(index.getStatistics()).toMatchObject({ tombstones: 22, compacting: true });
+
+    await compaction;
+
+    expect(index.getStatistics()).toMatchObject({ size: 30, tombstones: 2, compacting: false });
+    expect(index.has('doc-new')).toBe(true);
+    expect(index.has('doc-40')).toBe(false);
+    expect(index.search(replacement, 1)[0]).toEqual({ id: 'doc-30', similarity: expect.closeTo(1, 5) });
+    expect(index.search(vectors.get('doc-45'), 1)[0].id).toBe('doc-45');
+  });
+
+  it('replaces the vector of an existing ID', () => {
+    const { index } = buildIndex(10);
+    const replacement = randomVector(random);
+
+    index.add('doc-0', replacement);
+
+    expect(index.size).toBe(10);
+    expect(index.search(replacement, 1)[0]).toEqual({ id: 'doc-0', similarity: expect.closeTo(1, 5) });
+  });
+
+  it('applies the filter option', () => {
+    const { index } = buildIndex(30);
+
+    const results = index.search(randomVector(random), 5, { filter: id => id.endsWith('7') });
+
+    expect(results.length).toBeGreaterThan(0);
+    results.forEach(result => expect(result.id.endsWith('7')).toBe(true));
+  });
+
+  it('rejects vectors with the wrong dimensions', () => {
+    const index = new HnswIndex({ dimensions: DIMENSIONS });
+
+    expect(() => index.add('doc', [1, 2, 3])).toThrow(`Vector must have ${DIMENSIONS} dimensions`);
+    index.add('doc', randomVector(random));
+    expect(() => index.search([1, 2, 3])).toThrow(`Query vector must have ${DIMENSIONS} dimensions`);
+  });
+
+  it('restores the same graph from a saved file', async () => {
+    const { index } = buildIndex(100);
+    index.remove('doc-5');
+    const directory = await mkdtemp(join(tmpdir(), 'hnsw-'));
+
+    try {
+      const file = join(directory, 'partition.hnsw');
+      await index.save(file);
+      const loaded = await HnswIndex.load(file);
+      const query = randomVector(random);
+
+      expect(loaded.size).toBe(index.size);
+      expect(loaded.has('doc-5')).toBe(false);
+      expect(loaded.search(query, 10)).toEqual(index.search(query, 10));
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('replaces the saved file atomically', async () => {
+    const { index } = buildIndex(10);
+    const directory = await mkdtemp(join(tmpdir(), 'hnsw-'));
+
+    try {
+      const file = join(directory, 'partition.hnsw');
+      await writeFile(file, 'previous');
+
+      await index.save(file);
+
+      expect(await readdir(directory)).toEqual(['partition.hnsw']);
+      expect((await HnswIndex.load(file)).size).toBe(10);
+
+      // Write yang gagal tidak menyentuh file lama
+      jest.spyOn(index, 'serialize').mockReturnValue(undefined);
+      await expect(index.save(file)).rejects.toThrow();
+      expect(await readdir(directory)).toEqual(['partition.hnsw']);
+      expect((await HnswIndex.load(file)).size).toBe(10);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,63 @@
+import { PatternPrefilter } from '../../../src/lib/search-lib/pattern-prefilter.js';
+
+describe('PatternPrefilter', () => {
+  const prefilter = new PatternPrefilter();
+
+  describe('fromRegex', () => {
+    it.each([
+      ['ECONN[A-Z]+', '.*(econn[a-z]+).*'],
+      ['err(or)?', '.*(err(or)?).*'],
+      ['a{5}bc', '.*(a{5}bc).*']
+    ])('runs alphanumeric regex %s as a Lucene regexp', (source, value) => {
+      expect(prefilter.fromRegex(source)).toEqual({ type: 'regexp', value });
+    });
+
+    it('requires the literals of every alternative', () => {
+      expect(prefilter.fromRegex('(redis|kafka) error')).toEqual({
+        type: 'terms',
+        clauses: [['redis', 'error'], ['kafka', 'error']]
+      });
+      expect(prefilter.fromRegex('foo.*bar|baz\\d')).toEqual({ type: 'terms', clauses: [['foo', 'bar'], ['baz']] });
+      expect(prefilter.fromRegex('timeout\\s+after \\d+ms')).toEqual({ type: 'terms', clauses: [['timeout', 'after']] });
+    });
+
+    it('has no prefilter when an alternative has no usable literal', () => {
+      expect(prefilter.fromRegex('\\d+@')).toBeNull();
+      expect(prefilter.fromRegex('redis|\\d+@')).toBeNull();
+    });
+
+    it('has no prefilter above maxClauses', () => {
+      const limited = new PatternPrefilter({ maxClauses: 1 });
+
+      expect(limited.fromRegex('foo.*bar|baz\\d')).toBeNull();
+    });
+  });
+
+  describe('toElasticsearch', () => {
+    const FIELDS = ['content.action', 'context.task'];
+
+    it('matches a regexp prefilter on any field', () => {
+      expect(prefilter.toElasticsearch(prefilter.fromRegex('ECONN[A-Z]+'), FIELDS)).toEqual({
+        bool: {
+          should: FIELDS.map(field => ({ regexp: { [field]: { value: '.*(econn[a-z]+).*', case_insensitive: true } } })),
+          minimum_should_match: 1
+        }
+      });
+    });
+
+    it('builds an OR of ANDs of wildcard literals for terms prefilters', () => {
+      const query = prefilter.toElasticsearch({ type: 'terms', clauses: [['redis', 'error']] }, FIELDS);
+
+      expect(query.bool.should[0].bool.must).toEqual(['redis', 'error'].map(literal => ({
+        bool: {
+          should: FIELDS.map(field => ({ wildcard: { [field]: { value: `*${literal}*`, case_insensitive: true } } })),
+          minimum_should_match: 1
+        }
+      })));
+    });
+
+    it('returns null without a prefilter', () => {
+      expect(prefilter.toElasticsearch(null, FIELDS)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import { QueryParser, QueryParseError } from '../../../src/lib/search-lib/query-parser.js';
+
+describe('QueryParser', () => {
+  const parser = new QueryParser();
+
+  describe('isStructured', () => {
+    it.each([
+      'type:bugfix project:api',
+      'fix -timeout',
+      '"connection reset"',
+      'redis OR memcached',
+      '(tag:redis OR tag:valkey) -success:true',
+      'Status:>=500'
+    ])('detects query language in %p', (text) => {
+      expect(parser.isStructured(text)).toBe(true);
+    });
+
+    it.each([
+      'deploy to C:\\apps',
+      'fix build (webpack) failing',
+      'upgrade node-fetch -> v3',
+      'retry with --force flag',
+      'see https://example.com/docs',
+      'note: remember to restart',
+      ''
+    ])('treats %p as plain text', (text) => {
+      expect(parser.isStructured(text)).toBe(false);
+    });
+  });
+
+  describe('parse', () => {
+    it('parses fields, phrases, negation and ranges', () => {
+      expect(parser.parse('type:bugfix "connection reset" -timeout after:2026-01-01')).toEqual({
+        type: 'and',
+        children: [
+          { type: 'field', field: 'type', value: 'bugfix', phrase: false },
+          { type: 'phrase', value: 'connection reset' },
+          { type: 'not', child: { type: 'term', value: 'timeout' } },
+          { type: 'range', field: 'after', range: { gte: '2026-01-01' } }
+        ]
+      });
+    });
+
+    it('reads unknown field prefixes as free-text terms instead of failing', () => {
+      expect(parser.parse('type:bugfix deploy to C:\\apps')).toEqual({
+        type: 'and',
+        children: [
+          { type: 'field', field: 'type', value: 'bugfix', phrase: false },
+          { type: 'term', value: 'deploy' },
+          { type: 'term', value: 'to' },
+          { type: 'term', value: 'C:\\apps' }
+        ]
+      });
+    });
+
+    it('does not read arrows as negation', () => {
+      expect(parser.parse('tag:upgrade node-fetch -> v3')).toEqual({
+        type: 'and',
+        children: [
+          { type: 'field', field: 'tag', value: 'upgrade', phrase: false },
+          { type: 'term', value: 'node-fetch' },
+          { type: 'term', value: '->' },
+          { type: 'term', value: 'v3' }
+        ]
+      });
+    });
+
+    it('reports syntax errors with a position', () => {
+      expect(() => parser.parse('tag:redis AND')).toThrow(QueryParseError);
+      expect(() => parser.parse('(tag:redis')).toThrow("Missing closing ')'");
+      expect(() => parser.parse('success:maybe')).toThrow("Field 'success' expects true or false");
+    });
+  });
+
+  describe('parseText', () => {
+    it('turns plain text into an OR of terms', () => {
+      expect(parser.parseText('Fix build (webpack) failing')).toEqual({
+        type: 'or',
+        children: ['fix', 'build', '(webpack)', 'failing'].map(value => ({ type: 'term', value }))
+      });
+    });
+  });
+
+  describe('toElasticsearch', () => {
+    it('compiles unknown field prefixes to multi_match', () => {
+      const query = parser.toElasticsearch(parser.parse('project:infra deploy:prod'));
+
+      expect(query.bool.filter).toEqual([{ term: { 'context.project': 'infra' } }]);
+      expect(query.bool.must).toEqual([{
+        multi_match: expect.objectContaining({ query: 'deploy:prod', type: 'best_fields' })
+      }]);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import { RegexGuard, UnsafePatternError } from '../../../src/lib/search-lib/regex-guard.js';
+import PatternMatcher from '../../../src/lib/search-lib/pattern-matcher.js';
+
+// Tidak punya nested quantifier, tapi backtracking polinomial pada input tanpa '!'
+const SLOW_PATTERN = '\\w*\\w*\\w*\\w*\\w*!';
+
+describe('RegexGuard', () => {
+  const guard = new RegexGuard();
+
+  describe('compile', () => {
+    it.each([
+      ['(a+)+$', 'Nested quantifiers'],
+      ['(a|ab)*', 'Repeated alternation with overlapping branches'],
+      ['(\\w+\\s?)*$', 'Nested quantifiers'],
+      ['(\\d+|[a-z]+)+', 'Nested quantifiers'],
+      ['(a)\\1', 'Backreferences are not supported'],
+      ['(?<word>a)\\k<word>', 'Backreferences are not supported']
+    ])('rejects %s', (pattern, reason) => {
+      expect(() => guard.compile(pattern)).toThrow(UnsafePatternError);
+      expect(() => guard.compile(pattern)).toThrow(reason);
+    });
+
+    it('reports rejections as 400 validation errors with the pattern', () => {
+      expect(() => guard.compile('(a+)+$')).toThrow(expect.objectContaining({
+        name: 'ValidationError',
+        status: 400,
+        details: [expect.objectContaining({ field: 'pattern', value: '(a+)+$' })]
+      }));
+    });
+
+    it('treats {n,} and large bounded repetitions like unbounded quantifiers', () => {
+      expect(() => guard.compile('(a{2,})*')).toThrow('Nested quantifiers');
+      expect(() => guard.compile('(a+){100}')).toThrow('Nested quantifiers');
+      expect(() => guard.compile('(a{1,200})*')).toThrow('Nested quantifiers');
+    });
+
+    it.each([
+      'ECONN[A-Z]+',
+      '(a+){3}',
+      '(a{1,50})*',
+      '(ab){2,}',
+      '(foo|bar)+',
+      'a{1000}',
+      'timeout\\s+after \\d+ms'
+    ])('accepts %s', (pattern) => {
+      expect(guard.compile(pattern)).toBeInstanceOf(RegExp);
+    });
+
+    it('rejects invalid syntax, flags and overly long patterns', () => {
+      expect(() => guard.compile('(unclosed')).toThrow('Invalid regex pattern');
+      expect(() => guard.compile('abc', 'gx')).toThrow('Invalid regex flags: gx');
+      expect(() => new RegexGuard({ maxPatternLength: 5 }).compile('abcdef')).toThrow('must not exceed 5 characters');
+    });
+  });
+
+  describe('exec', () => {
+    it('returns every match with its index', () => {
+      const regex = guard.compile('err(or)?', 'gi');
+
+      expect(guard.exec(regex, 'Error then err', guard.createBudget()).map(({ index, text }) => [index, text]))
+        .toEqual([[0, 'Error'], [11, 'err']]);
+    });
+
+    it('throws UnsafePatternError when one document exceeds the per-document timeout', () => {
+      const strict = new RegexGuard({ documentTimeoutMs: 20 });
+      const budget = strict.createBudget(5000);
+
+      expect(() => strict.exec(strict.compile(SLOW_PATTERN), 'a'.repeat(2000), budget))
+        .toThrow(new UnsafePatternError('Pattern exceeded the 20ms matching time limit', SLOW_PATTERN));
+      expect(budget.exhausted).toBe(false);
+    });
+
+    it('marks the budget exhausted instead of failing when the search budget runs out first', () => {
+      const strict = new RegexGuard({ documentTimeoutMs: 1000 });
+      const budget = strict.createBudget(20);
+
+      expect(strict.exec(strict.compile(SLOW_PATTERN), 'a'.repeat(2000), budget)).toBeNull();
+      expect(budget.exhausted).toBe(true);
+    });
+  });
+
+  describe('PatternMatcher time budget', () => {
+    async function* slowCandidates() {
+      yield { id: 'doc-1', title: 'ECONNRESET on upload', content: 'socket hang up' };
+      yield { id: 'doc-2', title: 'Retry ECONNRESET', content: 'added backoff' };
+      await new Promise(resolve => setTimeout(resolve, 300));
+      yield { id: 'doc-3', title: 'ECONNRESET again', content: 'never scanned' };
+    }
+
+    it('returns the matches found so far when the budget is exhausted', async () => {
+      const matcher = new PatternMatcher();
+
+      const result = await matcher.search({ regex: 'ECONNRESET' }, { documents: slowCandidates(), timeBudgetMs: 200 });
+
+      expect(result.results.map(item => item.id).sort()).toEqual(['doc-1', 'doc-2']);
+      expect(result.truncated).toBe(true);
+      expect(result.metadata.candidatesScanned).toBe(2);
+    });
+  });
+});
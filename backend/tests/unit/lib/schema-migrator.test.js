@@ -0,0 +1,108 @@
+import { jest } from '@jest/globals';
+import SchemaMigrator from '../../../src/lib/storage-lib/schema-migrator.js';
+import { scyllaSchemas } from '../../../src/config/database.js';
+
+/**
+ * ScyllaDB fake dengan table notes lama (sebelum kolom versioning dan embeddings)
+ */
+const createClient = (existingColumns = {}, failing = []) => ({
+  statements: [],
+  execute: jest.fn(async function execute(query, params) {
+    if (query.startsWith('SELECT column_name FROM system_schema.columns')) {
+      return { rows: (existingColumns[params[1]] || []).map(name => ({ column_name: name })) };
+    }
+    if (failing.some(pattern => query.includes(pattern))) {
+      throw new Error('boom');
+    }
+    this.statements.push(query.trim());
+    return { rows: [] };
+  })
+});
+
+describe('SchemaMigrator', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+  });
+
+  it('parses columns, collection types and composite primary keys', () => {
+    const migrator = new SchemaMigrator(createClient());
+
+    const parsed = migrator.parseTableStatement(`
+      CREATE TABLE IF NOT EXISTS ks.audit_log (
+        chain_id TEXT,
+        sequence BIGINT,
+        scores MAP<TEXT, FLOAT>,
+        PRIMARY KEY (chain_id, sequence)
+      ) WITH CLUSTERING ORDER BY (sequence DESC)
+    `);
+
+    expect(parsed).toEqual({
+      keyspace: 'ks',
+      table: 'audit_log',
+      columns: [
+        { name: 'chain_id', type: 'TEXT' },
+        { name: 'sequence', type: 'BIGINT' },
+        { name: 'scores', type: 'MAP<TEXT, FLOAT>' }
+      ]
+    });
+  });
+
+  it('strips inline primary keys from column types', () => {
+    const migrator = new SchemaMigrator(createClient());
+
+    const { columns } = migrator.parseTableStatement('CREATE TABLE IF NOT EXISTS ks.users (id UUID PRIMARY KEY, email TEXT)');
+
+    expect(columns).toEqual([{ name: 'id', type: 'UUID' }, { name: 'email', type: 'TEXT' }]);
+  });
+
+  it('adds columns missing from an existing table', async () => {
+    const client = createClient({
+      notes: ['id', 'agent_id', 'session_id', 'timestamp', 'type', 'context', 'content', 'metadata', 'created_at']
+    });
+    const migrator = new SchemaMigrator(client);
+
+    const result = await migrator.migrate({ notes: scyllaSchemas.notes });
+
+    expect(result.columns).toEqual([
+      'notes.version',
+      'notes.embeddings',
+      'notes.embedding_model',
+      'notes.embedding_dimensions',
+      'notes.updated_at'
+    ]);
+    expect(client.statements).toContain('ALTER TABLE mcp_server.notes ADD version INT');
+    expect(client.statements).toContain('ALTER TABLE mcp_server.notes ADD embeddings LIST<FLOAT>');
+  });
+
+  it('creates every table and index from scyllaSchemas', async () => {
+    const client = createClient();
+    const migrator = new SchemaMigrator(client);
+    const { keyspace, indexes, ...tables } = scyllaSchemas;
+
+    const result = await migrator.migrate(scyllaSchemas);
+
+    expect(result.errors).toEqual([]);
+    expect(result.tables).toBe(Object.keys(tables).length);
+    expect(result.indexes).toBe(indexes.length);
+    expect(client.statements[0]).toBe(keyspace.trim());
+    expect(client.statements.some(statement => statement.includes('.note_versions ('))).toBe(true);
+    expect(client.statements.some(statement => statement.includes('.audit_log ('))).toBe(true);
+  });
+
+  it('keeps going when a statement fails', async () => {
+    const client = createClient({}, ['.note_versions']);
+    const migrator = new SchemaMigrator(client);
+
+    const result = await migrator.migrate({ note_versions: scyllaSchemas.note_versions, notes: scyllaSchemas.notes });
+
+    expect(result.tables).toBe(1);
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0].error).toBe('boom');
+  });
+});
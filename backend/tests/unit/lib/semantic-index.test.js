@@ -0,0 +1,88 @@
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import SemanticSearch from '../../../src/lib/search-lib/semantic.js';
+
+const createSearch = (config = {}) => new SemanticSearch({
+  embeddingDimensions: 4,
+  similarityThreshold: 0,
+  ...config
+});
+
+const indexDocuments = async (search) => {
+  await search.indexDocument({ id: 'a-1', userId: 'user-a', title: 'A one', embedding: [1, 0, 0, 0] });
+  await search.indexDocument({ id: 'a-2', userId: 'user-a', title: 'A two', embedding: [0.9, 0.1, 0, 0] });
+  await search.indexDocument({ id: 'b-1', userId: 'user-b', title: 'B one', embedding: [1, 0, 0, 0] });
+};
+
+describe('SemanticSearch vector index', () => {
+  it('searches only the partition of the requesting user', async () => {
+    const search = createSearch();
+    await indexDocuments(search);
+
+    const results = await search.vectorSimilaritySearch([1, 0, 0, 0], { userId: 'user-a', limit: 10 });
+
+    expect(results.map(result => result.id)).toEqual(['a-1', 'a-2']);
+  });
+
+  it('returns the same results as the exact scan', async () => {
+    const search = createSearch();
+    await indexDocuments(search);
+
+    const ann = await search.vectorSimilaritySearch([0.8, 0.2, 0, 0], { userId: 'user-a' });
+    const exact = await search.exactSimilaritySearch([0.8, 0.2, 0, 0], { userId: 'user-a' });
+
+    expect(ann.map(result => result.id)).toEqual(exact.map(result => result.id));
+  });
+
+  it('moves a document to the new partition when its user changes', async () => {
+    const search = createSearch();
+    await indexDocuments(search);
+
+    await search.updateDocument('a-2', { userId: 'user-b' });
+
+    const userA = await search.vectorSimilaritySearch([1, 0, 0, 0], { userId: 'user-a' });
+    const userB = await search.vectorSimilaritySearch([1, 0, 0, 0], { userId: 'user-b' });
+    expect(userA.map(result => result.id)).toEqual(['a-1']);
+    expect(userB.map(result => result.id).sort()).toEqual(['a-2', 'b-1']);
+  });
+
+  it('persists partitions without duplicating embeddings in the metadata file', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'semantic-'));
+
+    try {
+      const search = createSearch();
+      await indexDocuments(search);
+      const saved = await search.saveIndex(directory);
+
+      expect(saved).toEqual({ path: directory, partitions: 2, documents: 3 });
+      const metadata = JSON.parse(await readFile(join(directory, 'documents.json'), 'utf8'));
+      metadata.forEach(document => expect(document).not.toHaveProperty('embedding'));
+
+      const restored = createSearch({ indexPath: directory });
+      await restored.indexReady;
+
+      const results = await restored.vectorSimilaritySearch([1, 0, 0, 0], { userId: 'user-b' });
+      expect(results).toEqual([expect.objectContaining({ id: 'b-1', title: 'B one', similarity: expect.closeTo(1, 5) })]);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('compacts a partition after the removing call instead of during it', async () => {
+    const search = createSearch({ hnsw: { compactThreshold: 0.3 } });
+    await indexDocuments(search);
+    const partition = search.vectorIndex.get('user-a');
+
+    search.removeDocument('a-2');
+
+    expect(partition.getStatistics().tombstones).toBe(1);
+    expect(search.compactions.has('user-a')).toBe(true);
+
+    await search.close();
+
+    expect(partition.getStatistics().tombstones).toBe(0);
+    expect(search.compactions.size).toBe(0);
+    expect((await search.vectorSimilaritySearch([1, 0, 0, 0], { userId: 'user-a' })).map(result => result.id)).toEqual(['a-1']);
+  });
+});
@@ -0,0 +1,99 @@
+import { SnippetExtractor } from '../../../src/lib/search-lib/snippets.js';
+
+const ACTION = 'Restarted the worker. Later the redis connection pool was exhausted because redis timeout was too low and redis retried.';
+
+describe('SnippetExtractor', () => {
+  const snippets = new SnippetExtractor({ fragmentSize: 40 });
+
+  describe('fromTerms', () => {
+    it('puts the fragment with the most matches first', () => {
+      const fragments = snippets.fromTerms({ content: { action: ACTION } }, ['redis'], { fields: ['content.action'] });
+
+      expect(fragments.map(fragment => fragment.text)).toEqual([
+        'redis timeout was too low and redis',
+        'Later the redis connection pool'
+      ]);
+      expect(fragments[0]).toMatchObject({
+        field: 'content.action',
+        highlighted: '<em>redis</em> timeout was too low and <em>redis</em>',
+        start: 76,
+        end: 111,
+        matches: [{ start: 76, end: 81 }, { start: 106, end: 111 }]
+      });
+      expect(ACTION.slice(fragments[1].start, fragments[1].end)).toBe(fragments[1].text);
+    });
+
+    it('keeps at most number_of_fragments fragments', () => {
+      const fragments = snippets.fromTerms({ content: { action: ACTION } }, ['redis'], {
+        fields: ['content.action'],
+        number_of_fragments: 1
+      });
+
+      expect(fragments).toHaveLength(1);
+      expect(fragments[0].matches).toHaveLength(2);
+    });
+
+    it('matches whole words only and names array values by index', () => {
+      const fragments = snippets.fromTerms({ context: { tags: ['redisson', 'redis'] } }, ['redis'], { fields: ['context.tags'] });
+
+      expect(fragments).toEqual([
+        { field: 'context.tags[1]', text: 'redis', highlighted: '<em>redis</em>', start: 0, end: 5, matches: [{ start: 0, end: 5 }] }
+      ]);
+    });
+
+    it('escapes note content around the highlight tags', () => {
+      const [fragment] = snippets.fromTerms({ content: { result: 'Used <b>redis</b> & "pool"' } }, ['redis'], {
+        fields: ['content.result'],
+        pre_tag: '<mark>',
+        post_tag: '</mark>'
+      });
+
+      expect(fragment.text).toBe('Used <b>redis</b> & "pool"');
+      expect(fragment.highlighted).toBe('Used &lt;b&gt;<mark>redis</mark>&lt;&#x2F;b&gt; &amp; &quot;pool&quot;');
+    });
+  });
+
+  describe('fromMatches', () => {
+    it('builds fragments from known match offsets', () => {
+      const [fragment] = snippets.fromMatches({ content: { action: ACTION } }, [{ field: 'content.action', start: 32, end: 48 }]);
+
+      expect(fragment).toMatchObject({ field: 'content.action', matches: [{ start: 32, end: 48 }] });
+      expect(fragment.highlighted).toContain('<em>redis connection</em>');
+    });
+  });
+
+  describe('fromElasticsearch', () => {
+    it('decodes fragments escaped by the html encoder and maps them to document offsets', () => {
+      const document = { content: { result: 'Used <b>redis</b> & "pool" in café' } };
+      const highlight = {
+        'content.result': ['Used &lt;b&gt;<em>redis</em>&lt;&#x2F;b&gt; &amp; &quot;pool&quot; in caf&#233;']
+      };
+
+      expect(snippets.fromElasticsearch(highlight, document)).toEqual([{
+        field: 'content.result',
+        text: 'Used <b>redis</b> & "pool" in café',
+        highlighted: 'Used &lt;b&gt;<em>redis</em>&lt;&#x2F;b&gt; &amp; &quot;pool&quot; in café',
+        start: 0,
+        end: 34,
+        matches: [{ start: 8, end: 13 }]
+      }]);
+    });
+
+    it('skips fragments that are not part of the document', () => {
+      expect(snippets.fromElasticsearch({ title: ['<em>stale</em> title'] }, { title: 'Current title' })).toEqual([]);
+    });
+  });
+
+  describe('buildElasticsearchHighlight', () => {
+    it('asks Elasticsearch for html-encoded fragments with the snippet settings', () => {
+      expect(snippets.buildElasticsearchHighlight(['title', 'summary'], { pre_tag: '<b>', post_tag: '</b>' })).toEqual({
+        pre_tags: ['<b>'],
+        post_tags: ['</b>'],
+        encoder: 'html',
+        fragment_size: 40,
+        number_of_fragments: 3,
+        fields: { title: {}, summary: {} }
+      });
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { Suggester, getTermsTenant } from '../../../src/lib/search-lib/suggester.js';
+
+const DICTIONARY = {
+  tags: new Map([['redis', 12], ['react', 8], ['regex', 3], ['retired', 0]]),
+  projects: new Map([['api-gateway', 5], ['billing', 4]]),
+  domains: new Map([['Database', 6]]),
+  phrases: new Map([['fix redis timeout', 4], ['fix react build', 2], ['deploy billing', 1]]),
+  words: new Map([['timeout', 9], ['connection', 7], ['deploy', 5], ['database', 2]])
+};
+
+describe('Suggester', () => {
+  const suggester = new Suggester();
+
+  describe('complete', () => {
+    it('completes the last token by prefix, most frequent first', () => {
+      const completions = suggester.complete(DICTIONARY, 'tune re', { types: ['tags'] });
+
+      expect(completions.map(completion => completion.text)).toEqual(['redis', 'react', 'regex']);
+      expect(completions[0]).toEqual({ text: 'redis', type: 'tags', query: 'tune redis', count: 12, distance: 0, typo: false });
+    });
+
+    it('completes phrases with the whole query', () => {
+      expect(suggester.complete(DICTIONARY, 'Fix re', { types: ['phrases'] }).map(completion => completion.query))
+        .toEqual(['fix redis timeout', 'fix react build']);
+    });
+
+    it('tolerates typos in prefixes of three or more characters', () => {
+      const [completion] = suggester.complete(DICTIONARY, 'bilk', { types: ['projects'] });
+
+      expect(completion).toMatchObject({ text: 'billing', distance: 1, typo: true });
+      expect(suggester.complete(DICTIONARY, 'bi', { types: ['tags'] })).toEqual([]);
+    });
+
+    it('skips terms with a zero count and exact matches of the query', () => {
+      const texts = suggester.complete(DICTIONARY, 'ret', { types: ['tags'] }).map(completion => completion.text);
+
+      expect(texts).not.toContain('retired');
+      expect(suggester.complete(DICTIONARY, 'redis', { types: ['tags'] }).map(completion => completion.text)).not.toContain('redis');
+    });
+
+    it('matches case-insensitively and keeps the original term', () => {
+      expect(suggester.complete(DICTIONARY, 'data', { types: ['domains'] })).toEqual([
+        expect.objectContaining({ text: 'Database', distance: 0 })
+      ]);
+    });
+
+    it('only looks for typos when exact prefixes do not fill the limit', () => {
+      const completions = suggester.complete(DICTIONARY, 'rea', { types: ['tags'], limit: 1 });
+
+      expect(completions).toEqual([expect.objectContaining({ text: 'react', typo: false })]);
+    });
+  });
+
+  describe('correct', () => {
+    it('corrects misspelled tokens with the closest frequent term', () => {
+      expect(suggester.correct(DICTIONARY, 'redis timout')).toEqual({
+        query: 'redis timeout',
+        corrections: [{ original: 'timout', suggestion: 'timeout', distance: 1 }]
+      });
+    });
+
+    it('leaves known words, operators and field filters untouched', () => {
+      expect(suggester.correct(DICTIONARY, 'redis AND type:bugfix')).toBeNull();
+    });
+
+    it('returns null without a vocabulary', () => {
+      expect(suggester.correct({}, 'anything')).toBeNull();
+    });
+  });
+
+  describe('buildIndex', () => {
+    it('keeps only the most frequent phrases above maxPhrases', () => {
+      const capped = new Suggester({ maxPhrases: 2 });
+
+      const index = capped.buildIndex(DICTIONARY);
+
+      expect(index.categories.phrases.sorted.map(entry => entry.term)).toEqual(['fix react build', 'fix redis timeout']);
+      expect(capped.complete(index, 'deploy', { types: ['phrases'] })).toEqual([]);
+    });
+
+    it('gives the same results for a prebuilt index', () => {
+      const index = suggester.buildIndex(DICTIONARY);
+
+      expect(suggester.complete(index, 'con')).toEqual(suggester.complete(DICTIONARY, 'con'));
+      expect(suggester.correct(index, 'conection')).toEqual(suggester.correct(DICTIONARY, 'conection'));
+    });
+  });
+
+  describe('getTermsTenant', () => {
+    it('maps scopes to team, organization or owner dictionaries', () => {
+      expect(getTermsTenant({ org_id: 'org-1', team_id: 'team-1' })).toBe('team:team-1');
+      expect(getTermsTenant({ org_id: 'org-1' })).toBe('org:org-1');
+      expect(getTermsTenant({ owner_id: 'user-a' })).toBe('user-a');
+      expect(getTermsTenant({})).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,32 @@
+import { WordPieceTokenizer } from '../../../src/lib/note-processor-lib/tokenizer.js';
+
+const VOCAB = ['[PAD]', '[UNK]', '[CLS]', '[SEP]', 'fix', 'the', 'build', '##ing', 'cafe', '!', 'deploy'];
+
+describe('WordPieceTokenizer', () => {
+  const tokenizer = new WordPieceTokenizer(VOCAB);
+
+  it('removes control characters but keeps tab and newline as separators', () => {
+    expect(tokenizer.basicTokenize('fix\u0000the\u0007 build\tdeploy\nthe\u0085')).toEqual(['fixthe', 'build', 'deploy', 'the']);
+  });
+
+  it('lowercases, strips accents and splits punctuation', () => {
+    expect(tokenizer.basicTokenize('Café!')).toEqual(['cafe', '!']);
+  });
+
+  it('splits words into WordPiece sub-tokens', () => {
+    expect(tokenizer.tokenize('Building')).toEqual([6, 7]);
+    expect(tokenizer.tokenize('unknown')).toEqual([1]);
+  });
+
+  it('wraps token IDs with [CLS] and [SEP] and truncates to maxLength', () => {
+    expect(tokenizer.encode('fix the build', 4)).toEqual({
+      inputIds: [2, 4, 5, 3],
+      attentionMask: [1, 1, 1, 1],
+      tokenTypeIds: [0, 0, 0, 0]
+    });
+  });
+
+  it('requires the special tokens in the vocabulary', () => {
+    expect(() => new WordPieceTokenizer(['fix'])).toThrow('Vocabulary is missing special token [UNK]');
+  });
+});
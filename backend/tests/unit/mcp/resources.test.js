@@ -0,0 +1,135 @@
+import { jest } from '@jest/globals';
+import { createResources } from '../../../src/mcp/resources.js';
+import { createPrompts } from '../../../src/mcp/prompts.js';
+import { OrganizationService } from '../../../src/services/organization.service.js';
+
+const SESSION_ID = '5f0c7a2e-3b1d-4c8e-9a6f-2d4b8e1c7a90';
+const OTHER_SESSION_ID = '6a1d8b3f-4c2e-4d9f-8b7a-3e5c9f2d8b01';
+
+const USER = { id: 'user-a', subscription: { features: ['knowledge_access'] } };
+const ACCESS = { user_id: 'user-a', organizations: { 'org-1': 'reader' }, teams: {}, shared_teams: [] };
+
+const KNOWLEDGE = [
+  { id: 'k1', domain: 'payments', confidence_score: 0.9, owner_id: 'user-a' },
+  { id: 'k2', domain: 'payments', confidence_score: 0.7, org_id: 'org-1' },
+  { id: 'k3', domain: 'secrets', confidence_score: 0.8, org_id: 'org-2' }
+];
+
+const SESSIONS = {
+  [SESSION_ID]: { id: SESSION_ID, user_id: 'user-a', agent_id: 'agent-1', status: 'active', started_at: new Date().toISOString(), statistics: { notes_created: 2 } },
+  [OTHER_SESSION_ID]: { id: OTHER_SESSION_ID, user_id: 'user-b', agent_id: 'agent-2', status: 'active', started_at: new Date().toISOString(), statistics: {} }
+};
+
+const createStorage = () => ({
+  // Sama seperti StorageService: domain summaries dari knowledge yang lolos filter
+  getKnowledgeDomains: jest.fn(async (filter) => {
+    const readable = KNOWLEDGE.filter(filter);
+    const domains = [...new Set(readable.map(item => item.domain))];
+    return domains.map(name => {
+      const items = readable.filter(item => item.domain === name);
+      return {
+        name,
+        knowledge_count: items.length,
+        average_confidence: items.reduce((sum, item) => sum + item.confidence_score, 0) / items.length
+      };
+    });
+  }),
+  getKnowledgeSummary: jest.fn(async (domain, filter) => ({
+    domain,
+    total_items: KNOWLEDGE.filter(item => item.domain === domain).filter(filter).length
+  })),
+  getActiveSessionsByUser: jest.fn(async userId => Object.values(SESSIONS).filter(session => session.user_id === userId)),
+  getSessionById: jest.fn(async sessionId => SESSIONS[sessionId] || null)
+});
+
+describe('MCP resources', () => {
+  let organizationService;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    organizationService = new OrganizationService({});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('list', () => {
+    it('lists readable knowledge domains and the active sessions of the user', async () => {
+      const resources = createResources({ storageService: createStorage(), organizationService });
+
+      const listed = await resources.list({ user: USER, access: ACCESS });
+
+      expect(listed.map(resource => resource.uri)).toEqual([
+        'memory://knowledge/payments',
+        `memory://sessions/${SESSION_ID}`
+      ]);
+      expect(listed[0].description).toBe('2 knowledge items, average confidence 0.80');
+    });
+
+    it('omits knowledge without the knowledge_access feature and sessions of other agents for bound keys', async () => {
+      const resources = createResources({ storageService: createStorage(), organizationService });
+      const user = { ...USER, subscription: { features: [] }, scopes: ['sessions:read'], agentIds: ['agent-9'] };
+
+      await expect(resources.list({ user, access: ACCESS })).resolves.toEqual([]);
+    });
+  });
+
+  describe('read', () => {
+    it('reads the summary of a knowledge domain from readable items only', async () => {
+      const storage = createStorage();
+      const resources = createResources({ storageService: storage, organizationService });
+
+      await expect(resources.read('memory://knowledge/payments', { user: USER, access: ACCESS }))
+        .resolves.toEqual({ domain: 'payments', total_items: 2 });
+      await expect(resources.read('memory://knowledge/secrets', { user: USER, access: ACCESS })).resolves.toBeNull();
+    });
+
+    it('decodes domain names in the URI', async () => {
+      const storage = createStorage();
+      const resources = createResources({ storageService: storage, organizationService });
+
+      await resources.read('memory://knowledge/site%20reliability', { user: USER, access: ACCESS });
+
+      expect(storage.getKnowledgeSummary).toHaveBeenCalledWith('site reliability', expect.any(Function));
+    });
+
+    it('returns a session summary only to its owner', async () => {
+      const resources = createResources({ storageService: createStorage(), organizationService });
+
+      await expect(resources.read(`memory://sessions/${SESSION_ID}`, { user: USER, access: ACCESS }))
+        .resolves.toMatchObject({ id: SESSION_ID, agent_id: 'agent-1', notes_created: 2 });
+      await expect(resources.read(`memory://sessions/${OTHER_SESSION_ID}`, { user: USER, access: ACCESS })).resolves.toBeNull();
+    });
+
+    it('returns null for unknown URIs', async () => {
+      const resources = createResources({ storageService: createStorage(), organizationService });
+
+      await expect(resources.read('memory://notes/123', { user: USER, access: ACCESS })).resolves.toBeNull();
+    });
+  });
+
+  describe('recall_context_for_task prompt', () => {
+    it('prefills the prompt with the readable relevant notes and patterns', async () => {
+      const searchService = {
+        getRelevantNotes: jest.fn(async () => ({
+          notes: [
+            { id: 'n1', type: 'bugfix', context: { task: 'Fix Redis timeouts' }, content: { action: 'Raised the pool size', learning: 'Watch pool metrics' }, metadata: { user_id: 'user-a' } },
+            { id: 'n2', type: 'bugfix', context: { task: 'Other tenant' }, content: { action: 'Secret' }, metadata: { user_id: 'user-c' } }
+          ],
+          patterns_detected: ['redis pool exhaustion']
+        }))
+      };
+      const [prompt] = createPrompts({ searchService, organizationService });
+
+      const result = await prompt.handler({ task_description: 'Redis keeps timing out', agent_id: 'agent-1' }, { user: USER, access: ACCESS });
+
+      expect(searchService.getRelevantNotes).toHaveBeenCalledWith(expect.objectContaining({ user_id: 'user-a' }));
+      expect(result.description).toBe('Recalled 1 relevant notes for agent agent-1');
+      const { text } = result.messages[0].content;
+      expect(text).toContain('1. [bugfix] Fix Redis timeouts\n   Action: Raised the pool size\n   Learning: Watch pool metrics');
+      expect(text).toContain('- redis pool exhaustion');
+      expect(text).not.toContain('Secret');
+    });
+  });
+});
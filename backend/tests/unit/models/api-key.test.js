@@ -0,0 +1,98 @@
+import { ApiKey } from '../../../src/models/api-key.js';
+
+const keyWith = (ipAllowlist) => new ApiKey({ user_id: 'user-a', name: 'ci', ip_allowlist: ipAllowlist });
+
+describe('ApiKey', () => {
+  describe('allowsIp', () => {
+    it('allows every address when the allowlist is empty', () => {
+      expect(ApiKey.allowsIp(keyWith([]), '203.0.113.7')).toBe(true);
+    });
+
+    it('rejects requests without an address when an allowlist is set', () => {
+      expect(ApiKey.allowsIp(keyWith(['10.0.0.1']), undefined)).toBe(false);
+    });
+
+    it.each([
+      ['10.0.0.1', '10.0.0.1', true],
+      ['10.0.0.1', '10.0.0.2', false],
+      ['10.0.0.0/8', '10.20.30.40', true],
+      ['10.0.0.0/8', '11.0.0.1', false],
+      ['0.0.0.0/0', '198.51.100.1', true]
+    ])('matches IPv4 entry %p against %p', (entry, ip, allowed) => {
+      expect(ApiKey.allowsIp(keyWith([entry]), ip)).toBe(allowed);
+    });
+
+    it.each([
+      ['10.0.0.0/8', '::ffff:10.1.2.3'],
+      ['10.0.0.0/8', '::FFFF:10.1.2.3'],
+      ['10.0.0.0/8', '0:0:0:0:0:ffff:a01:203'],
+      ['::ffff:10.1.2.3', '10.1.2.3'],
+      ['::ffff:10.0.0.0/104', '10.1.2.3']
+    ])('normalizes IPv4-mapped addresses (%p, %p)', (entry, ip) => {
+      expect(ApiKey.allowsIp(keyWith([entry]), ip)).toBe(true);
+    });
+
+    it.each([
+      ['2001:db8::1', '2001:DB8:0:0:0:0:0:1', true],
+      ['2001:db8::/32', '2001:db8:ffff::42', true],
+      ['2001:db8::/32', '2001:db9::1', false],
+      ['fe80::/10', 'fe80::1%eth0', true],
+      ['::/0', '2001:db8::1', true]
+    ])('matches IPv6 entry %p against %p', (entry, ip, allowed) => {
+      expect(ApiKey.allowsIp(keyWith([entry]), ip)).toBe(allowed);
+    });
+
+    it('never matches across address families', () => {
+      expect(ApiKey.allowsIp(keyWith(['::/0']), '10.0.0.1')).toBe(false);
+      expect(ApiKey.allowsIp(keyWith(['0.0.0.0/0']), '2001:db8::1')).toBe(false);
+    });
+
+    it('ignores malformed entries and addresses', () => {
+      expect(ApiKey.allowsIp(keyWith(['not-an-ip', '10.0.0.0/33']), '10.0.0.1')).toBe(false);
+      expect(ApiKey.allowsIp(keyWith(['10.0.0.0/8']), 'unknown')).toBe(false);
+    });
+  });
+
+  describe('scope and agent helpers', () => {
+    it('treats users without scopes as full access', () => {
+      expect(ApiKey.userHasScope({ userId: 'user-a' }, 'backup:admin')).toBe(true);
+      expect(ApiKey.userHasScope({ scopes: ['notes:read'] }, 'notes:write')).toBe(false);
+    });
+
+    it('restricts agents only when the key is bound', () => {
+      expect(ApiKey.userCanUseAgent({ agentIds: [] }, 'agent-1')).toBe(true);
+      expect(ApiKey.userCanUseAgent({ agentIds: ['agent-2'] }, 'agent-1')).toBe(false);
+    });
+  });
+
+  describe('getStatus', () => {
+    const now = new Date('2026-06-01T00:00:00Z');
+
+    it('reports rotated keys as grace until the grace period ends', () => {
+      const rotated = { rotated_to: 'key-2', grace_expires_at: '2026-06-02T00:00:00Z' };
+
+      expect(ApiKey.getStatus(rotated, now)).toBe('grace');
+      expect(ApiKey.getStatus({ ...rotated, grace_expires_at: '2026-05-31T00:00:00Z' }, now)).toBe('expired');
+      expect(ApiKey.getStatus({ revoked_at: now }, now)).toBe('revoked');
+    });
+  });
+
+  describe('validate', () => {
+    it('reports validation errors in English', () => {
+      const { error } = ApiKey.validate({ scopes: ['notes:delete'], ip_allowlist: ['nope'] });
+
+      expect(error.details.map(detail => detail.message)).toEqual(expect.arrayContaining([
+        'name is required',
+        expect.stringMatching(/^scope must be one of: notes:read/),
+        'ip_allowlist must contain IP addresses or CIDR ranges'
+      ]));
+    });
+
+    it('accepts IPv6 CIDR ranges in the allowlist', () => {
+      const { error, value } = ApiKey.validate({ name: 'ci', scopes: ['notes:read'], ip_allowlist: ['2001:db8::/32'] });
+
+      expect(error).toBeUndefined();
+      expect(value.ip_allowlist).toEqual(['2001:db8::/32']);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+import { jest } from '@jest/globals';
+import { AgentService } from '../../../src/services/agent.service.js';
+import { StorageService } from '../../../src/services/storage.service.js';
+import { validateAgentAccess } from '../../../src/api/middleware/auth.middleware.js';
+import { createMemoryRedis, createRedisCache } from '../../helpers/memory-redis.js';
+
+const USER = { id: 'user-a', email: 'a@example.com', subscription: { tier: 'free', status: 'active', agent_limit: 1 } };
+
+// Agents table in-memory; createAgent meniru INSERT ... IF NOT EXISTS
+const createStorage = () => {
+  const memory = createMemoryRedis();
+  const agents = new Map();
+  const storage = new StorageService();
+  storage.cache = async () => createRedisCache(memory);
+
+  storage.getAgent = jest.fn(async (userId, agentId) => agents.get(`${userId}:${agentId}`) || null);
+  storage.getAgentsByUser = jest.fn(async userId => [...agents.values()].filter(agent => agent.user_id === userId));
+  storage.createAgent = jest.fn(async (agent) => {
+    await new Promise(resolve => setImmediate(resolve));
+    const key = `${agent.user_id}:${agent.id}`;
+    if (agents.has(key)) return false;
+    agents.set(key, { ...agent });
+    return true;
+  });
+  storage.saveAgent = jest.fn(async (agent) => {
+    agents.set(`${agent.user_id}:${agent.id}`, { ...agent });
+    return agent;
+  });
+
+  return { storage, agents, memory };
+};
+
+const createService = (storage, config = {}) => {
+  const service = new AgentService(storage, { autoRegister: true, ...config });
+  service.organizationService.getAccessContext = async () => ({ organizations: {}, teams: {}, shared_teams: [] });
+  return service;
+};
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('AgentService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('ensureAgent', () => {
+    it('does not exceed the agent limit when first requests for new agents run in parallel', async () => {
+      const { storage, agents, memory } = createStorage();
+      const service = createService(storage);
+
+      const results = await Promise.allSettled([
+        service.ensureAgent(USER, 'agent-1'),
+        service.ensureAgent(USER, 'agent-2')
+      ]);
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+      const rejected = results.find(result => result.status === 'rejected').reason;
+      expect(rejected).toMatchObject({ status: 403, code: 'AGENT_LIMIT_REACHED' });
+      expect(agents.size).toBe(1);
+      expect(memory.values.has('agent:registration-lock:user-a')).toBe(false);
+    });
+
+    it('registers an agent once when the same agent is auto-registered in parallel', async () => {
+      const { storage, agents } = createStorage();
+      const service = createService(storage);
+
+      const [first, second] = await Promise.all([
+        service.ensureAgent(USER, 'agent-1'),
+        service.ensureAgent(USER, 'agent-1')
+      ]);
+
+      expect(first.agent_id).toBe('agent-1');
+      expect(second.agent_id).toBe('agent-1');
+      expect(agents.size).toBe(1);
+    });
+
+    it('throws typed errors for disabled and unregistered agents', async () => {
+      const { storage, agents } = createStorage();
+      agents.set('user-a:agent-1', { id: 'agent-1', user_id: 'user-a', status: 'disabled' });
+
+      await expect(createService(storage).ensureAgent(USER, 'agent-1'))
+        .rejects.toMatchObject({ name: 'ForbiddenError', status: 403, message: 'Agent is disabled: agent-1' });
+      await expect(createService(storage, { autoRegister: false }).ensureAgent(USER, 'agent-2'))
+        .rejects.toMatchObject({ name: 'ForbiddenError', status: 403, message: 'Agent not registered: agent-2' });
+    });
+
+    it('rejects invalid agent IDs with a validation error', async () => {
+      const { storage } = createStorage();
+
+      await expect(createService(storage).ensureAgent(USER, 'bad agent id!'))
+        .rejects.toMatchObject({ name: 'ValidationError', status: 400 });
+    });
+  });
+
+  describe('getAgentStats', () => {
+    it('aggregates in Elasticsearch, limited to notes of the agent owner', async () => {
+      const { storage, agents } = createStorage();
+      agents.set('user-a:agent-1', { id: 'agent-1', user_id: 'user-a', status: 'active' });
+
+      const client = {
+        search: jest.fn(async () => ({
+          body: {
+            hits: { total: { value: 3 } },
+            aggregations: {
+              by_type: { buckets: [{ key: 'bugfix', doc_count: 2 }, { key: 'feature', doc_count: 1 }] },
+              avg_tokens: { value: 120 },
+              first_note_at: { value: Date.parse('2026-01-01T00:00:00Z') },
+              last_note_at: { value: Date.parse('2026-02-01T00:00:00Z') }
+            }
+          }
+        }))
+      };
+      storage.search = async () => client;
+
+      const { stats } = await createService(storage).getAgentStats(USER, 'agent-1');
+
+      const { query, size } = client.search.mock.calls[0][0].body;
+      expect(size).toBe(0);
+      expect(query.bool.filter).toEqual([
+        { term: { agent_id: 'agent-1' } },
+        { terms: { 'metadata.user_id': ['user-a'] } }
+      ]);
+      expect(query.bool.must_not).toEqual([{ term: { 'metadata.archived': true } }]);
+      expect(stats).toEqual({
+        total_notes: 3,
+        by_type: { bugfix: 2, feature: 1 },
+        avg_tokens: 120,
+        first_note_at: new Date('2026-01-01T00:00:00Z'),
+        last_note_at: new Date('2026-02-01T00:00:00Z')
+      });
+    });
+  });
+
+  describe('validateAgentAccess', () => {
+    it.each([
+      [Object.assign(new Error('Agent is disabled: agent-1'), { name: 'ForbiddenError', status: 403 }), 403, 'Access denied'],
+      [Object.assign(new Error('Agent limit reached: 1 of 1 active agents'), { name: 'ForbiddenError', status: 403, code: 'AGENT_LIMIT_REACHED' }), 403, 'Agent limit reached'],
+      [Object.assign(new Error('Invalid agent: id'), { name: 'ValidationError', status: 400 }), 400, 'Invalid agent ID'],
+      [new Error('Failed to create agent: timeout'), 500, 'Access validation error']
+    ])('maps %p to HTTP %p', async (error, status, title) => {
+      jest.spyOn(AgentService.prototype, 'ensureAgent').mockRejectedValue(error);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const res = createResponse();
+      const next = jest.fn();
+
+      await validateAgentAccess({ user: USER, params: { agentId: 'agent-1' }, body: {}, query: {} }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(status);
+      expect(res.json.mock.calls[0][0].error).toBe(title);
+    });
+  });
+});
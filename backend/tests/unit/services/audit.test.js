@@ -0,0 +1,191 @@
+import { jest } from '@jest/globals';
+import { AuditService } from '../../../src/services/audit.service.js';
+import { StorageService } from '../../../src/services/storage.service.js';
+import { AUDIT_GENESIS_HASH } from '../../../src/models/audit-entry.js';
+
+// audit_log in-memory; appendAuditEntry meniru INSERT ... IF NOT EXISTS pada (chain_id, sequence)
+const createStorage = () => {
+  const chains = new Map();
+  const chain = (chainId) => {
+    if (!chains.has(chainId)) chains.set(chainId, new Map());
+    return chains.get(chainId);
+  };
+  const sorted = (chainId) => [...chain(chainId).values()].sort((a, b) => a.sequence - b.sequence);
+
+  return {
+    chains,
+    getAuditHead: jest.fn(async (chainId) => {
+      const entries = sorted(chainId);
+      const head = entries[entries.length - 1];
+      return head ? { sequence: head.sequence, hash: head.hash } : null;
+    }),
+    appendAuditEntry: jest.fn(async (entry) => {
+      await new Promise(resolve => setImmediate(resolve));
+      if (chain(entry.chain_id).has(entry.sequence)) return false;
+      chain(entry.chain_id).set(entry.sequence, { ...entry });
+      return true;
+    }),
+    getAuditEntries: jest.fn(async (chainId, { after = null, before = null, limit = 1000, order = 'desc' } = {}) => {
+      const entries = sorted(chainId)
+        .filter(entry => (after === null || entry.sequence > after) && (before === null || entry.sequence < before));
+      return (order === 'asc' ? entries : entries.reverse()).slice(0, limit).map(entry => ({ ...entry }));
+    })
+  };
+};
+
+const record = (service, action, details = {}) => service.record({
+  chain_id: 'user-a',
+  action,
+  actor_id: 'user-a',
+  actor_type: 'user',
+  outcome: 'success',
+  details
+});
+
+describe('AuditService', () => {
+  const config = { enabled: true, hashSecret: 'test-secret', appendRetries: 5 };
+
+  it('links entries into a verifiable hash chain', async () => {
+    const storage = createStorage();
+    const service = new AuditService(storage, config);
+
+    await record(service, 'api_key.create', { key_id: 'key-1' });
+    await record(service, 'api_key.rotate', { key_id: 'key-1' });
+    await record(service, 'api_key.revoke', { key_id: 'key-2' });
+
+    const entries = await storage.getAuditEntries('user-a', { order: 'asc' });
+    expect(entries.map(entry => entry.sequence)).toEqual([1, 2, 3]);
+    expect(entries[0].prev_hash).toBe(AUDIT_GENESIS_HASH);
+    expect(entries[1].prev_hash).toBe(entries[0].hash);
+    expect(entries[2].prev_hash).toBe(entries[1].hash);
+
+    await expect(service.verifyChain('user-a')).resolves.toMatchObject({
+      valid: true,
+      checked: 3,
+      last_sequence: 3,
+      last_hash: entries[2].hash,
+      broken_at: null,
+      truncated: false
+    });
+  });
+
+  it('serializes parallel appends on the same chain', async () => {
+    const storage = createStorage();
+    const service = new AuditService(storage, config);
+
+    await Promise.all(['token.issue', 'token.refresh', 'token.revoke', 'note.delete'].map(action => record(service, action)));
+
+    const verification = await service.verifyChain('user-a');
+    expect(verification).toMatchObject({ valid: true, checked: 4, last_sequence: 4 });
+  });
+
+  it('retries with the next sequence when another process appended first', async () => {
+    const storage = createStorage();
+    const service = new AuditService(storage, config);
+    await record(service, 'token.issue');
+    const staleHead = await storage.getAuditHead('user-a');
+    await record(service, 'token.refresh');
+
+    // Head dibaca sebelum process lain menulis sequence 2
+    storage.getAuditHead.mockResolvedValueOnce(staleHead);
+    storage.appendAuditEntry.mockClear();
+
+    const entry = await record(service, 'token.revoke');
+
+    expect(entry.sequence).toBe(3);
+    expect(storage.appendAuditEntry).toHaveBeenCalledTimes(2);
+    await expect(service.verifyChain('user-a')).resolves.toMatchObject({ valid: true, checked: 3 });
+  });
+
+  it('never fails the audited operation when the chain stays busy', async () => {
+    const storage = createStorage();
+    storage.appendAuditEntry.mockResolvedValue(false);
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const service = new AuditService(storage, { ...config, appendRetries: 2 });
+
+    try {
+      await expect(record(service, 'token.issue')).resolves.toBeNull();
+      expect(storage.appendAuditEntry).toHaveBeenCalledTimes(2);
+      expect(error.mock.calls[0][1]).toContain('could not append after 2 attempts');
+    } finally {
+      error.mockRestore();
+    }
+  });
+
+  it.each([
+    ['edited details', (entries) => { entries.get(2).details = { key_id: 'forged' }; }, 2, 'Entry hash does not match its content'],
+    ['a removed entry', (entries) => { entries.delete(2); }, 3, 'Missing entries: expected sequence 2, found 3'],
+    ['a rewritten hash', (entries) => { entries.get(1).hash = 'f'.repeat(64); }, 1, 'Entry hash does not match its content']
+  ])('detects %s', async (_name, tamper, sequence, reason) => {
+    const storage = createStorage();
+    const service = new AuditService(storage, config);
+    await record(service, 'api_key.create', { key_id: 'key-1' });
+    await record(service, 'api_key.rotate', { key_id: 'key-1' });
+    await record(service, 'api_key.revoke', { key_id: 'key-1' });
+
+    tamper(storage.chains.get('user-a'));
+
+    const verification = await service.verifyChain('user-a');
+    expect(verification.valid).toBe(false);
+    expect(verification.broken_at).toMatchObject({ sequence, reason });
+  });
+
+  it('rejects a chain re-hashed without the secret', async () => {
+    const storage = createStorage();
+    await record(new AuditService(storage, { ...config, hashSecret: null }), 'token.issue');
+
+    const verification = await new AuditService(storage, config).verifyChain('user-a');
+    expect(verification).toMatchObject({ valid: false, broken_at: { sequence: 1 } });
+  });
+
+  it('exports filtered entries together with the verification of the whole chain', async () => {
+    const storage = createStorage();
+    const service = new AuditService(storage, config);
+    await record(service, 'api_key.create');
+    await record(service, 'token.issue');
+    await record(service, 'api_key.revoke');
+
+    const exported = await service.exportEntries('user-a', { action: 'api_key.*' });
+
+    expect(exported.verification).toMatchObject({ valid: true, checked: 3 });
+    expect(exported.entries.map(entry => entry.action)).toEqual(['api_key.create', 'api_key.revoke']);
+  });
+});
+
+describe('StorageService audit log', () => {
+  const createEntry = (sequence) => ({ chain_id: 'user-a', sequence, id: 'entry-id', action: 'token.issue', details: {} });
+
+  it('appends with a prepared lightweight transaction', async () => {
+    const storage = new StorageService();
+    const execute = jest.fn(async () => ({ rows: [{ '[applied]': true }] }));
+    storage.persistence = async () => ({ execute });
+
+    await expect(storage.appendAuditEntry(createEntry(7))).resolves.toBe(true);
+
+    const [query, params, options] = execute.mock.calls[0];
+    expect(query).toContain('IF NOT EXISTS');
+    expect(params.slice(0, 2)).toEqual(['user-a', 7]);
+    expect(options).toEqual({ prepare: true });
+  });
+
+  it('reports a taken sequence as not applied', async () => {
+    const storage = new StorageService();
+    storage.persistence = async () => ({ execute: async () => ({ rows: [{ '[applied]': false, sequence: 7 }] }) });
+
+    await expect(storage.appendAuditEntry(createEntry(7))).resolves.toBe(false);
+  });
+
+  it('pages entries with prepared BIGINT bounds', async () => {
+    const storage = new StorageService();
+    const execute = jest.fn(async () => ({ rows: [] }));
+    storage.persistence = async () => ({ execute });
+
+    await storage.getAuditEntries('user-a', { after: 10, limit: 50, order: 'asc' });
+
+    const [query, params, options] = execute.mock.calls[0];
+    expect(query).toContain('sequence > ?');
+    expect(query).toContain('ORDER BY sequence ASC');
+    expect(params).toEqual(['user-a', 10, 50]);
+    expect(options).toEqual({ prepare: true });
+  });
+});
@@ -0,0 +1,148 @@
+import { jest } from '@jest/globals';
+import { ConsolidationService, CONSOLIDATION_AUTHOR } from '../../../src/services/consolidation.service.js';
+import { embeddingConfig } from '../../../src/config/app.js';
+
+const VECTOR = [1, 0, 0];
+
+const createNote = (id, metadata, project = 'checkout') => ({
+  id,
+  agent_id: `agent-${metadata.user_id || 'shared'}`,
+  type: 'bugfix',
+  context: { task: 'Fix payment retry', project },
+  content: { action: 'Retry payment on timeout', learning: 'Use idempotency keys' },
+  metadata
+});
+
+const createStorage = (notes, { storedEmbeddings = new Map(), lockHeld = false } = {}) => {
+  const cache = new Map(lockHeld ? [['consolidation:lock', {}]] : []);
+  const knowledge = [];
+
+  return {
+    cache,
+    knowledge,
+    cacheSetIfAbsent: jest.fn(async (key, value) => {
+      if (cache.has(key)) return false;
+      cache.set(key, value);
+      return true;
+    }),
+    cacheSet: jest.fn(async (key, value) => cache.set(key, value)),
+    cacheGet: jest.fn(async key => cache.get(key) ?? null),
+    cacheDelete: jest.fn(async key => cache.delete(key)),
+    getNotesSince: jest.fn(async () => notes),
+    getNoteEmbeddings: jest.fn(async () => storedEmbeddings),
+    getKnowledgeByDomain: jest.fn(async domain => knowledge.filter(item => item.domain === domain)),
+    getNotesByIds: jest.fn(async () => []),
+    createKnowledge: jest.fn(async (data, createdBy, scope) => {
+      const item = { id: `k-${knowledge.length + 1}`, status: 'draft', version: 1, ...data, created_by: createdBy, ...scope };
+      knowledge.push(item);
+      return item;
+    }),
+    addNotesToKnowledge: jest.fn()
+  };
+};
+
+const createService = (storage) => {
+  const service = new ConsolidationService(storage, { minClusterSize: 1 });
+  service.embeddings = {
+    generateEmbedding: jest.fn(async () => VECTOR),
+    cosineSimilarity: () => 1
+  };
+  service.buildSummary = async notes => `Consolidated knowledge from ${notes.length} notes`;
+  return service;
+};
+
+describe('ConsolidationService.runConsolidation', () => {
+  let log;
+
+  beforeEach(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    log.mockRestore();
+  });
+
+  it('skips when another instance holds the lock and leaves the lock in place', async () => {
+    const storage = createStorage([], { lockHeld: true });
+    const service = createService(storage);
+
+    const result = await service.runConsolidation();
+
+    expect(result).toEqual({ skipped: true, reason: 'Consolidation already running' });
+    expect(storage.getNotesSince).not.toHaveBeenCalled();
+    expect(storage.cache.has('consolidation:lock')).toBe(true);
+    expect(service.running).toBe(false);
+  });
+
+  it('releases the lock and running flag when the run fails', async () => {
+    const storage = createStorage([]);
+    storage.getNotesSince.mockRejectedValueOnce(new Error('scylla down'));
+    const service = createService(storage);
+
+    await expect(service.runConsolidation()).rejects.toThrow('scylla down');
+
+    expect(service.running).toBe(false);
+    expect(storage.cache.has('consolidation:lock')).toBe(false);
+    await expect(service.runConsolidation()).resolves.toMatchObject({ skipped: false });
+  });
+
+  it('does not mix notes of different users or organizations', async () => {
+    const storage = createStorage([
+      createNote('n-1', { user_id: 'user-a' }),
+      createNote('n-2', { user_id: 'user-a' }),
+      createNote('n-3', { user_id: 'user-b' }),
+      createNote('n-4', { user_id: 'user-c', org_id: 'org-1', team_id: 'team-1' }),
+      createNote('n-5', { user_id: 'user-d', org_id: 'org-1', team_id: 'team-1' })
+    ]);
+    const service = createService(storage);
+
+    const result = await service.runConsolidation();
+
+    expect(result.knowledge_created).toBe(3);
+    const created = storage.knowledge.map(item => ({
+      note_ids: item.note_ids,
+      owner_id: item.owner_id,
+      org_id: item.org_id,
+      team_id: item.team_id,
+      created_by: item.created_by
+    }));
+    expect(created).toEqual(expect.arrayContaining([
+      { note_ids: ['n-1', 'n-2'], owner_id: 'user-a', org_id: null, team_id: null, created_by: CONSOLIDATION_AUTHOR },
+      { note_ids: ['n-3'], owner_id: 'user-b', org_id: null, team_id: null, created_by: CONSOLIDATION_AUTHOR },
+      { note_ids: ['n-4', 'n-5'], owner_id: null, org_id: 'org-1', team_id: 'team-1', created_by: CONSOLIDATION_AUTHOR }
+    ]));
+  });
+
+  it('does not add notes to knowledge from another scope', async () => {
+    const storage = createStorage([createNote('n-1', { user_id: 'user-a' })]);
+    storage.knowledge.push({ id: 'k-other', domain: 'checkout', status: 'draft', note_ids: ['n-9'], owner_id: 'user-b' });
+    const service = createService(storage);
+
+    await service.runConsolidation();
+
+    expect(storage.getNotesByIds).not.toHaveBeenCalled();
+    expect(storage.addNotesToKnowledge).not.toHaveBeenCalled();
+    expect(storage.createKnowledge).toHaveBeenCalledWith(
+      expect.objectContaining({ note_ids: ['n-1'] }),
+      CONSOLIDATION_AUTHOR,
+      { org_id: null, team_id: null, owner_id: 'user-a' }
+    );
+  });
+
+  it('reuses stored embeddings of the active model', async () => {
+    const storage = createStorage([
+      createNote('n-1', { user_id: 'user-a' }),
+      createNote('n-2', { user_id: 'user-a' })
+    ], {
+      storedEmbeddings: new Map([
+        ['n-1', { embeddings: VECTOR, model: embeddingConfig.model }],
+        ['n-2', { embeddings: VECTOR, model: 'older-model' }]
+      ])
+    });
+    const service = createService(storage);
+
+    await service.runConsolidation();
+
+    expect(service.embeddings.generateEmbedding).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,144 @@
+import { jest } from '@jest/globals';
+import experienceRouter from '../../../src/api/routes/experience.routes.js';
+import { Experience } from '../../../src/models/experience.js';
+import { StorageService } from '../../../src/services/storage.service.js';
+
+const EXPERIENCE_ID = '8d2e4f6a-1b3c-4d5e-9f7a-2c4e6a8b0d12';
+const NOTE_IDS = [
+  '11111111-1111-4111-8111-111111111111',
+  '22222222-2222-4222-8222-222222222222',
+  '33333333-3333-4333-8333-333333333333'
+];
+
+const createExperience = (overrides = {}) => ({
+  id: EXPERIENCE_ID,
+  title: 'Migrate billing to queues',
+  description: 'Moved synchronous billing calls to a queue worker',
+  journey: [
+    { sequence: 1, note_id: NOTE_IDS[0], timestamp: new Date(Date.now() - 4 * 60 * 60 * 1000), milestone: 'Start' },
+    { sequence: 2, note_id: NOTE_IDS[1], timestamp: new Date(), milestone: 'Worker' }
+  ],
+  outcomes: {},
+  lessons_learned: [],
+  applicable_domains: [],
+  status: 'active',
+  created_by: 'user-a',
+  ...overrides
+});
+
+const createStorage = (experience) => {
+  const storage = new StorageService();
+  const scylla = {
+    execute: jest.fn(async () => ({
+      rows: [{ context: JSON.stringify({ project: 'billing-service', tags: ['queues'] }), type: 'improvement' }]
+    }))
+  };
+  storage.persistence = async () => scylla;
+  storage.getExperienceById = jest.fn(async () => (experience ? { ...experience, journey: [...experience.journey] } : null));
+  storage.executeQuery = jest.fn(async () => ({ rows: [] }));
+  storage.updateDocument = jest.fn(async () => ({}));
+  return storage;
+};
+
+describe('Experience lifecycle', () => {
+  beforeEach(() => {
+    jest.spyOn(Experience, '_verifyJourneyNotes').mockImplementation(async () => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('StorageService.addExperienceMilestone', () => {
+    it('appends the note as the next milestone and persists the journey', async () => {
+      const storage = createStorage(createExperience());
+
+      const experience = await storage.addExperienceMilestone(EXPERIENCE_ID, NOTE_IDS[2], 'Load test');
+
+      expect(experience.journey.map(step => [step.sequence, step.note_id, step.milestone])).toEqual([
+        [1, NOTE_IDS[0], 'Start'],
+        [2, NOTE_IDS[1], 'Worker'],
+        [3, NOTE_IDS[2], 'Load test']
+      ]);
+      expect(experience.created_by).toBe('user-a');
+      expect(storage.updateDocument).toHaveBeenCalledWith('experiences', EXPERIENCE_ID, expect.objectContaining({ journey_count: 3 }));
+    });
+
+    it('rejects a note that is already part of the journey', async () => {
+      const storage = createStorage(createExperience());
+
+      await expect(storage.addExperienceMilestone(EXPERIENCE_ID, NOTE_IDS[1], 'Again')).rejects.toThrow('sudah ada dalam journey');
+      expect(storage.executeQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('StorageService.completeExperience', () => {
+    it('records outcomes, derives duration and iterations and extracts domains from the journey', async () => {
+      const storage = createStorage(createExperience());
+
+      const experience = await storage.completeExperience(EXPERIENCE_ID, {
+        success: true,
+        lessons_learned: ['Make the worker idempotent']
+      });
+
+      expect(experience).toMatchObject({
+        status: 'completed',
+        lessons_learned: ['Make the worker idempotent'],
+        applicable_domains: ['queues', 'billing', 'service', 'improvement'],
+        outcomes: { success: true, metrics: {}, iterations: 2 }
+      });
+      expect(experience.outcomes.duration_hours).toBeCloseTo(4, 1);
+      expect(experience.completed_at).toBeInstanceOf(Date);
+    });
+
+    it('requires at least one lesson learned', async () => {
+      const storage = createStorage(createExperience());
+
+      await expect(storage.completeExperience(EXPERIENCE_ID, { success: true, lessons_learned: [] }))
+        .rejects.toThrow('Validasi completion data gagal');
+    });
+  });
+
+  describe('StorageService.abandonExperience', () => {
+    it('marks the experience abandoned with the reason', async () => {
+      const storage = createStorage(createExperience());
+
+      const experience = await storage.abandonExperience(EXPERIENCE_ID, 'Project was cancelled');
+
+      expect(experience).toMatchObject({ status: 'abandoned', outcomes: { success: false, abandon_reason: 'Project was cancelled' } });
+    });
+
+    it('does not abandon completed experiences', async () => {
+      const storage = createStorage(createExperience({ status: 'completed' }));
+
+      await expect(storage.abandonExperience(EXPERIENCE_ID, 'Too late now')).rejects.toThrow('sudah completed');
+    });
+  });
+
+  describe('experience routes', () => {
+    const USER = { id: 'user-a', subscription: { features: ['experience_access'] } };
+    const ACCESS = { user_id: 'user-a', organizations: {}, teams: {}, shared_teams: [] };
+
+    it('only lets active experiences be modified', async () => {
+      jest.spyOn(StorageService.prototype, 'getExperienceById')
+        .mockImplementation(async () => createExperience({ status: 'completed' }));
+
+      await expect(experienceRouter.checkExperienceWriteAccess(EXPERIENCE_ID, USER, ACCESS)).resolves.toEqual({
+        status: 409,
+        body: {
+          error: 'Experience not active',
+          details: ['Only active experiences can be modified (current status: completed)'],
+          current_status: 'completed'
+        }
+      });
+    });
+
+    it('maps model errors to 400 and 409 responses', () => {
+      expect(experienceRouter.mapExperienceError(new Error('Failed to add milestone: Note ID sudah ada dalam journey')))
+        .toMatchObject({ status: 409, body: { error: 'Note already in journey' } });
+      expect(experienceRouter.mapExperienceError(new Error(`Note IDs tidak ditemukan: ${NOTE_IDS[0]}`)))
+        .toEqual({ status: 400, body: { error: 'Invalid note IDs', details: [`Notes not found: ${NOTE_IDS[0]}`] } });
+      expect(experienceRouter.mapExperienceError(new Error('Redis down'))).toBeNull();
+    });
+  });
+});
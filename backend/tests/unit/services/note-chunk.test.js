@@ -0,0 +1,31 @@
+import { jest } from '@jest/globals';
+import { NoteChunkService } from '../../../src/services/note-chunk.service.js';
+
+describe('NoteChunkService.embedNote', () => {
+  it('stores the new note embedding in ScyllaDB and the notes index', async () => {
+    const storage = {
+      saveNoteEmbeddings: jest.fn(async () => 1),
+      updateDocument: jest.fn(async () => ({}))
+    };
+    const service = new NoteChunkService(storage, { model: 'test-model' });
+    service.embeddings = { generateEmbedding: jest.fn(async () => [0.1, 0.2, 0.3]) };
+
+    const note = {
+      id: 'note-1',
+      context: { task: 'Fix login', tags: ['auth'] },
+      content: { action: 'Patched redirect', learning: 'Check the callback URL' }
+    };
+
+    await expect(service.embedNote(note)).resolves.toBe(3);
+
+    expect(service.embeddings.generateEmbedding).toHaveBeenCalledWith('Fix login Patched redirect Check the callback URL auth');
+    expect(storage.saveNoteEmbeddings).toHaveBeenCalledWith([
+      { noteId: 'note-1', embeddings: [0.1, 0.2, 0.3], model: 'test-model' }
+    ]);
+    expect(storage.updateDocument).toHaveBeenCalledWith('notes', 'note-1', {
+      embeddings: [0.1, 0.2, 0.3],
+      embedding_model: 'test-model',
+      embedding_dimensions: 3
+    });
+  });
+});
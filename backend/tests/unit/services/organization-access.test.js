@@ -0,0 +1,59 @@
+import { OrganizationService } from '../../../src/services/organization.service.js';
+
+const createContext = (userId, overrides = {}) => ({
+  user_id: userId,
+  organizations: {},
+  teams: {},
+  shared_teams: [],
+  ...overrides
+});
+
+describe('OrganizationService.canAccess', () => {
+  const service = new OrganizationService({});
+
+  describe('resources without organization', () => {
+    const note = { id: 'n-1', agent_id: 'agent-1', metadata: { user_id: 'user-a' } };
+    const experience = { id: 'e-1', org_id: null, team_id: null, created_by: 'user-a' };
+
+    it('limits notes and experiences to their owner', () => {
+      expect(service.canAccess(createContext('user-a'), note, 'note', 'read')).toBe(true);
+      expect(service.canAccess(createContext('user-a'), experience, 'experience', 'read')).toBe(true);
+      expect(service.canAccess(createContext('user-b'), experience, 'experience', 'read')).toBe(false);
+    });
+
+    it('denies other tenants even when they use the same agent ID', () => {
+      const outsider = createContext('user-b', { organizations: { 'org-1': 'owner' }, agent_ids: ['agent-1'] });
+
+      expect(service.canAccess(outsider, note, 'note', 'read')).toBe(false);
+      expect(service.filterReadable(outsider, [note], 'note')).toEqual([]);
+    });
+
+    it('matches only own or ownerless unscoped notes in Elasticsearch', () => {
+      const [readable] = service.buildReadableFilter(createContext('user-b'));
+
+      expect(readable.bool.should).toEqual([{
+        bool: {
+          must_not: [{ exists: { field: 'metadata.org_id' } }],
+          should: [{ term: { 'metadata.user_id': 'user-b' } }, { bool: { must_not: [{ exists: { field: 'metadata.user_id' } }] } }],
+          minimum_should_match: 1
+        }
+      }]);
+    });
+  });
+
+  describe('knowledge', () => {
+    it('lets everyone read shared knowledge without an owner', () => {
+      const knowledge = { id: 'k-1', org_id: null, team_id: null, owner_id: null };
+
+      expect(service.canAccess(createContext('user-b'), knowledge, 'knowledge', 'read')).toBe(true);
+    });
+
+    it('limits private knowledge to its owner', () => {
+      const knowledge = { id: 'k-1', org_id: null, team_id: null, owner_id: 'user-a' };
+
+      expect(service.canAccess(createContext('user-a'), knowledge, 'knowledge', 'read')).toBe(true);
+      expect(service.canAccess(createContext('user-b'), knowledge, 'knowledge', 'read')).toBe(false);
+      expect(service.canAccess(createContext('user-b'), knowledge, 'knowledge', 'write')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import { jest } from '@jest/globals';
+import { RankingService } from '../../../src/services/ranking.service.js';
+import { StorageService } from '../../../src/services/storage.service.js';
+import { createMemoryRedis, createRedisCache } from '../../helpers/memory-redis.js';
+
+const ACTIVE_MODEL = {
+  version: 3,
+  status: 'active',
+  feature_names: ['relevance'],
+  weights: [5],
+  normalization: { mean: [0], std: [1] },
+  metrics: {}
+};
+
+const createStorage = (models = []) => {
+  const memory = createMemoryRedis();
+  const storage = new StorageService();
+  storage.cache = async () => createRedisCache(memory);
+  storage.getRankingModels = jest.fn(async () => models);
+  return { storage, memory };
+};
+
+const RESULTS = [
+  { note: { id: 'low', title: 'low' }, relevance_score: 0.2 },
+  { note: { id: 'high', title: 'high' }, relevance_score: 0.9 }
+];
+
+describe('RankingService', () => {
+  describe('getActiveModel', () => {
+    it('caches the active model and serves it from Redis afterwards', async () => {
+      const { storage } = createStorage([{ ...ACTIVE_MODEL, version: 2, status: 'inactive' }, ACTIVE_MODEL]);
+      const service = new RankingService(storage, { enabled: true });
+
+      const first = await service.getActiveModel('user-a');
+      const second = await service.getActiveModel('user-a');
+
+      expect(first.version).toBe(3);
+      expect(second.weights).toEqual([5]);
+      expect(storage.getRankingModels).toHaveBeenCalledTimes(1);
+    });
+
+    it('caches the absence of a model so ScyllaDB is queried once', async () => {
+      const { storage, memory } = createStorage([]);
+      const service = new RankingService(storage, { enabled: true });
+
+      await expect(service.getActiveModel('user-a')).resolves.toBeNull();
+      await expect(service.getActiveModel('user-a')).resolves.toBeNull();
+
+      expect(storage.getRankingModels).toHaveBeenCalledTimes(1);
+      expect(memory.values.get('ltr:model:user-a')).toBe('false');
+    });
+
+    it('falls back to ScyllaDB when the cache is unavailable', async () => {
+      const { storage } = createStorage([ACTIVE_MODEL]);
+      storage.cache = async () => {
+        throw new Error('Redis down');
+      };
+      const service = new RankingService(storage, { enabled: true });
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      try {
+        await expect(service.getActiveModel('user-a')).resolves.toMatchObject({ version: 3 });
+        expect(warn).toHaveBeenCalledTimes(2);
+      } finally {
+        warn.mockRestore();
+      }
+    });
+  });
+
+  describe('rerank', () => {
+    it('orders results by the model score', async () => {
+      const { storage } = createStorage([ACTIVE_MODEL]);
+      const service = new RankingService(storage, { enabled: true });
+
+      const reranked = await service.rerank('user-a', 'query', RESULTS);
+
+      expect(reranked.map(result => result.note.id)).toEqual(['high', 'low']);
+      expect(reranked[0].ranking_model_version).toBe(3);
+    });
+
+    it('propagates storage errors instead of silently returning unranked results', async () => {
+      const { storage } = createStorage();
+      storage.getRankingModels.mockRejectedValueOnce(new Error('Scylla unavailable'));
+      const service = new RankingService(storage, { enabled: true });
+
+      await expect(service.rerank('user-a', 'query', RESULTS)).rejects.toThrow('Scylla unavailable');
+    });
+  });
+
+  describe('recordFeedback', () => {
+    const ACCESS = { user_id: 'user-a', organizations: { 'org-1': 'reader' }, teams: { 'team-1': 'org-1' }, shared_teams: [] };
+    const SESSION = { id: 'session-1', agent_id: 'agent-1', accessed_notes: [{ note_id: 'own', relevance_score: 0.8 }] };
+    const NOTES = [
+      { id: 'own', type: 'bugfix', content: {}, context: {}, metadata: { user_id: 'user-a' } },
+      { id: 'team', type: 'bugfix', content: {}, context: {}, metadata: { user_id: 'user-b', org_id: 'org-1', team_id: 'team-1' } },
+      { id: 'foreign', type: 'bugfix', content: {}, context: {}, metadata: { user_id: 'user-c' } },
+      { id: 'other-org', type: 'bugfix', content: {}, context: {}, metadata: { user_id: 'user-d', org_id: 'org-2' } }
+    ];
+
+    it('records feedback only for notes the user can read', async () => {
+      const { storage } = createStorage();
+      storage.getNotesByIds = jest.fn(async () => NOTES);
+      storage.saveSearchFeedback = jest.fn(async () => {});
+      const service = new RankingService(storage);
+
+      const result = await service.recordFeedback('user-a', SESSION, {
+        query: 'redis',
+        items: ['own', 'team', 'foreign', 'other-org', 'missing'].map(noteId => ({ note_id: noteId, helpful: true }))
+      }, ACCESS);
+
+      expect(result).toEqual({ recorded: 2, skipped: ['foreign', 'other-org', 'missing'] });
+      const [entries] = storage.saveSearchFeedback.mock.calls[0];
+      expect(entries.map(entry => [entry.note_id, entry.relevance_score])).toEqual([['own', 0.8], ['team', 0]]);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+import { jest } from '@jest/globals';
+import { ReembeddingService } from '../../../src/services/reembedding.service.js';
+import { StorageService } from '../../../src/services/storage.service.js';
+import { createMemoryRedis, createRedisCache } from '../../helpers/memory-redis.js';
+
+const TARGET = { provider: 'mock', model: 'mock-model', dimensions: 8 };
+
+const createStorage = () => {
+  const memory = createMemoryRedis();
+  const cache = createRedisCache(memory);
+  const storage = new StorageService();
+  storage.cache = async () => cache;
+  storage.getNotesPage = jest.fn(async () => []);
+  storage.getNotesChangedSince = jest.fn(async () => ({ notes: [], pageState: null }));
+  return { storage, memory };
+};
+
+const createService = (storage) => {
+  const service = new ReembeddingService(storage);
+  service.ensureTargetIndex = jest.fn(async () => {});
+  service.switchAlias = jest.fn(async () => {});
+  return service;
+};
+
+describe('ReembeddingService.runReembedding', () => {
+  let log;
+
+  beforeEach(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    log.mockRestore();
+  });
+
+  it('completes the job, persists its state and releases the lock', async () => {
+    const { storage, memory } = createStorage();
+    const service = createService(storage);
+
+    const job = await service.runReembedding(TARGET);
+
+    expect(job.status).toBe('completed');
+    expect(service.switchAlias).toHaveBeenCalledTimes(1);
+    expect(service.running).toBe(false);
+    expect(memory.values.has('reembed:lock')).toBe(false);
+
+    const stored = await storage.cacheGet('reembed:job');
+    expect(stored).toMatchObject({ id: job.id, status: 'completed', phase: 'finalize', target: TARGET });
+  });
+
+  it('refuses to start while another instance holds the lock', async () => {
+    const { storage, memory } = createStorage();
+    await storage.cacheSetIfAbsent('reembed:lock', { started_at: 'elsewhere' }, 300);
+    const service = createService(storage);
+
+    await expect(service.runReembedding(TARGET)).rejects.toThrow('Re-embedding job already running');
+
+    expect(service.running).toBe(false);
+    expect(memory.values.has('reembed:lock')).toBe(true);
+    expect(storage.getNotesPage).not.toHaveBeenCalled();
+  });
+
+  it('marks the job failed and resets the running flag when a phase throws', async () => {
+    const { storage, memory } = createStorage();
+    const service = createService(storage);
+    service.switchAlias.mockRejectedValueOnce(new Error('alias conflict'));
+
+    await expect(service.runReembedding(TARGET)).rejects.toThrow('Re-embedding failed: alias conflict');
+
+    expect(service.running).toBe(false);
+    expect(memory.values.has('reembed:lock')).toBe(false);
+    await expect(storage.cacheGet('reembed:job')).resolves.toMatchObject({ status: 'failed', error: 'alias conflict', phase: 'switch' });
+  });
+
+  it('resumes an unfinished job for the same target', async () => {
+    const { storage } = createStorage();
+    const service = createService(storage);
+    service.switchAlias.mockRejectedValueOnce(new Error('alias conflict'));
+    await expect(service.runReembedding(TARGET)).rejects.toThrow();
+    const failed = await storage.cacheGet('reembed:job');
+
+    const job = await service.runReembedding(TARGET);
+
+    expect(job.id).toBe(failed.id);
+    expect(job.status).toBe('completed');
+    expect(job.resumed_at).toEqual(expect.any(String));
+  });
+});
+
+describe('ReembeddingService.catchUp', () => {
+  it('pages through created and updated notes and embeds each note once', async () => {
+    const { storage } = createStorage();
+    const pages = {
+      created_at: [{ notes: [{ id: 'n1' }, { id: 'n2' }], pageState: 'p2' }, { notes: [{ id: 'n3' }], pageState: null }],
+      updated_at: [{ notes: [{ id: 'n2' }, { id: 'n4' }], pageState: null }]
+    };
+    storage.getNotesChangedSince.mockImplementation(async (_since, { column, pageState }) => pages[column][pageState ? 1 : 0]);
+    const service = createService(storage);
+    service.embedAndIndex = jest.fn(async () => {});
+    const job = { batch_size: 2, processed: 0 };
+
+    await service.catchUp(job, null, '2026-01-01T00:00:00Z');
+
+    expect(storage.getNotesChangedSince.mock.calls.map(([, options]) => options)).toEqual([
+      { column: 'created_at', pageState: null, fetchSize: 2 },
+      { column: 'created_at', pageState: 'p2', fetchSize: 2 },
+      { column: 'updated_at', pageState: null, fetchSize: 2 }
+    ]);
+    expect(service.embedAndIndex.mock.calls.map(([, notes]) => notes.map(note => note.id))).toEqual([['n1', 'n2'], ['n3'], ['n4']]);
+    expect(job.processed).toBe(4);
+  });
+});
+
+describe('ReembeddingService.switchAlias', () => {
+  const createSearch = ({ aliases = {}, concrete = [] } = {}) => ({
+    indices: {
+      existsAlias: jest.fn(async ({ name }) => Boolean(aliases[name])),
+      getAlias: jest.fn(async ({ name }) => ({ [aliases[name]]: { aliases: { [name]: {} } } })),
+      exists: jest.fn(async ({ index }) => concrete.includes(index)),
+      getSettings: jest.fn(async ({ index }) => ({ [index]: { settings: { index: { number_of_shards: '1', uuid: 'x', analysis: { analyzer: {} } } } } })),
+      getMapping: jest.fn(async ({ index }) => ({ [index]: { mappings: { properties: { id: { type: 'keyword' } } } } })),
+      create: jest.fn(async () => ({})),
+      updateAliases: jest.fn(async () => ({}))
+    },
+    reindex: jest.fn(async () => ({ failures: [] }))
+  });
+
+  const createJob = () => ({
+    id: 'abcdef12-0000-0000-0000-000000000000',
+    alias: 'notes',
+    target_index: 'notes_new',
+    chunks_alias: 'note_chunks',
+    chunks_target_index: 'note_chunks_new',
+    previous_indices: [],
+    removed_indices: []
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps the indices behind an existing alias for rollback', async () => {
+    const { storage } = createStorage();
+    const search = createSearch({ aliases: { notes: 'notes_old', note_chunks: 'note_chunks_old' } });
+    storage.search = async () => search;
+    const job = createJob();
+
+    await new ReembeddingService(storage).switchAlias(job);
+
+    expect(search.indices.updateAliases.mock.calls[0][0].body.actions).toEqual([
+      { remove: { index: 'notes_old', alias: 'notes' } },
+      { add: { index: 'notes_new', alias: 'notes', is_write_index: true } },
+      { remove: { index: 'note_chunks_old', alias: 'note_chunks' } },
+      { add: { index: 'note_chunks_new', alias: 'note_chunks', is_write_index: true } }
+    ]);
+    expect(job.previous_indices).toEqual(['notes_old', 'note_chunks_old']);
+    expect(search.reindex).not.toHaveBeenCalled();
+  });
+
+  it('copies a concrete index named like the alias before removing it', async () => {
+    const { storage } = createStorage();
+    const search = createSearch({ aliases: { note_chunks: 'note_chunks_old' }, concrete: ['notes'] });
+    storage.search = async () => search;
+    const job = createJob();
+
+    await new ReembeddingService(storage).switchAlias(job);
+
+    expect(search.indices.create).toHaveBeenCalledWith({
+      index: 'notes_legacy_abcdef12',
+      body: {
+        settings: { number_of_shards: '1', analysis: { analyzer: {} } },
+        mappings: { properties: { id: { type: 'keyword' } } }
+      }
+    });
+    expect(search.reindex.mock.calls[0][0].body).toEqual({ source: { index: 'notes' }, dest: { index: 'notes_legacy_abcdef12' } });
+    expect(search.reindex.mock.invocationCallOrder[0]).toBeLessThan(search.indices.updateAliases.mock.invocationCallOrder[0]);
+    expect(search.indices.updateAliases.mock.calls[0][0].body.actions.slice(0, 2)).toEqual([
+      { remove_index: { index: 'notes' } },
+      { add: { index: 'notes_new', alias: 'notes', is_write_index: true } }
+    ]);
+    expect(job.previous_indices).toEqual(['notes_legacy_abcdef12', 'note_chunks_old']);
+  });
+
+  it('does not remove the concrete index when copying it fails', async () => {
+    const { storage } = createStorage();
+    const search = createSearch({ concrete: ['notes'] });
+    search.reindex.mockResolvedValue({ failures: [{ cause: { reason: 'mapper_parsing_exception' } }] });
+    storage.search = async () => search;
+
+    await expect(new ReembeddingService(storage).switchAlias(createJob()))
+      .rejects.toThrow('Copying notes to notes_legacy_abcdef12 failed: mapper_parsing_exception');
+    expect(search.indices.updateAliases).not.toHaveBeenCalled();
+  });
+});
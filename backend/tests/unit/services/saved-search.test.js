@@ -0,0 +1,77 @@
+import { jest } from '@jest/globals';
+import { SavedSearchService } from '../../../src/services/saved-search.service.js';
+import { StorageService } from '../../../src/services/storage.service.js';
+import { createMemoryRedis, createRedisCache } from '../../helpers/memory-redis.js';
+
+const createNote = (overrides = {}) => ({
+  id: 'note-1',
+  agent_id: 'agent-1',
+  type: 'bugfix',
+  context: { task: 'Fix redis timeout', project: 'api', tags: ['redis'] },
+  content: { action: 'Increased redis timeout', result: 'Connection stable' },
+  metadata: { user_id: 'user-a' },
+  ...overrides
+});
+
+const createStorage = (savedSearches) => {
+  const memory = createMemoryRedis();
+  const storage = new StorageService();
+  storage.cache = async () => createRedisCache(memory);
+  storage.executeQuery = jest.fn(async (query, [userId, agentId]) => ({
+    rows: savedSearches.filter(row => row.user_id === userId && row.agent_id === agentId)
+  }));
+  storage.saveSavedSearchMatch = jest.fn(async match => match);
+  storage.publishEvent = jest.fn(async () => 1);
+  return storage;
+};
+
+const savedSearchRow = (userId, id) => ({
+  user_id: userId,
+  id,
+  name: `redis ${userId}`,
+  query: 'tag:redis',
+  agent_id: 'agent-1',
+  filters: '{}',
+  standing: true
+});
+
+describe('SavedSearchService.handleNoteCreated', () => {
+  let log;
+
+  beforeEach(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    log.mockRestore();
+  });
+
+  it('only matches standing searches of the note owner', async () => {
+    const storage = createStorage([savedSearchRow('user-a', 'search-a'), savedSearchRow('user-b', 'search-b')]);
+    const service = new SavedSearchService(storage);
+
+    const matches = await service.handleNoteCreated(createNote());
+
+    expect(storage.executeQuery).toHaveBeenCalledWith(expect.stringContaining('WHERE user_id = ? AND agent_id = ?'), ['user-a', 'agent-1']);
+    expect(matches).toEqual([expect.objectContaining({ saved_search_id: 'search-a', user_id: 'user-a' })]);
+    expect(storage.publishEvent).toHaveBeenCalledTimes(1);
+    expect(storage.publishEvent).toHaveBeenCalledWith('saved-searches:user-a', expect.objectContaining({ saved_search_id: 'search-a' }));
+  });
+
+  it('ignores notes without an owner', async () => {
+    const storage = createStorage([savedSearchRow('user-a', 'search-a')]);
+    const service = new SavedSearchService(storage);
+
+    await expect(service.handleNoteCreated(createNote({ metadata: {} }))).resolves.toEqual([]);
+    expect(storage.executeQuery).not.toHaveBeenCalled();
+  });
+
+  it('evaluates each note only once', async () => {
+    const storage = createStorage([savedSearchRow('user-a', 'search-a')]);
+    const service = new SavedSearchService(storage);
+
+    await service.handleNoteCreated(createNote());
+    await expect(service.handleNoteCreated(createNote())).resolves.toEqual([]);
+    expect(storage.saveSavedSearchMatch).toHaveBeenCalledTimes(1);
+  });
+});
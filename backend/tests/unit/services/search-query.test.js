@@ -0,0 +1,48 @@
+import { jest } from '@jest/globals';
+import { SearchService } from '../../../src/services/search.service.js';
+import { QueryParser } from '../../../src/lib/search-lib/query-parser.js';
+
+const createStorage = () => {
+  const client = {
+    search: jest.fn(async () => ({ body: { hits: { total: { value: 0 }, hits: [] } } }))
+  };
+
+  return { client, search: async () => client };
+};
+
+describe('SearchService full-text queries', () => {
+  const parser = new QueryParser();
+
+  it('compiles the query language to Elasticsearch DSL before calling the client', async () => {
+    const storage = createStorage();
+    const service = new SearchService(storage);
+
+    await service.executeFullTextSearch('type:bugfix tag:redis "connection pool" -flaky', 'agent-1');
+
+    const { body } = storage.client.search.mock.calls[0][0];
+    expect(body.query.bool.must).toEqual([
+      { match: { agent_id: 'agent-1' } },
+      parser.toElasticsearch(parser.parse('type:bugfix tag:redis "connection pool" -flaky'))
+    ]);
+    expect(body.min_score).toBeUndefined();
+  });
+
+  it('sends plain text as a multi_match query', async () => {
+    const storage = createStorage();
+    const service = new SearchService(storage);
+
+    await service.executeFullTextSearch('redis timeout', 'agent-1');
+
+    const { body } = storage.client.search.mock.calls[0][0];
+    expect(body.query.bool.must[1]).toMatchObject({ multi_match: { query: 'redis timeout' } });
+    expect(body.min_score).toBe(0.5);
+  });
+
+  it('rejects invalid queries before reaching Elasticsearch', async () => {
+    const storage = createStorage();
+    const service = new SearchService(storage);
+
+    await expect(service.executeFullTextSearch('created:>not-a-date', 'agent-1')).rejects.toMatchObject({ name: 'ValidationError' });
+    expect(storage.client.search).not.toHaveBeenCalled();
+  });
+});
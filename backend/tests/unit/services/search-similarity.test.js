@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+import { SearchService } from '../../../src/services/search.service.js';
+
+const ACCESS = { user_id: 'user-a', organizations: { 'org-1': 'reader' }, teams: { 'team-1': 'org-1' }, shared_teams: [] };
+
+const createDocument = (id, metadata, embeddings = [1, 0, 0]) => ({
+  id,
+  agent_id: 'agent-1',
+  type: 'bugfix',
+  context: { task: `Task ${id}`, project: 'api', tags: [] },
+  content: { action: 'Fixed it' },
+  metadata,
+  embeddings,
+  embedding_model: 'mock-model',
+  created_at: '2026-01-01T00:00:00.000Z'
+});
+
+// Hits yang dikembalikan Elasticsearch, termasuk note team lain yang lolos filter organization
+const DOCUMENTS = [
+  createDocument('own', { user_id: 'user-a' }),
+  createDocument('team', { user_id: 'user-b', org_id: 'org-1', team_id: 'team-1' }, [0.99, 0.01, 0]),
+  createDocument('other-team', { user_id: 'user-c', org_id: 'org-1', team_id: 'team-2' }, [0.98, 0.02, 0])
+];
+
+const createStorage = () => {
+  const client = {
+    search: jest.fn(async () => ({
+      body: { hits: { total: { value: DOCUMENTS.length }, hits: DOCUMENTS.map(doc => ({ _source: doc, _score: 1.99 })) } }
+    }))
+  };
+
+  return {
+    client,
+    search: async () => client,
+    getNoteById: jest.fn(async () => ({ id: 'source', agent_id: 'agent-1', metadata: { user_id: 'user-a' } })),
+    getNoteEmbedding: jest.fn(async () => ({ embeddings: [1, 0, 0], model: 'mock-model' }))
+  };
+};
+
+const readableFilter = {
+  bool: {
+    should: [{ term: { 'metadata.user_id': 'user-a' } }, { terms: { 'metadata.org_id': ['org-1'] } }],
+    minimum_should_match: 1
+  }
+};
+
+describe('SearchService tenant filtering', () => {
+  describe('findSimilarNotes', () => {
+    it('restricts scope all to notes the user can read', async () => {
+      const storage = createStorage();
+      const service = new SearchService(storage);
+
+      const result = await service.findSimilarNotes('source', { scope: 'all', access: ACCESS });
+
+      const { filter } = storage.client.search.mock.calls[0][0].body.query.script_score.query.bool;
+      expect(filter).toContainEqual(readableFilter);
+      expect(filter).not.toContainEqual({ term: { agent_id: 'agent-1' } });
+      expect(result.results.map(similar => similar.note.id)).toEqual(['own', 'team']);
+    });
+
+    it('applies the agent binding of scoped API keys', async () => {
+      const storage = createStorage();
+      const service = new SearchService(storage);
+
+      await service.findSimilarNotes('source', { scope: 'all', access: { ...ACCESS, agent_ids: ['agent-9'] } });
+
+      const { filter } = storage.client.search.mock.calls[0][0].body.query.script_score.query.bool;
+      expect(filter).toContainEqual({ terms: { agent_id: ['agent-9'] } });
+    });
+
+    it('refuses to run without an access context', async () => {
+      const storage = createStorage();
+      const service = new SearchService(storage);
+
+      await expect(service.findSimilarNotes('source', { scope: 'all' })).rejects.toThrow('Access context is required');
+      expect(storage.client.search).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSimilarityGraph', () => {
+    it('only builds nodes and edges from readable notes', async () => {
+      const storage = createStorage();
+      const service = new SearchService(storage);
+
+      const graph = await service.getSimilarityGraph({ access: ACCESS, threshold: 0.5 });
+
+      expect(storage.client.search.mock.calls[0][0].body.query.bool.filter).toContainEqual(readableFilter);
+      expect(graph.nodes.map(node => node.id).sort()).toEqual(['own', 'team']);
+      graph.edges.forEach(edge => {
+        expect(['own', 'team']).toContain(edge.source);
+        expect(['own', 'team']).toContain(edge.target);
+      });
+    });
+
+    it('refuses to run without an access context', async () => {
+      const service = new SearchService(createStorage());
+
+      await expect(service.getSimilarityGraph({})).rejects.toThrow('Access context is required');
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import { StorageService } from '../../../src/services/storage.service.js';
+import { createMemoryRedis, createRedisCache } from '../../helpers/memory-redis.js';
+
+const createStorage = () => {
+  const memory = createMemoryRedis();
+  const cache = createRedisCache(memory);
+  const storage = new StorageService();
+  storage.cache = async () => cache;
+  return { storage, memory, cache };
+};
+
+describe('StorageService cache helpers', () => {
+  it('round-trips objects through cacheSet and cacheGet', async () => {
+    const { storage } = createStorage();
+    const value = { user_id: 'u-1', nested: { count: 2 }, tags: ['a'] };
+
+    await storage.cacheSet('session:1', value, 60);
+
+    await expect(storage.cacheGet('session:1')).resolves.toEqual(value);
+  });
+
+  it('keeps the type of string and number values', async () => {
+    const { storage } = createStorage();
+
+    await storage.cacheSet('string', '42', 60);
+    await storage.cacheSet('number', 42, 60);
+
+    await expect(storage.cacheGet('string')).resolves.toBe('42');
+    await expect(storage.cacheGet('number')).resolves.toBe(42);
+  });
+
+  it('applies the TTL to cached values', async () => {
+    const { storage, cache } = createStorage();
+
+    await storage.cacheSet('ttl', { ok: true }, 120);
+
+    const ttl = await cache.ttl('ttl');
+    expect(ttl).toBeGreaterThan(0);
+    expect(ttl).toBeLessThanOrEqual(120);
+  });
+
+  it('serializes cacheSetIfAbsent values like cacheSet and only sets absent keys', async () => {
+    const { storage } = createStorage();
+
+    await expect(storage.cacheSetIfAbsent('lock', 'family-1', 60)).resolves.toBe(true);
+    await expect(storage.cacheSetIfAbsent('lock', 'family-2', 60)).resolves.toBe(false);
+    await expect(storage.cacheSetIfAbsent('count', 1, 60)).resolves.toBe(true);
+
+    await expect(storage.cacheGet('lock')).resolves.toBe('family-1');
+    await expect(storage.cacheGet('count')).resolves.toBe(1);
+  });
+
+  it('returns null for missing keys', async () => {
+    const { storage } = createStorage();
+
+    await expect(storage.cacheGet('missing')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,148 @@
+import { jest } from '@jest/globals';
+import { StorageService } from '../../../src/services/storage.service.js';
+
+const NOTE_ID = '0d3c6a52-8d7e-4d5f-9a43-5a3b0e0d1c11';
+
+/**
+ * ScyllaDB fake untuk satu note: SELECT, UPDATE ... IF version = ? dan INSERT ... IF NOT EXISTS
+ */
+const createPersistence = (version) => {
+  const state = {
+    note: {
+      id: NOTE_ID,
+      agent_id: 'agent-1',
+      type: 'bugfix',
+      context: JSON.stringify({ task: 'Fix login redirect' }),
+      content: JSON.stringify({ action: 'Patched the redirect handler' }),
+      metadata: JSON.stringify({ user_id: 'user-1' }),
+      version,
+      created_at: new Date('2026-01-01T00:00:00Z')
+    },
+    versions: new Map(),
+    calls: []
+  };
+
+  const execute = jest.fn(async (query, params, options) => {
+    state.calls.push({ query, params, options });
+
+    if (query.startsWith('SELECT * FROM notes')) {
+      return { rows: [{ ...state.note }] };
+    }
+
+    if (query.includes('UPDATE notes')) {
+      const expected = params[params.length - 1];
+      if ((state.note.version ?? null) !== expected) {
+        return { rows: [{ '[applied]': false, version: state.note.version }] };
+      }
+      const [type, context, content, metadata, nextVersion, updatedAt] = params;
+      Object.assign(state.note, { type, context, content, metadata, version: nextVersion, updated_at: updatedAt });
+      return { rows: [{ '[applied]': true }] };
+    }
+
+    if (query.includes('INSERT INTO note_versions')) {
+      const applied = !state.versions.has(params[1]);
+      if (applied) state.versions.set(params[1], params);
+      return { rows: [{ '[applied]': applied }] };
+    }
+
+    throw new Error(`Unexpected query: ${query}`);
+  });
+
+  return { state, execute };
+};
+
+const createStorage = (version = 3) => {
+  const persistence = createPersistence(version);
+  const storage = new StorageService();
+  storage.persistence = async () => persistence;
+  storage.updateDocument = jest.fn(async () => ({}));
+  storage.cacheDelete = jest.fn(async () => 1);
+  storage.indexNoteTerms = jest.fn(async () => {});
+  return { storage, persistence };
+};
+
+describe('StorageService.updateNote', () => {
+  it('updates with a conditional write and keeps the previous revision', async () => {
+    const { storage, persistence } = createStorage(3);
+
+    const note = await storage.updateNote(NOTE_ID, { content: { result: 'Redirect works' } }, { editedBy: 'user-1' });
+
+    expect(note.version).toBe(4);
+    expect(note.content).toEqual({ action: 'Patched the redirect handler', result: 'Redirect works' });
+
+    const update = persistence.state.calls.find(call => call.query.includes('UPDATE notes'));
+    expect(update.query).toContain('IF version = ?');
+    expect(update.params[update.params.length - 1]).toBe(3);
+    expect(update.options).toEqual({ prepare: true });
+
+    expect(persistence.state.versions.has(3)).toBe(true);
+    expect(persistence.state.note.version).toBe(4);
+  });
+
+  it('stores the previous revision before the conditional update', async () => {
+    const { storage, persistence } = createStorage(3);
+    persistence.execute.mockImplementation(async (query, params) => {
+      persistence.state.calls.push({ query, params });
+      if (query.includes('UPDATE notes')) {
+        throw new Error('Coordinator timed out');
+      }
+      if (query.includes('INSERT INTO note_versions')) {
+        persistence.state.versions.set(params[1], params);
+        return { rows: [{ '[applied]': true }] };
+      }
+      return { rows: [{ ...persistence.state.note }] };
+    });
+
+    await expect(storage.updateNote(NOTE_ID, { type: 'improvement' })).rejects.toThrow('Coordinator timed out');
+
+    const queries = persistence.state.calls.map(call => call.query);
+    expect(queries.findIndex(query => query.includes('INSERT INTO note_versions')))
+      .toBeLessThan(queries.findIndex(query => query.includes('UPDATE notes')));
+    expect(persistence.state.versions.has(3)).toBe(true);
+  });
+
+  it('matches notes created before versioning on a null version', async () => {
+    const { storage, persistence } = createStorage(null);
+
+    const note = await storage.updateNote(NOTE_ID, { type: 'improvement' }, { expectedVersion: 1 });
+
+    expect(note.version).toBe(2);
+    expect(persistence.state.versions.has(1)).toBe(true);
+  });
+
+  it('rejects a stale expected version with a 409 without writing', async () => {
+    const { storage, persistence } = createStorage(5);
+
+    await expect(storage.updateNote(NOTE_ID, { type: 'improvement' }, { expectedVersion: 4 }))
+      .rejects.toMatchObject({ name: 'ConflictError', status: 409, currentVersion: 5 });
+
+    expect(persistence.state.calls.some(call => call.query.includes('UPDATE notes'))).toBe(false);
+    expect(persistence.state.versions.size).toBe(0);
+  });
+
+  it('lets only one of two concurrent edits of the same version win', async () => {
+    const { storage, persistence } = createStorage(2);
+
+    const results = await Promise.allSettled([
+      storage.updateNote(NOTE_ID, { content: { result: 'first' } }, { expectedVersion: 2 }),
+      storage.updateNote(NOTE_ID, { content: { result: 'second' } }, { expectedVersion: 2 })
+    ]);
+
+    const fulfilled = results.filter(result => result.status === 'fulfilled');
+    const rejected = results.filter(result => result.status === 'rejected');
+
+    expect(fulfilled).toHaveLength(1);
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].reason.status).toBe(409);
+    expect(persistence.state.note.version).toBe(3);
+    expect([...persistence.state.versions.keys()]).toEqual([2]);
+    expect(storage.updateDocument).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns null for a missing note', async () => {
+    const { storage, persistence } = createStorage();
+    persistence.execute.mockImplementationOnce(async () => ({ rows: [] }));
+
+    await expect(storage.updateNote(NOTE_ID, { type: 'bugfix' })).resolves.toBeNull();
+  });
+});
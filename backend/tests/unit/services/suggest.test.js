@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals';
+import { SuggestService } from '../../../src/services/suggest.service.js';
+import { StorageService } from '../../../src/services/storage.service.js';
+import { Knowledge } from '../../../src/models/knowledge.js';
+
+const TERMS = {
+  'user-a': { tags: new Map([['redis', 3]]) },
+  'user-b': { tags: new Map([['rabbitmq', 2]]) },
+  _global: { domains: new Map([['databases', 5]]) },
+  'org:org-1': { domains: new Map([['payments', 4]]) },
+  'team:team-1': { domains: new Map([['paging', 1]]) }
+};
+
+const createStorage = () => ({
+  getSearchTerms: jest.fn(async tenantId => TERMS[tenantId] || {})
+});
+
+const createService = (storage, access = {}, config = {}) => {
+  const service = new SuggestService(storage, { dictionaryCacheTTL: 300, dictionaryCacheSize: 2, ...config });
+  service.organizationService.getAccessContext = jest.fn(async userId => ({
+    user_id: userId,
+    organizations: {},
+    teams: {},
+    shared_teams: [],
+    ...access[userId]
+  }));
+  return service;
+};
+
+const texts = result => result.suggestions.map(suggestion => suggestion.text);
+
+describe('SuggestService', () => {
+  it('merges the dictionaries of the user, their organizations and teams and the global one', async () => {
+    const storage = createStorage();
+    const service = createService(storage, { 'user-a': { organizations: { 'org-1': 'reader' }, teams: { 'team-1': 'org-1' } } });
+
+    const result = await service.suggest('user-a', 'pa', { types: ['domains'] });
+
+    expect(texts(result)).toEqual(['payments', 'paging']);
+    expect(storage.getSearchTerms.mock.calls.map(([tenantId]) => tenantId))
+      .toEqual(['user-a', '_global', 'org:org-1', 'team:team-1']);
+  });
+
+  it('does not suggest terms of other tenants or organizations', async () => {
+    const service = createService(createStorage());
+
+    await expect(service.suggest('user-a', 'ra')).resolves.toMatchObject({ suggestions: [] });
+    expect(texts(await service.suggest('user-a', 'pay', { types: ['domains'] }))).toEqual([]);
+    expect(texts(await service.suggest('user-a', 'data', { types: ['domains'] }))).toEqual(['databases']);
+  });
+
+  it('falls back to personal and global dictionaries when the access context fails', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const service = createService(createStorage());
+    service.organizationService.getAccessContext.mockRejectedValue(new Error('Redis down'));
+
+    try {
+      expect(texts(await service.suggest('user-a', 're', { types: ['tags'] }))).toEqual(['redis']);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  it('caches compiled dictionaries and evicts the least recently used user', async () => {
+    const storage = createStorage();
+    const service = createService(storage);
+
+    await service.getDictionary('user-a');
+    await service.getDictionary('user-b');
+    await service.getDictionary('user-a');
+    await service.getDictionary('user-c');
+
+    expect([...service.dictionaries.keys()]).toEqual(['user-a', 'user-c']);
+    expect(storage.getSearchTerms.mock.calls.filter(([tenantId]) => tenantId === 'user-a')).toHaveLength(1);
+    expect((await service.getDictionary('user-a')).indexed).toBe(true);
+  });
+});
+
+describe('StorageService.createKnowledge search terms', () => {
+  const createStorageService = () => {
+    const storage = new StorageService();
+    storage.persistence = async () => ({});
+    storage.executeQuery = jest.fn(async () => ({ rows: [] }));
+    storage.indexDocument = jest.fn(async () => {});
+    storage.cacheDelete = jest.fn(async () => {});
+    storage.updateSearchTerms = jest.fn(async () => 1);
+    return storage;
+  };
+
+  const DATA = {
+    domain: 'payments',
+    title: 'Payment retries',
+    summary: 'Retry failed payment webhooks with backoff',
+    note_ids: ['6f1c2a4e-8b3d-4c5e-9f7a-1b2c3d4e5f60', '7a2b3c4d-5e6f-4a1b-8c2d-3e4f5a6b7c80']
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Knowledge, '_verifyNoteIds').mockImplementation(async () => {});
+    jest.spyOn(Knowledge, '_generatePatterns').mockImplementation(async () => []);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    [{}, '_global'],
+    [{ owner_id: 'user-a' }, 'user-a'],
+    [{ org_id: 'org-1' }, 'org:org-1'],
+    [{ org_id: 'org-1', team_id: 'team-1' }, 'team:team-1']
+  ])('indexes the domain of knowledge scoped %p into %p', async (scope, tenantId) => {
+    const storage = createStorageService();
+
+    await storage.createKnowledge(DATA, 'user-a', scope);
+
+    expect(storage.updateSearchTerms).toHaveBeenCalledWith(tenantId, [{ category: 'domains', term: 'payments', delta: 1 }]);
+  });
+});
@@ -0,0 +1,272 @@
+import { jest } from '@jest/globals';
+import { AuthService } from '../../../src/services/auth.service.js';
+import { StorageService } from '../../../src/services/storage.service.js';
+import { TokenRevocationService } from '../../../src/services/token-revocation.service.js';
+import { createMemoryRedis, createRedisCache } from '../../helpers/memory-redis.js';
+
+const USER = {
+  id: 'user-a',
+  email: 'a@example.com',
+  organization: 'Acme',
+  isActive: true,
+  subscription: { tier: 'basic', status: 'active', features: [], expiresAt: '2099-01-01T00:00:00.000Z' }
+};
+
+const createAuthService = () => {
+  const memory = createMemoryRedis();
+  const storage = new StorageService();
+  storage.cache = async () => createRedisCache(memory);
+
+  const service = new AuthService(storage);
+  service.findUserByApiKey = jest.fn(async apiKey => (apiKey === 'primary-key' ? USER : null));
+  service.findUserById = jest.fn(async userId => (userId === USER.id ? USER : null));
+  service.updateLastLogin = jest.fn(async () => {});
+  service.cacheUserToken = jest.fn(async () => {});
+  service.auditService.record = jest.fn(async () => null);
+
+  return { service, memory };
+};
+
+describe('Token rotation and revocation', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('refreshToken', () => {
+    it('rotates the refresh token within the family', async () => {
+      const { service } = createAuthService();
+      const issued = await service.generateToken('primary-key');
+
+      const refreshed = await service.refreshToken(issued.refresh_token);
+
+      expect(refreshed.refresh_token).not.toBe(issued.refresh_token);
+      const previous = service.authLib.decodeToken(issued.refresh_token).payload;
+      const next = service.authLib.decodeToken(refreshed.refresh_token).payload;
+      expect(next.fid).toBe(previous.fid);
+
+      const family = await service.tokenRevocationService.getUserFamilies('user-a');
+      expect(family).toEqual([expect.objectContaining({ id: previous.fid, current_jti: next.jti, rotations: 1, revoked_at: null })]);
+      await expect(service.validateToken(refreshed.access_token)).resolves.toMatchObject({ valid: true });
+      await expect(service.validateToken(issued.access_token)).resolves.toMatchObject({ valid: true });
+    });
+
+    it('revokes the whole family when a rotated refresh token is reused', async () => {
+      const { service } = createAuthService();
+      const issued = await service.generateToken('primary-key');
+      const refreshed = await service.refreshToken(issued.refresh_token);
+
+      await expect(service.refreshToken(issued.refresh_token)).rejects.toThrow('Refresh token reuse detected');
+
+      expect(service.auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'token.reuse_detected',
+        outcome: 'failure',
+        details: expect.objectContaining({ family_revoked: true })
+      }));
+      await expect(service.refreshToken(refreshed.refresh_token)).rejects.toThrow('refresh token family revoked (reuse_detected)');
+      await expect(service.validateToken(refreshed.access_token)).resolves.toMatchObject({
+        valid: false,
+        error: 'Token has been revoked: refresh token reuse detected'
+      });
+    });
+
+    it('lets only one of two parallel refreshes with the same token succeed', async () => {
+      const { service } = createAuthService();
+      const issued = await service.generateToken('primary-key');
+
+      const results = await Promise.allSettled([
+        service.refreshToken(issued.refresh_token),
+        service.refreshToken(issued.refresh_token)
+      ]);
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+      expect(results.find(result => result.status === 'rejected').reason.message).toMatch(/reuse detected/);
+    });
+
+    it('starts a family for refresh tokens issued without one', async () => {
+      const { service } = createAuthService();
+      const legacy = service.authLib.generateTokenPair({ userId: USER.id });
+
+      const refreshed = await service.refreshToken(legacy.refreshToken);
+
+      const { fid } = service.authLib.decodeToken(refreshed.refresh_token).payload;
+      expect(fid).toEqual(expect.any(String));
+      await expect(service.tokenRevocationService.getUserFamilies('user-a')).resolves.toEqual([expect.objectContaining({ id: fid })]);
+      await expect(service.refreshToken(legacy.refreshToken)).rejects.toThrow('Refresh token reuse detected');
+    });
+
+    it('issues the same claims as the token endpoint', async () => {
+      const { service } = createAuthService();
+      const issued = await service.generateToken('primary-key');
+
+      const refreshed = await service.refreshToken(issued.refresh_token);
+
+      expect(service.authLib.decodeToken(refreshed.access_token).payload).toMatchObject({
+        sub: USER.id,
+        email: USER.email,
+        organization: USER.organization,
+        tier: 'basic',
+        features: []
+      });
+    });
+
+    it('rejects refreshes for deactivated users and unusable scoped keys', async () => {
+      const { service } = createAuthService();
+      const issued = await service.generateToken('primary-key');
+      const scoped = service.authLib.generateTokenPair(service.buildTokenPayload(USER, 'key-1', 'family-1'));
+      service.apiKeyService.getUsableKey = jest.fn(async () => null);
+
+      await expect(service.refreshToken(scoped.refreshToken, { ip: '10.0.0.1' })).rejects.toThrow('API key revoked');
+      expect(service.apiKeyService.getUsableKey).toHaveBeenCalledWith('key-1', { ip: '10.0.0.1' });
+
+      service.findUserById.mockResolvedValueOnce({ ...USER, isActive: false });
+      await expect(service.refreshToken(issued.refresh_token)).rejects.toThrow('User account is deactivated');
+
+      // Penolakan tidak memakai refresh token, jadi bukan reuse
+      await expect(service.refreshToken(issued.refresh_token)).resolves.toMatchObject({ access_token: expect.any(String) });
+    });
+
+    it('does not un-revoke a family revoked between claim and rotation', async () => {
+      const { service } = createAuthService();
+      const issued = await service.generateToken('primary-key');
+      const { fid } = service.authLib.decodeToken(issued.refresh_token).payload;
+      const revocation = service.tokenRevocationService;
+      const consume = revocation.consumeRefreshToken.bind(revocation);
+      jest.spyOn(revocation, 'consumeRefreshToken').mockImplementation(async (payload) => {
+        const result = await consume(payload);
+        await revocation.revokeFamily(fid, 'revoked');
+        return result;
+      });
+
+      await expect(service.refreshToken(issued.refresh_token)).rejects.toThrow('refresh token family revoked (revoked)');
+
+      await expect(revocation.getUserFamilies('user-a')).resolves.toEqual([
+        expect.objectContaining({ id: fid, revoke_reason: 'revoked', rotations: 0 })
+      ]);
+    });
+
+    it('rejects access tokens as refresh tokens and refresh tokens as access tokens', async () => {
+      const { service } = createAuthService();
+      const issued = await service.generateToken('primary-key');
+
+      await expect(service.refreshToken(issued.access_token)).rejects.toThrow('Failed to refresh token');
+      await expect(service.validateToken(issued.refresh_token)).resolves.toMatchObject({
+        valid: false,
+        error: 'Invalid token type. Expected access token.'
+      });
+    });
+  });
+
+  describe('revokeToken', () => {
+    it('denylists the token jti and revokes its family', async () => {
+      const { service, memory } = createAuthService();
+      const issued = await service.generateToken('primary-key');
+      const { jti } = service.authLib.decodeToken(issued.access_token).payload;
+
+      const result = await service.revokeToken('user-a', issued.access_token);
+
+      expect(result).toMatchObject({ jti, token_type: 'access', family_revoked: true });
+      expect(memory.values.get(`token_denylist:${jti}`)).toBeDefined();
+      await expect(service.validateToken(issued.access_token)).resolves.toMatchObject({ valid: false, error: 'Token has been revoked' });
+      await expect(service.refreshToken(issued.refresh_token)).rejects.toThrow('refresh token family revoked (revoked)');
+    });
+
+    it('keeps the family alive when only the token is revoked', async () => {
+      const { service } = createAuthService();
+      const issued = await service.generateToken('primary-key');
+
+      await service.revokeToken('user-a', issued.access_token, { family: false });
+
+      await expect(service.validateToken(issued.access_token)).resolves.toMatchObject({ valid: false });
+      await expect(service.refreshToken(issued.refresh_token)).resolves.toMatchObject({ access_token: expect.any(String) });
+    });
+
+    it('does not revoke tokens of other users', async () => {
+      const { service } = createAuthService();
+      const issued = await service.generateToken('primary-key');
+
+      await expect(service.revokeToken('user-b', issued.access_token)).rejects.toThrow('Token not found');
+      await expect(service.validateToken(issued.access_token)).resolves.toMatchObject({ valid: true });
+    });
+
+    it('revokes every family of the user', async () => {
+      const { service } = createAuthService();
+      const first = await service.generateToken('primary-key');
+      const second = await service.generateToken('primary-key');
+
+      await expect(service.revokeAllTokens('user-a')).resolves.toEqual({ families_revoked: 2 });
+
+      await expect(service.validateToken(first.access_token)).resolves.toMatchObject({ valid: false });
+      await expect(service.validateToken(second.access_token)).resolves.toMatchObject({ valid: false });
+    });
+  });
+
+  describe('getRevocationReason', () => {
+    const storage = { cache: async () => { throw new Error('Redis down'); } };
+    const payload = { jti: 'jti-1', fid: 'family-1' };
+
+    it('rejects tokens when Redis cannot be checked', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const service = new TokenRevocationService(storage, { revocationFailOpen: false });
+
+      await expect(service.getRevocationReason(payload)).resolves.toBe('Unable to verify token revocation status');
+    });
+
+    it('accepts tokens when configured to fail open', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const service = new TokenRevocationService(storage, { revocationFailOpen: true });
+
+      await expect(service.getRevocationReason(payload)).resolves.toBeNull();
+    });
+  });
+
+  describe('advanceFamily', () => {
+    it('retries with the latest record when the family changes before EXEC', async () => {
+      const memory = createMemoryRedis();
+      const service = new TokenRevocationService({ cache: async () => createRedisCache(memory) });
+      const exp = Math.floor(Date.now() / 1000) + 3600;
+      const family = await service.startFamily({ sub: 'user-a', fid: 'family-1', jti: 'jti-1', exp });
+      const familyKey = service.familyKey('family-1');
+
+      // Revoke paralel masuk di antara WATCH/GET dan EXEC milik advanceFamily
+      const get = memory.get.bind(memory);
+      let raced = false;
+      memory.get = async (key) => {
+        const value = await get(key);
+        if (key === familyKey && !raced) {
+          raced = true;
+          await service.revokeFamily('family-1', 'reuse_detected');
+        }
+        return value;
+      };
+
+      await expect(service.advanceFamily(family, { sub: 'user-a', fid: 'family-1', jti: 'jti-2', exp }, 'jti-1'))
+        .rejects.toThrow('refresh token family revoked (reuse_detected)');
+      await expect(service.getUserFamilies('user-a')).resolves.toEqual([
+        expect.objectContaining({ current_jti: 'jti-1', revoke_reason: 'reuse_detected' })
+      ]);
+    });
+  });
+
+  describe('pruneUserFamilies', () => {
+    it('revokes the oldest families above the per-user limit', async () => {
+      const memory = createMemoryRedis();
+      const storage = { cache: async () => createRedisCache(memory) };
+      const service = new TokenRevocationService(storage, { maxFamiliesPerUser: 2 });
+      const exp = Math.floor(Date.now() / 1000) + 3600;
+
+      for (const fid of ['family-1', 'family-2', 'family-3']) {
+        await service.startFamily({ sub: 'user-a', fid, jti: `jti-${fid}`, exp });
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+
+      const families = await service.getUserFamilies('user-a');
+      const revoked = families.filter(family => family.revoked_at).map(family => family.id);
+      expect(revoked).toEqual(['family-1']);
+      expect(families.find(family => family.id === 'family-1').revoke_reason).toBe('family_limit');
+    });
+  });
+});